@@ -0,0 +1,568 @@
+/**
+ * Pairwise Sequence Alignment
+ *
+ * Gotoh's affine-gap dynamic programming in three flavours:
+ * - global (Needleman-Wunsch): end-to-end over both sequences
+ * - local (Smith-Waterman): best-scoring pair of substrings
+ * - semi-global: end-to-end, but leading and trailing gaps are free
+ *
+ * Substitution scores come from BLOSUM62 / PAM250 for proteins,
+ * match/mismatch for nucleotides, or prime resonance between the
+ * residues' primes (R(p, p) = 1, distant primes tend to 0).
+ *
+ * A gap of length L costs gapOpen + L * gapExtend.
+ */
+
+import {
+  NUCLEOTIDE_PRIMES,
+  PRIME_TO_NUCLEOTIDE,
+  AMINO_ACID_PRIMES,
+  PRIME_TO_AMINO_ACID
+} from './encoding.js';
+import { ResonanceCalculator } from '../../core/resonance.js';
+
+const ALIGNMENT_MODES = ['global', 'local', 'semi-global'];
+
+// ============================================================================
+// Substitution Matrices
+// ============================================================================
+
+const MATRIX_ALPHABET = 'ARNDCQEGHILKMFPSTWYVBZX*';
+
+/**
+ * Expand a whitespace-separated square table into a nested lookup
+ */
+function parseMatrix(rows) {
+  const matrix = {};
+  rows.forEach((row, i) => {
+    const scores = row.trim().split(/\s+/).map(Number);
+    matrix[MATRIX_ALPHABET[i]] = Object.fromEntries(
+      scores.map((s, j) => [MATRIX_ALPHABET[j], s])
+    );
+  });
+  return matrix;
+}
+
+/**
+ * BLOSUM62 (Henikoff & Henikoff, 1992), as distributed by NCBI
+ */
+const BLOSUM62 = parseMatrix([
+  ' 4 -1 -2 -2  0 -1 -1  0 -2 -1 -1 -1 -1 -2 -1  1  0 -3 -2  0 -2 -1  0 -4',
+  '-1  5  0 -2 -3  1  0 -2  0 -3 -2  2 -1 -3 -2 -1 -1 -3 -2 -3 -1  0 -1 -4',
+  '-2  0  6  1 -3  0  0  0  1 -3 -3  0 -2 -3 -2  1  0 -4 -2 -3  3  0 -1 -4',
+  '-2 -2  1  6 -3  0  2 -1 -1 -3 -4 -1 -3 -3 -1  0 -1 -4 -3 -3  4  1 -1 -4',
+  ' 0 -3 -3 -3  9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1 -3 -3 -2 -4',
+  '-1  1  0  0 -3  5  2 -2  0 -3 -2  1  0 -3 -1  0 -1 -2 -1 -2  0  3 -1 -4',
+  '-1  0  0  2 -4  2  5 -2  0 -3 -3  1 -2 -3 -1  0 -1 -3 -2 -2  1  4 -1 -4',
+  ' 0 -2  0 -1 -3 -2 -2  6 -2 -4 -4 -2 -3 -3 -2  0 -2 -2 -3 -3 -1 -2 -1 -4',
+  '-2  0  1 -1 -3  0  0 -2  8 -3 -3 -1 -2 -1 -2 -1 -2 -2  2 -3  0  0 -1 -4',
+  '-1 -3 -3 -3 -1 -3 -3 -4 -3  4  2 -3  1  0 -3 -2 -1 -3 -1  3 -3 -3 -1 -4',
+  '-1 -2 -3 -4 -1 -2 -3 -4 -3  2  4 -2  2  0 -3 -2 -1 -2 -1  1 -4 -3 -1 -4',
+  '-1  2  0 -1 -3  1  1 -2 -1 -3 -2  5 -1 -3 -1  0 -1 -3 -2 -2  0  1 -1 -4',
+  '-1 -1 -2 -3 -1  0 -2 -3 -2  1  2 -1  5  0 -2 -1 -1 -1 -1  1 -3 -1 -1 -4',
+  '-2 -3 -3 -3 -2 -3 -3 -3 -1  0  0 -3  0  6 -4 -2 -2  1  3 -1 -3 -3 -1 -4',
+  '-1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4  7 -1 -1 -4 -3 -2 -2 -1 -2 -4',
+  ' 1 -1  1  0 -1  0  0  0 -1 -2 -2  0 -1 -2 -1  4  1 -3 -2 -2  0  0  0 -4',
+  ' 0 -1  0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1  1  5 -2 -2  0 -1 -1  0 -4',
+  '-3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1  1 -4 -3 -2 11  2 -3 -4 -3 -2 -4',
+  '-2 -2 -2 -3 -2 -1 -2 -3  2 -1 -1 -2 -1  3 -3 -2 -2  2  7 -1 -3 -2 -1 -4',
+  ' 0 -3 -3 -3 -1 -2 -2 -3 -3  3  1 -2  1 -1 -2 -2  0 -3 -1  4 -3 -2 -1 -4',
+  '-2 -1  3  4 -3  0  1 -1  0 -3 -4  0 -3 -3 -2  0 -1 -4 -3 -3  4  1 -1 -4',
+  '-1  0  0  1 -3  3  4 -2  0 -3 -3  1 -1 -3 -1  0 -1 -3 -2 -2  1  4 -1 -4',
+  ' 0 -1 -1 -1 -2 -1 -1 -1 -1 -1 -1 -1 -1 -1 -2  0  0 -2 -1 -1 -1 -1 -1 -4',
+  '-4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4  1'
+]);
+
+/**
+ * PAM250 (Dayhoff et al., 1978), as distributed by NCBI
+ */
+const PAM250 = parseMatrix([
+  ' 2 -2  0  0 -2  0  0  1 -1 -1 -2 -1 -1 -3  1  1  1 -6 -3  0  0  0  0 -8',
+  '-2  6  0 -1 -4  1 -1 -3  2 -2 -3  3  0 -4  0  0 -1  2 -4 -2 -1  0 -1 -8',
+  ' 0  0  2  2 -4  1  1  0  2 -2 -3  1 -2 -3  0  1  0 -4 -2 -2  2  1  0 -8',
+  ' 0 -1  2  4 -5  2  3  1  1 -2 -4  0 -3 -6 -1  0  0 -7 -4 -2  3  3 -1 -8',
+  '-2 -4 -4 -5 12 -5 -5 -3 -3 -2 -6 -5 -5 -4 -3  0 -2 -8  0 -2 -4 -5 -3 -8',
+  ' 0  1  1  2 -5  4  2 -1  3 -2 -2  1 -1 -5  0 -1 -1 -5 -4 -2  1  3 -1 -8',
+  ' 0 -1  1  3 -5  2  4  0  1 -2 -3  0 -2 -5 -1  0  0 -7 -4 -2  3  3 -1 -8',
+  ' 1 -3  0  1 -3 -1  0  5 -2 -3 -4 -2 -3 -5  0  1  0 -7 -5 -1  0  0 -1 -8',
+  '-1  2  2  1 -3  3  1 -2  6 -2 -2  0 -2 -2  0 -1 -1 -3  0 -2  1  2 -1 -8',
+  '-1 -2 -2 -2 -2 -2 -2 -3 -2  5  2 -2  2  1 -2 -1  0 -5 -1  4 -2 -2 -1 -8',
+  '-2 -3 -3 -4 -6 -2 -3 -4 -2  2  6 -3  4  2 -3 -3 -2 -2 -1  2 -3 -3 -1 -8',
+  '-1  3  1  0 -5  1  0 -2  0 -2 -3  5  0 -5 -1  0  0 -3 -4 -2  1  0 -1 -8',
+  '-1  0 -2 -3 -5 -1 -2 -3 -2  2  4  0  6  0 -2 -2 -1 -4 -2  2 -2 -2 -1 -8',
+  '-3 -4 -3 -6 -4 -5 -5 -5 -2  1  2 -5  0  9 -5 -3 -3  0  7 -1 -4 -5 -2 -8',
+  ' 1  0  0 -1 -3  0 -1  0  0 -2 -3 -1 -2 -5  6  1  0 -6 -5 -1 -1  0 -1 -8',
+  ' 1  0  1  0  0 -1  0  1 -1 -1 -3  0 -2 -3  1  2  1 -2 -3 -1  0  0  0 -8',
+  ' 1 -1  0  0 -2 -1  0  0 -1  0 -2  0 -1 -3  0  1  3 -5 -3  0  0 -1  0 -8',
+  '-6  2 -4 -7 -8 -5 -7 -7 -3 -5 -2 -3 -4  0 -6 -2 -5 17  0 -6 -5 -6 -4 -8',
+  '-3 -4 -2 -4  0 -4 -4 -5  0 -1 -1 -4 -2  7 -5 -3 -3  0 10 -2 -3 -4 -2 -8',
+  ' 0 -2 -2 -2 -2 -2 -2 -1 -2  4  2 -2  2 -1 -1 -1  0 -6 -2  4 -2 -2 -1 -8',
+  ' 0 -1  2  3 -4  1  3  0  1 -2 -3  1 -2 -4 -1  0  0 -5 -3 -2  3  2 -1 -8',
+  ' 0  0  1  3 -5  3  3  0  2 -2 -3  0 -2 -5  0  0 -1 -6 -4 -2  2  3 -1 -8',
+  ' 0 -1  0 -1 -3 -1 -1 -1 -1 -1 -1 -1 -1 -2 -1  0  0 -4 -2 -1 -1 -1 -1 -8',
+  '-8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8  1'
+]);
+
+const SUBSTITUTION_MATRICES = { BLOSUM62, PAM250 };
+
+/**
+ * Default scoring per alphabet (BLASTN / BLASTP defaults)
+ */
+const ALIGNMENT_DEFAULTS = {
+  nucleotide: { substitution: 'DNA', match: 2, mismatch: -3, gapOpen: 5, gapExtend: 2 },
+  protein: { substitution: 'BLOSUM62', gapOpen: 11, gapExtend: 1 }
+};
+
+// ============================================================================
+// Input Handling
+// ============================================================================
+
+/**
+ * Normalise a sequence to an array of residue letters.
+ * Accepts a string or an array of nucleotide / amino acid primes.
+ */
+function toResidues(sequence) {
+  if (typeof sequence === 'string') {
+    return { residues: sequence.replace(/\s/g, '').toUpperCase().split(''), alphabet: null };
+  }
+  if (!Array.isArray(sequence)) {
+    throw new Error('Sequence must be a string or an array of primes');
+  }
+  if (sequence.length === 0) {
+    return { residues: [], alphabet: null };
+  }
+
+  // Same rule as BioinformaticsBackend.decode: nucleotide primes are <= 11.
+  // A loop rather than Math.max(...sequence), which overflows the call
+  // stack on genome-length arrays
+  let nucleotide = true;
+  for (const p of sequence) {
+    if (p > 11) {
+      nucleotide = false;
+      break;
+    }
+  }
+  const table = nucleotide ? PRIME_TO_NUCLEOTIDE : PRIME_TO_AMINO_ACID;
+  const residues = sequence.map(p => {
+    const residue = table[p];
+    if (residue === undefined) {
+      throw new Error(`Unknown ${nucleotide ? 'nucleotide' : 'amino acid'} prime: ${p}`);
+    }
+    return residue;
+  });
+  return { residues, alphabet: nucleotide ? 'nucleotide' : 'protein' };
+}
+
+/**
+ * Pick the alphabet shared by all sequences
+ */
+function detectAlphabet(sequences) {
+  const known = new Set(sequences.map(s => s.alphabet).filter(Boolean));
+  if (known.size > 1) {
+    throw new Error('Cannot align a nucleotide sequence against a protein sequence');
+  }
+  if (known.size === 1) return [...known][0];
+  const isNucleotide = (r) => r.every(c => 'ACGTUN'.includes(c));
+  return sequences.every(s => isNucleotide(s.residues)) ? 'nucleotide' : 'protein';
+}
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+/**
+ * Build a (x, y) => score function for the requested substitution
+ *
+ * @param {string|Object|Function} substitution - 'DNA', 'BLOSUM62', 'PAM250',
+ *   'resonance', a nested { A: { A: 4, ... } } table or a function of two letters
+ * @param {Object} options - match, mismatch, resonanceScale, resonanceCalculator
+ * @param {string} alphabet - 'nucleotide' or 'protein'
+ */
+function createSubstitution(substitution, options, alphabet) {
+  if (typeof substitution === 'function') {
+    return substitution;
+  }
+
+  if (substitution === 'DNA') {
+    const { match, mismatch } = options;
+    // T and U are the same base across DNA and RNA
+    const base = (c) => (c === 'U' ? 'T' : c);
+    return (x, y) => (base(x) === base(y) && x !== 'N' ? match : mismatch);
+  }
+
+  if (substitution === 'resonance') {
+    const calculator = options.resonanceCalculator || new ResonanceCalculator();
+    const scale = options.resonanceScale ?? 4;
+    const primes = alphabet === 'nucleotide' ? NUCLEOTIDE_PRIMES : AMINO_ACID_PRIMES;
+    // Map resonance in [0, 1] onto [-scale, scale]; identical primes score +scale
+    return (x, y) => {
+      const p = primes[x];
+      const q = primes[y];
+      if (p === undefined || q === undefined) return -scale;
+      return scale * (2 * Math.min(calculator.calculateResonance(p, q), 1) - 1);
+    };
+  }
+
+  const table = typeof substitution === 'string' ? SUBSTITUTION_MATRICES[substitution] : substitution;
+  if (!table || typeof table !== 'object') {
+    throw new Error(`Unknown substitution matrix: ${substitution} (expected ${['DNA', 'resonance', ...Object.keys(SUBSTITUTION_MATRICES)].join(', ')})`);
+  }
+  return (x, y) => {
+    const score = (table[x] ?? table.X)?.[y] ?? (table[x] ?? table.X)?.X;
+    if (score === undefined) {
+      throw new Error(`No substitution score for ${x}/${y}`);
+    }
+    return score;
+  };
+}
+
+// ============================================================================
+// Alignment
+// ============================================================================
+
+// Traceback states
+const M = 0;      // residue against residue
+const X = 1;      // residue of seq1 against a gap (deletion)
+const Y = 2;      // residue of seq2 against a gap (insertion)
+const START = 3;  // local alignment starts here
+
+/**
+ * Align two sequences with affine gap penalties
+ *
+ * seq1 is treated as the reference for the CIGAR string: 'D' consumes
+ * seq1 only, 'I' consumes seq2 only, and local alignments soft-clip
+ * ('S') the unaligned ends of seq2.
+ *
+ * @param {string|number[]} seq1 - Reference sequence (letters or primes)
+ * @param {string|number[]} seq2 - Query sequence (letters or primes)
+ * @param {Object} [options]
+ * @param {string} [options.mode='global'] - 'global', 'local' or 'semi-global'
+ * @param {string|Object|Function} [options.substitution] - 'DNA' (nucleotide default),
+ *   'BLOSUM62' (protein default), 'PAM250', 'resonance', a table or a function
+ * @param {number} [options.match=2] - DNA match score
+ * @param {number} [options.mismatch=-3] - DNA mismatch score
+ * @param {number} [options.gapOpen] - Gap opening penalty (5 nucleotide, 11 protein)
+ * @param {number} [options.gapExtend] - Per-residue gap penalty (2 nucleotide, 1 protein)
+ * @param {number} [options.resonanceScale=4] - Score of an identical pair under 'resonance'
+ * @param {ResonanceCalculator} [options.resonanceCalculator] - Calculator for 'resonance'
+ * @param {boolean} [options.extendedCigar=false] - Use '='/'X' instead of 'M'
+ * @returns {Object} Alignment with score, cigar, aligned text and statistics
+ */
+function alignSequences(seq1, seq2, options = {}) {
+  const mode = options.mode || 'global';
+  if (!ALIGNMENT_MODES.includes(mode)) {
+    throw new Error(`Unknown alignment mode: ${mode} (expected ${ALIGNMENT_MODES.join(', ')})`);
+  }
+
+  const { alphabet, residues: [a, b], score, gapOpen, gapExtend } = resolveScoring([seq1, seq2], options);
+  const result = affineAlign(a.length, b.length, (i, j) => score(a[i], b[j]), { mode, gapOpen, gapExtend });
+  const local = mode === 'local';
+
+  return buildResult({
+    mode,
+    alphabet,
+    score: result.score,
+    columns: result.columns,
+    a,
+    b,
+    scoreFn: score,
+    range1: [result.start1, result.end1],
+    range2: [result.start2, result.end2],
+    clip: local ? [result.start2, b.length - result.end2] : [0, 0],
+    extendedCigar: !!options.extendedCigar
+  });
+}
+
+/**
+ * Normalise sequences and resolve scoring options against the defaults
+ * for their shared alphabet
+ *
+ * @param {Array<string|number[]>} sequences - Letters or primes
+ * @param {Object} options - See alignSequences
+ * @returns {{alphabet: string, residues: string[][], score: Function, gapOpen: number, gapExtend: number}}
+ */
+function resolveScoring(sequences, options = {}) {
+  const parsed = sequences.map(toResidues);
+  const alphabet = detectAlphabet(parsed);
+  const opts = { ...ALIGNMENT_DEFAULTS[alphabet], ...stripUndefined(options) };
+  const { gapOpen, gapExtend } = opts;
+  if (!(gapOpen >= 0 && gapExtend >= 0 && Number.isFinite(gapOpen) && Number.isFinite(gapExtend))) {
+    throw new Error('Gap penalties must be non-negative numbers');
+  }
+  return {
+    alphabet,
+    residues: parsed.map(s => s.residues),
+    score: createSubstitution(opts.substitution, opts, alphabet),
+    gapOpen,
+    gapExtend
+  };
+}
+
+/**
+ * Gotoh dynamic programming over an n x m grid of pair scores
+ *
+ * The caller supplies score(i, j) for item i of the first sequence against
+ * item j of the second, so the same recurrences align residues or profile
+ * columns.
+ *
+ * @param {number} n - Length of the first sequence
+ * @param {number} m - Length of the second sequence
+ * @param {Function} score - (i, j) => substitution score
+ * @param {Object} options - mode, gapOpen, gapExtend
+ * @returns {{score: number, columns: Array<[number|null, number|null]>,
+ *   start1: number, end1: number, start2: number, end2: number}}
+ */
+function affineAlign(n, m, score, { mode = 'global', gapOpen, gapExtend }) {
+  const width = m + 1;
+  const size = (n + 1) * width;
+  const local = mode === 'local';
+  const freeEnds = mode === 'semi-global';
+  const openCost = gapOpen + gapExtend;
+
+  const H = new Float64Array(size).fill(-Infinity);
+  const E = new Float64Array(size).fill(-Infinity);
+  const F = new Float64Array(size).fill(-Infinity);
+  const tH = new Uint8Array(size);
+  const tE = new Uint8Array(size);
+  const tF = new Uint8Array(size);
+
+  // Boundaries: leading gaps cost nothing in semi-global mode and cannot
+  // appear in local mode
+  H[0] = 0;
+  if (!local) {
+    for (let i = 1; i <= n; i++) {
+      E[i * width] = freeEnds ? 0 : -(gapOpen + gapExtend * i);
+      tE[i * width] = i === 1 ? M : X;
+    }
+    for (let j = 1; j <= m; j++) {
+      F[j] = freeEnds ? 0 : -(gapOpen + gapExtend * j);
+      tF[j] = j === 1 ? M : Y;
+    }
+  }
+
+  let best = local ? 0 : -Infinity;
+  let bestCell = 0;
+  let bestState = M;
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const idx = i * width + j;
+
+      // Match / mismatch from the diagonal
+      const diag = idx - width - 1;
+      let prev = H[diag];
+      let from = M;
+      if (E[diag] > prev) { prev = E[diag]; from = X; }
+      if (F[diag] > prev) { prev = F[diag]; from = Y; }
+      if (local && !(prev > 0)) { prev = 0; from = START; }
+      H[idx] = prev + score(i - 1, j - 1);
+      tH[idx] = from;
+
+      // Gap in seq2 (consume seq1)
+      const up = idx - width;
+      let e = H[up] - openCost;
+      let eFrom = M;
+      if (E[up] - gapExtend > e) { e = E[up] - gapExtend; eFrom = X; }
+      if (F[up] - openCost > e) { e = F[up] - openCost; eFrom = Y; }
+      E[idx] = e;
+      tE[idx] = eFrom;
+
+      // Gap in seq1 (consume seq2)
+      const left = idx - 1;
+      let f = H[left] - openCost;
+      let fFrom = M;
+      if (F[left] - gapExtend > f) { f = F[left] - gapExtend; fFrom = Y; }
+      if (E[left] - openCost > f) { f = E[left] - openCost; fFrom = X; }
+      F[idx] = f;
+      tF[idx] = fFrom;
+
+      if (local && H[idx] > best) {
+        best = H[idx];
+        bestCell = idx;
+        bestState = M;
+      }
+    }
+  }
+
+  if (!local) {
+    // Global alignments end at (n, m); semi-global ones anywhere on the
+    // last row or column, with the remainder as free trailing gaps
+    const candidates = freeEnds
+      ? [...Array.from({ length: m + 1 }, (_, j) => n * width + j),
+         ...Array.from({ length: n }, (_, i) => i * width + m)]
+      : [n * width + m];
+    for (const idx of candidates) {
+      for (const [state, matrix] of [[M, H], [X, E], [Y, F]]) {
+        if (matrix[idx] > best) {
+          best = matrix[idx];
+          bestCell = idx;
+          bestState = state;
+        }
+      }
+    }
+  }
+
+  // Traceback
+  const columns = [];
+  let i = Math.floor(bestCell / width);
+  let j = bestCell % width;
+  const end1 = i;
+  const end2 = j;
+
+  // Trailing free gaps for semi-global alignments
+  if (freeEnds) {
+    for (let k = m; k > j; k--) columns.push([null, k - 1]);
+    for (let k = n; k > i; k--) columns.push([k - 1, null]);
+  }
+
+  let state = bestState;
+  if (local && best <= 0) state = START;
+  while (state !== START && (i > 0 || j > 0)) {
+    const idx = i * width + j;
+    if (state === M) {
+      columns.push([i - 1, j - 1]);
+      state = tH[idx];
+      i--; j--;
+    } else if (state === X) {
+      columns.push([i - 1, null]);
+      state = tE[idx];
+      i--;
+    } else {
+      columns.push([null, j - 1]);
+      state = tF[idx];
+      j--;
+    }
+  }
+  columns.reverse();
+
+  // Local alignments cover [i, end) of each sequence; the others span both
+  return {
+    score: best,
+    columns,
+    start1: local ? i : 0,
+    end1: local ? end1 : n,
+    start2: local ? j : 0,
+    end2: local ? end2 : m
+  };
+}
+
+/**
+ * Drop undefined options so they do not mask the alphabet defaults
+ */
+function stripUndefined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Turn traceback columns into aligned text, CIGAR and statistics
+ */
+function buildResult({ mode, alphabet, score, columns, a, b, scoreFn, range1, range2, clip, extendedCigar }) {
+  let aligned1 = '';
+  let aligned2 = '';
+  let midline = '';
+  let matches = 0;
+  let mismatches = 0;
+  let gaps = 0;
+  let gapOpens = 0;
+  const ops = [];
+  let lastOp = null;
+
+  for (const [x, y] of columns) {
+    let op;
+    if (x === null || y === null) {
+      aligned1 += x === null ? '-' : a[x];
+      aligned2 += y === null ? '-' : b[y];
+      midline += ' ';
+      op = x === null ? 'I' : 'D';
+      gaps++;
+      if (op !== lastOp) gapOpens++;
+    } else {
+      aligned1 += a[x];
+      aligned2 += b[y];
+      const identical = a[x] === b[y];
+      midline += identical ? '|' : (scoreFn(a[x], b[y]) > 0 ? ':' : '.');
+      if (identical) matches++; else mismatches++;
+      op = extendedCigar ? (identical ? '=' : 'X') : 'M';
+    }
+    ops.push(op);
+    lastOp = op;
+  }
+
+  const length = columns.length;
+  return {
+    mode,
+    alphabet,
+    score,
+    cigar: toCigar(ops, clip),
+    aligned1,
+    aligned2,
+    midline,
+    start1: range1[0],
+    end1: range1[1],
+    start2: range2[0],
+    end2: range2[1],
+    length,
+    matches,
+    mismatches,
+    gaps,
+    gapOpens,
+    identity: length > 0 ? matches / length : 0
+  };
+}
+
+/**
+ * Run-length encode alignment operations, adding soft clips for the query
+ */
+function toCigar(ops, [leadingClip, trailingClip]) {
+  let cigar = leadingClip > 0 ? `${leadingClip}S` : '';
+  for (let k = 0; k < ops.length;) {
+    let run = 1;
+    while (k + run < ops.length && ops[k + run] === ops[k]) run++;
+    cigar += `${run}${ops[k]}`;
+    k += run;
+  }
+  if (trailingClip > 0) cigar += `${trailingClip}S`;
+  return cigar;
+}
+
+/**
+ * Expand a CIGAR string into [length, op] pairs
+ */
+function parseCigar(cigar) {
+  const ops = [];
+  const pattern = /(\d+)([MIDNSHP=X])/y;
+  let match;
+  while (pattern.lastIndex < cigar.length && (match = pattern.exec(cigar)) !== null) {
+    ops.push([Number(match[1]), match[2]]);
+  }
+  if (ops.reduce((sum, [len, op]) => sum + String(len).length + op.length, 0) !== cigar.length) {
+    throw new Error(`Invalid CIGAR string: ${cigar}`);
+  }
+  return ops;
+}
+
+export {
+  ALIGNMENT_MODES,
+  ALIGNMENT_DEFAULTS,
+  BLOSUM62,
+  PAM250,
+  SUBSTITUTION_MATRICES,
+  alignSequences,
+  affineAlign,
+  resolveScoring,
+  createSubstitution,
+  parseCigar
+};
+
+export default {
+  ALIGNMENT_MODES,
+  ALIGNMENT_DEFAULTS,
+  BLOSUM62,
+  PAM250,
+  SUBSTITUTION_MATRICES,
+  alignSequences,
+  affineAlign,
+  resolveScoring,
+  createSubstitution,
+  parseCigar
+};
@@ -43,10 +43,12 @@ const PRIME_TO_NUCLEOTIDE = {
 };
 
 /**
- * Complement mapping for DNA
+ * Complement mapping for DNA, including IUPAC ambiguity codes
  */
 const DNA_COMPLEMENTS = {
-  'A': 'T', 'T': 'A', 'G': 'C', 'C': 'G', 'N': 'N'
+  'A': 'T', 'T': 'A', 'G': 'C', 'C': 'G', 'N': 'N',
+  'R': 'Y', 'Y': 'R', 'S': 'S', 'W': 'W', 'K': 'M', 'M': 'K',
+  'B': 'V', 'V': 'B', 'D': 'H', 'H': 'D'
 };
 
 /**
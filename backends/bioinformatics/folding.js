@@ -11,6 +11,7 @@
 
 // Import encoding module
 import { AMINO_ACID_PRIMES, AMINO_ACID_PROPERTIES, getChargeFromPrime, getHydrophobicityFromPrime } from './encoding.js';
+import { createRng } from '../../core/rng.js';
 
 // Golden ratio constant
 const PHI = 1.618033988749895;
@@ -50,6 +51,9 @@ class FoldingTransform {
       resonanceWeight: options.resonanceWeight || 0.3,
       ...options
     };
+    
+    // Seedable source for initial phases and thermal noise
+    this.rng = createRng(options.rng);
   }
   
   /**
@@ -75,7 +79,7 @@ class FoldingTransform {
     const contactMatrix = this.computeContactPropensity(proteinPrimes);
     
     // Initialize phases randomly
-    const phases = new Array(n).fill(0).map(() => Math.random() * 2 * Math.PI);
+    const phases = new Array(n).fill(0).map(() => this.rng.next() * 2 * Math.PI);
     
     // Evolution tracking
     const history = {
@@ -227,8 +231,8 @@ class FoldingTransform {
    */
   thermalNoise() {
     // Box-Muller transform for Gaussian noise
-    const u1 = Math.random();
-    const u2 = Math.random();
+    const u1 = this.rng.next();
+    const u2 = this.rng.next();
     const gaussian = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
     return gaussian * Math.sqrt(this.options.temperature) * 0.1;
   }
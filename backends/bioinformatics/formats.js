@@ -0,0 +1,874 @@
+/**
+ * Sequence File Formats - FASTQ, GenBank and GFF3
+ *
+ * Each format has an incremental parser (write chunks, get back completed
+ * records) and a generator writer (records in, text chunks out), so large
+ * files can be streamed. parseX / formatX wrap them for whole strings.
+ *
+ * Coordinates are converted to 0-based, end-exclusive { start, end }
+ * ranges on parse - the same convention as Array.slice and
+ * TranscriptionOperator.splice - and back to 1-based inclusive on write.
+ */
+
+import { parseFASTA, DNA_COMPLEMENTS, PRIME_COMPLEMENTS } from './encoding.js';
+import { ValidationError } from '../../core/errors.js';
+
+function syntaxError(format, line, message) {
+  return new ValidationError(`${format} line ${line}: ${message}`, {
+    code: `${format.toUpperCase()}_SYNTAX`,
+    metadata: { line }
+  });
+}
+
+// ============================================================================
+// Line Buffering
+// ============================================================================
+
+/**
+ * Splits string or byte chunks into lines and hands them to handleLine()
+ */
+class LineParser {
+  constructor() {
+    this.buffer = '';
+    this.decoder = null;
+    this.lineNumber = 0;
+  }
+
+  /**
+   * Feed a chunk of text or bytes
+   * @param {string|Uint8Array} chunk
+   * @returns {Object[]} Records completed by this chunk
+   */
+  write(chunk) {
+    const text = typeof chunk === 'string'
+      ? chunk
+      : (this.decoder ??= new TextDecoder()).decode(chunk, { stream: true });
+    const lines = (this.buffer + text).split('\n');
+    this.buffer = lines.pop();
+    return this.handleLines(lines);
+  }
+
+  /**
+   * Flush buffered input
+   * @returns {Object[]} Remaining records
+   */
+  end() {
+    const tail = this.buffer + (this.decoder ? this.decoder.decode() : '');
+    this.buffer = '';
+    const records = tail.length > 0 ? this.handleLines([tail]) : [];
+    return [...records, ...this.finish()];
+  }
+
+  handleLines(lines) {
+    const records = [];
+    for (const raw of lines) {
+      this.lineNumber++;
+      const record = this.handleLine(raw.endsWith('\r') ? raw.slice(0, -1) : raw);
+      if (record) records.push(record);
+    }
+    return records;
+  }
+
+  finish() {
+    return [];
+  }
+}
+
+/**
+ * Stream records from an (async) iterable of chunks through a parser
+ *
+ * @param {AsyncIterable|Iterable|string} source - Node or web stream, array of chunks or a string
+ * @param {LineParser} parser - e.g. new FASTQParser()
+ */
+async function* readSequenceRecords(source, parser) {
+  const chunks = typeof source === 'string' ? [source] : source;
+  for await (const chunk of chunks) {
+    yield* parser.write(chunk);
+  }
+  yield* parser.end();
+}
+
+// ============================================================================
+// FASTQ
+// ============================================================================
+
+/**
+ * FASTQ parser; sequence and quality may wrap over several lines
+ *
+ * Records: { id, description, sequence, quality, scores }
+ */
+class FASTQParser extends LineParser {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.offset=33] - Phred quality offset
+   */
+  constructor(options = {}) {
+    super();
+    this.offset = options.offset ?? 33;
+    this.record = null;
+    this.state = 'header';
+  }
+
+  handleLine(line) {
+    if (this.state === 'header') {
+      if (line.trim() === '') return null;
+      if (!line.startsWith('@')) {
+        throw syntaxError('FASTQ', this.lineNumber, `expected '@' header, got '${line.slice(0, 20)}'`);
+      }
+      const [id, ...description] = line.slice(1).trim().split(/\s+/);
+      this.record = { id, description: description.join(' '), sequence: '', quality: '' };
+      this.state = 'sequence';
+      return null;
+    }
+
+    if (this.state === 'sequence') {
+      if (line.startsWith('+')) {
+        this.state = 'quality';
+        return this.record.sequence.length === 0 ? this.complete() : null;
+      }
+      this.record.sequence += line.trim();
+      return null;
+    }
+
+    this.record.quality += line.trim();
+    if (this.record.quality.length >= this.record.sequence.length) {
+      return this.complete();
+    }
+    return null;
+  }
+
+  complete() {
+    const record = this.record;
+    if (record.quality.length !== record.sequence.length) {
+      throw syntaxError('FASTQ', this.lineNumber,
+        `quality length ${record.quality.length} does not match sequence length ${record.sequence.length} for ${record.id}`);
+    }
+    record.scores = Array.from(record.quality, c => c.charCodeAt(0) - this.offset);
+    this.record = null;
+    this.state = 'header';
+    return record;
+  }
+
+  finish() {
+    if (this.state !== 'header') {
+      throw syntaxError('FASTQ', this.lineNumber, `truncated record ${this.record.id}`);
+    }
+    return [];
+  }
+}
+
+/**
+ * Parse FASTQ text
+ * @returns {Array<{id: string, description: string, sequence: string, quality: string, scores: number[]}>}
+ */
+function parseFASTQ(text, options = {}) {
+  const parser = new FASTQParser(options);
+  return [...parser.write(text), ...parser.end()];
+}
+
+/**
+ * Write FASTQ records one chunk per record. Quality comes from `quality`
+ * or, failing that, Phred `scores`.
+ */
+function* writeFASTQ(records, options = {}) {
+  const offset = options.offset ?? 33;
+  for (const record of records) {
+    const quality = record.quality ??
+      String.fromCharCode(...(record.scores || []).map(q => q + offset));
+    if (quality.length !== record.sequence.length) {
+      throw new Error(`FASTQ record ${record.id}: quality length ${quality.length} does not match sequence length ${record.sequence.length}`);
+    }
+    const header = record.description ? `${record.id} ${record.description}` : record.id;
+    yield `@${header}\n${record.sequence}\n+\n${quality}\n`;
+  }
+}
+
+function formatFASTQ(records, options = {}) {
+  return [...writeFASTQ(records, options)].join('');
+}
+
+// ============================================================================
+// Feature Locations
+// ============================================================================
+
+/**
+ * Parse an INSDC location string
+ *
+ * Supports ranges (a..b, <a..>b), single bases, sites (a^b), complement(),
+ * join() and order(). Remote (ACCESSION:a..b) and mixed-strand locations
+ * are rejected.
+ *
+ * @param {string} text - e.g. 'complement(join(3300..3400,3500..>4037))'
+ * @returns {{strand: number, operator: string|null, ranges: Array<{start: number, end: number, partialStart: boolean, partialEnd: boolean}>}}
+ */
+function parseLocation(text) {
+  const source = text.replace(/\s/g, '');
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid location '${text}': ${message}`);
+  };
+
+  const parse = (strand) => {
+    for (const op of ['complement', 'join', 'order']) {
+      if (source.startsWith(`${op}(`, pos)) {
+        pos += op.length + 1;
+        const parts = [parse(op === 'complement' ? -strand : strand)];
+        while (op !== 'complement' && source[pos] === ',') {
+          pos++;
+          parts.push(parse(strand));
+        }
+        if (source[pos++] !== ')') fail(`missing ')' after ${op}`);
+        const ranges = parts.flatMap(p => p.ranges);
+        const operator = op === 'complement' ? parts[0].operator : op;
+        return { ranges, operator };
+      }
+    }
+
+    const match = /^([<>]?)(\d+)(?:(\.\.|\^)([<>]?)(\d+))?/.exec(source.slice(pos));
+    if (!match) {
+      if (/^[A-Za-z][\w.]*:/.test(source.slice(pos))) fail('remote locations are not supported');
+      fail(`unexpected '${source.slice(pos, pos + 10)}'`);
+    }
+    pos += match[0].length;
+    const first = Number(match[2]);
+    const last = match[5] !== undefined ? Number(match[5]) : first;
+    const range = match[3] === '^'
+      // A site between two bases has no extent
+      ? { start: first, end: first, partialStart: false, partialEnd: false }
+      : {
+          start: first - 1,
+          end: last,
+          partialStart: match[1] === '<' || match[1] === '>',
+          partialEnd: match[4] === '>' || match[4] === '<' || (match[3] === undefined && match[1] === '>')
+        };
+    return { ranges: [{ ...range, strand }], operator: null };
+  };
+
+  const { ranges, operator } = parse(1);
+  if (pos !== source.length) fail(`unexpected '${source.slice(pos)}'`);
+
+  const strands = new Set(ranges.map(r => r.strand));
+  if (strands.size > 1) fail('mixed-strand locations are not supported');
+
+  return {
+    strand: ranges[0].strand,
+    operator,
+    ranges: ranges
+      .map(({ strand, ...range }) => range)
+      .sort((a, b) => a.start - b.start)
+  };
+}
+
+/**
+ * Format { strand, operator, ranges } back into an INSDC location string
+ */
+function formatLocation(location) {
+  const ranges = location.ranges.map(r => {
+    if (r.end === r.start) return `${r.start}^${r.start + 1}`;
+    const from = `${r.partialStart ? '<' : ''}${r.start + 1}`;
+    const to = `${r.partialEnd ? '>' : ''}${r.end}`;
+    return r.end - r.start === 1 && !r.partialStart && !r.partialEnd ? to : `${from}..${to}`;
+  });
+  const joined = ranges.length > 1 ? `${location.operator || 'join'}(${ranges.join(',')})` : ranges[0];
+  return location.strand === -1 ? `complement(${joined})` : joined;
+}
+
+/**
+ * Ranges and strand of a GenBank feature, a GFF3 feature or an array of
+ * GFF3 segments (e.g. the CDS lines of one transcript)
+ */
+function featureLocation(feature) {
+  const parts = Array.isArray(feature) ? feature : [feature];
+  if (parts.length === 0) {
+    throw new Error('Feature has no location');
+  }
+  const ranges = parts
+    .flatMap(f => f.ranges || [{ start: f.start, end: f.end }])
+    .sort((a, b) => a.start - b.start);
+  const strand = parts[0].strand === -1 || parts[0].strand === '-' ? -1 : 1;
+  return { strand, ranges };
+}
+
+/**
+ * Extract the bases covered by a feature, in transcription order
+ *
+ * Works on sequence strings and nucleotide prime arrays; minus-strand
+ * features are reverse-complemented.
+ *
+ * @param {string|number[]} sequence - Sequence in the feature's coordinates
+ * @param {Object|Object[]} feature - GenBank feature, GFF3 feature or GFF3 segments
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Coordinate of sequence[0]
+ */
+function extractFeature(sequence, feature, options = {}) {
+  const offset = options.offset || 0;
+  const { strand, ranges } = featureLocation(feature);
+  const isString = typeof sequence === 'string';
+  const parts = ranges.map(r => sequence.slice(r.start - offset, r.end - offset));
+  let extracted = isString ? parts.join('') : parts.flat();
+
+  if (strand === -1) {
+    extracted = isString
+      ? [...extracted.toUpperCase()].reverse().map(c => DNA_COMPLEMENTS[c] || c).join('')
+      : extracted.map(p => PRIME_COMPLEMENTS[p] || p).reverse();
+  }
+  return extracted;
+}
+
+// ============================================================================
+// GenBank
+// ============================================================================
+
+const FEATURE_INDENT = 21;
+
+/**
+ * GenBank flat file parser
+ *
+ * Records: { locus, definition, accession, version, keywords, organism,
+ * taxonomy, header, features, sequence }. `header` keeps every keyword
+ * block ({ key, value, sub }) with original line breaks for round trips;
+ * features are { type, location, strand, operator, ranges, qualifiers }.
+ * Qualifier values are strings, arrays for repeated keys, or true for flags.
+ */
+class GenBankParser extends LineParser {
+  constructor() {
+    super();
+    this.reset();
+  }
+
+  reset() {
+    this.record = null;
+    this.section = 'header';
+    this.feature = null;
+    this.qualifier = null;
+    this.sequenceParts = [];
+  }
+
+  handleLine(line) {
+    if (this.record === null) {
+      if (line.trim() === '') return null;
+      if (!line.startsWith('LOCUS')) {
+        throw syntaxError('GenBank', this.lineNumber, `expected LOCUS, got '${line.slice(0, 20)}'`);
+      }
+      this.record = { locus: parseLocusLine(line), header: [], features: [], sequence: '' };
+      return null;
+    }
+
+    if (line.startsWith('//')) {
+      return this.complete();
+    }
+
+    if (this.section === 'sequence') {
+      this.sequenceParts.push(line.replace(/[\d\s]/g, ''));
+      return null;
+    }
+
+    if (line.startsWith('ORIGIN')) {
+      this.closeFeature();
+      this.section = 'sequence';
+      return null;
+    }
+
+    if (line.startsWith('FEATURES')) {
+      this.section = 'features';
+      return null;
+    }
+
+    if (this.section === 'features' && line.startsWith(' ')) {
+      this.featureLine(line);
+      return null;
+    }
+
+    this.headerLine(line);
+    return null;
+  }
+
+  headerLine(line) {
+    if (line.trim() === '') return;
+    this.closeFeature();
+    this.section = 'header';
+    const { header } = this.record;
+    const key = line.slice(0, 12).trim();
+    const value = line.slice(12).trimEnd();
+
+    if (key === '') {
+      // Continuation of the last keyword or sub-keyword
+      const last = header[header.length - 1];
+      if (!last) throw syntaxError('GenBank', this.lineNumber, 'continuation line before any keyword');
+      const target = last.sub.length > 0 ? last.sub[last.sub.length - 1] : last;
+      target.value += `\n${value.trim()}`;
+    } else if (line.startsWith(' ')) {
+      const last = header[header.length - 1];
+      if (!last) throw syntaxError('GenBank', this.lineNumber, `sub-keyword ${key} before any keyword`);
+      last.sub.push({ key, value: value.trim() });
+    } else {
+      header.push({ key, value: value.trim(), sub: [] });
+    }
+  }
+
+  featureLine(line) {
+    const key = line.slice(5, FEATURE_INDENT).trim();
+    const text = line.slice(FEATURE_INDENT).trim();
+
+    if (key !== '') {
+      this.closeFeature();
+      this.feature = { type: key, location: text, qualifiers: [] };
+      return;
+    }
+    if (!this.feature) {
+      throw syntaxError('GenBank', this.lineNumber, 'qualifier outside a feature');
+    }
+
+    const open = this.qualifier && this.qualifier.raw.startsWith('"') && !closesQuote(this.qualifier.raw);
+    if (text.startsWith('/') && !open) {
+      const eq = text.indexOf('=');
+      this.qualifier = eq === -1
+        ? { key: text.slice(1), raw: null }
+        : { key: text.slice(1, eq), raw: text.slice(eq + 1) };
+      this.feature.qualifiers.push(this.qualifier);
+    } else if (this.qualifier) {
+      this.qualifier.raw += `\n${text}`;
+    } else {
+      this.feature.location += text;
+    }
+  }
+
+  closeFeature() {
+    if (!this.feature) return;
+    const { type, location, qualifiers } = this.feature;
+    let parsed;
+    try {
+      parsed = parseLocation(location);
+    } catch (error) {
+      throw syntaxError('GenBank', this.lineNumber, error.message);
+    }
+
+    const values = {};
+    for (const { key, raw } of qualifiers) {
+      const value = qualifierValue(key, raw);
+      if (!(key in values)) {
+        values[key] = value;
+      } else {
+        values[key] = [].concat(values[key], value);
+      }
+    }
+
+    this.record.features.push({ type, location, ...parsed, qualifiers: values });
+    this.feature = null;
+    this.qualifier = null;
+  }
+
+  complete() {
+    this.closeFeature();
+    const record = this.record;
+    record.sequence = this.sequenceParts.join('').toUpperCase();
+
+    const field = (key) => record.header.find(h => h.key === key);
+    const flat = (value) => (value ?? '').replace(/\s*\n\s*/g, ' ').trim();
+    const source = field('SOURCE');
+    const organism = source?.sub.find(s => s.key === 'ORGANISM');
+    const [organismName, ...lineage] = organism ? organism.value.split('\n') : [];
+
+    record.definition = flat(field('DEFINITION')?.value);
+    record.accession = flat(field('ACCESSION')?.value).split(' ')[0] || record.locus.name;
+    record.version = flat(field('VERSION')?.value).split(' ')[0] || null;
+    record.keywords = flat(field('KEYWORDS')?.value).replace(/\.$/, '');
+    record.organism = organismName || null;
+    record.taxonomy = lineage.join(' ').replace(/\.$/, '').split(';').map(s => s.trim()).filter(Boolean);
+
+    if (record.locus.length !== null && record.sequence.length > 0 && record.sequence.length !== record.locus.length) {
+      throw syntaxError('GenBank', this.lineNumber,
+        `sequence length ${record.sequence.length} does not match LOCUS length ${record.locus.length}`);
+    }
+
+    this.reset();
+    return record;
+  }
+
+  finish() {
+    if (this.record !== null) {
+      throw syntaxError('GenBank', this.lineNumber, `record ${this.record.locus.name} is missing its '//' terminator`);
+    }
+    return [];
+  }
+}
+
+function parseLocusLine(line) {
+  const tokens = line.slice(5).trim().split(/\s+/);
+  const unit = tokens.findIndex(t => t === 'bp' || t === 'aa');
+  const rest = unit === -1 ? [] : tokens.slice(unit + 1);
+  const topology = rest.find(t => t === 'linear' || t === 'circular') || null;
+  const date = rest.find(t => /^\d{1,2}-[A-Z]{3}-\d{4}$/.test(t)) || null;
+  // Remaining tokens are molecule type then division, either may be absent
+  const [moleculeType = null, division = null] = rest.filter(t => t !== topology && t !== date);
+  return {
+    name: tokens[0],
+    length: unit > 0 ? Number(tokens[unit - 1]) : null,
+    unit: unit === -1 ? null : tokens[unit],
+    moleculeType,
+    topology,
+    division,
+    date
+  };
+}
+
+function closesQuote(raw) {
+  const quotes = (raw.match(/"/g) || []).length;
+  return quotes >= 2 && quotes % 2 === 0 && raw.endsWith('"');
+}
+
+function qualifierValue(key, raw) {
+  if (raw === null) return true;
+  if (!raw.startsWith('"')) return raw.replace(/\n/g, '');
+  // Protein translations wrap mid-sequence; free text wraps at spaces
+  const joiner = key === 'translation' ? '' : ' ';
+  return raw.slice(1, raw.endsWith('"') ? -1 : undefined)
+    .split('\n').join(joiner)
+    .replace(/""/g, '"');
+}
+
+/**
+ * Parse GenBank text into records
+ */
+function parseGenBank(text) {
+  const parser = new GenBankParser();
+  return [...parser.write(text), ...parser.end()];
+}
+
+/**
+ * Write GenBank records one chunk per record
+ */
+function* writeGenBank(records) {
+  for (const record of records) {
+    const lines = [locusLine(record)];
+    const header = record.header && record.header.length > 0 ? record.header : defaultHeader(record);
+
+    for (const { key, value, sub = [] } of header) {
+      lines.push(...headerLines(key.padEnd(12), value));
+      for (const entry of sub) {
+        lines.push(...headerLines(`  ${entry.key}`.padEnd(12), entry.value));
+      }
+    }
+
+    lines.push('FEATURES             Location/Qualifiers');
+    for (const feature of record.features || []) {
+      const location = feature.location || formatLocation(feature);
+      lines.push(...wrapFeatureText(`     ${feature.type.padEnd(16)}`, location, ','));
+      for (const [key, value] of Object.entries(feature.qualifiers || {})) {
+        for (const v of [].concat(value)) {
+          lines.push(...qualifierLines(key, v));
+        }
+      }
+    }
+
+    lines.push('ORIGIN');
+    const sequence = (record.sequence || '').toLowerCase();
+    for (let i = 0; i < sequence.length; i += 60) {
+      const groups = sequence.slice(i, i + 60).match(/.{1,10}/g).join(' ');
+      lines.push(`${String(i + 1).padStart(9)} ${groups}`);
+    }
+    lines.push('//');
+    yield lines.join('\n') + '\n';
+  }
+}
+
+function formatGenBank(records) {
+  return [...writeGenBank(Array.isArray(records) ? records : [records])].join('');
+}
+
+function locusLine(record) {
+  const locus = record.locus || {};
+  const name = locus.name || record.accession || 'unnamed';
+  const length = locus.length ?? (record.sequence || '').length;
+  return [
+    `LOCUS       ${name.padEnd(16)} ${String(length).padStart(11)} ${locus.unit || 'bp'}`,
+    `    ${(locus.moleculeType || 'DNA').padEnd(7)} ${(locus.topology || 'linear').padEnd(8)}`,
+    ` ${locus.division || 'UNK'} ${locus.date || '01-JAN-1980'}`
+  ].join('');
+}
+
+function defaultHeader(record) {
+  const header = [
+    { key: 'DEFINITION', value: record.definition || '.' },
+    { key: 'ACCESSION', value: record.accession || record.locus?.name || 'unnamed' }
+  ];
+  if (record.version) header.push({ key: 'VERSION', value: record.version });
+  header.push({ key: 'KEYWORDS', value: record.keywords ? `${record.keywords}.` : '.' });
+  if (record.organism) {
+    const lineage = record.taxonomy?.length ? [`${record.taxonomy.join('; ')}.`] : [];
+    header.push({
+      key: 'SOURCE',
+      value: record.organism,
+      sub: [{ key: 'ORGANISM', value: [record.organism, ...lineage].join('\n') }]
+    });
+  }
+  return header;
+}
+
+/**
+ * Keyword block lines; explicit line breaks are kept, long lines wrap at spaces
+ */
+function headerLines(prefix, value) {
+  const out = [];
+  value.split('\n').forEach((text, i) => {
+    wrapWords(text, 80 - 12).forEach((part, j) => {
+      out.push((i === 0 && j === 0 ? prefix : ' '.repeat(12)) + part);
+    });
+  });
+  return out;
+}
+
+function wrapWords(text, width) {
+  if (text.length <= width) return [text];
+  const lines = [];
+  let current = '';
+  for (const word of text.split(' ')) {
+    if (current && current.length + word.length + 1 > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+function wrapFeatureText(prefix, text, breakAfter) {
+  const width = 79 - FEATURE_INDENT;
+  const lines = [];
+  let rest = text;
+  while (rest.length > width) {
+    let cut = breakAfter ? rest.lastIndexOf(breakAfter, width - 1) + 1 : 0;
+    if (cut <= 0) cut = width;
+    lines.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  lines.push(rest);
+  return lines.map((line, i) => (i === 0 ? prefix : ' '.repeat(FEATURE_INDENT)) + line);
+}
+
+function qualifierLines(key, value) {
+  const indent = ' '.repeat(FEATURE_INDENT);
+  if (value === true) return [`${indent}/${key}`];
+  const text = String(value);
+  const bare = /^\d+$/.test(text) || /^\(.*\)$/.test(text);
+  const body = `/${key}=${bare ? text : `"${text.replace(/"/g, '""')}"`}`;
+  if (key === 'translation') {
+    return wrapFeatureText(indent, body, null);
+  }
+  return wrapWords(body, 79 - FEATURE_INDENT).flatMap(line => wrapFeatureText(indent, line, null));
+}
+
+// ============================================================================
+// GFF3
+// ============================================================================
+
+const GFF3_RESERVED = /[\t\n\r%;=&,\x00-\x1f\x7f]/g;
+
+/**
+ * GFF3 parser
+ *
+ * Streams features { seqid, source, type, start, end, score, strand,
+ * phase, attributes }. Directives, sequence regions and any ##FASTA
+ * sequences are collected on the parser. Attribute values are strings,
+ * or arrays when the file lists several comma-separated values.
+ */
+class GFF3Parser extends LineParser {
+  constructor() {
+    super();
+    this.version = null;
+    this.directives = [];
+    this.sequenceRegions = [];
+    this.fasta = null;
+    this.sequences = [];
+  }
+
+  handleLine(line) {
+    if (this.fasta !== null) {
+      this.fasta.push(line);
+      return null;
+    }
+    if (line.trim() === '') return null;
+
+    if (line.startsWith('##')) {
+      this.directive(line);
+      return null;
+    }
+    if (line.startsWith('#')) return null;
+    if (line.startsWith('>')) {
+      // FASTA without the directive is tolerated
+      this.fasta = [line];
+      return null;
+    }
+
+    const columns = line.split('\t');
+    if (columns.length !== 9) {
+      throw syntaxError('GFF3', this.lineNumber, `expected 9 tab-separated columns, got ${columns.length}`);
+    }
+    const [seqid, source, type, start, end, score, strand, phase, attributes] = columns;
+    const from = Number(start);
+    const to = Number(end);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+      throw syntaxError('GFF3', this.lineNumber, `invalid coordinates ${start}..${end}`);
+    }
+    if (!['+', '-', '.', '?'].includes(strand)) {
+      throw syntaxError('GFF3', this.lineNumber, `invalid strand '${strand}'`);
+    }
+    if (!['.', '0', '1', '2'].includes(phase)) {
+      throw syntaxError('GFF3', this.lineNumber, `invalid phase '${phase}'`);
+    }
+    if (type === 'CDS' && phase === '.') {
+      throw syntaxError('GFF3', this.lineNumber, 'CDS features need a phase');
+    }
+
+    return {
+      seqid: decodeURIComponent(seqid),
+      source: decodeURIComponent(source),
+      type: decodeURIComponent(type),
+      start: from - 1,
+      end: to,
+      score: score === '.' ? null : Number(score),
+      strand,
+      phase: phase === '.' ? null : Number(phase),
+      attributes: parseAttributes(attributes)
+    };
+  }
+
+  directive(line) {
+    const [name, ...rest] = line.slice(2).trim().split(/\s+/);
+    if (name === 'FASTA') {
+      this.fasta = [];
+      return;
+    }
+    if (name === '#' || name === '') return;
+    this.directives.push({ name, value: rest.join(' ') });
+    if (name === 'gff-version') this.version = rest[0];
+    if (name === 'sequence-region') {
+      this.sequenceRegions.push({ seqid: rest[0], start: Number(rest[1]) - 1, end: Number(rest[2]) });
+    }
+  }
+
+  finish() {
+    if (this.fasta !== null) {
+      this.sequences = parseFASTA(this.fasta.join('\n'))
+        .map(({ header, sequence }) => ({ id: header.split(/\s+/)[0], header, sequence }));
+    }
+    return [];
+  }
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  if (text === '.' || text.trim() === '') return attributes;
+  for (const pair of text.split(';')) {
+    if (pair.trim() === '') continue;
+    const eq = pair.indexOf('=');
+    const key = decodeURIComponent(eq === -1 ? pair.trim() : pair.slice(0, eq).trim());
+    const values = eq === -1 ? [''] : pair.slice(eq + 1).split(',').map(decodeURIComponent);
+    attributes[key] = values.length === 1 ? values[0] : values;
+  }
+  return attributes;
+}
+
+function encodeGFF3(value) {
+  return String(value).replace(GFF3_RESERVED, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * Parse GFF3 text
+ * @returns {{version: string|null, directives: Object[], sequenceRegions: Object[], features: Object[], sequences: Object[]}}
+ */
+function parseGFF3(text) {
+  const parser = new GFF3Parser();
+  const features = [...parser.write(text), ...parser.end()];
+  return {
+    version: parser.version,
+    directives: parser.directives,
+    sequenceRegions: parser.sequenceRegions,
+    features,
+    sequences: parser.sequences
+  };
+}
+
+/**
+ * Write a GFF3 document: header chunk, one chunk per feature, then ##FASTA
+ *
+ * @param {Object|Object[]} document - parseGFF3 output, or a feature array
+ */
+function* writeGFF3(document) {
+  const doc = Array.isArray(document) ? { features: document } : document;
+  const directives = (doc.directives || []).filter(d => d.name !== 'gff-version');
+  yield [
+    `##gff-version ${doc.version || '3'}`,
+    ...directives.map(d => `##${d.name}${d.value ? ` ${d.value}` : ''}`)
+  ].join('\n') + '\n';
+
+  for (const f of doc.features || []) {
+    const attributes = Object.entries(f.attributes || {})
+      .map(([key, value]) => `${encodeGFF3(key)}=${[].concat(value).map(encodeGFF3).join(',')}`)
+      .join(';');
+    yield [
+      encodeGFF3(f.seqid),
+      encodeGFF3(f.source || '.'),
+      encodeGFF3(f.type),
+      f.start + 1,
+      f.end,
+      f.score ?? '.',
+      f.strand || '.',
+      f.phase ?? '.',
+      attributes || '.'
+    ].join('\t') + '\n';
+  }
+
+  if (doc.sequences && doc.sequences.length > 0) {
+    yield '##FASTA\n' + doc.sequences
+      .map(s => `>${s.header || s.id}\n${s.sequence.match(/.{1,60}/g).join('\n')}`)
+      .join('\n') + '\n';
+  }
+}
+
+function formatGFF3(document) {
+  return [...writeGFF3(document)].join('');
+}
+
+export {
+  readSequenceRecords,
+  FASTQParser,
+  parseFASTQ,
+  writeFASTQ,
+  formatFASTQ,
+  parseLocation,
+  formatLocation,
+  featureLocation,
+  extractFeature,
+  GenBankParser,
+  parseGenBank,
+  writeGenBank,
+  formatGenBank,
+  GFF3Parser,
+  parseGFF3,
+  writeGFF3,
+  formatGFF3
+};
+
+export default {
+  readSequenceRecords,
+  FASTQParser,
+  parseFASTQ,
+  writeFASTQ,
+  formatFASTQ,
+  parseLocation,
+  formatLocation,
+  featureLocation,
+  extractFeature,
+  GenBankParser,
+  parseGenBank,
+  writeGenBank,
+  formatGenBank,
+  GFF3Parser,
+  parseGFF3,
+  writeGFF3,
+  formatGFF3
+};
@@ -95,6 +95,152 @@ const YEAST_MITOCHONDRIAL_CODE = {
   'AUA': 'M',
 };
 
+// ============================================================================
+// NCBI Translation Tables
+// ============================================================================
+
+/**
+ * NCBI genetic codes (transl_table), in the compact form used by
+ * https://www.ncbi.nlm.nih.gov/Taxonomy/Utils/wprintgc.cgi
+ *
+ * Both strings list the 64 codons with bases in U, C, A, G order
+ * (UUU, UUC, UUA, UUG, UCU, ...). In `starts`, M marks initiation codons.
+ * Tables 27, 28 and 31 use UAA/UAG (and UGA) as stops only at the end of a
+ * gene; their sense meaning is listed here.
+ */
+const NCBI_TABLE_DATA = {
+  1: ['Standard',
+    'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '---M------**--*----M---------------M----------------------------'],
+  2: ['Vertebrate Mitochondrial',
+    'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSS**VVVVAAAADDEEGGGG',
+    '----------**--------------------MMMM----------**---M------------'],
+  3: ['Yeast Mitochondrial',
+    'FFLLSSSSYY**CCWWTTTTPPPPHHQQRRRRIIMMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------**----------------------MM----------------------------'],
+  4: ['Mold, Protozoan, and Coelenterate Mitochondrial and Mycoplasma/Spiroplasma',
+    'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '--MM------**-------M------------MMMM---------------M------------'],
+  5: ['Invertebrate Mitochondrial',
+    'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSSSVVVVAAAADDEEGGGG',
+    '---M------**--------------------MMMM---------------M------------'],
+  6: ['Ciliate, Dasycladacean and Hexamita Nuclear',
+    'FFLLSSSSYYQQCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '--------------*--------------------M----------------------------'],
+  9: ['Echinoderm and Flatworm Mitochondrial',
+    'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG',
+    '----------**-----------------------M---------------M------------'],
+  10: ['Euplotid Nuclear',
+    'FFLLSSSSYY**CCCWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------**-----------------------M----------------------------'],
+  11: ['Bacterial, Archaeal and Plant Plastid',
+    'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '---M------**--*----M------------MMMM---------------M------------'],
+  12: ['Alternative Yeast Nuclear',
+    'FFLLSSSSYY**CC*WLLLSPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------**--*----M---------------M----------------------------'],
+  13: ['Ascidian Mitochondrial',
+    'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSGGVVVVAAAADDEEGGGG',
+    '---M------**----------------------MM---------------M------------'],
+  14: ['Alternative Flatworm Mitochondrial',
+    'FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG',
+    '-----------*-----------------------M----------------------------'],
+  15: ['Blepharisma Nuclear',
+    'FFLLSSSSYY*QCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------*---*--------------------M----------------------------'],
+  16: ['Chlorophycean Mitochondrial',
+    'FFLLSSSSYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------*---*--------------------M----------------------------'],
+  21: ['Trematode Mitochondrial',
+    'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNNKSSSSVVVVAAAADDEEGGGG',
+    '----------**-----------------------M---------------M------------'],
+  22: ['Scenedesmus obliquus Mitochondrial',
+    'FFLLSS*SYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '------*---*---*--------------------M----------------------------'],
+  23: ['Thraustochytrium Mitochondrial',
+    'FF*LSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '--*-------**--*-----------------M--M---------------M------------'],
+  24: ['Rhabdopleuridae Mitochondrial',
+    'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG',
+    '---M------**-------M---------------M---------------M------------'],
+  25: ['Candidate Division SR1 and Gracilibacteria',
+    'FFLLSSSSYY**CCGWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '---M------**-----------------------M---------------M------------'],
+  26: ['Pachysolen tannophilus Nuclear',
+    'FFLLSSSSYY**CC*WLLLAPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------**--*----M---------------M----------------------------'],
+  27: ['Karyorelict Nuclear',
+    'FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '--------------*--------------------M----------------------------'],
+  28: ['Condylostoma Nuclear',
+    'FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------**--*--------------------M----------------------------'],
+  29: ['Mesodinium Nuclear',
+    'FFLLSSSSYYYYCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '--------------*--------------------M----------------------------'],
+  30: ['Peritrich Nuclear',
+    'FFLLSSSSYYEECC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '--------------*--------------------M----------------------------'],
+  31: ['Blastocrithidia Nuclear',
+    'FFLLSSSSYYEECCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '----------**-----------------------M----------------------------'],
+  32: ['Balanophoraceae Plastid',
+    'FFLLSSSSYY*WCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    '---M------*---*----M------------MMMM---------------M------------'],
+  33: ['Cephalodiscidae Mitochondrial',
+    'FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG',
+    '---M-------*-------M---------------M---------------M------------'],
+};
+
+const TABLE_CODONS = [];
+for (const b1 of 'UCAG') {
+  for (const b2 of 'UCAG') {
+    for (const b3 of 'UCAG') {
+      TABLE_CODONS.push(b1 + b2 + b3);
+    }
+  }
+}
+
+/**
+ * NCBI translation tables by transl_table id
+ * Each entry: { id, name, code, starts, stops }
+ */
+const GENETIC_CODE_TABLES = Object.fromEntries(
+  Object.entries(NCBI_TABLE_DATA).map(([id, [name, aminoAcids, starts]]) => {
+    const code = Object.fromEntries(TABLE_CODONS.map((codon, i) => [codon, aminoAcids[i]]));
+    return [id, {
+      id: Number(id),
+      name,
+      code,
+      starts: TABLE_CODONS.filter((_, i) => starts[i] === 'M'),
+      stops: TABLE_CODONS.filter(codon => code[codon] === '*')
+    }];
+  })
+);
+
+/**
+ * Look up an NCBI translation table
+ *
+ * @param {number|string} id - transl_table id, e.g. 11 or '11'
+ * @returns {{id: number, name: string, code: Object, starts: string[], stops: string[]}}
+ */
+function getGeneticCode(id) {
+  const table = GENETIC_CODE_TABLES[Number(id)];
+  if (!table) {
+    throw new Error(`Unknown genetic code table: ${id} (NCBI transl_table ids: ${Object.keys(GENETIC_CODE_TABLES).join(', ')})`);
+  }
+  return table;
+}
+
+/**
+ * Codon map for a table id, or the map itself when one is passed
+ */
+function resolveGeneticCode(geneticCode) {
+  return typeof geneticCode === 'number' || typeof geneticCode === 'string'
+    ? getGeneticCode(geneticCode).code
+    : geneticCode;
+}
+
 // ============================================================================
 // Codon Properties
 // ============================================================================
@@ -145,23 +291,29 @@ const CODON_USAGE_ECOLI = {
 
 /**
  * Get amino acid from codon
+ * @param {string} codon - DNA or RNA codon
+ * @param {Object|number} [geneticCode] - Codon map or NCBI transl_table id
  */
 function translateCodon(codon, geneticCode = STANDARD_GENETIC_CODE) {
   const normalized = codon.toUpperCase().replace(/T/g, 'U');
-  return geneticCode[normalized] || '?';
+  return resolveGeneticCode(geneticCode)[normalized] || '?';
 }
 
 /**
  * Get all codons for an amino acid (degeneracy)
+ * @param {string} aa - One-letter amino acid code
+ * @param {Object|number|string} [geneticCode] - Codon map or NCBI transl_table id
  */
 function getCodonsForAminoAcid(aa, geneticCode = STANDARD_GENETIC_CODE) {
-  return Object.entries(geneticCode)
+  return Object.entries(resolveGeneticCode(geneticCode))
     .filter(([_, aminoAcid]) => aminoAcid === aa.toUpperCase())
     .map(([codon, _]) => codon);
 }
 
 /**
  * Get degeneracy (number of codons) for amino acid
+ * @param {string} aa - One-letter amino acid code
+ * @param {Object|number|string} [geneticCode] - Codon map or NCBI transl_table id
  */
 function getCodonDegeneracy(aa, geneticCode = STANDARD_GENETIC_CODE) {
   return getCodonsForAminoAcid(aa, geneticCode).length;
@@ -169,18 +321,25 @@ function getCodonDegeneracy(aa, geneticCode = STANDARD_GENETIC_CODE) {
 
 /**
  * Check if codon is a start codon
+ * @param {string} codon - DNA or RNA codon
+ * @param {string|number} [codeType='standard'] - START_CODONS key or NCBI transl_table id (e.g. 11 or '11')
  */
 function isStartCodon(codon, codeType = 'standard') {
   const normalized = codon.toUpperCase().replace(/T/g, 'U');
-  return START_CODONS[codeType]?.includes(normalized) || false;
+  const starts = typeof codeType === 'number' || /^\d+$/.test(codeType)
+    ? getGeneticCode(codeType).starts
+    : START_CODONS[codeType];
+  return starts?.includes(normalized) || false;
 }
 
 /**
  * Check if codon is a stop codon
+ * @param {string} codon - DNA or RNA codon
+ * @param {Object|number} [geneticCode] - Codon map or NCBI transl_table id
  */
 function isStopCodon(codon, geneticCode = STANDARD_GENETIC_CODE) {
   const normalized = codon.toUpperCase().replace(/T/g, 'U');
-  return geneticCode[normalized] === '*';
+  return resolveGeneticCode(geneticCode)[normalized] === '*';
 }
 
 /**
@@ -250,6 +409,8 @@ export {
     STANDARD_GENETIC_CODE,
     VERTEBRATE_MITOCHONDRIAL_CODE,
     YEAST_MITOCHONDRIAL_CODE,
+    GENETIC_CODE_TABLES,
+    getGeneticCode,
     START_CODONS,
     STOP_CODONS,
     CODON_USAGE_ECOLI,
@@ -268,6 +429,8 @@ export default {
     STANDARD_GENETIC_CODE,
     VERTEBRATE_MITOCHONDRIAL_CODE,
     YEAST_MITOCHONDRIAL_CODE,
+    GENETIC_CODE_TABLES,
+    getGeneticCode,
     START_CODONS,
     STOP_CODONS,
     CODON_USAGE_ECOLI,
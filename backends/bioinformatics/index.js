@@ -9,6 +9,10 @@
  * - Central Dogma transforms (transcription, translation)
  * - Protein folding via Kuramoto oscillator dynamics
  * - Molecular binding via prime resonance
+ * - Pairwise sequence alignment (global, local, semi-global)
+ * - Progressive multiple sequence alignment and profiles
+ * - FASTQ, GenBank and GFF3 parsing and writing
+ * - Restriction digests, primer design and in-silico PCR
  * - DNA computing (logic gates, strand displacement)
  */
 
@@ -24,6 +28,11 @@ import encoding from './encoding.js';
 import geneticCode from './genetic-code.js';
 import dnaComputing from './dna-computing.js';
 import binding from './binding.js';
+import alignment from './alignment.js';
+import msa from './msa.js';
+import formats from './formats.js';
+import restriction from './restriction.js';
+import pcr from './pcr.js';
 
 /**
  * BioinformaticsBackend
@@ -39,14 +48,17 @@ class BioinformaticsBackend extends Backend {
     // Initialize encodings
     this.nucleotidePrimes = config.nucleotidePrimes || encoding.NUCLEOTIDE_PRIMES;
     this.aminoAcidPrimes = config.aminoAcidPrimes || encoding.AMINO_ACID_PRIMES;
-    this.geneticCode = config.geneticCode || geneticCode.STANDARD_GENETIC_CODE;
     
     // Initialize operators
     this.transcription = new TranscriptionOperator(config.transcriptionOptions || {});
-    this.translation = new TranslationOperator(this.geneticCode);
-    this.folding = new FoldingTransform(config.foldingOptions || {});
+    // geneticCode: codon map or NCBI transl_table id (e.g. 2 for vertebrate mitochondria)
+    this.translation = new TranslationOperator(config.geneticCode || geneticCode.STANDARD_GENETIC_CODE);
+    this.geneticCode = this.translation.geneticCode;
+    this.translationTable = this.translation.tableId;
+    this.folding = new FoldingTransform({ rng: config.rng, ...config.foldingOptions });
     this.affinityCalculator = new binding.BindingAffinityCalculator(config.bindingOptions || {});
     this.docker = new binding.MolecularDocker(config.dockingOptions || {});
+    this.alignmentOptions = config.alignment || {};
     
     // Build prime list (all biological primes)
     this.config.primes = this.buildPrimeList();
@@ -291,9 +303,18 @@ class BioinformaticsBackend extends Backend {
   }
   
   /**
-   * Align two sequences using oscillator synchronization
+   * Align two sequences
+   *
+   * Strings, an options object or a config.alignment setting select the
+   * affine-gap alignment of alignSequences(), whose result keeps the
+   * score, length and similarity fields. Two bare prime arrays keep the
+   * original gapless frequency-overlap score in [0, 1].
    */
-  align(primes1, primes2) {
+  align(primes1, primes2, options) {
+    if (options || this.config.alignment || typeof primes1 === 'string' || typeof primes2 === 'string') {
+      return this.alignSequences(primes1, primes2, options);
+    }
+    
     const freq1 = this.primesToFrequencies(primes1);
     const freq2 = this.primesToFrequencies(primes2);
     
@@ -313,6 +334,36 @@ class BioinformaticsBackend extends Backend {
     };
   }
   
+  /**
+   * Align two sequences with affine gaps (Needleman-Wunsch, Smith-Waterman
+   * or semi-global). Accepts prime arrays or sequence strings; options
+   * override config.alignment (see alignSequences).
+   *
+   * The result carries the raw alignment score, CIGAR string, aligned text
+   * and statistics, plus the resonance `similarity` of the two sequences.
+   */
+  alignSequences(seq1, seq2, options = {}) {
+    const result = alignment.alignSequences(seq1, seq2, { ...this.alignmentOptions, ...options });
+    const toPrimes = (seq) => (typeof seq !== 'string' ? seq : seq.trim() ? this.encode(seq) : []);
+    const primes1 = toPrimes(seq1);
+    const primes2 = toPrimes(seq2);
+    
+    return {
+      ...result,
+      similarity: primes1.length > 0 && primes2.length > 0 ? this.similarity(primes1, primes2) : 0
+    };
+  }
+  
+  /**
+   * Progressive multiple sequence alignment of FASTA text, parseFASTA
+   * entries, sequence strings or prime arrays. Scoring options fall back
+   * to config.alignment; profile merges are always global.
+   */
+  alignMultiple(sequences, options = {}) {
+    const { mode, ...scoring } = { ...this.alignmentOptions, ...options };
+    return msa.progressiveAlign(sequences, scoring);
+  }
+  
   // ===========================================================================
   // DNA Computing Methods
   // ===========================================================================
@@ -497,6 +548,17 @@ export default {
   // Genetic code
   ...geneticCode,
   
+  // Alignment
+  ...alignment,
+  ...msa,
+  
+  // File formats
+  ...formats,
+  
+  // Cloning
+  ...restriction,
+  ...pcr,
+  
   // Operators
   TranscriptionOperator,
   TranslationOperator,
@@ -0,0 +1,438 @@
+/**
+ * Multiple Sequence Alignment
+ *
+ * Progressive alignment in the ClustalW mould:
+ * 1. Global pairwise alignments give distances d = 1 - identity
+ * 2. UPGMA builds a guide tree from the distance matrix
+ * 3. Profiles are merged up the tree with affine-gap profile-profile
+ *    alignment, scoring column pairs by their average substitution score
+ *
+ * The result is a MultipleAlignment, which emits Clustal and aligned
+ * FASTA text, a consensus sequence, per-column entropy and a
+ * position-weight matrix.
+ */
+
+import { parseFASTA } from './encoding.js';
+import { affineAlign, resolveScoring } from './alignment.js';
+import { shannonEntropy } from '../../physics/entropy.js';
+
+const GAP = '-';
+
+const PWM_ALPHABETS = {
+  nucleotide: ['A', 'C', 'G', 'T'],
+  protein: 'ACDEFGHIKLMNPQRSTVWY'.split('')
+};
+
+/**
+ * Clustal conservation groups: ':' when a column fits one strong group,
+ * '.' when it fits one weak group
+ */
+const STRONG_GROUPS = ['STA', 'NEQK', 'NHQK', 'NDEQ', 'QHRK', 'MILV', 'MILF', 'HY', 'FYW'];
+const WEAK_GROUPS = ['CSA', 'ATV', 'SAG', 'STNK', 'STPA', 'SGND', 'SNDEQK', 'NDEQHK', 'NEQHRK', 'FVLIM', 'HFY'];
+
+// ============================================================================
+// MultipleAlignment
+// ============================================================================
+
+/**
+ * Gapped sequences of equal length, in input order
+ */
+class MultipleAlignment {
+  /**
+   * @param {Array<{id: string, sequence: string}>} rows - Aligned sequences using '-' for gaps
+   * @param {Object} [options]
+   * @param {string} [options.alphabet] - 'nucleotide' or 'protein' (detected if omitted)
+   * @param {string} [options.guideTree] - Newick guide tree
+   * @param {number[][]} [options.distances] - Pairwise distance matrix
+   */
+  constructor(rows, options = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('A multiple alignment needs at least one sequence');
+    }
+    const length = rows[0].sequence.length;
+    for (const row of rows) {
+      if (row.sequence.length !== length) {
+        throw new Error(`Aligned sequences must have equal length: ${row.id} has ${row.sequence.length}, expected ${length}`);
+      }
+    }
+
+    this.rows = rows.map(({ id, sequence }) => ({ id, sequence: sequence.toUpperCase() }));
+    this.alphabet = options.alphabet ||
+      (this.rows.every(r => /^[ACGTUN-]*$/.test(r.sequence)) ? 'nucleotide' : 'protein');
+    this.guideTree = options.guideTree || null;
+    this.distances = options.distances || null;
+  }
+
+  /** Number of sequences */
+  get size() {
+    return this.rows.length;
+  }
+
+  /** Number of columns */
+  get length() {
+    return this.rows[0].sequence.length;
+  }
+
+  /**
+   * Residues (and gaps) in column k
+   */
+  column(k) {
+    return this.rows.map(r => r.sequence[k]);
+  }
+
+  /**
+   * Residue counts per column, gaps excluded
+   * @returns {Array<Map<string, number>>}
+   */
+  columnCounts() {
+    const counts = [];
+    for (let k = 0; k < this.length; k++) {
+      const column = new Map();
+      for (const row of this.rows) {
+        const c = row.sequence[k];
+        if (c !== GAP) column.set(c, (column.get(c) || 0) + 1);
+      }
+      counts.push(column);
+    }
+    return counts;
+  }
+
+  /**
+   * Majority-rule consensus
+   *
+   * Each column contributes its most frequent residue (ties go to the
+   * alphabetically first). Columns that are mostly gaps are dropped unless
+   * includeGaps is set, and residues below the threshold fraction of all
+   * sequences become the ambiguity code (N or X).
+   *
+   * @param {Object} [options]
+   * @param {number} [options.threshold=0] - Minimum fraction for a residue call
+   * @param {boolean} [options.includeGaps=false] - Emit '-' for gap-majority columns
+   */
+  consensus(options = {}) {
+    const threshold = options.threshold ?? 0;
+    const ambiguous = this.alphabet === 'nucleotide' ? 'N' : 'X';
+    let consensus = '';
+
+    this.columnCounts().forEach(counts => {
+      const residues = [...counts.values()].reduce((a, b) => a + b, 0);
+      if (residues * 2 < this.size) {
+        if (options.includeGaps) consensus += GAP;
+        return;
+      }
+      const [residue, count] = [...counts].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0];
+      consensus += count / this.size >= threshold ? residue : ambiguous;
+    });
+
+    return consensus;
+  }
+
+  /**
+   * Shannon entropy of each column in bits
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.gaps=false] - Count '-' as a symbol instead of ignoring it
+   * @returns {number[]}
+   */
+  entropy(options = {}) {
+    const entropies = [];
+    for (let k = 0; k < this.length; k++) {
+      const counts = new Map();
+      for (const c of this.column(k)) {
+        if (c === GAP && !options.gaps) continue;
+        counts.set(c, (counts.get(c) || 0) + 1);
+      }
+      const total = [...counts.values()].reduce((a, b) => a + b, 0);
+      entropies.push(total === 0 ? 0 : shannonEntropy([...counts.values()].map(n => n / total)));
+    }
+    return entropies;
+  }
+
+  /**
+   * Position-weight matrix over the standard alphabet
+   *
+   * Gaps and non-standard residues are not counted; RNA U counts as T.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.pseudocount=0.5] - Added to every count
+   * @param {Object<string, number>} [options.background] - Residue frequencies (uniform by default)
+   * @returns {{alphabet: string[], counts: number[][], frequencies: number[][], logOdds: number[][]}}
+   *   Indexed [column][residue]; logOdds is log2(frequency / background)
+   */
+  positionWeightMatrix(options = {}) {
+    const pseudocount = options.pseudocount ?? 0.5;
+    const alphabet = PWM_ALPHABETS[this.alphabet];
+    const index = new Map(alphabet.map((c, i) => [c, i]));
+    if (this.alphabet === 'nucleotide') index.set('U', index.get('T'));
+    const background = alphabet.map(c => options.background?.[c] ?? 1 / alphabet.length);
+
+    const counts = [];
+    const frequencies = [];
+    const logOdds = [];
+    for (let k = 0; k < this.length; k++) {
+      const column = new Array(alphabet.length).fill(0);
+      for (const c of this.column(k)) {
+        const i = index.get(c);
+        if (i !== undefined) column[i]++;
+      }
+      const total = column.reduce((a, b) => a + b, 0) + pseudocount * alphabet.length;
+      const freqs = column.map(n => (total > 0 ? (n + pseudocount) / total : 0));
+      counts.push(column);
+      frequencies.push(freqs);
+      logOdds.push(freqs.map((f, i) => (f > 0 ? Math.log2(f / background[i]) : -Infinity)));
+    }
+
+    return { alphabet, counts, frequencies, logOdds };
+  }
+
+  /**
+   * Clustal conservation line: '*' identical, ':' strong group, '.' weak group
+   */
+  conservation() {
+    let line = '';
+    for (let k = 0; k < this.length; k++) {
+      const column = this.column(k);
+      const residues = new Set(column);
+      if (residues.has(GAP)) {
+        line += ' ';
+      } else if (residues.size === 1) {
+        line += '*';
+      } else if (this.alphabet === 'protein' && fitsGroup(residues, STRONG_GROUPS)) {
+        line += ':';
+      } else if (this.alphabet === 'protein' && fitsGroup(residues, WEAK_GROUPS)) {
+        line += '.';
+      } else {
+        line += ' ';
+      }
+    }
+    return line;
+  }
+
+  /**
+   * Clustal (.aln) text
+   * @param {Object} [options]
+   * @param {number} [options.lineWidth=60] - Columns per block
+   */
+  toClustal(options = {}) {
+    const lineWidth = options.lineWidth || 60;
+    const names = this.rows.map(r => r.id.split(/\s+/)[0] || 'seq');
+    const pad = Math.max(...names.map(n => n.length)) + 4;
+    const conservation = this.conservation();
+    const lines = ['CLUSTAL W multiple sequence alignment', ''];
+
+    for (let start = 0; start < this.length; start += lineWidth) {
+      lines.push('');
+      this.rows.forEach((row, i) => {
+        lines.push(names[i].padEnd(pad) + row.sequence.slice(start, start + lineWidth));
+      });
+      lines.push(' '.repeat(pad) + conservation.slice(start, start + lineWidth));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Aligned FASTA text, gaps kept
+   * @param {Object} [options]
+   * @param {number} [options.lineWidth=60] - Residues per line (0 for one line)
+   */
+  toFASTA(options = {}) {
+    const lineWidth = options.lineWidth ?? 60;
+    return this.rows.map(({ id, sequence }) => {
+      const lines = [`>${id}`];
+      if (lineWidth > 0) {
+        for (let k = 0; k < sequence.length; k += lineWidth) {
+          lines.push(sequence.slice(k, k + lineWidth));
+        }
+      } else {
+        lines.push(sequence);
+      }
+      return lines.join('\n');
+    }).join('\n') + '\n';
+  }
+
+  /**
+   * Read an aligned FASTA file back into a MultipleAlignment
+   */
+  static fromFASTA(text, options = {}) {
+    const entries = parseFASTA(text);
+    if (entries.length === 0) {
+      throw new Error('Invalid FASTA format');
+    }
+    return new MultipleAlignment(entries.map(e => ({ id: e.header, sequence: e.sequence })), options);
+  }
+}
+
+function fitsGroup(residues, groups) {
+  return groups.some(group => [...residues].every(c => group.includes(c)));
+}
+
+// ============================================================================
+// Progressive Alignment
+// ============================================================================
+
+/**
+ * Accept a FASTA string, parseFASTA entries, strings or prime arrays
+ */
+function normalizeInput(input) {
+  const entries = typeof input === 'string' ? parseFASTA(input) : input;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Need at least one sequence to align');
+  }
+  return entries.map((entry, i) => {
+    if (typeof entry === 'string' || Array.isArray(entry)) {
+      return { id: `seq${i + 1}`, sequence: entry };
+    }
+    if (entry && (typeof entry.sequence === 'string' || Array.isArray(entry.sequence))) {
+      return { id: entry.id ?? entry.header ?? `seq${i + 1}`, sequence: entry.sequence };
+    }
+    throw new Error(`Cannot align entry ${i}: expected a string, primes or { header, sequence }`);
+  });
+}
+
+/**
+ * UPGMA clustering; returns the root of a binary tree whose leaves carry
+ * the sequence index
+ */
+function upgma(distances) {
+  let clusters = distances.map((_, i) => ({ index: i, members: [i], height: 0 }));
+
+  while (clusters.length > 1) {
+    let best = Infinity;
+    let pair = [0, 1];
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        let sum = 0;
+        for (const i of clusters[a].members) {
+          for (const j of clusters[b].members) sum += distances[i][j];
+        }
+        const d = sum / (clusters[a].members.length * clusters[b].members.length);
+        if (d < best) {
+          best = d;
+          pair = [a, b];
+        }
+      }
+    }
+
+    const [left, right] = pair.map(k => clusters[k]);
+    const node = { left, right, members: [...left.members, ...right.members], height: best / 2 };
+    clusters = clusters.filter((_, k) => k !== pair[0] && k !== pair[1]);
+    clusters.push(node);
+  }
+
+  return clusters[0];
+}
+
+/**
+ * Newick text for a UPGMA tree, with branch lengths from node heights
+ */
+function toNewick(node, ids) {
+  if (!node.left) {
+    return ids[node.index].split(/\s+/)[0].replace(/[(),:;]/g, '_');
+  }
+  const child = (c) => `${toNewick(c, ids)}:${(node.height - c.height).toFixed(5)}`;
+  return `(${child(node.left)},${child(node.right)})`;
+}
+
+/**
+ * Align two profiles (arrays of gapped residue rows) column by column
+ */
+function alignProfiles(profileA, profileB, score, gapOpen, gapExtend) {
+  const summarize = (profile) => {
+    const width = profile[0].length;
+    const columns = [];
+    for (let k = 0; k < width; k++) {
+      const counts = new Map();
+      for (const row of profile) {
+        if (row[k] !== GAP) counts.set(row[k], (counts.get(row[k]) || 0) + 1);
+      }
+      columns.push([...counts]);
+    }
+    return columns;
+  };
+
+  const colsA = summarize(profileA);
+  const colsB = summarize(profileB);
+  const pairs = profileA.length * profileB.length;
+
+  // Average substitution score over all sequence pairs; residue/gap pairs score 0
+  const columnScore = (i, j) => {
+    let total = 0;
+    for (const [x, nx] of colsA[i]) {
+      for (const [y, ny] of colsB[j]) total += nx * ny * score(x, y);
+    }
+    return total / pairs;
+  };
+
+  const { columns } = affineAlign(colsA.length, colsB.length, columnScore, { gapOpen, gapExtend });
+  return [
+    ...profileA.map(row => columns.map(([i]) => (i === null ? GAP : row[i]))),
+    ...profileB.map(row => columns.map(([, j]) => (j === null ? GAP : row[j])))
+  ];
+}
+
+/**
+ * Progressive multiple sequence alignment
+ *
+ * @param {string|Array} sequences - FASTA text, parseFASTA output
+ *   ([{ header, sequence }]), sequence strings or prime arrays
+ * @param {Object} [options] - Scoring options as for alignSequences
+ *   (substitution, match, mismatch, gapOpen, gapExtend, ...)
+ * @returns {MultipleAlignment}
+ */
+function progressiveAlign(sequences, options = {}) {
+  const entries = normalizeInput(sequences);
+  const { alphabet, residues, score, gapOpen, gapExtend } = resolveScoring(entries.map(e => e.sequence), options);
+  const ids = entries.map(e => String(e.id));
+  const n = residues.length;
+
+  // Pairwise distances from global alignments
+  const distances = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const a = residues[i];
+      const b = residues[j];
+      const { columns } = affineAlign(a.length, b.length, (x, y) => score(a[x], b[y]), { gapOpen, gapExtend });
+      const pairs = columns.filter(([x, y]) => x !== null && y !== null);
+      const identical = pairs.filter(([x, y]) => a[x] === b[y]).length;
+      distances[i][j] = distances[j][i] = pairs.length > 0 ? 1 - identical / pairs.length : 1;
+    }
+  }
+
+  const tree = upgma(distances);
+
+  // Merge profiles up the guide tree; each profile remembers its sequence order
+  const merge = (node) => {
+    if (!node.left) {
+      return { members: [node.index], rows: [residues[node.index]] };
+    }
+    const a = merge(node.left);
+    const b = merge(node.right);
+    return {
+      members: [...a.members, ...b.members],
+      rows: alignProfiles(a.rows, b.rows, score, gapOpen, gapExtend)
+    };
+  };
+  const { members, rows } = merge(tree);
+
+  const aligned = new Array(n);
+  members.forEach((index, k) => {
+    aligned[index] = { id: ids[index], sequence: rows[k].join('') };
+  });
+
+  return new MultipleAlignment(aligned, {
+    alphabet,
+    guideTree: `${toNewick(tree, ids)};`,
+    distances
+  });
+}
+
+export {
+  MultipleAlignment,
+  progressiveAlign
+};
+
+export default {
+  MultipleAlignment,
+  progressiveAlign
+};
@@ -0,0 +1,481 @@
+/**
+ * Primer Design and In-Silico PCR
+ *
+ * Melting temperatures use the SantaLucia (1998) unified nearest-neighbour
+ * parameters with a sodium-equivalent salt correction (von Ahsen 2001).
+ * Hairpins and dimers are scored as the most stable contiguous
+ * Watson-Crick run, found by sliding a strand along a reverse complement.
+ *
+ * Coordinates are 0-based and end-exclusive on the template's top strand.
+ */
+
+import { toDNA, reverseComplementDNA } from './restriction.js';
+
+// ============================================================================
+// Nearest-Neighbour Thermodynamics
+// ============================================================================
+
+/**
+ * Stacking ΔH (kcal/mol) and ΔS (cal/K·mol) by top-strand dinucleotide
+ * (SantaLucia 1998, 1 M NaCl)
+ */
+const NEAREST_NEIGHBOR_PARAMS = {
+  AA: [-7.9, -22.2], TT: [-7.9, -22.2],
+  AT: [-7.2, -20.4],
+  TA: [-7.2, -21.3],
+  CA: [-8.5, -22.7], TG: [-8.5, -22.7],
+  GT: [-8.4, -22.4], AC: [-8.4, -22.4],
+  CT: [-7.8, -21.0], AG: [-7.8, -21.0],
+  GA: [-8.2, -22.2], TC: [-8.2, -22.2],
+  CG: [-10.6, -27.2],
+  GC: [-9.8, -24.4],
+  GG: [-8.0, -19.9], CC: [-8.0, -19.9]
+};
+
+// Initiation with a terminal G·C or A·T pair, and self-complementary symmetry
+const INIT_GC = [0.1, -2.8];
+const INIT_AT = [2.3, 4.1];
+const SYMMETRY = [0, -1.4];
+
+const GAS_CONSTANT = 1.9872;  // cal/K·mol
+const T37 = 310.15;
+
+// SantaLucia & Hicks (2004) hairpin loop ΔG37 by loop length
+const HAIRPIN_LOOP_DG = { 3: 3.5, 4: 3.5, 5: 3.3, 6: 4.0, 7: 4.2, 8: 4.3, 9: 4.5, 10: 4.6 };
+
+/**
+ * Default primer constraints, in the spirit of Primer3
+ */
+const PRIMER_DEFAULTS = {
+  length: [18, 25],
+  optimalLength: 20,
+  tm: [57, 63],
+  optimalTm: 60,
+  gc: [0.4, 0.6],
+  gcClamp: [1, 3],           // G/C among the five 3'-terminal bases
+  maxPolyX: 4,               // Longest single-base run
+  minHairpinDG: -3,          // kcal/mol; more negative is rejected
+  minSelfDimerDG: -6,
+  minThreePrimeDimerDG: -5,
+  maxTmDifference: 3,
+  productSize: [100, 1000],
+  count: 5,
+  candidates: 50,            // Best primers per side considered for pairing
+  oligoConcentration: 50,    // nM
+  sodium: 50,                // mM
+  magnesium: 1.5,            // mM
+  dntp: 0.6                  // mM
+};
+
+function stackSum(seq) {
+  let dH = 0;
+  let dS = 0;
+  for (let i = 0; i < seq.length - 1; i++) {
+    const params = NEAREST_NEIGHBOR_PARAMS[seq.slice(i, i + 2)];
+    if (!params) {
+      throw new Error(`Nearest-neighbour parameters need A, C, G or T: ${seq}`);
+    }
+    dH += params[0];
+    dS += params[1];
+  }
+  return [dH, dS];
+}
+
+function terminalInit(base) {
+  return base === 'G' || base === 'C' ? INIT_GC : INIT_AT;
+}
+
+function saltCorrection(length, options) {
+  const sodium = options.sodium ?? PRIMER_DEFAULTS.sodium;
+  const magnesium = options.magnesium ?? PRIMER_DEFAULTS.magnesium;
+  const dntp = options.dntp ?? PRIMER_DEFAULTS.dntp;
+  // dNTPs chelate magnesium one-to-one
+  const free = Math.max(magnesium - dntp, 0);
+  const equivalent = (sodium + 120 * Math.sqrt(free)) / 1000;
+  return 0.368 * (length - 1) * Math.log(equivalent);
+}
+
+/**
+ * Duplex thermodynamics of a perfectly matched oligo
+ *
+ * @param {string|number[]} sequence - Oligo (5'→3')
+ * @param {Object} [options] - sodium, magnesium, dntp (mM; see PRIMER_DEFAULTS)
+ * @returns {{dH: number, dS: number, dG: number, selfComplementary: boolean}}
+ *   ΔH and ΔG37 in kcal/mol, salt-corrected ΔS in cal/K·mol
+ */
+function nearestNeighborThermo(sequence, options = {}) {
+  const seq = toDNA(sequence);
+  if (seq.length < 2) {
+    throw new Error('Nearest-neighbour model needs at least two bases');
+  }
+  let [dH, dS] = stackSum(seq);
+  for (const base of [seq[0], seq[seq.length - 1]]) {
+    const [h, s] = terminalInit(base);
+    dH += h;
+    dS += s;
+  }
+  const selfComplementary = reverseComplementDNA(seq) === seq;
+  if (selfComplementary) {
+    dS += SYMMETRY[1];
+  }
+  dS += saltCorrection(seq.length, options);
+  return { dH, dS, dG: dH - T37 * dS / 1000, selfComplementary };
+}
+
+/**
+ * Melting temperature (°C) of an oligo against its perfect complement
+ *
+ * @param {string|number[]} sequence - Oligo (5'→3')
+ * @param {Object} [options]
+ * @param {number} [options.oligoConcentration=50] - nM
+ * @param {number} [options.sodium=50] - mM
+ * @param {number} [options.magnesium=1.5] - mM
+ * @param {number} [options.dntp=0.6] - mM
+ */
+function meltingTemperature(sequence, options = {}) {
+  const { dH, dS, selfComplementary } = nearestNeighborThermo(sequence, options);
+  const concentration = (options.oligoConcentration ?? PRIMER_DEFAULTS.oligoConcentration) * 1e-9;
+  const effective = selfComplementary ? concentration : concentration / 4;
+  return 1000 * dH / (dS + GAS_CONSTANT * Math.log(effective)) - 273.15;
+}
+
+function stackDG(seq) {
+  const [dH, dS] = stackSum(seq);
+  return dH - T37 * dS / 1000;
+}
+
+function initDG(base) {
+  const [h, s] = terminalInit(base);
+  return h - T37 * s / 1000;
+}
+
+function loopDG(length) {
+  if (HAIRPIN_LOOP_DG[length] !== undefined) return HAIRPIN_LOOP_DG[length];
+  return HAIRPIN_LOOP_DG[10] + 2.44 * GAS_CONSTANT * T37 / 1000 * Math.log(length / 10);
+}
+
+// ============================================================================
+// Secondary Structure Checks
+// ============================================================================
+
+/**
+ * Most stable hairpin: a stem of at least 3 bp closing a loop of at least 3
+ *
+ * @param {string|number[]} sequence
+ * @returns {{dG: number, stem: number, loop: number, start: number, end: number}|null}
+ *   `start`/`end` bound the hairpin (stem included); null if none forms
+ */
+function findHairpin(sequence) {
+  const seq = toDNA(sequence);
+  const n = seq.length;
+  const rc = reverseComplementDNA(seq);
+  let best = null;
+
+  // seq[i] pairs with seq[j] when seq[i] === rc[n - 1 - j]
+  for (let i = 0; i < n; i++) {
+    for (let j = n - 1; j > i + 3; j--) {
+      if (seq[i] !== rc[n - 1 - j] || !'ACGT'.includes(seq[i])) continue;
+      // Only stems that cannot be extended outwards
+      if (i > 0 && j < n - 1 && seq[i - 1] === rc[n - j - 2]) continue;
+
+      let stem = 0;
+      while (j - stem - (i + stem) - 1 >= 3 && seq[i + stem] === rc[n - 1 - (j - stem)] &&
+             'ACGT'.includes(seq[i + stem])) {
+        stem++;
+      }
+      if (stem < 3) continue;
+
+      const loop = (j - stem + 1) - (i + stem);
+      const dG = stackDG(seq.slice(i, i + stem)) + loopDG(loop);
+      if (!best || dG < best.dG) {
+        best = { dG, stem, loop, start: i, end: j + 1 };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Most stable dimer between two oligos (or an oligo and itself)
+ *
+ * Slides `a` along the reverse complement of `b`; every contiguous run of
+ * pairs is scored with nearest-neighbour stacks plus initiation.
+ *
+ * @returns {{dG: number, length: number, startA: number, startB: number, threePrimeDG: number}}
+ *   `threePrimeDG` is the best run that includes either 3' terminal base
+ *   (the one that can be extended into primer-dimer); 0 when nothing pairs
+ */
+function findDimer(a, b = a) {
+  const seqA = toDNA(a);
+  const rc = reverseComplementDNA(toDNA(b));
+  const n = seqA.length;
+  const m = rc.length;
+  const best = { dG: 0, length: 0, startA: -1, startB: -1, threePrimeDG: 0 };
+
+  const score = (i0, i1, k0) => {
+    const length = i1 - i0;
+    if (length < 2) return;
+    const run = seqA.slice(i0, i1);
+    const dG = stackDG(run) + initDG(run[0]) + initDG(run[length - 1]);
+    if (dG < best.dG) {
+      Object.assign(best, { dG, length, startA: i0, startB: m - (k0 + length) });
+    }
+    if ((i1 === n || k0 === 0) && dG < best.threePrimeDG) {
+      best.threePrimeDG = dG;
+    }
+  };
+
+  for (let d = -(m - 1); d < n; d++) {
+    let runStart = -1;
+    let i = Math.max(0, d);
+    for (; i < n && i - d < m; i++) {
+      const paired = seqA[i] === rc[i - d] && 'ACGT'.includes(seqA[i]);
+      if (paired && runStart === -1) runStart = i;
+      if (!paired && runStart !== -1) {
+        score(runStart, i, runStart - d);
+        runStart = -1;
+      }
+    }
+    if (runStart !== -1) score(runStart, i, runStart - d);
+  }
+  return best;
+}
+
+// ============================================================================
+// Primer Evaluation and Design
+// ============================================================================
+
+function longestRun(seq) {
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < seq.length; i++) {
+    run = i > 0 && seq[i] === seq[i - 1] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+}
+
+function basicChecks(seq, opts) {
+  const gcCount = (seq.match(/[GC]/g) || []).length;
+  const gc = gcCount / seq.length;
+  const clamp = (seq.slice(-5).match(/[GC]/g) || []).length;
+  const tm = meltingTemperature(seq, opts);
+  const problems = [];
+  if (tm < opts.tm[0] || tm > opts.tm[1]) problems.push('tm');
+  if (gc < opts.gc[0] || gc > opts.gc[1]) problems.push('gc');
+  if (clamp < opts.gcClamp[0] || clamp > opts.gcClamp[1]) problems.push('gcClamp');
+  if (longestRun(seq) > opts.maxPolyX) problems.push('polyX');
+  return {
+    sequence: seq,
+    length: seq.length,
+    tm,
+    gc,
+    gcClamp: clamp,
+    problems,
+    penalty: Math.abs(tm - opts.optimalTm) + Math.abs(seq.length - opts.optimalLength)
+  };
+}
+
+function structureChecks(primer, opts) {
+  primer.hairpin = findHairpin(primer.sequence);
+  primer.selfDimer = findDimer(primer.sequence);
+  if (primer.hairpin && primer.hairpin.dG < opts.minHairpinDG) primer.problems.push('hairpin');
+  if (primer.selfDimer.dG < opts.minSelfDimerDG) primer.problems.push('selfDimer');
+  if (primer.selfDimer.threePrimeDG < opts.minThreePrimeDimerDG) primer.problems.push('threePrimeDimer');
+  return primer;
+}
+
+/**
+ * Check a single primer against the design constraints
+ *
+ * @param {string|number[]} sequence - Primer (5'→3')
+ * @param {Object} [options] - Overrides for PRIMER_DEFAULTS
+ * @returns {Object} { sequence, length, tm, gc, gcClamp, hairpin, selfDimer, problems, penalty }
+ */
+function evaluatePrimer(sequence, options = {}) {
+  const opts = { ...PRIMER_DEFAULTS, ...options };
+  return structureChecks(basicChecks(toDNA(sequence), opts), opts);
+}
+
+/**
+ * Design primer pairs amplifying a template (or a target region of it)
+ *
+ * Candidates are filtered on Tm, GC content, GC clamp and homopolymer
+ * runs, then the best `candidates` per side are checked for hairpins and
+ * self-dimers before pairing. Pairs must respect `productSize` and
+ * `maxTmDifference` and not form a stable cross-dimer.
+ *
+ * @param {string|number[]} template - DNA string or nucleotide primes
+ * @param {Object} [options] - Overrides for PRIMER_DEFAULTS, plus:
+ * @param {{start: number, end: number}} [options.target] - Region the product must contain
+ * @returns {Array<{forward: Object, reverse: Object, productSize: number, product: string, tmDifference: number, crossDimer: Object, penalty: number}>}
+ *   Best first; primers carry { start, end, strand } on the template
+ */
+function designPrimers(template, options = {}) {
+  const opts = { ...PRIMER_DEFAULTS, ...options };
+  const dna = toDNA(template);
+  const n = dna.length;
+  const target = opts.target || { start: n, end: 0 };
+  const [minLength, maxLength] = opts.length;
+
+  const pick = (candidates) => {
+    const chosen = [];
+    for (const primer of candidates.sort((x, y) => x.penalty - y.penalty)) {
+      if (structureChecks(primer, opts).problems.length === 0) chosen.push(primer);
+      if (chosen.length >= opts.candidates) break;
+    }
+    return chosen;
+  };
+
+  const forwards = [];
+  const reverses = [];
+  for (let length = minLength; length <= maxLength; length++) {
+    for (let start = 0; start + length <= n; start++) {
+      const end = start + length;
+      const region = dna.slice(start, end);
+      if (/[^ACGT]/.test(region)) continue;
+      if (end <= target.start) {
+        const primer = basicChecks(region, opts);
+        if (primer.problems.length === 0) forwards.push({ ...primer, start, end, strand: 1 });
+      }
+      if (start >= target.end) {
+        const primer = basicChecks(reverseComplementDNA(region), opts);
+        if (primer.problems.length === 0) reverses.push({ ...primer, start, end, strand: -1 });
+      }
+    }
+  }
+
+  const pairs = [];
+  for (const forward of pick(forwards)) {
+    for (const reverse of pick(reverses)) {
+      const productSize = reverse.end - forward.start;
+      const tmDifference = Math.abs(forward.tm - reverse.tm);
+      if (reverse.start < forward.end) continue;
+      if (productSize < opts.productSize[0] || productSize > opts.productSize[1]) continue;
+      if (tmDifference > opts.maxTmDifference) continue;
+      pairs.push({ forward, reverse, productSize, tmDifference, penalty: forward.penalty + reverse.penalty + tmDifference });
+    }
+  }
+
+  const results = [];
+  for (const pair of pairs.sort((x, y) => x.penalty - y.penalty)) {
+    const crossDimer = findDimer(pair.forward.sequence, pair.reverse.sequence);
+    if (crossDimer.dG < opts.minSelfDimerDG || crossDimer.threePrimeDG < opts.minThreePrimeDimerDG) continue;
+    results.push({ ...pair, product: dna.slice(pair.forward.start, pair.reverse.end), crossDimer });
+    if (results.length >= opts.count) break;
+  }
+  return results;
+}
+
+// ============================================================================
+// In-Silico PCR
+// ============================================================================
+
+function bindingSites(dna, probe, limit, options, threePrimeAtStart) {
+  const sites = [];
+  const a = probe.length;
+  const exact = options.threePrimeMatch ?? 5;
+  for (let p = 0; p < limit; p++) {
+    let mismatches = 0;
+    for (let k = 0; k < a && mismatches <= options.maxMismatches; k++) {
+      if (dna[p + k] !== probe[k]) {
+        const fromThreePrime = threePrimeAtStart ? k : a - 1 - k;
+        mismatches += fromThreePrime < exact ? Infinity : 1;
+      }
+    }
+    if (mismatches <= options.maxMismatches) sites.push({ position: p, mismatches });
+  }
+  return sites;
+}
+
+/**
+ * Predict the products of a PCR
+ *
+ * Each primer may anneal to either strand; a product forms between a
+ * primer annealed to the top strand and one annealed to the bottom strand
+ * downstream of it. Only the `anneal` 3'-terminal bases need to bind, so
+ * 5' tails (e.g. added restriction sites) end up in the product.
+ *
+ * @param {string|number[]} template - DNA string or nucleotide primes
+ * @param {string} forward - Primer (5'→3')
+ * @param {string} [reverse=forward] - Primer (5'→3')
+ * @param {Object} [options]
+ * @param {number} [options.maxMismatches=0] - Mismatches tolerated in the annealed part
+ * @param {number} [options.threePrimeMatch=5] - 3'-terminal bases that must match exactly
+ * @param {number} [options.anneal] - 3' bases that must anneal (default: whole primer)
+ * @param {number} [options.maxProductSize=10000]
+ * @param {boolean} [options.circular=false]
+ * @returns {Array<{start: number, end: number, length: number, sequence: string, forward: Object, reverse: Object}>}
+ *   Shortest first; `end` < `start` for products spanning a circular origin
+ */
+function simulatePCR(template, forward, reverse = forward, options = {}) {
+  const dna = toDNA(template);
+  const n = dna.length;
+  const opts = { maxMismatches: 0, threePrimeMatch: 5, maxProductSize: 10000, circular: false, ...options };
+  const primers = { forward: toDNA(forward), reverse: toDNA(reverse) };
+  const searched = opts.circular ? dna + dna : dna;
+
+  const sites = { top: [], bottom: [] };
+  for (const [name, primer] of Object.entries(primers)) {
+    if (name === 'reverse' && primer === primers.forward) continue;
+    const anneal = Math.min(opts.anneal || primer.length, primer.length);
+    const bind = primer.slice(-anneal);
+    const limit = (opts.circular ? n : n - anneal + 1);
+    for (const site of bindingSites(searched, bind, limit, opts, false)) {
+      sites.top.push({ primer: name, sequence: primer, anneal, ...site });
+    }
+    for (const site of bindingSites(searched, reverseComplementDNA(bind), limit, opts, true)) {
+      sites.bottom.push({ primer: name, sequence: primer, anneal, ...site });
+    }
+  }
+
+  const products = [];
+  for (const top of sites.top) {
+    for (const bottom of sites.bottom) {
+      // Bottom-strand sites downstream of the top primer, wrapping once if circular
+      let position = bottom.position;
+      if (position < top.position + top.anneal) {
+        if (!opts.circular) continue;
+        position += n;
+      }
+      const length = top.sequence.length + (position - top.position - top.anneal) + bottom.sequence.length;
+      if (length > opts.maxProductSize) continue;
+      if (opts.circular && position + bottom.anneal - top.position > n) continue;
+
+      products.push({
+        start: top.position,
+        end: (position + bottom.anneal) % n || n,
+        length,
+        sequence: top.sequence + searched.slice(top.position + top.anneal, position) + reverseComplementDNA(bottom.sequence),
+        forward: { primer: top.primer, position: top.position, mismatches: top.mismatches },
+        reverse: { primer: bottom.primer, position: position % n, mismatches: bottom.mismatches }
+      });
+    }
+  }
+
+  return products.sort((x, y) => x.length - y.length || x.start - y.start);
+}
+
+export {
+  NEAREST_NEIGHBOR_PARAMS,
+  PRIMER_DEFAULTS,
+  nearestNeighborThermo,
+  meltingTemperature,
+  findHairpin,
+  findDimer,
+  evaluatePrimer,
+  designPrimers,
+  simulatePCR
+};
+
+export default {
+  NEAREST_NEIGHBOR_PARAMS,
+  PRIMER_DEFAULTS,
+  nearestNeighborThermo,
+  meltingTemperature,
+  findHairpin,
+  findDimer,
+  evaluatePrimer,
+  designPrimers,
+  simulatePCR
+};
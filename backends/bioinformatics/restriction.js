@@ -0,0 +1,259 @@
+/**
+ * Restriction Enzymes - cut-site mapping and digest simulation
+ *
+ * Recognition sites use IUPAC codes. Cut positions follow REBASE:
+ * `cut` is the top-strand cut measured from the first base of the site,
+ * `complementCut` the bottom-strand cut in the same coordinates, so
+ * EcoRI (G^AATTC) is { cut: 1, complementCut: 5 } and BsaI, which cuts
+ * outside its site (GGTCTC(1/5)), is { cut: 7, complementCut: 11 }.
+ */
+
+import { PRIME_TO_NUCLEOTIDE, DNA_COMPLEMENTS } from './encoding.js';
+
+// ============================================================================
+// Enzyme Catalogue
+// ============================================================================
+
+const RESTRICTION_ENZYMES = {
+  AatII: { site: 'GACGTC', cut: 5, complementCut: 1 },
+  AccI: { site: 'GTMKAC', cut: 2, complementCut: 4 },
+  AluI: { site: 'AGCT', cut: 2, complementCut: 2 },
+  ApaI: { site: 'GGGCCC', cut: 5, complementCut: 1 },
+  AvaI: { site: 'CYCGRG', cut: 1, complementCut: 5 },
+  BamHI: { site: 'GGATCC', cut: 1, complementCut: 5 },
+  BbsI: { site: 'GAAGAC', cut: 8, complementCut: 12 },
+  BglII: { site: 'AGATCT', cut: 1, complementCut: 5 },
+  BsaI: { site: 'GGTCTC', cut: 7, complementCut: 11 },
+  BsmBI: { site: 'CGTCTC', cut: 7, complementCut: 11 },
+  ClaI: { site: 'ATCGAT', cut: 2, complementCut: 4 },
+  DpnII: { site: 'GATC', cut: 0, complementCut: 4 },
+  EcoRI: { site: 'GAATTC', cut: 1, complementCut: 5 },
+  EcoRV: { site: 'GATATC', cut: 3, complementCut: 3 },
+  HaeIII: { site: 'GGCC', cut: 2, complementCut: 2 },
+  HincII: { site: 'GTYRAC', cut: 3, complementCut: 3 },
+  HindIII: { site: 'AAGCTT', cut: 1, complementCut: 5 },
+  HinfI: { site: 'GANTC', cut: 1, complementCut: 4 },
+  KpnI: { site: 'GGTACC', cut: 5, complementCut: 1 },
+  MluI: { site: 'ACGCGT', cut: 1, complementCut: 5 },
+  MspI: { site: 'CCGG', cut: 1, complementCut: 3 },
+  NcoI: { site: 'CCATGG', cut: 1, complementCut: 5 },
+  NdeI: { site: 'CATATG', cut: 2, complementCut: 4 },
+  NheI: { site: 'GCTAGC', cut: 1, complementCut: 5 },
+  NotI: { site: 'GCGGCCGC', cut: 2, complementCut: 6 },
+  PstI: { site: 'CTGCAG', cut: 5, complementCut: 1 },
+  PvuII: { site: 'CAGCTG', cut: 3, complementCut: 3 },
+  SacI: { site: 'GAGCTC', cut: 5, complementCut: 1 },
+  SalI: { site: 'GTCGAC', cut: 1, complementCut: 5 },
+  ScaI: { site: 'AGTACT', cut: 3, complementCut: 3 },
+  SfiI: { site: 'GGCCNNNNNGGCC', cut: 8, complementCut: 5 },
+  SmaI: { site: 'CCCGGG', cut: 3, complementCut: 3 },
+  SpeI: { site: 'ACTAGT', cut: 1, complementCut: 5 },
+  SphI: { site: 'GCATGC', cut: 5, complementCut: 1 },
+  TaqI: { site: 'TCGA', cut: 1, complementCut: 3 },
+  XbaI: { site: 'TCTAGA', cut: 1, complementCut: 5 },
+  XhoI: { site: 'CTCGAG', cut: 1, complementCut: 5 },
+  XmaI: { site: 'CCCGGG', cut: 1, complementCut: 5 }
+};
+
+const IUPAC_BASES = {
+  A: 'A', C: 'C', G: 'G', T: 'T',
+  R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+  B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT'
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Normalise a DNA string or nucleotide prime array to an uppercase string
+ */
+function toDNA(sequence) {
+  if (Array.isArray(sequence)) {
+    return sequence.map(p => PRIME_TO_NUCLEOTIDE[p] || 'N').join('').replace(/U/g, 'T');
+  }
+  if (typeof sequence !== 'string') {
+    throw new Error('Sequence must be a string or an array of primes');
+  }
+  return sequence.replace(/\s/g, '').toUpperCase().replace(/U/g, 'T');
+}
+
+/**
+ * Reverse complement of a DNA string (IUPAC codes allowed)
+ */
+function reverseComplementDNA(sequence) {
+  return [...sequence].reverse().map(c => DNA_COMPLEMENTS[c] || 'N').join('');
+}
+
+function resolveEnzymes(enzymes) {
+  const list = enzymes === undefined ? Object.keys(RESTRICTION_ENZYMES) : [].concat(enzymes);
+  return list.map(enzyme => {
+    if (typeof enzyme === 'object') {
+      if (!enzyme.name || !enzyme.site) {
+        throw new Error('Custom enzymes need a name and a site');
+      }
+      return { cut: 0, complementCut: enzyme.site.length, ...enzyme, site: enzyme.site.toUpperCase() };
+    }
+    const entry = RESTRICTION_ENZYMES[enzyme];
+    if (!entry) {
+      throw new Error(`Unknown restriction enzyme: ${enzyme}`);
+    }
+    return { name: enzyme, ...entry };
+  });
+}
+
+function sitePattern(site) {
+  return new RegExp(`(?=(${[...site].map(c => {
+    const bases = IUPAC_BASES[c];
+    if (!bases) throw new Error(`Invalid recognition site: ${site}`);
+    return bases.length === 1 ? bases : `[${bases}]`;
+  }).join('')}))`, 'g');
+}
+
+// ============================================================================
+// Site Mapping
+// ============================================================================
+
+/**
+ * Find recognition sites and the cuts they produce
+ *
+ * Non-palindromic sites are searched on both strands. A site is reported
+ * only if both strands are cut inside the sequence (or anywhere, when
+ * circular).
+ *
+ * @param {string|number[]} sequence - DNA string or nucleotide primes
+ * @param {string|Object|Array} [enzymes] - Catalogue names or custom { name, site, cut, complementCut }; all by default
+ * @param {Object} [options]
+ * @param {boolean} [options.circular=false]
+ * @returns {Array<{enzyme: string, site: string, position: number, strand: number, cut: number, complementCut: number, overhang: string, overhangType: string}>}
+ *   Sorted by top-strand cut; positions are 0-based
+ */
+function findRestrictionSites(sequence, enzymes, options = {}) {
+  const dna = toDNA(sequence);
+  const n = dna.length;
+  const circular = options.circular || false;
+  // Cuts outside the site may cross the origin of a circular sequence
+  const tripled = circular ? dna + dna + dna : null;
+  const wrap = (x) => ((x % n) + n) % n;
+  const sites = [];
+
+  for (const enzyme of resolveEnzymes(enzymes)) {
+    const length = enzyme.site.length;
+    const reverse = reverseComplementDNA(enzyme.site);
+    const searched = circular ? dna + dna.slice(0, length - 1) : dna;
+    const strands = reverse === enzyme.site ? [[1, enzyme.site]] : [[1, enzyme.site], [-1, reverse]];
+
+    for (const [strand, site] of strands) {
+      for (const match of searched.matchAll(sitePattern(site))) {
+        const position = match.index;
+        if (position >= n) continue;
+
+        const cut = strand === 1 ? position + enzyme.cut : position + length - enzyme.complementCut;
+        const complementCut = strand === 1 ? position + enzyme.complementCut : position + length - enzyme.cut;
+        if (!circular && (cut <= 0 || cut >= n || complementCut <= 0 || complementCut >= n)) {
+          continue;
+        }
+
+        const from = Math.min(cut, complementCut);
+        const to = Math.max(cut, complementCut);
+        const overhang = circular ? tripled.slice(from + n, to + n) : dna.slice(from, to);
+        sites.push({
+          enzyme: enzyme.name,
+          site: enzyme.site,
+          position,
+          strand,
+          cut: circular ? wrap(cut) : cut,
+          complementCut: circular ? wrap(complementCut) : complementCut,
+          overhang,
+          overhangType: cut === complementCut ? 'blunt' : (cut < complementCut ? "5'" : "3'")
+        });
+      }
+    }
+  }
+
+  return sites.sort((a, b) => a.cut - b.cut || a.enzyme.localeCompare(b.enzyme));
+}
+
+// ============================================================================
+// Digest
+// ============================================================================
+
+/**
+ * Simulate a (multi-enzyme) digest
+ *
+ * Fragments are top-strand spans between consecutive cuts, in sequence
+ * order, with the overhang left by the enzyme at each end. In a circular
+ * digest the fragment spanning the origin has end < start.
+ *
+ * @param {string|number[]} sequence - DNA string or nucleotide primes
+ * @param {string|Object|Array} enzymes - Enzyme names or custom enzymes
+ * @param {Object} [options]
+ * @param {boolean} [options.circular=false]
+ * @returns {Array<{start: number, end: number, length: number, sequence: string, left: Object|null, right: Object|null}>}
+ */
+function restrictionDigest(sequence, enzymes, options = {}) {
+  const dna = toDNA(sequence);
+  const n = dna.length;
+  const circular = options.circular || false;
+
+  // One cut per position; the first enzyme (alphabetically) wins ties
+  const cuts = [];
+  for (const site of findRestrictionSites(dna, enzymes, options)) {
+    if (cuts.length === 0 || cuts[cuts.length - 1].cut !== site.cut) {
+      cuts.push(site);
+    }
+  }
+
+  const end = (site) => site && { enzyme: site.enzyme, overhang: site.overhang, overhangType: site.overhangType };
+
+  if (cuts.length === 0) {
+    return [{ start: 0, end: n, length: n, sequence: dna, left: null, right: null }];
+  }
+
+  const fragments = [];
+  if (!circular) {
+    const bounds = [null, ...cuts, null];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const start = bounds[i] ? bounds[i].cut : 0;
+      const stop = bounds[i + 1] ? bounds[i + 1].cut : n;
+      fragments.push({
+        start,
+        end: stop,
+        length: stop - start,
+        sequence: dna.slice(start, stop),
+        left: end(bounds[i]),
+        right: end(bounds[i + 1])
+      });
+    }
+    return fragments;
+  }
+
+  for (let i = 0; i < cuts.length; i++) {
+    const left = cuts[i];
+    const right = cuts[(i + 1) % cuts.length];
+    const wraps = right.cut <= left.cut;
+    fragments.push({
+      start: left.cut,
+      end: right.cut,
+      length: wraps ? n - left.cut + right.cut : right.cut - left.cut,
+      sequence: wraps ? dna.slice(left.cut) + dna.slice(0, right.cut) : dna.slice(left.cut, right.cut),
+      left: end(left),
+      right: end(right)
+    });
+  }
+  return fragments;
+}
+
+export {
+  RESTRICTION_ENZYMES,
+  toDNA,
+  reverseComplementDNA,
+  findRestrictionSites,
+  restrictionDigest
+};
+
+export default {
+  RESTRICTION_ENZYMES,
+  findRestrictionSites,
+  restrictionDigest
+};
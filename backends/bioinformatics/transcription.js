@@ -199,12 +199,36 @@ class TranscriptionOperator {
   
   /**
    * Splice out introns
+   *
+   * Regions can also be annotations: exon or CDS features from parseGFF3,
+   * or a GenBank feature with `ranges` (e.g. an mRNA join). Those list what
+   * to keep, so everything between them is removed instead.
+   *
    * @param {number[]} rnaPrimes - Pre-mRNA
-   * @param {Array<{start: number, end: number}>} introns - Intron positions
+   * @param {Array<{start: number, end: number}>|Object} introns - Intron positions, or exon annotations
+   * @param {Object} [options]
+   * @param {number} [options.offset=0] - Annotation coordinate of the first transcribed base;
+   *   minus-strand annotations are mapped onto the pre-mRNA in transcript orientation
    */
-  splice(rnaPrimes, introns) {
+  splice(rnaPrimes, introns, options = {}) {
+    const annotations = Array.isArray(introns) ? introns : [introns];
+    const keepExons = annotations.some(a => a.ranges || a.type === 'exon' || a.type === 'CDS');
+    const minus = annotations.length > 0 &&
+      (annotations[0].strand === -1 || annotations[0].strand === '-');
+    const offset = options.offset || 0;
+    const toLocal = ({ start, end }) => minus
+      ? { start: offset + rnaPrimes.length - end, end: offset + rnaPrimes.length - start }
+      : { start: start - offset, end: end - offset };
+    const regions = annotations.flatMap(a => a.ranges || [a]).map(toLocal);
+    
+    if (keepExons) {
+      return regions
+        .sort((a, b) => a.start - b.start)
+        .flatMap(exon => rnaPrimes.slice(Math.max(exon.start, 0), exon.end));
+    }
+    
     // Sort introns by start position (descending) to splice from end first
-    const sortedIntrons = [...introns].sort((a, b) => b.start - a.start);
+    const sortedIntrons = regions.sort((a, b) => b.start - a.start);
     
     let spliced = [...rnaPrimes];
     for (const intron of sortedIntrons) {
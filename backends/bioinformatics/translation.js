@@ -15,21 +15,33 @@
  * Models ribosome-mediated translation.
  */
 import { NUCLEOTIDE_PRIMES, AMINO_ACID_PRIMES, PRIME_TO_NUCLEOTIDE } from './encoding.js';
-import { STANDARD_GENETIC_CODE, isStartCodon, isStopCodon, translateCodon } from './genetic-code.js';
+import { STANDARD_GENETIC_CODE, getGeneticCode, isStartCodon, isStopCodon, translateCodon } from './genetic-code.js';
+import { extractFeature } from './formats.js';
 
 class TranslationOperator {
-  constructor(geneticCode = STANDARD_GENETIC_CODE) {
-    this.geneticCode = geneticCode;
+  /**
+   * @param {Object|number|string} [geneticCode] - Codon map, or an NCBI transl_table id
+   *   whose alternative start codons are then used as well
+   * @param {Object} [options]
+   * @param {string[]} [options.startCodons] - Override the start codons (default AUG for codon maps)
+   */
+  constructor(geneticCode = STANDARD_GENETIC_CODE, options = {}) {
+    const table = typeof geneticCode === 'object' ? null : getGeneticCode(geneticCode);
+    this.tableId = table ? table.id : null;
+    this.geneticCode = table ? table.code : geneticCode;
+    this.startCodons = options.startCodons || (table ? table.starts : ['AUG']);
     
-    // Prime-based start codon: AUG → [7, 5, 11]
-    this.startCodonPrimes = [7, 5, 11];
+    // Prime-based start codons: AUG → [7, 5, 11]
+    this.startCodonPrimes = this.startCodons.map(codon => this.codonToPrimes(codon));
     
-    // Prime-based stop codons
-    this.stopCodonPrimes = [
-      [5, 7, 7],   // UAA (Ochre)
-      [5, 7, 11],  // UAG (Amber)
-      [5, 11, 7],  // UGA (Opal)
-    ];
+    // Prime-based stop codons: UAA, UAG, UGA in the standard code
+    this.stopCodonPrimes = Object.keys(this.geneticCode)
+      .filter(codon => this.geneticCode[codon] === '*')
+      .map(codon => this.codonToPrimes(codon));
+  }
+  
+  codonToPrimes(codon) {
+    return [...codon.replace(/T/g, 'U')].map(n => NUCLEOTIDE_PRIMES[n]);
   }
   
   /**
@@ -56,6 +68,9 @@ class TranslationOperator {
     
     const start = startPos === -1 ? 0 : startPos;
     
+    // Alternative start codons (e.g. GUG) still initiate with methionine
+    const initiator = options.initiator ?? startPos !== -1;
+    
     // Translate codon by codon
     let stoppedAt = -1;
     for (let i = start; i <= rnaPrimes.length - 3; i += 3) {
@@ -67,7 +82,9 @@ class TranslationOperator {
         break;
       }
       
-      const aa = this.translateCodonPrimes(codon);
+      const aa = i === start && initiator && this.isStartCodonPrimes(codon)
+        ? AMINO_ACID_PRIMES.M
+        : this.translateCodonPrimes(codon);
       if (aa !== null) {
         aminoAcids.push(aa);
       }
@@ -102,13 +119,11 @@ class TranslationOperator {
   }
   
   /**
-   * Find start codon (AUG) position
+   * Find start codon position (AUG, plus the table's alternative starts)
    */
   findStartCodon(rnaPrimes) {
     for (let i = 0; i <= rnaPrimes.length - 3; i++) {
-      if (rnaPrimes[i] === 7 &&      // A
-          rnaPrimes[i + 1] === 5 &&  // U
-          rnaPrimes[i + 2] === 11) { // G
+      if (this.isStartCodonPrimes(rnaPrimes.slice(i, i + 3))) {
         return i;
       }
     }
@@ -121,23 +136,32 @@ class TranslationOperator {
   findAllStartCodons(rnaPrimes) {
     const positions = [];
     for (let i = 0; i <= rnaPrimes.length - 3; i++) {
-      if (rnaPrimes[i] === 7 &&
-          rnaPrimes[i + 1] === 5 &&
-          rnaPrimes[i + 2] === 11) {
+      if (this.isStartCodonPrimes(rnaPrimes.slice(i, i + 3))) {
         positions.push(i);
       }
     }
     return positions;
   }
   
+  /**
+   * Check if codon primes represent a start codon
+   */
+  isStartCodonPrimes(codonPrimes) {
+    return this.matchesCodon(codonPrimes, this.startCodonPrimes);
+  }
+  
   /**
    * Check if codon primes represent a stop codon
    */
   isStopCodonPrimes(codonPrimes) {
-    for (const stop of this.stopCodonPrimes) {
-      if (codonPrimes[0] === stop[0] &&
-          codonPrimes[1] === stop[1] &&
-          codonPrimes[2] === stop[2]) {
+    return this.matchesCodon(codonPrimes, this.stopCodonPrimes);
+  }
+  
+  matchesCodon(codonPrimes, codons) {
+    for (const codon of codons) {
+      if (codonPrimes[0] === codon[0] &&
+          codonPrimes[1] === codon[1] &&
+          codonPrimes[2] === codon[2]) {
         return true;
       }
     }
@@ -188,6 +212,42 @@ class TranslationOperator {
     return longestORF;
   }
   
+  /**
+   * Translate an annotated coding sequence instead of guessing via findLongestORF
+   *
+   * @param {number[]} primes - DNA or RNA primes the annotation refers to
+   * @param {Object|Object[]} cds - GenBank CDS feature (uses /codon_start and /transl_table) or GFF3 CDS lines (uses phase)
+   * @param {Object} [options]
+   * @param {number} [options.offset=0] - Annotation coordinate of primes[0]
+   */
+  translateCDS(primes, cds, options = {}) {
+    const segments = Array.isArray(cds) ? cds : [cds];
+    if (segments.length === 0) {
+      throw new Error('CDS annotation has no segments');
+    }
+    const table = segments[0].qualifiers?.transl_table;
+    if (table !== undefined && Number(table) !== this.tableId) {
+      return new TranslationOperator(Number(table)).translateCDS(primes, cds, options);
+    }
+    const codingSequence = extractFeature(primes, cds, options).map(p => p === 2 ? 5 : p);
+    
+    // Frame comes from the first segment in transcription order
+    const minus = segments[0].strand === -1 || segments[0].strand === '-';
+    const first = segments.reduce((a, b) => (minus ? b.end > a.end : b.start < a.start) ? b : a);
+    const frame = first.qualifiers?.codon_start !== undefined
+      ? Number(first.qualifiers.codon_start) - 1
+      : (first.phase || 0);
+    
+    // A 5'-partial CDS does not begin at a real start codon
+    const ranges = first.ranges;
+    const partial = ranges ? (minus ? ranges[ranges.length - 1].partialEnd : ranges[0].partialStart) : false;
+    
+    return {
+      ...this.apply(codingSequence, { start: frame, force: true, initiator: frame === 0 && !partial }),
+      codingSequence
+    };
+  }
+  
   /**
    * Calculate molecular weight of protein
    */
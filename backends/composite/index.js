@@ -0,0 +1,425 @@
+/**
+ * Composite Backend - Several domain backends sharing one prime field
+ *
+ * Wraps named child backends (e.g. semantic text + bioinformatics protein)
+ * and gives each a private slice of the prime space, so a single AlephEngine
+ * field can couple, say, a protein sequence to its text description.
+ *
+ * PRIME PARTITIONING:
+ * Child prime p (the k-th prime) is lifted to a global prime chosen by mode:
+ * - 'residue' (default): CRT-style channels. Channel c of n owns every
+ *   global prime whose index j satisfies j ≡ c (mod n); p maps to index
+ *   k·n + c. Unbounded, so any child prime can be lifted.
+ * - 'range': disjoint contiguous blocks of prime indices. Channel c owns
+ *   indices [start_c, start_c + capacity_c); p maps to start_c + k.
+ *
+ * STATE LAYOUT:
+ * The composite state is the direct sum of child states: each channel
+ * occupies its own block of components, then the whole vector is normalized.
+ *
+ * @module backends/composite
+ */
+
+import { Backend } from '../interface.js';
+import { Hypercomplex } from '../../core/hypercomplex.js';
+import { isPrime, primeToFrequency } from '../../core/prime.js';
+
+const MODES = ['residue', 'range'];
+
+// ============================================================================
+// PRIME INDEX TABLE
+// ============================================================================
+
+/**
+ * Growable table of primes with O(1) index lookup in both directions
+ */
+class PrimeTable {
+  constructor() {
+    this.primes = [];
+    this.index = new Map();
+    this._next = 2;
+  }
+
+  _extendTo(count) {
+    while (this.primes.length < count) {
+      if (isPrime(this._next)) {
+        this.index.set(this._next, this.primes.length);
+        this.primes.push(this._next);
+      }
+      this._next++;
+    }
+  }
+
+  /**
+   * j-th prime (0-based: nth(0) = 2)
+   */
+  nth(j) {
+    this._extendTo(j + 1);
+    return this.primes[j];
+  }
+
+  /**
+   * 0-based index of a prime, or -1 if p is not prime
+   */
+  indexOf(p) {
+    if (!Number.isInteger(p) || !isPrime(p)) return -1;
+    while (this._next <= p) this._extendTo(this.primes.length + 1);
+    return this.index.get(p);
+  }
+}
+
+// ============================================================================
+// COMPOSITE BACKEND
+// ============================================================================
+
+class CompositeBackend extends Backend {
+  /**
+   * @param {object} config - Configuration
+   * @param {object|Array} config.backends - { name: Backend } or [{ name, backend }]
+   * @param {string} [config.mode='residue'] - 'residue' or 'range' partitioning
+   * @param {number|object} [config.capacity] - Range mode: primes per channel (number or { name: n });
+   *   defaults to cover each child's getPrimes()
+   * @param {number} [config.dimension] - State dimension; defaults to the next power of 2
+   *   that fits all child dimensions
+   * @param {Function|string} [config.route] - Channel for non-object inputs: a name, or
+   *   (input) => name | { name: input }. Defaults to the first channel
+   * @param {object[]} [config.transforms] - Cross-domain transforms over global primes
+   */
+  constructor(config = {}) {
+    const channels = CompositeBackend._normalizeChannels(config.backends);
+    const childDimension = channels.reduce((sum, c) => sum + c.backend.dimension, 0);
+    const dimension = config.dimension || 2 ** Math.ceil(Math.log2(childDimension));
+
+    super({ ...config, dimension });
+
+    if (childDimension > dimension) {
+      throw new Error(
+        `CompositeBackend dimension ${dimension} is smaller than the child dimensions (${childDimension})`
+      );
+    }
+
+    this.mode = config.mode || 'residue';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown CompositeBackend mode: ${this.mode} (expected ${MODES.join(' or ')})`);
+    }
+
+    this.table = new PrimeTable();
+    this.channels = [];
+    this.channelMap = new Map();
+
+    let stateOffset = 0;
+    let rangeStart = 0;
+    for (const [index, { name, backend }] of channels.entries()) {
+      const channel = { name, backend, index, stateOffset, start: 0, capacity: Infinity };
+      stateOffset += backend.dimension;
+
+      if (this.mode === 'range') {
+        channel.start = rangeStart;
+        channel.capacity = this._channelCapacity(name, backend, config.capacity);
+        rangeStart += channel.capacity;
+      }
+
+      this.channels.push(channel);
+      this.channelMap.set(name, channel);
+    }
+
+    this.route = config.route ?? this.channels[0].name;
+    this.config.primes = this._buildPrimeList();
+  }
+
+  /**
+   * Accept { name: backend } or [{ name, backend }]
+   */
+  static _normalizeChannels(backends) {
+    const list = Array.isArray(backends)
+      ? backends.map(b => ({ name: b.name, backend: b.backend }))
+      : Object.entries(backends || {}).map(([name, backend]) => ({ name, backend }));
+
+    if (list.length === 0) {
+      throw new Error('CompositeBackend requires at least one child backend');
+    }
+    const seen = new Set();
+    for (const { name, backend } of list) {
+      if (!name) throw new Error('CompositeBackend channels must be named');
+      if (seen.has(name)) throw new Error(`Duplicate CompositeBackend channel: ${name}`);
+      if (!(backend instanceof Backend)) {
+        throw new Error(`CompositeBackend channel "${name}" must be a Backend instance`);
+      }
+      seen.add(name);
+    }
+    return list;
+  }
+
+  _channelCapacity(name, backend, capacity) {
+    if (typeof capacity === 'number') return capacity;
+    if (capacity && typeof capacity[name] === 'number') return capacity[name];
+    const indices = (backend.getPrimes() || []).map(p => this.table.indexOf(p));
+    // indexOf() is -1 for non-primes, which Math.max ignores here
+    return Math.max(backend.dimension, ...indices) + 1;
+  }
+
+  _channel(name) {
+    const channel = this.channelMap.get(name);
+    if (!channel) {
+      throw new Error(`Unknown CompositeBackend channel: ${name}`);
+    }
+    return channel;
+  }
+
+  // ===========================================================================
+  // Prime mapping
+  // ===========================================================================
+
+  /**
+   * Lift child primes into the composite prime space
+   *
+   * The identity element 1 (used e.g. for unknown nucleotides) carries no
+   * prime factor and is dropped.
+   *
+   * @param {string} name - Channel name
+   * @param {number[]} primes - Child primes
+   * @returns {number[]} Global primes
+   */
+  liftPrimes(name, primes) {
+    const channel = this._channel(name);
+    const n = this.channels.length;
+
+    return primes.filter(p => p !== 1).map(p => {
+      const k = this.table.indexOf(p);
+      if (k < 0) {
+        throw new Error(`Channel "${name}" produced non-prime value ${p}`);
+      }
+      if (this.mode === 'residue') {
+        return this.table.nth(k * n + channel.index);
+      }
+      if (k >= channel.capacity) {
+        throw new Error(`Prime ${p} exceeds the capacity (${channel.capacity}) of channel "${name}"`);
+      }
+      return this.table.nth(channel.start + k);
+    });
+  }
+
+  _canLift(channel, p) {
+    if (p === 1) return true;
+    const k = this.table.indexOf(p);
+    return k >= 0 && k < channel.capacity;
+  }
+
+  /**
+   * Locate a global prime's channel and child prime
+   * @param {number} prime - Global prime
+   * @returns {{channel: string, prime: number}|null} null if no channel owns it
+   */
+  lowerPrime(prime) {
+    const j = this.table.indexOf(prime);
+    if (j < 0) return null;
+
+    if (this.mode === 'residue') {
+      const n = this.channels.length;
+      return { channel: this.channels[j % n].name, prime: this.table.nth(Math.floor(j / n)) };
+    }
+    for (const channel of this.channels) {
+      if (j >= channel.start && j < channel.start + channel.capacity) {
+        return { channel: channel.name, prime: this.table.nth(j - channel.start) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Partition global primes into per-channel child primes (order preserved)
+   * @param {number[]} primes - Global primes
+   * @returns {Object<string, number[]>} Child primes by channel name
+   */
+  splitPrimes(primes) {
+    const parts = {};
+    for (const channel of this.channels) parts[channel.name] = [];
+    for (const p of primes) {
+      const local = this.lowerPrime(p);
+      if (local) parts[local.channel].push(local.prime);
+    }
+    return parts;
+  }
+
+  /**
+   * Round-robin interleave of each channel's lifted prime list, padded
+   * with further channel-owned primes until it covers the dimension
+   */
+  _buildPrimeList() {
+    const lists = this.channels.map(c => {
+      const own = (c.backend.getPrimes() || []).filter(p => {
+        const k = this.table.indexOf(p);
+        return k >= 0 && k < c.capacity;
+      });
+      return this.liftPrimes(c.name, own);
+    });
+
+    const primes = [];
+    const seen = new Set();
+    const longest = Math.max(...lists.map(l => l.length));
+    for (let r = 0; r < longest; r++) {
+      for (const list of lists) {
+        if (r < list.length && !seen.has(list[r])) {
+          seen.add(list[r]);
+          primes.push(list[r]);
+        }
+      }
+    }
+
+    for (let j = 0; primes.length < this.dimension; j++) {
+      const p = this.table.nth(j);
+      if (!seen.has(p) && this.lowerPrime(p)) {
+        seen.add(p);
+        primes.push(p);
+      }
+    }
+
+    return primes;
+  }
+
+  // ===========================================================================
+  // Backend Interface Methods
+  // ===========================================================================
+
+  /**
+   * Encode a mixed input
+   *
+   * Objects are keyed by channel name ({ text: '...', protein: '...' });
+   * anything else is routed to one channel via config.route.
+   *
+   * @param {object|*} input - Mixed or single-domain input
+   * @returns {number[]} Global primes, grouped by channel
+   */
+  encode(input) {
+    const parts = this._routeInput(input);
+    const primes = [];
+    for (const channel of this.channels) {
+      if (!(channel.name in parts)) continue;
+      const local = channel.backend.encode(parts[channel.name]);
+      primes.push(...this.liftPrimes(channel.name, local));
+    }
+    return primes;
+  }
+
+  _routeInput(input) {
+    if (input && typeof input === 'object' && !Array.isArray(input)) {
+      for (const name of Object.keys(input)) this._channel(name);
+      return input;
+    }
+    const route = typeof this.route === 'function' ? this.route(input) : this.route;
+    if (route && typeof route === 'object') {
+      return this._routeInput(route);
+    }
+    this._channel(route);
+    return { [route]: input };
+  }
+
+  /**
+   * Decode global primes into per-domain outputs
+   * @param {number[]} primes - Global primes
+   * @returns {Object<string, *>} Output for each channel that received primes
+   */
+  decode(primes) {
+    const parts = this.splitPrimes(primes);
+    const output = {};
+    for (const channel of this.channels) {
+      const local = parts[channel.name];
+      if (local.length > 0) {
+        output[channel.name] = channel.backend.decode(local);
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Direct sum of child states, normalized
+   * @param {number[]} primes - Global primes
+   * @returns {Hypercomplex}
+   */
+  primesToState(primes) {
+    const parts = this.splitPrimes(primes);
+    const state = Hypercomplex.zero(this.dimension);
+
+    for (const channel of this.channels) {
+      const local = parts[channel.name];
+      if (local.length === 0) continue;
+      const sub = channel.backend.primesToState(local);
+      const width = Math.min(sub.dim, channel.backend.dimension);
+      for (let i = 0; i < width; i++) {
+        state.c[channel.stateOffset + i] = sub.c[i];
+      }
+    }
+
+    return state.normalize();
+  }
+
+  /**
+   * Each prime oscillates at the frequency its own domain assigns it
+   * @param {number[]} primes - Global primes
+   * @returns {number[]}
+   */
+  primesToFrequencies(primes) {
+    return primes.map(p => {
+      const local = this.lowerPrime(p);
+      if (!local) return primeToFrequency(p);
+      return this.channelMap.get(local.channel).backend.primesToFrequencies([local.prime])[0];
+    });
+  }
+
+  /**
+   * Apply a transform
+   *
+   * Transforms tagged with `channel` run through that child backend on its
+   * own primes; untagged transforms are cross-domain rewrites over global
+   * primes ({ q: [...], r: [...] }).
+   *
+   * @param {number[]} inputPrimes - Global primes
+   * @param {object} transform - Transform specification
+   * @returns {number[]} Global primes
+   */
+  applyTransform(inputPrimes, transform) {
+    if (transform.channel) {
+      const parts = this.splitPrimes(inputPrimes);
+      const channel = this._channel(transform.channel);
+      const result = channel.backend.applyTransform(parts[channel.name], transform);
+
+      // Outputs that are not prime lists (e.g. folding products) can't be lifted
+      if (!Array.isArray(result) || !result.every(p => this._canLift(channel, p))) {
+        return inputPrimes;
+      }
+      parts[channel.name] = result;
+      return this.channels.flatMap(c => this.liftPrimes(c.name, parts[c.name]));
+    }
+
+    const inputSet = new Set(inputPrimes);
+    if (!transform.q || !transform.q.some(p => inputSet.has(p))) return inputPrimes;
+    const kept = inputPrimes.filter(p => !transform.q.includes(p));
+    return [...new Set([...kept, ...(transform.r || [])])];
+  }
+
+  /**
+   * Child transforms (tagged with their channel) plus cross-domain transforms
+   * @returns {object[]}
+   */
+  getTransforms() {
+    const own = this.config.transforms || [];
+    const children = this.channels.flatMap(c =>
+      (c.backend.getTransforms() || []).map(t => ({ ...t, channel: c.name }))
+    );
+    return [...children, ...own];
+  }
+
+  /**
+   * Channel names in partition order
+   * @returns {string[]}
+   */
+  getChannels() {
+    return this.channels.map(c => c.name);
+  }
+}
+
+export {
+  CompositeBackend
+};
+
+export default CompositeBackend;
@@ -0,0 +1,358 @@
+/**
+ * Authenticated Encryption - Standard AEAD with a prime-state KDF front-end
+ *
+ * The phase-modulation cipher in EntropySensitiveEncryptor has no integrity
+ * protection and is not interoperable. This module keeps prime-state key
+ * derivation only as the first step of the KDF, then uses standard
+ * primitives throughout:
+ *
+ *   secret ─► PrimeStateKeyGenerator key ‖ secret bytes ─► HKDF-SHA256 / PBKDF2-SHA256
+ *          ─► AES-256-GCM or ChaCha20-Poly1305
+ *
+ * node:crypto is used when available; otherwise WebCrypto (AES-GCM only).
+ * Outside the node:crypto provider, bytes are plain Uint8Arrays, since the
+ * WebCrypto path is the one browsers take and browsers have no Buffer.
+ * The result is a JSON-safe envelope that records everything except the
+ * secret, so any AEAD implementation can open it:
+ *
+ *   {
+ *     type: 'aleph-aead', version: 1, algorithm: 'aes-256-gcm',
+ *     kdf: { name: 'hkdf-sha256', salt, info, primes: 64 },
+ *     nonce, ciphertext, tag          // base64
+ *   }
+ *
+ * The header fields (version, algorithm, kdf) are authenticated as
+ * additional data, so changing them makes decryption fail.
+ *
+ * @example
+ * const envelope = await sealAead('attack at dawn', keyBytes);
+ * const plaintext = await openAead(envelope, keyBytes); // Buffer (Uint8Array under WebCrypto)
+ *
+ * @module backends/cryptographic/aead
+ */
+
+import { PrimeStateKeyGenerator } from './index.js';
+import { firstNPrimes } from '../../core/prime.js';
+
+const AEAD_ENVELOPE_VERSION = 1;
+const AEAD_ENVELOPE_TYPE = 'aleph-aead';
+const AEAD_ALGORITHMS = ['aes-256-gcm', 'chacha20-poly1305'];
+const KDF_NAMES = ['hkdf-sha256', 'pbkdf2-sha256'];
+
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+const DEFAULT_INFO = 'tinyaleph-aead';
+const DEFAULT_ITERATIONS = 600000;
+const DEFAULT_PRIMES = 64;
+
+// ============================================================================
+// PRIMITIVE PROVIDERS
+// ============================================================================
+
+let providerPromise = null;
+
+/**
+ * Load node:crypto, falling back to WebCrypto (cached)
+ */
+function getProvider() {
+  if (!providerPromise) providerPromise = loadProvider();
+  return providerPromise;
+}
+
+async function loadProvider() {
+  try {
+    return nodeProvider(await import('node:crypto'));
+  } catch {
+    if (globalThis.crypto?.subtle) return webProvider(globalThis.crypto);
+    throw new Error('AEAD needs node:crypto or WebCrypto');
+  }
+}
+
+function nodeProvider(crypto) {
+  return {
+    randomBytes: (n) => crypto.randomBytes(n),
+    sha256: async (data) => crypto.createHash('sha256').update(data).digest(),
+    hkdf: async (ikm, salt, info, length) =>
+      Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length)),
+    pbkdf2: (password, salt, iterations, length) => new Promise((resolve, reject) => {
+      crypto.pbkdf2(password, salt, iterations, length, 'sha256',
+        (err, key) => (err ? reject(err) : resolve(key)));
+    }),
+    async seal(algorithm, key, nonce, plaintext, aad) {
+      const cipher = crypto.createCipheriv(algorithm, key, nonce, { authTagLength: TAG_LENGTH });
+      cipher.setAAD(aad);
+      const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+      return { ciphertext, tag: cipher.getAuthTag() };
+    },
+    async open(algorithm, key, nonce, ciphertext, tag, aad) {
+      const decipher = crypto.createDecipheriv(algorithm, key, nonce, { authTagLength: TAG_LENGTH });
+      decipher.setAAD(aad);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    }
+  };
+}
+
+function webProvider(crypto) {
+  const { subtle } = crypto;
+  const requireGcm = (algorithm) => {
+    if (algorithm !== 'aes-256-gcm') {
+      throw new Error(`${algorithm} needs node:crypto; WebCrypto only provides aes-256-gcm`);
+    }
+  };
+  const importAesKey = (key) => subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+  return {
+    randomBytes: (n) => crypto.getRandomValues(new Uint8Array(n)),
+    sha256: async (data) => new Uint8Array(await subtle.digest('SHA-256', data)),
+    async hkdf(ikm, salt, info, length) {
+      const base = await subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+      const bits = await subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, base, length * 8);
+      return new Uint8Array(bits);
+    },
+    async pbkdf2(password, salt, iterations, length) {
+      const base = await subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+      const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, length * 8);
+      return new Uint8Array(bits);
+    },
+    async seal(algorithm, key, nonce, plaintext, aad) {
+      requireGcm(algorithm);
+      const params = { name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: TAG_LENGTH * 8 };
+      const sealed = new Uint8Array(await subtle.encrypt(params, await importAesKey(key), plaintext));
+      return { ciphertext: sealed.subarray(0, -TAG_LENGTH), tag: sealed.subarray(-TAG_LENGTH) };
+    },
+    async open(algorithm, key, nonce, ciphertext, tag, aad) {
+      requireGcm(algorithm);
+      const params = { name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: TAG_LENGTH * 8 };
+      return new Uint8Array(await subtle.decrypt(params, await importAesKey(key), concatBytes([ciphertext, tag])));
+    }
+  };
+}
+
+// ============================================================================
+// BYTES
+// ============================================================================
+
+const textEncoder = new TextEncoder();
+
+function utf8Bytes(text) {
+  return textEncoder.encode(text);
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// ============================================================================
+// KEY DERIVATION
+// ============================================================================
+
+/**
+ * Secret → bytes. Numbers are the numeric keys EntropySensitiveEncryptor
+ * already accepts; strings are passphrases.
+ */
+function secretBytes(secret) {
+  if (typeof secret === 'number') {
+    if (!Number.isSafeInteger(secret) || secret <= 0) {
+      throw new Error('Numeric keys must be positive safe integers');
+    }
+    return utf8Bytes(String(secret));
+  }
+  if (typeof secret === 'string') return utf8Bytes(secret);
+  if (secret instanceof Uint8Array) return Uint8Array.from(secret);
+  throw new Error('Key must be a Buffer, Uint8Array, string or positive integer');
+}
+
+/**
+ * Prime-state front-end: a product of small primes chosen by the secret's
+ * digest seeds PrimeStateKeyGenerator, whose phase-derived key is prepended
+ * to the secret. Every factor lies in the generator's prime set, so the
+ * state always has support.
+ */
+async function primeStateMaterial(provider, bytes, numPrimes) {
+  const primes = firstNPrimes(numPrimes);
+  const digest = await provider.sha256(bytes);
+  let n = 1;
+  for (const byte of digest) {
+    const p = primes[byte % primes.length];
+    if (n * p > Number.MAX_SAFE_INTEGER) break;
+    n *= p;
+  }
+  const generator = new PrimeStateKeyGenerator({ primes, keyLength: KEY_LENGTH });
+  return generator.generateKey(n).keyBuffer;
+}
+
+/**
+ * Complete KDF parameters, filling defaults and a fresh salt
+ */
+function resolveKdf(provider, secret, options) {
+  const name = options.kdf ?? (typeof secret === 'string' ? 'pbkdf2-sha256' : 'hkdf-sha256');
+  if (!KDF_NAMES.includes(name)) {
+    throw new Error(`Unknown KDF: ${name} (expected ${KDF_NAMES.join(' or ')})`);
+  }
+  const salt = options.salt != null ? Uint8Array.from(options.salt) : provider.randomBytes(SALT_LENGTH);
+  const kdf = { name, salt: toBase64(salt) };
+  if (name === 'hkdf-sha256') {
+    kdf.info = options.info ?? DEFAULT_INFO;
+  } else {
+    kdf.iterations = options.iterations ?? DEFAULT_ITERATIONS;
+  }
+  kdf.primes = options.primes ?? DEFAULT_PRIMES;
+  return kdf;
+}
+
+/**
+ * Derive a 256-bit AEAD key
+ * @param {Buffer|Uint8Array|string|number} secret - Key bytes, passphrase or numeric key
+ * @param {Object} kdf - KDF parameters as stored in an envelope
+ * @returns {Promise<Buffer|Uint8Array>} 32-byte key (a Uint8Array under WebCrypto)
+ */
+async function deriveAeadKey(secret, kdf) {
+  const provider = await getProvider();
+  if (!KDF_NAMES.includes(kdf.name)) {
+    throw new Error(`Unknown KDF: ${kdf.name} (expected ${KDF_NAMES.join(' or ')})`);
+  }
+  if (!Number.isInteger(kdf.primes) || kdf.primes < 1) {
+    throw new Error(`Invalid KDF prime count: ${kdf.primes}`);
+  }
+  const bytes = secretBytes(secret);
+  const ikm = concatBytes([await primeStateMaterial(provider, bytes, kdf.primes), bytes]);
+  const salt = fromBase64(kdf.salt);
+  if (kdf.name === 'hkdf-sha256') {
+    return provider.hkdf(ikm, salt, utf8Bytes(kdf.info), KEY_LENGTH);
+  }
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1) {
+    throw new Error(`Invalid PBKDF2 iteration count: ${kdf.iterations}`);
+  }
+  return provider.pbkdf2(ikm, salt, kdf.iterations, KEY_LENGTH);
+}
+
+// ============================================================================
+// ENVELOPES
+// ============================================================================
+
+/**
+ * Additional data: the envelope header in a fixed field order, then the
+ * caller's own AAD
+ */
+function headerAad(envelope, aad) {
+  const { kdf } = envelope;
+  const header = JSON.stringify([
+    AEAD_ENVELOPE_TYPE, envelope.version, envelope.algorithm,
+    kdf.name, kdf.salt, kdf.info ?? null, kdf.iterations ?? null, kdf.primes
+  ]);
+  const extra = aad == null ? new Uint8Array(0) : typeof aad === 'string' ? utf8Bytes(aad) : Uint8Array.from(aad);
+  return concatBytes([utf8Bytes(header), extra]);
+}
+
+function checkAlgorithm(algorithm) {
+  if (!AEAD_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown AEAD algorithm: ${algorithm} (expected ${AEAD_ALGORITHMS.join(' or ')})`);
+  }
+}
+
+/**
+ * Encrypt and authenticate
+ * @param {Buffer|Uint8Array|string} plaintext - Data (strings are UTF-8)
+ * @param {Buffer|Uint8Array|string|number} secret - Key bytes, passphrase or numeric key
+ * @param {Object} [options={}]
+ * @param {string} [options.algorithm='aes-256-gcm'] - 'aes-256-gcm' or 'chacha20-poly1305'
+ * @param {string} [options.kdf] - 'hkdf-sha256' (default for byte and numeric keys) or
+ *   'pbkdf2-sha256' (default for string passphrases)
+ * @param {number} [options.iterations=600000] - PBKDF2 iterations
+ * @param {string} [options.info='tinyaleph-aead'] - HKDF context string
+ * @param {Buffer|Uint8Array} [options.salt] - KDF salt (random 16 bytes by default)
+ * @param {number} [options.primes=64] - Prime-state front-end size (first N primes)
+ * @param {Buffer|Uint8Array|string} [options.aad] - Extra authenticated data, not stored
+ * @returns {Promise<Object>} Envelope
+ */
+async function sealAead(plaintext, secret, options = {}) {
+  const provider = await getProvider();
+  const algorithm = options.algorithm ?? 'aes-256-gcm';
+  checkAlgorithm(algorithm);
+  const data = typeof plaintext === 'string' ? utf8Bytes(plaintext) : Uint8Array.from(plaintext);
+
+  const kdf = resolveKdf(provider, secret, options);
+  const key = await deriveAeadKey(secret, kdf);
+  const nonce = provider.randomBytes(NONCE_LENGTH);
+  const envelope = { type: AEAD_ENVELOPE_TYPE, version: AEAD_ENVELOPE_VERSION, algorithm, kdf };
+  const { ciphertext, tag } = await provider.seal(algorithm, key, nonce, data, headerAad(envelope, options.aad));
+
+  return {
+    ...envelope,
+    nonce: toBase64(nonce),
+    ciphertext: toBase64(ciphertext),
+    tag: toBase64(tag)
+  };
+}
+
+/**
+ * Verify and decrypt an envelope from sealAead()
+ * @param {Object|string} envelope - Envelope object or its JSON text
+ * @param {Buffer|Uint8Array|string|number} secret - The key used to seal it
+ * @param {Object} [options={}]
+ * @param {Buffer|Uint8Array|string} [options.aad] - The AAD passed to sealAead()
+ * @returns {Promise<Buffer|Uint8Array>} Plaintext (a Uint8Array under WebCrypto)
+ * @throws {Error} If the key, AAD or any envelope field is wrong
+ */
+async function openAead(envelope, secret, options = {}) {
+  const provider = await getProvider();
+  const data = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+  if (!data || data.type !== AEAD_ENVELOPE_TYPE) {
+    throw new Error(`Not an AEAD envelope (expected type '${AEAD_ENVELOPE_TYPE}')`);
+  }
+  if (data.version !== AEAD_ENVELOPE_VERSION) {
+    throw new Error(`Unsupported AEAD envelope version ${data.version} (expected ${AEAD_ENVELOPE_VERSION})`);
+  }
+  checkAlgorithm(data.algorithm);
+  const nonce = fromBase64(data.nonce);
+  const tag = fromBase64(data.tag);
+  if (nonce.length !== NONCE_LENGTH || tag.length !== TAG_LENGTH) {
+    throw new Error(`AEAD envelope needs a ${NONCE_LENGTH}-byte nonce and a ${TAG_LENGTH}-byte tag`);
+  }
+
+  const key = await deriveAeadKey(secret, data.kdf);
+  try {
+    return await provider.open(
+      data.algorithm, key, nonce, fromBase64(data.ciphertext), tag, headerAad(data, options.aad)
+    );
+  } catch {
+    throw new Error('AEAD authentication failed: wrong key, wrong AAD or modified envelope');
+  }
+}
+
+export {
+  AEAD_ENVELOPE_VERSION,
+  AEAD_ALGORITHMS,
+  deriveAeadKey,
+  sealAead,
+  openAead
+};
+
+export default {
+  AEAD_ENVELOPE_VERSION,
+  AEAD_ALGORITHMS,
+  deriveAeadKey,
+  sealAead,
+  openAead
+};
@@ -3,14 +3,20 @@
  *
  * Enhanced with QuPrimes concepts:
  * - Prime-State Key Generation using resonance phases
- * - Holographic Key Distribution
+ * - Holographic Key Distribution (Shamir k-of-n with Pedersen commitments)
  * - Entropy-Sensitive Encryption
+ *
+ * For data that needs integrity protection or has to be read by other
+ * tools, use the AEAD methods (encrypt/decrypt here, or encryptAead/decryptAead
+ * on EntropySensitiveEncryptor), which wrap ./aead.js.
  */
 
 import { Backend } from '../interface.js';
 import { Hypercomplex } from '../../core/hypercomplex.js';
 import { GaussianInteger, primeToFrequency, isPrime, firstNPrimes, factorize } from '../../core/prime.js';
 import { Complex, PrimeState } from '../../core/hilbert.js';
+import { createRng } from '../../core/rng.js';
+import { modPowBigInt, modInverseBigInt } from '../../core/math-utils.js';
 
 class CryptographicBackend extends Backend {
   constructor(config) {
@@ -20,6 +26,7 @@ class CryptographicBackend extends Backend {
     this.config.primes = this.keyPrimes;
     this.transforms = config.transforms || this.generateDefaultTransforms();
     this.rounds = config.rounds || 16;
+    this.rng = createRng(config.rng);
   }
   
   generateKeyPrimes(count) {
@@ -164,7 +171,7 @@ class CryptographicBackend extends Backend {
   generateRandomPrimes(count) {
     const primes = [];
     for (let i = 0; i < count; i++) {
-      const idx = Math.floor(Math.random() * this.keyPrimes.length);
+      const idx = this.rng.nextInt(this.keyPrimes.length);
       primes.push(this.keyPrimes[idx]);
     }
     return primes;
@@ -198,6 +205,34 @@ class CryptographicBackend extends Backend {
     const outerPrimes = this.mixPrimes(this.encode(innerHash), keyPrimes);
     return this.hash(Buffer.from(outerPrimes), outputLength);
   }
+  
+  /**
+   * Authenticated encryption with AES-256-GCM or ChaCha20-Poly1305
+   *
+   * Prime-state key derivation is only the KDF front-end; see ./aead.js.
+   * Options default to config.aead.
+   *
+   * @param {Buffer|string} data - Plaintext
+   * @param {Buffer|string|number} key - Key bytes, passphrase or numeric key
+   * @param {Object} [options] - sealAead() options (algorithm, kdf, aad, ...)
+   * @returns {Promise<Object>} Versioned envelope
+   */
+  async encrypt(data, key, options = {}) {
+    const { sealAead } = await import('./aead.js');
+    return sealAead(data, key, { ...this.config.aead, ...options });
+  }
+  
+  /**
+   * Verify and decrypt an envelope from encrypt()
+   * @param {Object|string} envelope - Envelope or its JSON text
+   * @param {Buffer|string|number} key - Key used to encrypt
+   * @param {Object} [options] - { aad }
+   * @returns {Promise<Buffer>} Plaintext
+   */
+  async decrypt(envelope, key, options = {}) {
+    const { openAead } = await import('./aead.js');
+    return openAead(envelope, key, options);
+  }
 }
 
 // ============================================================================
@@ -218,11 +253,13 @@ class CryptographicBackend extends Backend {
 class PrimeStateKeyGenerator {
   /**
    * @param {Object} options - Configuration
+   * @param {*} [options.rng] - Seed or generator used when generateKeyPair() gets no seed
    */
   constructor(options = {}) {
     this.primes = options.primes || firstNPrimes(64);
     this.keyLength = options.keyLength || 32;
     this.phi = (1 + Math.sqrt(5)) / 2;  // Golden ratio for phase shifts
+    this.rng = createRng(options.rng);
   }
   
   /**
@@ -304,8 +341,9 @@ class PrimeStateKeyGenerator {
       phases,
       rawKey,
       keyModulo,
-      keyBuffer: Buffer.from(keyBytes),
-      keyHex: Buffer.from(keyBytes).toString('hex'),
+      // Uint8Array where there is no Buffer (browsers, for the AEAD KDF)
+      keyBuffer: typeof Buffer === 'function' ? Buffer.from(keyBytes) : Uint8Array.from(keyBytes),
+      keyHex: keyBytes.map(b => b.toString(16).padStart(2, '0')).join(''),
       entropy: state.entropy()
     };
   }
@@ -337,9 +375,9 @@ class PrimeStateKeyGenerator {
    * The public key is the prime indices and amplitudes.
    * The private key includes the phase information.
    *
-   * @param {number} seed - Seed for key generation
+   * @param {number} [seed] - Seed for key generation (drawn from this.rng if omitted)
    */
-  generateKeyPair(seed) {
+  generateKeyPair(seed = this.rng.nextInt(0x7fffffff)) {
     // Use seed to create a complex number
     const n = Math.abs(seed) + 1;
     const privateData = this.generateKey(n);
@@ -401,13 +439,29 @@ class PrimeStateKeyGenerator {
  *
  * Encrypt messages using entropy-based phase modulation:
  * Ê_K|m⟩ = e^{iK(m)}|m⟩, where K(m) = Σ_{p|m} θ_p
+ *
+ * The phase cipher is an experiment, not a secure construction: it has no
+ * integrity protection. encryptAead() and decryptAead() instead use the
+ * prime-state key only as a KDF front-end for standard AEAD (see ./aead.js).
  */
 class EntropySensitiveEncryptor {
+  /**
+   * @param {Object} [options={}] - PrimeStateKeyGenerator options, plus:
+   * @param {Object} [options.aead] - Default sealAead() options for encryptAead()
+   */
   constructor(options = {}) {
+    this.aead = options.aead || {};
     this.keyGen = new PrimeStateKeyGenerator(options);
     this.primes = this.keyGen.primes;
   }
   
+  /**
+   * Seed for a byte-string key
+   */
+  keySeed(key) {
+    return Buffer.from(key).reduce((sum, b) => sum + b, 0) + 1;
+  }
+  
   /**
    * Encrypt data using phase modulation
    * @param {Buffer|string} data - Data to encrypt
@@ -422,8 +476,7 @@ class EntropySensitiveEncryptor {
       keyPhases = this.keyGen.generateKey(key).phases;
     } else {
       // Use key buffer as seed
-      const keySeed = buffer.reduce((sum, b) => sum + b, 0) + 1;
-      keyPhases = this.keyGen.generateKey(keySeed).phases;
+      keyPhases = this.keyGen.generateKey(this.keySeed(key)).phases;
     }
     
     // Encrypt each byte with phase modulation
@@ -456,8 +509,7 @@ class EntropySensitiveEncryptor {
     if (typeof key === 'number') {
       keyPhases = this.keyGen.generateKey(key).phases;
     } else {
-      const keySeed = encrypted.reduce((sum, b) => sum + b, 0) + 1;
-      keyPhases = this.keyGen.generateKey(keySeed).phases;
+      keyPhases = this.keyGen.generateKey(this.keySeed(key)).phases;
     }
     
     // Decrypt each byte (inverse of encryption)
@@ -477,6 +529,30 @@ class EntropySensitiveEncryptor {
     
     return decrypted;
   }
+  
+  /**
+   * Encrypt data with AEAD, using the prime-state key as a KDF front-end
+   * @param {Buffer|Uint8Array|string} data - Data to encrypt
+   * @param {number|Buffer|Uint8Array|string} key - Secret
+   * @param {Object} [options] - sealAead() options, over the constructor's `aead`
+   * @returns {Promise<Object>} AEAD envelope
+   */
+  async encryptAead(data, key, options = {}) {
+    const { sealAead } = await import('./aead.js');
+    return sealAead(data, key, { ...this.aead, ...options });
+  }
+  
+  /**
+   * Decrypt an envelope from encryptAead()
+   * @param {Object|string} envelope - AEAD envelope
+   * @param {number|Buffer|Uint8Array|string} key - Secret
+   * @param {Object} [options] - { aad }
+   * @returns {Promise<Buffer|Uint8Array>} Plaintext
+   */
+  async decryptAead(envelope, key, options = {}) {
+    const { openAead } = await import('./aead.js');
+    return openAead(envelope, key, options);
+  }
 }
 
 // ============================================================================
@@ -490,6 +566,11 @@ class EntropySensitiveEncryptor {
  * I(x, y) = Σ_p A_p e^{-S(x,y)} e^{ipθ}
  *
  * Extract keys via Fourier inversion.
+ *
+ * createShares() splits a key k-of-n with Shamir's scheme and carries each
+ * share in the same kind of pattern. combineShares() verifies every share
+ * against Pedersen commitments and refuses to reconstruct below the
+ * threshold.
  */
 class HolographicKeyDistributor {
   constructor(options = {}) {
@@ -573,73 +654,299 @@ class HolographicKeyDistributor {
   }
   
   /**
-   * Share key between parties using holographic splitting
-   * @param {number} keyValue - Key to share
-   * @param {number} numShares - Number of shares to create
-   * @param {number} threshold - Minimum shares needed to reconstruct
+   * Split a key into k-of-n Shamir shares with Pedersen commitments
+   *
+   * The key is the constant term of f over GF(P), where P is the prime
+   * order of the RFC 3526 2048-bit group. A second, random polynomial r
+   * blinds the commitments C_j = g^{a_j} h^{b_j}: they are perfectly hiding,
+   * so fewer than k shares plus the commitments say nothing about the key,
+   * however little entropy it has. Each share is (x, f(x), r(x)), with
+   * x = index + 1, and both values are written into holographic patterns
+   * (see encodeSharePattern). Coefficients come from the platform CSPRNG,
+   * never from this.keyGen.rng, because a seeded generator would make the
+   * shares predictable.
+   *
+   * @param {number|Buffer|Uint8Array} keyValue - Key number (as for encodeKey) or raw key bytes
+   * @param {number} [numShares=3] - Number of shares to create
+   * @param {number} [threshold=2] - Minimum shares needed to reconstruct
+   * @returns {{shares: Object[], threshold: number, commitments: string[]}}
+   *   Each share is { index, x, threshold, keyLength, pattern, blinding, gridSize, commitments }
    */
   createShares(keyValue, numShares = 3, threshold = 2) {
-    const encoding = this.encodeKey(keyValue);
-    const shares = [];
+    if (!Number.isInteger(numShares) || !Number.isInteger(threshold) || threshold < 1 || threshold > numShares) {
+      throw new Error(`Threshold must be an integer between 1 and numShares (got ${threshold} of ${numShares})`);
+    }
+    if (this.gridSize * this.gridSize < FIELD_BYTES) {
+      throw new Error(`Share patterns need at least ${FIELD_BYTES} cells; use a gridSize of 16 or more`);
+    }
+    const key = typeof keyValue === 'number'
+      ? this.keyGen.generateKey(keyValue).keyBuffer
+      : Buffer.from(keyValue);
+    if (key.length === 0 || key.length >= FIELD_BYTES) {
+      throw new Error(`Key must be between 1 and ${FIELD_BYTES - 1} bytes`);
+    }
     
-    // Split pattern into shares using XOR-like operation
+    const coefficients = [bytesToBigInt(key)];
+    const blinding = [randomFieldElement()];
+    for (let j = 1; j < threshold; j++) {
+      coefficients.push(randomFieldElement());
+      blinding.push(randomFieldElement());
+    }
+    const commitments = coefficients.map((a, j) =>
+      (modPowBigInt(GROUP_G, a, GROUP_Q) * modPowBigInt(GROUP_H, blinding[j], GROUP_Q) % GROUP_Q).toString(16)
+    );
+    
+    const shares = [];
     for (let s = 0; s < numShares; s++) {
-      const share = new Array(this.gridSize);
-      for (let x = 0; x < this.gridSize; x++) {
-        share[x] = new Array(this.gridSize);
-        for (let y = 0; y < this.gridSize; y++) {
-          const original = encoding.pattern[x][y];
-          
-          // Add share-specific noise
-          const noise = Math.sin((x + y + s) * this.keyGen.phi);
-          share[x][y] = {
-            intensity: original.intensity + noise * (s < numShares - 1 ? 1 : -numShares + 1),
-            phase: original.phase + (2 * Math.PI * s / numShares)
-          };
-        }
-      }
-      
+      const x = BigInt(s + 1);
       shares.push({
         index: s,
-        pattern: share,
-        gridSize: this.gridSize
+        x: s + 1,
+        threshold,
+        keyLength: key.length,
+        pattern: this.encodeSharePattern(bigIntToBytes(evaluatePolynomial(coefficients, x), FIELD_BYTES)),
+        blinding: this.encodeSharePattern(bigIntToBytes(evaluatePolynomial(blinding, x), FIELD_BYTES)),
+        gridSize: this.gridSize,
+        commitments: [...commitments]
       });
     }
     
-    return { shares, threshold };
+    return { shares, threshold, commitments };
+  }
+  
+  /**
+   * Reference wave for share patterns: Σ_p (x·p/gridSize + y/p) over the
+   * first four primes, the same interference term encodeKey() uses
+   */
+  referencePhase(x, y, gridSize = this.gridSize) {
+    let phase = 0;
+    for (const p of this.primes.slice(0, 4)) {
+      phase += (x * p / gridSize) + (y / p);
+    }
+    return phase;
+  }
+  
+  /**
+   * Write bytes into an interference pattern, one byte per cell
+   *
+   * A cell's phase is the reference wave shifted by 2π(b + ½)/256, and its
+   * intensity is the decayed interference cos(phase). Unused cells carry 0.
+   *
+   * @param {Uint8Array} bytes - At most gridSize² bytes
+   * @returns {Array<Array<{intensity: number, phase: number}>>}
+   */
+  encodeSharePattern(bytes) {
+    const n = this.gridSize;
+    const pattern = new Array(n);
+    for (let x = 0; x < n; x++) {
+      pattern[x] = new Array(n);
+      for (let y = 0; y < n; y++) {
+        const b = bytes[x * n + y] || 0;
+        const phase = mod2Pi(this.referencePhase(x, y, n) + 2 * Math.PI * (b + 0.5) / 256);
+        const r = Math.sqrt((x - n/2)**2 + (y - n/2)**2);
+        pattern[x][y] = { intensity: Math.exp(-r / n) * Math.cos(phase), phase };
+      }
+    }
+    return pattern;
+  }
+  
+  /**
+   * Read bytes back from encodeSharePattern()
+   * @param {Array} pattern - Share pattern
+   * @param {number} length - Bytes to read
+   * @returns {Uint8Array}
+   */
+  decodeSharePattern(pattern, length) {
+    const n = pattern.length;
+    const bytes = new Uint8Array(length);
+    for (let t = 0; t < length; t++) {
+      const x = Math.floor(t / n);
+      const y = t % n;
+      const shift = mod2Pi(pattern[x][y].phase - this.referencePhase(x, y, n));
+      bytes[t] = Math.floor(shift * 256 / (2 * Math.PI)) & 0xFF;
+    }
+    return bytes;
+  }
+  
+  /**
+   * Check a share against Pedersen commitments: g^{f(x)} h^{r(x)} = Π_j C_j^{x^j}
+   *
+   * Binding rests on the discrete logarithm of h being unknown.
+   *
+   * @param {Object} share - From createShares()
+   * @param {string[]} [commitments=share.commitments] - Trusted commitments from the dealer
+   * @returns {boolean}
+   */
+  verifyShare(share, commitments = share.commitments) {
+    if (!Array.isArray(commitments) || commitments.length !== share.threshold || !share.blinding) return false;
+    const y = bytesToBigInt(this.decodeSharePattern(share.pattern, FIELD_BYTES));
+    const t = bytesToBigInt(this.decodeSharePattern(share.blinding, FIELD_BYTES));
+    if (y >= FIELD_P || t >= FIELD_P) return false;
+    
+    const x = BigInt(share.x);
+    let expected = 1n;
+    let power = 1n;
+    for (const c of commitments) {
+      expected = (expected * modPowBigInt(BigInt('0x' + c), power, GROUP_Q)) % GROUP_Q;
+      power = (power * x) % FIELD_P;
+    }
+    return modPowBigInt(GROUP_G, y, GROUP_Q) * modPowBigInt(GROUP_H, t, GROUP_Q) % GROUP_Q === expected;
   }
   
   /**
    * Combine shares to recover key
-   * @param {Array} shares - Subset of shares to combine
+   *
+   * Every share is verified before interpolation. Pass the dealer's
+   * commitments to check against a trusted copy; otherwise the commitments
+   * carried by the shares are used and must all agree.
+   *
+   * @param {Array} shares - At least `threshold` distinct shares
+   * @param {Object} [options={}]
+   * @param {string[]} [options.commitments] - Trusted commitments from createShares()
+   * @param {string} [options.format='array'] - 'array' for the key bytes as numbers
+   *   (the shape decodeKey() returns), or 'buffer'
+   * @returns {number[]|Buffer} Recovered key
+   * @throws {Error} Below the threshold, on duplicate or inconsistent shares, or if a share fails verification
    */
-  combineShares(shares) {
-    if (shares.length < 2) {
-      throw new Error('Need at least 2 shares to reconstruct');
+  combineShares(shares, options = {}) {
+    const format = options.format || 'array';
+    if (format !== 'array' && format !== 'buffer') {
+      throw new Error(`Unknown key format: ${format} (expected 'array' or 'buffer')`);
+    }
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new Error('No shares to combine');
+    }
+    const { threshold, keyLength } = shares[0];
+    const commitments = options.commitments || shares[0].commitments;
+    const commitmentKey = JSON.stringify(commitments);
+    const seen = new Set();
+    for (const share of shares) {
+      if (share.threshold !== threshold || share.keyLength !== keyLength) {
+        throw new Error('Shares come from different splits');
+      }
+      if (!options.commitments && JSON.stringify(share.commitments) !== commitmentKey) {
+        throw new Error('Shares carry different commitments');
+      }
+      if (seen.has(share.x)) {
+        throw new Error(`Duplicate share ${share.index}`);
+      }
+      seen.add(share.x);
+    }
+    if (shares.length < threshold) {
+      throw new Error(`Need at least ${threshold} shares to reconstruct, got ${shares.length}`);
+    }
+    for (const share of shares) {
+      if (!this.verifyShare(share, commitments)) {
+        throw new Error(`Share ${share.index} failed verification`);
+      }
     }
     
-    // Average the patterns
-    const combined = new Array(this.gridSize);
-    for (let x = 0; x < this.gridSize; x++) {
-      combined[x] = new Array(this.gridSize);
-      for (let y = 0; y < this.gridSize; y++) {
-        let intensitySum = 0;
-        let phaseSum = 0;
-        
-        for (const share of shares) {
-          intensitySum += share.pattern[x][y].intensity;
-          phaseSum += share.pattern[x][y].phase;
-        }
-        
-        combined[x][y] = {
-          intensity: intensitySum / shares.length,
-          phase: phaseSum / shares.length
-        };
+    // Lagrange interpolation at x = 0
+    const points = shares.map(share => ({
+      x: BigInt(share.x),
+      y: bytesToBigInt(this.decodeSharePattern(share.pattern, FIELD_BYTES))
+    }));
+    let secret = 0n;
+    for (const { x: xi, y: yi } of points) {
+      let num = 1n;
+      let den = 1n;
+      for (const { x: xj } of points) {
+        if (xj === xi) continue;
+        num = (num * (FIELD_P - xj)) % FIELD_P;
+        den = (den * ((xi - xj + FIELD_P) % FIELD_P)) % FIELD_P;
       }
+      secret = (secret + yi * num % FIELD_P * modInverseBigInt(den, FIELD_P)) % FIELD_P;
     }
     
-    return this.decodeKey({ pattern: combined, gridSize: this.gridSize });
+    const key = bigIntToBytes(secret, keyLength);
+    return format === 'buffer' ? Buffer.from(key) : Array.from(key);
+  }
+}
+
+// ============================================================================
+// THRESHOLD SHARING
+// ============================================================================
+
+// RFC 3526 group 14: GROUP_Q = 2·FIELD_P + 1 is a safe prime and 2
+// generates the subgroup of prime order FIELD_P. Shares live in GF(FIELD_P);
+// Pedersen commitments live in the subgroup.
+const GROUP_Q = BigInt('0x' +
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74020BBEA63B139B22514A08798E3404DD' +
+  'EF9519B3CD3A431B302B0A6DF25F14374FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED' +
+  'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF0598DA48361C55D39A69163FA8FD24CF5F' +
+  '83655D23DCA3AD961C62F356208552BB9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B' +
+  'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF6955817183995497CEA956AE515D2261898FA0510' +
+  '15728E5A8AACAA68FFFFFFFFFFFFFFFF');
+const GROUP_G = 2n;
+// Second Pedersen generator with no known logarithm to base GROUP_G: the
+// eight SHA-256 digests of 'tinyaleph pedersen generator' || i (i = 0..7),
+// read as one big-endian integer, reduced mod GROUP_Q and squared into the
+// subgroup.
+const GROUP_H = BigInt('0x' +
+  '4B5B1564DD1504BF7B371A4E6DA5440660518C40A856DDA32BA4CF0ECF0AF05481DF1AD2EFA174C62E60B1240BF5DF27' +
+  '76BDC3A93B21FEB484FAAD493BD14581F01C12C812E4C2BDD8011C5E28A0460B5F35B7CB7C98CC943FC74B8BCF02D9EE' +
+  'FE4A6AD79F7C715B310A368FDF1F2F749E273F6A3DDBA5575D901D0B2174F09F41E3571B000936112494C988F14AA767' +
+  '405C71295B1036C6D8559E87D99A5DCFFB49A30B18AC10F456E1964C1CA1F27D23C139EB8BE13011DD2687BCAC2B6B5D' +
+  '66ECA2ED13D4C2C69C0AF4807157416A9277A45A4561B7CA7B91002CB17A18B49C7A01A9F2023D720F10116BB585A959' +
+  '9B2F37F8E4DB2A40FD398D31DEEE4693');
+const FIELD_P = (GROUP_Q - 1n) / 2n;
+const FIELD_BYTES = 256;
+
+function bytesToBigInt(bytes) {
+  let n = 0n;
+  for (const b of bytes) n = (n << 8n) | BigInt(b);
+  return n;
+}
+
+function bigIntToBytes(n, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(n & 0xFFn);
+    n >>= 8n;
+  }
+  if (n !== 0n) throw new Error(`Value does not fit in ${length} bytes`);
+  return bytes;
+}
+
+/**
+ * Horner evaluation of Σ_j c_j x^j over GF(FIELD_P)
+ */
+function evaluatePolynomial(coefficients, x) {
+  let y = 0n;
+  for (let j = coefficients.length - 1; j >= 0; j--) {
+    y = (y * x + coefficients[j]) % FIELD_P;
   }
+  return y;
+}
+
+/**
+ * Platform CSPRNG: node:crypto's webcrypto, falling back to WebCrypto.
+ * globalThis.crypto alone is missing from ES modules on Node 16 and 18.
+ */
+const secureRandom = await import('node:crypto').then(
+  (crypto) => crypto.webcrypto,
+  () => globalThis.crypto
+);
+
+/**
+ * Uniform element of GF(FIELD_P) from the platform CSPRNG (rejection sampling)
+ */
+function randomFieldElement() {
+  if (!secureRandom?.getRandomValues) {
+    throw new Error('Key sharing needs node:crypto or WebCrypto');
+  }
+  const bytes = new Uint8Array(FIELD_BYTES);
+  for (;;) {
+    secureRandom.getRandomValues(bytes);
+    bytes[0] &= 0x7F;
+    const n = bytesToBigInt(bytes);
+    if (n < FIELD_P) return n;
+  }
+}
+
+function mod2Pi(x) {
+  const r = x % (2 * Math.PI);
+  return r < 0 ? r + 2 * Math.PI : r;
 }
 
 export {
@@ -3,9 +3,25 @@
  */
 
 import { Backend } from './interface.js';
-import SemanticBackend from './semantic/index.js';
-import CryptographicBackend from './cryptographic/index.js';
-import ScientificBackend from './scientific/index.js';
+import { SemanticBackend, SubwordTokenizer } from './semantic/index.js';
+import {
+  CryptographicBackend,
+  PrimeStateKeyGenerator,
+  EntropySensitiveEncryptor,
+  HolographicKeyDistributor
+} from './cryptographic/index.js';
+import { sealAead, openAead } from './cryptographic/aead.js';
+import { ScientificBackend, StateVector, QuantumCircuit, parseQASM, toQASM } from './scientific/index.js';
+import { CompositeBackend } from './composite/index.js';
+import {
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend
+} from './registry.js';
 
 import bioinformatics from './bioinformatics/index.js';
 
@@ -13,16 +29,47 @@ import bioinformatics from './bioinformatics/index.js';
 export {
   Backend,
   SemanticBackend,
+  SubwordTokenizer,
   CryptographicBackend,
+  PrimeStateKeyGenerator,
+  EntropySensitiveEncryptor,
+  HolographicKeyDistributor,
+  sealAead,
+  openAead,
   ScientificBackend,
-  bioinformatics
+  StateVector,
+  QuantumCircuit,
+  parseQASM,
+  toQASM,
+  CompositeBackend,
+  bioinformatics,
+  
+  // Backend registry
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend
 };
 
 export default {
   Backend,
   SemanticBackend,
+  SubwordTokenizer,
   CryptographicBackend,
+  PrimeStateKeyGenerator,
+  EntropySensitiveEncryptor,
+  HolographicKeyDistributor,
+  sealAead,
+  openAead,
   ScientificBackend,
+  StateVector,
+  QuantumCircuit,
+  parseQASM,
+  toQASM,
+  CompositeBackend,
   
   // Bioinformatics backend
   BioinformaticsBackend: bioinformatics.BioinformaticsBackend,
@@ -44,6 +91,38 @@ export default {
   DNACircuit: bioinformatics.DNACircuit,
   StrandDisplacementReaction: bioinformatics.StrandDisplacementReaction,
   
+  // Sequence alignment
+  alignSequences: bioinformatics.alignSequences,
+  progressiveAlign: bioinformatics.progressiveAlign,
+  MultipleAlignment: bioinformatics.MultipleAlignment,
+  
+  // Sequence file formats
+  parseFASTQ: bioinformatics.parseFASTQ,
+  formatFASTQ: bioinformatics.formatFASTQ,
+  parseGenBank: bioinformatics.parseGenBank,
+  formatGenBank: bioinformatics.formatGenBank,
+  parseGFF3: bioinformatics.parseGFF3,
+  formatGFF3: bioinformatics.formatGFF3,
+  extractFeature: bioinformatics.extractFeature,
+  readSequenceRecords: bioinformatics.readSequenceRecords,
+  
+  // Restriction digests, primers and PCR
+  RESTRICTION_ENZYMES: bioinformatics.RESTRICTION_ENZYMES,
+  findRestrictionSites: bioinformatics.findRestrictionSites,
+  restrictionDigest: bioinformatics.restrictionDigest,
+  meltingTemperature: bioinformatics.meltingTemperature,
+  designPrimers: bioinformatics.designPrimers,
+  simulatePCR: bioinformatics.simulatePCR,
+  
   // Full bioinformatics module
-  bioinformatics
+  bioinformatics,
+  
+  // Backend registry
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend
 };
\ No newline at end of file
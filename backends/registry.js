@@ -0,0 +1,267 @@
+/**
+ * Backend Registry
+ *
+ * Maps backend names to factories so createEngine() can build any backend,
+ * including user-defined Backend subclasses, by name.
+ *
+ * @example
+ * import { registerBackend, createEngine } from '@aleph-ai/tinyaleph';
+ *
+ * class MusicBackend extends Backend { ... }
+ *
+ * registerBackend('music', MusicBackend, {
+ *   defaultConfig: { dimension: 16, primes: [2, 3, 5, 7] },
+ *   validate: (config) => config.primes.length > 0 || 'primes must not be empty'
+ * });
+ *
+ * const engine = createEngine('music', { scale: 'dorian' });
+ *
+ * @module backends/registry
+ */
+
+import { Backend } from './interface.js';
+import { SemanticBackend } from './semantic/index.js';
+import { CryptographicBackend } from './cryptographic/index.js';
+import { ScientificBackend } from './scientific/index.js';
+import bioinformatics from './bioinformatics/index.js';
+import { CompositeBackend } from './composite/index.js';
+import { ValidationError } from '../core/errors.js';
+
+/**
+ * Methods every backend must implement (the throwing stubs in Backend don't count)
+ */
+const REQUIRED_BACKEND_METHODS = [
+  'encode',
+  'decode',
+  'primesToState',
+  'primesToFrequencies',
+  'applyTransform'
+];
+
+// Canonical name -> { name, factory, isClass, defaultConfig, validate, aliases }
+const entries = new Map();
+
+// Name or alias -> canonical name
+const lookup = new Map();
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * List required Backend methods that an object (or prototype) does not implement
+ *
+ * @param {object} target - Backend instance or class prototype
+ * @returns {string[]} Missing method names (empty when complete)
+ */
+function findMissingMethods(target) {
+  return REQUIRED_BACKEND_METHODS.filter(method =>
+    !target ||
+    typeof target[method] !== 'function' ||
+    target[method] === Backend.prototype[method]
+  );
+}
+
+/**
+ * Check that a backend implements every required method
+ *
+ * @param {object} backend - Backend instance
+ * @returns {object} The backend, for chaining
+ * @throws {ValidationError} Listing the unimplemented methods in `fields`
+ */
+function validateBackend(backend) {
+  const missing = findMissingMethods(backend);
+  if (missing.length > 0) {
+    const name = backend?.constructor?.name || 'Backend';
+    throw new ValidationError(
+      `${name} does not implement required Backend methods: ${missing.join(', ')}`,
+      { code: 'BACKEND_INCOMPLETE', fields: missing }
+    );
+  }
+  return backend;
+}
+
+/**
+ * Normalize a validate() return value into a list of problems
+ *
+ * true/undefined mean valid; false, a string or an array of strings
+ * describe what is wrong.
+ */
+function configProblems(result) {
+  if (result === undefined || result === null || result === true) return [];
+  if (result === false) return ['validation failed'];
+  if (Array.isArray(result)) return result.map(String);
+  return [String(result)];
+}
+
+function isClass(fn) {
+  return fn.prototype instanceof Backend ||
+    fn === Backend ||
+    /^class[\s{]/.test(Function.prototype.toString.call(fn));
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Register a backend under a name
+ *
+ * `factory` is either a Backend subclass (instantiated with `new`) or a
+ * function `(config) => backend`. Classes are checked for the required
+ * methods immediately; factory results are checked when created.
+ *
+ * @param {string} name - Backend name (case-insensitive)
+ * @param {Function} factory - Backend class or factory function
+ * @param {object} [options={}] - Registration options
+ * @param {object} [options.defaultConfig={}] - Config merged under the caller's config
+ * @param {Function} [options.validate] - (config) => true | false | string | string[]
+ * @param {string[]} [options.aliases=[]] - Alternative names
+ * @returns {Function} The factory, for chaining
+ * @throws {Error} If the name or an alias is taken or the factory is not a function
+ * @throws {ValidationError} If a Backend class lacks required methods
+ */
+function registerBackend(name, factory, options = {}) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Backend name must be a non-empty string');
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`Backend "${name}" factory must be a class or function`);
+  }
+
+  const { defaultConfig = {}, validate = null, aliases = [] } = options;
+  const key = name.toLowerCase();
+  const keys = [key, ...aliases.map(a => a.toLowerCase())];
+
+  for (const k of keys) {
+    if (lookup.has(k)) {
+      throw new Error(`Backend name "${k}" is already registered`);
+    }
+  }
+
+  const asClass = isClass(factory);
+  if (asClass) {
+    const missing = findMissingMethods(factory.prototype);
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `${factory.name || name} does not implement required Backend methods: ${missing.join(', ')}`,
+        { code: 'BACKEND_INCOMPLETE', fields: missing }
+      );
+    }
+  }
+
+  entries.set(key, {
+    name: key,
+    factory,
+    isClass: asClass,
+    defaultConfig,
+    validate,
+    aliases: keys.slice(1)
+  });
+  for (const k of keys) lookup.set(k, key);
+
+  return factory;
+}
+
+/**
+ * Remove a backend (and its aliases) from the registry
+ * @param {string} name - Backend name or alias
+ * @returns {boolean} True if a backend was removed
+ */
+function unregisterBackend(name) {
+  const key = lookup.get(String(name).toLowerCase());
+  if (!key) return false;
+  const entry = entries.get(key);
+  entries.delete(key);
+  lookup.delete(key);
+  for (const alias of entry.aliases) lookup.delete(alias);
+  return true;
+}
+
+/**
+ * Check whether a backend name or alias is registered
+ * @param {string} name - Backend name or alias
+ * @returns {boolean}
+ */
+function hasBackend(name) {
+  return lookup.has(String(name).toLowerCase());
+}
+
+/**
+ * List registered backend names (aliases excluded), in registration order
+ * @returns {string[]}
+ */
+function listBackends() {
+  return [...entries.keys()];
+}
+
+/**
+ * Build a registered backend
+ *
+ * The registration's defaultConfig is merged under `config`, the merged
+ * config is passed to validate(), and the resulting backend is checked for
+ * the required methods, all before any engine is constructed.
+ *
+ * @param {string} name - Backend name or alias
+ * @param {object} [config={}] - Backend configuration
+ * @returns {Backend}
+ * @throws {Error} For unknown names
+ * @throws {ValidationError} For invalid configs or incomplete backends
+ */
+function createBackend(name, config = {}) {
+  const key = lookup.get(String(name).toLowerCase());
+  if (!key) {
+    throw new Error(`Unknown backend type: ${name} (registered: ${listBackends().join(', ')})`);
+  }
+
+  const entry = entries.get(key);
+  const merged = { ...entry.defaultConfig, ...config };
+
+  if (entry.validate) {
+    const problems = configProblems(entry.validate(merged));
+    if (problems.length > 0) {
+      throw new ValidationError(
+        `Invalid config for backend "${key}": ${problems.join('; ')}`,
+        { code: 'INVALID_BACKEND_CONFIG', fields: problems }
+      );
+    }
+  }
+
+  const backend = entry.isClass ? new entry.factory(merged) : entry.factory(merged);
+  return validateBackend(backend);
+}
+
+// ============================================================================
+// BUILT-IN BACKENDS
+// ============================================================================
+
+registerBackend('semantic', SemanticBackend);
+registerBackend('cryptographic', CryptographicBackend, { aliases: ['crypto'] });
+registerBackend('scientific', ScientificBackend, { aliases: ['science', 'quantum'] });
+registerBackend('bioinformatics', bioinformatics.BioinformaticsBackend, {
+  aliases: ['bio', 'dna', 'protein']
+});
+registerBackend('composite', CompositeBackend, {
+  validate: (config) => Boolean(config.backends && Object.keys(config.backends).length > 0) ||
+    'backends must contain at least one Backend instance'
+});
+
+export {
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend
+};
+
+export default {
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend
+};
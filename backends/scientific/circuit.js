@@ -0,0 +1,248 @@
+/**
+ * Quantum Circuit - An ordered list of gates, measurements and resets
+ *
+ * A circuit records operations without simulating them; run() replays the
+ * list on a fresh StateVector. Operations are plain objects so circuits can
+ * be inspected, serialized or translated to other formats:
+ *
+ *   { gate: 'h', qubits: [0], params: [] }
+ *   { gate: 'measure', qubits: [0], clbits: [0] }
+ *   { gate: 'reset', qubits: [1] }
+ *   { gate: 'barrier', qubits: [0, 1] }
+ *
+ * Any operation may carry a classical condition, set with cIf():
+ *   { gate: 'x', qubits: [1], params: [], condition: { clbits: [0, 1], value: 2 } }
+ * It runs only when those bits, read little-endian, equal `value`.
+ *
+ * @module backends/scientific/circuit
+ */
+
+import { StateVector, GATE_NAMES, resolveGate, gateArity } from './state-vector.js';
+import { createRng } from '../../core/rng.js';
+
+class QuantumCircuit {
+  /**
+   * @param {number} numQubits - Quantum register size
+   * @param {number} [numClbits=0] - Classical register size
+   */
+  constructor(numQubits, numClbits = 0) {
+    if (!Number.isInteger(numQubits) || numQubits < 1) {
+      throw new Error('numQubits must be a positive integer');
+    }
+    this.numQubits = numQubits;
+    this.numClbits = numClbits;
+    this.ops = [];
+  }
+
+  /**
+   * Append a gate
+   * @param {string} gate - Gate name (see StateVector)
+   * @param {number[]} qubits - Controls first, then target(s)
+   * @param {number[]} [params=[]] - Rotation angles
+   * @returns {QuantumCircuit} this
+   */
+  append(gate, qubits, params = []) {
+    const canonical = resolveGate(gate);
+    if (!canonical) throw new Error(`Unknown gate: ${gate}`);
+    const arity = gateArity(canonical);
+    if (qubits.length !== arity.qubits || params.length !== arity.params) {
+      throw new Error(
+        `Gate ${gate} takes ${arity.qubits} qubit(s) and ${arity.params} parameter(s), ` +
+        `got ${qubits.length} and ${params.length}`
+      );
+    }
+    this._checkQubits(qubits);
+    this.ops.push({ gate: canonical, qubits: [...qubits], params: [...params] });
+    return this;
+  }
+
+  /**
+   * Measure a qubit into a classical bit
+   * @param {number} qubit
+   * @param {number} [clbit=qubit]
+   * @returns {QuantumCircuit} this
+   */
+  measure(qubit, clbit = qubit) {
+    this._checkQubits([qubit]);
+    if (!Number.isInteger(clbit) || clbit < 0) {
+      throw new Error(`Invalid classical bit: ${clbit}`);
+    }
+    this.numClbits = Math.max(this.numClbits, clbit + 1);
+    this.ops.push({ gate: 'measure', qubits: [qubit], clbits: [clbit] });
+    return this;
+  }
+
+  /**
+   * Measure qubit k into classical bit k for every qubit
+   * @returns {QuantumCircuit} this
+   */
+  measureAll() {
+    for (let q = 0; q < this.numQubits; q++) {
+      this.measure(q, q);
+    }
+    return this;
+  }
+
+  reset(qubit) {
+    this._checkQubits([qubit]);
+    this.ops.push({ gate: 'reset', qubits: [qubit] });
+    return this;
+  }
+
+  barrier(...qubits) {
+    const targets = qubits.length > 0 ? qubits : [...Array(this.numQubits).keys()];
+    this._checkQubits(targets);
+    this.ops.push({ gate: 'barrier', qubits: targets });
+    return this;
+  }
+
+  /**
+   * Condition the most recently added operation on classical bits
+   * @param {number[]} clbits - Bits to test, least significant first
+   * @param {number} value - Required value
+   * @returns {QuantumCircuit} this
+   */
+  cIf(clbits, value) {
+    const op = this.ops[this.ops.length - 1];
+    if (!op) throw new Error('cIf() needs an operation to condition');
+    for (const c of clbits) {
+      if (!Number.isInteger(c) || c < 0 || c >= this.numClbits) {
+        throw new Error(`Invalid classical bit: ${c}`);
+      }
+    }
+    op.condition = { clbits: [...clbits], value };
+    return this;
+  }
+
+  _checkQubits(qubits) {
+    for (const q of qubits) {
+      if (!Number.isInteger(q) || q < 0 || q >= this.numQubits) {
+        throw new Error(`Qubit ${q} out of range for a ${this.numQubits}-qubit circuit`);
+      }
+    }
+  }
+
+  /**
+   * Simulate the circuit once
+   * @param {Object} [options={}]
+   * @param {*} [options.rng] - Generator or seed for measurements
+   * @param {StateVector} [options.initialState] - Starting state (cloned); default |0…0⟩
+   * @returns {{state: StateVector, clbits: number[]}} Final state and classical bits
+   */
+  run(options = {}) {
+    const rng = createRng(options.rng);
+    const state = options.initialState
+      ? options.initialState.clone()
+      : new StateVector(this.numQubits, { rng });
+    if (state.numQubits !== this.numQubits) {
+      throw new Error(`Initial state has ${state.numQubits} qubits, circuit has ${this.numQubits}`);
+    }
+    state.rng = rng;
+
+    const clbits = new Array(this.numClbits).fill(0);
+    for (const op of this.ops) {
+      if (op.condition && !conditionHolds(op.condition, clbits)) continue;
+      if (op.gate === 'measure') {
+        clbits[op.clbits[0]] = state.measure(op.qubits[0]);
+      } else if (op.gate === 'reset') {
+        state.reset(op.qubits[0]);
+      } else if (op.gate !== 'barrier') {
+        state.apply(op.gate, op.qubits, op.params);
+      }
+    }
+    return { state, clbits };
+  }
+
+  /**
+   * Run the circuit repeatedly and count classical outcomes
+   *
+   * When every measurement comes after the last gate on its qubit and there
+   * are no resets, the state is simulated once and sampled; otherwise each
+   * shot is a full run. Circuits without measurements count every qubit.
+   *
+   * @param {number} [shots=1024]
+   * @param {Object} [options={}] - run() options
+   * @returns {Object<string, number>} Counts keyed by classical bit string (bit n-1 first)
+   */
+  sample(shots = 1024, options = {}) {
+    const rng = createRng(options.rng);
+    const measures = this.ops.filter(op => op.gate === 'measure');
+    const counts = {};
+    const record = (bits) => {
+      const key = bits.slice().reverse().join('');
+      counts[key] = (counts[key] || 0) + 1;
+    };
+
+    if (!this._hasTerminalMeasurements()) {
+      for (let s = 0; s < shots; s++) {
+        record(this.run({ ...options, rng }).clbits);
+      }
+      return counts;
+    }
+
+    const unitary = new QuantumCircuit(this.numQubits, this.numClbits);
+    unitary.ops = this.ops.filter(op => op.gate !== 'measure');
+    const { state } = unitary.run({ ...options, rng });
+    const outcomes = state.sample(shots);
+    for (const [bitString, count] of Object.entries(outcomes)) {
+      const index = parseInt(bitString, 2);
+      const clbits = measures.length > 0 ? new Array(this.numClbits).fill(0) : null;
+      for (const op of measures) {
+        clbits[op.clbits[0]] = (index >> op.qubits[0]) & 1;
+      }
+      const key = clbits ? clbits.slice().reverse().join('') : bitString;
+      counts[key] = (counts[key] || 0) + count;
+    }
+    return counts;
+  }
+
+  /**
+   * True when no gate, reset or re-measurement follows a measurement on
+   * the same qubit and nothing is classically conditioned
+   */
+  _hasTerminalMeasurements() {
+    const measured = new Set();
+    for (const op of this.ops) {
+      if (op.gate === 'reset' || op.condition) return false;
+      if (op.gate === 'barrier') continue;
+      if (op.qubits.some(q => measured.has(q))) return false;
+      if (op.gate === 'measure') measured.add(op.qubits[0]);
+    }
+    return true;
+  }
+
+  /**
+   * Gate count by name
+   * @returns {Object<string, number>}
+   */
+  countOps() {
+    const counts = {};
+    for (const { gate } of this.ops) {
+      counts[gate] = (counts[gate] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+/**
+ * Whether classical bits (little-endian) equal a condition's value
+ */
+function conditionHolds({ clbits: bits, value }, clbits) {
+  return bits.reduce((v, c, i) => v + (clbits[c] << i), 0) === value;
+}
+
+// Gate shorthands mirroring StateVector: circuit.h(0).cx(0, 1).rz(theta, 1)
+for (const name of GATE_NAMES) {
+  const { params } = gateArity(name);
+  QuantumCircuit.prototype[name] = function (...args) {
+    return this.append(name, args.slice(params), args.slice(0, params));
+  };
+}
+
+export {
+  QuantumCircuit
+};
+
+export default {
+  QuantumCircuit
+};
@@ -1,10 +1,24 @@
 /**
  * Scientific Backend - Quantum simulation, particle physics, molecular dynamics
+ *
+ * Gates come in two forms: the original prime-substitution transforms used
+ * by the engine's symbolic reasoning (applyGate on a prime array), and a
+ * state-vector simulator (StateVector, QuantumCircuit) for real multi-qubit
+ * circuits. A StateVector passed to encode() becomes the basis primes of its
+ * support, so simulator output can be run through an AlephEngine.
+ * Circuits can be read from and written to OpenQASM 2/3 (fromQASM/toQASM).
  */
 
 import { Backend } from '../interface.js';
 import { Hypercomplex } from '../../core/hypercomplex.js';
 import { primeToFrequency, factorize, firstNPrimes, DEFAULT_PRIMES } from '../../core/prime.js';
+import { createRng } from '../../core/rng.js';
+import { StateVector } from './state-vector.js';
+import { QuantumCircuit } from './circuit.js';
+import { parseQASM, toQASM } from './qasm.js';
+
+// Circuit gate → quantumGates key, for the symbolic path of applyCircuit()
+const SYMBOLIC_GATES = { x: 'X', y: 'Y', z: 'Z', h: 'H', cx: 'CNOT', t: 'T', s: 'S', swap: 'SWAP' };
 
 class ScientificBackend extends Backend {
   constructor(config) {
@@ -34,9 +48,15 @@ class ScientificBackend extends Backend {
     };
     
     this.transforms = Object.values(this.quantumGates);
+    this.rng = createRng(config.rng);
   }
   
   encode(input) {
+    // Simulated states encode as their basis primes, most probable first
+    if (input instanceof StateVector) {
+      return input.toPrimes();
+    }
+    
     // Handle various input types
     if (Array.isArray(input)) {
       return input.flatMap(q => this.qubitToPrimes(q));
@@ -165,8 +185,19 @@ class ScientificBackend extends Backend {
   
   /**
    * Apply a quantum gate by name
+   *
+   * On a prime array this applies the prime-substitution transform. On a
+   * StateVector it applies the real gate to the given qubits.
+   *
+   * @param {number[]|StateVector} inputPrimes - Primes or simulator state
+   * @param {string} gateName - Gate name ('X', 'CNOT', 'rz', ...)
+   * @param {number[]} [qubits=[0]] - Controls then target(s), StateVector only
+   * @param {number[]} [params=[]] - Rotation angles, StateVector only
    */
-  applyGate(inputPrimes, gateName) {
+  applyGate(inputPrimes, gateName, qubits = [0], params = []) {
+    if (inputPrimes instanceof StateVector) {
+      return inputPrimes.apply(gateName, qubits, params);
+    }
     const gate = this.quantumGates[gateName];
     if (!gate) throw new Error(`Unknown gate: ${gateName}`);
     return this.applyTransform(inputPrimes, gate);
@@ -174,8 +205,19 @@ class ScientificBackend extends Backend {
   
   /**
    * Measure quantum state (probabilistic collapse)
+   *
+   * A StateVector is measured on every qubit and collapses to the outcome.
    */
   measure(state) {
+    if (state instanceof StateVector) {
+      const probability = state.probabilities();
+      const outcome = state.measureAll();
+      return {
+        outcome,
+        state: `|${state.bitString(outcome)}⟩`,
+        probability: probability[outcome]
+      };
+    }
     const p0 = state.c[0] ** 2 + (state.c[1] || 0) ** 2;
     const outcome = Math.random() < p0 ? 0 : 1;
     return {
@@ -185,6 +227,91 @@ class ScientificBackend extends Backend {
     };
   }
   
+  /**
+   * Create an n-qubit simulator state in |0…0⟩
+   * @param {number} numQubits - Register size
+   * @returns {StateVector}
+   */
+  createStateVector(numQubits) {
+    return new StateVector(numQubits, { rng: this.rng });
+  }
+  
+  /**
+   * Create an empty circuit
+   * @param {number} numQubits - Quantum register size
+   * @param {number} [numClbits=0] - Classical register size
+   * @returns {QuantumCircuit}
+   */
+  createCircuit(numQubits, numClbits = 0) {
+    return new QuantumCircuit(numQubits, numClbits);
+  }
+  
+  /**
+   * Simulate a circuit with this backend's rng
+   * @param {QuantumCircuit} circuit
+   * @param {Object} [options={}] - QuantumCircuit.run() options
+   * @returns {{state: StateVector, clbits: number[]}}
+   */
+  runCircuit(circuit, options = {}) {
+    return circuit.run({ rng: this.rng, ...options });
+  }
+  
+  /**
+   * Parse an OpenQASM 2/3 program
+   * @param {string} source - Program text
+   * @returns {QuantumCircuit}
+   * @throws {ValidationError} With the line and column of the problem
+   */
+  fromQASM(source) {
+    return parseQASM(source);
+  }
+  
+  /**
+   * Write a circuit as OpenQASM
+   * @param {QuantumCircuit} circuit
+   * @param {Object} [options={}] - { version: 2 | 3 }
+   * @returns {string}
+   */
+  toQASM(circuit, options = {}) {
+    return toQASM(circuit, options);
+  }
+  
+  /**
+   * Run a circuit through the prime-substitution gate table
+   *
+   * The symbolic counterpart of runCircuit(). The register starts as the
+   * tensorProduct of one |0⟩ per qubit, and every gate with an entry in
+   * quantumGates (x → X, cx → CNOT, ...) is applied with applyGate(). Note
+   * the table ignores which qubits a gate acts on. rx/ry/rz go through
+   * rotate() and are returned with their states; gates without a symbolic
+   * form, and classically conditioned ones, are listed in `skipped`.
+   *
+   * @param {QuantumCircuit} circuit - Circuit to apply
+   * @param {number[]} [inputPrimes] - Starting primes (default |0…0⟩)
+   * @returns {{primes: number[], rotations: Array<{op, state}>, skipped: Object[]}}
+   */
+  applyCircuit(circuit, inputPrimes) {
+    let primes = inputPrimes ?? Array.from({ length: circuit.numQubits }, () => this.qubitToPrimes('|0⟩'))
+      .reduce((a, b) => this.tensorProduct(a, b));
+    const rotations = [];
+    const skipped = [];
+    
+    for (const op of circuit.ops) {
+      if (op.gate === 'measure' || op.gate === 'reset' || op.gate === 'barrier') continue;
+      const symbol = SYMBOLIC_GATES[op.gate] ?? op.gate.toUpperCase();
+      if (op.condition) {
+        skipped.push(op);
+      } else if (this.quantumGates[symbol]) {
+        primes = this.applyGate(primes, symbol);
+      } else if (op.gate === 'rx' || op.gate === 'ry' || op.gate === 'rz') {
+        rotations.push({ op, state: this.rotate(primes, op.gate[1], op.params[0]) });
+      } else {
+        skipped.push(op);
+      }
+    }
+    return { primes, rotations, skipped };
+  }
+  
   /**
    * Simulate particle interaction
    */
@@ -271,9 +398,17 @@ class ScientificBackend extends Backend {
 }
 
 export {
-    ScientificBackend
+    ScientificBackend,
+    StateVector,
+    QuantumCircuit,
+    parseQASM,
+    toQASM
 };
 
 export default {
-    ScientificBackend
+    ScientificBackend,
+    StateVector,
+    QuantumCircuit,
+    parseQASM,
+    toQASM
 };
\ No newline at end of file
@@ -0,0 +1,801 @@
+/**
+ * OpenQASM 2 / 3 - Import and export of QuantumCircuit
+ *
+ * parseQASM() reads the circuit subset both versions share: register
+ * declarations (qreg/creg or qubit/bit), the qelib1.inc / stdgates.inc gates,
+ * U and CX, user-defined `gate` blocks (expanded inline), measure, reset,
+ * barrier and `if` on classical bits. Parameters may be any arithmetic
+ * expression over numbers, pi, gate parameters and sin/cos/tan/exp/ln/sqrt.
+ *
+ * Anything else (classical types, loops, subroutines, gate modifiers,
+ * opaque gates, other includes) is rejected with a ValidationError whose
+ * message and metadata give the line and column:
+ *
+ *   QASM 4:1: Unsupported instruction 'for'
+ *   err.code === 'QASM_UNSUPPORTED', err.metadata → { line: 4, column: 1 }
+ *
+ * Registers are flattened in declaration order; the layout is kept on the
+ * circuit (`qregs`, `cregs`) so toQASM() writes the same names back.
+ *
+ * @module backends/scientific/qasm
+ */
+
+import { ValidationError } from '../../core/errors.js';
+import { QuantumCircuit } from './circuit.js';
+import { resolveGate, gateArity } from './state-vector.js';
+
+const STANDARD_INCLUDES = new Set(['qelib1.inc', 'stdgates.inc']);
+
+const UNSUPPORTED_KEYWORDS = new Set([
+  'opaque', 'for', 'while', 'def', 'defcal', 'cal', 'extern', 'return', 'break',
+  'continue', 'end', 'switch', 'box', 'delay', 'let', 'const', 'input', 'output',
+  'int', 'uint', 'float', 'angle', 'bool', 'duration', 'stretch', 'complex',
+  'array', 'ctrl', 'negctrl', 'inv', 'pow', 'else', 'pragma'
+]);
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  exp: Math.exp,
+  ln: Math.log,
+  sqrt: Math.sqrt,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan
+};
+
+const CONSTANTS = { pi: Math.PI, 'π': Math.PI, tau: 2 * Math.PI, 'τ': 2 * Math.PI, euler: Math.E, 'ℇ': Math.E };
+
+// ============================================================================
+// LEXER
+// ============================================================================
+
+const NUMBER = /\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?/y;
+const IDENTIFIER = /[A-Za-z_πτℇ]\w*/uy;
+const SYMBOLS = ['->', '==', ';', ',', '(', ')', '[', ']', '{', '}', '+', '-', '*', '/', '^', '=', '@', ':'];
+
+function qasmError(message, token, code = 'QASM_SYNTAX') {
+  return new ValidationError(`QASM ${token.line}:${token.column}: ${message}`, {
+    code,
+    metadata: { line: token.line, column: token.column }
+  });
+}
+
+/**
+ * Split QASM source into tokens: { type: 'id'|'num'|'str'|'sym'|'eof', value, line, column }
+ */
+function tokenize(source) {
+  const tokens = [];
+  let line = 1;
+  let column = 1;
+  let i = 0;
+
+  const advance = (n) => {
+    for (let k = 0; k < n; k++) {
+      if (source[i] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      i++;
+    }
+  };
+
+  while (i < source.length) {
+    const rest = source.slice(i, i + 2);
+    if (/\s/.test(source[i])) {
+      advance(1);
+    } else if (rest === '//') {
+      while (i < source.length && source[i] !== '\n') advance(1);
+    } else if (rest === '/*') {
+      const end = source.indexOf('*/', i + 2);
+      if (end < 0) throw qasmError('Unterminated comment', { line, column });
+      advance(end + 2 - i);
+    } else {
+      const start = { line, column };
+      NUMBER.lastIndex = i;
+      IDENTIFIER.lastIndex = i;
+      const number = NUMBER.exec(source);
+      const identifier = !number && IDENTIFIER.exec(source);
+      if (number) {
+        tokens.push({ type: 'num', value: Number(number[0]), text: number[0], ...start });
+        advance(number[0].length);
+      } else if (identifier) {
+        tokens.push({ type: 'id', value: identifier[0], text: identifier[0], ...start });
+        advance(identifier[0].length);
+      } else if (source[i] === '"') {
+        const end = source.indexOf('"', i + 1);
+        if (end < 0) throw qasmError('Unterminated string', start);
+        tokens.push({ type: 'str', value: source.slice(i + 1, end), ...start });
+        advance(end + 1 - i);
+      } else {
+        const symbol = SYMBOLS.find(s => source.startsWith(s, i));
+        if (!symbol) throw qasmError(`Unexpected character '${source[i]}'`, start);
+        tokens.push({ type: 'sym', value: symbol, ...start });
+        advance(symbol.length);
+      }
+    }
+  }
+  tokens.push({ type: 'eof', value: null, line, column });
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+class QasmParser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.pos = 0;
+    this.qregs = [];
+    this.cregs = [];
+    this.numQubits = 0;
+    this.numClbits = 0;
+    this.gates = new Map();
+    this.ops = [];
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return (token.type === 'sym' || token.type === 'id') && token.value === value;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.value !== value || (token.type !== 'sym' && token.type !== 'id')) {
+      throw qasmError(`Expected '${value}' but found ${describe(token)}`, token);
+    }
+    return token;
+  }
+
+  /**
+   * Inside a list ending in `end`: consume a ',' unless the list is over
+   */
+  separator(end) {
+    if (this.is(end)) return;
+    const token = this.next();
+    if (!(token.type === 'sym' && token.value === ',')) {
+      throw qasmError(`Expected ',' or '${end}' but found ${describe(token)}`, token);
+    }
+  }
+
+  expectType(type, what) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw qasmError(`Expected ${what} but found ${describe(token)}`, token);
+    }
+    return token;
+  }
+
+  expectSize() {
+    const token = this.expectType('num', 'a register size');
+    if (!Number.isInteger(token.value) || token.value < 1) {
+      throw qasmError(`Invalid register size ${token.text}`, token);
+    }
+    return token.value;
+  }
+
+  parse() {
+    if (this.is('OPENQASM')) {
+      this.next();
+      const version = this.expectType('num', 'a version number');
+      if (Math.floor(version.value) !== 2 && Math.floor(version.value) !== 3) {
+        throw qasmError(`Unsupported OpenQASM version ${version.text}`, version, 'QASM_UNSUPPORTED');
+      }
+      this.expect(';');
+    }
+    while (this.peek().type !== 'eof') {
+      this.statement(null);
+    }
+    return this.build();
+  }
+
+  statement(condition) {
+    const token = this.peek();
+    if (token.type !== 'id') {
+      throw qasmError(`Unexpected ${describe(token)}`, token);
+    }
+
+    switch (token.value) {
+      case 'include': return this.include();
+      case 'qreg': return this.register(this.qregs, 'numQubits', true);
+      case 'creg': return this.register(this.cregs, 'numClbits', true);
+      case 'qubit': return this.register(this.qregs, 'numQubits', false);
+      case 'bit': return this.register(this.cregs, 'numClbits', false);
+      case 'gate': return this.gateDefinition();
+      case 'if': return this.conditional(condition);
+      case 'measure': return this.measure(condition);
+      case 'reset': return this.reset(condition);
+      case 'barrier': return this.barrier(condition);
+      case 'gphase': return this.globalPhase();
+    }
+    if (UNSUPPORTED_KEYWORDS.has(token.value)) {
+      throw qasmError(`Unsupported instruction '${token.value}'`, token, 'QASM_UNSUPPORTED');
+    }
+    if (this.is('=', 1) || (this.is('[', 1) && this.is('=', 4))) {
+      return this.measureAssignment(condition);
+    }
+    return this.gateCall(condition);
+  }
+
+  include() {
+    this.next();
+    const file = this.expectType('str', 'a file name');
+    if (!STANDARD_INCLUDES.has(file.value)) {
+      throw qasmError(`Cannot include '${file.value}' (only qelib1.inc and stdgates.inc)`, file, 'QASM_UNSUPPORTED');
+    }
+    this.expect(';');
+  }
+
+  /**
+   * qreg q[n]; / creg c[n];  (sizeAfterName)   or   qubit[n] q; / bit c;
+   */
+  register(list, counter, sizeAfterName) {
+    this.next();
+    let size = 1;
+    if (!sizeAfterName && this.is('[')) {
+      this.next();
+      size = this.expectSize();
+      this.expect(']');
+    }
+    const name = this.expectType('id', 'a register name');
+    if (sizeAfterName) {
+      this.expect('[');
+      size = this.expectSize();
+      this.expect(']');
+    }
+    if (this.is('=')) {
+      throw qasmError('Register initializers are not supported', this.peek(), 'QASM_UNSUPPORTED');
+    }
+    this.expect(';');
+    if (this.findRegister(name.value)) {
+      throw qasmError(`Register '${name.value}' is already declared`, name);
+    }
+    list.push({ name: name.value, size, offset: this[counter] });
+    this[counter] += size;
+  }
+
+  findRegister(name) {
+    return this.qregs.find(r => r.name === name) || this.cregs.find(r => r.name === name);
+  }
+
+  /**
+   * A register reference: `q` (every bit) or `q[i]`
+   * @returns {{token, indices: number[], whole: boolean}}
+   */
+  argument(list, kind) {
+    const name = this.expectType('id', `a ${kind} register`);
+    const register = list.find(r => r.name === name.value);
+    if (!register) {
+      throw qasmError(`Unknown ${kind} register '${name.value}'`, name);
+    }
+    if (!this.is('[')) {
+      return { token: name, whole: true, indices: [...Array(register.size).keys()].map(i => register.offset + i) };
+    }
+    this.next();
+    const index = this.expectType('num', 'an index');
+    if (!Number.isInteger(index.value) || index.value >= register.size) {
+      throw qasmError(`Index ${index.text} out of range for '${name.value}[${register.size}]'`, index);
+    }
+    this.expect(']');
+    return { token: name, whole: false, indices: [register.offset + index.value] };
+  }
+
+  /**
+   * Pair up arguments, broadcasting whole registers of equal size
+   */
+  broadcast(args, token) {
+    const sizes = new Set(args.filter(a => a.whole).map(a => a.indices.length));
+    if (sizes.size > 1) {
+      throw qasmError('Register arguments have different sizes', token);
+    }
+    const count = sizes.size ? [...sizes][0] : 1;
+    return Array.from({ length: count }, (_, i) => args.map(a => a.whole ? a.indices[i] : a.indices[0]));
+  }
+
+  measure(condition) {
+    const token = this.next();
+    const qubits = this.argument(this.qregs, 'quantum');
+    this.expect('->');
+    const clbits = this.argument(this.cregs, 'classical');
+    this.expect(';');
+    this.pushMeasures(token, qubits, clbits, condition);
+  }
+
+  /**
+   * OpenQASM 3: c = measure q;  c[0] = measure q[0];
+   */
+  measureAssignment(condition) {
+    const clbits = this.argument(this.cregs, 'classical');
+    this.expect('=');
+    const token = this.expect('measure');
+    const qubits = this.argument(this.qregs, 'quantum');
+    this.expect(';');
+    this.pushMeasures(token, qubits, clbits, condition);
+  }
+
+  pushMeasures(token, qubits, clbits, condition) {
+    if (qubits.indices.length !== clbits.indices.length) {
+      throw qasmError('measure needs registers of the same size', token);
+    }
+    qubits.indices.forEach((q, i) => {
+      this.ops.push({ gate: 'measure', qubits: [q], clbits: [clbits.indices[i]], condition, token });
+    });
+  }
+
+  reset(condition) {
+    const token = this.next();
+    const { indices } = this.argument(this.qregs, 'quantum');
+    this.expect(';');
+    for (const q of indices) {
+      this.ops.push({ gate: 'reset', qubits: [q], condition, token });
+    }
+  }
+
+  barrier(condition) {
+    const token = this.next();
+    const qubits = [];
+    while (!this.is(';')) {
+      qubits.push(...this.argument(this.qregs, 'quantum').indices);
+      this.separator(';');
+    }
+    this.expect(';');
+    this.ops.push({ gate: 'barrier', qubits: qubits.length ? qubits : null, condition, token });
+  }
+
+  /**
+   * gphase(γ); only changes the global phase, which is unobservable here
+   */
+  globalPhase() {
+    this.next();
+    this.expect('(');
+    this.expression(new Set());
+    this.expect(')');
+    this.expect(';');
+  }
+
+  /**
+   * if (c == n) stmt;   if (c[i] == 1) { ... }
+   */
+  conditional(outer) {
+    const token = this.next();
+    if (outer) {
+      throw qasmError('Nested if statements are not supported', token, 'QASM_UNSUPPORTED');
+    }
+    this.expect('(');
+    const { indices } = this.argument(this.cregs, 'classical');
+    this.expect('==');
+    const value = this.expectType('num', 'an integer');
+    if (!Number.isInteger(value.value) || value.value < 0) {
+      throw qasmError(`Invalid condition value ${value.text}`, value);
+    }
+    this.expect(')');
+    const condition = { clbits: indices, value: value.value };
+
+    if (this.is('{')) {
+      this.next();
+      while (!this.is('}')) {
+        if (this.peek().type === 'eof') throw qasmError("Expected '}'", this.peek());
+        this.statement(condition);
+      }
+      this.next();
+    } else {
+      this.statement(condition);
+    }
+  }
+
+  /**
+   * gate name(params) a, b { body }
+   */
+  gateDefinition() {
+    this.next();
+    const name = this.expectType('id', 'a gate name');
+    const params = [];
+    if (this.is('(')) {
+      this.next();
+      while (!this.is(')')) {
+        params.push(this.expectType('id', 'a parameter name').value);
+        this.separator(')');
+      }
+      this.next();
+    }
+    const qargs = [];
+    while (!this.is('{')) {
+      qargs.push(this.expectType('id', 'a qubit argument').value);
+      this.separator('{');
+    }
+    this.next();
+    if (qargs.length === 0) {
+      throw qasmError(`Gate '${name.value}' has no qubit arguments`, name);
+    }
+
+    const known = new Set(params);
+    const body = [];
+    while (!this.is('}')) {
+      const token = this.peek();
+      if (token.type !== 'id') throw qasmError(`Unexpected ${describe(token)}`, token);
+      if (token.value === 'barrier') {
+        this.next();
+        while (!this.is(';')) this.next();
+        this.next();
+        continue;
+      }
+      if (token.value === 'gphase') {
+        this.globalPhase();
+        continue;
+      }
+      if (UNSUPPORTED_KEYWORDS.has(token.value)) {
+        throw qasmError(`Unsupported instruction '${token.value}'`, token, 'QASM_UNSUPPORTED');
+      }
+      this.next();
+      const callParams = this.parameterList(known);
+      const args = [];
+      while (!this.is(';')) {
+        const arg = this.expectType('id', 'a qubit argument');
+        if (!qargs.includes(arg.value)) {
+          throw qasmError(`Unknown qubit argument '${arg.value}' in gate '${name.value}'`, arg);
+        }
+        args.push(arg.value);
+        this.separator(';');
+      }
+      this.next();
+      this.checkGate(token, callParams.length, args.length);
+      body.push({ token, params: callParams, args });
+    }
+    this.next();
+    this.gates.set(name.value, { params, qargs, body });
+  }
+
+  /**
+   * name(params) args;
+   */
+  gateCall(condition) {
+    const token = this.next();
+    const params = this.parameterList(new Set()).map(fn => fn({}));
+    const args = [];
+    while (!this.is(';')) {
+      args.push(this.argument(this.qregs, 'quantum'));
+      this.separator(';');
+    }
+    this.next();
+    this.checkGate(token, params.length, args.length);
+
+    for (const qubits of this.broadcast(args, token)) {
+      if (new Set(qubits).size !== qubits.length) {
+        throw qasmError(`Gate '${token.value}' repeats a qubit`, token);
+      }
+      this.expand(token, params, qubits, condition);
+    }
+  }
+
+  parameterList(known) {
+    const params = [];
+    if (this.is('(')) {
+      this.next();
+      while (!this.is(')')) {
+        params.push(this.expression(known));
+        this.separator(')');
+      }
+      this.next();
+    }
+    return params;
+  }
+
+  /**
+   * Check a call against the gate's parameter and qubit counts
+   */
+  checkGate(token, paramCount, qubitCount) {
+    const name = token.value;
+    let arity;
+    if (this.gates.has(name)) {
+      const gate = this.gates.get(name);
+      arity = { params: gate.params.length, qubits: gate.qargs.length };
+    } else if (name === 'cu' && paramCount === 4) {
+      // stdgates.inc cu(θ, φ, λ, γ)
+      arity = { params: 4, qubits: 2 };
+    } else if (resolveGate(name)) {
+      arity = gateArity(name);
+    } else {
+      throw qasmError(`Unsupported gate '${name}'`, token, 'QASM_UNSUPPORTED');
+    }
+    if (paramCount !== arity.params || qubitCount !== arity.qubits) {
+      throw qasmError(
+        `Gate '${name}' takes ${arity.params} parameter(s) and ${arity.qubits} qubit(s), ` +
+        `got ${paramCount} and ${qubitCount}`,
+        token
+      );
+    }
+  }
+
+  /**
+   * Emit a gate, expanding user-defined gates recursively
+   */
+  expand(token, params, qubits, condition) {
+    const name = token.value;
+    const gate = this.gates.get(name);
+    if (gate) {
+      const env = Object.fromEntries(gate.params.map((p, i) => [p, params[i]]));
+      const qubitOf = Object.fromEntries(gate.qargs.map((a, i) => [a, qubits[i]]));
+      for (const op of gate.body) {
+        this.expand(op.token, op.params.map(fn => fn(env)), op.args.map(a => qubitOf[a]), condition);
+      }
+    } else if (name === 'cu' && params.length === 4) {
+      // e^{iγ} on the controlled block is a phase on the control
+      const [theta, phi, lambda, gamma] = params;
+      if (gamma !== 0) {
+        this.ops.push({ gate: 'p', qubits: [qubits[0]], params: [gamma], condition, token });
+      }
+      this.ops.push({ gate: 'cu', qubits, params: [theta, phi, lambda], condition, token });
+    } else {
+      this.ops.push({ gate: resolveGate(name), qubits, params, condition, token });
+    }
+  }
+
+  // Expressions compile to (env) => number
+
+  expression(known) {
+    let left = this.term(known);
+    while (this.is('+') || this.is('-')) {
+      const op = this.next().value;
+      const right = this.term(known);
+      const l = left;
+      left = op === '+' ? (env) => l(env) + right(env) : (env) => l(env) - right(env);
+    }
+    return left;
+  }
+
+  term(known) {
+    let left = this.unary(known);
+    while (this.is('*') || this.is('/')) {
+      const op = this.next().value;
+      const right = this.unary(known);
+      const l = left;
+      left = op === '*' ? (env) => l(env) * right(env) : (env) => l(env) / right(env);
+    }
+    return left;
+  }
+
+  unary(known) {
+    if (this.is('-')) {
+      this.next();
+      const operand = this.unary(known);
+      return (env) => -operand(env);
+    }
+    if (this.is('+')) {
+      this.next();
+      return this.unary(known);
+    }
+    return this.power(known);
+  }
+
+  power(known) {
+    const base = this.primary(known);
+    if (this.is('^')) {
+      this.next();
+      const exponent = this.unary(known);
+      return (env) => base(env) ** exponent(env);
+    }
+    return base;
+  }
+
+  primary(known) {
+    const token = this.next();
+    if (token.type === 'num') {
+      return () => token.value;
+    }
+    if (token.type === 'sym' && token.value === '(') {
+      const inner = this.expression(known);
+      this.expect(')');
+      return inner;
+    }
+    if (token.type === 'id') {
+      if (FUNCTIONS[token.value]) {
+        this.expect('(');
+        const arg = this.expression(known);
+        this.expect(')');
+        const fn = FUNCTIONS[token.value];
+        return (env) => fn(arg(env));
+      }
+      if (known.has(token.value)) {
+        return (env) => env[token.value];
+      }
+      if (token.value in CONSTANTS) {
+        const value = CONSTANTS[token.value];
+        return () => value;
+      }
+      throw qasmError(`Unknown identifier '${token.value}' in expression`, token);
+    }
+    throw qasmError(`Expected an expression but found ${describe(token)}`, token);
+  }
+
+  build() {
+    if (this.numQubits === 0) {
+      throw qasmError('Program declares no qubits', this.peek());
+    }
+    const circuit = new QuantumCircuit(this.numQubits, this.numClbits);
+    circuit.qregs = this.qregs.map(({ name, size }) => ({ name, size }));
+    circuit.cregs = this.cregs.map(({ name, size }) => ({ name, size }));
+
+    for (const op of this.ops) {
+      if (op.gate === 'measure') {
+        circuit.measure(op.qubits[0], op.clbits[0]);
+      } else if (op.gate === 'reset') {
+        circuit.reset(op.qubits[0]);
+      } else if (op.gate === 'barrier') {
+        circuit.barrier(...(op.qubits ?? []));
+      } else {
+        circuit.append(op.gate, op.qubits, op.params);
+      }
+      if (op.condition) {
+        circuit.cIf(op.condition.clbits, op.condition.value);
+      }
+    }
+    return circuit;
+  }
+}
+
+function describe(token) {
+  if (token.type === 'eof') return 'end of input';
+  if (token.type === 'str') return `"${token.value}"`;
+  return `'${token.text ?? token.value}'`;
+}
+
+/**
+ * Parse an OpenQASM 2 or 3 program
+ * @param {string} source - Program text
+ * @returns {QuantumCircuit} Circuit with `qregs` / `cregs` layout
+ * @throws {ValidationError} QASM_SYNTAX or QASM_UNSUPPORTED, with line and column
+ */
+function parseQASM(source) {
+  return new QasmParser(String(source)).parse();
+}
+
+// ============================================================================
+// EMITTER
+// ============================================================================
+
+// Canonical gate → QASM name; anything missing is expanded below
+const QASM2_NAMES = {
+  id: 'id', x: 'x', y: 'y', z: 'z', h: 'h', s: 's', sdg: 'sdg', t: 't', tdg: 'tdg',
+  sx: 'sx', sxdg: 'sxdg', rx: 'rx', ry: 'ry', rz: 'rz', p: 'u1', u: 'u3', u2: 'u2',
+  cx: 'cx', cy: 'cy', cz: 'cz', ch: 'ch', csx: 'csx', cp: 'cu1', crx: 'crx', cry: 'cry',
+  crz: 'crz', cu: 'cu3', ccx: 'ccx', swap: 'swap', cswap: 'cswap'
+};
+
+const QASM3_NAMES = {
+  id: 'id', x: 'x', y: 'y', z: 'z', h: 'h', s: 's', sdg: 'sdg', t: 't', tdg: 'tdg',
+  sx: 'sx', rx: 'rx', ry: 'ry', rz: 'rz', p: 'p', u: 'U', u2: 'u2',
+  cx: 'cx', cy: 'cy', cz: 'cz', ch: 'ch', cp: 'cp', crx: 'crx', cry: 'cry',
+  crz: 'crz', cu: 'cu', ccx: 'ccx', swap: 'swap', cswap: 'cswap'
+};
+
+// Exact decompositions for gates a standard library lacks
+const EXPANSIONS = {
+  sxdg: ([q]) => [['h', [q]], ['sdg', [q]], ['h', [q]]],
+  csx: ([c, t]) => [['h', [t]], ['cp', [c, t], [Math.PI / 2]], ['h', [t]]],
+  ccz: ([a, b, t]) => [['h', [t]], ['ccx', [a, b, t]], ['h', [t]]]
+};
+
+/**
+ * Format an angle, as a multiple of pi when it is one
+ */
+function formatAngle(x) {
+  if (x === 0) return '0';
+  for (const den of [1, 2, 3, 4, 6, 8, 12, 16]) {
+    const num = Math.round(x * den / Math.PI);
+    if (num !== 0 && Math.abs(num * Math.PI / den - x) < 1e-12) {
+      const coeff = num === 1 ? '' : num === -1 ? '-' : `${num}*`;
+      return den === 1 ? `${coeff}pi` : `${coeff}pi/${den}`;
+    }
+  }
+  return String(x);
+}
+
+/**
+ * Write a circuit as OpenQASM
+ * @param {QuantumCircuit} circuit - Circuit to export
+ * @param {Object} [options={}]
+ * @param {number} [options.version=2] - 2 or 3
+ * @returns {string} Program text
+ */
+function toQASM(circuit, options = {}) {
+  const version = options.version ?? 2;
+  if (version !== 2 && version !== 3) {
+    throw new Error(`Unsupported OpenQASM version ${version} (expected 2 or 3)`);
+  }
+  const names = version === 2 ? QASM2_NAMES : QASM3_NAMES;
+
+  const layout = (registers, total, fallback) => {
+    const valid = registers && registers.reduce((n, r) => n + r.size, 0) === total;
+    return valid ? registers : total > 0 ? [{ name: fallback, size: total }] : [];
+  };
+  const qregs = layout(circuit.qregs, circuit.numQubits, 'q');
+  const cregs = layout(circuit.cregs, circuit.numClbits, 'c');
+  const label = (registers) => {
+    const out = [];
+    for (const { name, size } of registers) {
+      for (let i = 0; i < size; i++) out.push(`${name}[${i}]`);
+    }
+    return out;
+  };
+  const qubit = label(qregs);
+  const clbit = label(cregs);
+
+  const lines = version === 2
+    ? ['OPENQASM 2.0;', 'include "qelib1.inc";']
+    : ['OPENQASM 3.0;', 'include "stdgates.inc";'];
+  for (const { name, size } of qregs) {
+    lines.push(version === 2 ? `qreg ${name}[${size}];` : `qubit[${size}] ${name};`);
+  }
+  for (const { name, size } of cregs) {
+    lines.push(version === 2 ? `creg ${name}[${size}];` : `bit[${size}] ${name};`);
+  }
+
+  const conditionPrefix = (condition) => {
+    if (!condition) return '';
+    let offset = 0;
+    for (const { name, size } of cregs) {
+      const whole = condition.clbits.length === size &&
+        condition.clbits.every((c, i) => c === offset + i);
+      if (whole) return `if (${name} == ${condition.value}) `;
+      offset += size;
+    }
+    if (version === 3 && condition.clbits.length === 1) {
+      return `if (${clbit[condition.clbits[0]]} == ${condition.value}) `;
+    }
+    throw new Error(
+      version === 2
+        ? 'OpenQASM 2 conditions must test a whole classical register'
+        : 'OpenQASM 3 conditions must test one bit or a whole classical register'
+    );
+  };
+
+  const emitGate = (prefix, gate, qubits, params = []) => {
+    if (!names[gate]) {
+      for (const [g, q, p] of EXPANSIONS[gate](qubits)) {
+        emitGate(prefix, g, q, p);
+      }
+      return;
+    }
+    const args = version === 3 && gate === 'cu' ? [...params, 0] : params;
+    const paramText = args.length ? `(${args.map(formatAngle).join(', ')})` : '';
+    lines.push(`${prefix}${names[gate]}${paramText} ${qubits.map(q => qubit[q]).join(', ')};`);
+  };
+
+  for (const op of circuit.ops) {
+    const prefix = conditionPrefix(op.condition);
+    if (op.gate === 'measure') {
+      lines.push(version === 2
+        ? `${prefix}measure ${qubit[op.qubits[0]]} -> ${clbit[op.clbits[0]]};`
+        : `${prefix}${clbit[op.clbits[0]]} = measure ${qubit[op.qubits[0]]};`);
+    } else if (op.gate === 'reset') {
+      lines.push(`${prefix}reset ${qubit[op.qubits[0]]};`);
+    } else if (op.gate === 'barrier') {
+      lines.push(`barrier ${op.qubits.map(q => qubit[q]).join(', ')};`);
+    } else {
+      emitGate(prefix, op.gate, op.qubits, op.params);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+export {
+  parseQASM,
+  toQASM
+};
+
+export default {
+  parseQASM,
+  toQASM
+};
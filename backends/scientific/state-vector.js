@@ -0,0 +1,561 @@
+/**
+ * State-Vector Quantum Simulator
+ *
+ * Exact simulation of n qubits as 2^n complex amplitudes held in two
+ * Float64Arrays. Every gate is a 2×2 unitary applied to one target qubit,
+ * optionally conditioned on control qubits, so a gate costs O(2^n) and
+ * ~20 qubits (16 MB of amplitudes) run comfortably on a CPU.
+ *
+ * BIT ORDER: qubit k is bit k of the basis index (little-endian, as in
+ * Qiskit and OpenQASM). bitString() prints qubit n-1 first, so index 1
+ * of a 2-qubit register is '01'.
+ *
+ * PRIME BRIDGE: basis state |i⟩ maps to the (i+1)-th prime, so |0…0⟩ ↔ 2,
+ * |0…01⟩ ↔ 3, |0…10⟩ ↔ 5. toPrimeState() and fromPrimeState() carry the
+ * complex amplitudes across unchanged, which lets simulator output flow
+ * into PrimeState operators and the AlephEngine.
+ *
+ * @module backends/scientific/state-vector
+ */
+
+import { Complex, PrimeState } from '../../core/hilbert.js';
+import { createRng } from '../../core/rng.js';
+
+const MAX_QUBITS = 24;
+
+// ============================================================================
+// GATES
+// ============================================================================
+
+/**
+ * Single-qubit unitaries, each as [re00, im00, re01, im01, re10, im10, re11, im11]
+ */
+const BASE_GATES = {
+  id: { params: 0, matrix: () => [1, 0, 0, 0, 0, 0, 1, 0] },
+  x: { params: 0, matrix: () => [0, 0, 1, 0, 1, 0, 0, 0] },
+  y: { params: 0, matrix: () => [0, 0, 0, -1, 0, 1, 0, 0] },
+  z: { params: 0, matrix: () => [1, 0, 0, 0, 0, 0, -1, 0] },
+  h: { params: 0, matrix: () => [Math.SQRT1_2, 0, Math.SQRT1_2, 0, Math.SQRT1_2, 0, -Math.SQRT1_2, 0] },
+  s: { params: 0, matrix: () => [1, 0, 0, 0, 0, 0, 0, 1] },
+  sdg: { params: 0, matrix: () => [1, 0, 0, 0, 0, 0, 0, -1] },
+  t: { params: 0, matrix: () => [1, 0, 0, 0, 0, 0, Math.SQRT1_2, Math.SQRT1_2] },
+  tdg: { params: 0, matrix: () => [1, 0, 0, 0, 0, 0, Math.SQRT1_2, -Math.SQRT1_2] },
+  sx: { params: 0, matrix: () => [0.5, 0.5, 0.5, -0.5, 0.5, -0.5, 0.5, 0.5] },
+  sxdg: { params: 0, matrix: () => [0.5, -0.5, 0.5, 0.5, 0.5, 0.5, 0.5, -0.5] },
+  rx: {
+    params: 1,
+    matrix: ([theta]) => {
+      const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+      return [c, 0, 0, -s, 0, -s, c, 0];
+    }
+  },
+  ry: {
+    params: 1,
+    matrix: ([theta]) => {
+      const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+      return [c, 0, -s, 0, s, 0, c, 0];
+    }
+  },
+  rz: {
+    params: 1,
+    matrix: ([theta]) => {
+      const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+      return [c, -s, 0, 0, 0, 0, c, s];
+    }
+  },
+  p: {
+    params: 1,
+    matrix: ([lambda]) => [1, 0, 0, 0, 0, 0, Math.cos(lambda), Math.sin(lambda)]
+  },
+  // U(θ, φ, λ) = [[cos θ/2, -e^{iλ} sin θ/2], [e^{iφ} sin θ/2, e^{i(φ+λ)} cos θ/2]]
+  u: {
+    params: 3,
+    matrix: ([theta, phi, lambda]) => {
+      const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+      return [
+        c, 0,
+        -Math.cos(lambda) * s, -Math.sin(lambda) * s,
+        Math.cos(phi) * s, Math.sin(phi) * s,
+        Math.cos(phi + lambda) * c, Math.sin(phi + lambda) * c
+      ];
+    }
+  },
+  u2: {
+    params: 2,
+    matrix: ([phi, lambda]) => BASE_GATES.u.matrix([Math.PI / 2, phi, lambda])
+  }
+};
+
+/**
+ * Every gate the simulator accepts: a base unitary plus leading control
+ * qubits. swap/cswap exchange amplitudes directly.
+ */
+const GATES = {
+  ...Object.fromEntries(Object.entries(BASE_GATES).map(([name, { params }]) => [name, { base: name, controls: 0, params }])),
+  cx: { base: 'x', controls: 1, params: 0 },
+  cy: { base: 'y', controls: 1, params: 0 },
+  cz: { base: 'z', controls: 1, params: 0 },
+  ch: { base: 'h', controls: 1, params: 0 },
+  csx: { base: 'sx', controls: 1, params: 0 },
+  cp: { base: 'p', controls: 1, params: 1 },
+  crx: { base: 'rx', controls: 1, params: 1 },
+  cry: { base: 'ry', controls: 1, params: 1 },
+  crz: { base: 'rz', controls: 1, params: 1 },
+  cu: { base: 'u', controls: 1, params: 3 },
+  ccx: { base: 'x', controls: 2, params: 0 },
+  ccz: { base: 'z', controls: 2, params: 0 },
+  swap: { base: null, controls: 0, params: 0 },
+  cswap: { base: null, controls: 1, params: 0 }
+};
+
+const GATE_NAMES = Object.keys(GATES);
+
+const GATE_ALIASES = {
+  i: 'id',
+  cnot: 'cx',
+  toffoli: 'ccx',
+  fredkin: 'cswap',
+  phase: 'p',
+  u1: 'p',
+  u3: 'u',
+  cphase: 'cp',
+  cu1: 'cp',
+  cu3: 'cu'
+};
+
+/**
+ * Resolve a gate name (any case, aliases allowed) to its canonical name
+ * @param {string} name - Gate name
+ * @returns {string|null} Canonical name, or null if unknown
+ */
+function resolveGate(name) {
+  const key = String(name).toLowerCase();
+  const canonical = GATE_ALIASES[key] ?? key;
+  return GATES[canonical] ? canonical : null;
+}
+
+/**
+ * Number of qubits and parameters a gate takes
+ * @param {string} name - Gate name
+ * @returns {{qubits: number, params: number}}
+ */
+function gateArity(name) {
+  const canonical = resolveGate(name);
+  if (!canonical) throw new Error(`Unknown gate: ${name}`);
+  const { base, controls, params } = GATES[canonical];
+  return { qubits: controls + (base ? 1 : 2), params };
+}
+
+// ============================================================================
+// PRIME BASIS
+// ============================================================================
+
+let primeCache = [2];
+
+/**
+ * The first `count` primes, from a cached Uint8Array sieve
+ */
+function basisPrimes(count) {
+  if (primeCache.length < count) {
+    // p_n < n (ln n + ln ln n) for n >= 6
+    const n = Math.max(count, 6);
+    const limit = Math.ceil(n * (Math.log(n) + Math.log(Math.log(n))));
+    const composite = new Uint8Array(limit + 1);
+    const primes = [];
+    for (let i = 2; i <= limit; i++) {
+      if (composite[i]) continue;
+      primes.push(i);
+      for (let j = i * i; j <= limit; j += i) composite[j] = 1;
+    }
+    primeCache = primes;
+  }
+  return primeCache.slice(0, count);
+}
+
+// ============================================================================
+// STATE VECTOR
+// ============================================================================
+
+/**
+ * n-qubit pure state
+ *
+ * @example
+ * const bell = new StateVector(2, { rng: 42 }).h(0).cx(0, 1);
+ * bell.probabilities();  // Float64Array [0.5, 0, 0, 0.5]
+ * bell.sample(1000);     // { '00': ~500, '11': ~500 }
+ */
+class StateVector {
+  /**
+   * @param {number} numQubits - Register size (1 to 24)
+   * @param {Object} [options={}]
+   * @param {*} [options.rng] - Generator or seed used by measurement (see core/rng)
+   */
+  constructor(numQubits, options = {}) {
+    if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > MAX_QUBITS) {
+      throw new Error(`numQubits must be an integer between 1 and ${MAX_QUBITS}`);
+    }
+    this.numQubits = numQubits;
+    this.size = 2 ** numQubits;
+    this.re = new Float64Array(this.size);
+    this.im = new Float64Array(this.size);
+    this.re[0] = 1;
+    this.rng = createRng(options.rng);
+  }
+
+  /**
+   * Build a state from 2^n amplitudes (numbers, [re, im] pairs or Complex)
+   * @param {Array} amplitudes - Amplitudes in basis-index order
+   * @param {Object} [options={}] - Constructor options
+   * @returns {StateVector} Normalized state
+   */
+  static fromAmplitudes(amplitudes, options = {}) {
+    const numQubits = Math.log2(amplitudes.length);
+    if (!Number.isInteger(numQubits)) {
+      throw new Error('Amplitude count must be a power of two');
+    }
+    const state = new StateVector(numQubits, options);
+    state.re[0] = 0;
+    amplitudes.forEach((a, i) => {
+      if (typeof a === 'number') {
+        state.re[i] = a;
+      } else if (Array.isArray(a)) {
+        [state.re[i], state.im[i]] = a;
+      } else {
+        state.re[i] = a.re;
+        state.im[i] = a.im;
+      }
+    });
+    return state.normalize();
+  }
+
+  /**
+   * Build a state from a PrimeState whose primes are basis primes
+   * (2 ↔ |0…0⟩, 3 ↔ |0…01⟩, ...)
+   * @param {PrimeState} primeState - Source state
+   * @param {number} [numQubits] - Register size (default: smallest that fits)
+   * @param {Object} [options={}] - Constructor options
+   * @returns {StateVector} Normalized state
+   */
+  static fromPrimeState(primeState, numQubits, options = {}) {
+    const support = [...primeState.amplitudes].filter(([, a]) => a.re !== 0 || a.im !== 0);
+    const maxPrime = Math.max(2, ...support.map(([p]) => p));
+
+    let count = 2;
+    let primes = basisPrimes(count);
+    while (primes[primes.length - 1] < maxPrime) {
+      count *= 2;
+      primes = basisPrimes(count);
+    }
+    const indexOf = new Map(primes.map((p, i) => [p, i]));
+
+    const maxIndex = Math.max(0, ...support.map(([p]) => indexOf.get(p) ?? -1));
+    const state = new StateVector(numQubits ?? Math.max(1, Math.ceil(Math.log2(maxIndex + 1))), options);
+    state.re[0] = 0;
+    for (const [p, amplitude] of support) {
+      const index = indexOf.get(p);
+      if (index === undefined) {
+        throw new Error(`Prime ${p} is not a basis prime`);
+      }
+      if (index >= state.size) {
+        throw new Error(`Prime ${p} is outside a ${state.numQubits}-qubit register`);
+      }
+      state.re[index] = amplitude.re;
+      state.im[index] = amplitude.im;
+    }
+    return state.normalize();
+  }
+
+  /**
+   * PrimeState over the basis primes with non-zero amplitude
+   * @param {number} [epsilon=0] - Drop amplitudes with |α|² at or below this
+   * @returns {PrimeState}
+   */
+  toPrimeState(epsilon = 0) {
+    const primes = basisPrimes(this.size);
+    const support = [];
+    for (let i = 0; i < this.size; i++) {
+      if (this.re[i] * this.re[i] + this.im[i] * this.im[i] > epsilon) support.push(i);
+    }
+    const state = new PrimeState(support.map(i => primes[i]));
+    for (const i of support) {
+      state.set(primes[i], new Complex(this.re[i], this.im[i]));
+    }
+    return state;
+  }
+
+  /**
+   * Basis primes ordered by descending probability (for backend encode())
+   * @param {number} [epsilon=1e-12] - Minimum probability to include
+   * @returns {number[]}
+   */
+  toPrimes(epsilon = 1e-12) {
+    const probabilities = this.probabilities();
+    const support = [];
+    for (let i = 0; i < this.size; i++) {
+      if (probabilities[i] > epsilon) support.push(i);
+    }
+    support.sort((a, b) => probabilities[b] - probabilities[a] || a - b);
+    const primes = basisPrimes(this.size);
+    return support.map(i => primes[i]);
+  }
+
+  clone() {
+    const copy = new StateVector(this.numQubits, { rng: this.rng });
+    copy.re.set(this.re);
+    copy.im.set(this.im);
+    return copy;
+  }
+
+  /**
+   * Amplitude of a basis state
+   * @param {number} index - Basis index
+   * @returns {Complex}
+   */
+  amplitude(index) {
+    return new Complex(this.re[index], this.im[index]);
+  }
+
+  /**
+   * |α_i|² for every basis state
+   * @returns {Float64Array}
+   */
+  probabilities() {
+    const out = new Float64Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      out[i] = this.re[i] * this.re[i] + this.im[i] * this.im[i];
+    }
+    return out;
+  }
+
+  /**
+   * Probability that a qubit measures 1
+   * @param {number} qubit
+   * @returns {number}
+   */
+  probability(qubit) {
+    this._checkQubits([qubit]);
+    const bit = 1 << qubit;
+    let p = 0;
+    for (let i = 0; i < this.size; i++) {
+      if (i & bit) p += this.re[i] * this.re[i] + this.im[i] * this.im[i];
+    }
+    return p;
+  }
+
+  norm() {
+    let sum = 0;
+    for (let i = 0; i < this.size; i++) {
+      sum += this.re[i] * this.re[i] + this.im[i] * this.im[i];
+    }
+    return Math.sqrt(sum);
+  }
+
+  normalize() {
+    const n = this.norm();
+    if (n < 1e-15) {
+      throw new Error('Cannot normalize a zero state');
+    }
+    for (let i = 0; i < this.size; i++) {
+      this.re[i] /= n;
+      this.im[i] /= n;
+    }
+    return this;
+  }
+
+  /**
+   * Basis index as a bit string, qubit n-1 first
+   * @param {number} index
+   * @returns {string}
+   */
+  bitString(index) {
+    return index.toString(2).padStart(this.numQubits, '0');
+  }
+
+  /**
+   * Apply a named gate
+   * @param {string} name - Gate name ('h', 'cx', 'rz', 'CNOT', ...)
+   * @param {number[]} qubits - Controls first, then target(s)
+   * @param {number[]} [params=[]] - Rotation angles
+   * @returns {StateVector} this
+   */
+  apply(name, qubits, params = []) {
+    const canonical = resolveGate(name);
+    if (!canonical) throw new Error(`Unknown gate: ${name}`);
+    const arity = gateArity(canonical);
+    if (qubits.length !== arity.qubits) {
+      throw new Error(`Gate ${name} acts on ${arity.qubits} qubit(s), got ${qubits.length}`);
+    }
+    if (params.length !== arity.params) {
+      throw new Error(`Gate ${name} expects ${arity.params} parameter(s), got ${params.length}`);
+    }
+    this._checkQubits(qubits);
+
+    const { base, controls } = GATES[canonical];
+    const controlMask = qubits.slice(0, controls).reduce((mask, q) => mask | (1 << q), 0);
+    if (base) {
+      this._applySingle(BASE_GATES[base].matrix(params), qubits[controls], controlMask);
+    } else {
+      this._swap(qubits[controls], qubits[controls + 1], controlMask);
+    }
+    return this;
+  }
+
+  /**
+   * Apply an arbitrary 2×2 unitary
+   * @param {Array<Array<number|Complex>>} matrix - [[a, b], [c, d]]
+   * @param {number} target - Target qubit
+   * @param {number[]} [controls=[]] - Control qubits
+   * @returns {StateVector} this
+   */
+  applyMatrix(matrix, target, controls = []) {
+    this._checkQubits([...controls, target]);
+    const flat = matrix.flat().flatMap(z => typeof z === 'number' ? [z, 0] : [z.re, z.im]);
+    this._applySingle(flat, target, controls.reduce((mask, q) => mask | (1 << q), 0));
+    return this;
+  }
+
+  _checkQubits(qubits) {
+    for (const q of qubits) {
+      if (!Number.isInteger(q) || q < 0 || q >= this.numQubits) {
+        throw new Error(`Qubit ${q} out of range for a ${this.numQubits}-qubit register`);
+      }
+    }
+    if (new Set(qubits).size !== qubits.length) {
+      throw new Error(`Gate qubits must be distinct: ${qubits.join(', ')}`);
+    }
+  }
+
+  _applySingle(m, target, controlMask) {
+    const [m0, m1, m2, m3, m4, m5, m6, m7] = m;
+    const bit = 1 << target;
+    const { re, im } = this;
+    for (let i = 0; i < this.size; i++) {
+      if ((i & bit) || (i & controlMask) !== controlMask) continue;
+      const j = i | bit;
+      const ar = re[i], ai = im[i], br = re[j], bi = im[j];
+      re[i] = m0 * ar - m1 * ai + m2 * br - m3 * bi;
+      im[i] = m0 * ai + m1 * ar + m2 * bi + m3 * br;
+      re[j] = m4 * ar - m5 * ai + m6 * br - m7 * bi;
+      im[j] = m4 * ai + m5 * ar + m6 * bi + m7 * br;
+    }
+  }
+
+  _swap(a, b, controlMask) {
+    const bitA = 1 << a, bitB = 1 << b;
+    const { re, im } = this;
+    for (let i = 0; i < this.size; i++) {
+      // Visit each |..1..0..⟩ / |..0..1..⟩ pair once, from the a=1, b=0 side
+      if (!(i & bitA) || (i & bitB) || (i & controlMask) !== controlMask) continue;
+      const j = (i ^ bitA) | bitB;
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  /**
+   * Measure one qubit in the computational basis and collapse
+   * @param {number} qubit
+   * @returns {number} 0 or 1
+   */
+  measure(qubit) {
+    const p1 = this.probability(qubit);
+    const outcome = this.rng.next() < p1 ? 1 : 0;
+    const bit = 1 << qubit;
+    const scale = 1 / Math.sqrt(outcome ? p1 : 1 - p1);
+    for (let i = 0; i < this.size; i++) {
+      if (((i & bit) ? 1 : 0) === outcome) {
+        this.re[i] *= scale;
+        this.im[i] *= scale;
+      } else {
+        this.re[i] = 0;
+        this.im[i] = 0;
+      }
+    }
+    return outcome;
+  }
+
+  /**
+   * Measure every qubit and collapse to a basis state
+   * @returns {number} Basis index (see bitString())
+   */
+  measureAll() {
+    const index = this._sampleIndex(this._cumulative(), this.rng.next());
+    this.re.fill(0);
+    this.im.fill(0);
+    this.re[index] = 1;
+    return index;
+  }
+
+  /**
+   * Return a qubit to |0⟩ (measure, then flip if it read 1)
+   * @param {number} qubit
+   * @returns {StateVector} this
+   */
+  reset(qubit) {
+    if (this.measure(qubit) === 1) {
+      this.apply('x', [qubit]);
+    }
+    return this;
+  }
+
+  /**
+   * Repeated full measurement without disturbing the state
+   * @param {number} [shots=1024]
+   * @returns {Object<string, number>} Counts keyed by bitString()
+   */
+  sample(shots = 1024) {
+    const cumulative = this._cumulative();
+    const counts = {};
+    for (let s = 0; s < shots; s++) {
+      const key = this.bitString(this._sampleIndex(cumulative, this.rng.next()));
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+  }
+
+  _cumulative() {
+    const cumulative = this.probabilities();
+    for (let i = 1; i < this.size; i++) {
+      cumulative[i] += cumulative[i - 1];
+    }
+    return cumulative;
+  }
+
+  _sampleIndex(cumulative, u) {
+    const target = u * cumulative[this.size - 1];
+    let lo = 0, hi = this.size - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] > target) hi = mid;
+      else lo = mid + 1;
+    }
+    return lo;
+  }
+}
+
+// Gate shorthands: state.h(0), state.cx(0, 1), state.rz(theta, 2), state.u(θ, φ, λ, 0).
+// Parameters come first, then qubits (controls before targets).
+for (const name of GATE_NAMES) {
+  const { params } = GATES[name];
+  StateVector.prototype[name] = function (...args) {
+    return this.apply(name, args.slice(params), args.slice(0, params));
+  };
+}
+
+export {
+  MAX_QUBITS,
+  GATE_NAMES,
+  StateVector,
+  resolveGate,
+  gateArity,
+  basisPrimes
+};
+
+export default {
+  MAX_QUBITS,
+  GATE_NAMES,
+  StateVector,
+  resolveGate,
+  gateArity,
+  basisPrimes
+};
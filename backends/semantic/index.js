@@ -14,6 +14,8 @@
 import { Backend } from '../interface.js';
 import { Hypercomplex } from '../../core/hypercomplex.js';
 import { primeToFrequency, primeToAngle, DEFAULT_PRIMES, nthPrime } from '../../core/prime.js';
+import { SubwordTokenizer } from './tokenizer.js';
+import { importVocabulary } from '../../core/vocabulary-store.js';
 
 class SemanticBackend extends Backend {
   constructor(config) {
@@ -33,6 +35,52 @@ class SemanticBackend extends Backend {
       'it', 'its', 'this', 'that', 'what', 'which', 'who', 'whom', 'whose',
       'how', 'when', 'where', 'why', 'can', 'could', 'would', 'should', 'will'
     ]);
+    this.tokenizer = null;
+    if (config.tokenizer) this.setTokenizer(config.tokenizer);
+  }
+  
+  /**
+   * Primes already carried by the prime basis, vocabulary and ontology
+   */
+  usedPrimes() {
+    return [
+      ...this.config.primes,
+      ...[...this.vocabulary.values()].flat(),
+      ...Object.keys(this.ontology).map(Number)
+    ];
+  }
+  
+  /**
+   * Use a subword tokenizer for words not in the vocabulary
+   * @param {SubwordTokenizer|object|null} tokenizer - Tokenizer, its toJSON() data, or null to
+   *   restore the character-hash fallback
+   * @returns {SubwordTokenizer|null}
+   */
+  setTokenizer(tokenizer) {
+    if (tokenizer && !(tokenizer instanceof SubwordTokenizer)) {
+      tokenizer = SubwordTokenizer.fromJSON(tokenizer, { reservedPrimes: this.usedPrimes() });
+    } else if (tokenizer) {
+      tokenizer.registry.reserve(this.usedPrimes());
+    }
+    this.tokenizer = tokenizer || null;
+    return this.tokenizer;
+  }
+  
+  /**
+   * Train a subword tokenizer on a corpus and use it for unknown words
+   *
+   * Unit primes are minted above every prime the vocabulary and ontology
+   * already use, so subwords never alias existing concepts.
+   *
+   * @param {string|string[]} corpus - Training text(s)
+   * @param {object} [options] - SubwordTokenizer.train() options (numMerges, minFrequency)
+   * @returns {SubwordTokenizer}
+   */
+  trainTokenizer(corpus, options = {}) {
+    const tokenizer = this.tokenizer ||
+      new SubwordTokenizer({ ...options, reservedPrimes: this.usedPrimes() });
+    this.tokenizer = tokenizer.train(corpus, options);
+    return this.tokenizer;
   }
   
   tokenize(text, filterStopWords = false) {
@@ -44,20 +92,23 @@ class SemanticBackend extends Backend {
       if (!clean) continue;
       const isStop = this.stopWords.has(clean);
       if (filterStopWords && isStop) continue;
-      const primes = this.vocabulary.get(clean) || this.wordToPrimes(clean);
-      tokens.push({
+      const known = this.vocabulary.has(clean);
+      const token = {
         word: clean,
-        primes,
-        known: this.vocabulary.has(clean),
+        primes: known ? this.vocabulary.get(clean) : this.wordToPrimes(clean),
+        known,
         isStop,
         position: position++  // Track position for order preservation
-      });
+      };
+      if (!known && this.tokenizer) token.subwords = this.tokenizer.split(clean);
+      tokens.push(token);
     }
     return tokens;
   }
   
   wordToPrimes(word) {
-    // Hash unknown words to primes based on character codes
+    if (this.tokenizer) return this.tokenizer.wordToPrimes(word);
+    // Without a tokenizer, hash unknown words to primes based on character codes
     const primes = this.config.primes;
     return [...word].map(c => primes[c.charCodeAt(0) % primes.length]);
   }
@@ -85,61 +136,226 @@ class SemanticBackend extends Backend {
    *
    * We pick words that COVER the input primes with minimal noise,
    * ensuring different prime signatures produce different outputs.
+   * This is decodeNBest() with a beam of one, so both rank words the
+   * same way; a wider beam searches more coverings.
+   *
+   * @param {number[]} primes - Primes to decode
+   * @param {object} [options={}] - Decoding options
+   * @param {number} [options.maxWords=5] - Maximum words
+   * @param {number} [options.beamWidth=1] - Partial coverings kept per step
+   * @returns {string} Decoded text
    */
-  decode(primes) {
+  decode(primes, { maxWords = 5, beamWidth = 1 } = {}) {
+    const [best] = this.decodeNBest(primes, { beamWidth, topK: 1, maxWords, ordered: false });
+    return best?.text || this.primesToMeaning(primes);
+  }
+  
+  /**
+   * Beam-search decode returning the top-k coverings
+   *
+   * Each beam step extends a partial covering with one vocabulary word,
+   * ranked as in greedy decoding: newly covered primes, +2 for an exact
+   * match, -0.4 per noise prime (a word prime not in the input). Coverings
+   * are compared by covered primes - 0.4 * noise primes - lengthPenalty
+   * per word, so redundant words don't win.
+   *
+   * Passing tokens from encodeOrdered() adds an ordering constraint: words
+   * must cover the input left to right, and candidates gain a bonus for the
+   * coherence of their non-commutative state (with applyPositionPhase)
+   * against the input's.
+   *
+   * @param {number[]|Array<object|number[]>} input - Primes, or ordered tokens
+   * @param {object} [options={}] - Decoding options
+   * @param {number} [options.beamWidth=5] - Partial coverings kept per step
+   * @param {number} [options.topK=3] - Candidates to return
+   * @param {number} [options.maxWords=5] - Maximum words per candidate
+   * @param {boolean} [options.ordered] - Enforce word order (default: true for token input)
+   * @param {number} [options.lengthPenalty=0.5] - Score cost per word
+   * @param {number} [options.orderWeight=1] - Weight of the ordered-state coherence bonus
+   * @returns {Array<object>} Candidates, best first: { text, words, score, coverage,
+   *   noise, entropy, orderCoherence, uncovered, steps }. Each step explains one word.
+   */
+  decodeNBest(input, options = {}) {
+    const {
+      beamWidth = 5,
+      topK = 3,
+      maxWords = 5,
+      lengthPenalty = 0.5,
+      orderWeight = 1
+    } = options;
+    
+    const tokenInput = input.length > 0 && typeof input[0] !== 'number';
+    const ordered = options.ordered ?? tokenInput;
+    const tokenPrimes = tokenInput
+      ? input.map(t => Array.isArray(t) ? t : t.primes)
+      : input.map(p => [p]);
+    const primes = tokenPrimes.flat();
     const primeSet = new Set(primes);
-    const covered = new Set();
-    const selected = [];
-    const maxWords = 5;
     
-    // Greedy covering: pick words that cover most NEW primes with least noise
-    while (covered.size < primeSet.size && selected.length < maxWords) {
-      let best = { word: null, wordPrimes: [], score: -Infinity };
-      
-      for (const [word, wordPrimes] of this.vocabulary) {
-        if (this.stopWords.has(word)) continue;
-        if (selected.includes(word)) continue;
-        
-        // Count primes this word would newly cover
-        const newCoverage = wordPrimes.filter(p => primeSet.has(p) && !covered.has(p)).length;
-        
-        // Penalize words that introduce primes NOT in our target set (noise)
-        const noise = wordPrimes.filter(p => !primeSet.has(p)).length;
-        
-        // Reward exact matches more highly
-        const exactMatch = wordPrimes.every(p => primeSet.has(p)) ? 2 : 0;
-        
-        // Score: new coverage + exact match bonus - noise penalty
-        const score = newCoverage + exactMatch - (noise * 0.4);
-        
-        if (score > best.score && newCoverage > 0) {
-          best = { word, wordPrimes, score };
+    // First position at which each prime occurs, for the ordering constraint
+    const positions = new Map();
+    tokenPrimes.forEach((group, i) => {
+      for (const p of group) if (!positions.has(p)) positions.set(p, i);
+    });
+    
+    const covering = (covered, noise, words) => covered - 0.4 * noise - lengthPenalty * words;
+    let beams = [{ words: [], steps: [], covered: new Set(), score: 0, noise: 0, anchor: -1 }];
+    const finished = [];
+    
+    for (let depth = 0; depth < maxWords && beams.length > 0; depth++) {
+      const next = [];
+      for (const beam of beams) {
+        if (beam.covered.size >= primeSet.size) {
+          finished.push(beam);
+          continue;
+        }
+        const expansions = this._beamExpansions(beam, primeSet, positions, ordered);
+        if (expansions.length === 0) {
+          finished.push(beam);
+          continue;
+        }
+        expansions.sort((a, b) => b.score - a.score);
+        for (const step of expansions.slice(0, beamWidth)) {
+          const covered = new Set([...beam.covered, ...step.covers]);
+          const noise = beam.noise + step.noise.length;
+          next.push({
+            words: [...beam.words, step.word],
+            steps: [...beam.steps, step],
+            covered,
+            score: covering(covered.size, noise, beam.words.length + 1),
+            noise,
+            anchor: step.anchor
+          });
         }
       }
       
-      if (best.word && best.score > 0) {
-        selected.push(best.word);
-        best.wordPrimes.forEach(p => covered.add(p));
-      } else {
-        break; // No more useful words found
+      // Unordered coverings that differ only in word order are the same candidate
+      const seen = new Map();
+      for (const beam of next) {
+        const key = ordered ? beam.words.join(' ') : [...beam.words].sort().join(' ');
+        const prev = seen.get(key);
+        if (!prev || beam.score > prev.score) seen.set(key, beam);
       }
+      beams = [...seen.values()].sort((a, b) => b.score - a.score).slice(0, beamWidth);
+    }
+    finished.push(...beams);
+    
+    const target = ordered ? this.orderedPrimesToState(tokenPrimes) : null;
+    const candidates = finished.map(beam => this._finishCandidate(beam, primes, primeSet, {
+      maxWords, ordered, target, orderWeight
+    }));
+    
+    candidates.sort((a, b) => b.score - a.score);
+    const unique = [];
+    const texts = new Set();
+    for (const candidate of candidates) {
+      if (texts.has(candidate.text)) continue;
+      texts.add(candidate.text);
+      unique.push(candidate);
+      if (unique.length >= topK) break;
+    }
+    return unique;
+  }
+  
+  /**
+   * Score every vocabulary word that would extend a partial covering
+   */
+  _beamExpansions(beam, primeSet, positions, ordered) {
+    const expansions = [];
+    for (const [word, wordPrimes] of this.vocabulary) {
+      if (this.stopWords.has(word)) continue;
+      if (beam.words.includes(word)) continue;
+      
+      // Primes this word would newly cover
+      const covers = wordPrimes.filter(p => primeSet.has(p) && !beam.covered.has(p));
+      if (covers.length === 0) continue;
+      
+      // Words must not cover input that precedes the previous word's
+      const anchor = Math.min(...covers.map(p => positions.get(p)));
+      if (ordered && anchor < beam.anchor) continue;
+      
+      // Penalize primes NOT in our target set (noise); reward exact matches
+      const noise = wordPrimes.filter(p => !primeSet.has(p));
+      const exactMatch = noise.length === 0;
+      const score = covers.length + (exactMatch ? 2 : 0) - (noise.length * 0.4);
+      if (score <= 0) continue;
+      
+      expansions.push({ word, primes: wordPrimes, covers, noise, exactMatch, score, anchor });
+    }
+    return expansions;
+  }
+  
+  /**
+   * Add ontology fallbacks and metrics to a finished beam
+   */
+  _finishCandidate(beam, primes, primeSet, { maxWords, ordered, target, orderWeight }) {
+    const words = [...beam.words];
+    const steps = beam.steps.map(step => ({
+      word: step.word,
+      primes: step.primes,
+      covers: step.covers,
+      noise: step.noise,
+      exactMatch: step.exactMatch,
+      score: step.score,
+      reason: `covers ${step.covers.length} new prime(s) [${step.covers.join(', ')}]` +
+        (step.exactMatch ? ', exact match (+2)' : '') +
+        (step.noise.length > 0 ? `, ${step.noise.length} noise prime(s) [${step.noise.join(', ')}]` : '')
+    }));
+    
+    // Unknown words the subword tokenizer encoded reassemble from their units
+    const isUnit = p => this.tokenizer !== null && this.tokenizer.primeToUnit.has(p);
+    const unitWords = this.tokenizer
+      ? this.tokenizer.decodeWords(primes.filter(p => !beam.covered.has(p)))
+      : [];
+    for (const { word, primes: unitPrimes } of unitWords.slice(0, maxWords - words.length)) {
+      words.push(word);
+      steps.push({ word, primes: unitPrimes, covers: [...new Set(unitPrimes)], noise: [], exactMatch: true, score: 0,
+        reason: `subword units [${unitPrimes.join(', ')}]` });
     }
     
     // Fallback: describe remaining uncovered primes via ontology
-    const uncovered = [...primeSet].filter(p => !covered.has(p));
-    for (const p of uncovered.slice(0, maxWords - selected.length)) {
+    const uncovered = [...primeSet].filter(p => !beam.covered.has(p));
+    for (const p of uncovered.filter(p => !isUnit(p)).slice(0, maxWords - words.length)) {
       const meaning = this.ontology[p];
       if (meaning) {
-        selected.push(meaning.split('/')[0]); // Take first part of "existence/being"
-      } else if (p > 100) {
-        // Large primes are from unknown words - skip them
-        continue;
-      } else {
-        selected.push(`P${p}`);
+        const word = meaning.split('/')[0]; // Take first part of "existence/being"
+        words.push(word);
+        steps.push({ word, primes: [p], covers: [p], noise: [], exactMatch: true, score: 0,
+          reason: `ontology fallback for uncovered prime ${p}` });
+      } else if (p <= 100) {
+        words.push(`P${p}`);
+        steps.push({ word: `P${p}`, primes: [p], covers: [p], noise: [], exactMatch: true, score: 0,
+          reason: `no word or ontology entry for prime ${p}` });
       }
+      // Large primes are from unknown words - skip them
     }
     
-    return selected.join(' ') || this.primesToMeaning(primes);
+    const wordPrimes = beam.steps.map(step => step.primes);
+    let entropy = 0;
+    let orderCoherence = null;
+    let score = beam.score;
+    if (wordPrimes.length > 0) {
+      const state = ordered
+        ? this.orderedPrimesToState(wordPrimes)
+        : this.primesToState(wordPrimes.flat());
+      entropy = state.entropy();
+      if (target) {
+        orderCoherence = state.coherence(target);
+        score += orderWeight * orderCoherence;
+      }
+    }
+    
+    return {
+      text: words.join(' '),
+      words,
+      score,
+      coverage: primeSet.size > 0 ? beam.covered.size / primeSet.size : 1,
+      noise: beam.noise,
+      entropy,
+      orderCoherence,
+      uncovered: uncovered.filter(p => !steps.some(step => step.covers.includes(p))),
+      steps
+    };
   }
   
   primesToMeaning(primes) {
@@ -261,6 +477,21 @@ class SemanticBackend extends Backend {
     return [...new Set([...kept, ...(transform.r || [])])];
   }
   
+  /**
+   * Merge words and ontology from an exported vocabulary
+   * @param {object} json - Sieve.export(), VocabularyStore.export() or data.json-style data
+   * @returns {SemanticBackend} this
+   */
+  loadVocabulary(json) {
+    const data = importVocabulary(json);
+    for (const [word, primes] of Object.entries(data.vocabulary)) {
+      this.vocabulary.set(word.toLowerCase().trim(), primes);
+    }
+    this.ontology = { ...this.ontology, ...data.ontology };
+    if (this.tokenizer) this.tokenizer.registry.reserve(this.usedPrimes());
+    return this;
+  }
+  
   learn(word, primes, confidence = 0.5) {
     this.vocabulary.set(word.toLowerCase().trim(), primes);
     return { word, primes, confidence };
@@ -525,6 +756,6 @@ class SemanticBackend extends Backend {
   }
 }
 
-export { SemanticBackend };
+export { SemanticBackend, SubwordTokenizer };
 
 export default SemanticBackend;
\ No newline at end of file
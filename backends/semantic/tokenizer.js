@@ -0,0 +1,348 @@
+/**
+ * Subword Tokenizer - Byte-pair encoding over words, with a prime per unit
+ *
+ * Replaces the character-hash fallback for unknown words. Merges are learned
+ * from a local corpus, so words that share a stem or affix share primes:
+ * "running" → run·ning, "runner" → run·ner.
+ *
+ * Every subword unit gets its own prime from a PrimeRegistry, seeded with
+ * the primes the vocabulary and ontology already use, so units never
+ * collide with existing concepts (the Sieve's Prime Uniqueness Invariant).
+ * Primes are only minted by train(), which covers every character words()
+ * can produce, so encoding never changes the vocabulary.
+ *
+ * @example
+ * const tokenizer = SubwordTokenizer.train(corpus, { numMerges: 500 });
+ * tokenizer.split('running');        // e.g. ['run', 'ning</w>']
+ * tokenizer.wordToPrimes('running'); // one prime per unit
+ * await tokenizer.save('vocab.json');
+ */
+
+import { PrimeRegistry } from '../../core/prime.js';
+
+const TOKENIZER_SCHEMA_VERSION = 1;
+
+// Characters SubwordTokenizer.words() leaves in a word
+const ALPHABET = [...'abcdefghijklmnopqrstuvwxyz0123456789_'];
+
+class SubwordTokenizer {
+  /**
+   * @param {object} [config={}] - Configuration
+   * @param {Array<[string, string]>} [config.merges=[]] - Merge rules, highest priority first
+   * @param {Object<string, number>} [config.units={}] - Unit → prime
+   * @param {string} [config.endOfWord='</w>'] - Marker appended to the last symbol of a word
+   * @param {number[]} [config.reservedPrimes=[]] - Primes new units must not use
+   */
+  constructor(config = {}) {
+    this.endOfWord = config.endOfWord || '</w>';
+    this.merges = [];
+    this.ranks = new Map();
+    this.units = new Map(Object.entries(config.units || {}));
+    this.primeToUnit = new Map([...this.units].map(([unit, p]) => [p, unit]));
+    this.registry = new PrimeRegistry([
+      ...(config.reservedPrimes || []),
+      ...this.units.values()
+    ]);
+    this.cache = new Map();
+
+    for (const [a, b] of config.merges || []) this._addMerge(a, b);
+  }
+
+  /**
+   * Learn a tokenizer from a corpus
+   * @param {string|string[]} corpus - Text or list of texts
+   * @param {object} [options] - Constructor config plus train() options
+   * @returns {SubwordTokenizer}
+   */
+  static train(corpus, options = {}) {
+    return new SubwordTokenizer(options).train(corpus, options);
+  }
+
+  /**
+   * Split text into words the same way SemanticBackend.tokenize does
+   * @param {string} text - Input text
+   * @returns {string[]}
+   */
+  static words(text) {
+    return text.toLowerCase().split(/\s+/)
+      .map(word => word.replace(/[^\w]/g, ''))
+      .filter(Boolean);
+  }
+
+  _addMerge(a, b) {
+    const key = `${a} ${b}`;
+    if (this.ranks.has(key)) return;
+    this.ranks.set(key, this.merges.length);
+    this.merges.push([a, b]);
+  }
+
+  _symbols(word) {
+    const chars = [...word];
+    chars[chars.length - 1] += this.endOfWord;
+    return chars;
+  }
+
+  // ===========================================================================
+  // Training
+  // ===========================================================================
+
+  /**
+   * Learn merges from a corpus and assign primes to the new units
+   *
+   * Merges extend any already learned, so a tokenizer can be trained
+   * incrementally. Ties between equally frequent pairs are broken
+   * lexicographically, so training is deterministic. Every character of
+   * the word alphabet gets a unit too, with and without the end-of-word
+   * marker, so words unseen in the corpus still encode.
+   *
+   * @param {string|string[]} corpus - Text or list of texts
+   * @param {object} [options={}] - Training options
+   * @param {number} [options.numMerges=1000] - Maximum merges to learn
+   * @param {number} [options.minFrequency=2] - Stop when the best pair is rarer than this
+   * @returns {SubwordTokenizer} this
+   */
+  train(corpus, options = {}) {
+    const { numMerges = 1000, minFrequency = 2 } = options;
+    const texts = Array.isArray(corpus) ? corpus : [corpus];
+
+    const counts = new Map();
+    for (const text of texts) {
+      for (const word of SubwordTokenizer.words(text)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+    }
+
+    // Start from the current segmentation so earlier merges are kept
+    const words = [...counts].map(([word, count]) => ({ symbols: this.split(word), count }));
+    for (const { symbols } of words) {
+      for (const s of symbols) this._mintUnit(s);
+    }
+    for (const c of ALPHABET) {
+      this._mintUnit(c);
+      this._mintUnit(c + this.endOfWord);
+    }
+
+    for (let m = 0; m < numMerges; m++) {
+      const pairs = new Map();
+      for (const { symbols, count } of words) {
+        for (let i = 0; i < symbols.length - 1; i++) {
+          const key = `${symbols[i]} ${symbols[i + 1]}`;
+          pairs.set(key, (pairs.get(key) || 0) + count);
+        }
+      }
+
+      let best = null;
+      let bestCount = 0;
+      for (const [key, count] of pairs) {
+        if (count > bestCount || (count === bestCount && key < best)) {
+          best = key;
+          bestCount = count;
+        }
+      }
+      if (!best || bestCount < minFrequency) break;
+
+      const [a, b] = best.split(' ');
+      this._addMerge(a, b);
+      this._mintUnit(a + b);
+      for (const entry of words) entry.symbols = mergePair(entry.symbols, a, b);
+    }
+
+    this.cache.clear();
+    return this;
+  }
+
+  // ===========================================================================
+  // Encoding
+  // ===========================================================================
+
+  /**
+   * Split a word into subword units by applying merges in rank order
+   * @param {string} word - Single lowercase word
+   * @returns {string[]} Units; the last carries the end-of-word marker
+   */
+  split(word) {
+    if (!word) return [];
+    const cached = this.cache.get(word);
+    if (cached) return [...cached];
+
+    let symbols = this._symbols(word);
+    while (symbols.length > 1) {
+      let bestRank = Infinity;
+      let bestPair = null;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.ranks.get(`${symbols[i]} ${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          bestPair = this.merges[rank];
+        }
+      }
+      if (!bestPair) break;
+      symbols = mergePair(symbols, bestPair[0], bestPair[1]);
+    }
+
+    this.cache.set(word, symbols);
+    return [...symbols];
+  }
+
+  /**
+   * Prime for a unit
+   * @param {string} unit - Subword unit
+   * @returns {number}
+   * @throws {Error} If the unit has no prime (untrained tokenizer, or a character outside the word alphabet)
+   */
+  unitPrime(unit) {
+    const prime = this.units.get(unit);
+    if (prime === undefined) {
+      throw new Error(`No prime for subword unit "${unit}" (train the tokenizer first)`);
+    }
+    return prime;
+  }
+
+  _mintUnit(unit) {
+    if (this.units.has(unit)) return;
+    const prime = this.registry.next();
+    this.units.set(unit, prime);
+    this.primeToUnit.set(prime, unit);
+  }
+
+  /**
+   * Primes for the units of a word, in order
+   * @param {string} word - Single lowercase word
+   * @returns {number[]}
+   */
+  wordToPrimes(word) {
+    return this.split(word).map(unit => this.unitPrime(unit));
+  }
+
+  /**
+   * Encode text to primes, word by word
+   * @param {string} text - Input text
+   * @returns {number[]}
+   */
+  encode(text) {
+    return SubwordTokenizer.words(text).flatMap(word => this.wordToPrimes(word));
+  }
+
+  /**
+   * Reassemble text from unit primes; primes that are not units are skipped
+   * @param {number[]} primes - Unit primes
+   * @returns {string}
+   */
+  decode(primes) {
+    return this.decodeWords(primes).map(({ word }) => word).join(' ');
+  }
+
+  /**
+   * Group unit primes into words; primes that are not units are skipped
+   * @param {number[]} primes - Unit primes
+   * @returns {Array<{word: string, primes: number[]}>}
+   */
+  decodeWords(primes) {
+    const words = [];
+    let current = null;
+    for (const p of primes) {
+      const unit = this.primeToUnit.get(p);
+      if (unit === undefined) continue;
+      current = current || { word: '', primes: [] };
+      current.primes.push(p);
+      if (unit.endsWith(this.endOfWord)) {
+        current.word += unit.slice(0, -this.endOfWord.length);
+        words.push(current);
+        current = null;
+      } else {
+        current.word += unit;
+      }
+    }
+    if (current) words.push(current);
+    return words;
+  }
+
+  getVocabularySize() {
+    return this.units.size;
+  }
+
+  // ===========================================================================
+  // Persistence
+  // ===========================================================================
+
+  /**
+   * Serialize merges and unit primes (the vocabulary file format)
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      version: TOKENIZER_SCHEMA_VERSION,
+      type: 'SubwordTokenizer',
+      endOfWord: this.endOfWord,
+      merges: this.merges.map(([a, b]) => [a, b]),
+      units: Object.fromEntries(this.units)
+    };
+  }
+
+  /**
+   * Restore a tokenizer saved with toJSON()
+   * @param {object} json - Vocabulary data
+   * @param {object} [options={}] - Extra constructor config (e.g. reservedPrimes)
+   * @returns {SubwordTokenizer}
+   * @throws {Error} If the data is not a tokenizer vocabulary of this schema version
+   */
+  static fromJSON(json, options = {}) {
+    if (!json || json.type !== 'SubwordTokenizer') {
+      throw new Error('Invalid tokenizer vocabulary: expected type SubwordTokenizer');
+    }
+    if (json.version !== TOKENIZER_SCHEMA_VERSION) {
+      throw new Error(
+        `Unsupported tokenizer schema version ${json.version} (expected ${TOKENIZER_SCHEMA_VERSION})`
+      );
+    }
+    return new SubwordTokenizer({
+      ...options,
+      endOfWord: json.endOfWord,
+      merges: json.merges,
+      units: json.units
+    });
+  }
+
+  /**
+   * Write the vocabulary file (Node.js only)
+   * @param {string} path - File path
+   */
+  async save(path) {
+    const fs = await import('node:fs/promises');
+    await fs.writeFile(path, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  /**
+   * Read a vocabulary file written by save() (Node.js only)
+   * @param {string} path - File path
+   * @param {object} [options={}] - Passed to fromJSON()
+   * @returns {Promise<SubwordTokenizer>}
+   */
+  static async load(path, options = {}) {
+    const fs = await import('node:fs/promises');
+    return SubwordTokenizer.fromJSON(JSON.parse(await fs.readFile(path, 'utf-8')), options);
+  }
+}
+
+/**
+ * Replace every adjacent (a, b) in a symbol list with a + b
+ */
+function mergePair(symbols, a, b) {
+  const out = [];
+  for (let i = 0; i < symbols.length; i++) {
+    if (i < symbols.length - 1 && symbols[i] === a && symbols[i + 1] === b) {
+      out.push(a + b);
+      i++;
+    } else {
+      out.push(symbols[i]);
+    }
+  }
+  return out;
+}
+
+export {
+  SubwordTokenizer,
+  TOKENIZER_SCHEMA_VERSION
+};
+
+export default SubwordTokenizer;
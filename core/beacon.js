@@ -15,6 +15,7 @@
 
 import { isPrime, primesUpTo, factorize } from './prime.js';
 import { Complex, PrimeState } from './hilbert.js';
+import { HNSWIndex } from './hnsw.js';
 
 import crypto from 'crypto';
 
@@ -624,9 +625,30 @@ class CRTReconstructor {
  * 4. Verify integrity with fingerprint
  */
 class DataSummoner {
+  /**
+   * @param {Object} [options={}]
+   * @param {Map} [options.fragmentStore] - fragmentId → ResonantFragment
+   * @param {BeaconCache} [options.beaconCache]
+   * @param {HNSWIndex|Object|boolean} [options.index] - Nearest-neighbour index
+   *   over fragment states (an instance, HNSWIndex options, or true for a
+   *   cosine-metric default)
+   * @param {number} [options.candidates=50] - Fragments an indexed
+   *   findSimilar() scores exactly
+   */
   constructor(options = {}) {
     this.fragmentStore = options.fragmentStore || new Map();
     this.beaconCache = options.beaconCache || new BeaconCache();
+    
+    const { index } = options;
+    this.index = index instanceof HNSWIndex ? index
+      : index ? new HNSWIndex(index === true ? {} : index)
+      : null;
+    this.candidates = options.candidates || 50;
+    if (this.index) {
+      for (const [id, fragment] of this.fragmentStore) {
+        if (!this.index.has(id)) this.index.insert(id, fragment.toPrimeState());
+      }
+    }
   }
   
   /**
@@ -641,6 +663,7 @@ class DataSummoner {
     // Store fragment
     const fragmentId = `frag_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
     this.fragmentStore.set(fragmentId, fragment);
+    this.index?.insert(fragmentId, fragment.toPrimeState());
     
     // Create beacon
     const beacon = Beacon.fromFragment(fragment, {
@@ -708,13 +731,23 @@ class DataSummoner {
   
   /**
    * Find fragments matching a query state
+   *
+   * With an index only the `candidates` fragments nearest the query (by
+   * cosine) are scored, so matches outside them are missed. Fragments put
+   * straight into fragmentStore after construction are not indexed.
+   *
    * @param {PrimeState} queryState - Query state
    * @param {number} threshold - Minimum resonance
    */
   findSimilar(queryState, threshold = 0.5) {
     const results = [];
+    const ids = this.index
+      ? this.index.search(queryState, this.candidates).map(hit => hit.id)
+      : this.fragmentStore.keys();
     
-    for (const [id, fragment] of this.fragmentStore) {
+    for (const id of ids) {
+      const fragment = this.fragmentStore.get(id);
+      if (!fragment) continue;
       const fragState = fragment.toPrimeState();
       const resonance = queryState.coherence(fragState);
       
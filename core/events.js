@@ -17,10 +17,15 @@
  * - 'sync': Synchronization crossed {orderParameter, clusters}
  * - 'entropy:low': Entropy below threshold {value, threshold}
  * - 'entropy:high': Entropy above threshold {value, threshold}
+ * - 'sync:analysis': Cluster/chimera analysis window {clusters, chimeraIndex, metastability, ...}
+ * - 'sync:clusters': Cluster partition changed {clusters, unclustered, previous}
+ * - 'chimera' / 'chimera:end': Chimera state appeared / vanished {chimeraIndex, coherent, incoherent}
  */
 
 'use strict';
 
+import { SyncAnalyzer } from '../physics/sync-analysis.js';
+
 /**
  * AlephEventEmitter - Core event system
  * 
@@ -408,6 +413,9 @@ class AlephMonitor {
   /**
    * @param {object} engine - AlephEngine instance
    * @param {object} options - Configuration
+   * @param {boolean|object} [options.sync=false] - Cluster/chimera analysis on tick(): true,
+   *   or SyncAnalyzer options plus `every` (ticks between analyses, default window)
+   *   and `model` (analysed model, default engine.oscillators)
    */
   constructor(engine, options = {}) {
     this.engine = engine;
@@ -428,6 +436,13 @@ class AlephMonitor {
     this._lastState = null;
     this._stepCount = 0;
     this._startTime = Date.now();
+    
+    // Synchronization structure over a sliding window (off by default)
+    const sync = options.sync === true ? {} : options.sync;
+    this.syncAnalyzer = sync ? new SyncAnalyzer(sync) : null;
+    this._syncEvery = sync ? (sync.every ?? this.syncAnalyzer.window) : 0;
+    this._syncModel = sync?.model ?? null;
+    this._lastSync = null;
   }
   
   /**
@@ -474,6 +489,14 @@ class AlephMonitor {
     // Check for threshold crossings
     this._checkThresholds(state, prevState);
     
+    if (this.syncAnalyzer) {
+      this.syncAnalyzer.record(this._syncModel ?? this.engine.oscillators);
+      // The analyzer needs two samples, so a small `every` waits for the second tick
+      if (this._stepCount % this._syncEvery === 0 && this.syncAnalyzer.samples.length >= 2) {
+        this.emitSyncAnalysis(this.syncAnalyzer.analyze());
+      }
+    }
+    
     return state;
   }
   
@@ -543,6 +566,45 @@ class AlephMonitor {
     }
   }
   
+  /**
+   * Emit sync events for a SyncAnalyzer result
+   *
+   * Always emits 'sync:analysis'; 'sync:clusters' when the partition
+   * differs from the previous analysis, and 'chimera' / 'chimera:end'
+   * when a chimera state appears or vanishes.
+   *
+   * @param {object} analysis - SyncAnalyzer.analyze() result
+   */
+  emitSyncAnalysis(analysis) {
+    const prev = this._lastSync;
+    this._lastSync = analysis;
+    const t = this._stepCount;
+    
+    this.emitter.emit('sync:analysis', { t, ...analysis });
+    
+    const key = clusters => JSON.stringify(clusters);
+    if (!prev || key(prev.clusters) !== key(analysis.clusters)) {
+      this.emitter.emit('sync:clusters', {
+        t,
+        clusters: analysis.clusters,
+        unclustered: analysis.unclustered,
+        previous: prev ? prev.clusters : []
+      });
+    }
+    
+    const wasChimera = prev ? prev.chimera : false;
+    if (analysis.chimera !== wasChimera) {
+      this.emitter.emit(analysis.chimera ? 'chimera' : 'chimera:end', {
+        t,
+        chimeraIndex: analysis.chimeraIndex,
+        metastability: analysis.metastability,
+        populations: analysis.populations,
+        coherent: analysis.coherent,
+        incoherent: analysis.incoherent
+      });
+    }
+  }
+  
   /**
    * Wrap engine.run() with monitoring
    * @param {string} input - Input to process
@@ -595,12 +657,24 @@ class AlephMonitor {
     this._lastState = null;
     this._stepCount = 0;
     this._startTime = Date.now();
+    this._lastSync = null;
+    if (this.syncAnalyzer) this.syncAnalyzer.reset();
     this.emitter.clearHistory();
     this.emitter.resetStats();
     return this;
   }
 }
 
+/**
+ * Yield control back to the event loop
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve =>
+    typeof setImmediate === 'function' ? setImmediate(resolve) : setTimeout(resolve, 0)
+  );
+}
+
 /**
  * EvolutionStream - Async iterator for engine evolution
  * 
@@ -610,12 +684,18 @@ class EvolutionStream {
   /**
    * @param {object} engine - AlephEngine instance or evolvable object
    * @param {object} options - Configuration
+   * @param {AbortSignal} [options.signal] - Stops the stream when aborted
+   * @param {number} [options.yieldEvery=1] - Items between yields to the event loop
    */
   constructor(engine, options = {}) {
     this.engine = engine;
     this.dt = options.dt ?? 0.01;
     this.maxSteps = options.maxSteps ?? Infinity;
     this.stopCondition = options.stopCondition ?? null;
+    this.signal = options.signal ?? null;
+    this.yieldEvery = Math.max(1, options.yieldEvery ?? 1);
+    this.result = undefined;
+    this._source = options.source ?? null;
     this._step = 0;
     this._stopped = false;
     
@@ -657,6 +737,19 @@ class EvolutionStream {
     return new EvolutionStream(evolvable, options);
   }
   
+  /**
+   * Create stream from a (sync) iterator of state items
+   *
+   * Items are passed through unchanged. When the iterator finishes, its
+   * return value is stored on `stream.result`.
+   *
+   * @param {Iterator} iterator - Source iterator (e.g. a generator)
+   * @param {object} options - Configuration
+   */
+  static fromIterator(iterator, options = {}) {
+    return new EvolutionStream(null, { ...options, source: iterator });
+  }
+  
   /**
    * Stop the stream
    */
@@ -668,27 +761,45 @@ class EvolutionStream {
    * Make stream async iterable
    */
   async *[Symbol.asyncIterator]() {
-    while (!this._stopped && this._step < this.maxSteps) {
-      this._tick(this.dt);
-      
-      const state = this._getState();
-      const data = {
-        step: this._step,
-        t: this._step * this.dt,
-        ...state
-      };
-      
-      yield data;
-      
-      // Check stop condition
-      if (this.stopCondition && this.stopCondition(data)) {
-        this._stopped = true;
+    try {
+      while (!this._stopped && this._step < this.maxSteps && !this.signal?.aborted) {
+        let data;
+        if (this._source) {
+          const next = this._source.next();
+          if (next.done) {
+            this.result = next.value;
+            this._stopped = true;
+            break;
+          }
+          data = next.value;
+        } else {
+          this._tick(this.dt);
+          
+          const state = this._getState();
+          data = {
+            step: this._step,
+            t: this._step * this.dt,
+            ...state
+          };
+        }
+        
+        yield data;
+        
+        // Check stop condition
+        if (this.stopCondition && this.stopCondition(data)) {
+          this._stopped = true;
+        }
+        
+        this._step++;
+        
+        // Yield to event loop
+        if (this._step % this.yieldEvery === 0) {
+          await yieldToEventLoop();
+        }
       }
-      
-      this._step++;
-      
-      // Yield to event loop
-      await new Promise(resolve => setImmediate(resolve));
+    } finally {
+      // An aborted source (e.g. a run() generator) is closed so its cleanup runs
+      if (this._source && this.signal?.aborted) this._source.return?.();
     }
   }
   
@@ -0,0 +1,569 @@
+/**
+ * Hash Quality - Statistical tests for hash functions
+ *
+ * Decides whether a hash is fit for use as a dedup key. Works with any
+ * function from an input to a digest, e.g. CryptographicBackend.hash or
+ * QuantumHash.classicalHash. It runs five tests:
+ *
+ *   avalanche         Flipping one input bit flips each output bit with
+ *                     probability 1/2 (strict avalanche criterion)
+ *   bitIndependence   Those output-bit flips are pairwise uncorrelated
+ *   chiSquare         Every output byte position is uniform over 0..255
+ *   collisions        Collisions among N distinct inputs match the birthday
+ *                     bound, at full width and truncated to collisionBits
+ *   runs              The concatenated output bits pass the monobit and
+ *                     Wald–Wolfowitz runs tests
+ *
+ * Search results from CollisionDetector can be added with addFindings().
+ * They are then checked as a sixth test, collisionFindings.
+ *
+ * Every test is a family of z-scores or one Poisson tail. It passes at
+ * familywise significance `alpha`. The z threshold is Bonferroni-corrected
+ * for the number of statistics, so the chance of an ideal hash failing a
+ * test is at most alpha. The distribution tests hash counter inputs
+ * (0, 1, 2, ...), which is the structured input dedup keys usually see.
+ * The avalanche tests use random inputs.
+ *
+ * @example
+ * const tester = new HashQualityTester(x => backend.hash(x), { seed: 1 });
+ * const report = tester.run();
+ * report.passed;                 // false
+ * console.log(formatHashReport(report));
+ *
+ * @module core/hash-quality
+ */
+
+import { createRng } from './rng.js';
+
+const HASH_QUALITY_TESTS = ['avalanche', 'bitIndependence', 'chiSquare', 'collisions', 'runs'];
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, |ε| < 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z with Φ(z) = p
+ */
+function normalQuantile(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+    1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+    6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Two-sided z threshold for the largest of m statistics at familywise alpha
+ */
+function zThreshold(alpha, m) {
+  return normalQuantile(1 - alpha / (2 * Math.max(1, m)));
+}
+
+/**
+ * P(X ≥ k) for X ~ Poisson(λ), summed from the tail so tiny λ keeps precision
+ */
+function poissonUpperTail(k, lambda) {
+  if (k <= 0) return 1;
+  if (lambda <= 0) return 0;
+  let logFactorial = 0;
+  for (let i = 2; i <= k; i++) logFactorial += Math.log(i);
+  let logTerm = -lambda + k * Math.log(lambda) - logFactorial;
+  let sum = 0;
+  for (let i = k; i < k + 10000; i++) {
+    const term = Math.exp(logTerm);
+    sum += term;
+    if (i > lambda && term < sum * 1e-16) break;
+    logTerm += Math.log(lambda) - Math.log(i + 1);
+  }
+  return Math.min(1, sum);
+}
+
+/**
+ * Wilson–Hilferty z-score for a chi-square statistic
+ */
+function chiSquareZ(chi2, dof) {
+  const v = 2 / (9 * dof);
+  return (Math.cbrt(chi2 / dof) - (1 - v)) / Math.sqrt(v);
+}
+
+// ============================================================================
+// DIGESTS
+// ============================================================================
+
+/**
+ * Normalize a digest to bytes. Numbers and bigints are big-endian over
+ * outputBits; strings are hex.
+ */
+function digestBytes(value, outputBits) {
+  if (value instanceof Uint8Array) return value;
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    let v = BigInt.asUintN(outputBits, BigInt(value));
+    const bytes = new Uint8Array(Math.ceil(outputBits / 8));
+    for (let i = bytes.length - 1; i >= 0; i--) {
+      bytes[i] = Number(v & 0xFFn);
+      v >>= 8n;
+    }
+    return bytes;
+  }
+  if (typeof value === 'string' && /^[0-9a-f]*$/i.test(value) && value.length % 2 === 0) {
+    return Uint8Array.from(value.match(/../g) || [], h => parseInt(h, 16));
+  }
+  throw new Error(`Hash returned ${typeof value}; expected bytes, a number, a bigint or a hex string`);
+}
+
+const bitAt = (bytes, i) => (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+
+const hexOf = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+// ============================================================================
+// TESTER
+// ============================================================================
+
+class HashQualityTester {
+  /**
+   * @param {Function} hashFn - input → digest (Uint8Array/Buffer, number, bigint or hex string)
+   * @param {Object} [options={}]
+   * @param {string} [options.name='hash'] - Label for reports
+   * @param {string} [options.input='bytes'] - 'bytes' (Uint8Array inputs) or 'uint32' (integer inputs)
+   * @param {number} [options.inputBytes=8] - Input length in 'bytes' mode
+   * @param {number} [options.inputBits=32] - Input width in 'uint32' mode
+   * @param {number} [options.outputBits] - Digest width; required for number/bigint digests
+   *   wider or narrower than 32 bits, otherwise taken from the first digest
+   * @param {number} [options.samples=100] - Random base inputs for avalanche / bit independence
+   * @param {number} [options.count=4096] - Counter inputs for chiSquare / collisions / runs
+   * @param {number} [options.collisionBits=24] - Truncated width for the collision test
+   * @param {number} [options.bicOutputBits=32] - Output bits paired in the independence test
+   * @param {number} [options.alpha=0.001] - Familywise significance per test
+   * @param {*} [options.rng] - Seed or generator for random inputs
+   * @param {number} [options.seed] - Alternative to rng
+   */
+  constructor(hashFn, options = {}) {
+    if (typeof hashFn !== 'function') {
+      throw new Error('HashQualityTester needs a hash function');
+    }
+    this.hashFn = hashFn;
+    this.name = options.name || 'hash';
+    this.input = options.input || 'bytes';
+    if (this.input !== 'bytes' && this.input !== 'uint32') {
+      throw new Error(`Unknown input mode: ${this.input} (expected 'bytes' or 'uint32')`);
+    }
+    this.inputBits = this.input === 'bytes' ? (options.inputBytes || 8) * 8 : (options.inputBits || 32);
+    if (this.input === 'uint32' && (this.inputBits < 1 || this.inputBits > 32)) {
+      throw new Error('inputBits must be between 1 and 32');
+    }
+    this.outputBits = options.outputBits ?? null;
+    this.samples = options.samples || 100;
+    this.count = options.count || 4096;
+    this.collisionBits = options.collisionBits || 24;
+    this.bicOutputBits = options.bicOutputBits || 32;
+    this.alpha = options.alpha ?? 0.001;
+    this.rng = createRng(options.rng ?? options.seed);
+    this.findings = [];
+    this._counterDigests = null;
+    this._flips = null;
+  }
+
+  /**
+   * Hash one input and normalize the digest
+   */
+  digest(input) {
+    const value = this.hashFn(input);
+    if (this.outputBits === null) {
+      this.outputBits = typeof value === 'number' ? 32 : digestBytes(value, 32).length * 8;
+    }
+    return digestBytes(value, this.outputBits);
+  }
+
+  _randomInput() {
+    if (this.input === 'uint32') {
+      return Math.floor(this.rng.next() * 2 ** this.inputBits);
+    }
+    const bytes = new Uint8Array(this.inputBits / 8);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = this.rng.nextInt(256);
+    return bytes;
+  }
+
+  _counterInput(n) {
+    if (this.input === 'uint32') return n % 2 ** this.inputBits;
+    const bytes = new Uint8Array(this.inputBits / 8);
+    for (let i = bytes.length - 1, v = n; i >= 0 && v > 0; i--, v = Math.floor(v / 256)) {
+      bytes[i] = v % 256;
+    }
+    return bytes;
+  }
+
+  _flip(input, bit) {
+    if (this.input === 'uint32') return (input ^ (1 << bit)) >>> 0;
+    const flipped = Uint8Array.from(input);
+    flipped[bit >> 3] ^= 0x80 >> (bit & 7);
+    return flipped;
+  }
+
+  /**
+   * Digests of the counter inputs 0..count-1, shared by the distribution tests
+   */
+  _counterBatch() {
+    if (!this._counterDigests) {
+      const limit = this.input === 'uint32' ? Math.min(this.count, 2 ** this.inputBits) : this.count;
+      this._counterDigests = Array.from({ length: limit }, (_, n) => this.digest(this._counterInput(n)));
+    }
+    return this._counterDigests;
+  }
+
+  /**
+   * Output-bit changes for every (sample, input bit), as one byte per bit
+   */
+  _flipMatrix() {
+    if (this._flips) return this._flips;
+    const base = this._randomInput();
+    const outBits = this.digest(base).length * 8;
+    const changes = new Uint8Array(this.samples * this.inputBits * outBits);
+    for (let s = 0; s < this.samples; s++) {
+      const input = s === 0 ? base : this._randomInput();
+      const h = this.digest(input);
+      for (let i = 0; i < this.inputBits; i++) {
+        const h2 = this.digest(this._flip(input, i));
+        const offset = (s * this.inputBits + i) * outBits;
+        for (let j = 0; j < outBits; j++) {
+          changes[offset + j] = bitAt(h, j) ^ bitAt(h2, j);
+        }
+      }
+    }
+    this._flips = { changes, outBits };
+    return this._flips;
+  }
+
+  /**
+   * Strict avalanche criterion
+   * @returns {Object} { passed, meanFlipProbability, worst: { inputBit, outputBit, probability }, z, threshold }
+   */
+  avalanche() {
+    const { changes, outBits } = this._flipMatrix();
+    const S = this.samples;
+    const cells = this.inputBits * outBits;
+    let total = 0;
+    let worst = { inputBit: 0, outputBit: 0, probability: 0.5, z: 0 };
+
+    for (let i = 0; i < this.inputBits; i++) {
+      for (let j = 0; j < outBits; j++) {
+        let flips = 0;
+        for (let s = 0; s < S; s++) flips += changes[(s * this.inputBits + i) * outBits + j];
+        total += flips;
+        const p = flips / S;
+        const z = Math.abs(p - 0.5) / (0.5 / Math.sqrt(S));
+        if (z > worst.z) worst = { inputBit: i, outputBit: j, probability: p, z };
+      }
+    }
+
+    const mean = total / (S * cells);
+    const meanZ = Math.abs(mean - 0.5) / (0.5 / Math.sqrt(S * cells));
+    const threshold = zThreshold(this.alpha, cells + 1);
+    const z = Math.max(worst.z, meanZ);
+    return {
+      passed: z <= threshold,
+      meanFlipProbability: mean,
+      worst: { inputBit: worst.inputBit, outputBit: worst.outputBit, probability: worst.probability },
+      z,
+      threshold
+    };
+  }
+
+  /**
+   * Bit independence criterion over the first bicOutputBits output bits
+   *
+   * Output bits whose change never varies (always or never flipped) have no
+   * correlation and count as z = Infinity.
+   *
+   * @returns {Object} { passed, maxCorrelation, worst: { inputBit, outputBits }, z, threshold }
+   */
+  bitIndependence() {
+    const { changes, outBits } = this._flipMatrix();
+    const S = this.samples;
+    const m = Math.min(this.bicOutputBits, outBits);
+    let worst = { inputBit: 0, outputBits: [0, 1], correlation: 0, z: 0 };
+    const column = new Float64Array(m * S);
+
+    for (let i = 0; i < this.inputBits; i++) {
+      const mean = new Float64Array(m);
+      const sd = new Float64Array(m);
+      for (let j = 0; j < m; j++) {
+        let sum = 0;
+        for (let s = 0; s < S; s++) {
+          const v = changes[(s * this.inputBits + i) * outBits + j];
+          column[j * S + s] = v;
+          sum += v;
+        }
+        mean[j] = sum / S;
+        sd[j] = Math.sqrt(mean[j] * (1 - mean[j]));
+      }
+      for (let j = 0; j < m; j++) {
+        for (let k = j + 1; k < m; k++) {
+          let r;
+          if (sd[j] === 0 || sd[k] === 0) {
+            r = 1;
+          } else {
+            let cov = 0;
+            for (let s = 0; s < S; s++) cov += column[j * S + s] * column[k * S + s];
+            r = (cov / S - mean[j] * mean[k]) / (sd[j] * sd[k]);
+          }
+          const z = sd[j] === 0 || sd[k] === 0 ? Infinity : Math.abs(r) * Math.sqrt(S);
+          if (z > worst.z) worst = { inputBit: i, outputBits: [j, k], correlation: r, z };
+        }
+      }
+    }
+
+    const threshold = zThreshold(this.alpha, this.inputBits * m * (m - 1) / 2);
+    return {
+      passed: worst.z <= threshold,
+      maxCorrelation: Math.abs(worst.correlation),
+      worst: { inputBit: worst.inputBit, outputBits: worst.outputBits },
+      z: worst.z,
+      threshold
+    };
+  }
+
+  /**
+   * Chi-square uniformity of each output byte position over counter inputs
+   * @returns {Object} { passed, chiSquare, worstPosition, z, threshold }
+   */
+  chiSquare() {
+    const digests = this._counterBatch();
+    const positions = digests[0].length;
+    const expected = digests.length / 256;
+    const overall = new Float64Array(256);
+    let worst = { position: 0, chi2: 0, z: 0 };
+
+    for (let pos = 0; pos < positions; pos++) {
+      const counts = new Float64Array(256);
+      for (const d of digests) counts[d[pos]]++;
+      let chi2 = 0;
+      for (let v = 0; v < 256; v++) {
+        chi2 += (counts[v] - expected) ** 2 / expected;
+        overall[v] += counts[v];
+      }
+      const z = Math.abs(chiSquareZ(chi2, 255));
+      if (z > worst.z) worst = { position: pos, chi2, z };
+    }
+
+    let chi2 = 0;
+    const overallExpected = expected * positions;
+    for (let v = 0; v < 256; v++) chi2 += (overall[v] - overallExpected) ** 2 / overallExpected;
+    const overallZ = Math.abs(chiSquareZ(chi2, 255));
+    const threshold = zThreshold(this.alpha, positions + 1);
+    const z = Math.max(worst.z, overallZ);
+    return {
+      passed: z <= threshold,
+      chiSquare: chi2,
+      worstPosition: { position: worst.position, chiSquare: worst.chi2 },
+      z,
+      threshold
+    };
+  }
+
+  /**
+   * Collision count among distinct counter inputs against the birthday bound
+   * @returns {Object} { passed, inputs, full: {...}, truncated: {...}, threshold }
+   */
+  collisions() {
+    const digests = this._counterBatch();
+    const n = digests.length;
+    const pairs = n * (n - 1) / 2;
+    const bits = digests[0].length * 8;
+    const truncatedBits = Math.min(this.collisionBits, bits);
+
+    const count = (keyOf) => {
+      const seen = new Map();
+      let collisions = 0;
+      for (const d of digests) {
+        const key = keyOf(d);
+        const c = seen.get(key) || 0;
+        collisions += c;
+        seen.set(key, c + 1);
+      }
+      return collisions;
+    };
+    const truncatedKey = (d) => {
+      let key = '';
+      for (let i = 0; i < truncatedBits; i++) key += bitAt(d, i);
+      return key;
+    };
+
+    const check = (observed, width) => {
+      const expected = pairs / 2 ** width;
+      return { bits: width, observed, expected, pValue: poissonUpperTail(observed, expected) };
+    };
+    const full = check(count(hexOf), bits);
+    const truncated = check(count(truncatedKey), truncatedBits);
+    const threshold = this.alpha / 2;
+    return {
+      passed: full.pValue >= threshold && truncated.pValue >= threshold,
+      inputs: n,
+      full,
+      truncated,
+      threshold
+    };
+  }
+
+  /**
+   * Monobit and Wald–Wolfowitz runs tests over the concatenated counter digests
+   * @returns {Object} { passed, bits, ones, runs, expectedRuns, monobitZ, runsZ, z, threshold }
+   */
+  runs() {
+    const digests = this._counterBatch();
+    let n = 0;
+    let ones = 0;
+    let runs = 0;
+    let prev = -1;
+    for (const d of digests) {
+      for (let i = 0; i < d.length * 8; i++) {
+        const b = bitAt(d, i);
+        ones += b;
+        if (b !== prev) runs++;
+        prev = b;
+        n++;
+      }
+    }
+    const zeros = n - ones;
+    const monobitZ = Math.abs(ones - n / 2) / Math.sqrt(n / 4);
+    const mu = 2 * ones * zeros / n + 1;
+    const variance = (mu - 1) * (mu - 2) / (n - 1);
+    const runsZ = variance > 0 ? Math.abs(runs - mu) / Math.sqrt(variance) : Infinity;
+    const threshold = zThreshold(this.alpha, 2);
+    const z = Math.max(monobitZ, runsZ);
+    return { passed: z <= threshold, bits: n, ones, runs, expectedRuns: mu, monobitZ, runsZ, z, threshold };
+  }
+
+  /**
+   * Add search results from CollisionDetector
+   *
+   * Entries are { type: 'preimage', trials, found } or
+   * { type: 'birthday', samples, collisions }, each with the hash `bits`.
+   *
+   * @param {Object[]} findings
+   * @returns {HashQualityTester} this
+   */
+  addFindings(findings) {
+    for (const f of findings) {
+      if (f.type !== 'preimage' && f.type !== 'birthday') {
+        throw new Error(`Unknown finding type: ${f.type}`);
+      }
+      if (!Number.isInteger(f.bits) || f.bits < 1) {
+        throw new Error('Findings need the hash width in bits');
+      }
+      this.findings.push({ ...f });
+    }
+    return this;
+  }
+
+  /**
+   * Hits from added findings against what an ideal hash of the same width gives
+   * @returns {Object} { passed, searches, observed, expected, pValue, threshold }
+   */
+  collisionFindings() {
+    let observed = 0;
+    let expected = 0;
+    for (const f of this.findings) {
+      if (f.type === 'preimage') {
+        observed += f.found ? 1 : 0;
+        expected += f.trials / 2 ** f.bits;
+      } else {
+        observed += f.collisions;
+        expected += f.samples * (f.samples - 1) / 2 / 2 ** f.bits;
+      }
+    }
+    const pValue = poissonUpperTail(observed, expected);
+    return { passed: pValue >= this.alpha, searches: this.findings.length, observed, expected, pValue, threshold: this.alpha };
+  }
+
+  /**
+   * Run the suite
+   * @param {string[]} [tests] - Subset of HASH_QUALITY_TESTS (default all, plus
+   *   collisionFindings when findings were added)
+   * @returns {Object} { name, passed, outputBits, tests: { [name]: result } }
+   */
+  run(tests) {
+    const names = tests || [...HASH_QUALITY_TESTS, ...(this.findings.length > 0 ? ['collisionFindings'] : [])];
+    const results = {};
+    for (const name of names) {
+      if (!HASH_QUALITY_TESTS.includes(name) && name !== 'collisionFindings') {
+        throw new Error(`Unknown hash test: ${name}`);
+      }
+      results[name] = this[name]();
+    }
+    return {
+      name: this.name,
+      passed: Object.values(results).every(r => r.passed),
+      outputBits: this.outputBits,
+      alpha: this.alpha,
+      tests: results
+    };
+  }
+}
+
+/**
+ * Run the full suite against a hash function
+ * @param {Function} hashFn - input → digest
+ * @param {Object} [options] - HashQualityTester options, plus `tests` and `findings`
+ * @returns {Object} Report
+ */
+function analyzeHash(hashFn, options = {}) {
+  const tester = new HashQualityTester(hashFn, options);
+  if (options.findings) tester.addFindings(options.findings);
+  return tester.run(options.tests);
+}
+
+/**
+ * One line per test, for terminals
+ * @param {Object} report - From run() or analyzeHash()
+ * @returns {string}
+ */
+function formatHashReport(report) {
+  const fmt = (x) => (Number.isFinite(x) ? (Math.abs(x) < 1e-3 && x !== 0 ? x.toExponential(2) : x.toFixed(4)) : String(x));
+  const lines = [`${report.name} (${report.outputBits}-bit): ${report.passed ? 'PASS' : 'FAIL'}`];
+  for (const [name, r] of Object.entries(report.tests)) {
+    let detail;
+    if ('pValue' in r) {
+      detail = `observed ${r.observed}, expected ${fmt(r.expected)}, p=${fmt(r.pValue)}`;
+    } else if (name === 'collisions') {
+      detail = `full ${r.full.observed} (expected ${fmt(r.full.expected)}), ` +
+        `${r.truncated.bits}-bit ${r.truncated.observed} (expected ${fmt(r.truncated.expected)}), ` +
+        `p=${fmt(Math.min(r.full.pValue, r.truncated.pValue))}`;
+    } else {
+      detail = `z=${fmt(r.z)} (threshold ${fmt(r.threshold)})`;
+      if (name === 'avalanche') detail += `, mean flip ${fmt(r.meanFlipProbability)}`;
+      if (name === 'bitIndependence') detail += `, max |r| ${fmt(r.maxCorrelation)}`;
+    }
+    lines.push(`  ${r.passed ? 'PASS' : 'FAIL'}  ${name.padEnd(17)} ${detail}`);
+  }
+  return lines.join('\n');
+}
+
+export {
+  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport
+};
+
+export default {
+  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport
+};
@@ -0,0 +1,603 @@
+/**
+ * HNSW Index - Approximate nearest-neighbour search over prime states
+ *
+ * Similarity elsewhere in the library (PrimeState.coherence, resonanceScore)
+ * is a linear scan. PRGraphMemory, HolographicMemory and DataSummoner take
+ * this index as an option to narrow their recall to its candidates. It
+ * implements a Hierarchical Navigable Small World graph (Malkov & Yashunin,
+ * 2016) in plain JavaScript so recall stays logarithmic as memories grow.
+ *
+ * States are PrimeState or SparsePrimeState instances. They are copied into
+ * a compact sparse vector on insert (prime, complex amplitude, and the
+ * quaternion for sparse states), so later mutation of the caller's state
+ * does not corrupt the graph and the index can be persisted as JSON.
+ *
+ * METRICS (similarity, higher is closer; distance = 1 - similarity):
+ *   cosine     |⟨a|b⟩| / (‖a‖‖b‖), the normalized square root of coherence
+ *   resonance  α·Jaccard + β·QuaternionAlign + γ·PhaseCoherence, identical
+ *              to resonanceScore() in core/rformer.js. PrimeState entries
+ *              have no quaternions and count as the identity orientation.
+ *
+ * Inserts and deletes are incremental. Deleting a node re-links the
+ * neighbours it pointed at from its own neighbourhood; any remaining links
+ * to the removed id are skipped during search.
+ *
+ * @module core/hnsw
+ */
+
+import { createRng } from './rng.js';
+
+const HNSW_SCHEMA_VERSION = 1;
+
+const DEFAULT_WEIGHTS = { alpha: 0.33, beta: 0.33, gamma: 0.34 };
+
+// ============================================================================
+// SPARSE VECTORS
+// ============================================================================
+
+/**
+ * Copy a PrimeState or SparsePrimeState into a sorted sparse vector
+ * @param {PrimeState|SparsePrimeState} state - Source state
+ * @returns {Object} { primes, re, im, phase, quaternions, norm }
+ */
+function toVector(state) {
+  const entries = [];
+  if (state?.activations instanceof Map) {
+    for (const [p, { amplitude, quaternion }] of state.activations) {
+      entries.push([p, amplitude.re, amplitude.im, quaternion]);
+    }
+  } else if (state?.amplitudes instanceof Map) {
+    for (const [p, amplitude] of state.amplitudes) {
+      if (amplitude.re !== 0 || amplitude.im !== 0) {
+        entries.push([p, amplitude.re, amplitude.im, null]);
+      }
+    }
+  } else {
+    throw new TypeError('Expected a PrimeState or SparsePrimeState');
+  }
+  entries.sort((a, b) => a[0] - b[0]);
+
+  const hasQuaternions = entries.some(e => e[3]);
+  return makeVector(
+    entries.map(e => e[0]),
+    entries.map(e => e[1]),
+    entries.map(e => e[2]),
+    hasQuaternions ? entries.flatMap(([, , , q]) => q ? [q.w, q.x, q.y, q.z] : [1, 0, 0, 0]) : null
+  );
+}
+
+/**
+ * Build a vector from its stored fields, deriving phases and norm
+ */
+function makeVector(primes, re, im, quaternions) {
+  let norm = 0;
+  const phase = new Array(primes.length);
+  for (let i = 0; i < primes.length; i++) {
+    norm += re[i] * re[i] + im[i] * im[i];
+    phase[i] = Math.atan2(im[i], re[i]);
+  }
+  return { primes, re, im, phase, quaternions, norm: Math.sqrt(norm) };
+}
+
+/**
+ * |⟨a|b⟩| / (‖a‖‖b‖) by merge-joining the sorted prime lists
+ */
+function cosineSimilarity(a, b) {
+  if (a.norm < 1e-10 || b.norm < 1e-10) return 0;
+  let re = 0;
+  let im = 0;
+  for (let i = 0, j = 0; i < a.primes.length && j < b.primes.length;) {
+    if (a.primes[i] < b.primes[j]) i++;
+    else if (a.primes[i] > b.primes[j]) j++;
+    else {
+      // conj(a)·b
+      re += a.re[i] * b.re[j] + a.im[i] * b.im[j];
+      im += a.re[i] * b.im[j] - a.im[i] * b.re[j];
+      i++;
+      j++;
+    }
+  }
+  return Math.sqrt(re * re + im * im) / (a.norm * b.norm);
+}
+
+/**
+ * resonanceScore() over sparse vectors
+ */
+function resonanceSimilarity(a, b, { alpha, beta, gamma }) {
+  let shared = 0;
+  let quatSum = 0;
+  let phaseSum = 0;
+  for (let i = 0, j = 0; i < a.primes.length && j < b.primes.length;) {
+    if (a.primes[i] < b.primes[j]) i++;
+    else if (a.primes[i] > b.primes[j]) j++;
+    else {
+      shared++;
+      quatSum += Math.abs(quaternionDot(a.quaternions, i, b.quaternions, j));
+      phaseSum += Math.cos(a.phase[i] - b.phase[j]);
+      i++;
+      j++;
+    }
+  }
+
+  const union = a.primes.length + b.primes.length - shared;
+  const jaccard = shared / (union || 1);
+  if (shared === 0) {
+    return alpha * jaccard;
+  }
+  return alpha * jaccard + beta * (quatSum / shared) + gamma * ((phaseSum / shared + 1) / 2);
+}
+
+/**
+ * Dot product of two stored quaternions; missing ones are the identity
+ */
+function quaternionDot(qa, i, qb, j) {
+  if (!qa && !qb) return 1;
+  if (!qa) return qb[4 * j];
+  if (!qb) return qa[4 * i];
+  let dot = 0;
+  for (let k = 0; k < 4; k++) {
+    dot += qa[4 * i + k] * qb[4 * j + k];
+  }
+  return dot;
+}
+
+const METRICS = {
+  cosine: (a, b) => cosineSimilarity(a, b),
+  resonance: (a, b, weights) => resonanceSimilarity(a, b, weights)
+};
+
+// ============================================================================
+// BINARY HEAP
+// ============================================================================
+
+/**
+ * Minimal binary heap ordered by `compare` (smallest first)
+ */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const nearestFirst = (a, b) => a.dist - b.dist;
+const furthestFirst = (a, b) => b.dist - a.dist;
+
+// ============================================================================
+// HNSW INDEX
+// ============================================================================
+
+/**
+ * Approximate nearest-neighbour index over PrimeState / SparsePrimeState
+ *
+ * @example
+ * const index = new HNSWIndex({ metric: 'resonance', seed: 42 });
+ * index.insert('cat', SparsePrimeState.fromHash('cat'), { text: 'cat' });
+ * index.search(SparsePrimeState.fromHash('cats'), 5);
+ * // → [{ id, score, metadata }, ...]
+ */
+class HNSWIndex {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.metric='cosine'] - 'cosine' or 'resonance'
+   * @param {number} [options.M=16] - Links per node per layer (2M on layer 0)
+   * @param {number} [options.efConstruction=200] - Candidate list size while inserting
+   * @param {number} [options.efSearch=50] - Default candidate list size while searching
+   * @param {Object} [options.weights] - { alpha, beta, gamma } for the resonance metric
+   * @param {*} [options.rng] - Generator or seed for level assignment (see core/rng)
+   * @param {number|string} [options.seed] - Shorthand for a seeded rng
+   */
+  constructor(options = {}) {
+    const {
+      metric = 'cosine',
+      M = 16,
+      efConstruction = 200,
+      efSearch = 50,
+      weights = {},
+      rng,
+      seed
+    } = options;
+
+    if (!METRICS[metric]) {
+      throw new Error(`Unknown metric: ${metric} (expected ${Object.keys(METRICS).join(' or ')})`);
+    }
+    if (!Number.isInteger(M) || M < 2) {
+      throw new Error('M must be an integer >= 2');
+    }
+
+    this.metric = metric;
+    this.M = M;
+    this.maxConnections0 = 2 * M;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.levelMultiplier = 1 / Math.log(M);
+    this.rng = createRng(rng ?? seed);
+
+    // id → { id, vector, level, neighbors: id[][], metadata }
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Number of indexed states
+   */
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  /**
+   * Metadata stored with an id, or undefined when absent
+   */
+  getMetadata(id) {
+    return this.nodes.get(id)?.metadata;
+  }
+
+  /**
+   * Similarity of two states under this index's metric
+   * @param {PrimeState|SparsePrimeState} a
+   * @param {PrimeState|SparsePrimeState} b
+   * @returns {number}
+   */
+  similarity(a, b) {
+    return this._similarity(toVector(a), toVector(b));
+  }
+
+  _similarity(a, b) {
+    return METRICS[this.metric](a, b, this.weights);
+  }
+
+  _distance(a, b) {
+    return 1 - this._similarity(a, b);
+  }
+
+  /**
+   * Add a state, replacing any existing entry with the same id
+   * @param {string|number} id - Caller's key
+   * @param {PrimeState|SparsePrimeState} state - State to index
+   * @param {*} [metadata=null] - Returned with search results
+   * @returns {HNSWIndex} this
+   */
+  insert(id, state, metadata = null) {
+    if (this.nodes.has(id)) {
+      this.delete(id);
+    }
+    this._link({
+      id,
+      vector: toVector(state),
+      level: Math.floor(-Math.log(1 - this.rng.next()) * this.levelMultiplier),
+      neighbors: null,
+      metadata
+    });
+    return this;
+  }
+
+  /**
+   * Wire a new node into every layer up to its level
+   */
+  _link(node) {
+    const { id, vector, level } = node;
+    node.neighbors = Array.from({ length: level + 1 }, () => []);
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = [this._searchLayer(vector, entry, 1, l)[0].id];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this._searchLayer(vector, entry, this.efConstruction, l);
+      const selected = this._selectNeighbors(found, this.M);
+      node.neighbors[l] = selected.map(n => n.id);
+
+      const maxConnections = l === 0 ? this.maxConnections0 : this.M;
+      for (const { id: neighborId } of selected) {
+        const neighbor = this.nodes.get(neighborId);
+        neighbor.neighbors[l].push(id);
+        if (neighbor.neighbors[l].length > maxConnections) {
+          neighbor.neighbors[l] = this._prune(neighbor, neighbor.neighbors[l], l);
+        }
+      }
+      entry = found.map(f => f.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+  }
+
+  /**
+   * Remove an id from the index
+   * @param {string|number} id
+   * @returns {boolean} Whether the id was present
+   */
+  delete(id) {
+    const node = this.nodes.get(id);
+    if (!node) return false;
+    this.nodes.delete(id);
+
+    for (let l = 0; l <= node.level; l++) {
+      for (const neighborId of node.neighbors[l]) {
+        const neighbor = this.nodes.get(neighborId);
+        if (!neighbor) continue;
+        const links = neighbor.neighbors[l];
+        if (!links.includes(id)) continue;
+        // Re-link through the removed node's other neighbours
+        const candidates = new Set([...links, ...node.neighbors[l]]);
+        candidates.delete(id);
+        candidates.delete(neighborId);
+        neighbor.neighbors[l] = this._prune(neighbor, candidates, l);
+      }
+    }
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const other of this.nodes.values()) {
+        if (other.level > this.maxLevel) {
+          this.maxLevel = other.level;
+          this.entryPoint = other.id;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Find the k states closest to a query
+   * @param {PrimeState|SparsePrimeState} query - Query state
+   * @param {number} [k=10] - Number of results
+   * @param {Object} [options={}]
+   * @param {number} [options.ef] - Candidate list size (default efSearch, at least k)
+   * @param {boolean} [options.exact=false] - Score every entry instead (for recall checks)
+   * @returns {Array<{id, score: number, metadata}>} Best first
+   */
+  search(query, k = 10, options = {}) {
+    if (this.nodes.size === 0 || k <= 0) return [];
+    const vector = toVector(query);
+
+    let found;
+    if (options.exact) {
+      found = [...this.nodes.values()]
+        .map(node => ({ id: node.id, dist: this._distance(vector, node.vector) }))
+        .sort(nearestFirst);
+    } else {
+      let entry = [this.entryPoint];
+      for (let l = this.maxLevel; l > 0; l--) {
+        entry = [this._searchLayer(vector, entry, 1, l)[0].id];
+      }
+      found = this._searchLayer(vector, entry, Math.max(options.ef ?? this.efSearch, k), 0);
+    }
+
+    return found.slice(0, k).map(({ id, dist }) => ({
+      id,
+      score: 1 - dist,
+      metadata: this.nodes.get(id).metadata
+    }));
+  }
+
+  /**
+   * Greedy best-first search within one layer
+   * @returns {Array<{id, dist}>} Up to ef nodes, nearest first
+   */
+  _searchLayer(vector, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = new Heap(nearestFirst);
+    const results = new Heap(furthestFirst);
+
+    for (const id of entryIds) {
+      const item = { id, dist: this._distance(vector, this.nodes.get(id).vector) };
+      candidates.push(item);
+      results.push(item);
+    }
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.dist > results.peek().dist) break;
+
+      for (const neighborId of this.nodes.get(current.id).neighbors[level] ?? []) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+        const neighbor = this.nodes.get(neighborId);
+        if (!neighbor) continue;
+
+        const dist = this._distance(vector, neighbor.vector);
+        if (results.size < ef || dist < results.peek().dist) {
+          const item = { id: neighborId, dist };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort(nearestFirst);
+  }
+
+  /**
+   * Neighbour selection heuristic: keep a candidate only if it is closer to
+   * the base than to anything already kept, then top up with the nearest
+   * of the rest so sparse regions stay connected
+   * @param {Array<{id, dist}>} candidates - Nearest first
+   * @param {number} m - Maximum to keep
+   */
+  _selectNeighbors(candidates, m) {
+    if (candidates.length <= m) return candidates;
+    const selected = [];
+    const skipped = [];
+    for (const candidate of candidates) {
+      if (selected.length >= m) break;
+      const vector = this.nodes.get(candidate.id).vector;
+      const diverse = selected.every(s => this._distance(vector, this.nodes.get(s.id).vector) > candidate.dist);
+      (diverse ? selected : skipped).push(candidate);
+    }
+    for (const candidate of skipped) {
+      if (selected.length >= m) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  /**
+   * Re-select a node's links on one layer from a set of candidate ids
+   */
+  _prune(node, ids, level) {
+    const candidates = [];
+    for (const id of ids) {
+      const other = this.nodes.get(id);
+      if (other) {
+        candidates.push({ id, dist: this._distance(node.vector, other.vector) });
+      }
+    }
+    candidates.sort(nearestFirst);
+    return this._selectNeighbors(candidates, level === 0 ? this.maxConnections0 : this.M).map(c => c.id);
+  }
+
+  /**
+   * Serialize to versioned JSON
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: 'HNSWIndex',
+      version: HNSW_SCHEMA_VERSION,
+      metric: this.metric,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      weights: { ...this.weights },
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: [...this.nodes.values()].map(({ id, vector, level, neighbors, metadata }) => ({
+        id,
+        level,
+        primes: vector.primes,
+        re: vector.re,
+        im: vector.im,
+        quaternions: vector.quaternions,
+        neighbors,
+        metadata
+      }))
+    };
+  }
+
+  /**
+   * Restore an index written by toJSON()
+   * @param {Object} json - Serialized index
+   * @param {Object} [options={}] - Constructor options (e.g. rng) for future inserts
+   * @returns {HNSWIndex}
+   */
+  static fromJSON(json, options = {}) {
+    if (!json || json.type !== 'HNSWIndex') {
+      throw new Error('Invalid index: expected type HNSWIndex');
+    }
+    if (json.version !== HNSW_SCHEMA_VERSION) {
+      throw new Error(`Unsupported index schema version ${json.version} (expected ${HNSW_SCHEMA_VERSION})`);
+    }
+
+    const index = new HNSWIndex({
+      ...options,
+      metric: json.metric,
+      M: json.M,
+      efConstruction: json.efConstruction,
+      efSearch: json.efSearch,
+      weights: json.weights
+    });
+    for (const node of json.nodes) {
+      index.nodes.set(node.id, {
+        id: node.id,
+        vector: makeVector(node.primes, node.re, node.im, node.quaternions),
+        level: node.level,
+        neighbors: node.neighbors.map(links => [...links]),
+        metadata: node.metadata ?? null
+      });
+    }
+    index.entryPoint = json.entryPoint;
+    index.maxLevel = json.maxLevel;
+    return index;
+  }
+
+  /**
+   * Write the index to a JSON file (Node.js only)
+   * @param {string} path - File path
+   */
+  async save(path) {
+    const fs = await import('node:fs/promises');
+    await fs.writeFile(path, JSON.stringify(this.toJSON()));
+  }
+
+  /**
+   * Read an index file written by save() (Node.js only)
+   * @param {string} path - File path
+   * @param {Object} [options={}] - Passed to fromJSON()
+   * @returns {Promise<HNSWIndex>}
+   */
+  static async load(path, options = {}) {
+    const fs = await import('node:fs/promises');
+    return HNSWIndex.fromJSON(JSON.parse(await fs.readFile(path, 'utf-8')), options);
+  }
+}
+
+export {
+  HNSW_SCHEMA_VERSION,
+  HNSWIndex
+};
+
+export default {
+  HNSW_SCHEMA_VERSION,
+  HNSWIndex
+};
@@ -85,8 +85,22 @@ import {  primeGenerator, nthPrime, primesUpTo, isPrime,
   factorize, primeSignature, firstNPrimes,
   GaussianInteger, EisensteinInteger,
   primeToFrequency, primeToAngle, sumOfTwoSquares,
-  DEFAULT_PRIMES  } from './prime.js';
+  DEFAULT_PRIMES, PrimeRegistry  } from './prime.js';
 import LLM from './llm.js';
+import { Sieve } from './sieve.js';
+import {  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary  } from './vocabulary-store.js';
+
+// Seedable random generation
+import {  MathRandom,
+  SeededRandom,
+  defaultRng,
+  createRng  } from './rng.js';
 
 // Prime Hilbert Space (complex amplitudes, quantum-like)
 import {  Complex,
@@ -178,6 +192,16 @@ import {  Quaternion,
   PRGraphMemory,
   applyResonanceOperator  } from './rformer.js';
 
+// Approximate nearest-neighbour index
+import {  HNSW_SCHEMA_VERSION,
+  HNSWIndex  } from './hnsw.js';
+
+// Hash quality tests
+import {  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport  } from './hash-quality.js';
+
 // ResoFormer complete layers
 import {  ResonantMultiHeadAttention,
   PrimeFFN,
@@ -235,10 +259,27 @@ export {
   primeToAngle,
   sumOfTwoSquares,
   DEFAULT_PRIMES,
+  PrimeRegistry,
+  
+  // Seedable random generation
+  MathRandom,
+  SeededRandom,
+  defaultRng,
+  createRng,
   
   // LLM client
   LLM,
   
+  // Semantic Sieve and vocabulary stores
+  Sieve,
+  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
+  
   // Prime Hilbert Space
   Complex,
   PrimeState,
@@ -315,6 +356,16 @@ export {
   PRGraphMemory,
   applyResonanceOperator,
   
+  // Approximate nearest-neighbour index
+  HNSW_SCHEMA_VERSION,
+  HNSWIndex,
+  
+  // Hash quality tests
+  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport,
+  
   // ResoFormer Complete Layers
   ResonantMultiHeadAttention,
   PrimeFFN,
@@ -490,10 +541,27 @@ export default {
   primeToAngle,
   sumOfTwoSquares,
   DEFAULT_PRIMES,
+  PrimeRegistry,
+  
+  // Seedable random generation
+  MathRandom,
+  SeededRandom,
+  defaultRng,
+  createRng,
   
   // LLM client
   LLM,
   
+  // Semantic Sieve and vocabulary stores
+  Sieve,
+  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
+  
   // Prime Hilbert Space (HP)
   Complex,
   PrimeState,
@@ -572,6 +640,16 @@ export default {
   PRGraphMemory,
   applyResonanceOperator,
   
+  // Approximate nearest-neighbour index
+  HNSW_SCHEMA_VERSION,
+  HNSWIndex,
+  
+  // Hash quality tests
+  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport,
+  
   // ResoFormer Complete Layers
   ResonantMultiHeadAttention,
   PrimeFFN,
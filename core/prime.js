@@ -176,6 +176,53 @@ function firstNPrimes(n) {
 // Default prime list (first 100 primes)
 const DEFAULT_PRIMES = firstNPrimes(100);
 
+/**
+ * Allocator for fresh primes that never reuses one already in use
+ *
+ * Keeps the Prime Uniqueness Invariant (see docs/sieve.md): every newly
+ * minted concept or unit gets a prime no other symbol carries.
+ */
+class PrimeRegistry {
+  /**
+   * @param {number[]} [existingPrimes=[]] - Primes already in use
+   */
+  constructor(existingPrimes = []) {
+    this.used = new Set(existingPrimes);
+    this.max = existingPrimes.length > 0 ? Math.max(...existingPrimes) : 1;
+  }
+
+  /**
+   * Mint the next unused prime above every prime seen so far
+   * @returns {number}
+   */
+  next() {
+    let candidate = this.max + 1;
+    while (true) {
+      if (isPrime(candidate) && !this.used.has(candidate)) {
+        this.used.add(candidate);
+        this.max = candidate;
+        return candidate;
+      }
+      candidate++;
+    }
+  }
+
+  /**
+   * Mark primes as used (e.g. when loading a saved vocabulary)
+   * @param {number[]} primes - Primes to reserve
+   */
+  reserve(primes) {
+    for (const p of primes) {
+      this.used.add(p);
+      if (p > this.max) this.max = p;
+    }
+  }
+
+  has(prime) {
+    return this.used.has(prime);
+  }
+}
+
 // ============================================================================
 // 108 INVARIANT (from 108bio.pdf - Twist Eigenstates and Topological Morphogenesis)
 // ============================================================================
@@ -320,6 +367,7 @@ export {
   primeToAngle,
   sumOfTwoSquares,
   DEFAULT_PRIMES,
+  PrimeRegistry,
   // 108 Invariant exports
   TWIST_108,
   twistAngle,
@@ -334,7 +382,7 @@ export default {
   factorize, primeSignature, firstNPrimes,
   GaussianInteger, EisensteinInteger,
   primeToFrequency, primeToAngle, sumOfTwoSquares,
-  DEFAULT_PRIMES,
+  DEFAULT_PRIMES, PrimeRegistry,
   // 108 Invariant exports
   TWIST_108,
   twistAngle,
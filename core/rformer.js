@@ -24,6 +24,7 @@
  */
 import { firstNPrimes, isPrime, factorize } from './prime.js';
 import { Complex, PrimeState } from './hilbert.js';
+import { HNSWIndex } from './hnsw.js';
 
 class Quaternion {
   constructor(w = 1, x = 0, y = 0, z = 0) {
@@ -608,11 +609,24 @@ class EntropyCollapseHead {
  * Persistent content-addressable memory with resonance-based retrieval
  */
 class PRGraphMemory {
-  constructor(numPrimes = 4096, lockThreshold = 0.8) {
+  /**
+   * @param {number} [numPrimes=4096] - Prime basis size
+   * @param {number} [lockThreshold=0.8] - Resonance needed to lock an entry
+   * @param {Object} [options={}]
+   * @param {HNSWIndex|Object|boolean} [options.index] - Nearest-neighbour index
+   *   (an instance, HNSWIndex options, or true for a resonance-metric default)
+   */
+  constructor(numPrimes = 4096, lockThreshold = 0.8, options = {}) {
     this.allPrimes = firstNPrimes(numPrimes);
     this.entries = new Map();  // key: hash -> {state, metadata, entropy, locked}
     this.lockThreshold = lockThreshold;
     this.decayRate = 0.1;
+    this.reads = 0;  // get() calls so far; entries decay once per read
+    
+    const { index } = options;
+    this.index = index instanceof HNSWIndex ? index
+      : index ? new HNSWIndex({ metric: 'resonance', ...(index === true ? {} : index) })
+      : null;
   }
   
   /**
@@ -636,17 +650,28 @@ class PRGraphMemory {
     const hash = this._primeEntropyHash(key);
     
     // Initial entropy (starts high, will decay toward lock)
-    const entropy = state.entropy();
+    const memory = this;
     
     this.entries.set(hash, {
       key,
       state,
       metadata,
-      entropy,
       locked: false,
       createdAt: Date.now(),
-      accessCount: 0
+      accessCount: 0,
+      // Entropy decays by (1 - decayRate) per get() since it was last
+      // written, applied when read rather than on every entry per get()
+      _entropy: state.entropy(),
+      _readsAt: this.reads,
+      get entropy() {
+        return this._entropy * Math.pow(1 - memory.decayRate, memory.reads - this._readsAt);
+      },
+      set entropy(value) {
+        this._entropy = value;
+        this._readsAt = memory.reads;
+      }
     });
+    this.index?.insert(hash, state);
     
     return hash;
   }
@@ -655,20 +680,29 @@ class PRGraphMemory {
    * PRG-Get: Read from memory
    * 1. Generate probe from query
    * 2. Compute resonance overlap with all entries
+   *    (only the index's nearest candidates when an index is attached)
    * 3. Lock by entropy-guided resonance
    * 4. Return best match
+   *
+   * Every entry's entropy decays on each read, whether or not it was scored.
+   * The decay is lazy (entry.entropy applies it when read), so a get()
+   * through the index touches only its candidates.
    */
   get(query, topK = 1) {
     if (this.entries.size === 0) return [];
     
+    // Apply entropy decay
+    this.reads++;
+    
     const results = [];
+    const hashes = this.index
+      ? this.index.search(query, topK).map(r => r.id)
+      : this.entries.keys();
     
-    for (const [hash, entry] of this.entries) {
+    for (const hash of hashes) {
+      const entry = this.entries.get(hash);
       const score = resonanceScore(query, entry.state);
       
-      // Apply entropy decay
-      entry.entropy *= (1 - this.decayRate);
-      
       // Check lock condition: low entropy + high resonance
       if (entry.entropy < 0.5 && score > this.lockThreshold) {
         entry.locked = true;
@@ -697,6 +731,7 @@ class PRGraphMemory {
    * Delete by hash
    */
   delete(hash) {
+    this.index?.delete(hash);
     return this.entries.delete(hash);
   }
   
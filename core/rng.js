@@ -0,0 +1,285 @@
+/**
+ * Seedable Random Number Generation
+ *
+ * Every stochastic component in tinyaleph (noisy Kuramoto models, thermal
+ * folding, collapse sampling, PRSC noise) draws from an `rng` object instead
+ * of calling Math.random directly. Passing a seeded generator makes a run
+ * reproducible bit-for-bit; omitting it keeps the original Math.random
+ * behaviour.
+ *
+ * An rng is any object with:
+ * - next(): uniform float in [0, 1)
+ * - gaussian(mean, stddev): normal deviate
+ * - getState() / setState(state): snapshot and restore
+ *
+ * @module core/rng
+ */
+
+'use strict';
+
+// ============================================================================
+// SEED HASHING
+// ============================================================================
+
+/**
+ * Hash an arbitrary seed (number or string) to an unsigned 32-bit integer
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isInteger(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a over the string form
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// ============================================================================
+// GENERATORS
+// ============================================================================
+
+/**
+ * MathRandom - Adapter over Math.random
+ *
+ * Default generator. Not seedable; getState() returns null.
+ */
+class MathRandom {
+  /**
+   * Uniform float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    return Math.random();
+  }
+
+  /**
+   * Uniform float in [min, max)
+   * @param {number} [min=0] - Lower bound
+   * @param {number} [max=1] - Upper bound
+   * @returns {number}
+   */
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Uniform integer in [0, n)
+   * @param {number} n - Exclusive upper bound
+   * @returns {number}
+   */
+  nextInt(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Gaussian deviate via Box-Muller (consumes two uniforms)
+   * @param {number} [mean=0] - Mean
+   * @param {number} [stddev=1] - Standard deviation
+   * @returns {number}
+   */
+  gaussian(mean = 0, stddev = 1) {
+    const u1 = this.next();
+    const u2 = this.next();
+    const z0 = Math.sqrt(-2 * Math.log(u1 || 1e-10)) * Math.cos(2 * Math.PI * u2);
+    return z0 * stddev + mean;
+  }
+
+  /**
+   * Snapshot generator state
+   * @returns {null} Math.random cannot be snapshotted
+   */
+  getState() {
+    return null;
+  }
+
+  /**
+   * Restore generator state (no-op for Math.random)
+   */
+  setState() {
+    return this;
+  }
+}
+
+/**
+ * SeededRandom - Mulberry32 PRNG
+ *
+ * 32-bit state, full period 2^32, fast and adequate for simulation noise.
+ * Not suitable for cryptographic key material.
+ */
+class SeededRandom extends MathRandom {
+  /**
+   * @param {number|string} [seed=0] - Seed (strings are hashed)
+   */
+  constructor(seed = 0) {
+    super();
+    this.seed = hashSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Uniform float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Snapshot generator state
+   * @returns {{ algorithm: string, seed: number, state: number }}
+   */
+  getState() {
+    return {
+      algorithm: 'mulberry32',
+      seed: this.seed,
+      state: this.state
+    };
+  }
+
+  /**
+   * Restore generator state from getState() output
+   * @param {{ state: number, seed?: number }} snapshot - Saved state
+   * @returns {SeededRandom} this
+   */
+  setState(snapshot) {
+    if (!snapshot || typeof snapshot.state !== 'number') {
+      throw new Error('Invalid RNG state snapshot');
+    }
+    if (snapshot.algorithm && snapshot.algorithm !== 'mulberry32') {
+      throw new Error(`Cannot restore ${snapshot.algorithm} state into mulberry32 generator`);
+    }
+    this.state = snapshot.state >>> 0;
+    if (snapshot.seed !== undefined) this.seed = snapshot.seed >>> 0;
+    return this;
+  }
+
+  /**
+   * Independent copy at the current position in the stream
+   * @returns {SeededRandom}
+   */
+  clone() {
+    return new SeededRandom(this.seed).setState(this.getState());
+  }
+
+  /**
+   * Derive an independent child generator
+   *
+   * Useful for giving each sub-model its own stream while keeping the
+   * whole tree reproducible from one seed.
+   *
+   * @param {number|string} [label=0] - Stream label
+   * @returns {SeededRandom}
+   */
+  fork(label = 0) {
+    return new SeededRandom((this.nextInt(4294967296) ^ hashSeed(label)) >>> 0);
+  }
+}
+
+/**
+ * FunctionRandom - Wrap a bare () => number source
+ */
+class FunctionRandom extends MathRandom {
+  /**
+   * @param {Function} fn - Returns uniform floats in [0, 1)
+   */
+  constructor(fn) {
+    super();
+    this.fn = fn;
+  }
+
+  next() {
+    return this.fn();
+  }
+}
+
+/**
+ * Shared Math.random-backed generator used when no rng is supplied
+ */
+const defaultRng = new MathRandom();
+
+/**
+ * Normalize an rng option into a generator object
+ *
+ * Accepts:
+ * - undefined/null: the shared Math.random generator
+ * - number/string: a new SeededRandom with that seed
+ * - function: wrapped as a uniform source
+ * - object with next(): used as-is (gaussian etc. are filled in if missing)
+ *
+ * @param {*} [rngOrSeed] - Generator, seed or uniform function
+ * @returns {MathRandom} Generator object
+ */
+function createRng(rngOrSeed) {
+  if (rngOrSeed === undefined || rngOrSeed === null) {
+    return defaultRng;
+  }
+  if (typeof rngOrSeed === 'number' || typeof rngOrSeed === 'string') {
+    return new SeededRandom(rngOrSeed);
+  }
+  if (typeof rngOrSeed === 'function') {
+    return new FunctionRandom(rngOrSeed);
+  }
+  if (typeof rngOrSeed === 'object' && typeof rngOrSeed.next === 'function') {
+    if (typeof rngOrSeed.gaussian === 'function') {
+      return rngOrSeed;
+    }
+    const wrapped = new FunctionRandom(() => rngOrSeed.next());
+    if (typeof rngOrSeed.getState === 'function') {
+      wrapped.getState = () => rngOrSeed.getState();
+    }
+    if (typeof rngOrSeed.setState === 'function') {
+      wrapped.setState = (state) => {
+        rngOrSeed.setState(state);
+        return wrapped;
+      };
+    }
+    return wrapped;
+  }
+  throw new TypeError('rng must be a seed, a function, or an object with next()');
+}
+
+/**
+ * Rebuild a generator from a getState() snapshot
+ *
+ * Used when deserializing models that were saved with a seeded generator
+ * but are being restored without one supplied by the caller.
+ *
+ * @param {object|null} state - Snapshot from getState()
+ * @returns {MathRandom} Restored SeededRandom, or the Math.random generator for null
+ */
+function rngFromState(state) {
+  if (!state) return defaultRng;
+  return new SeededRandom(state.seed ?? 0).setState(state);
+}
+
+export {
+  MathRandom,
+  SeededRandom,
+  FunctionRandom,
+  defaultRng,
+  createRng,
+  rngFromState,
+  hashSeed
+};
+
+export default {
+  MathRandom,
+  SeededRandom,
+  FunctionRandom,
+  defaultRng,
+  createRng,
+  rngFromState,
+  hashSeed
+};
@@ -2,79 +2,74 @@
  * The Semantic Sieve
  * Implements the "Sieve of Distinction" algorithm to ensure Prime Uniqueness Invariant.
  *
- * See: docs/sieve.md
+ * Vocabulary and ontology live in a pluggable store (see vocabulary-store.js);
+ * the default is in memory, so running the Sieve never modifies the
+ * package's own data.json. Use scripts/sieve.js to run it from the command line.
+ *
+ * See: docs/theory/08-semantic-sieve.md
  */
 
-import { createEngine, SemanticBackend, LLM } from '../modular.js';
-
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_FILE = path.join(__dirname, '..', 'data.json');
+import LLM from './llm.js';
+import { PrimeRegistry } from './prime.js';
+import { createLogger } from './logger.js';
+import {
+  createVocabularyStore,
+  exportVocabulary,
+  usedPrimes
+} from './vocabulary-store.js';
 
 // ═══════════════════════════════════════════════════════════════════
-// Prime Registry & Utilities
+// The Semantic Sieve Engine
 // ═══════════════════════════════════════════════════════════════════
 
-function isPrime(num) {
-  if (num < 2) return false;
-  for (let i = 2, s = Math.sqrt(num); i <= s; i++) {
-    if (num % i === 0) return false;
-  }
-  return true;
-}
+class Sieve {
+  /**
+   * @param {object} [options={}] - Options
+   * @param {VocabularyStore|string|object} [options.store='memory'] - Where vocabulary and
+   *   ontology are read from and persisted (see createVocabularyStore)
+   * @param {object} [options.llm=LLM] - Chat client with chat(messages, options)
+   * @param {Logger} [options.logger] - Logger (default: createLogger('sieve'))
+   * @param {number} [options.pauseMs=1000] - Pause between passes, to avoid rate limits
+   */
+  constructor(options = {}) {
+    this.store = createVocabularyStore(options.store ?? 'memory');
+    this.llm = options.llm || LLM;
+    this.logger = options.logger || createLogger('sieve');
+    this.pauseMs = options.pauseMs ?? 1000;
+
+    this._sync({ primes: [], ontology: {}, vocabulary: {} });
 
-class PrimeRegistry {
-  constructor(existingPrimes) {
-    this.used = new Set(existingPrimes);
-    this.max = existingPrimes.length > 0 ? Math.max(...existingPrimes) : 1;
+    this.stats = {
+      collisionsResolved: 0,
+      conceptsCreated: 0,
+      primesMinted: 0
+    };
   }
 
-  next() {
-    let candidate = this.max + 1;
-    while (true) {
-      if (isPrime(candidate) && !this.used.has(candidate)) {
-        this.used.add(candidate);
-        this.max = candidate;
-        return candidate;
-      }
-      candidate++;
-    }
+  /**
+   * Load the current state from the store
+   * @returns {Promise<Sieve>} this
+   */
+  async open() {
+    this._sync(await this.store.load());
+    return this;
   }
-}
 
-// ═══════════════════════════════════════════════════════════════════
-// The Semantic Sieve Engine
-// ═══════════════════════════════════════════════════════════════════
+  /**
+   * Rebuild the in-memory views from store data
+   */
+  _sync(data) {
+    this.data = data;
+    this.vocabulary = new Map(Object.entries(data.vocabulary));
 
-class Sieve {
-  constructor() {
-    // Load data.json using ESM-compatible approach (fs already imported)
-    this.data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
-    
-    // Initialize Prime Registry with all currently used primes
-    const usedPrimes = [
-      ...this.data.primes,
-      ...Object.keys(this.data.ontology).map(Number),
-      ...Object.values(this.data.vocabulary).flat()
-    ];
-    this.primes = new PrimeRegistry(usedPrimes);
-    
-    // Initialize Concept Map (Name -> Prime)
+    // Prime Registry with all currently used primes
+    this.primes = new PrimeRegistry(usedPrimes(data));
+
+    // Concept Map (Name -> Prime)
     this.conceptToPrime = new Map();
-    for (const [p, label] of Object.entries(this.data.ontology)) {
+    for (const [p, label] of Object.entries(data.ontology)) {
       this.conceptToPrime.set(label.toLowerCase(), Number(p));
     }
-
-    this.stats = {
-      collisionsResolved: 0,
-      conceptsCreated: 0,
-      primesMinted: 0
-    };
   }
 
   getOntologyString() {
@@ -83,42 +78,78 @@ class Sieve {
       .join(', ');
   }
 
-  save() {
-    // Update data object with current state
-    this.data.vocabulary = Object.fromEntries(V);
-    
-    // Update ontology reverse map
-    const newOntology = {};
-    // Keep existing
-    Object.assign(newOntology, this.data.ontology);
-    // Add new from conceptToPrime if missing (though we usually update data.ontology directly)
-    
-    fs.writeFileSync(DATA_FILE, JSON.stringify(this.data, null, 2));
-    console.log('💾 System state saved.');
-  }
-
-  getOrMintPrime(concept) {
+  /**
+   * Look up a concept's prime, minting one if the concept is new
+   *
+   * Runs as a store transaction against the latest stored state, so
+   * concurrent callers (or processes sharing a file store) agree on one
+   * prime per concept and never mint the same prime twice.
+   *
+   * @param {string} concept - Concept label
+   * @returns {Promise<number>}
+   */
+  async getOrMintPrime(concept) {
     const k = concept.toLowerCase().trim();
-    if (this.conceptToPrime.has(k)) {
-      return this.conceptToPrime.get(k);
+    const { data, records, result } = await this.store.transact((current, emit) => {
+      for (const [p, label] of Object.entries(current.ontology)) {
+        if (label.toLowerCase() === k) return Number(p);
+      }
+      const newPrime = new PrimeRegistry(usedPrimes(current)).next();
+      emit({ op: 'mint', prime: newPrime, concept });
+      return newPrime;
+    });
+    this._sync(data);
+
+    if (records.length > 0) {
+      this.logger.info(`Minted prime ${result} for concept "${concept}"`);
+      this.stats.primesMinted++;
+      this.stats.conceptsCreated++;
     }
+    return result;
+  }
 
-    const newPrime = this.primes.next();
-    this.conceptToPrime.set(k, newPrime);
-    this.data.ontology[newPrime] = concept; // Update ontology
-    if (!this.data.primes.includes(newPrime)) {
-      this.data.primes.push(newPrime);
-    }
-    
-    console.log(`    ✨ Minted Prime ${newPrime} for concept "${concept}"`);
-    this.stats.primesMinted++;
-    this.stats.conceptsCreated++;
-    return newPrime;
+  /**
+   * Add a concept prime to a word's primes and persist it
+   * @param {string} word - Vocabulary word
+   * @param {number} prime - Concept prime
+   * @returns {Promise<boolean>} False if the word is unknown or already has the prime
+   */
+  async addConceptToWord(word, prime) {
+    const { data, result } = await this.store.transact((current, emit) => {
+      const primes = current.vocabulary[word];
+      if (!primes || primes.includes(prime)) return false;
+      emit({ op: 'word', word, primes: [...primes, prime] });
+      return true;
+    });
+    this._sync(data);
+    return result;
+  }
+
+  /**
+   * Export vocabulary and ontology in the versioned exchange format
+   *
+   * The result can be spread into a SemanticBackend config or passed to
+   * SemanticBackend.loadVocabulary().
+   *
+   * @returns {object}
+   */
+  export() {
+    return exportVocabulary(this.data);
+  }
+
+  /**
+   * Replace the stored vocabulary with an exported one
+   * @param {object} json - exportVocabulary() output or data.json-style object
+   * @returns {Promise<Sieve>} this
+   */
+  async import(json) {
+    this._sync(await this.store.import(json));
+    return this;
   }
 
   analyzeCollisions() {
     const map = new Map();
-    for (const [word, primes] of V) {
+    for (const [word, primes] of this.vocabulary) {
       // Signature is sorted primes to ignore order for collision detection
       // (Though user previously mentioned order matters, the Sieve doc implies set-based collision first)
       // We will use sorted signature for the "Sieve" logic as described in sieve.md Phase 1.
@@ -136,17 +167,18 @@ class Sieve {
     const currentPrimes = signature ? signature.split(',').map(Number) : [];
     const existingConcepts = currentPrimes.map(p => this.data.ontology[p] || `P${p}`).join(', ');
     
-    console.log(`\n🔍 Resolving Cluster [${existingConcepts}]: ${words.length} words`);
-    console.log(`   Words: ${words.slice(0, 10).join(', ')}${words.length > 10 ? '...' : ''}`);
+    this.logger.info(`Resolving cluster [${existingConcepts}]: ${words.length} words`, {
+      words: words.slice(0, 10)
+    });
 
     // Strategy A: Macro (> 10 words)
     if (words.length > 10) {
-      console.log('   👉 Strategy A: Macro Categorization');
+      this.logger.info('Strategy A: macro categorization');
       
       // Limit to 50 words to avoid context window issues and improve focus
       const batchWords = words.slice(0, 50);
       const remaining = words.length - batchWords.length;
-      console.log(`      Processing batch of ${batchWords.length} words (${remaining} remaining)...`);
+      this.logger.debug(`Processing batch of ${batchWords.length} words (${remaining} remaining)`);
 
       // Create numbered word list to avoid LLM truncating words
       const numberedWords = batchWords.map((w, i) => `${i}:${w}`).join(', ');
@@ -167,7 +199,7 @@ Return JSON with indices: {"categories":{"CategoryName":[0,1,2],"OtherCategory":
 Every index from 0 to ${batchWords.length - 1} must appear exactly once.`;
 
       try {
-        const res = await LLM.chat([
+        const res = await this.llm.chat([
           { role: 'system', content: sys },
           { role: 'user', content: user }
         ], {
@@ -239,39 +271,29 @@ Every index from 0 to ${batchWords.length - 1} must appear exactly once.`;
         }
         
         const totalAssigned = Object.values(categoriesWithWords).flat().length;
-        console.log(`      LLM assigned ${totalAssigned}/${batchWords.length} words to ${Object.keys(categoriesWithWords).length} categories`);
+        this.logger.debug(`LLM assigned ${totalAssigned}/${batchWords.length} words to ${Object.keys(categoriesWithWords).length} categories`);
 
         for (const [catName, wordList] of Object.entries(categoriesWithWords)) {
           if (!wordList || !wordList.length) continue;
-          const p = this.getOrMintPrime(catName);
+          const p = await this.getOrMintPrime(catName);
           
           // Apply to words
           let appliedCount = 0;
           for (const rawW of wordList) {
             const w = rawW.toLowerCase().trim(); // Normalize
-            if (V.has(w)) {
-              const ps = V.get(w);
-              if (!ps.includes(p)) {
-                ps.push(p);
-                V.set(w, ps);
-                appliedCount++;
-              }
-            } else {
-                // Debugging: why wasn't it found?
-                // console.log(`        ⚠️ Word "${w}" not found in V`);
-            }
+            if (await this.addConceptToWord(w, p)) appliedCount++;
           }
-          console.log(`      Applied concept "${catName}" (${p}) to ${appliedCount} words.`);
+          this.logger.info(`Applied concept "${catName}" (${p}) to ${appliedCount} words`);
         }
         this.stats.collisionsResolved++;
 
       } catch (e) {
-        console.error('   ❌ Macro Strategy failed:', e.message);
+        this.logger.error('Macro strategy failed', { error: e.message });
       }
     } 
     // Strategy B: Micro (<= 10 words)
     else {
-      console.log('   👉 Strategy B: Discriminator');
+      this.logger.info('Strategy B: discriminator');
       // Pick the first two words to differentiate
       const wordA = words[0];
       const wordB = words[1];
@@ -287,7 +309,7 @@ Provide ONE single semantic concept that is TRUE for "${wordA}" but FALSE for "$
 Return JSON: { "concept": "string", "reasoning": "string" }`;
 
       try {
-        const res = await LLM.chat([{ role: 'system', content: sys }], {
+        const res = await this.llm.chat([{ role: 'system', content: sys }], {
           temperature: 0.2,
           jsonSchema: {
             type: 'object',
@@ -301,56 +323,51 @@ Return JSON: { "concept": "string", "reasoning": "string" }`;
 
         const result = typeof res.content === 'string' ? JSON.parse(res.content) : res.content;
         
-        const p = this.getOrMintPrime(result.concept);
+        const p = await this.getOrMintPrime(result.concept);
         
         // Apply ONLY to Word A
-        const ps = V.get(wordA);
-        if (!ps.includes(p)) {
-          ps.push(p);
-          V.set(wordA, ps);
-          console.log(`      ✅ Differentiated "${wordA}" from "${wordB}" with concept "${result.concept}" (${p})`);
+        if (await this.addConceptToWord(wordA, p)) {
+          this.logger.info(`Differentiated "${wordA}" from "${wordB}" with concept "${result.concept}" (${p})`);
           this.stats.collisionsResolved++;
         }
 
       } catch (e) {
-        console.error('   ❌ Micro Strategy failed:', e.message);
+        this.logger.error('Micro strategy failed', { error: e.message });
       }
     }
   }
 
   async run(maxIterations = 25) {
-    console.log('🕸️  Semantic Sieve Initialized');
-    console.log('----------------------------');
+    this.logger.info('Semantic Sieve initialized');
 
     for (let i = 0; i < maxIterations; i++) {
       const collisions = this.analyzeCollisions();
       
       if (collisions.length === 0) {
-        console.log('\n🎉 Prime Uniqueness Invariant Satisfied! No collisions detected.');
+        this.logger.info('Prime Uniqueness Invariant satisfied: no collisions detected');
         break;
       }
 
-      console.log(`\nPass ${i + 1}/${maxIterations}: ${collisions.length} clusters detected.`);
+      this.logger.info(`Pass ${i + 1}/${maxIterations}: ${collisions.length} clusters detected`);
       
       // Pick largest cluster
       const [sig, cluster] = collisions[0];
       
+      // Changes are persisted as they are made
       await this.resolveCluster(sig, cluster);
-      this.save();
       
       // Small pause to avoid rate limits
-      await new Promise(r => setTimeout(r, 1000));
+      if (this.pauseMs > 0) await new Promise(r => setTimeout(r, this.pauseMs));
     }
     
-    console.log('\n📊 Sieve Session Complete');
-    console.log(`   Collisions Resolved: ${this.stats.collisionsResolved}`);
-    console.log(`   New Concepts: ${this.stats.conceptsCreated}`);
+    this.logger.info('Sieve session complete', {
+      collisionsResolved: this.stats.collisionsResolved,
+      conceptsCreated: this.stats.conceptsCreated
+    });
+    return this.stats;
   }
 }
 
-// ═══════════════════════════════════════════════════════════════════
-// Execution
-// ═══════════════════════════════════════════════════════════════════
+export { Sieve };
 
-const sieve = new Sieve();
-sieve.run().catch(console.error);
\ No newline at end of file
+export default Sieve;
@@ -0,0 +1,448 @@
+/**
+ * Vocabulary Stores - Persistence for the Sieve's vocabulary and ontology
+ *
+ * The Sieve mints primes for new concepts and attaches them to words. A
+ * store decides where that state lives, so minting never has to touch the
+ * package's own data.json:
+ *
+ * - MemoryStore: in-process only (tests, short sessions)
+ * - JsonFileStore: one JSON document at a caller-chosen path, replaced
+ *   atomically (temp file + rename) on every change
+ * - AppendLogStore: an append-only JSON-lines log of changes, replayed on
+ *   load and compactable into a snapshot
+ *
+ * All changes go through transact(), which holds a lock (in-process, plus a
+ * lock file for the file stores), re-reads the latest state, applies the
+ * caller's records and persists them. Two writers minting at the same time,
+ * even in different processes, therefore never hand out the same prime.
+ *
+ * DATA SHAPE (same as data.json):
+ *   { primes: number[], ontology: { prime: concept }, vocabulary: { word: number[] }, ... }
+ *
+ * CHANGE RECORDS:
+ *   { op: 'mint', prime, concept }   new concept prime
+ *   { op: 'word', word, primes }     set a word's primes
+ *   { op: 'snapshot', data }         replace everything (imports, compaction)
+ *
+ * File stores load node:fs lazily, so this module is safe to bundle for
+ * browsers as long as only MemoryStore is used there.
+ *
+ * @module core/vocabulary-store
+ */
+
+const VOCABULARY_SCHEMA_VERSION = 1;
+
+// ============================================================================
+// DATA HELPERS
+// ============================================================================
+
+function emptyVocabulary() {
+  return { primes: [], ontology: {}, vocabulary: {} };
+}
+
+function cloneData(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Apply one change record to vocabulary data (in place)
+ * @param {object} data - Vocabulary data
+ * @param {object} record - Change record
+ * @returns {object} data
+ */
+function applyRecord(data, record) {
+  switch (record.op) {
+    case 'mint':
+      data.ontology[record.prime] = record.concept;
+      if (!data.primes.includes(record.prime)) data.primes.push(record.prime);
+      return data;
+    case 'word':
+      data.vocabulary[record.word] = [...record.primes];
+      return data;
+    case 'snapshot': {
+      const next = cloneData(record.data);
+      for (const key of Object.keys(data)) delete data[key];
+      return Object.assign(data, emptyVocabulary(), next);
+    }
+    default:
+      throw new Error(`Unknown vocabulary record op: ${record.op}`);
+  }
+}
+
+/**
+ * Every prime the data already uses (basis, ontology and word primes)
+ * @param {object} data - Vocabulary data
+ * @returns {number[]}
+ */
+function usedPrimes(data) {
+  return [
+    ...data.primes,
+    ...Object.keys(data.ontology).map(Number),
+    ...Object.values(data.vocabulary).flat()
+  ];
+}
+
+/**
+ * Wrap vocabulary data in the versioned exchange format
+ *
+ * The result can be spread into a SemanticBackend config, or passed to
+ * SemanticBackend.loadVocabulary().
+ *
+ * @param {object} data - Vocabulary data
+ * @returns {object}
+ */
+function exportVocabulary(data) {
+  return {
+    version: VOCABULARY_SCHEMA_VERSION,
+    type: 'AlephVocabulary',
+    ...cloneData(data)
+  };
+}
+
+/**
+ * Read vocabulary data from exportVocabulary() output or a data.json-style object
+ * @param {object} json - Exported vocabulary
+ * @returns {object} Vocabulary data
+ * @throws {Error} For other types or newer schema versions
+ */
+function importVocabulary(json) {
+  if (!json || typeof json !== 'object') {
+    throw new Error('Invalid vocabulary: expected an object');
+  }
+  if (json.type !== undefined && json.type !== 'AlephVocabulary') {
+    throw new Error(`Invalid vocabulary: unexpected type ${json.type}`);
+  }
+  if (json.type && json.version !== VOCABULARY_SCHEMA_VERSION) {
+    throw new Error(
+      `Unsupported vocabulary schema version ${json.version} (expected ${VOCABULARY_SCHEMA_VERSION})`
+    );
+  }
+  const { version, type, ...data } = cloneData(json);
+  return { ...emptyVocabulary(), ...data };
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * Base store: in-process locking and the transact() protocol
+ *
+ * Subclasses implement _read() and _write(data, records).
+ */
+class VocabularyStore {
+  constructor() {
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Load the current vocabulary data
+   * @returns {Promise<object>}
+   */
+  async load() {
+    return this._withLock(() => this._read());
+  }
+
+  /**
+   * Replace the stored data
+   * @param {object} data - Vocabulary data
+   * @returns {Promise<object>} The stored data
+   */
+  async save(data) {
+    return this.transact((current, emit) => {
+      emit({ op: 'snapshot', data });
+    }).then(({ data: saved }) => saved);
+  }
+
+  /**
+   * Read, change and persist the data as one locked step
+   *
+   * `fn(data, emit)` sees the latest stored data; each emit(record)
+   * applies a change record to it immediately and queues it for writing.
+   *
+   * @param {Function} fn - (data, emit) => result (may be async)
+   * @returns {Promise<{data: object, records: object[], result: *}>}
+   */
+  async transact(fn) {
+    return this._withLock(async () => {
+      const data = await this._read();
+      const records = [];
+      const emit = (record) => {
+        applyRecord(data, record);
+        records.push(record);
+      };
+      const result = await fn(data, emit);
+      if (records.length > 0) await this._write(data, records);
+      return { data: cloneData(data), records, result };
+    });
+  }
+
+  /**
+   * Export the stored data in the versioned exchange format
+   * @returns {Promise<object>}
+   */
+  async export() {
+    return exportVocabulary(await this.load());
+  }
+
+  /**
+   * Replace the stored data with an exported vocabulary
+   * @param {object} json - exportVocabulary() output or data.json-style object
+   * @returns {Promise<object>} The stored data
+   */
+  async import(json) {
+    return this.save(importVocabulary(json));
+  }
+
+  _withLock(fn) {
+    const run = this._queue.then(() => this._acquire()).then(async (release) => {
+      try {
+        return await fn();
+      } finally {
+        await release();
+      }
+    });
+    // Keep the queue alive after failures
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _acquire() {
+    return async () => {};
+  }
+
+  async _read() {
+    throw new Error('VocabularyStore._read() must be implemented');
+  }
+
+  async _write() {
+    throw new Error('VocabularyStore._write() must be implemented');
+  }
+}
+
+/**
+ * Keeps the vocabulary in memory
+ */
+class MemoryStore extends VocabularyStore {
+  /**
+   * @param {object} [data] - Initial vocabulary data (copied)
+   */
+  constructor(data = emptyVocabulary()) {
+    super();
+    this.data = { ...emptyVocabulary(), ...cloneData(data) };
+  }
+
+  async _read() {
+    return cloneData(this.data);
+  }
+
+  async _write(data) {
+    this.data = cloneData(data);
+  }
+}
+
+/**
+ * Shared file handling: seeding, atomic replace and lock files
+ */
+class FileStore extends VocabularyStore {
+  /**
+   * @param {string} path - File to store the vocabulary in
+   * @param {object} [options={}] - Options
+   * @param {object|string} [options.seed] - Initial data, or a JSON file to read it from, used
+   *   while `path` does not exist yet. The seed file is never written.
+   * @param {boolean} [options.lock=true] - Use a lock file for cross-process safety
+   * @param {number} [options.lockTimeout=5000] - ms to wait for the lock before failing
+   * @param {number} [options.staleLockMs=30000] - Lock files older than this are taken over
+   */
+  constructor(path, options = {}) {
+    super();
+    if (!path) throw new Error(`${new.target.name} requires a file path`);
+    this.path = path;
+    this.seed = options.seed ?? null;
+    this.lock = options.lock ?? true;
+    this.lockTimeout = options.lockTimeout ?? 5000;
+    this.staleLockMs = options.staleLockMs ?? 30000;
+    this.lockPath = `${path}.lock`;
+  }
+
+  async _fs() {
+    return import('node:fs/promises');
+  }
+
+  async _exists() {
+    const fs = await this._fs();
+    try {
+      await fs.access(this.path);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async _seedData() {
+    if (!this.seed) return emptyVocabulary();
+    if (typeof this.seed === 'string') {
+      const fs = await this._fs();
+      return importVocabulary(JSON.parse(await fs.readFile(this.seed, 'utf-8')));
+    }
+    return importVocabulary(this.seed);
+  }
+
+  /**
+   * Write a file so readers see either the old or the new content, never a mix
+   */
+  async _atomicWrite(contents) {
+    const fs = await this._fs();
+    const tmp = `${this.path}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+    try {
+      await fs.writeFile(tmp, contents);
+      await fs.rename(tmp, this.path);
+    } catch (err) {
+      await fs.rm(tmp, { force: true });
+      throw err;
+    }
+  }
+
+  async _acquire() {
+    if (!this.lock) return async () => {};
+    const fs = await this._fs();
+    const deadline = Date.now() + this.lockTimeout;
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return async () => {
+          await fs.rm(this.lockPath, { force: true });
+        };
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      try {
+        const { mtimeMs } = await fs.stat(this.lockPath);
+        if (Date.now() - mtimeMs > this.staleLockMs) {
+          await fs.rm(this.lockPath, { force: true });
+          continue;
+        }
+      } catch {
+        continue; // Released between open() and stat()
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for vocabulary lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 20));
+    }
+  }
+}
+
+/**
+ * Stores the vocabulary as one JSON document, replaced atomically
+ */
+class JsonFileStore extends FileStore {
+  async _read() {
+    if (!(await this._exists())) return this._seedData();
+    const fs = await this._fs();
+    return importVocabulary(JSON.parse(await fs.readFile(this.path, 'utf-8')));
+  }
+
+  async _write(data) {
+    await this._atomicWrite(JSON.stringify(data, null, 2));
+  }
+}
+
+/**
+ * Stores the vocabulary as an append-only JSON-lines log of change records
+ *
+ * The first write to a new log records the seed as a snapshot. compact()
+ * atomically replaces the log with a single snapshot of the current state.
+ */
+class AppendLogStore extends FileStore {
+  async _read() {
+    if (!(await this._exists())) return this._seedData();
+    const fs = await this._fs();
+    const data = emptyVocabulary();
+    const lines = (await fs.readFile(this.path, 'utf-8')).split('\n');
+    for (const [i, line] of lines.entries()) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        // A torn final line is an interrupted append; anything earlier is corruption
+        if (i === lines.length - 1) break;
+        throw new Error(`Corrupt vocabulary log ${this.path} at line ${i + 1}: ${err.message}`);
+      }
+      applyRecord(data, record);
+    }
+    return data;
+  }
+
+  async _write(data, records) {
+    const fs = await this._fs();
+    if (!(await this._exists())) {
+      await this._atomicWrite(JSON.stringify({ op: 'snapshot', data }) + '\n');
+      return;
+    }
+    await fs.appendFile(this.path, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+
+  /**
+   * Rewrite the log as a single snapshot record
+   * @returns {Promise<object>} The compacted data
+   */
+  async compact() {
+    return this._withLock(async () => {
+      const data = await this._read();
+      await this._atomicWrite(JSON.stringify({ op: 'snapshot', data }) + '\n');
+      return data;
+    });
+  }
+}
+
+/**
+ * Build a store from a short description
+ * @param {VocabularyStore|string|object} [spec='memory'] - A store, 'memory', or
+ *   { type: 'memory' | 'json' | 'log', path, data, ...options }
+ * @returns {VocabularyStore}
+ */
+function createVocabularyStore(spec = 'memory') {
+  if (spec instanceof VocabularyStore) return spec;
+  const { type, path, data, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+  switch (type) {
+    case 'memory':
+      return new MemoryStore(data);
+    case 'json':
+      return new JsonFileStore(path, options);
+    case 'log':
+      return new AppendLogStore(path, options);
+    default:
+      throw new Error(`Unknown vocabulary store type: ${type}`);
+  }
+}
+
+export {
+  VOCABULARY_SCHEMA_VERSION,
+  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
+  usedPrimes
+};
+
+export default {
+  VOCABULARY_SCHEMA_VERSION,
+  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
+  usedPrimes
+};
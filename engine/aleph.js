@@ -9,8 +9,17 @@
 import { Hypercomplex } from '../core/hypercomplex.js';
 import { KuramotoModel } from '../physics/kuramoto.js';
 import { stateEntropy, coherence } from '../physics/entropy.js';
-import { estimateLyapunov, adaptiveCoupling, classifyStability } from '../physics/lyapunov.js';
+import { estimateLyapunov, adaptiveCoupling, classifyStability, LyapunovTracker } from '../physics/lyapunov.js';
 import { collapseProbability, shouldCollapse, bornMeasurement } from '../physics/collapse.js';
+import { createRng, rngFromState } from '../core/rng.js';
+import { FieldBatch } from './batch.js';
+import { EvolutionStream } from '../core/events.js';
+
+/**
+ * Serialization schema version for AlephEngine.toJSON()
+ * Bump when the layout changes incompatibly.
+ */
+const ENGINE_SCHEMA_VERSION = 1;
 
 class AlephEngine {
   constructor(backend, options = {}) {
@@ -29,9 +38,18 @@ class AlephEngine {
       stableCoherence: 0.85,      // Order parameter indicating stable state
       sampleWindow: 10,           // Keep best N frames
       dt: 0.016,
+      exciteAmount: 0.5,          // Amplitude added to oscillators of input primes
+      // Lyapunov estimate behind stability and adaptive coupling:
+      // 'history' (phase-history divergence) or 'spectrum' (tangent-space QR)
+      stabilityEstimator: 'history',
+      spectrumWindow: 100,        // Steps averaged by the 'spectrum' estimator
       ...options
     };
     
+    // Seedable random source (options.rng or options.seed); shared with the
+    // oscillator model so identical seed + input reproduces a run exactly
+    this.rng = createRng(this.options.rng ?? this.options.seed);
+    
     this._initializeOscillators();
     this._resetState();
     this.history = [];
@@ -41,8 +59,21 @@ class AlephEngine {
   _initializeOscillators() {
     const primes = this.backend.getPrimes().slice(0, this.backend.dimension);
     const frequencies = this.backend.primesToFrequencies(primes);
-    this.oscillators = new KuramotoModel(frequencies, this.options.baseCoupling);
+    this.oscillators = new KuramotoModel(frequencies, {
+      coupling: this.options.baseCoupling,
+      rng: this.rng
+    });
     this.primeList = primes;
+    
+    const estimator = this.options.stabilityEstimator;
+    if (estimator !== 'history' && estimator !== 'spectrum') {
+      throw new Error(`Unknown stability estimator "${estimator}" (expected "history" or "spectrum")`);
+    }
+    // Leading exponent only; the fixed seed keeps the initial tangent
+    // frame from drawing on the engine's random stream
+    this.lyapunovTracker = estimator === 'spectrum'
+      ? new LyapunovTracker(this.oscillators, { count: 1, window: this.options.spectrumWindow, rng: 1 })
+      : null;
   }
   
   _resetState() {
@@ -63,6 +94,63 @@ class AlephEngine {
    * and decode from the input-weighted field state.
    */
   run(input) {
+    const steps = this._runSteps(input);
+    let next = steps.next();
+    while (!next.done) next = steps.next();
+    return next.value;
+  }
+  
+  /**
+   * Asynchronous run() that yields to the event loop while evolving
+   *
+   * Produces the same result as run(). Evolution is driven through an
+   * EvolutionStream, so long runs do not block other work.
+   *
+   * If the signal aborts mid-run the promise rejects with the abort reason;
+   * the field is left partially evolved and no history entry is recorded.
+   *
+   * @param {*} input - Input to process
+   * @param {object} [options={}] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the run
+   * @param {Function} [options.onFrame] - Called with each sampled frame ({ step, order, differential, entropy, ... })
+   * @param {number} [options.yieldEvery=1] - Ticks between yields to the event loop
+   * @returns {Promise<object>} run() result
+   */
+  async runAsync(input, options = {}) {
+    const { onFrame } = options;
+    const stream = this.runStream(input, options);
+    
+    for await (const progress of stream) {
+      if (progress.frame && onFrame) onFrame(progress.frame);
+    }
+    
+    const { signal } = options;
+    if (signal?.aborted) throw signal.reason ?? new Error('Aborted');
+    return stream.result;
+  }
+  
+  /**
+   * Stream the evolution of a run() tick by tick
+   *
+   * Each item is { step, order, differential, entropy, stability, frame },
+   * where frame is the sampled frame for that tick or null. Once the stream
+   * is exhausted, `stream.result` holds the run() result.
+   *
+   * @param {*} input - Input to process
+   * @param {object} [options={}] - EvolutionStream options (signal, yieldEvery)
+   * @returns {EvolutionStream}
+   */
+  runStream(input, options = {}) {
+    return EvolutionStream.fromIterator(this._runSteps(input), {
+      signal: options.signal,
+      yieldEvery: options.yieldEvery
+    });
+  }
+  
+  /**
+   * run() as a generator: yields progress after every tick, returns the result
+   */
+  *_runSteps(input) {
     // 1. Encode input to primes
     const inputPrimes = this.backend.encode(input);
     const inputPrimeSet = new Set(inputPrimes);
@@ -106,8 +194,9 @@ class AlephEngine {
       const differential = inputResponse - otherResponse * 0.3;
       
       // Sample frames with good differential response
+      let frame = null;
       if (differential > 0 && order > this.options.coherenceThreshold * 0.5) {
-        const frame = {
+        frame = {
           step: i,
           order: order,
           differential: differential,
@@ -130,13 +219,32 @@ class AlephEngine {
         }
       }
       
+      yield {
+        step: i,
+        order,
+        differential,
+        entropy: this.entropy,
+        stability: this.stability,
+        frame
+      };
+      
       // Stop if we found a strong coherent input-response
       if (differential > 1.0 && order > this.options.coherenceThreshold &&
-          this.stability !== 'CHAOTIC') {
+          this.stability !== 'chaotic') {
         break;
       }
     }
     
+    return this._finishRun(input, inputPrimes, inputPrimeSet, bestDifferentialFrame, evolutionSteps);
+  }
+  
+  /**
+   * Steps 5-10 of run(): pick the best frame, decode, collapse and record
+   *
+   * Reads the engine's current physics scalars and frames, so runBatch()
+   * can reuse it after loading a lane's state into the engine.
+   */
+  _finishRun(input, inputPrimes, inputPrimeSet, bestDifferentialFrame, evolutionSteps) {
     // 5. SELECT best frame by differential (not just order)
     let bestFrame = bestDifferentialFrame ||
       (this.frames.length > 0 ? this.frames[0] : null);
@@ -229,21 +337,24 @@ class AlephEngine {
    * Excite oscillators corresponding to given primes
    */
   excite(primes) {
-    this.oscillators.exciteByPrimes(primes, this.primeList, 0.5);
+    this.oscillators.exciteByPrimes(primes, this.primeList, this.options.exciteAmount);
   }
   
   /**
    * Advance physics simulation by one timestep
    */
   tick(dt = 0.016) {
-    // Estimate Lyapunov exponent
-    this.lyapunov = estimateLyapunov(this.oscillators.oscillators);
+    // Estimate Lyapunov exponent (the spectrum estimate covers the steps so far)
+    this.lyapunov = this.lyapunovTracker
+      ? this.lyapunovTracker.maximal
+      : estimateLyapunov(this.oscillators.oscillators);
     this.stability = classifyStability(this.lyapunov);
     
     // Adapt coupling based on stability
     this.oscillators.K = adaptiveCoupling(this.options.baseCoupling, this.lyapunov);
     
-    // Advance oscillators
+    // Advance oscillators, linearising the step at the coupling it uses
+    if (this.lyapunovTracker) this.lyapunovTracker.update(dt);
     this.oscillators.tick(dt);
     
     // Build state from oscillator amplitudes
@@ -320,7 +431,8 @@ class AlephEngine {
     
     if (shouldCollapse(this.coherenceValue, this.entropy, prob, {
       minCoherence: this.options.collapseCoherence,
-      minEntropy: this.options.collapseEntropy
+      minEntropy: this.options.collapseEntropy,
+      rng: this.rng
     })) {
       this.collapseIntegral = 0;
       return true;
@@ -370,7 +482,112 @@ class AlephEngine {
    * Perform measurement (for quantum/scientific backends)
    */
   measure() {
-    return bornMeasurement(this.state);
+    return bornMeasurement(this.state, this.rng);
+  }
+  
+  /**
+   * Snapshot the random generator state (null when using Math.random)
+   */
+  getRngState() {
+    return this.rng.getState();
+  }
+  
+  /**
+   * Restore a random generator state captured by getRngState()
+   */
+  setRngState(state) {
+    if (state) this.rng.setState(state);
+    return this;
+  }
+  
+  /**
+   * Serialize the full engine state for checkpointing
+   *
+   * Captures options, oscillator field, hypercomplex state, physics scalars,
+   * history, frames and rng position. The backend itself is not serialized;
+   * only its identity (name, dimension, primes) is recorded so fromJSON()
+   * can refuse an incompatible one.
+   *
+   * @returns {object} Versioned JSON-safe snapshot
+   */
+  toJSON() {
+    // Generators are live objects; their position travels in rngState
+    const { rng, ...options } = this.options;
+    
+    return {
+      version: ENGINE_SCHEMA_VERSION,
+      type: 'AlephEngine',
+      backend: {
+        name: this.backend.getName(),
+        dimension: this.backend.dimension,
+        primes: [...this.primeList]
+      },
+      options,
+      oscillators: this.oscillators.toJSON(),
+      state: this.state.toArray(),
+      entropy: this.entropy,
+      coherence: this.coherenceValue,
+      lyapunov: this.lyapunov,
+      collapseIntegral: this.collapseIntegral,
+      stability: this.stability,
+      history: this.history.map(h => ({ ...h })),
+      frames: this.frames.map(f => ({ ...f, amplitudes: [...f.amplitudes] })),
+      rngState: this.getRngState()
+    };
+  }
+  
+  /**
+   * Restore an engine from toJSON() output
+   *
+   * @param {object} json - Snapshot from toJSON()
+   * @param {Backend} backend - Backend to attach; must match the saved name, dimension and primes
+   * @param {object} [options={}] - Engine option overrides (e.g. rng)
+   * @returns {AlephEngine}
+   * @throws {Error} If the snapshot version or backend is incompatible
+   */
+  static fromJSON(json, backend, options = {}) {
+    if (!json || json.type !== 'AlephEngine') {
+      throw new Error('Invalid engine snapshot: expected type AlephEngine');
+    }
+    if (json.version !== ENGINE_SCHEMA_VERSION) {
+      throw new Error(
+        `Unsupported engine schema version ${json.version} (expected ${ENGINE_SCHEMA_VERSION})`
+      );
+    }
+    
+    const saved = json.backend;
+    const name = backend.getName();
+    if (name !== saved.name) {
+      throw new Error(`Incompatible backend: snapshot was saved with ${saved.name}, got ${name}`);
+    }
+    if (backend.dimension !== saved.dimension) {
+      throw new Error(
+        `Incompatible backend: snapshot dimension ${saved.dimension}, backend dimension ${backend.dimension}`
+      );
+    }
+    const primes = backend.getPrimes().slice(0, backend.dimension);
+    if (primes.length !== saved.primes.length || primes.some((p, i) => p !== saved.primes[i])) {
+      throw new Error('Incompatible backend: prime basis differs from snapshot');
+    }
+    
+    const engine = new AlephEngine(backend, {
+      ...json.options,
+      ...options,
+      rng: options.rng !== undefined ? options.rng : rngFromState(json.rngState)
+    });
+    
+    engine.oscillators.loadState(json.oscillators);
+    engine.state = new Hypercomplex(backend.dimension, Float64Array.from(json.state));
+    engine.entropy = json.entropy;
+    engine.coherenceValue = json.coherence;
+    engine.lyapunov = json.lyapunov;
+    engine.collapseIntegral = json.collapseIntegral;
+    engine.stability = json.stability;
+    engine.history = json.history.map(h => ({ ...h }));
+    engine.frames = json.frames.map(f => ({ ...f, amplitudes: [...f.amplitudes] }));
+    engine.setRngState(json.rngState);
+    
+    return engine;
   }
   
   /**
@@ -378,6 +595,7 @@ class AlephEngine {
    */
   reset() {
     this.oscillators.reset();
+    if (this.lyapunovTracker) this.lyapunovTracker.reset();
     this._resetState();
     this.history = [];
     this.frames = [];
@@ -391,10 +609,49 @@ class AlephEngine {
   }
   
   /**
-   * Run multiple inputs in sequence
+   * Run multiple inputs
+   *
+   * By default inputs run in sequence and the field carries over from one
+   * to the next. With `independent: true` every input starts from the
+   * current field instead, and all fields evolve together over
+   * Float64Array storage (see engine/batch.js). Each result is identical to
+   * what run() returns after restoring the pre-batch field; afterwards the
+   * engine holds the last input's field, as it would after that loop.
+   *
+   * @param {Array} inputs - Inputs to process
+   * @param {object} [options={}] - Batch options
+   * @param {boolean} [options.independent=false] - Evolve each input from the current field
+   * @param {number} [options.batchSize=256] - Lanes evolved together (bounds memory)
+   * @returns {object[]} One run() result per input
+   * @throws {Error} For independent batches with the 'spectrum' stability estimator
    */
-  runBatch(inputs) {
-    return inputs.map(input => this.run(input));
+  runBatch(inputs, options = {}) {
+    const { independent = false, batchSize = 256 } = options;
+    
+    if (!independent) {
+      return inputs.map(input => this.run(input));
+    }
+    if (inputs.length === 0) return [];
+    
+    const batch = new FieldBatch(this);
+    const results = [];
+    
+    for (let start = 0; start < inputs.length; start += batchSize) {
+      const chunk = inputs.slice(start, start + batchSize);
+      const encoded = chunk.map(input => this.backend.encode(input));
+      const primeSets = encoded.map(primes => new Set(primes));
+      const lanes = batch.evolve(primeSets);
+      
+      for (let b = 0; b < chunk.length; b++) {
+        const isLast = start + b === inputs.length - 1;
+        batch.load(b, lanes[b], isLast);
+        results.push(this._finishRun(
+          chunk[b], encoded[b], primeSets[b], lanes[b].bestFrame, lanes[b].evolutionSteps
+        ));
+      }
+    }
+    
+    return results;
   }
   
   /**
@@ -416,5 +673,6 @@ class AlephEngine {
 }
 
 export {
-    AlephEngine
+    AlephEngine,
+    ENGINE_SCHEMA_VERSION
 };
\ No newline at end of file
@@ -0,0 +1,345 @@
+/**
+ * FieldBatch - Evolve many independent oscillator fields in lockstep
+ *
+ * Backs AlephEngine.runBatch(inputs, { independent: true }). Every lane is a
+ * copy of the engine's current KuramotoModel excited by one input. Phases,
+ * amplitudes and phase histories live in flat Float64Arrays instead of
+ * per-oscillator objects, so a tick allocates nothing.
+ *
+ * The arithmetic mirrors KuramotoModel.tick(), estimateLyapunov() and
+ * stateEntropy() operation for operation, so each lane reproduces what
+ * run() would compute from the same starting field. Only a plain
+ * KuramotoModel on the default 'euler' integrator can be mirrored; other
+ * fields are refused rather than silently approximated.
+ *
+ * @module engine/batch
+ */
+
+import { Hypercomplex } from '../core/hypercomplex.js';
+import { adaptiveCoupling, classifyStability, LYAPUNOV_WINDOW } from '../physics/lyapunov.js';
+import { meanFieldSweep } from '../physics/coupling.js';
+import { KuramotoModel, AMPLITUDE_DECAY_RATE } from '../physics/kuramoto.js';
+import { PHASE_HISTORY_LENGTH as HISTORY_LENGTH } from '../physics/oscillator.js';
+
+class FieldBatch {
+  /**
+   * Capture the engine's current field as the starting point for every lane
+   * @param {AlephEngine} engine - Engine whose field is copied
+   * @throws {Error} If the engine's field or estimator cannot be mirrored
+   */
+  constructor(engine) {
+    if (engine.lyapunovTracker) {
+      throw new Error('Independent batches only mirror the "history" stability estimator');
+    }
+    const model = engine.oscillators;
+    if (Object.getPrototypeOf(model) !== KuramotoModel.prototype) {
+      throw new Error(`Independent batches only mirror KuramotoModel, got ${model.constructor.name}`);
+    }
+    if (model.integrator.name !== 'euler') {
+      throw new Error(`Independent batches only mirror the "euler" integrator, got "${model.integrator.name}"`);
+    }
+    const oscillators = model.oscillators;
+    const N = oscillators.length;
+
+    this.engine = engine;
+    this.n = N;
+    this.dimension = engine.backend.dimension;
+    this.primeList = engine.primeList;
+    this.exciteAmount = engine.options.exciteAmount;
+    this.freq = Float64Array.from(oscillators, o => o.freq);
+    this.increments = new Float64Array(N);
+
+    // Starting field shared by all lanes
+    this.origin = {
+      phase: Float64Array.from(oscillators, o => o.phase),
+      amplitude: Float64Array.from(oscillators, o => o.amplitude),
+      history: new Float64Array(N * HISTORY_LENGTH),
+      historyLength: N > 0 ? oscillators[0].phaseHistory.length : 0,
+      entropy: engine.entropy,
+      lyapunov: engine.lyapunov,
+      collapseIntegral: engine.collapseIntegral,
+      stability: engine.stability,
+      coupling: engine.oscillators.K
+    };
+    for (let i = 0; i < N; i++) {
+      this.origin.history.set(oscillators[i].phaseHistory, i * HISTORY_LENGTH);
+    }
+
+    // Weighted amplitudes before excitation (run() step 2)
+    this.baseline = new Float64Array(N);
+    for (let i = 0; i < N; i++) {
+      this.baseline[i] = this.origin.amplitude[i] * Math.sin(this.origin.phase[i]);
+    }
+  }
+
+  /**
+   * Allocate lanes for a chunk of inputs and excite each from the origin
+   * @param {Set<number>[]} inputPrimeSets - One prime set per lane
+   */
+  _allocate(inputPrimeSets) {
+    const B = inputPrimeSets.length;
+    const N = this.n;
+    const origin = this.origin;
+
+    this.size = B;
+    this.phase = new Float64Array(B * N);
+    this.amplitude = new Float64Array(B * N);
+    this.weighted = new Float64Array(B * N);
+    this.history = new Float64Array(B * N * HISTORY_LENGTH);
+    this.historyStart = new Int32Array(B);
+    this.historyLength = new Int32Array(B).fill(origin.historyLength);
+    this.entropy = new Float64Array(B).fill(origin.entropy);
+    this.lyapunov = new Float64Array(B).fill(origin.lyapunov);
+    this.collapseIntegral = new Float64Array(B).fill(origin.collapseIntegral);
+    this.coupling = new Float64Array(B).fill(origin.coupling);
+    this.stability = new Array(B).fill(origin.stability);
+
+    for (let b = 0; b < B; b++) {
+      const off = b * N;
+      this.phase.set(origin.phase, off);
+      this.amplitude.set(origin.amplitude, off);
+      this.history.set(origin.history, off * HISTORY_LENGTH);
+
+      // KuramotoModel.exciteByPrimes()
+      const primeSet = inputPrimeSets[b];
+      for (let i = 0; i < N && i < this.primeList.length; i++) {
+        if (primeSet.has(this.primeList[i])) {
+          this.amplitude[off + i] = Math.min(1, this.amplitude[off + i] + this.exciteAmount);
+        }
+      }
+    }
+  }
+
+  /**
+   * Advance one lane by dt (AlephEngine.tick() without allocation)
+   * @param {number} b - Lane index
+   * @param {number} dt - Timestep
+   */
+  tick(b, dt) {
+    const N = this.n;
+    const off = b * N;
+    const phase = this.phase;
+    const history = this.history;
+    const start = this.historyStart[b];
+    const length = this.historyLength[b];
+
+    // Lyapunov estimate from first/last phase in each history window
+    let lyapunov = 0;
+    if (N > 0 && length >= LYAPUNOV_WINDOW) {
+      const first = start;
+      const last = (start + length - 1) % HISTORY_LENGTH;
+      let sumLog = 0, count = 0;
+      for (let i = 0; i < N - 1; i++) {
+        const h1 = (off + i) * HISTORY_LENGTH;
+        const h2 = h1 + HISTORY_LENGTH;
+        const d0 = Math.abs(history[h1 + first] - history[h2 + first]);
+        const dN = Math.abs(history[h1 + last] - history[h2 + last]);
+        if (d0 > 1e-10 && dN > 1e-10) {
+          sumLog += Math.log(dN / d0) / LYAPUNOV_WINDOW;
+          count++;
+        }
+      }
+      lyapunov = count > 0 ? sumLog / count : 0;
+    }
+    this.lyapunov[b] = lyapunov;
+    this.stability[b] = classifyStability(lyapunov);
+
+    const K = adaptiveCoupling(this.engine.options.baseCoupling, lyapunov);
+    this.coupling[b] = K;
+
+    // Kuramoto step: the in-place sweep KuramotoModel.sequentialStep() runs
+    const slot = (start + length) % HISTORY_LENGTH;
+    meanFieldSweep(phase.subarray(off, off + N), this.freq, K, dt, { out: this.increments });
+    for (let i = 0; i < N; i++) {
+      history[(off + i) * HISTORY_LENGTH + slot] = phase[off + i];
+    }
+    if (length < HISTORY_LENGTH) {
+      this.historyLength[b] = length + 1;
+    } else {
+      this.historyStart[b] = (start + 1) % HISTORY_LENGTH;
+    }
+
+    // Decay and weighted amplitudes
+    for (let i = 0; i < N; i++) {
+      const a = this.amplitude[off + i] * (1 - AMPLITUDE_DECAY_RATE * dt);
+      this.amplitude[off + i] = a;
+      this.weighted[off + i] = a * Math.sin(phase[off + i]);
+    }
+
+    // stateEntropy() of the normalized weighted state
+    const m = Math.min(N, this.dimension);
+    let s0 = 0;
+    for (let i = 0; i < m; i++) s0 += this.weighted[off + i] * this.weighted[off + i];
+    const n0 = Math.sqrt(s0);
+
+    let H = 0;
+    if (n0 > 1e-10) {
+      const k = 1 / n0;
+      let s1 = 0;
+      for (let i = 0; i < m; i++) {
+        const c = this.weighted[off + i] * k;
+        s1 += c * c;
+      }
+      const n1 = Math.sqrt(s1);
+      if (n1 >= 1e-10) {
+        for (let i = 0; i < m; i++) {
+          const p = (this.weighted[off + i] * k / n1) ** 2;
+          if (p > 1e-10) H -= p * Math.log2(p);
+        }
+      }
+    }
+    this.entropy[b] = H;
+    this.collapseIntegral[b] += H * dt * 0.1;
+  }
+
+  /**
+   * Kuramoto order parameter of one lane
+   * @param {number} b - Lane index
+   * @returns {number}
+   */
+  orderParameter(b) {
+    const N = this.n;
+    const off = b * N;
+    let sx = 0, sy = 0;
+    for (let i = 0; i < N; i++) {
+      const a = this.amplitude[off + i];
+      sx += a * Math.cos(this.phase[off + i]);
+      sy += a * Math.sin(this.phase[off + i]);
+    }
+    return Math.sqrt((sx/N)**2 + (sy/N)**2);
+  }
+
+  /**
+   * Evolve all lanes together, collecting frames as run() step 4 does
+   *
+   * @param {Set<number>[]} inputPrimeSets - One prime set per lane
+   * @returns {Array<{frames: object[], bestFrame: object|null, evolutionSteps: number}>}
+   */
+  evolve(inputPrimeSets) {
+    this._allocate(inputPrimeSets);
+
+    const { maxEvolutionSteps, dt, coherenceThreshold, sampleWindow } = this.engine.options;
+    const N = this.n;
+    const B = this.size;
+    const lanes = inputPrimeSets.map(() => ({
+      frames: [],
+      bestFrame: null,
+      maxDifferential: 0,
+      evolutionSteps: 0,
+      active: true
+    }));
+    let remaining = B;
+
+    for (let step = 0; step < maxEvolutionSteps && remaining > 0; step++) {
+      for (let b = 0; b < B; b++) {
+        const lane = lanes[b];
+        if (!lane.active) continue;
+
+        this.tick(b, dt);
+        lane.evolutionSteps++;
+
+        const off = b * N;
+        const order = this.orderParameter(b);
+        const primeSet = inputPrimeSets[b];
+
+        let inputResponse = 0;
+        let otherResponse = 0;
+        for (let j = 0; j < N; j++) {
+          const diff = Math.abs(this.weighted[off + j]) - Math.abs(this.baseline[j]);
+          if (primeSet.has(this.primeList[j])) {
+            inputResponse += diff;
+          } else {
+            otherResponse += Math.abs(diff);
+          }
+        }
+        const differential = inputResponse - otherResponse * 0.3;
+
+        if (differential > 0 && order > coherenceThreshold * 0.5) {
+          const frame = {
+            step,
+            order,
+            differential,
+            amplitudes: Array.from(this.weighted.subarray(off, off + N)),
+            entropy: this.entropy[b],
+            stability: this.stability[b]
+          };
+          lane.frames.push(frame);
+
+          if (differential > lane.maxDifferential) {
+            lane.maxDifferential = differential;
+            lane.bestFrame = frame;
+          }
+
+          if (lane.frames.length > sampleWindow) {
+            lane.frames.sort((x, y) => y.differential - x.differential);
+            lane.frames = lane.frames.slice(0, sampleWindow);
+          }
+        }
+
+        if (differential > 1.0 && order > coherenceThreshold &&
+            this.stability[b] !== 'chaotic') {
+          lane.active = false;
+          remaining--;
+        }
+      }
+    }
+
+    return lanes;
+  }
+
+  /**
+   * Load one lane's field and physics scalars into the engine
+   *
+   * Phase histories and the hypercomplex state are only copied when
+   * `full` is set, since they are not needed to finish a run.
+   *
+   * @param {number} b - Lane index
+   * @param {object} lane - Lane record from evolve()
+   * @param {boolean} [full=false] - Also restore histories and state
+   */
+  load(b, lane, full = false) {
+    const engine = this.engine;
+    const oscillators = engine.oscillators.oscillators;
+    const N = this.n;
+    const off = b * N;
+
+    for (let i = 0; i < N; i++) {
+      oscillators[i].phase = this.phase[off + i];
+      oscillators[i].amplitude = this.amplitude[off + i];
+    }
+    engine.entropy = this.entropy[b];
+    engine.lyapunov = this.lyapunov[b];
+    engine.stability = this.stability[b];
+    engine.collapseIntegral = this.collapseIntegral[b];
+    engine.frames = lane.frames;
+
+    if (!full) return;
+
+    engine.oscillators.K = this.coupling[b];
+    const start = this.historyStart[b];
+    const length = this.historyLength[b];
+    for (let i = 0; i < N; i++) {
+      const base = (off + i) * HISTORY_LENGTH;
+      const phaseHistory = new Array(length);
+      for (let h = 0; h < length; h++) {
+        phaseHistory[h] = this.history[base + (start + h) % HISTORY_LENGTH];
+      }
+      oscillators[i].phaseHistory = phaseHistory;
+    }
+    if (lane.evolutionSteps > 0) {
+      const amplitudes = engine.oscillators.getWeightedAmplitudes();
+      engine.state = new Hypercomplex(
+        this.dimension,
+        Float64Array.from(amplitudes.slice(0, this.dimension))
+      ).normalize();
+    }
+  }
+}
+
+export {
+  FieldBatch
+};
+
+export default {
+  FieldBatch
+};
@@ -3,45 +3,34 @@
  */
 
 import { AlephEngine } from './aleph.js';
-
-// Import all backends for factory
-import SemanticBackend from '../backends/semantic/index.js';
-import ScientificBackend from '../backends/scientific/index.js';
-import CryptographicBackend from '../backends/cryptographic/index.js';
+import { createRng } from '../core/rng.js';
+import { createBackend, hasBackend } from '../backends/registry.js';
 
 /**
  * Factory function to create an AlephEngine with specified backend
- * @param {string} backendType - Backend type: 'semantic', 'quantum', 'scientific', 'cryptographic'
+ * @param {string} backendType - Registered backend name (see listBackends())
  * @param {object} [options={}] - Engine and backend options
+ * @param {*} [options.rng] - Seed or generator shared by backend and engine
+ * @param {number|string} [options.seed] - Shorthand for a seeded generator
  * @returns {AlephEngine} Configured engine instance
  */
 function createEngine(backendType, options = {}) {
-  let backend;
+  const seed = options.rng ?? options.seed;
+  const rng = seed === undefined ? undefined : createRng(seed);
   
   const defaultConfig = {
     dimension: 16,
     primes: [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53],
+    rng,
     ...options.backendConfig
   };
   
-  switch (backendType.toLowerCase()) {
-    case 'semantic':
-      backend = new SemanticBackend(defaultConfig);
-      break;
-    case 'quantum':
-    case 'scientific':
-      backend = new ScientificBackend(defaultConfig);
-      break;
-    case 'cryptographic':
-    case 'crypto':
-      backend = new CryptographicBackend(defaultConfig);
-      break;
-    default:
-      // Default to semantic backend
-      backend = new SemanticBackend(defaultConfig);
-  }
+  // Unknown types fall back to the semantic backend
+  const type = hasBackend(backendType) ? backendType : 'semantic';
+  const backend = createBackend(type, defaultConfig);
   
-  return new AlephEngine(backend, options.engineConfig || options);
+  const engineConfig = options.engineConfig || options;
+  return new AlephEngine(backend, rng ? { ...engineConfig, rng } : engineConfig);
 }
 
 export {
@@ -120,8 +120,8 @@ console.log('Final total coupling:', adaptiveModel.totalCoupling().toFixed(2));
 console.log('Order parameter:', adaptiveModel.orderParameter().toFixed(3));
 
 // Show coupling between synchronized pair vs non-synced
-const K_01 = adaptiveModel.adjacency[0][1];
-const K_07 = adaptiveModel.adjacency[0][7];
+const K_01 = adaptiveModel.adjacency.get(0, 1);
+const K_07 = adaptiveModel.adjacency.get(0, 7);
 console.log('\nCoupling evolution:');
 console.log(`  K(0,1) synced pair: ${K_01.toFixed(3)} (should be stronger)`);
 console.log(`  K(0,7) unsynced pair: ${K_07.toFixed(3)} (should be weaker)`);
@@ -31,9 +31,29 @@ export const {
   // Backends
   Backend,
   SemanticBackend,
+  SubwordTokenizer,
   CryptographicBackend,
+  PrimeStateKeyGenerator,
+  EntropySensitiveEncryptor,
+  HolographicKeyDistributor,
+  sealAead,
+  openAead,
   ScientificBackend,
+  StateVector,
+  QuantumCircuit,
+  parseQASM,
+  toQASM,
   BioinformaticsBackend,
+  CompositeBackend,
+  
+  // Backend registry
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend,
   
   // Bioinformatics operators
   TranscriptionOperator,
@@ -48,6 +68,23 @@ export const {
   ANDGate,
   ORGate,
   NOTGate,
+  alignSequences,
+  progressiveAlign,
+  MultipleAlignment,
+  parseFASTQ,
+  formatFASTQ,
+  parseGenBank,
+  formatGenBank,
+  parseGFF3,
+  formatGFF3,
+  extractFeature,
+  readSequenceRecords,
+  RESTRICTION_ENZYMES,
+  findRestrictionSites,
+  restrictionDigest,
+  meltingTemperature,
+  designPrimers,
+  simulatePCR,
   
   // Core math
   Hypercomplex,
@@ -71,6 +108,7 @@ export const {
   primeToAngle,
   sumOfTwoSquares,
   DEFAULT_PRIMES,
+  PrimeRegistry,
   
   // Physics - Core oscillators
   Oscillator,
@@ -89,6 +127,32 @@ export const {
   ColoredNoiseKuramoto,
   ThermalKuramoto,
   gaussianRandom,
+  // ODE/SDE integrators
+  INTEGRATORS,
+  Integrator,
+  createIntegrator,
+  // Coupling kernels
+  SparseAdjacency,
+  meanFieldCoupling,
+  meanFieldSweep,
+  sparseCoupling,
+  meanFieldJacobian,
+  sparseJacobian,
+  // Parameter sweeps
+  parameterSweep,
+  estimateCriticalPoint,
+  detectHysteresis,
+  setModelParameter,
+  // Sync structure analysis
+  phaseLockingMatrix,
+  coherenceMatrix,
+  detectCommunities,
+  findSyncClusters,
+  groupOrderParameters,
+  neighborhoodOrderParameters,
+  chimeraIndex,
+  metastabilityIndex,
+  SyncAnalyzer,
   // Primeon Z-Ladder
   PrimeonZLadderU,
   createPrimeonLadder,
@@ -120,6 +184,11 @@ export const {
   localLyapunov,
   delayEmbedding,
   stabilityMargin,
+  LyapunovTracker,
+  lyapunovSpectrum,
+  kaplanYorkeDimension,
+  classifySpectrum,
+  numericalJacobianProduct,
   collapseProbability,
   shouldCollapse,
   measureState,
@@ -139,9 +208,23 @@ export const {
   hash,
   deriveKey,
   
+  // Seedable random generation
+  SeededRandom,
+  createRng,
+  
   // LLM client
   LLM,
   
+  // Semantic Sieve and vocabulary stores
+  Sieve,
+  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
+  
   // Prime Hilbert Space (HP) - Quantum-like prime states
   Complex,
   PrimeState,
@@ -175,6 +258,12 @@ export const {
   generateAttractorCodebook,
   PRGraphMemory,
   applyResonanceOperator,
+  HNSW_SCHEMA_VERSION,
+  HNSWIndex,
+  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport,
   
   // Arithmetic Link Kernel (ArithmeticLinkKernels.pdf)
   LegendreSymbol,
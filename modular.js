@@ -65,7 +65,18 @@ const {
   primeToAngle,
   sumOfTwoSquares,
   DEFAULT_PRIMES,
+  PrimeRegistry,
+  SeededRandom,
+  createRng,
   LLM,
+  Sieve,
+  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
   // Prime Hilbert Space (HP)
   Complex,
   PrimeState,
@@ -97,6 +108,14 @@ const {
   generateAttractorCodebook,
   PRGraphMemory,
   applyResonanceOperator,
+  // Approximate nearest-neighbour index
+  HNSW_SCHEMA_VERSION,
+  HNSWIndex,
+  // Hash quality
+  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport,
   // Arithmetic Link Kernel (ArithmeticLinkKernels.pdf)
   LegendreSymbol,
   PowerResidueSymbol,
@@ -141,6 +160,32 @@ const {
   ColoredNoiseKuramoto,
   ThermalKuramoto,
   gaussianRandom,
+  // ODE/SDE integrators
+  INTEGRATORS,
+  Integrator,
+  createIntegrator,
+  // Coupling kernels
+  SparseAdjacency,
+  meanFieldCoupling,
+  meanFieldSweep,
+  sparseCoupling,
+  meanFieldJacobian,
+  sparseJacobian,
+  // Parameter sweeps
+  parameterSweep,
+  estimateCriticalPoint,
+  detectHysteresis,
+  setModelParameter,
+  // Sync structure analysis
+  phaseLockingMatrix,
+  coherenceMatrix,
+  detectCommunities,
+  findSyncClusters,
+  groupOrderParameters,
+  neighborhoodOrderParameters,
+  chimeraIndex,
+  metastabilityIndex,
+  SyncAnalyzer,
   // Primeon Z-Ladder
   PrimeonZLadderU,
   createPrimeonLadder,
@@ -172,6 +217,11 @@ const {
   localLyapunov,
   delayEmbedding,
   stabilityMargin,
+  LyapunovTracker,
+  lyapunovSpectrum,
+  kaplanYorkeDimension,
+  classifySpectrum,
+  numericalJacobianProduct,
   collapseProbability,
   shouldCollapse,
   measureState,
@@ -192,9 +242,20 @@ import backends from './backends/index.js';
 const {
   Backend,
   SemanticBackend,
+  SubwordTokenizer,
   CryptographicBackend,
+  PrimeStateKeyGenerator,
+  EntropySensitiveEncryptor,
+  HolographicKeyDistributor,
+  sealAead,
+  openAead,
   ScientificBackend,
+  StateVector,
+  QuantumCircuit,
+  parseQASM,
+  toQASM,
   BioinformaticsBackend,
+  CompositeBackend,
   TranscriptionOperator,
   TranslationOperator,
   FoldingTransform,
@@ -204,7 +265,31 @@ const {
   DNACircuit,
   ANDGate,
   ORGate,
-  NOTGate
+  NOTGate,
+  alignSequences,
+  progressiveAlign,
+  MultipleAlignment,
+  parseFASTQ,
+  formatFASTQ,
+  parseGenBank,
+  formatGenBank,
+  parseGFF3,
+  formatGFF3,
+  extractFeature,
+  readSequenceRecords,
+  RESTRICTION_ENZYMES,
+  findRestrictionSites,
+  restrictionDigest,
+  meltingTemperature,
+  designPrimers,
+  simulatePCR,
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend
 } = backends;
 
 // Unified engine
@@ -213,34 +298,25 @@ const { AlephEngine } = engine;
 
 /**
  * Factory function to create an engine with a specific backend
+ *
+ * `backendType` is any name registered with registerBackend() (built-ins:
+ * semantic, cryptographic, scientific, bioinformatics and their aliases).
+ *
+ * Pass `config.rng` (generator) or `config.seed` to make runs reproducible;
+ * the same generator is shared by the backend and the engine.
  */
 function createEngine(backendType, config = {}) {
-  let backend;
-  
-  switch (backendType.toLowerCase()) {
-    case 'semantic':
-      backend = new SemanticBackend(config);
-      break;
-    case 'cryptographic':
-    case 'crypto':
-      backend = new CryptographicBackend(config);
-      break;
-    case 'scientific':
-    case 'science':
-    case 'quantum':
-      backend = new ScientificBackend(config);
-      break;
-    case 'bioinformatics':
-    case 'bio':
-    case 'dna':
-    case 'protein':
-      backend = new BioinformaticsBackend(config);
-      break;
-    default:
-      throw new Error(`Unknown backend type: ${backendType}`);
+  const seed = config.rng ?? config.seed;
+  if (seed !== undefined) {
+    config = { ...config, rng: createRng(seed) };
   }
   
-  return new AlephEngine(backend, config.engineOptions || {});
+  // Resolves the name, merges defaults, validates config and the
+  // backend's required methods before the engine is built
+  const backend = createBackend(backendType, config);
+  
+  const engineOptions = config.engineOptions || {};
+  return new AlephEngine(backend, config.rng ? { ...engineOptions, rng: config.rng } : engineOptions);
 }
 
 /**
@@ -267,9 +343,29 @@ export default {
   // Backends
   Backend,
   SemanticBackend,
+  SubwordTokenizer,
   CryptographicBackend,
+  PrimeStateKeyGenerator,
+  EntropySensitiveEncryptor,
+  HolographicKeyDistributor,
+  sealAead,
+  openAead,
   ScientificBackend,
+  StateVector,
+  QuantumCircuit,
+  parseQASM,
+  toQASM,
   BioinformaticsBackend,
+  CompositeBackend,
+  
+  // Backend registry
+  REQUIRED_BACKEND_METHODS,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend,
   
   // Bioinformatics operators
   TranscriptionOperator,
@@ -284,6 +380,23 @@ export default {
   ANDGate,
   ORGate,
   NOTGate,
+  alignSequences,
+  progressiveAlign,
+  MultipleAlignment,
+  parseFASTQ,
+  formatFASTQ,
+  parseGenBank,
+  formatGenBank,
+  parseGFF3,
+  formatGFF3,
+  extractFeature,
+  readSequenceRecords,
+  RESTRICTION_ENZYMES,
+  findRestrictionSites,
+  restrictionDigest,
+  meltingTemperature,
+  designPrimers,
+  simulatePCR,
   
   // Core math
   Hypercomplex,
@@ -307,6 +420,7 @@ export default {
   primeToAngle,
   sumOfTwoSquares,
   DEFAULT_PRIMES,
+  PrimeRegistry,
   
   // Physics - Core oscillators
   Oscillator,
@@ -325,6 +439,32 @@ export default {
   ColoredNoiseKuramoto,
   ThermalKuramoto,
   gaussianRandom,
+  // ODE/SDE integrators
+  INTEGRATORS,
+  Integrator,
+  createIntegrator,
+  // Coupling kernels
+  SparseAdjacency,
+  meanFieldCoupling,
+  meanFieldSweep,
+  sparseCoupling,
+  meanFieldJacobian,
+  sparseJacobian,
+  // Parameter sweeps
+  parameterSweep,
+  estimateCriticalPoint,
+  detectHysteresis,
+  setModelParameter,
+  // Sync structure analysis
+  phaseLockingMatrix,
+  coherenceMatrix,
+  detectCommunities,
+  findSyncClusters,
+  groupOrderParameters,
+  neighborhoodOrderParameters,
+  chimeraIndex,
+  metastabilityIndex,
+  SyncAnalyzer,
   // Primeon Z-Ladder
   PrimeonZLadderU,
   createPrimeonLadder,
@@ -356,6 +496,11 @@ export default {
   localLyapunov,
   delayEmbedding,
   stabilityMargin,
+  LyapunovTracker,
+  lyapunovSpectrum,
+  kaplanYorkeDimension,
+  classifySpectrum,
+  numericalJacobianProduct,
   collapseProbability,
   shouldCollapse,
   measureState,
@@ -368,9 +513,23 @@ export default {
   hash,
   deriveKey,
   
+  // Seedable random generation
+  SeededRandom,
+  createRng,
+  
   // LLM client
   LLM,
   
+  // Semantic Sieve and vocabulary stores
+  Sieve,
+  VocabularyStore,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
+  
   // Prime Hilbert Space (HP) - Quantum-like prime states
   Complex,
   PrimeState,
@@ -405,6 +564,16 @@ export default {
   PRGraphMemory,
   applyResonanceOperator,
   
+  // Approximate nearest-neighbour index
+  HNSW_SCHEMA_VERSION,
+  HNSWIndex,
+  
+  // Hash quality
+  HASH_QUALITY_TESTS,
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport,
+  
   // Arithmetic Link Kernel (ArithmeticLinkKernels.pdf)
   LegendreSymbol,
   PowerResidueSymbol,
@@ -21,6 +21,7 @@
 
 import { Complex, PrimeState } from '../core/hilbert.js';
 import { firstNPrimes } from '../core/prime.js';
+import { HNSWIndex } from '../core/hnsw.js';
 
 // CRT-Homology components for consistency detection
 import { CRTReconstructor, HomologyLoss, CoprimeSelector, ResidueEncoder, BirkhoffProjector } from '../core/crt-homology.js';
@@ -1125,12 +1126,24 @@ class HolographicMemory {
      * @param {Object} [options={}] - Configuration options
      * @param {number} [options.maxMemories=100] - Maximum memories
      * @param {number} [options.decayRate=0.01] - Memory decay rate
+     * @param {HNSWIndex|Object|boolean} [options.index] - Nearest-neighbour index
+     *   over the reconstructed memory states (an instance, HNSWIndex options,
+     *   or true for a cosine-metric default)
+     * @param {number} [options.candidates=50] - Memories an indexed recall or
+     *   findSimilar() scores holographically
      */
     constructor(gridSize = 64, primes = 64, options = {}) {
         this.encoder = new HolographicEncoder(gridSize, primes, options);
         this.memories = [];
         this.maxMemories = options.maxMemories || 100;
         this.decayRate = options.decayRate || 0.01;
+        
+        const { index } = options;
+        this.index = index instanceof HNSWIndex ? index
+            : index ? new HNSWIndex(index === true ? {} : index)
+            : null;
+        this.candidates = options.candidates || 50;
+        this.nextId = 0;
     }
     
     /**
@@ -1152,7 +1165,7 @@ class HolographicMemory {
         
         encoder.project(state);
         
-        this.memories.push({
+        this._add({
             encoder,
             metadata,
             timestamp: Date.now(),
@@ -1188,7 +1201,7 @@ class HolographicMemory {
         let bestMatch = null;
         let bestScore = threshold;
         
-        for (const memory of this.memories) {
+        for (const memory of this._candidatesFor(cueEncoder)) {
             const score = this.correlate(cueEncoder, memory.encoder);
             if (score > bestScore) {
                 bestScore = score;
@@ -1209,6 +1222,42 @@ class HolographicMemory {
         } : null;
     }
     
+    /**
+     * Append a memory, indexing its reconstructed state
+     * @private
+     */
+    _add(memory) {
+        memory.id = this.nextId++;
+        this.memories.push(memory);
+        this.index?.insert(memory.id, memory.encoder.reconstructToState());
+    }
+    
+    /**
+     * Keep only `kept` memories, removing the rest from the index
+     * @private
+     */
+    _retain(kept) {
+        if (this.index) {
+            const ids = new Set(kept.map(m => m.id));
+            for (const memory of this.memories) {
+                if (!ids.has(memory.id)) this.index.delete(memory.id);
+            }
+        }
+        this.memories = kept;
+    }
+    
+    /**
+     * Memories to score against a projected cue: every memory, or with an
+     * index the `candidates` whose reconstructed states are nearest the cue's
+     * @private
+     */
+    _candidatesFor(cueEncoder) {
+        if (!this.index) return this.memories;
+        const hits = this.index.search(cueEncoder.reconstructToState(), this.candidates);
+        const byId = new Map(this.memories.map(m => [m.id, m]));
+        return hits.map(hit => byId.get(hit.id));
+    }
+    
     /**
      * Correlate two holographic fields
      * Returns normalized correlation coefficient
@@ -1264,7 +1313,7 @@ class HolographicMemory {
         }
         
         // Remove very weak memories
-        this.memories = this.memories.filter(m => m.strength > 0.1);
+        this._retain(this.memories.filter(m => m.strength > 0.1));
     }
     
     /**
@@ -1281,11 +1330,15 @@ class HolographicMemory {
         );
         
         // Keep top memories
-        this.memories = this.memories.slice(0, this.maxMemories);
+        this._retain(this.memories.slice(0, this.maxMemories));
     }
     
     /**
      * Find all memories above similarity threshold
+     *
+     * With an index only the `candidates` nearest memories are scored, so
+     * matches outside them are missed.
+     *
      * @param {PrimeState|Object} cue - Retrieval cue
      * @param {number} [threshold=0.3] - Minimum similarity
      * @returns {Array<Object>} Matching memories
@@ -1298,7 +1351,7 @@ class HolographicMemory {
         cueEncoder.project(cue);
         
         const results = [];
-        for (const memory of this.memories) {
+        for (const memory of this._candidatesFor(cueEncoder)) {
             const score = this.correlate(cueEncoder, memory.encoder);
             if (score > threshold) {
                 results.push({
@@ -1325,7 +1378,7 @@ class HolographicMemory {
      * Clear all memories
      */
     clear() {
-        this.memories = [];
+        this._retain([]);
     }
     
     /**
@@ -1349,16 +1402,17 @@ class HolographicMemory {
     /**
      * Load from JSON
      * @param {Object} data - Serialized memory
+     * @param {Object} [options={}] - Constructor options (an index is rebuilt)
      * @returns {HolographicMemory} Restored memory
      */
-    static fromJSON(data) {
-        const memory = new HolographicMemory(data.gridSize, data.primes);
+    static fromJSON(data, options = {}) {
+        const memory = new HolographicMemory(data.gridSize, data.primes, options);
         
         for (const saved of data.memories) {
             const encoder = new HolographicEncoder(data.gridSize, data.primes);
             encoder.loadState(saved.state);
             
-            memory.memories.push({
+            memory._add({
                 encoder,
                 metadata: saved.metadata,
                 timestamp: saved.timestamp,
@@ -23,6 +23,7 @@
 
 import { Complex, PrimeState } from '../core/hilbert.js';
 import { firstNPrimes } from '../core/prime.js';
+import { defaultRng, createRng } from '../core/rng.js';
 
 // ============================================================================
 // STOCHASTIC UTILITIES
@@ -33,11 +34,12 @@ import { firstNPrimes } from '../core/prime.js';
  * Generate Gaussian random number using Box-Muller transform
  * @param {number} mean - Mean of the distribution (default: 0)
  * @param {number} stddev - Standard deviation (default: 1)
+ * @param {Object} rng - Random generator (default: Math.random, see core/rng.js)
  * @returns {number} Gaussian random number
  */
-function gaussianRandom(mean = 0, stddev = 1) {
-    const u1 = Math.random();
-    const u2 = Math.random();
+function gaussianRandom(mean = 0, stddev = 1, rng = defaultRng) {
+    const u1 = rng.next();
+    const u2 = rng.next();
     const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
     return z0 * stddev + mean;
 }
@@ -172,11 +174,12 @@ class PrimeOscillator {
      * Create a prime oscillator
      * @param {number} prime - The prime number this oscillator represents
      * @param {Object} options - Configuration options
+     * @param {*} [options.rng] - Seed or generator for the initial phase
      */
     constructor(prime, options = {}) {
         this.prime = prime;
         this.frequency = options.frequency || PrimeOscillator.primeToFrequency(prime);
-        this.phase = options.phase !== undefined ? options.phase : Math.random() * 2 * Math.PI;
+        this.phase = options.phase !== undefined ? options.phase : createRng(options.rng).next() * 2 * Math.PI;
         this.amplitude = options.amplitude || 0;
         this.naturalPhase = this.phase; // For tracking phase drift
     }
@@ -264,6 +267,7 @@ class PRSCLayer {
      * @param {number} [options.noiseIntensity=0.1] - Noise intensity for stochastic dynamics
      * @param {string} [options.noiseType='white'] - 'white' or 'colored' noise
      * @param {number} [options.correlationTime=1.0] - Correlation time for colored noise
+     * @param {*} [options.rng] - Seed or generator for phases and noise (default: Math.random)
      */
     constructor(primes, options = {}) {
         // Handle primes argument
@@ -287,13 +291,14 @@ class PRSCLayer {
         this.noiseIntensity = options.noiseIntensity ?? 0.1;
         this.noiseType = options.noiseType || 'white';
         this.correlationTime = options.correlationTime ?? 1.0;
+        this.rng = createRng(options.rng);
         
         // Initialize oscillators with small baseline activity for entropy
         this.oscillators = this.primes.map((p, i) => new PrimeOscillator(p, {
-            phase: options.randomPhase !== false ? Math.random() * 2 * Math.PI : 0,
+            phase: options.randomPhase !== false ? this.rng.next() * 2 * Math.PI : 0,
             // Give first few primes some initial amplitude for baseline activity
             amplitude: options.initialAmplitude !== undefined ? options.initialAmplitude :
-                       (i < 8 ? 0.05 + 0.05 * Math.random() : 0.01 * Math.random())
+                       (i < 8 ? 0.05 + 0.05 * this.rng.next() : 0.01 * this.rng.next())
         }));
         
         // Create prime to index map
@@ -436,7 +441,7 @@ class PRSCLayer {
         }
         // White noise: σ·√dt·N(0,1) with fluctuation-dissipation: σ ∝ √T
         const sigma = this.noiseIntensity * Math.sqrt(this.temperature);
-        return sigma * Math.sqrt(dt) * gaussianRandom();
+        return sigma * Math.sqrt(dt) * gaussianRandom(0, 1, this.rng);
     }
     
     /**
@@ -458,7 +463,7 @@ class PRSCLayer {
         const diffusion = sigma * Math.sqrt((1 - decay * decay) / 2);
         
         // Exact update for OU process
-        this.coloredNoiseState[idx] = eta * decay + diffusion * gaussianRandom();
+        this.coloredNoiseState[idx] = eta * decay + diffusion * gaussianRandom(0, 1, this.rng);
         
         return this.coloredNoiseState[idx] * dt;
     }
@@ -850,7 +855,7 @@ class PRSCLayer {
     reset(randomPhase = true) {
         for (const osc of this.oscillators) {
             osc.amplitude = 0;
-            osc.phase = randomPhase ? Math.random() * 2 * Math.PI : 0;
+            osc.phase = randomPhase ? this.rng.next() * 2 * Math.PI : 0;
         }
         this.coherenceHistory = [];
     }
@@ -873,6 +878,11 @@ class PRSCLayer {
             state.thermal = this.getThermalState();
         }
         
+        const rngState = this.rng.getState();
+        if (rngState) {
+            state.rngState = rngState;
+        }
+        
         return state;
     }
     
@@ -889,6 +899,10 @@ class PRSCLayer {
             osc.amplitude = saved.amplitude || 0;
             osc.phase = saved.phase || 0;
         }
+        
+        if (state.rngState) {
+            this.rng.setState(state.rngState);
+        }
     }
     
     /**
@@ -21,6 +21,10 @@
 import { KuramotoModel } from './kuramoto.js';
 import { OscillatorBank } from './oscillator.js';
 import { ArithmeticLinkKernel } from '../core/arithmetic-link-kernel.js';
+import { createRng } from '../core/rng.js';
+import { createIntegrator } from './integrators.js';
+
+const RK4 = createIntegrator('rk4');
 
 // ============================================================================
 // ALK KURAMOTO MODEL
@@ -46,6 +50,8 @@ class ALKKuramotoModel {
      * @param {boolean} options.useTriadic - Enable triadic coupling (default: true)
      * @param {boolean} options.useHigherOrder - Enable n>3 couplings (default: false)
      * @param {number} options.dt - Time step (default: 0.01)
+     * @param {*} options.rng - Seed or generator for initial phases (default: Math.random)
+     * @param {string|Object} options.integrator - Scheme used by step() (default: 'euler'; see physics/integrators.js)
      */
     constructor(oscillators, alk, options = {}) {
         // Handle oscillator input
@@ -79,11 +85,13 @@ class ALKKuramotoModel {
         this.useTriadic = options.useTriadic ?? true;
         this.useHigherOrder = options.useHigherOrder ?? false;
         this.dt = options.dt ?? 0.01;
+        this.rng = createRng(options.rng);
+        this.integrator = createIntegrator(options.integrator ?? 'euler');
         
         // State: phases
         this.theta = new Float64Array(this.N);
         for (let i = 0; i < this.N; i++) {
-            this.theta[i] = Math.random() * 2 * Math.PI;
+            this.theta[i] = this.rng.next() * 2 * Math.PI;
         }
         
         // Time tracking
@@ -136,6 +144,28 @@ class ALKKuramotoModel {
         return this._K3Entries;
     }
     
+    /**
+     * Set the J scale factor and drop the cached scaled matrix
+     * 
+     * @param {number} scale - New coupling scale
+     */
+    setCouplingScale(scale) {
+        this.couplingScale = scale;
+        this._J = null;
+        return this;
+    }
+    
+    /**
+     * Set the K³ scale factor and drop the cached scaled entries
+     * 
+     * @param {number} scale - New triadic scale
+     */
+    setTriadicScale(scale) {
+        this.triadicScale = scale;
+        this._K3Entries = null;
+        return this;
+    }
+    
     /**
      * Compute pairwise coupling term for oscillator i
      * Σⱼ Jᵢⱼ sin(θⱼ - θᵢ)
@@ -199,33 +229,29 @@ class ALKKuramotoModel {
     }
     
     /**
-     * Euler integration step
+     * dθ/dt for an arbitrary phase vector
      * 
-     * @param {number} dt - Time step (uses this.dt if not provided)
+     * @param {Float64Array} theta - Phases
+     * @returns {Float64Array} Phase derivatives
      */
-    step(dt = this.dt) {
-        const newTheta = new Float64Array(this.N);
-        
-        // Compute derivatives
+    derivatives(theta) {
+        const saved = this.theta;
+        this.theta = theta;
+        const dtheta = new Float64Array(this.N);
         for (let i = 0; i < this.N; i++) {
-            const dth = this._dtheta(i);
-            newTheta[i] = this.theta[i] + dth * dt;
-            // Wrap to [0, 2π)
-            newTheta[i] = ((newTheta[i] % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
-        }
-        
-        this.theta = newTheta;
-        this.time += dt;
-        this.steps++;
-        
-        // Update oscillator bank if present
-        if (this.bank) {
-            for (let i = 0; i < this.N; i++) {
-                this.bank.oscillators[i].phase = this.theta[i];
-            }
+            dtheta[i] = this._dtheta(i);
         }
-        
-        return this;
+        this.theta = saved;
+        return dtheta;
+    }
+    
+    /**
+     * Integration step with the configured integrator (Euler by default)
+     * 
+     * @param {number} dt - Time step (uses this.dt if not provided)
+     */
+    step(dt = this.dt) {
+        return this._advance(this.integrator, dt);
     }
     
     /**
@@ -234,54 +260,24 @@ class ALKKuramotoModel {
      * @param {number} dt - Time step
      */
     stepRK4(dt = this.dt) {
-        const k1 = new Float64Array(this.N);
-        const k2 = new Float64Array(this.N);
-        const k3 = new Float64Array(this.N);
-        const k4 = new Float64Array(this.N);
-        const temp = new Float64Array(this.N);
-        
-        // k1 = f(t, y)
-        for (let i = 0; i < this.N; i++) {
-            k1[i] = this._dtheta(i);
-        }
-        
-        // k2 = f(t + dt/2, y + k1*dt/2)
-        for (let i = 0; i < this.N; i++) {
-            temp[i] = this.theta[i] + k1[i] * dt / 2;
-        }
-        const savedTheta = this.theta;
-        this.theta = temp;
-        for (let i = 0; i < this.N; i++) {
-            k2[i] = this._dtheta(i);
-        }
-        
-        // k3 = f(t + dt/2, y + k2*dt/2)
-        for (let i = 0; i < this.N; i++) {
-            temp[i] = savedTheta[i] + k2[i] * dt / 2;
-        }
-        this.theta = temp;
-        for (let i = 0; i < this.N; i++) {
-            k3[i] = this._dtheta(i);
-        }
-        
-        // k4 = f(t + dt, y + k3*dt)
-        for (let i = 0; i < this.N; i++) {
-            temp[i] = savedTheta[i] + k3[i] * dt;
-        }
-        this.theta = temp;
-        for (let i = 0; i < this.N; i++) {
-            k4[i] = this._dtheta(i);
-        }
-        
-        // y(t + dt) = y(t) + (k1 + 2*k2 + 2*k3 + k4) * dt / 6
+        return this._advance(RK4, dt);
+    }
+    
+    /**
+     * Advance the phases with an integrator and wrap to [0, 2π)
+     * @private
+     */
+    _advance(integrator, dt) {
+        const theta = integrator.step({ drift: (t, y) => this.derivatives(y), rng: this.rng }, this.theta, dt, this.time);
         for (let i = 0; i < this.N; i++) {
-            this.theta[i] = savedTheta[i] + (k1[i] + 2*k2[i] + 2*k3[i] + k4[i]) * dt / 6;
-            this.theta[i] = ((this.theta[i] % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            theta[i] = ((theta[i] % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
         }
         
+        this.theta = theta;
         this.time += dt;
         this.steps++;
         
+        // Update oscillator bank if present
         if (this.bank) {
             for (let i = 0; i < this.N; i++) {
                 this.bank.oscillators[i].phase = this.theta[i];
@@ -501,7 +497,7 @@ class ALKKuramotoModel {
      */
     reset() {
         for (let i = 0; i < this.N; i++) {
-            this.theta[i] = Math.random() * 2 * Math.PI;
+            this.theta[i] = this.rng.next() * 2 * Math.PI;
         }
         this.time = 0;
         this.steps = 0;
@@ -509,6 +505,23 @@ class ALKKuramotoModel {
         return this;
     }
     
+    /**
+     * Snapshot the random generator state (null when using Math.random)
+     */
+    getRngState() {
+        return this.rng.getState();
+    }
+    
+    /**
+     * Restore a random generator state captured by getRngState()
+     * 
+     * @param {Object} state - Saved generator state
+     */
+    setRngState(state) {
+        if (state) this.rng.setState(state);
+        return this;
+    }
+    
     /**
      * Clone the model
      */
@@ -518,7 +531,8 @@ class ALKKuramotoModel {
             triadicScale: this.triadicScale,
             useTriadic: this.useTriadic,
             useHigherOrder: this.useHigherOrder,
-            dt: this.dt
+            dt: this.dt,
+            integrator: this.integrator.clone()
         });
         
         clone.theta = Float64Array.from(this.theta);
@@ -579,6 +593,17 @@ class ALKNetworkKuramoto extends ALKKuramotoModel {
         return this._effectiveJ;
     }
     
+    /**
+     * Set the coupling scale, also dropping the cached effective J
+     * 
+     * @param {number} scale - New coupling scale
+     */
+    setCouplingScale(scale) {
+        super.setCouplingScale(scale);
+        this._effectiveJ = null;
+        return this;
+    }
+    
     /**
      * Override pairwise coupling to use effective J
      */
@@ -735,6 +760,7 @@ function runBorromeanExperiment(primes, options = {}) {
     
     const steps = options.steps || 1000;
     const dt = options.dt || 0.01;
+    const rng = createRng(options.rng);
     
     // Create model with triadic coupling
     const modelTriadic = new ALKKuramotoModel(
@@ -751,7 +777,7 @@ function runBorromeanExperiment(primes, options = {}) {
     );
     
     // Same initial conditions
-    const initialPhases = primes.map(() => Math.random() * 2 * Math.PI);
+    const initialPhases = primes.map(() => rng.next() * 2 * Math.PI);
     modelTriadic.setPhases(initialPhases);
     modelPairwise.setPhases(initialPhases);
     
@@ -3,6 +3,7 @@
  */
 
 import { Hypercomplex } from '../core/hypercomplex.js';
+import { createRng } from '../core/rng.js';
 
 /**
  * Calculate collapse probability using Born rule approximation
@@ -44,9 +45,11 @@ function collapseProbability(state, threshold = 0.5) {
  * Determine if state should collapse
  * @param {Hypercomplex|object} state - HypercomplexState or CollapseState
  * @param {number} threshold - Collapse threshold
+ * @param {*} [rng] - Seed or generator for the collapse draw (Hypercomplex form;
+ *   the legacy form takes it as thresholds.rng)
  * @returns {boolean} True if collapse should occur
  */
-function shouldCollapse(state, threshold = 0.5) {
+function shouldCollapse(state, threshold = 0.5, rng) {
   // Handle CollapseState with entropy/coherence
   if (state && typeof state === 'object' && 'entropy' in state) {
     const { entropy = 0, coherence = 0.5, lyapunov = 0 } = state;
@@ -56,7 +59,7 @@ function shouldCollapse(state, threshold = 0.5) {
   // Handle Hypercomplex state
   if (state && state.c) {
     const prob = collapseProbability(state, threshold);
-    return prob > threshold && Math.random() < prob;
+    return prob > threshold && createRng(rng).next() < prob;
   }
   
   // Legacy signature: shouldCollapse(coherence, entropy, probability, thresholds)
@@ -66,7 +69,8 @@ function shouldCollapse(state, threshold = 0.5) {
     const probability = arguments[2] || 0.5;
     const thresholds = arguments[3] || {};
     const { minCoherence = 0.7, minEntropy = 1.8 } = thresholds;
-    return coherence > minCoherence && entropy > minEntropy && Math.random() < probability;
+    return coherence > minCoherence && entropy > minEntropy &&
+      createRng(thresholds.rng).next() < probability;
   }
   
   return false;
@@ -119,9 +123,10 @@ function collapseToIndex(hypercomplex, index) {
 /**
  * Probabilistic measurement with Born rule
  * @param {Hypercomplex|number[]} hypercomplexOrAmplitudes - State or amplitudes array
+ * @param {*} [rng] - Seed or generator for the outcome draw (default: Math.random)
  * @returns {{ index: number, probability: number }} Measurement result
  */
-function bornMeasurement(hypercomplexOrAmplitudes) {
+function bornMeasurement(hypercomplexOrAmplitudes, rng) {
   let probabilities;
   
   // Handle plain number array (amplitudes)
@@ -138,7 +143,7 @@ function bornMeasurement(hypercomplexOrAmplitudes) {
     probabilities = hypercomplex.c.map(v => (v / n) ** 2);
   }
   
-  const r = Math.random();
+  const r = createRng(rng).next();
   let cumulative = 0;
   
   for (let i = 0; i < probabilities.length; i++) {
@@ -168,12 +173,16 @@ function partialCollapse(hypercomplex, targetIndex, strength = 0.5) {
 
 /**
  * Decoherence: gradual loss of quantum coherence
+ * @param {Hypercomplex} hypercomplex - State to decohere
+ * @param {number} [rate=0.1] - Mixing rate
+ * @param {*} [rng] - Seed or generator for the noise (default: Math.random)
  */
-function applyDecoherence(hypercomplex, rate = 0.1) {
+function applyDecoherence(hypercomplex, rate = 0.1, rng) {
+  rng = createRng(rng);
   const result = Hypercomplex.zero(hypercomplex.dim);
   for (let i = 0; i < hypercomplex.dim; i++) {
     // Add small random noise proportional to rate
-    result.c[i] = hypercomplex.c[i] * (1 - rate) + (Math.random() - 0.5) * rate;
+    result.c[i] = hypercomplex.c[i] * (1 - rate) + (rng.next() - 0.5) * rate;
   }
   return result.normalize();
 }
@@ -0,0 +1,435 @@
+/**
+ * Coupling kernels for large oscillator networks
+ *
+ * Kernels read phases from a Float64Array and return one coupling term
+ * per oscillator, so a whole network is evaluated in one pass:
+ *
+ * - meanFieldCoupling: all-to-all coupling through the complex order
+ *   parameter Z = Σⱼ e^(iθⱼ), O(N) instead of O(N²)
+ * - meanFieldSweep: the same coupling as an in-place Euler sweep, one
+ *   oscillator after another, again in O(N)
+ * - sparseCoupling: weighted coupling over a SparseAdjacency, O(edges)
+ *
+ * meanFieldJacobian and sparseJacobian apply the Jacobian of the matching
+ * kernel to a tangent vector at the same cost, for Lyapunov analysis.
+ *
+ * SparseAdjacency stores a weighted graph in compressed sparse row (CSR)
+ * form: row i's neighbours are colIdx[rowPtr[i] .. rowPtr[i + 1]), sorted,
+ * with matching weights in values.
+ *
+ * @module physics/coupling
+ */
+
+/**
+ * Compressed sparse row adjacency matrix
+ */
+class SparseAdjacency {
+  /**
+   * @param {number} size - Node count
+   * @param {Int32Array} rowPtr - Row offsets (size + 1 entries)
+   * @param {Int32Array} colIdx - Column of each stored entry, ascending within a row
+   * @param {Float64Array} values - Weight of each stored entry
+   */
+  constructor(size, rowPtr, colIdx, values) {
+    if (rowPtr.length !== size + 1 || colIdx.length !== values.length || rowPtr[size] !== colIdx.length) {
+      throw new Error('Inconsistent CSR arrays');
+    }
+    this.size = size;
+    this.rowPtr = rowPtr;
+    this.colIdx = colIdx;
+    this.values = values;
+  }
+
+  /**
+   * Number of stored entries
+   */
+  get nnz() {
+    return this.colIdx.length;
+  }
+
+  /**
+   * Build from a dense matrix, dropping zeros
+   * @param {number[][]} matrix - N×N weights
+   * @returns {SparseAdjacency}
+   */
+  static fromDense(matrix) {
+    const size = matrix.length;
+    const rowPtr = new Int32Array(size + 1);
+    const cols = [];
+    const weights = [];
+    for (let i = 0; i < size; i++) {
+      const row = matrix[i];
+      for (let j = 0; j < row.length; j++) {
+        if (row[j] !== 0) {
+          cols.push(j);
+          weights.push(row[j]);
+        }
+      }
+      rowPtr[i + 1] = cols.length;
+    }
+    return new SparseAdjacency(size, rowPtr, Int32Array.from(cols), Float64Array.from(weights));
+  }
+
+  /**
+   * Build from an edge list
+   *
+   * Repeated edges keep the last weight, as when assigning into a matrix.
+   *
+   * @param {number} size - Node count
+   * @param {Iterable<number[]>} edges - [i, j] or [i, j, weight] (weight defaults to 1)
+   * @param {object} [options={}]
+   * @param {boolean} [options.symmetric=false] - Also store (j, i) for every edge
+   * @returns {SparseAdjacency}
+   */
+  static fromEdges(size, edges, options = {}) {
+    const rows = [];
+    const cols = [];
+    const weights = [];
+    const add = (i, j, w) => {
+      if (!(i >= 0 && i < size && j >= 0 && j < size)) {
+        throw new Error(`Edge (${i}, ${j}) is outside a ${size}-node graph`);
+      }
+      rows.push(i);
+      cols.push(j);
+      weights.push(w);
+    };
+    for (const [i, j, w = 1] of edges) {
+      add(i, j, w);
+      if (options.symmetric && i !== j) add(j, i, w);
+    }
+
+    // Stable sort by (row, column); the last of equal keys wins
+    const order = Array.from(rows.keys()).sort((a, b) => rows[a] - rows[b] || cols[a] - cols[b] || a - b);
+    const rowPtr = new Int32Array(size + 1);
+    const colIdx = [];
+    const values = [];
+    for (let k = 0; k < order.length; k++) {
+      const e = order[k];
+      const next = order[k + 1];
+      if (next !== undefined && rows[next] === rows[e] && cols[next] === cols[e]) continue;
+      colIdx.push(cols[e]);
+      values.push(weights[e]);
+      rowPtr[rows[e] + 1]++;
+    }
+    for (let i = 0; i < size; i++) rowPtr[i + 1] += rowPtr[i];
+    return new SparseAdjacency(size, rowPtr, Int32Array.from(colIdx), Float64Array.from(values));
+  }
+
+  /**
+   * All-to-all graph without self-loops
+   * @param {number} size - Node count
+   * @param {number} [weight=1] - Weight of every edge
+   * @returns {SparseAdjacency}
+   */
+  static complete(size, weight = 1) {
+    const rowPtr = new Int32Array(size + 1);
+    const colIdx = new Int32Array(size * Math.max(0, size - 1));
+    let k = 0;
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
+        if (j !== i) colIdx[k++] = j;
+      }
+      rowPtr[i + 1] = k;
+    }
+    return new SparseAdjacency(size, rowPtr, colIdx, new Float64Array(k).fill(weight));
+  }
+
+  /**
+   * Position of entry (i, j) in colIdx/values, or -1
+   */
+  indexOf(i, j) {
+    let lo = this.rowPtr[i];
+    let hi = this.rowPtr[i + 1] - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const c = this.colIdx[mid];
+      if (c === j) return mid;
+      if (c < j) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return -1;
+  }
+
+  /**
+   * Weight of edge (i, j), 0 when absent
+   */
+  get(i, j) {
+    const k = this.indexOf(i, j);
+    return k < 0 ? 0 : this.values[k];
+  }
+
+  /**
+   * Change the weight of a stored edge
+   *
+   * The sparsity pattern is fixed; rebuild with fromEdges() to add edges.
+   */
+  set(i, j, weight) {
+    const k = this.indexOf(i, j);
+    if (k < 0) {
+      throw new Error(`Edge (${i}, ${j}) is not stored; rebuild the adjacency to add edges`);
+    }
+    this.values[k] = weight;
+    return this;
+  }
+
+  /**
+   * Neighbours of node i as views into the CSR arrays
+   * @returns {{indices: Int32Array, weights: Float64Array}}
+   */
+  row(i) {
+    const start = this.rowPtr[i];
+    const end = this.rowPtr[i + 1];
+    return { indices: this.colIdx.subarray(start, end), weights: this.values.subarray(start, end) };
+  }
+
+  /**
+   * Weighted degree (row sums)
+   * @returns {Float64Array}
+   */
+  rowSums() {
+    const sums = new Float64Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) sums[i] += this.values[k];
+    }
+    return sums;
+  }
+
+  /**
+   * Iterate stored entries as [i, j, weight]
+   */
+  *edges() {
+    for (let i = 0; i < this.size; i++) {
+      for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+        yield [i, this.colIdx[k], this.values[k]];
+      }
+    }
+  }
+
+  clone() {
+    return new SparseAdjacency(this.size, this.rowPtr.slice(), this.colIdx.slice(), this.values.slice());
+  }
+
+  /**
+   * JSON-safe copy of the CSR arrays
+   * @returns {{size: number, rowPtr: number[], colIdx: number[], values: number[]}}
+   */
+  toJSON() {
+    return {
+      size: this.size,
+      rowPtr: Array.from(this.rowPtr),
+      colIdx: Array.from(this.colIdx),
+      values: Array.from(this.values)
+    };
+  }
+
+  /**
+   * Rebuild from toJSON() output
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {SparseAdjacency}
+   */
+  static fromJSON(json) {
+    return new SparseAdjacency(
+      json.size,
+      Int32Array.from(json.rowPtr),
+      Int32Array.from(json.colIdx),
+      Float64Array.from(json.values)
+    );
+  }
+
+  /**
+   * Dense N×N copy (small graphs only)
+   * @returns {number[][]}
+   */
+  toDense() {
+    const matrix = Array.from({ length: this.size }, () => new Array(this.size).fill(0));
+    for (const [i, j, w] of this.edges()) matrix[i][j] = w;
+    return matrix;
+  }
+}
+
+/**
+ * All-to-all coupling (K/N) Σⱼ≠ᵢ sin(θⱼ - θᵢ - α) in O(N)
+ *
+ * Uses Σⱼ sin(θⱼ - θᵢ - α) = S·cos(θᵢ + α) - C·sin(θᵢ + α) with
+ * C + iS = Σⱼ e^(iθⱼ); the j = i term, sin(-α), is removed.
+ *
+ * @param {Float64Array|number[]} phases - Phases θ
+ * @param {number} K - Coupling strength
+ * @param {object} [options={}]
+ * @param {number} [options.alpha=0] - Phase lag (Sakaguchi)
+ * @param {Float64Array} [options.out] - Output buffer
+ * @returns {Float64Array}
+ */
+function meanFieldCoupling(phases, K, options = {}) {
+  const N = phases.length;
+  const alpha = options.alpha || 0;
+  const out = options.out || new Float64Array(N);
+  let C = 0, S = 0;
+  for (let j = 0; j < N; j++) {
+    C += Math.cos(phases[j]);
+    S += Math.sin(phases[j]);
+  }
+  const scale = N > 0 ? K / N : 0;
+  const self = Math.sin(alpha);
+  for (let i = 0; i < N; i++) {
+    const shifted = phases[i] + alpha;
+    out[i] = scale * (S * Math.cos(shifted) - C * Math.sin(shifted) + self);
+  }
+  return out;
+}
+
+/**
+ * In-place Euler sweep of all-to-all coupling, one oscillator at a time
+ *
+ * Oscillator i is advanced with the phases of oscillators 0..i-1 already
+ * updated, which is the order KuramotoModel's Euler step has always used.
+ * Z = Σⱼ e^(iθⱼ) is patched after each update, so the sweep is O(N). Each
+ * phase becomes (θᵢ + 2πfᵢ·dt + incrementᵢ) mod 2π, exactly as
+ * Oscillator.tick(dt, incrementᵢ) computes it.
+ *
+ * @param {Float64Array} phases - Phases θ, updated in place
+ * @param {ArrayLike<number>} frequencies - Natural frequencies fᵢ
+ * @param {number} K - Coupling strength
+ * @param {number} dt - Timestep
+ * @param {object} [options={}]
+ * @param {number} [options.alpha=0] - Phase lag (Sakaguchi)
+ * @param {ArrayLike<number>} [options.extra] - Additional phase increment per oscillator
+ * @param {Float64Array} [options.out] - Output buffer
+ * @returns {Float64Array} Phase increment beyond 2πfᵢ·dt of each oscillator
+ */
+function meanFieldSweep(phases, frequencies, K, dt, options = {}) {
+  const N = phases.length;
+  const alpha = options.alpha || 0;
+  const extra = options.extra;
+  const out = options.out || new Float64Array(N);
+  let C = 0, S = 0;
+  for (let j = 0; j < N; j++) {
+    C += Math.cos(phases[j]);
+    S += Math.sin(phases[j]);
+  }
+  const scale = N > 0 ? K / N : 0;
+  const self = Math.sin(alpha);
+  for (let i = 0; i < N; i++) {
+    const p = phases[i];
+    const shifted = p + alpha;
+    let increment = scale * (S * Math.cos(shifted) - C * Math.sin(shifted) + self) * dt;
+    if (extra) increment += extra[i];
+    const next = (p + 2 * Math.PI * frequencies[i] * dt + increment) % (2 * Math.PI);
+    C += Math.cos(next) - Math.cos(p);
+    S += Math.sin(next) - Math.sin(p);
+    phases[i] = next;
+    out[i] = increment;
+  }
+  return out;
+}
+
+/**
+ * Network coupling gᵢ Σⱼ Aᵢⱼ sin(θⱼ - θᵢ) in O(edges); self-loops are ignored
+ *
+ * @param {SparseAdjacency} adjacency - Weights Aᵢⱼ
+ * @param {Float64Array|number[]} phases - Phases θ
+ * @param {number|Float64Array} gain - Overall strength, or one gᵢ per node
+ * @param {object} [options={}]
+ * @param {Float64Array} [options.out] - Output buffer
+ * @returns {Float64Array}
+ */
+function sparseCoupling(adjacency, phases, gain, options = {}) {
+  const { size, rowPtr, colIdx, values } = adjacency;
+  const out = options.out || new Float64Array(size);
+  const perNode = typeof gain !== 'number';
+  for (let i = 0; i < size; i++) {
+    const theta = phases[i];
+    let sum = 0;
+    for (let k = rowPtr[i]; k < rowPtr[i + 1]; k++) {
+      const j = colIdx[k];
+      if (j !== i) sum += values[k] * Math.sin(phases[j] - theta);
+    }
+    out[i] = (perNode ? gain[i] : gain) * sum;
+  }
+  return out;
+}
+
+/**
+ * Jacobian of meanFieldCoupling applied to a tangent vector v, in O(N)
+ *
+ * ∂/∂θⱼ sin(θⱼ - θᵢ - α) = cos(θⱼ - θᵢ - α), so
+ * (Jv)ᵢ = (K/N) Σⱼ cos(θⱼ - θᵢ - α)(vⱼ - vᵢ), again through the sums
+ * Σⱼ e^(iθⱼ) and Σⱼ vⱼe^(iθⱼ) (the j = i terms cancel).
+ *
+ * @param {Float64Array|number[]} phases - Phases θ
+ * @param {number} K - Coupling strength
+ * @param {Float64Array|number[]} vector - Tangent vector v
+ * @param {object} [options={}]
+ * @param {number} [options.alpha=0] - Phase lag (Sakaguchi)
+ * @param {Float64Array} [options.out] - Output buffer
+ * @returns {Float64Array}
+ */
+function meanFieldJacobian(phases, K, vector, options = {}) {
+  const N = phases.length;
+  const alpha = options.alpha || 0;
+  const out = options.out || new Float64Array(N);
+  let C = 0, S = 0, Cv = 0, Sv = 0;
+  for (let j = 0; j < N; j++) {
+    const c = Math.cos(phases[j]);
+    const s = Math.sin(phases[j]);
+    C += c;
+    S += s;
+    Cv += c * vector[j];
+    Sv += s * vector[j];
+  }
+  const scale = N > 0 ? K / N : 0;
+  for (let i = 0; i < N; i++) {
+    const c = Math.cos(phases[i] + alpha);
+    const s = Math.sin(phases[i] + alpha);
+    out[i] = scale * (c * Cv + s * Sv - vector[i] * (c * C + s * S));
+  }
+  return out;
+}
+
+/**
+ * Jacobian of sparseCoupling applied to a tangent vector v, in O(edges)
+ *
+ * (Jv)ᵢ = gᵢ Σⱼ Aᵢⱼ cos(θⱼ - θᵢ)(vⱼ - vᵢ); self-loops are ignored
+ *
+ * @param {SparseAdjacency} adjacency - Weights Aᵢⱼ
+ * @param {Float64Array|number[]} phases - Phases θ
+ * @param {number|Float64Array} gain - Overall strength, or one gᵢ per node
+ * @param {Float64Array|number[]} vector - Tangent vector v
+ * @param {object} [options={}]
+ * @param {Float64Array} [options.out] - Output buffer
+ * @returns {Float64Array}
+ */
+function sparseJacobian(adjacency, phases, gain, vector, options = {}) {
+  const { size, rowPtr, colIdx, values } = adjacency;
+  const out = options.out || new Float64Array(size);
+  const perNode = typeof gain !== 'number';
+  for (let i = 0; i < size; i++) {
+    const theta = phases[i];
+    const vi = vector[i];
+    let sum = 0;
+    for (let k = rowPtr[i]; k < rowPtr[i + 1]; k++) {
+      const j = colIdx[k];
+      if (j !== i) sum += values[k] * Math.cos(phases[j] - theta) * (vector[j] - vi);
+    }
+    out[i] = (perNode ? gain[i] : gain) * sum;
+  }
+  return out;
+}
+
+export {
+  SparseAdjacency,
+  meanFieldCoupling,
+  meanFieldSweep,
+  sparseCoupling,
+  meanFieldJacobian,
+  sparseJacobian
+};
+
+export default {
+  SparseAdjacency,
+  meanFieldCoupling,
+  meanFieldSweep,
+  sparseCoupling,
+  meanFieldJacobian,
+  sparseJacobian
+};
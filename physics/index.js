@@ -17,7 +17,12 @@ import {  estimateLyapunov,
   adaptiveCoupling,
   localLyapunov,
   delayEmbedding,
-  stabilityMargin  } from './lyapunov.js';
+  stabilityMargin,
+  LyapunovTracker,
+  lyapunovSpectrum,
+  kaplanYorkeDimension,
+  classifySpectrum,
+  numericalJacobianProduct  } from './lyapunov.js';
 import {  collapseProbability,
   shouldCollapse,
   measureState,
@@ -41,6 +46,44 @@ import {  StochasticKuramoto,
   ThermalKuramoto,
   gaussianRandom  } from './stochastic-kuramoto.js';
 
+// Shared ODE/SDE integrators for the Kuramoto family
+import {
+  INTEGRATORS,
+  Integrator,
+  createIntegrator
+} from './integrators.js';
+
+// Mean-field and sparse (CSR) coupling kernels
+import {
+  SparseAdjacency,
+  meanFieldCoupling,
+  meanFieldSweep,
+  sparseCoupling,
+  meanFieldJacobian,
+  sparseJacobian
+} from './coupling.js';
+
+// Parameter sweeps and bifurcation analysis
+import {
+  parameterSweep,
+  estimateCriticalPoint,
+  detectHysteresis,
+  setModelParameter
+} from './sweep.js';
+
+// Cluster synchronization, chimera and metastability analysis
+import {
+  phaseLockingMatrix,
+  coherenceMatrix,
+  detectCommunities,
+  findSyncClusters,
+  groupOrderParameters,
+  neighborhoodOrderParameters,
+  chimeraIndex,
+  metastabilityIndex,
+  SyncAnalyzer
+} from './sync-analysis.js';
+
 // Primeon Z-Ladder with canonical U evolution
 import {  PrimeonZLadderU,
   createPrimeonLadder,
@@ -86,6 +129,28 @@ export {
     ColoredNoiseKuramoto,
     ThermalKuramoto,
     gaussianRandom,
+    INTEGRATORS,
+    Integrator,
+    createIntegrator,
+    SparseAdjacency,
+    meanFieldCoupling,
+    meanFieldSweep,
+    sparseCoupling,
+    meanFieldJacobian,
+    sparseJacobian,
+    parameterSweep,
+    estimateCriticalPoint,
+    detectHysteresis,
+    setModelParameter,
+    phaseLockingMatrix,
+    coherenceMatrix,
+    detectCommunities,
+    findSyncClusters,
+    groupOrderParameters,
+    neighborhoodOrderParameters,
+    chimeraIndex,
+    metastabilityIndex,
+    SyncAnalyzer,
     PrimeonZLadderU,
     createPrimeonLadder,
     shannonEntropyNats,
@@ -114,6 +179,11 @@ export {
     localLyapunov,
     delayEmbedding,
     stabilityMargin,
+    LyapunovTracker,
+    lyapunovSpectrum,
+    kaplanYorkeDimension,
+    classifySpectrum,
+    numericalJacobianProduct,
     collapseProbability,
     shouldCollapse,
     measureState,
@@ -145,6 +215,28 @@ export default {
     ColoredNoiseKuramoto,
     ThermalKuramoto,
     gaussianRandom,
+    INTEGRATORS,
+    Integrator,
+    createIntegrator,
+    SparseAdjacency,
+    meanFieldCoupling,
+    meanFieldSweep,
+    sparseCoupling,
+    meanFieldJacobian,
+    sparseJacobian,
+    parameterSweep,
+    estimateCriticalPoint,
+    detectHysteresis,
+    setModelParameter,
+    phaseLockingMatrix,
+    coherenceMatrix,
+    detectCommunities,
+    findSyncClusters,
+    groupOrderParameters,
+    neighborhoodOrderParameters,
+    chimeraIndex,
+    metastabilityIndex,
+    SyncAnalyzer,
     PrimeonZLadderU,
     createPrimeonLadder,
     shannonEntropyNats,
@@ -173,6 +265,11 @@ export default {
     localLyapunov,
     delayEmbedding,
     stabilityMargin,
+    LyapunovTracker,
+    lyapunovSpectrum,
+    kaplanYorkeDimension,
+    classifySpectrum,
+    numericalJacobianProduct,
     collapseProbability,
     shouldCollapse,
     measureState,
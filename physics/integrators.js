@@ -0,0 +1,299 @@
+/**
+ * ODE and SDE integrators shared by the Kuramoto-family models
+ *
+ * A system is an object with
+ *   drift(t, y)               → dy/dt (Float64Array)
+ * and, for stochastic schemes with diagonal noise dyᵢ = aᵢ dt + bᵢ dWᵢ,
+ *   diffusion(t, y)           → bᵢ (Float64Array)
+ *   diffusionDerivative(t, y) → ∂bᵢ/∂yᵢ (Milstein only; zero if omitted)
+ *   rng                       → generator for the Wiener increments
+ *
+ * Schemes:
+ * - euler:          explicit Euler, order 1
+ * - rk4:            classical Runge-Kutta, order 4
+ * - rk45:           Dormand-Prince 5(4) with embedded error control; dt is
+ *                   covered by as many accepted sub-steps as rtol/atol need
+ * - euler-maruyama: strong order 0.5 (1 for additive noise)
+ * - milstein:       strong order 1 (Itô); equals Euler-Maruyama when the
+ *                   noise is additive
+ * - heun:           stochastic Heun predictor-corrector (Stratonovich);
+ *                   second order in the drift
+ *
+ * @module physics/integrators
+ */
+
+import { defaultRng } from '../core/rng.js';
+
+// Dormand-Prince tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Difference between the 5th- and 4th-order weights
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+/**
+ * y + h·k
+ */
+function axpy(y, k, h) {
+  const out = new Float64Array(y.length);
+  for (let i = 0; i < y.length; i++) {
+    out[i] = y[i] + h * k[i];
+  }
+  return out;
+}
+
+function wienerIncrements(n, dt, rng) {
+  const dW = new Float64Array(n);
+  const scale = Math.sqrt(dt);
+  for (let i = 0; i < n; i++) {
+    dW[i] = scale * rng.gaussian();
+  }
+  return dW;
+}
+
+/**
+ * Step functions, called with the Integrator as `this`
+ */
+const SCHEMES = {
+  euler: {
+    order: 1,
+    stochastic: false,
+    step(system, y, dt, t) {
+      return axpy(y, system.drift(t, y), dt);
+    }
+  },
+
+  rk4: {
+    order: 4,
+    stochastic: false,
+    step(system, y, dt, t) {
+      const k1 = system.drift(t, y);
+      const k2 = system.drift(t + dt / 2, axpy(y, k1, dt / 2));
+      const k3 = system.drift(t + dt / 2, axpy(y, k2, dt / 2));
+      const k4 = system.drift(t + dt, axpy(y, k3, dt));
+      const out = new Float64Array(y.length);
+      for (let i = 0; i < y.length; i++) {
+        out[i] = y[i] + (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) * dt / 6;
+      }
+      return out;
+    }
+  },
+
+  rk45: {
+    order: 5,
+    stochastic: false,
+    adaptive: true,
+    step(system, y, dt, t) {
+      const end = t + dt;
+      let h = this.h ?? dt;
+      let k1 = system.drift(t, y);
+      let steps = 0;
+      let rejected = 0;
+      let maxError = 0;
+
+      while (end - t > 1e-12 * Math.max(1, Math.abs(end))) {
+        if (steps + rejected >= this.maxSteps) {
+          throw new Error(`rk45 exceeded ${this.maxSteps} sub-steps in one step of ${dt}`);
+        }
+        const step = Math.min(h, end - t);
+
+        const k = [k1];
+        for (let s = 1; s < 7; s++) {
+          const stage = Float64Array.from(y);
+          for (let j = 0; j < s; j++) {
+            const a = DP_A[s][j];
+            if (a === 0) continue;
+            for (let i = 0; i < y.length; i++) stage[i] += step * a * k[j][i];
+          }
+          k.push(system.drift(t + DP_C[s] * step, stage));
+          // The last stage is the 5th-order solution (first same as last)
+          if (s === 6) k.push(stage);
+        }
+        const next = k[7];
+
+        let sum = 0;
+        for (let i = 0; i < y.length; i++) {
+          let e = 0;
+          for (let s = 0; s < 7; s++) e += DP_E[s] * k[s][i];
+          const scale = this.atol + this.rtol * Math.max(Math.abs(y[i]), Math.abs(next[i]));
+          sum += (step * e / scale) ** 2;
+        }
+        const error = y.length > 0 ? Math.sqrt(sum / y.length) : 0;
+        const factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * error ** -0.2));
+
+        if (error <= 1) {
+          t += step;
+          y = next;
+          k1 = k[6];
+          steps++;
+          maxError = Math.max(maxError, error);
+          // A sub-step shortened to land on t + dt says little about the next one
+          h = step < h ? Math.max(h, step * factor) : step * factor;
+        } else {
+          rejected++;
+          h = step * factor;
+          if (h < this.minStep) {
+            throw new Error(`rk45 step size underflow at t=${t}`);
+          }
+        }
+      }
+
+      this.h = h;
+      this.stats = { steps, rejected, error: maxError };
+      return y;
+    }
+  },
+
+  'euler-maruyama': {
+    order: 0.5,
+    stochastic: true,
+    step(system, y, dt, t) {
+      const out = axpy(y, system.drift(t, y), dt);
+      if (!system.diffusion) return out;
+      const b = system.diffusion(t, y);
+      const dW = wienerIncrements(y.length, dt, system.rng || defaultRng);
+      for (let i = 0; i < y.length; i++) out[i] += b[i] * dW[i];
+      this.stats = { dW };
+      return out;
+    }
+  },
+
+  milstein: {
+    order: 1,
+    stochastic: true,
+    step(system, y, dt, t) {
+      const out = axpy(y, system.drift(t, y), dt);
+      if (!system.diffusion) return out;
+      const b = system.diffusion(t, y);
+      const db = system.diffusionDerivative ? system.diffusionDerivative(t, y) : null;
+      const dW = wienerIncrements(y.length, dt, system.rng || defaultRng);
+      for (let i = 0; i < y.length; i++) {
+        out[i] += b[i] * dW[i];
+        if (db) out[i] += 0.5 * b[i] * db[i] * (dW[i] * dW[i] - dt);
+      }
+      this.stats = { dW };
+      return out;
+    }
+  },
+
+  heun: {
+    order: 1,
+    stochastic: true,
+    step(system, y, dt, t) {
+      const a = system.drift(t, y);
+      const b = system.diffusion ? system.diffusion(t, y) : null;
+      const dW = b ? wienerIncrements(y.length, dt, system.rng || defaultRng) : null;
+
+      const predictor = axpy(y, a, dt);
+      if (b) for (let i = 0; i < y.length; i++) predictor[i] += b[i] * dW[i];
+
+      const a2 = system.drift(t + dt, predictor);
+      const b2 = b ? system.diffusion(t + dt, predictor) : null;
+      const out = new Float64Array(y.length);
+      for (let i = 0; i < y.length; i++) {
+        out[i] = y[i] + (a[i] + a2[i]) * dt / 2;
+        if (b) out[i] += (b[i] + b2[i]) * dW[i] / 2;
+      }
+      if (b) this.stats = { dW };
+      return out;
+    }
+  }
+};
+
+const INTEGRATORS = Object.keys(SCHEMES);
+
+/**
+ * A configured integration scheme
+ *
+ * Stateless apart from the step size carried between rk45 calls and the
+ * statistics of the last step.
+ */
+class Integrator {
+  /**
+   * @param {string} [name='euler'] - One of INTEGRATORS
+   * @param {object} [options={}] - rk45 error control
+   * @param {number} [options.rtol=1e-6] - Relative tolerance
+   * @param {number} [options.atol=1e-9] - Absolute tolerance
+   * @param {number} [options.maxSteps=10000] - Sub-step limit per step
+   * @param {number} [options.minStep=1e-12] - Smallest sub-step before giving up
+   */
+  constructor(name = 'euler', options = {}) {
+    const scheme = SCHEMES[name];
+    if (!scheme) {
+      throw new Error(`Unknown integrator: ${name} (expected one of ${INTEGRATORS.join(', ')})`);
+    }
+    this.name = name;
+    this.order = scheme.order;
+    this.stochastic = scheme.stochastic;
+    this.adaptive = scheme.adaptive || false;
+    this.rtol = options.rtol ?? 1e-6;
+    this.atol = options.atol ?? 1e-9;
+    this.maxSteps = options.maxSteps ?? 10000;
+    this.minStep = options.minStep ?? 1e-12;
+    this.h = null;
+    this.stats = {};
+  }
+
+  /**
+   * Advance y by dt
+   * @param {object} system - { drift, diffusion?, diffusionDerivative?, rng? }
+   * @param {Float64Array|number[]} y - Current state (not modified)
+   * @param {number} dt - Time step
+   * @param {number} [t=0] - Current time, for non-autonomous systems
+   * @returns {Float64Array} State at t + dt
+   */
+  step(system, y, dt, t = 0) {
+    this.stats = {};
+    return SCHEMES[this.name].step.call(this, system, Float64Array.from(y), dt, t);
+  }
+
+  /**
+   * Forget the adaptive step size
+   */
+  reset() {
+    this.h = null;
+    this.stats = {};
+    return this;
+  }
+
+  clone() {
+    return new Integrator(this.name, this.toJSON());
+  }
+
+  toJSON() {
+    return { name: this.name, rtol: this.rtol, atol: this.atol, maxSteps: this.maxSteps, minStep: this.minStep };
+  }
+}
+
+/**
+ * Resolve an `integrator` option
+ * @param {string|object|Integrator} [spec='euler'] - Name, { name, ...options } or an Integrator
+ * @returns {Integrator}
+ */
+function createIntegrator(spec = 'euler') {
+  if (spec instanceof Integrator) return spec;
+  if (spec && typeof spec === 'object') {
+    const { name, ...options } = spec;
+    return new Integrator(name, options);
+  }
+  return new Integrator(spec);
+}
+
+export {
+  INTEGRATORS,
+  Integrator,
+  createIntegrator
+};
+
+export default {
+  INTEGRATORS,
+  Integrator,
+  createIntegrator
+};
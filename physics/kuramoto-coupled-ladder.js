@@ -522,7 +522,8 @@ function createKuramotoLadder(primes, opts = {}) {
     autoCollapse: opts.autoCollapse ?? false,
     periodic: opts.periodic ?? true,
     zChannels: opts.zChannels,
-    Jt: opts.Jt
+    Jt: opts.Jt,
+    rng: opts.rng
   });
   
   if (primes.length > 0) {
@@ -3,12 +3,24 @@
  */
 
 import { OscillatorBank } from './oscillator.js';
+import { createRng, rngFromState } from '../core/rng.js';
+import { createIntegrator } from './integrators.js';
+import { meanFieldCoupling, meanFieldSweep, meanFieldJacobian } from './coupling.js';
+import { numericalJacobianProduct } from './lyapunov.js';
+
+/**
+ * Amplitude decay rate applied by KuramotoModel.tick()
+ */
+const AMPLITUDE_DECAY_RATE = 0.02;
 
 class KuramotoModel extends OscillatorBank {
   /**
    * Create a Kuramoto synchronization model
    * @param {number[]|OscillatorBank} frequenciesOrBank - Array of frequencies or an existing OscillatorBank
    * @param {number|object} [couplingOrOptions=0.3] - Coupling strength (number) or options object
+   * @param {number} [couplingOrOptions.coupling=0.3] - Coupling strength
+   * @param {*} [couplingOrOptions.rng] - Seed or generator for stochastic behaviour (see core/rng.js)
+   * @param {string|object} [couplingOrOptions.integrator='euler'] - Phase integrator (see physics/integrators.js)
    */
   constructor(frequenciesOrBank, couplingOrOptions = 0.3) {
     if (frequenciesOrBank instanceof OscillatorBank) {
@@ -30,6 +42,12 @@ class KuramotoModel extends OscillatorBank {
         ? (couplingOrOptions.coupling ?? 0.3)
         : couplingOrOptions;
     }
+    
+    if (typeof couplingOrOptions === 'object' && couplingOrOptions !== null) {
+      this.rng = createRng(couplingOrOptions.rng);
+    }
+    
+    this.integrator = createIntegrator(couplingOrOptions?.integrator ?? 'euler');
   }
   
   /**
@@ -70,10 +88,101 @@ class KuramotoModel extends OscillatorBank {
     return this.K * coupling / this.oscillators.length;
   }
   
+  /**
+   * Coupling term of every oscillator for a phase vector
+   *
+   * All-to-all coupling goes through the mean field in O(N). A subclass
+   * that only overrides kuramotoCoupling() is evaluated per oscillator,
+   * with the phases swapped in temporarily.
+   *
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @returns {Float64Array} Coupling terms
+   */
+  couplingTerms(phases) {
+    if (this.kuramotoCoupling === KuramotoModel.prototype.kuramotoCoupling) {
+      return meanFieldCoupling(phases, this.K);
+    }
+    const saved = this.oscillators.map(osc => osc.phase);
+    this.oscillators.forEach((osc, i) => { osc.phase = phases[i]; });
+    const terms = Float64Array.from(this.oscillators, osc => this.kuramotoCoupling(osc));
+    this.oscillators.forEach((osc, i) => { osc.phase = saved[i]; });
+    return terms;
+  }
+  
+  /**
+   * Phase velocities dθᵢ/dt = 2πfᵢ + couplingᵢ for a phase vector
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @returns {Float64Array} dθ/dt
+   */
+  derivatives(phases) {
+    const dtheta = this.couplingTerms(phases);
+    for (let i = 0; i < dtheta.length; i++) {
+      dtheta[i] += 2 * Math.PI * this.oscillators[i].freq;
+    }
+    return dtheta;
+  }
+  
+  /**
+   * Jacobian of derivatives() applied to a tangent vector, J(θ)·v
+   *
+   * All-to-all coupling is differentiated analytically in O(N). A subclass
+   * that changes the coupling without overriding this method falls back to
+   * central differences of derivatives().
+   *
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @param {Float64Array|number[]} vector - Tangent vector
+   * @returns {Float64Array} J(θ)·v
+   */
+  jacobianProduct(phases, vector) {
+    const base = KuramotoModel.prototype;
+    if (this.kuramotoCoupling === base.kuramotoCoupling &&
+        this.couplingTerms === base.couplingTerms &&
+        this.derivatives === base.derivatives) {
+      return meanFieldJacobian(phases, this.K, vector);
+    }
+    return numericalJacobianProduct(y => this.derivatives(y), phases, vector);
+  }
+  
+  /**
+   * Move every oscillator to new (unwrapped) phases, recording history
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   */
+  commitPhases(phases) {
+    this.oscillators.forEach((osc, i) => osc.tick(0, phases[i] - osc.phase));
+  }
+  
+  /**
+   * Euler step that moves the oscillators one at a time, in place
+   *
+   * Each oscillator sees the new phases of those before it. All-to-all
+   * coupling goes through meanFieldSweep() in O(N); an overridden
+   * kuramotoCoupling() is called once per oscillator.
+   *
+   * @param {number} dt - Timestep
+   * @param {Float64Array|number[]} [extra] - Additional phase increment per oscillator
+   */
+  sequentialStep(dt, extra) {
+    if (this.kuramotoCoupling === KuramotoModel.prototype.kuramotoCoupling) {
+      const freqs = Float64Array.from(this.oscillators, osc => osc.freq);
+      const increments = meanFieldSweep(Float64Array.from(this.oscillators, osc => osc.phase), freqs, this.K, dt, { extra });
+      this.oscillators.forEach((osc, i) => osc.tick(dt, increments[i]));
+    } else {
+      this.oscillators.forEach((osc, i) => {
+        osc.tick(dt, this.kuramotoCoupling(osc) * dt + (extra ? extra[i] : 0));
+      });
+    }
+  }
+  
   tick(dt) {
-    super.tick(dt, (osc) => this.kuramotoCoupling(osc) * dt);
+    if (this.integrator.name === 'euler') {
+      // Original in-place update: each oscillator sees the new phases of those before it
+      this.sequentialStep(dt);
+    } else {
+      const system = { drift: (t, y) => this.derivatives(y), rng: this.rng };
+      this.commitPhases(this.integrator.step(system, this.getPhases(), dt));
+    }
     for (const osc of this.oscillators) {
-      osc.decay(0.02, dt);
+      osc.decay(AMPLITUDE_DECAY_RATE, dt);
     }
   }
   
@@ -117,8 +226,61 @@ class KuramotoModel extends OscillatorBank {
     }
     return count > 0 ? total / count : 0;
   }
+  
+  /**
+   * Serialize oscillator state plus coupling strength
+   * @returns {object} Versioned snapshot
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      coupling: this.K,
+      integrator: this.integrator.toJSON()
+    };
+  }
+  
+  /**
+   * Overwrite this model's state with a toJSON() snapshot
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {KuramotoModel} this
+   */
+  loadState(json) {
+    super.loadState(json);
+    if (typeof json.coupling === 'number') this.K = json.coupling;
+    if (json.integrator) this.integrator = createIntegrator(json.integrator);
+    return this;
+  }
+  
+  /**
+   * Recreate a model from toJSON() output
+   *
+   * Called on a subclass, builds that subclass, and its loadState()
+   * restores the state it adds (adjacency, phase lag, noise, ...).
+   *
+   * @param {object} json - Snapshot from toJSON()
+   * @param {object} [options={}] - Options
+   * @param {*} [options.rng] - Generator to restore into (defaults to one rebuilt from the snapshot)
+   * @returns {KuramotoModel}
+   */
+  static fromJSON(json, options = {}) {
+    OscillatorBank.validateJSON(json);
+    const rng = options.rng !== undefined ? options.rng : rngFromState(json.rngState);
+    return this._fromSnapshot(json, json.oscillators.map(o => o.freq), rng).loadState(json);
+  }
+  
+  /**
+   * Construct the instance fromJSON() loads a snapshot into
+   *
+   * Subclasses whose constructor takes other arguments override this.
+   *
+   * @protected
+   */
+  static _fromSnapshot(json, frequencies, rng) {
+    return new this(frequencies, { coupling: json.coupling, rng });
+  }
 }
 
 export {
-    KuramotoModel
+    KuramotoModel,
+    AMPLITUDE_DECAY_RATE
 };
\ No newline at end of file
@@ -1,14 +1,28 @@
 /**
- * Lyapunov exponent estimation from phase histories
+ * Lyapunov exponent estimation
+ *
+ * - estimateLyapunov: quick estimate from phase histories or a time series
+ * - lyapunovSpectrum / LyapunovTracker: Benettin's method, propagating an
+ *   orthonormal frame of tangent vectors with the model Jacobian and
+ *   re-orthonormalising it (Gram-Schmidt QR); the exponents are the average
+ *   log growth of the frame along each direction
  */
 
+import { createRng } from '../core/rng.js';
+import { PrimeonZLadderU } from './primeon_z_ladder_u.js';
+
+/**
+ * Default window of estimateLyapunov()
+ */
+const LYAPUNOV_WINDOW = 20;
+
 /**
  * Estimate Lyapunov exponent from time series or oscillators
  * @param {number[]|object[]} historyOrOscillators - Time series array or oscillator objects
  * @param {number} [windowSize=20] - Window size for computation
  * @returns {number} Estimated Lyapunov exponent
  */
-function estimateLyapunov(historyOrOscillators, windowSize = 20) {
+function estimateLyapunov(historyOrOscillators, windowSize = LYAPUNOV_WINDOW) {
   // Handle both signatures: number[] (time series) or oscillator objects
   if (!historyOrOscillators || historyOrOscillators.length === 0) return 0;
   
@@ -166,11 +180,378 @@ function stabilityMargin(lyapunovExponent, threshold = 0.1) {
   return threshold - lyapunovExponent;
 }
 
+/**
+ * Directional derivative J(x)·v of f by central differences
+ * @param {Function} f - x => Float64Array
+ * @param {Float64Array|number[]} x - Point
+ * @param {Float64Array|number[]} v - Direction
+ * @param {number} [epsilon=1e-6] - Step along the unit direction
+ * @returns {Float64Array}
+ */
+function numericalJacobianProduct(f, x, v, epsilon = 1e-6) {
+  const norm = Math.sqrt(dot(v, v));
+  if (norm === 0) return new Float64Array(x.length);
+  const h = epsilon / norm;
+  const plus = f(Float64Array.from(x, (xi, i) => xi + h * v[i]));
+  const minus = f(Float64Array.from(x, (xi, i) => xi - h * v[i]));
+  return Float64Array.from(plus, (p, i) => (p - minus[i]) / (2 * h));
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function unit(v) {
+  const norm = Math.sqrt(dot(v, v));
+  return v.map(x => x / norm);
+}
+
+/**
+ * Tangent dynamics of a phase model: the Kuramoto family (tick/getPhases)
+ * or ALKKuramotoModel (step/theta)
+ *
+ * dθ/dt = f(θ) is linearised along RK4 stages of f, so dv/dt = J(θ)v is
+ * integrated to fourth order whatever scheme the model itself steps with.
+ * Coupling depends only on phase differences, so a common shift (1,…,1)
+ * is always neutral.
+ * @private
+ */
+function phaseTangent(model) {
+  const bank = typeof model.tick === 'function' && typeof model.getPhases === 'function';
+  const phases = bank ? () => Float64Array.from(model.getPhases()) : () => Float64Array.from(model.theta);
+  const product = typeof model.jacobianProduct === 'function'
+    ? (x, v) => model.jacobianProduct(x, v)
+    : (x, v) => numericalJacobianProduct(y => model.derivatives(y), x, v);
+  const N = phases().length;
+  const neutral = [new Float64Array(N).fill(1 / Math.sqrt(N))];
+  const directions = { constraints: [], neutral };
+
+  return {
+    dimension: N,
+    directions: () => directions,
+    advance: dt => (bank ? model.tick(dt) : model.step(dt)),
+    linearize(dt) {
+      const x1 = phases();
+      const k1 = model.derivatives(x1);
+      const x2 = x1.map((x, i) => x + 0.5 * dt * k1[i]);
+      const k2 = model.derivatives(x2);
+      const x3 = x1.map((x, i) => x + 0.5 * dt * k2[i]);
+      const k3 = model.derivatives(x3);
+      const x4 = x1.map((x, i) => x + dt * k3[i]);
+      const propagate = (v) => {
+        const l1 = product(x1, v);
+        const l2 = product(x2, v.map((vi, i) => vi + 0.5 * dt * l1[i]));
+        const l3 = product(x3, v.map((vi, i) => vi + 0.5 * dt * l2[i]));
+        const l4 = product(x4, v.map((vi, i) => vi + dt * l3[i]));
+        return v.map((vi, i) => vi + dt / 6 * (l1[i] + 2 * l2[i] + 2 * l3[i] + l4[i]));
+      };
+      return { propagate, directions };
+    }
+  };
+}
+
+/**
+ * Tangent dynamics of PrimeonZLadderU
+ *
+ * One step is ψ ↦ Aψ/|Aψ| with A = (1 - leak)(1 - i·dt·J·Δ), Δ the rung
+ * Laplacian; the leak factor cancels in the normalisation. Tangent vectors
+ * are real 2·N·d vectors (re, im interleaved). The radial direction ψ is
+ * off the unit sphere and always removed; the global phase iψ is neutral.
+ * @private
+ */
+function ladderTangent(model) {
+  const { N, d, periodic } = model;
+  const size = N * d;
+  const state = () => {
+    const x = new Float64Array(2 * size);
+    model.psi.forEach((c, i) => {
+      x[2 * i] = c.re;
+      x[2 * i + 1] = c.im;
+    });
+    return x;
+  };
+  // x + (-i·s)·Δx, same boundary handling as PrimeonZLadderU.step()
+  const hop = (x, s) => {
+    const y = new Float64Array(x.length);
+    for (let n = 0; n < N; n++) {
+      const nL = (n === 0) ? (periodic ? N - 1 : 0) : n - 1;
+      const nR = (n === N - 1) ? (periodic ? 0 : N - 1) : n + 1;
+      for (let k = 0; k < d; k++) {
+        const i = 2 * (n * d + k);
+        const iL = 2 * (nL * d + k);
+        const iR = 2 * (nR * d + k);
+        const lapRe = x[iL] + x[iR] - 2 * x[i];
+        const lapIm = x[iL + 1] + x[iR + 1] - 2 * x[i + 1];
+        y[i] = x[i] + s * lapIm;
+        y[i + 1] = x[i + 1] - s * lapRe;
+      }
+    }
+    return y;
+  };
+  const directionsOf = (x) => {
+    const radial = unit(x);
+    const phase = radial.map((_, i) => (i % 2 === 0 ? -radial[i + 1] : radial[i - 1]));
+    return { constraints: [radial], neutral: [phase] };
+  };
+
+  if (dot(state(), state()) === 0) {
+    throw new Error('Excite the ladder before computing its Lyapunov spectrum');
+  }
+
+  return {
+    dimension: 2 * size,
+    directions: () => directionsOf(state()),
+    advance: dt => model.step(dt),
+    linearize(dt) {
+      const u = hop(state(), dt * model.J);
+      const uu = dot(u, u);
+      const scale = 1 / Math.sqrt(uu);
+      const propagate = (v) => {
+        const w = hop(v, dt * model.J);
+        const c = dot(u, w) / uu;
+        return w.map((wi, i) => (wi - c * u[i]) * scale);
+      };
+      return { propagate, directions: directionsOf(u) };
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function tangentDynamics(model) {
+  if (model instanceof PrimeonZLadderU) return ladderTangent(model);
+  if (model && typeof model.derivatives === 'function' &&
+      ((typeof model.tick === 'function' && typeof model.getPhases === 'function') ||
+       (model.theta instanceof Float64Array && typeof model.step === 'function'))) {
+    return phaseTangent(model);
+  }
+  throw new Error(`Unsupported model for Lyapunov analysis: ${model?.constructor?.name ?? typeof model}`);
+}
+
+/**
+ * Running Lyapunov exponents along a model's trajectory
+ *
+ * Call update(dt) before each step the model takes; it carries the tangent
+ * frame across that step and re-orthonormalises it. Neutral directions
+ * (a common phase shift, the ladder's global phase) are projected out by
+ * default, so the leading exponent measures genuine convergence or
+ * divergence.
+ */
+class LyapunovTracker {
+  /**
+   * @param {object} model - Kuramoto-family model, ALKKuramotoModel or PrimeonZLadderU
+   * @param {object} [options={}]
+   * @param {number} [options.count] - Exponents to track (default: all)
+   * @param {boolean} [options.removeNeutral=true] - Project out neutral directions
+   * @param {number} [options.orthonormalizeEvery=1] - Steps between QR re-orthonormalisations
+   * @param {number} [options.window=Infinity] - Re-orthonormalisations averaged over
+   * @param {*} [options.rng] - Seed or generator for the initial frame
+   */
+  constructor(model, options = {}) {
+    const {
+      count,
+      removeNeutral = true,
+      orthonormalizeEvery = 1,
+      window = Infinity
+    } = options;
+
+    this.model = model;
+    this.tangent = tangentDynamics(model);
+    const { constraints, neutral } = this.tangent.directions();
+    this.removeNeutral = removeNeutral;
+    this.neutral = removeNeutral ? neutral.length : 0;
+
+    const available = this.tangent.dimension - constraints.length - this.neutral;
+    this.count = count ?? available;
+    if (!(Number.isInteger(this.count) && this.count >= 1 && this.count <= available)) {
+      throw new Error(`count must be an integer between 1 and ${available}`);
+    }
+    if (!(Number.isInteger(orthonormalizeEvery) && orthonormalizeEvery >= 1)) {
+      throw new Error('orthonormalizeEvery must be a positive integer');
+    }
+    if (!(window >= 1)) {
+      throw new Error('window must be at least 1');
+    }
+    this.orthonormalizeEvery = orthonormalizeEvery;
+    this.window = window;
+    this.rng = createRng(options.rng);
+    this.reset();
+  }
+
+  /**
+   * Draw a new random frame and forget the accumulated growth
+   */
+  reset() {
+    const dim = this.tangent.dimension;
+    this.vectors = Array.from({ length: this.count }, () =>
+      Float64Array.from({ length: dim }, () => this.rng.gaussian())
+    );
+    this._orthonormalize(this.tangent.directions());
+    this.steps = 0;
+    this.restart();
+  }
+
+  /**
+   * Forget the accumulated growth but keep the frame (e.g. after a transient)
+   */
+  restart() {
+    this.sums = new Float64Array(this.count);
+    this.time = 0;
+    this._segments = [];
+    this._elapsed = 0;
+  }
+
+  /**
+   * Carry the frame across the step the model is about to take
+   * @param {number} dt - Step size the model will use
+   * @returns {LyapunovTracker} this
+   */
+  update(dt) {
+    const { propagate, directions } = this.tangent.linearize(dt);
+    this.vectors = this.vectors.map(propagate);
+    this.steps++;
+    this._elapsed += dt;
+
+    if (this.steps % this.orthonormalizeEvery === 0) {
+      const logs = this._orthonormalize(directions);
+      this._segments.push({ dt: this._elapsed, logs });
+      for (let k = 0; k < this.count; k++) this.sums[k] += logs[k];
+      this.time += this._elapsed;
+      this._elapsed = 0;
+
+      if (this._segments.length > this.window) {
+        const old = this._segments.shift();
+        for (let k = 0; k < this.count; k++) this.sums[k] -= old.logs[k];
+        this.time -= old.dt;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Current exponents in Gram-Schmidt order (converges to descending)
+   * @returns {number[]}
+   */
+  get exponents() {
+    return Array.from(this.sums, s => (this.time > 0 ? s / this.time : 0));
+  }
+
+  /**
+   * Largest current exponent
+   */
+  get maximal() {
+    return Math.max(...this.exponents);
+  }
+
+  /**
+   * Remove fixed directions, then modified Gram-Schmidt
+   * @private
+   * @returns {Float64Array} log of each vector's norm before normalisation
+   */
+  _orthonormalize(directions) {
+    const fixed = this.removeNeutral
+      ? [...directions.constraints, ...directions.neutral]
+      : directions.constraints;
+    const logs = new Float64Array(this.count);
+    for (let k = 0; k < this.count; k++) {
+      const v = this.vectors[k];
+      for (const u of [...fixed, ...this.vectors.slice(0, k)]) {
+        const c = dot(u, v);
+        for (let i = 0; i < v.length; i++) v[i] -= c * u[i];
+      }
+      const norm = Math.sqrt(dot(v, v));
+      for (let i = 0; i < v.length; i++) v[i] /= norm;
+      logs[k] = Math.log(norm);
+    }
+    return logs;
+  }
+}
+
+/**
+ * Lyapunov spectrum of a model by Benettin's QR method
+ *
+ * Advances the model in place: `transient` steps to settle the frame,
+ * then `steps` steps that are averaged.
+ *
+ * @param {object} model - Kuramoto-family model, ALKKuramotoModel or PrimeonZLadderU
+ * @param {object} [options={}] - Also accepts the LyapunovTracker options
+ * @param {number} [options.dt=0.01] - Step size
+ * @param {number} [options.steps=1000] - Averaged steps
+ * @param {number} [options.transient=100] - Steps discarded first
+ * @returns {{exponents: number[], maximal: number, sum: number, kaplanYorke: number, neutral: number, time: number}}
+ */
+function lyapunovSpectrum(model, options = {}) {
+  const { dt = 0.01, steps = 1000, transient = 100 } = options;
+  if (!(steps >= 1)) throw new Error('steps must be at least 1');
+
+  const tracker = new LyapunovTracker(model, { ...options, window: Infinity });
+  for (let n = 0; n < transient; n++) {
+    tracker.update(dt);
+    tracker.tangent.advance(dt);
+  }
+  tracker.restart();
+  for (let n = 0; n < steps; n++) {
+    tracker.update(dt);
+    tracker.tangent.advance(dt);
+  }
+
+  const exponents = tracker.exponents.sort((a, b) => b - a);
+  return {
+    exponents,
+    maximal: exponents[0],
+    sum: exponents.reduce((a, b) => a + b, 0),
+    // Each removed neutral direction carries an exact zero exponent
+    kaplanYorke: kaplanYorkeDimension(exponents) + tracker.neutral,
+    neutral: tracker.neutral,
+    time: tracker.time
+  };
+}
+
+/**
+ * Kaplan-Yorke (Lyapunov) dimension j + (λ₁ + … + λⱼ)/|λⱼ₊₁|, with j the
+ * largest index whose partial sum is non-negative
+ * @param {number[]} exponents - Lyapunov exponents (any order)
+ * @returns {number}
+ */
+function kaplanYorkeDimension(exponents) {
+  const sorted = [...exponents].sort((a, b) => b - a);
+  let sum = 0;
+  for (let j = 0; j < sorted.length; j++) {
+    if (sum + sorted[j] < 0) {
+      return j + sum / Math.abs(sorted[j]);
+    }
+    sum += sorted[j];
+  }
+  return sorted.length;
+}
+
+/**
+ * Stability class from a spectrum, by its largest exponent
+ *
+ * Drop-in for classifyStability(estimateLyapunov(...)).
+ *
+ * @param {number[]|{exponents: number[]}} spectrum - Exponents, a lyapunovSpectrum() result or a LyapunovTracker
+ * @returns {'stable'|'unstable'|'chaotic'|'collapsed'}
+ */
+function classifySpectrum(spectrum) {
+  const exponents = Array.isArray(spectrum) ? spectrum : spectrum.exponents;
+  return classifyStability(exponents.length > 0 ? Math.max(...exponents) : 0);
+}
+
 export {
+    LYAPUNOV_WINDOW,
     estimateLyapunov,
     classifyStability,
     adaptiveCoupling,
     localLyapunov,
     delayEmbedding,
-    stabilityMargin
+    stabilityMargin,
+    LyapunovTracker,
+    lyapunovSpectrum,
+    kaplanYorkeDimension,
+    classifySpectrum,
+    numericalJacobianProduct
 };
\ No newline at end of file
@@ -1,3 +1,16 @@
+import { defaultRng, createRng, rngFromState } from '../core/rng.js';
+
+/**
+ * Serialization schema version for OscillatorBank.toJSON()
+ * Bump when the layout changes incompatibly.
+ */
+const OSCILLATOR_SCHEMA_VERSION = 1;
+
+/**
+ * Phases kept in Oscillator.phaseHistory
+ */
+const PHASE_HISTORY_LENGTH = 100;
+
 /**
  * Base class for phase-amplitude oscillator
  *
@@ -18,7 +31,7 @@ class Oscillator {
   tick(dt, coupling = 0) {
     this.phase = (this.phase + 2 * Math.PI * this.freq * dt + coupling) % (2 * Math.PI);
     this.phaseHistory.push(this.phase);
-    if (this.phaseHistory.length > 100) this.phaseHistory.shift();
+    if (this.phaseHistory.length > PHASE_HISTORY_LENGTH) this.phaseHistory.shift();
   }
   
   excite(amount = 0.5) {
@@ -43,6 +56,32 @@ class Oscillator {
     this.baseAmplitude = 0;
     this.phaseHistory = [];
   }
+  
+  /**
+   * Serialize full oscillator state, including phase history
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      freq: this.freq,
+      phase: this.phase,
+      amplitude: this.amplitude,
+      baseAmplitude: this.baseAmplitude,
+      phaseHistory: [...this.phaseHistory]
+    };
+  }
+  
+  /**
+   * Recreate an oscillator from toJSON() output
+   * @param {object} json - Serialized oscillator
+   * @returns {Oscillator}
+   */
+  static fromJSON(json) {
+    const osc = new Oscillator(json.freq, json.phase, json.amplitude);
+    osc.baseAmplitude = json.baseAmplitude ?? json.amplitude;
+    osc.phaseHistory = [...(json.phaseHistory || [])];
+    return osc;
+  }
 }
 
 /**
@@ -65,6 +104,9 @@ class OscillatorBank {
       this.oscillators = sizeOrFrequencies.map(f => new Oscillator(f));
       this.primeList = sizeOrFrequencies;
     }
+    
+    // Random source for stochastic subclasses (see core/rng.js)
+    this.rng = defaultRng;
   }
   
   /**
@@ -137,9 +179,92 @@ class OscillatorBank {
       osc.reset();
     }
   }
+  
+  /**
+   * Snapshot the random generator state (null when using Math.random)
+   * @returns {object|null}
+   */
+  getRngState() {
+    return this.rng.getState();
+  }
+  
+  /**
+   * Restore a random generator state captured by getRngState()
+   * @param {object} state - Saved generator state
+   * @returns {OscillatorBank} this
+   */
+  setRngState(state) {
+    if (state) this.rng.setState(state);
+    return this;
+  }
+  
+  /**
+   * Serialize the bank (frequencies, phases, amplitudes, histories, rng)
+   * @returns {object} Versioned snapshot
+   */
+  toJSON() {
+    return {
+      version: OSCILLATOR_SCHEMA_VERSION,
+      type: this.constructor.name,
+      primeList: [...this.primeList],
+      oscillators: this.oscillators.map(o => o.toJSON()),
+      rngState: this.getRngState()
+    };
+  }
+  
+  /**
+   * Overwrite this bank's state with a toJSON() snapshot
+   *
+   * The oscillator count must match; frequencies are taken from the snapshot.
+   *
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {OscillatorBank} this
+   */
+  loadState(json) {
+    OscillatorBank.validateJSON(json);
+    if (json.oscillators.length !== this.oscillators.length) {
+      throw new Error(
+        `Cannot restore ${json.oscillators.length} oscillators into a bank of ${this.oscillators.length}`
+      );
+    }
+    this.oscillators = json.oscillators.map(o => Oscillator.fromJSON(o));
+    if (json.primeList) this.primeList = [...json.primeList];
+    this.setRngState(json.rngState);
+    return this;
+  }
+  
+  /**
+   * Check that a snapshot is readable by this version of the library
+   * @param {object} json - Snapshot from toJSON()
+   * @throws {Error} If the snapshot is malformed or from a newer schema
+   */
+  static validateJSON(json) {
+    if (!json || !Array.isArray(json.oscillators)) {
+      throw new Error('Invalid oscillator snapshot: missing oscillators');
+    }
+    if (json.version !== OSCILLATOR_SCHEMA_VERSION) {
+      throw new Error(
+        `Unsupported oscillator schema version ${json.version} (expected ${OSCILLATOR_SCHEMA_VERSION})`
+      );
+    }
+  }
+  
+  /**
+   * Recreate a bank from toJSON() output
+   * @param {object} json - Snapshot from toJSON()
+   * @param {object} [options={}] - Options
+   * @param {*} [options.rng] - Generator to restore into (defaults to one rebuilt from the snapshot)
+   * @returns {OscillatorBank}
+   */
+  static fromJSON(json, options = {}) {
+    OscillatorBank.validateJSON(json);
+    const bank = new OscillatorBank(json.oscillators.map(o => o.freq));
+    bank.rng = options.rng !== undefined ? createRng(options.rng) : rngFromState(json.rngState);
+    return bank.loadState(json);
+  }
 }
 
 // Named exports for ESM compatibility
-export { Oscillator, OscillatorBank };
+export { Oscillator, OscillatorBank, OSCILLATOR_SCHEMA_VERSION, PHASE_HISTORY_LENGTH };
 
-export default { Oscillator, OscillatorBank };
\ No newline at end of file
+export default { Oscillator, OscillatorBank, OSCILLATOR_SCHEMA_VERSION, PHASE_HISTORY_LENGTH };
\ No newline at end of file
@@ -21,6 +21,7 @@ import {  PrimeonZLadderU,
   shannonEntropyNats,
   probsOf,
   normalize  } from './primeon_z_ladder_u.js';
+import { createRng } from '../core/rng.js';
 
 /**
  * Z Channel configuration
@@ -131,6 +132,7 @@ class PrimeonZLadderMulti {
    * @param {object[]} opts.zChannels - Array of channel configurations
    * @param {boolean} [opts.periodic=true] - Periodic boundary conditions
    * @param {Function} [opts.Jt=null] - Time-dependent J function J(t)
+   * @param {*} [opts.rng] - Seed or generator for measurement sampling
    */
   constructor(opts) {
     this.N = opts.N;
@@ -139,6 +141,7 @@ class PrimeonZLadderMulti {
     this.J0 = this.J; // Store initial J for Jt reference
     this.periodic = opts.periodic ?? true;
     this.Jt = opts.Jt ?? null; // Time-dependent Hamiltonian
+    this.rng = createRng(opts.rng);
     
     // Core state
     this.psi = Array.from({ length: this.N * this.d }, () => C.zero());
@@ -488,7 +491,7 @@ class PrimeonZLadderMulti {
    */
   sampleRung() {
     const probs = this.rungProbabilities();
-    const r = Math.random();
+    const r = this.rng.next();
     let cumulative = 0;
     for (let n = 0; n < this.N; n++) {
       cumulative += probs[n];
@@ -570,6 +573,7 @@ class PrimeonZLadderMulti {
       periodic: this.periodic,
       psi: this.psi.map(v => ({ re: v.re, im: v.im })),
       channels: channelSnapshots,
+      rngState: this.rng.getState(),
       ...this.metrics()
     };
   }
@@ -588,6 +592,7 @@ class PrimeonZLadderMulti {
         channel.restore(channelSnap);
       }
     }
+    if (snap.rngState) this.rng.setState(snap.rngState);
   }
 }
 
@@ -611,7 +616,8 @@ function createMultiChannelLadder(primes, opts = {}) {
     J: opts.J ?? 0.25,
     zChannels,
     periodic: opts.periodic ?? true,
-    Jt: opts.Jt ?? null
+    Jt: opts.Jt ?? null,
+    rng: opts.rng
   });
   
   if (primes.length > 0) {
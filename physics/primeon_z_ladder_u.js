@@ -10,6 +10,8 @@
  */
 'use strict';
 
+import { createRng } from '../core/rng.js';
+
 /**
  * Minimal Complex number helpers (intentionally tiny for predictable perf).
  */
@@ -143,6 +145,7 @@ class PrimeonZLadderU {
    * @param {number} [opts.leak=0.05]   Fraction of amplitude leaked core->Z per step (0..1)
    * @param {boolean} [opts.closeZ=true]   If true, Z is projected out each step (closure)
    * @param {boolean} [opts.periodic=true] Periodic boundary conditions
+   * @param {*} [opts.rng]           Seed or generator for measurement sampling
    */
   constructor(opts) {
     this.N = opts.N;
@@ -152,6 +155,7 @@ class PrimeonZLadderU {
     this.leak = clamp01(opts.leak ?? 0.05);
     this.closeZ = opts.closeZ ?? true;
     this.periodic = opts.periodic ?? true;
+    this.rng = createRng(opts.rng);
 
     // State arrays: ψ and z as [N][d] and [N][dz] flattened
     this.psi = Array.from({ length: this.N * this.d }, () => C.zero());
@@ -372,6 +376,7 @@ class PrimeonZLadderU {
       periodic: this.periodic,
       psi: this.psi.map(v => ({ re: v.re, im: v.im })),
       z: this.z.map(v => ({ re: v.re, im: v.im })),
+      rngState: this.rng.getState(),
       ...this.metrics()
     };
   }
@@ -387,6 +392,7 @@ class PrimeonZLadderU {
     this.z = snap.z.map(v => new C(v.re, v.im));
     this.totalZFlux = snap.zFluxTotal;
     this.lastZFlux = snap.zFlux;
+    if (snap.rngState) this.rng.setState(snap.rngState);
   }
 
   /**
@@ -411,7 +417,7 @@ class PrimeonZLadderU {
    */
   sampleRung() {
     const probs = this.rungProbabilities();
-    const r = Math.random();
+    const r = this.rng.next();
     let cumulative = 0;
     for (let n = 0; n < this.N; n++) {
       cumulative += probs[n];
@@ -472,7 +478,8 @@ function createPrimeonLadder(primes, opts = {}) {
     J: opts.J ?? 0.25,
     leak: opts.leak ?? 0.05,
     closeZ: opts.closeZ ?? true,
-    periodic: opts.periodic ?? true
+    periodic: opts.periodic ?? true,
+    rng: opts.rng
   });
   
   if (primes.length > 0) {
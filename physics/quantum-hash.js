@@ -11,14 +11,24 @@
  */
 
 import { Complex, normalizeComplex } from './primeon_z_ladder_u.js';
+import { createRng } from '../core/rng.js';
+
+// classicalHash() returns unsigned 32-bit values whatever the bitWidth
+const CLASSICAL_HASH_BITS = 32;
 
 /**
  * Quantum Hash Function Core
  */
 class QuantumHash {
-  constructor(bitWidth = 32) {
+  /**
+   * @param {number} [bitWidth=32] - Output width in bits
+   * @param {object} [options={}] - Options
+   * @param {*} [options.rng] - Seed or generator for sampling (default: Math.random)
+   */
+  constructor(bitWidth = 32, options = {}) {
     this.bitWidth = bitWidth;
     this.N = Math.pow(2, bitWidth);
+    this.rng = createRng(options.rng);
   }
 
   /**
@@ -60,8 +70,8 @@ class QuantumHash {
     let matches = 0;
     
     for (let i = 0; i < samples; i++) {
-      const x = Math.floor(Math.random() * this.N);
-      const y = Math.floor(Math.random() * this.N);
+      const x = this.rng.nextInt(this.N);
+      const y = this.rng.nextInt(this.N);
       
       const f_xy = this.classicalHash(x ^ y);
       const fx_fy = this.classicalHash(x) ^ this.classicalHash(y);
@@ -77,10 +87,21 @@ class QuantumHash {
 
 /**
  * Collision Detection using Quantum Interference
+ *
+ * Every search is recorded in `findings`, in the form
+ * HashQualityTester.addFindings() (core/hash-quality.js) accepts, so hits
+ * can be compared with what an ideal hash of the same width would give.
  */
 class CollisionDetector {
-  constructor(hashFunction) {
+  /**
+   * @param {QuantumHash} hashFunction - Hash under test
+   * @param {object} [options={}] - Options
+   * @param {*} [options.rng] - Seed or generator for candidate sampling
+   */
+  constructor(hashFunction, options = {}) {
     this.hash = hashFunction;
+    this.rng = createRng(options.rng ?? hashFunction.rng);
+    this.findings = [];
   }
 
   /**
@@ -97,17 +118,56 @@ class CollisionDetector {
     // I(x,y) = |⟨H(x)|H(y)⟩|²
     
     for (let i = 0; i < maxSteps; i++) {
-      const x = Math.floor(Math.random() * this.hash.N);
+      const x = this.rng.nextInt(this.hash.N);
       const hx = this.hash.classicalHash(x);
       
       // Check for collision (constructive interference)
       if (hx === targetHash) {
+        this.findings.push({ type: 'preimage', bits: CLASSICAL_HASH_BITS, trials: i + 1, found: true, preimage: x });
         return { found: true, preimage: x, steps: i };
       }
     }
     
+    this.findings.push({ type: 'preimage', bits: CLASSICAL_HASH_BITS, trials: maxSteps, found: false });
     return { found: false, steps: maxSteps };
   }
+
+  /**
+   * Birthday search: hash random inputs and collect colliding pairs
+   * @param {number} [samples=10000] - Inputs to draw
+   * @returns {{samples: number, collisions: Array<{x: number, y: number, hash: number}>}}
+   */
+  searchCollisions(samples = 10000) {
+    if (samples > this.hash.N) {
+      throw new Error(`Cannot draw ${samples} distinct inputs from a ${this.hash.bitWidth}-bit domain`);
+    }
+    const seen = new Map();
+    const inputs = new Set();
+    const collisions = [];
+    while (inputs.size < samples) {
+      const x = this.rng.nextInt(this.hash.N);
+      if (inputs.has(x)) continue;
+      inputs.add(x);
+      const hx = this.hash.classicalHash(x);
+      if (seen.has(hx)) {
+        for (const y of seen.get(hx)) collisions.push({ x, y, hash: hx });
+        seen.get(hx).push(x);
+      } else {
+        seen.set(hx, [x]);
+      }
+    }
+    this.findings.push({ type: 'birthday', bits: CLASSICAL_HASH_BITS, samples, collisions: collisions.length });
+    return { samples, collisions };
+  }
+
+  /**
+   * Hand the recorded findings to a HashQualityTester
+   * @param {HashQualityTester} tester
+   * @returns {HashQualityTester} The tester
+   */
+  reportTo(tester) {
+    return tester.addFindings(this.findings);
+  }
 }
 
 /**
@@ -13,15 +13,18 @@
 
 'use strict';
 
+import { KuramotoModel } from './kuramoto.js';
+import { defaultRng } from '../core/rng.js';
+import { meanFieldCoupling, meanFieldJacobian } from './coupling.js';
+
 /**
  * Box-Muller transform for Gaussian random numbers
+ * @param {object} [rng=defaultRng] - Random generator (see core/rng.js)
  * @returns {number} Standard normal random variable
  */
-import { KuramotoModel } from './kuramoto.js';
-
-function gaussianRandom() {
-  const u1 = Math.random();
-  const u2 = Math.random();
+function gaussianRandom(rng = defaultRng) {
+  const u1 = rng.next();
+  const u2 = rng.next();
   return Math.sqrt(-2 * Math.log(u1 || 1e-10)) * Math.cos(2 * Math.PI * u2);
 }
 
@@ -42,9 +45,21 @@ class StochasticKuramoto extends KuramotoModel {
    * @param {string} [options.noiseType='white'] - 'white' or 'colored'
    * @param {number} [options.correlationTime=1.0] - τ for colored noise
    * @param {number} [options.temperature=1.0] - Temperature for T-dependent coupling
+   * @param {*} [options.rng] - Seed or generator for the noise source (default: Math.random)
+   * @param {string|object} [options.integrator='euler-maruyama'] - 'euler-maruyama', 'milstein' or 'heun'
    */
   constructor(frequencies, options = {}) {
-    super(frequencies, options.coupling || 0.3);
+    super(frequencies, {
+      coupling: options.coupling || 0.3,
+      rng: options.rng,
+      integrator: options.integrator ?? 'euler-maruyama'
+    });
+    
+    if (!this.integrator.stochastic) {
+      throw new Error(
+        `${this.constructor.name} needs a stochastic integrator (euler-maruyama, milstein or heun), got ${this.integrator.name}`
+      );
+    }
     
     this.sigma = options.noiseIntensity ?? 0.1;
     this.noiseType = options.noiseType || 'white';
@@ -101,7 +116,7 @@ class StochasticKuramoto extends KuramotoModel {
    * @returns {number} Noise increment σ·√dt·N(0,1)
    */
   whiteNoiseIncrement(dt) {
-    return this.sigma * Math.sqrt(dt) * gaussianRandom();
+    return this.sigma * Math.sqrt(dt) * gaussianRandom(this.rng);
   }
   
   /**
@@ -118,7 +133,7 @@ class StochasticKuramoto extends KuramotoModel {
     const diffusion = this.sigma * Math.sqrt((1 - decay * decay) / 2);
     
     // Exact update for OU process
-    this.coloredNoiseState[idx] = eta * decay + diffusion * gaussianRandom();
+    this.coloredNoiseState[idx] = eta * decay + diffusion * gaussianRandom(this.rng);
     
     return this.coloredNoiseState[idx];
   }
@@ -141,16 +156,19 @@ class StochasticKuramoto extends KuramotoModel {
    * @param {object} osc - Oscillator
    * @param {number} idx - Oscillator index
    * @param {number} dt - Time step
+   * @param {number} [coupling] - Σⱼ sin(θⱼ - θᵢ), when the caller already has it
    * @returns {number} Phase increment (deterministic + stochastic)
    */
-  stochasticCoupling(osc, idx, dt) {
+  stochasticCoupling(osc, idx, dt, coupling) {
     // Deterministic Kuramoto coupling
-    let coupling = 0;
     const Keff = this.getEffectiveCoupling();
     
-    for (const other of this.oscillators) {
-      if (other !== osc) {
-        coupling += Math.sin(other.phase - osc.phase);
+    if (coupling === undefined) {
+      coupling = 0;
+      for (const other of this.oscillators) {
+        if (other !== osc) {
+          coupling += Math.sin(other.phase - osc.phase);
+        }
       }
     }
     
@@ -165,6 +183,32 @@ class StochasticKuramoto extends KuramotoModel {
     return deterministicPart + stochasticPart;
   }
   
+  /**
+   * Deterministic drift ωᵢ + K_eff·coupling(i) for a phase vector, in O(N)
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @returns {Float64Array} Drift
+   */
+  derivatives(phases) {
+    const drift = meanFieldCoupling(phases, this.getEffectiveCoupling());
+    for (let i = 0; i < drift.length; i++) {
+      drift[i] += this.oscillators[i].freq;
+    }
+    return drift;
+  }
+  
+  /**
+   * Jacobian of the drift applied to a tangent vector
+   *
+   * The noise is additive, so it drops out of the linearisation.
+   *
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @param {Float64Array|number[]} vector - Tangent vector
+   * @returns {Float64Array}
+   */
+  jacobianProduct(phases, vector) {
+    return meanFieldJacobian(phases, this.getEffectiveCoupling(), vector);
+  }
+  
   /**
    * Update running noise statistics
    * @private
@@ -182,22 +226,10 @@ class StochasticKuramoto extends KuramotoModel {
    * @param {number} dt - Time step size
    */
   tick(dt) {
-    // Store noise values for this step
-    const stepNoise = [];
-    
-    for (let i = 0; i < this.oscillators.length; i++) {
-      const osc = this.oscillators[i];
-      const phaseIncrement = this.stochasticCoupling(osc, i, dt);
-      
-      stepNoise.push(phaseIncrement);
-      
-      // Update phase
-      osc.phase += osc.frequency * dt + phaseIncrement;
-      osc.phase = ((osc.phase % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
-      
-      // Amplitude decay
-      osc.decay(0.02, dt);
-    }
+    // Phase increments beyond the natural frequency, for this step
+    const stepNoise = this.integrator.name === 'euler-maruyama'
+      ? this._eulerMaruyamaStep(dt)
+      : this._integratorStep(dt);
     
     // Record history
     if (this.noiseHistory.length < this.maxHistoryLength) {
@@ -216,6 +248,85 @@ class StochasticKuramoto extends KuramotoModel {
     }
   }
   
+  /**
+   * Original Euler-Maruyama update, one oscillator at a time
+   *
+   * Each oscillator sees the new phases of those before it. Σⱼ e^(iθⱼ) is
+   * patched after every update, so the coupling sums cost O(N) per step.
+   * @private
+   */
+  _eulerMaruyamaStep(dt) {
+    const stepNoise = [];
+    let C = 0, S = 0;
+    for (const osc of this.oscillators) {
+      C += Math.cos(osc.phase);
+      S += Math.sin(osc.phase);
+    }
+    
+    for (let i = 0; i < this.oscillators.length; i++) {
+      const osc = this.oscillators[i];
+      const previous = osc.phase;
+      const coupling = S * Math.cos(previous) - C * Math.sin(previous);
+      const phaseIncrement = this.stochasticCoupling(osc, i, dt, coupling);
+      
+      stepNoise.push(phaseIncrement);
+      
+      // Update phase
+      osc.phase += osc.freq * dt + phaseIncrement;
+      osc.phase = ((osc.phase % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+      C += Math.cos(osc.phase) - Math.cos(previous);
+      S += Math.sin(osc.phase) - Math.sin(previous);
+      
+      // Amplitude decay
+      osc.decay(0.02, dt);
+    }
+    
+    return stepNoise;
+  }
+  
+  /**
+   * Update all phases together with the configured SDE scheme
+   * 
+   * White noise is the diffusion term σ·dWᵢ. Colored noise is an
+   * Ornstein-Uhlenbeck forcing ηᵢ advanced once and held over the step.
+   * @private
+   */
+  _integratorStep(dt) {
+    const N = this.oscillators.length;
+    const colored = this.noiseType === 'colored';
+    const eta = colored
+      ? Float64Array.from(this.oscillators, (_, i) => this.updateColoredNoise(i, dt))
+      : null;
+    
+    const system = {
+      rng: this.rng,
+      drift: (t, y) => {
+        const dtheta = this.derivatives(y);
+        if (eta) {
+          for (let i = 0; i < N; i++) dtheta[i] += eta[i];
+        }
+        return dtheta;
+      },
+      diffusion: colored ? null : () => new Float64Array(N).fill(this.sigma)
+    };
+    
+    const phases = this.getPhases();
+    const next = this.integrator.step(system, phases, dt);
+    const { dW } = this.integrator.stats;
+    const stepNoise = [];
+    
+    for (let i = 0; i < N; i++) {
+      const osc = this.oscillators[i];
+      this._updateNoiseStats(colored ? eta[i] * dt : this.sigma * dW[i]);
+      stepNoise.push(next[i] - phases[i] - osc.freq * dt);
+      
+      osc.phase = ((next[i] % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+      osc.decay(0.02, dt);
+    }
+    
+    return stepNoise;
+  }
+  
   /**
    * Run multiple steps
    * @param {number} steps - Number of steps
@@ -374,9 +485,47 @@ class StochasticKuramoto extends KuramotoModel {
       temperature: this.temperature,
       effectiveCoupling: this.getEffectiveCoupling(),
       noiseStats: { ...this.noiseStats },
-      coloredNoiseState: [...this.coloredNoiseState]
+      coloredNoiseState: [...this.coloredNoiseState],
+      rngState: this.getRngState()
     };
   }
+  
+  /**
+   * Serialize the model, including its noise parameters and OU state
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      noise: {
+        intensity: this.sigma,
+        type: this.noiseType,
+        correlationTime: this.tau,
+        temperature: this.temperature,
+        temperatureCoupling: this.useTemperatureCoupling,
+        colored: [...this.coloredNoiseState]
+      }
+    };
+  }
+  
+  /**
+   * Overwrite this model's state with a toJSON() snapshot
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {StochasticKuramoto} this
+   */
+  loadState(json) {
+    super.loadState(json);
+    const { noise } = json;
+    if (noise) {
+      this.sigma = noise.intensity;
+      this.noiseType = noise.type;
+      this.tau = noise.correlationTime;
+      this.temperature = noise.temperature;
+      this.useTemperatureCoupling = noise.temperatureCoupling;
+      this.coloredNoiseState = Float64Array.from(noise.colored);
+    }
+    return this;
+  }
 }
 
 /**
@@ -391,6 +540,7 @@ class ColoredNoiseKuramoto extends StochasticKuramoto {
    * @param {number} [options.coupling=0.3] - Coupling strength
    * @param {number} [options.noiseIntensity=0.1] - Noise amplitude
    * @param {number} [options.correlationTime=1.0] - OU correlation time
+   * @param {*} [options.rng] - Seed or generator for the noise source
    */
   constructor(frequencies, options = {}) {
     super(frequencies, {
@@ -464,6 +614,7 @@ class ThermalKuramoto extends StochasticKuramoto {
    * @param {object} options - Configuration
    * @param {number} [options.coupling=0.3] - Coupling strength
    * @param {number} [options.temperature=1.0] - Initial temperature
+   * @param {*} [options.rng] - Seed or generator for the noise source
    */
   constructor(frequencies, options = {}) {
     super(frequencies, {
@@ -500,7 +651,7 @@ class ThermalKuramoto extends StochasticKuramoto {
    */
   estimateCriticalTemperature() {
     // Approximate T_c = K * (frequency spread factor)
-    const freqs = this.oscillators.map(o => o.frequency);
+    const freqs = this.oscillators.map(o => o.freq);
     const meanFreq = freqs.reduce((a, b) => a + b, 0) / freqs.length;
     const freqSpread = Math.sqrt(
       freqs.reduce((sum, f) => sum + (f - meanFreq) ** 2, 0) / freqs.length
@@ -0,0 +1,558 @@
+/**
+ * Parameter sweeps and bifurcation analysis for synchronization models
+ *
+ * Varies one or two model parameters over a grid and records, at each
+ * point, the phase order parameter r, the phase entropy and the largest
+ * Lyapunov exponent of the model's tangent dynamics. Each grid point gets a warm-up phase and then an averaging
+ * window. Sweeps use continuation: the state at one grid point seeds the
+ * next. Running forward and then backward over the same grid exposes
+ * hysteresis.
+ *
+ * Supported models (detected by shape):
+ * - KuramotoModel and its subclasses (SakaguchiKuramoto, NetworkKuramoto,
+ *   StochasticKuramoto, ThermalKuramoto, ...): advanced with tick(dt)
+ * - ALKKuramotoModel / ALKNetworkKuramoto: advanced with step(dt)
+ * - KuramotoCoupledLadder: advanced with step(dt); rung phases are weighted
+ *   by rung amplitude
+ *
+ * @module physics/sweep
+ */
+
+import { createRng } from '../core/rng.js';
+import { shannonEntropy } from './entropy.js';
+import { LyapunovTracker } from './lyapunov.js';
+import { C } from './primeon_z_ladder_u.js';
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Model adapters: advance, read phases (and optional weights), set phases
+ */
+const ADAPTERS = [
+  {
+    name: 'ladder',
+    matches: model => typeof model.getRungPhases === 'function',
+    advance: (model, dt) => model.step(dt),
+    phases: model => model.getRungPhases(),
+    weights: model => model.getRungAmplitudes(),
+    setPhases(model, phases) {
+      const current = model.getRungPhases();
+      for (let n = 0; n < model.N; n++) {
+        const rotation = phases[n] - current[n];
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        for (let k = 0; k < model.d; k++) {
+          const z = model.psi[n * model.d + k];
+          model.psi[n * model.d + k] = new C(z.re * cos - z.im * sin, z.re * sin + z.im * cos);
+        }
+      }
+    }
+  },
+  {
+    name: 'alk',
+    matches: model => model.theta instanceof Float64Array && typeof model.step === 'function',
+    advance: (model, dt) => model.step(dt),
+    phases: model => model.theta,
+    weights: () => null,
+    setPhases: (model, phases) => model.setPhases(phases)
+  },
+  {
+    name: 'kuramoto',
+    matches: model => Array.isArray(model.oscillators) && typeof model.tick === 'function',
+    advance: (model, dt) => model.tick(dt),
+    phases: model => model.getPhases(),
+    weights: () => null,
+    setPhases(model, phases) {
+      model.oscillators.forEach((osc, i) => { osc.phase = phases[i]; });
+    }
+  }
+];
+
+function adapterFor(model) {
+  const adapter = ADAPTERS.find(a => a.matches(model));
+  if (!adapter) {
+    throw new Error(`Unsupported model for parameterSweep: ${model?.constructor?.name ?? typeof model}`);
+  }
+  return adapter;
+}
+
+/**
+ * Set a named parameter on a model
+ *
+ * Recognised names:
+ * - 'coupling' / 'K': K, or couplingScale on ALK models
+ * - 'phaseLag' / 'alpha': Sakaguchi phase lag
+ * - 'temperature': StochasticKuramoto/ThermalKuramoto temperature
+ * - 'noiseIntensity' / 'sigma': stochastic noise amplitude
+ * - 'couplingScale' / 'triadicScale': ALK scales, through setCouplingScale()
+ *   and setTriadicScale() so the cached tensors are rebuilt
+ *
+ * Any other name calls a matching set<Name>() method or assigns an
+ * existing numeric property.
+ *
+ * @param {object} model - Model instance
+ * @param {string} name - Parameter name
+ * @param {number} value - New value
+ */
+function setModelParameter(model, name, value) {
+  const isALK = model.theta instanceof Float64Array && 'couplingScale' in model;
+
+  switch (name) {
+    case 'coupling':
+    case 'K':
+      if (isALK) return setModelParameter(model, 'couplingScale', value);
+      model.K = value;
+      return;
+    case 'phaseLag':
+    case 'alpha':
+      if (typeof model.setPhaseLag === 'function') model.setPhaseLag(value);
+      else model.alpha = value;
+      return;
+    case 'temperature':
+      model.setTemperature(value);
+      return;
+    case 'noiseIntensity':
+    case 'sigma':
+      model.setNoiseIntensity(value);
+      return;
+  }
+
+  const setter = `set${name[0].toUpperCase()}${name.slice(1)}`;
+  if (typeof model[setter] === 'function') {
+    model[setter](value);
+  } else if (typeof model[name] === 'number') {
+    model[name] = value;
+  } else {
+    throw new Error(`Cannot set parameter "${name}" on ${model.constructor.name}`);
+  }
+}
+
+/**
+ * Normalise a parameter spec into { name, values, set }
+ * @private
+ */
+function resolveParameter(spec) {
+  if (!spec || typeof spec.name !== 'string') {
+    throw new Error('Each swept parameter needs a name');
+  }
+  let values = spec.values;
+  if (!Array.isArray(values)) {
+    const { from, to, steps } = values || {};
+    if (![from, to].every(Number.isFinite) || !(steps >= 2)) {
+      throw new Error(`Parameter "${spec.name}" needs values: number[] or { from, to, steps >= 2 }`);
+    }
+    values = Array.from({ length: steps }, (_, i) => from + (to - from) * i / (steps - 1));
+  }
+  if (values.length < 2) {
+    throw new Error(`Parameter "${spec.name}" needs at least two values`);
+  }
+  values = [...values].sort((a, b) => a - b);
+  const set = spec.set || ((model, value) => setModelParameter(model, spec.name, value));
+  return { name: spec.name, values, set };
+}
+
+/**
+ * Weighted phase coherence |Σ wᵢ e^(iθᵢ)| / Σ wᵢ
+ * @private
+ */
+function coherence(phases, weights) {
+  let sx = 0, sy = 0, total = 0;
+  for (let i = 0; i < phases.length; i++) {
+    const w = weights ? weights[i] : 1;
+    sx += w * Math.cos(phases[i]);
+    sy += w * Math.sin(phases[i]);
+    total += w;
+  }
+  return total > 0 ? Math.hypot(sx, sy) / total : 0;
+}
+
+/**
+ * Shannon entropy (bits) of the weighted phase histogram
+ * @private
+ */
+function phaseEntropy(phases, weights, bins) {
+  const counts = new Float64Array(bins);
+  let total = 0;
+  for (let i = 0; i < phases.length; i++) {
+    const w = weights ? weights[i] : 1;
+    const wrapped = ((phases[i] % TWO_PI) + TWO_PI) % TWO_PI;
+    counts[Math.min(bins - 1, Math.floor(wrapped / TWO_PI * bins))] += w;
+    total += w;
+  }
+  if (total <= 0) return 0;
+  return shannonEntropy(Array.from(counts, c => c / total).filter(p => p > 0));
+}
+
+function meanAndError(samples) {
+  const n = samples.length;
+  const mean = samples.reduce((a, b) => a + b, 0) / n;
+  if (n < 2) return { mean, stdError: 0 };
+  const variance = samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+  return { mean, stdError: Math.sqrt(variance / n) };
+}
+
+/**
+ * Tracker of the largest Lyapunov exponent over the model Jacobian, or
+ * null for models LyapunovTracker cannot linearise (KuramotoCoupledLadder,
+ * a single oscillator)
+ * @private
+ */
+function lyapunovTrackerFor(model) {
+  try {
+    return new LyapunovTracker(model, { count: 1, rng: 1 });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Warm up at the current parameter values, then measure over the window
+ *
+ * The tangent frame is carried through the warm-up to settle, then its
+ * growth is averaged over each batch.
+ * @returns {{orderParameter: number[], entropy: number[], lyapunov: Array<number|null>}} Per-batch values
+ * @private
+ */
+function measurePoint(model, adapter, tracker, config) {
+  const { dt, warmup, window, batches, entropyBins } = config;
+  const advance = () => {
+    tracker?.update(dt);
+    adapter.advance(model, dt);
+  };
+  for (let s = 0; s < warmup; s++) advance();
+
+  // Contiguous batches (the last absorbs the remainder)
+  const size = Math.floor(window / batches);
+  const result = { orderParameter: [], entropy: [], lyapunov: [] };
+  for (let b = 0; b < batches; b++) {
+    const steps = b === batches - 1 ? window - b * size : size;
+    tracker?.restart();
+    let r = 0, H = 0;
+    for (let s = 0; s < steps; s++) {
+      advance();
+      const phases = adapter.phases(model);
+      const weights = adapter.weights(model);
+      r += coherence(phases, weights);
+      H += phaseEntropy(phases, weights, entropyBins);
+    }
+    result.orderParameter.push(r / steps);
+    result.entropy.push(H / steps);
+    result.lyapunov.push(tracker ? tracker.maximal : null);
+  }
+  return result;
+}
+
+/**
+ * Sweep one parameter over its grid in one direction on one model
+ * @private
+ */
+function sweepPath(model, adapter, parameter, values, config) {
+  const tracker = lyapunovTrackerFor(model);
+  return values.map(value => {
+    parameter.set(model, value);
+    return { value, ...measurePoint(model, adapter, tracker, config) };
+  });
+}
+
+/**
+ * Combine per-trial measurements into point statistics
+ *
+ * With one trial the batches of the averaging window are the samples;
+ * with several trials each trial's window mean is one sample.
+ * @private
+ */
+function summarize(trialPaths) {
+  return trialPaths[0].map((point, k) => {
+    const stats = { value: point.value };
+    for (const key of ['orderParameter', 'entropy', 'lyapunov']) {
+      if (point[key][0] === null) {
+        stats[key] = null;
+        continue;
+      }
+      const samples = trialPaths.length === 1
+        ? point[key]
+        : trialPaths.map(path => path[k][key].reduce((a, b) => a + b, 0) / path[k][key].length);
+      stats[key] = meanAndError(samples);
+    }
+    return stats;
+  });
+}
+
+/**
+ * Locate the transition on a single mean curve
+ * @private
+ */
+function locateTransition(values, r, method, threshold) {
+  if (method === 'threshold') {
+    const level = threshold ?? (Math.min(...r) + Math.max(...r)) / 2;
+    for (let k = 0; k < r.length - 1; k++) {
+      if ((r[k] - level) * (r[k + 1] - level) <= 0 && r[k] !== r[k + 1]) {
+        return values[k] + (level - r[k]) / (r[k + 1] - r[k]) * (values[k + 1] - values[k]);
+      }
+    }
+    return null;
+  }
+
+  // Steepest rise, refined with a parabola through the neighbouring slopes
+  const mids = [];
+  const slopes = [];
+  for (let k = 0; k < r.length - 1; k++) {
+    mids.push((values[k] + values[k + 1]) / 2);
+    slopes.push((r[k + 1] - r[k]) / (values[k + 1] - values[k]));
+  }
+  let best = 0;
+  for (let k = 1; k < slopes.length; k++) {
+    if (slopes[k] > slopes[best]) best = k;
+  }
+  if (best === 0 || best === slopes.length - 1) return mids[best];
+
+  const [x0, x1, x2] = [mids[best - 1], mids[best], mids[best + 1]];
+  const [y0, y1, y2] = [slopes[best - 1], slopes[best], slopes[best + 1]];
+  const denom = (x0 - x1) * (x0 - x2) * (x1 - x2);
+  const a = (x2 * (y1 - y0) + x1 * (y0 - y2) + x0 * (y2 - y1)) / denom;
+  const b = (x2 * x2 * (y0 - y1) + x1 * x1 * (y2 - y0) + x0 * x0 * (y1 - y2)) / denom;
+  if (!(a < 0)) return x1;
+  return Math.min(x2, Math.max(x0, -b / (2 * a)));
+}
+
+/**
+ * Estimate the critical parameter value (e.g. Kc) from a sweep curve
+ *
+ * 'slope' takes the steepest rise of r, which sits at the onset of a
+ * continuous transition. 'threshold' interpolates where r first crosses
+ * `threshold` (default: halfway between the lowest and highest r). The
+ * interval is a parametric bootstrap over the per-point standard errors,
+ * widened on each side by the grid spacing around the estimate: the
+ * curve only locates the transition to within one grid cell.
+ *
+ * @param {object[]} points - Sweep points ({ value, orderParameter: { mean, stdError } }), ascending
+ * @param {object} [options={}]
+ * @param {string} [options.method='slope'] - 'slope' or 'threshold'
+ * @param {number} [options.threshold] - r level for the threshold method
+ * @param {number} [options.confidence=0.95] - Interval coverage
+ * @param {number} [options.resamples=500] - Bootstrap resamples
+ * @param {*} [options.rng] - Seed or generator for the bootstrap (see core/rng.js)
+ * @returns {{value: number|null, lower: number|null, upper: number|null, resolution: number|null,
+ *   confidence: number, method: string}}
+ */
+function estimateCriticalPoint(points, options = {}) {
+  const method = options.method ?? 'slope';
+  if (method !== 'slope' && method !== 'threshold') {
+    throw new Error(`Unknown critical point method: ${method} (expected slope or threshold)`);
+  }
+  if (points.length < 2) {
+    throw new Error('Need at least two sweep points to estimate a critical point');
+  }
+  const confidence = options.confidence ?? 0.95;
+  const resamples = options.resamples ?? 500;
+  const rng = createRng(options.rng);
+  const values = points.map(p => p.value);
+  const means = points.map(p => p.orderParameter.mean);
+  const errors = points.map(p => p.orderParameter.stdError);
+
+  const value = locateTransition(values, means, method, options.threshold);
+  const estimates = [];
+  for (let b = 0; b < resamples; b++) {
+    const r = means.map((m, k) => m + errors[k] * rng.gaussian());
+    const estimate = locateTransition(values, r, method, options.threshold);
+    if (estimate !== null) estimates.push(estimate);
+  }
+
+  let lower = value, upper = value;
+  if (estimates.length > 0) {
+    estimates.sort((a, b) => a - b);
+    const tail = (1 - confidence) / 2;
+    lower = estimates[Math.floor(tail * (estimates.length - 1))];
+    upper = estimates[Math.ceil((1 - tail) * (estimates.length - 1))];
+  }
+
+  // Discretisation error: the spacing of the grid cell holding the estimate
+  let resolution = null;
+  if (value !== null) {
+    let k = 0;
+    while (k < values.length - 2 && values[k + 1] < value) k++;
+    resolution = values[k + 1] - values[k];
+    lower = Math.min(lower, value) - resolution;
+    upper = Math.max(upper, value) + resolution;
+  }
+  return { value, lower, upper, resolution, confidence, method };
+}
+
+/**
+ * Compare forward and backward sweeps over the same grid
+ *
+ * A point is a significant gap when |r_backward - r_forward| exceeds both
+ * `minGap` and `z` combined standard errors.
+ *
+ * @param {object[]} forward - Forward sweep points, ascending
+ * @param {object[]} backward - Backward sweep points, ascending
+ * @param {object} [options={}]
+ * @param {number} [options.z=3] - Significance in standard errors
+ * @param {number} [options.minGap=0.05] - Smallest gap in r that counts
+ * @returns {{detected: boolean, area: number, maxGap: number, at: number|null, points: number[]}}
+ */
+function detectHysteresis(forward, backward, options = {}) {
+  const z = options.z ?? 3;
+  const minGap = options.minGap ?? 0.05;
+  if (forward.length !== backward.length || forward.some((p, k) => p.value !== backward[k].value)) {
+    throw new Error('Forward and backward sweeps must share the same grid');
+  }
+
+  const gaps = forward.map((p, k) => backward[k].orderParameter.mean - p.orderParameter.mean);
+  let area = 0;
+  for (let k = 0; k < gaps.length - 1; k++) {
+    area += (Math.abs(gaps[k]) + Math.abs(gaps[k + 1])) / 2 * (forward[k + 1].value - forward[k].value);
+  }
+
+  let maxGap = 0, at = null;
+  const significant = [];
+  gaps.forEach((gap, k) => {
+    if (Math.abs(gap) > Math.abs(maxGap)) {
+      maxGap = gap;
+      at = forward[k].value;
+    }
+    const error = Math.hypot(forward[k].orderParameter.stdError, backward[k].orderParameter.stdError);
+    if (Math.abs(gap) > Math.max(minGap, z * error)) significant.push(forward[k].value);
+  });
+
+  return { detected: significant.length > 0, area, maxGap, at, points: significant };
+}
+
+/**
+ * One-dimensional sweep with trials, directions and analysis
+ * @private
+ */
+function sweep1D(makeModel, parameter, fixed, config) {
+  const trials = { forward: [], backward: [] };
+  let count = 0;
+  for (let t = 0; t < config.trials; t++) {
+    const model = makeModel();
+    const adapter = config.adapter || adapterFor(model);
+    for (const { set, value } of fixed) set(model, value);
+    count = adapter.phases(model).length;
+    if (config.initialPhases === 'random') {
+      adapter.setPhases(model, Array.from({ length: count }, () => config.rng.next() * TWO_PI));
+    }
+
+    if (config.direction !== 'backward') {
+      trials.forward.push(sweepPath(model, adapter, parameter, parameter.values, config));
+    }
+    if (config.direction !== 'forward') {
+      // Continue from the end of the forward sweep: the top of the hysteresis loop
+      const descending = [...parameter.values].reverse();
+      trials.backward.push(sweepPath(model, adapter, parameter, descending, config).reverse());
+    }
+  }
+
+  const criticalOptions = { ...config.critical, rng: config.rng };
+  const result = {
+    parameter: parameter.name,
+    values: parameter.values,
+    forward: trials.forward.length ? summarize(trials.forward) : null,
+    backward: trials.backward.length ? summarize(trials.backward) : null,
+    criticalPoint: null,
+    criticalPointBackward: null,
+    hysteresis: null
+  };
+  if (result.forward) result.criticalPoint = estimateCriticalPoint(result.forward, criticalOptions);
+  if (result.backward) {
+    result.criticalPointBackward = estimateCriticalPoint(result.backward, criticalOptions);
+    if (!result.forward) result.criticalPoint = result.criticalPointBackward;
+  }
+  if (result.forward && result.backward) {
+    // Incoherent states fluctuate by about 1/√N in r, so smaller gaps are not hysteresis
+    const minGap = Math.max(0.05, 2 / Math.sqrt(count));
+    result.hysteresis = detectHysteresis(result.forward, result.backward, { minGap, ...config.hysteresis });
+    const up = result.criticalPoint.value;
+    const down = result.criticalPointBackward.value;
+    result.hysteresis.width = up !== null && down !== null ? up - down : null;
+  }
+  return result;
+}
+
+/**
+ * Sweep one or two parameters of a synchronization model
+ *
+ * The first parameter is swept with continuation; a second parameter,
+ * if given, selects one row per value. Each row (and each trial) starts
+ * from a fresh model when `model` is a factory. With a model instance the
+ * state carries over between rows, and only one trial is possible.
+ *
+ * @param {object|Function} model - Model instance, or () => model factory
+ * @param {object} options
+ * @param {object|object[]} options.parameters - { name, values | { from, to, steps }, set? }, or two of them
+ * @param {number} [options.dt=0.01] - Time step
+ * @param {number} [options.warmup=200] - Steps discarded at each grid point
+ * @param {number} [options.window=200] - Steps averaged at each grid point
+ * @param {number} [options.batches=5] - Batches per window for single-trial error bars
+ * @param {number} [options.trials=1] - Independent repetitions (needs a factory)
+ * @param {string} [options.direction='both'] - 'forward', 'backward' or 'both'
+ * @param {string} [options.initialPhases='random'] - 'random' or 'keep' before each trial
+ * @param {number} [options.entropyBins=16] - Phase histogram bins for the entropy
+ * @param {object} [options.critical] - estimateCriticalPoint() options
+ * @param {object} [options.hysteresis] - detectHysteresis() options (minGap defaults to max(0.05, 2/√N))
+ * @param {object} [options.adapter] - Custom { advance, phases, weights, setPhases } for other models
+ * @param {*} [options.rng] - Seed or generator for initial phases and bootstrap (see core/rng.js)
+ * @returns {object} For one parameter: { parameter, values, forward, backward, criticalPoint,
+ *   criticalPointBackward, hysteresis }. For two: { parameters, values, rows, criticalLine }
+ */
+function parameterSweep(model, options = {}) {
+  const specs = Array.isArray(options.parameters) ? options.parameters : [options.parameters];
+  if (specs.length < 1 || specs.length > 2) {
+    throw new Error('parameterSweep takes one or two parameters');
+  }
+  const parameters = specs.map(resolveParameter);
+
+  const config = {
+    dt: options.dt ?? 0.01,
+    warmup: options.warmup ?? 200,
+    window: options.window ?? 200,
+    batches: options.batches ?? 5,
+    trials: options.trials ?? 1,
+    direction: options.direction ?? 'both',
+    initialPhases: options.initialPhases ?? 'random',
+    entropyBins: options.entropyBins ?? 16,
+    critical: options.critical ?? {},
+    hysteresis: options.hysteresis ?? {},
+    adapter: options.adapter ?? null,
+    rng: createRng(options.rng)
+  };
+  if (!['forward', 'backward', 'both'].includes(config.direction)) {
+    throw new Error(`Unknown sweep direction: ${config.direction}`);
+  }
+  if (config.window < config.batches) {
+    throw new Error(`Averaging window (${config.window}) is shorter than the batch count (${config.batches})`);
+  }
+  const isFactory = typeof model === 'function';
+  if (!isFactory && config.trials > 1) {
+    throw new Error('Multiple trials need a model factory, not a model instance');
+  }
+  const makeModel = isFactory ? model : () => model;
+
+  const [primary, secondary] = parameters;
+  if (!secondary) return sweep1D(makeModel, primary, [], config);
+
+  const rows = secondary.values.map(value => ({
+    value,
+    ...sweep1D(makeModel, primary, [{ set: secondary.set, value }], config)
+  }));
+  return {
+    parameters: [primary.name, secondary.name],
+    values: [primary.values, secondary.values],
+    rows,
+    criticalLine: rows.map(row => ({ [secondary.name]: row.value, ...row.criticalPoint }))
+  };
+}
+
+export {
+  parameterSweep,
+  estimateCriticalPoint,
+  detectHysteresis,
+  setModelParameter
+};
+
+export default {
+  parameterSweep,
+  estimateCriticalPoint,
+  detectHysteresis,
+  setModelParameter
+};
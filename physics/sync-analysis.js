@@ -0,0 +1,478 @@
+/**
+ * Synchronization structure: clusters, chimeras and metastability
+ *
+ * A single global order parameter cannot tell full synchrony from several
+ * locked clusters, or from a locked cluster next to a drifting population
+ * (a chimera). This module looks inside:
+ *
+ * - phaseLockingMatrix: phase-locking value |⟨e^(i(θᵢ - θⱼ))⟩ₜ| of every pair
+ * - coherenceMatrix: instantaneous cos(θᵢ - θⱼ), the pairs behind
+ *   KuramotoModel.pairwiseCoherence()
+ * - detectCommunities / findSyncClusters: modularity (Louvain) communities
+ *   of the locking graph
+ * - groupOrderParameters / neighborhoodOrderParameters: local order
+ * - chimeraIndex / metastabilityIndex: Shanahan's χ and λ over a run
+ * - SyncAnalyzer: all of the above over a sliding window of phase samples
+ *
+ * @module physics/sync-analysis
+ */
+
+import { SparseAdjacency } from './coupling.js';
+
+/**
+ * Phase-locking value of every pair over a run of phase samples
+ *
+ * 1 for pairs whose phase difference stayed constant, near 0 for pairs
+ * that drifted through all differences. Costs O(samples·N²).
+ *
+ * @param {Array<Float64Array|number[]>} samples - Phase vectors, one per time step
+ * @returns {Float64Array[]} Symmetric N×N matrix with unit diagonal
+ */
+function phaseLockingMatrix(samples) {
+  if (samples.length === 0) throw new Error('Phase locking needs at least one sample');
+  const N = samples[0].length;
+  const re = Array.from({ length: N }, () => new Float64Array(N));
+  const im = Array.from({ length: N }, () => new Float64Array(N));
+  const cos = new Float64Array(N);
+  const sin = new Float64Array(N);
+
+  for (const phases of samples) {
+    for (let i = 0; i < N; i++) {
+      cos[i] = Math.cos(phases[i]);
+      sin[i] = Math.sin(phases[i]);
+    }
+    for (let i = 0; i < N; i++) {
+      for (let j = i + 1; j < N; j++) {
+        // e^(i(θᵢ - θⱼ))
+        re[i][j] += cos[i] * cos[j] + sin[i] * sin[j];
+        im[i][j] += sin[i] * cos[j] - cos[i] * sin[j];
+      }
+    }
+  }
+
+  const T = samples.length;
+  const plv = Array.from({ length: N }, () => new Float64Array(N));
+  for (let i = 0; i < N; i++) {
+    plv[i][i] = 1;
+    for (let j = i + 1; j < N; j++) {
+      plv[i][j] = plv[j][i] = Math.min(1, Math.hypot(re[i][j], im[i][j]) / T);
+    }
+  }
+  return plv;
+}
+
+/**
+ * Instantaneous pairwise coherence cos(θᵢ - θⱼ)
+ * @param {Float64Array|number[]} phases - Phases θ
+ * @returns {Float64Array[]} Symmetric N×N matrix with unit diagonal
+ */
+function coherenceMatrix(phases) {
+  const N = phases.length;
+  const matrix = Array.from({ length: N }, () => new Float64Array(N));
+  for (let i = 0; i < N; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < N; j++) {
+      matrix[i][j] = matrix[j][i] = Math.cos(phases[i] - phases[j]);
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Louvain local moving: reassign nodes greedily while modularity improves
+ * @private
+ * @returns {Int32Array} Community of each node, labelled 0..C-1
+ */
+function localMoving(W, resolution) {
+  const n = W.length;
+  const degree = W.map(row => row.reduce((a, b) => a + b, 0));
+  const total = degree.reduce((a, b) => a + b, 0);
+  const community = Int32Array.from({ length: n }, (_, i) => i);
+  if (total === 0) return community;
+
+  const communityDegree = Float64Array.from(degree);
+  let moved = true;
+  while (moved) {
+    moved = false;
+    for (let i = 0; i < n; i++) {
+      const own = community[i];
+      communityDegree[own] -= degree[i];
+
+      const links = new Map();
+      for (let j = 0; j < n; j++) {
+        if (j !== i && W[i][j] > 0) {
+          links.set(community[j], (links.get(community[j]) ?? 0) + W[i][j]);
+        }
+      }
+      // Gain of joining c: k_i,c - γ·Σ_c·k_i/2m (shared terms dropped)
+      const gain = c => (links.get(c) ?? 0) - resolution * communityDegree[c] * degree[i] / total;
+      let best = own;
+      let bestGain = gain(own);
+      for (const c of links.keys()) {
+        const g = gain(c);
+        if (g > bestGain + 1e-12) {
+          best = c;
+          bestGain = g;
+        }
+      }
+
+      communityDegree[best] += degree[i];
+      community[i] = best;
+      if (best !== own) moved = true;
+    }
+  }
+  return relabel(community);
+}
+
+/**
+ * Renumber labels 0, 1, … in order of first appearance
+ * @private
+ */
+function relabel(labels) {
+  const map = new Map();
+  return labels.map(c => {
+    if (!map.has(c)) map.set(c, map.size);
+    return map.get(c);
+  });
+}
+
+/**
+ * Communities of a weighted graph by modularity maximisation (Louvain)
+ *
+ * Deterministic: nodes are visited in index order and ties keep the
+ * current community.
+ *
+ * @param {Array<Float64Array|number[]>} weights - Symmetric non-negative N×N weights
+ * @param {object} [options={}]
+ * @param {number} [options.resolution=1] - Modularity resolution γ (larger gives smaller communities)
+ * @returns {Int32Array} Community label of each node, 0..C-1 in order of first appearance
+ */
+function detectCommunities(weights, options = {}) {
+  const resolution = options.resolution ?? 1;
+  let membership = Int32Array.from({ length: weights.length }, (_, i) => i);
+  let W = weights.map(row => Float64Array.from(row));
+
+  for (;;) {
+    const level = localMoving(W, resolution);
+    const count = level.length > 0 ? Math.max(...level) + 1 : 0;
+    membership = membership.map(c => level[c]);
+    if (count === W.length) break;
+
+    // Collapse each community into one node, keeping internal weight as a self-loop
+    const next = Array.from({ length: count }, () => new Float64Array(count));
+    for (let i = 0; i < W.length; i++) {
+      for (let j = 0; j < W.length; j++) {
+        next[level[i]][level[j]] += W[i][j];
+      }
+    }
+    W = next;
+  }
+  return relabel(membership);
+}
+
+/**
+ * Synchronized clusters from a locking (or coherence) matrix
+ *
+ * Pairs below lockThreshold are dropped, and the remaining locking graph
+ * is split into modularity communities. Communities smaller than minSize
+ * are reported as unclustered.
+ *
+ * @param {Array<Float64Array|number[]>} matrix - Pairwise locking, e.g. phaseLockingMatrix()
+ * @param {object} [options={}]
+ * @param {number} [options.lockThreshold=0.9] - Minimum locking for an edge
+ * @param {number} [options.minSize=2] - Smallest reported cluster
+ * @param {number} [options.resolution=1] - Modularity resolution
+ * @returns {{clusters: number[][], unclustered: number[], membership: Int32Array}}
+ *   Clusters largest first; membership is -1 for unclustered nodes
+ */
+function findSyncClusters(matrix, options = {}) {
+  const { lockThreshold = 0.9, minSize = 2, resolution = 1 } = options;
+  const N = matrix.length;
+  const weights = Array.from({ length: N }, (_, i) =>
+    Float64Array.from(matrix[i], (w, j) => (i !== j && w >= lockThreshold ? w : 0))
+  );
+  const communities = detectCommunities(weights, { resolution });
+
+  const groups = new Map();
+  communities.forEach((c, i) => {
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(i);
+  });
+  const clusters = [...groups.values()]
+    .filter(g => g.length >= minSize)
+    .sort((a, b) => b.length - a.length || a[0] - b[0]);
+
+  const membership = new Int32Array(N).fill(-1);
+  clusters.forEach((cluster, c) => cluster.forEach(i => { membership[i] = c; }));
+  const unclustered = [];
+  for (let i = 0; i < N; i++) {
+    if (membership[i] < 0) unclustered.push(i);
+  }
+  return { clusters, unclustered, membership };
+}
+
+/**
+ * Order parameter r·e^(iψ) = ⟨e^(iθⱼ)⟩ of each group (not amplitude-weighted)
+ * @param {Float64Array|number[]} phases - Phases θ
+ * @param {number[][]} groups - Oscillator indices per group
+ * @returns {{r: number, psi: number}[]}
+ */
+function groupOrderParameters(phases, groups) {
+  return groups.map(group => {
+    let sx = 0, sy = 0;
+    for (const i of group) {
+      sx += Math.cos(phases[i]);
+      sy += Math.sin(phases[i]);
+    }
+    const n = group.length;
+    return n > 0 ? { r: Math.hypot(sx, sy) / n, psi: Math.atan2(sy, sx) } : { r: 0, psi: 0 };
+  });
+}
+
+/**
+ * Local order parameter of every node over its graph neighbourhood
+ *
+ * Rᵢ = |Σⱼ Aᵢⱼ e^(iθⱼ)| / Σⱼ |Aᵢⱼ|, excluding self-loops; 0 for isolated nodes.
+ *
+ * @param {Float64Array|number[]} phases - Phases θ
+ * @param {SparseAdjacency} adjacency - Coupling graph
+ * @returns {Float64Array}
+ */
+function neighborhoodOrderParameters(phases, adjacency) {
+  const { size, rowPtr, colIdx, values } = adjacency;
+  const local = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    let sx = 0, sy = 0, norm = 0;
+    for (let k = rowPtr[i]; k < rowPtr[i + 1]; k++) {
+      const j = colIdx[k];
+      if (j === i) continue;
+      sx += values[k] * Math.cos(phases[j]);
+      sy += values[k] * Math.sin(phases[j]);
+      norm += Math.abs(values[k]);
+    }
+    local[i] = norm > 0 ? Math.hypot(sx, sy) / norm : 0;
+  }
+  return local;
+}
+
+function variance(values) {
+  const n = values.length;
+  if (n === 0) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  return values.reduce((a, v) => a + (v - mean) ** 2, 0) / n;
+}
+
+/**
+ * Shanahan's chimera index χ: variance of the group order parameters
+ * across groups, averaged over time
+ *
+ * 0 when every group is equally synchronized; at most 1/4.
+ *
+ * @param {number[][]} series - r of each group at each time, series[t][group]
+ * @returns {number}
+ */
+function chimeraIndex(series) {
+  if (series.length === 0) return 0;
+  return series.reduce((sum, row) => sum + variance(row), 0) / series.length;
+}
+
+/**
+ * Shanahan's metastability index λ: variance over time of each group's
+ * order parameter, averaged over groups
+ *
+ * 0 for a steady state; at most 1/4.
+ *
+ * @param {number[][]} series - r of each group at each time, series[t][group]
+ * @returns {number}
+ */
+function metastabilityIndex(series) {
+  if (series.length === 0) return 0;
+  const M = series[0].length;
+  let sum = 0;
+  for (let c = 0; c < M; c++) {
+    sum += variance(series.map(row => row[c]));
+  }
+  return M > 0 ? sum / M : 0;
+}
+
+/**
+ * Phases, predefined groups and graph of a model
+ * @private
+ */
+function describeSource(source) {
+  if (Array.isArray(source) || ArrayBuffer.isView(source)) {
+    return { phases: Float64Array.from(source) };
+  }
+  if (source && Array.isArray(source.systems)) {
+    // MultiSystemCoupling: each system is a group
+    const phases = [];
+    const groups = [];
+    for (const sys of source.systems) {
+      const start = phases.length;
+      phases.push(...sys.getPhases());
+      groups.push(Array.from({ length: phases.length - start }, (_, k) => start + k));
+    }
+    return { phases: Float64Array.from(phases), groups };
+  }
+  if (source && typeof source.getPhases === 'function') {
+    return {
+      phases: Float64Array.from(source.getPhases()),
+      adjacency: source.adjacency instanceof SparseAdjacency ? source.adjacency : null
+    };
+  }
+  if (source && source.theta instanceof Float64Array) {
+    return { phases: source.theta.slice() };
+  }
+  throw new Error(`Unsupported source for sync analysis: ${source?.constructor?.name ?? typeof source}`);
+}
+
+/**
+ * Sliding-window analysis of cluster synchronization and chimera states
+ *
+ * record() a model (or a phase vector) after each step, then analyze().
+ * Chimera and metastability indices are taken over populations: the
+ * predefined groups (options.groups, or the systems of a
+ * MultiSystemCoupling), otherwise each detected cluster plus the
+ * unclustered oscillators. A chimera is a coherent population
+ * (mean r ≥ coherentThreshold) next to an incoherent one
+ * (mean r ≤ incoherentThreshold).
+ */
+class SyncAnalyzer {
+  /**
+   * @param {object} [options={}]
+   * @param {number} [options.window=100] - Samples kept
+   * @param {number[][]} [options.groups] - Fixed populations (oscillator indices)
+   * @param {number} [options.lockThreshold=0.9] - Phase-locking value that joins a cluster
+   * @param {number} [options.minClusterSize=2] - Smallest reported cluster
+   * @param {number} [options.resolution=1] - Modularity resolution
+   * @param {number} [options.coherentThreshold=0.8] - Mean r of a coherent population
+   * @param {number} [options.incoherentThreshold=0.5] - Mean r of an incoherent population
+   */
+  constructor(options = {}) {
+    this.window = options.window ?? 100;
+    if (!(Number.isInteger(this.window) && this.window >= 2)) {
+      throw new Error('window must be an integer of at least 2');
+    }
+    this.groups = options.groups ?? null;
+    this.lockThreshold = options.lockThreshold ?? 0.9;
+    this.minClusterSize = options.minClusterSize ?? 2;
+    this.resolution = options.resolution ?? 1;
+    this.coherentThreshold = options.coherentThreshold ?? 0.8;
+    this.incoherentThreshold = options.incoherentThreshold ?? 0.5;
+    this.reset();
+  }
+
+  /**
+   * Drop all recorded samples
+   */
+  reset() {
+    this.samples = [];
+    this._sourceGroups = null;
+    this._adjacency = null;
+    return this;
+  }
+
+  /**
+   * Add the current phases of a model or a phase vector
+   * @param {object|Float64Array|number[]} source - Kuramoto-family model, MultiSystemCoupling, ALKKuramotoModel or phases
+   * @returns {SyncAnalyzer} this
+   */
+  record(source) {
+    const { phases, groups = null, adjacency = null } = describeSource(source);
+    if (this.samples.length > 0 && phases.length !== this.samples[0].length) {
+      throw new Error(`Sample has ${phases.length} phases, expected ${this.samples[0].length}`);
+    }
+    this.samples.push(phases);
+    if (this.samples.length > this.window) this.samples.shift();
+    this._sourceGroups = groups;
+    this._adjacency = adjacency;
+    return this;
+  }
+
+  /**
+   * Analyse the recorded window
+   * @returns {object} Clusters, populations, local order and indices (see docs)
+   */
+  analyze() {
+    if (this.samples.length < 2) {
+      throw new Error('Record at least two samples before analysing');
+    }
+    const samples = this.samples;
+    const locking = phaseLockingMatrix(samples);
+    const { clusters, unclustered, membership } = findSyncClusters(locking, {
+      lockThreshold: this.lockThreshold,
+      minSize: this.minClusterSize,
+      resolution: this.resolution
+    });
+
+    const fixed = this.groups ?? this._sourceGroups;
+    const groups = fixed ?? (unclustered.length > 0 ? [...clusters, unclustered] : clusters);
+    const all = [Array.from({ length: samples[0].length }, (_, i) => i)];
+
+    const series = samples.map(phases => groupOrderParameters(phases, groups).map(p => p.r));
+    const global = samples.map(phases => groupOrderParameters(phases, all)[0].r);
+    const last = groupOrderParameters(samples[samples.length - 1], groups);
+    const populations = groups.map((members, c) => ({
+      members,
+      r: series.reduce((sum, row) => sum + row[c], 0) / series.length,
+      psi: last[c].psi
+    }));
+
+    const coherent = [];
+    const incoherent = [];
+    populations.forEach((p, c) => {
+      if (p.r >= this.coherentThreshold) coherent.push(c);
+      else if (p.r <= this.incoherentThreshold) incoherent.push(c);
+    });
+
+    let localOrder = null;
+    if (this._adjacency) {
+      localOrder = new Float64Array(samples[0].length);
+      for (const phases of samples) {
+        const local = neighborhoodOrderParameters(phases, this._adjacency);
+        for (let i = 0; i < local.length; i++) localOrder[i] += local[i] / samples.length;
+      }
+    }
+
+    return {
+      samples: samples.length,
+      locking,
+      clusters,
+      unclustered,
+      membership,
+      populations,
+      localOrder,
+      orderParameter: global.reduce((a, b) => a + b, 0) / global.length,
+      chimeraIndex: chimeraIndex(series),
+      metastability: metastabilityIndex(series),
+      globalMetastability: variance(global),
+      chimera: coherent.length > 0 && incoherent.length > 0,
+      coherent,
+      incoherent
+    };
+  }
+}
+
+export {
+  phaseLockingMatrix,
+  coherenceMatrix,
+  detectCommunities,
+  findSyncClusters,
+  groupOrderParameters,
+  neighborhoodOrderParameters,
+  chimeraIndex,
+  metastabilityIndex,
+  SyncAnalyzer
+};
+
+export default {
+  phaseLockingMatrix,
+  coherenceMatrix,
+  detectCommunities,
+  findSyncClusters,
+  groupOrderParameters,
+  neighborhoodOrderParameters,
+  chimeraIndex,
+  metastabilityIndex,
+  SyncAnalyzer
+};
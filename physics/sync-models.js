@@ -13,37 +13,93 @@
  * NetworkKuramoto - Topology-Aware Coupling
  * 
  * Uses adjacency matrix A for coupling:
- *   dθᵢ/dt = ωᵢ + K Σⱼ Aᵢⱼ sin(θⱼ - θᵢ)
+ *   dθᵢ/dt = ωᵢ + (K/dᵢ) Σⱼ Aᵢⱼ sin(θⱼ - θᵢ)
  * 
+ * A is held as a SparseAdjacency (CSR), so a step costs O(edges).
+ * `model.adjacency` was a number[][] before: read weights with
+ * adjacency.get(i, j), since adjacency[i][j] is now undefined.
  * Enables modular synchronization respecting semantic neighborhoods.
  */
 import { KuramotoModel } from './kuramoto.js';
 import { OscillatorBank } from './oscillator.js';
+import { createRng } from '../core/rng.js';
+import {
+  SparseAdjacency,
+  meanFieldCoupling,
+  meanFieldSweep,
+  sparseCoupling,
+  meanFieldJacobian,
+  sparseJacobian
+} from './coupling.js';
+
+/**
+ * Return a SparseAdjacency as is ('sparse') or as a dense matrix ('dense', the default)
+ * @private
+ */
+function sparseOrDense(adjacency, format = 'dense') {
+  if (format === 'sparse') return adjacency;
+  if (format === 'dense') return adjacency.toDense();
+  throw new Error(`Unknown adjacency format: ${format} (expected 'dense' or 'sparse')`);
+}
 
 class NetworkKuramoto extends KuramotoModel {
   /**
    * @param {number[]} frequencies - Natural frequencies
-   * @param {number[][]} adjacency - NxN adjacency matrix (weights or 0/1)
+   * @param {number[][]|SparseAdjacency} adjacency - NxN adjacency matrix (weights or 0/1) or CSR adjacency
    * @param {number} couplingStrength - Global coupling multiplier
+   * @param {object} [options={}] - Additional options
+   * @param {*} [options.rng] - Seed or generator (see core/rng.js)
+   * @param {string|object} [options.integrator='euler'] - Phase integrator (see physics/integrators.js)
    */
-  constructor(frequencies, adjacency = null, couplingStrength = 0.3) {
-    super(frequencies, couplingStrength);
-    
-    const N = frequencies.length;
+  constructor(frequencies, adjacency = null, couplingStrength = 0.3, options = {}) {
+    super(frequencies, { coupling: couplingStrength, rng: options.rng, integrator: options.integrator });
     
     // Default to all-to-all if no adjacency provided
-    if (adjacency) {
-      this.adjacency = adjacency;
-    } else {
-      this.adjacency = Array(N).fill(null).map(() => Array(N).fill(1));
-      // Remove self-connections
-      for (let i = 0; i < N; i++) {
-        this.adjacency[i][i] = 0;
-      }
+    this.setAdjacency(adjacency || SparseAdjacency.complete(frequencies.length));
+  }
+  
+  /**
+   * Replace the coupling graph
+   * @param {number[][]|SparseAdjacency} adjacency - Dense NxN matrix or CSR adjacency
+   */
+  setAdjacency(adjacency) {
+    this.adjacency = adjacency instanceof SparseAdjacency ? adjacency : SparseAdjacency.fromDense(adjacency);
+    if (this.adjacency.size !== this.oscillators.length) {
+      throw new Error(`Adjacency has ${this.adjacency.size} nodes, expected ${this.oscillators.length}`);
     }
-    
+    this.updateDegrees();
+  }
+  
+  /**
+   * Recompute weighted degrees after editing adjacency weights
+   */
+  updateDegrees() {
     // Precompute degree for normalization
-    this.degree = this.adjacency.map(row => row.reduce((a, b) => a + b, 0));
+    this.degree = this.adjacency.rowSums();
+  }
+  
+  /**
+   * Serialize the model, including its adjacency
+   * @returns {object}
+   */
+  toJSON() {
+    return { ...super.toJSON(), adjacency: this.adjacency.toJSON() };
+  }
+  
+  /**
+   * Overwrite this model's state with a toJSON() snapshot
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {NetworkKuramoto} this
+   */
+  loadState(json) {
+    super.loadState(json);
+    if (json.adjacency) this.setAdjacency(SparseAdjacency.fromJSON(json.adjacency));
+    return this;
+  }
+  
+  static _fromSnapshot(json, frequencies, rng) {
+    const adjacency = json.adjacency ? SparseAdjacency.fromJSON(json.adjacency) : null;
+    return new this(frequencies, adjacency, json.coupling, { rng });
   }
   
   /**
@@ -54,9 +110,7 @@ class NetworkKuramoto extends KuramotoModel {
   setFromEntanglementGraph(entanglementGraph, primeList) {
     const N = this.oscillators.length;
     const primeToIdx = new Map(primeList.map((p, i) => [p, i]));
-    
-    // Reset adjacency
-    this.adjacency = Array(N).fill(null).map(() => Array(N).fill(0));
+    const edges = [];
     
     for (const [prime, neighbors] of entanglementGraph) {
       const i = primeToIdx.get(prime);
@@ -66,12 +120,11 @@ class NetworkKuramoto extends KuramotoModel {
         const j = primeToIdx.get(otherPrime);
         if (j === undefined || j >= N) continue;
         
-        this.adjacency[i][j] = pair.strength;
+        edges.push([i, j, pair.strength]);
       }
     }
     
-    // Recompute degrees
-    this.degree = this.adjacency.map(row => row.reduce((a, b) => a + b, 0));
+    this.setAdjacency(SparseAdjacency.fromEdges(N, edges));
   }
   
   /**
@@ -82,20 +135,26 @@ class NetworkKuramoto extends KuramotoModel {
    */
   buildFromDistance(distFn, threshold = Infinity, weighted = false) {
     const N = this.oscillators.length;
-    this.adjacency = Array(N).fill(null).map(() => Array(N).fill(0));
+    const edges = [];
     
     for (let i = 0; i < N; i++) {
       for (let j = i + 1; j < N; j++) {
         const d = distFn(i, j);
         if (d < threshold) {
-          const weight = weighted ? 1 / (1 + d) : 1;
-          this.adjacency[i][j] = weight;
-          this.adjacency[j][i] = weight;
+          edges.push([i, j, weighted ? 1 / (1 + d) : 1]);
         }
       }
     }
     
-    this.degree = this.adjacency.map(row => row.reduce((a, b) => a + b, 0));
+    this.setAdjacency(SparseAdjacency.fromEdges(N, edges, { symmetric: true }));
+  }
+  
+  /**
+   * Per-node gain K/dᵢ (degree 0 counts as 1)
+   * @private
+   */
+  _gains() {
+    return this.degree.map(d => this.K / (d > 0 ? d : 1));
   }
   
   /**
@@ -104,12 +163,31 @@ class NetworkKuramoto extends KuramotoModel {
   kuramotoCoupling(osc) {
     const idx = this.oscillators.indexOf(osc);
     if (idx < 0) return 0;
-    
+    return this._nodeCoupling(idx);
+  }
+  
+  /**
+   * In-place Euler step over the stored edges, O(edges) (see KuramotoModel.sequentialStep)
+   * @param {number} dt - Timestep
+   * @param {Float64Array|number[]} [extra] - Additional phase increment per oscillator
+   */
+  sequentialStep(dt, extra) {
+    this.oscillators.forEach((osc, i) => {
+      osc.tick(dt, this._nodeCoupling(i) * dt + (extra ? extra[i] : 0));
+    });
+  }
+  
+  /**
+   * Coupling term of node idx at the current phases
+   * @private
+   */
+  _nodeCoupling(idx) {
+    const osc = this.oscillators[idx];
     let coupling = 0;
-    for (let j = 0; j < this.oscillators.length; j++) {
-      if (j !== idx && this.adjacency[idx][j] > 0) {
-        const other = this.oscillators[j];
-        coupling += this.adjacency[idx][j] * Math.sin(other.phase - osc.phase);
+    const { indices, weights } = this.adjacency.row(idx);
+    for (let k = 0; k < indices.length; k++) {
+      if (indices[k] !== idx) {
+        coupling += weights[k] * Math.sin(this.oscillators[indices[k]].phase - osc.phase);
       }
     }
     
@@ -118,21 +196,51 @@ class NetworkKuramoto extends KuramotoModel {
     return this.K * coupling / norm;
   }
   
+  /**
+   * Coupling terms for all oscillators in O(edges)
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @returns {Float64Array}
+   */
+  couplingTerms(phases) {
+    return sparseCoupling(this.adjacency, phases, this._gains());
+  }
+  
+  /**
+   * Jacobian of derivatives() applied to a tangent vector, in O(edges)
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @param {Float64Array|number[]} vector - Tangent vector
+   * @returns {Float64Array}
+   */
+  jacobianProduct(phases, vector) {
+    return sparseJacobian(this.adjacency, phases, this._gains(), vector);
+  }
+  
+  /**
+   * Neighbours of a node (positive-weight edges, no self-loop)
+   * @param {number} idx - Node index
+   * @returns {number[]}
+   */
+  neighbors(idx) {
+    const { indices, weights } = this.adjacency.row(idx);
+    const result = [];
+    for (let k = 0; k < indices.length; k++) {
+      if (weights[k] > 0 && indices[k] !== idx) result.push(indices[k]);
+    }
+    return result;
+  }
+  
   /**
    * Get clustering coefficient for a node
    */
   clusteringCoefficient(idx) {
-    const neighbors = [];
-    for (let j = 0; j < this.oscillators.length; j++) {
-      if (this.adjacency[idx][j] > 0) neighbors.push(j);
-    }
+    const neighbors = this.neighbors(idx);
     
     if (neighbors.length < 2) return 0;
     
     let triangles = 0;
     for (let i = 0; i < neighbors.length; i++) {
       for (let j = i + 1; j < neighbors.length; j++) {
-        if (this.adjacency[neighbors[i]][neighbors[j]] > 0) {
+        if (this.adjacency.get(neighbors[i], neighbors[j]) > 0) {
           triangles++;
         }
       }
@@ -169,11 +277,11 @@ class NetworkKuramoto extends KuramotoModel {
       visited[i] = true;
       const queue = [i];
       
-      while (queue.length > 0) {
-        const current = queue.shift();
+      for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
         
-        for (let j = 0; j < N; j++) {
-          if (!visited[j] && this.adjacency[current][j] > 0) {
+        for (const j of this.neighbors(current)) {
+          if (!visited[j]) {
             const phaseDiff = Math.abs(this.oscillators[current].phase - this.oscillators[j].phase);
             const wrapped = Math.min(phaseDiff, 2 * Math.PI - phaseDiff);
             
@@ -207,15 +315,25 @@ class AdaptiveKuramoto extends NetworkKuramoto {
    * @param {number[]} frequencies - Natural frequencies
    * @param {number} couplingStrength - Initial global coupling
    * @param {number} learningRate - Plasticity rate ε
+   * @param {object} [options={}] - Additional options
+   * @param {*} [options.rng] - Seed or generator (see core/rng.js)
+   * @param {string|object} [options.integrator='euler'] - Phase integrator; coupling adaptation stays explicit
+   * @param {number[][]|SparseAdjacency} [options.adjacency] - Plastic edges (default: all-to-all); weights start at couplingStrength
    */
-  constructor(frequencies, couplingStrength = 0.3, learningRate = 0.01) {
-    // Start with all-to-all small initial coupling
+  constructor(frequencies, couplingStrength = 0.3, learningRate = 0.01, options = {}) {
+    // Start with small initial coupling on every plastic edge
     const N = frequencies.length;
-    const initialAdjacency = Array(N).fill(null).map((_, i) => 
-      Array(N).fill(null).map((_, j) => i === j ? 0 : couplingStrength)
-    );
+    let initialAdjacency;
+    if (options.adjacency) {
+      initialAdjacency = options.adjacency instanceof SparseAdjacency
+        ? options.adjacency.clone()
+        : SparseAdjacency.fromDense(options.adjacency);
+      initialAdjacency.values.fill(couplingStrength);
+    } else {
+      initialAdjacency = SparseAdjacency.complete(N, couplingStrength);
+    }
     
-    super(frequencies, initialAdjacency, 1.0); // K=1 since coupling is in adjacency
+    super(frequencies, initialAdjacency, 1.0, options); // K=1 since coupling is in adjacency
     
     this.epsilon = learningRate;
     this.minCoupling = 0.01;
@@ -227,29 +345,30 @@ class AdaptiveKuramoto extends NetworkKuramoto {
   
   /**
    * Update coupling strengths based on phase alignment
+   *
+   * Runs over the stored edges only, so the cost is O(edges). The update
+   * is symmetric in i and j, so symmetric weights stay symmetric.
    */
   adaptCoupling(dt) {
-    const N = this.oscillators.length;
-    
-    for (let i = 0; i < N; i++) {
-      for (let j = i + 1; j < N; j++) {
-        const phaseDiff = this.oscillators[j].phase - this.oscillators[i].phase;
-        const correlation = Math.cos(phaseDiff);
+    const { size, rowPtr, colIdx, values } = this.adjacency;
+    
+    for (let i = 0; i < size; i++) {
+      const theta = this.oscillators[i].phase;
+      for (let k = rowPtr[i]; k < rowPtr[i + 1]; k++) {
+        const j = colIdx[k];
+        if (j === i) continue;
+        const correlation = Math.cos(this.oscillators[j].phase - theta);
         
         // Hebbian update: dK/dt = ε(correlation - K)
-        const delta = this.epsilon * (correlation - this.adjacency[i][j]) * dt;
+        const delta = this.epsilon * (correlation - values[k]) * dt;
         
         // Apply with bounds
-        const newK = Math.max(this.minCoupling, 
-                     Math.min(this.maxCoupling, this.adjacency[i][j] + delta));
-        
-        this.adjacency[i][j] = newK;
-        this.adjacency[j][i] = newK;
+        values[k] = Math.max(this.minCoupling, Math.min(this.maxCoupling, values[k] + delta));
       }
     }
     
     // Recompute degrees
-    this.degree = this.adjacency.map(row => row.reduce((a, b) => a + b, 0));
+    this.updateDegrees();
   }
   
   tick(dt) {
@@ -265,20 +384,20 @@ class AdaptiveKuramoto extends NetworkKuramoto {
    */
   totalCoupling() {
     let sum = 0;
-    const N = this.oscillators.length;
-    for (let i = 0; i < N; i++) {
-      for (let j = i + 1; j < N; j++) {
-        sum += this.adjacency[i][j];
-      }
+    for (const [i, j, weight] of this.adjacency.edges()) {
+      if (j > i) sum += weight;
     }
     return sum;
   }
   
   /**
    * Get coupling matrix snapshot
+   * @param {object} [options={}] - Options
+   * @param {string} [options.format='dense'] - 'dense' for an N×N array, or 'sparse' for a SparseAdjacency
+   * @returns {number[][]|SparseAdjacency} Independent copy of the current weights
    */
-  getCouplingSnapshot() {
-    return this.adjacency.map(row => [...row]);
+  getCouplingSnapshot(options = {}) {
+    return sparseOrDense(this.adjacency.clone(), options.format);
   }
   
   /**
@@ -302,15 +421,42 @@ class AdaptiveKuramoto extends NetworkKuramoto {
    * Reset coupling to uniform initial state
    */
   resetCoupling(value = 0.3) {
-    const N = this.oscillators.length;
-    for (let i = 0; i < N; i++) {
-      for (let j = 0; j < N; j++) {
-        this.adjacency[i][j] = i === j ? 0 : value;
-      }
-    }
-    this.degree = this.adjacency.map(row => row.reduce((a, b) => a + b, 0));
+    this.adjacency.values.fill(value);
+    this.updateDegrees();
     this.couplingHistory = [];
   }
+  
+  /**
+   * Serialize the model, including its learned weights and plasticity
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      learningRate: this.epsilon,
+      minCoupling: this.minCoupling,
+      maxCoupling: this.maxCoupling
+    };
+  }
+  
+  /**
+   * Overwrite this model's state with a toJSON() snapshot
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {AdaptiveKuramoto} this
+   */
+  loadState(json) {
+    super.loadState(json);
+    if (typeof json.learningRate === 'number') this.epsilon = json.learningRate;
+    if (typeof json.minCoupling === 'number') this.minCoupling = json.minCoupling;
+    if (typeof json.maxCoupling === 'number') this.maxCoupling = json.maxCoupling;
+    return this;
+  }
+  
+  static _fromSnapshot(json, frequencies, rng) {
+    // The saved weights replace the initial ones in loadState()
+    const adjacency = json.adjacency ? SparseAdjacency.fromJSON(json.adjacency) : undefined;
+    return new this(frequencies, 0, json.learningRate, { rng, adjacency });
+  }
 }
 
 /**
@@ -327,9 +473,12 @@ class SakaguchiKuramoto extends KuramotoModel {
    * @param {number[]} frequencies - Natural frequencies
    * @param {number} couplingStrength - Coupling K
    * @param {number} phaseLag - Frustration parameter α (radians)
+   * @param {object} [options={}] - Additional options
+   * @param {*} [options.rng] - Seed or generator (see core/rng.js)
+   * @param {string|object} [options.integrator='euler'] - Phase integrator (see physics/integrators.js)
    */
-  constructor(frequencies, couplingStrength = 0.3, phaseLag = 0) {
-    super(frequencies, couplingStrength);
+  constructor(frequencies, couplingStrength = 0.3, phaseLag = 0, options = {}) {
+    super(frequencies, { coupling: couplingStrength, rng: options.rng, integrator: options.integrator });
     this.alpha = phaseLag;
   }
   
@@ -355,6 +504,37 @@ class SakaguchiKuramoto extends KuramotoModel {
     return this.K * coupling / this.oscillators.length;
   }
   
+  /**
+   * Frustrated coupling for all oscillators through the mean field, O(N)
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @returns {Float64Array}
+   */
+  couplingTerms(phases) {
+    return meanFieldCoupling(phases, this.K, { alpha: this.alpha });
+  }
+  
+  /**
+   * In-place Euler step with the phase lag, O(N) (see KuramotoModel.sequentialStep)
+   * @param {number} dt - Timestep
+   * @param {Float64Array|number[]} [extra] - Additional phase increment per oscillator
+   */
+  sequentialStep(dt, extra) {
+    const freqs = Float64Array.from(this.oscillators, osc => osc.freq);
+    const phases = Float64Array.from(this.oscillators, osc => osc.phase);
+    const increments = meanFieldSweep(phases, freqs, this.K, dt, { alpha: this.alpha, extra });
+    this.oscillators.forEach((osc, i) => osc.tick(dt, increments[i]));
+  }
+  
+  /**
+   * Jacobian of derivatives() applied to a tangent vector, in O(N)
+   * @param {Float64Array|number[]} phases - One phase per oscillator
+   * @param {Float64Array|number[]} vector - Tangent vector
+   * @returns {Float64Array}
+   */
+  jacobianProduct(phases, vector) {
+    return meanFieldJacobian(phases, this.K, vector, { alpha: this.alpha });
+  }
+  
   /**
    * Check for chimera state (partial synchronization)
    * Returns ratio of synchronized oscillators
@@ -395,6 +575,29 @@ class SakaguchiKuramoto extends KuramotoModel {
     // For Lorentzian distribution, chimera appears around α ≈ π/2 - arctan(1/K)
     return Math.PI / 2 - Math.atan(1 / couplingStrength);
   }
+  
+  /**
+   * Serialize the model, including its phase lag
+   * @returns {object}
+   */
+  toJSON() {
+    return { ...super.toJSON(), phaseLag: this.alpha };
+  }
+  
+  /**
+   * Overwrite this model's state with a toJSON() snapshot
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {SakaguchiKuramoto} this
+   */
+  loadState(json) {
+    super.loadState(json);
+    if (typeof json.phaseLag === 'number') this.alpha = json.phaseLag;
+    return this;
+  }
+  
+  static _fromSnapshot(json, frequencies, rng) {
+    return new this(frequencies, json.coupling, json.phaseLag, { rng });
+  }
 }
 
 /**
@@ -412,12 +615,16 @@ class SmallWorldKuramoto extends NetworkKuramoto {
    * @param {number} k - Each node connected to k nearest neighbors
    * @param {number} p - Rewiring probability (0 = ring, 1 = random)
    * @param {number} couplingStrength - Coupling K
+   * @param {object} [options={}] - Additional options
+   * @param {*} [options.rng] - Seed or generator used for rewiring (see core/rng.js)
+   * @param {string|object} [options.integrator='euler'] - Phase integrator (see physics/integrators.js)
    */
-  constructor(frequencies, k = 4, p = 0.1, couplingStrength = 0.3) {
+  constructor(frequencies, k = 4, p = 0.1, couplingStrength = 0.3, options = {}) {
     const N = frequencies.length;
-    const adjacency = SmallWorldKuramoto.wattsStrogatz(N, k, p);
+    const rng = createRng(options.rng);
+    const adjacency = SmallWorldKuramoto.wattsStrogatz(N, k, p, rng, { format: 'sparse' });
     
-    super(frequencies, adjacency, couplingStrength);
+    super(frequencies, adjacency, couplingStrength, { rng, integrator: options.integrator });
     
     this.k = k;
     this.p = p;
@@ -425,44 +632,58 @@ class SmallWorldKuramoto extends NetworkKuramoto {
   
   /**
    * Generate Watts-Strogatz small-world graph
+   * @param {number} N - Node count
+   * @param {number} k - Ring lattice degree
+   * @param {number} p - Rewiring probability
+   * @param {*} [rng] - Seed or generator (default: Math.random)
+   * @param {object} [options={}] - Options
+   * @param {string} [options.format='dense'] - 'dense' for an N×N array, or 'sparse' for a SparseAdjacency
+   * @returns {number[][]|SparseAdjacency} Symmetric 0/1 adjacency
    */
-  static wattsStrogatz(N, k, p) {
-    // Start with ring lattice
-    const adj = Array(N).fill(null).map(() => Array(N).fill(0));
+  static wattsStrogatz(N, k, p, rng, options = {}) {
+    rng = createRng(rng);
+    
+    // Start with ring lattice, kept as neighbour sets
+    const adj = Array.from({ length: N }, () => new Set());
     
     // Connect each node to k/2 neighbors on each side
     const halfK = Math.floor(k / 2);
     for (let i = 0; i < N; i++) {
       for (let j = 1; j <= halfK; j++) {
         const neighbor = (i + j) % N;
-        adj[i][neighbor] = 1;
-        adj[neighbor][i] = 1;
+        if (neighbor === i) continue;
+        adj[i].add(neighbor);
+        adj[neighbor].add(i);
       }
     }
     
     // Rewire edges with probability p
     for (let i = 0; i < N; i++) {
       for (let j = 1; j <= halfK; j++) {
-        if (Math.random() < p) {
+        if (rng.next() < p) {
           const oldNeighbor = (i + j) % N;
           
           // Remove old edge
-          adj[i][oldNeighbor] = 0;
-          adj[oldNeighbor][i] = 0;
+          adj[i].delete(oldNeighbor);
+          adj[oldNeighbor].delete(i);
           
           // Add new random edge (avoiding self and duplicates)
           let newNeighbor;
           do {
-            newNeighbor = Math.floor(Math.random() * N);
-          } while (newNeighbor === i || adj[i][newNeighbor] > 0);
+            newNeighbor = rng.nextInt(N);
+          } while (newNeighbor === i || adj[i].has(newNeighbor));
           
-          adj[i][newNeighbor] = 1;
-          adj[newNeighbor][i] = 1;
+          adj[i].add(newNeighbor);
+          adj[newNeighbor].add(i);
         }
       }
     }
     
-    return adj;
+    const edges = [];
+    adj.forEach((neighbors, i) => {
+      for (const j of neighbors) edges.push([i, j]);
+    });
+    return sparseOrDense(SparseAdjacency.fromEdges(N, edges), options.format);
   }
   
   /**
@@ -471,8 +692,7 @@ class SmallWorldKuramoto extends NetworkKuramoto {
   regenerate(k = this.k, p = this.p) {
     this.k = k;
     this.p = p;
-    this.adjacency = SmallWorldKuramoto.wattsStrogatz(this.oscillators.length, k, p);
-    this.degree = this.adjacency.map(row => row.reduce((a, b) => a + b, 0));
+    this.setAdjacency(SmallWorldKuramoto.wattsStrogatz(this.oscillators.length, k, p, this.rng, { format: 'sparse' }));
   }
   
   /**
@@ -502,10 +722,10 @@ class SmallWorldKuramoto extends NetworkKuramoto {
     dist[source] = 0;
     const queue = [source];
     
-    while (queue.length > 0) {
-      const current = queue.shift();
-      for (let j = 0; j < N; j++) {
-        if (this.adjacency[current][j] > 0 && dist[j] === Infinity) {
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      for (const j of this.neighbors(current)) {
+        if (dist[j] === Infinity) {
           dist[j] = dist[current] + 1;
           queue.push(j);
         }
@@ -533,6 +753,31 @@ class SmallWorldKuramoto extends NetworkKuramoto {
     
     return (C / C_random) / (L / L_random);
   }
+  
+  /**
+   * Serialize the model, including its graph and its k and p
+   * @returns {object}
+   */
+  toJSON() {
+    return { ...super.toJSON(), k: this.k, p: this.p };
+  }
+  
+  /**
+   * Overwrite this model's state with a toJSON() snapshot
+   * @param {object} json - Snapshot from toJSON()
+   * @returns {SmallWorldKuramoto} this
+   */
+  loadState(json) {
+    super.loadState(json);
+    if (typeof json.k === 'number') this.k = json.k;
+    if (typeof json.p === 'number') this.p = json.p;
+    return this;
+  }
+  
+  static _fromSnapshot(json, frequencies, rng) {
+    // Start from a ring lattice; the saved graph replaces it in loadState()
+    return new this(frequencies, json.k, 0, json.coupling, { rng });
+  }
 }
 
 /**
@@ -586,16 +831,17 @@ class MultiSystemCoupling {
   
   /**
    * Inter-system coupling force on oscillator
+   * @param {number} systemIdx - System the oscillator belongs to
+   * @param {object} osc - Oscillator
+   * @param {object[]} [fields] - Precomputed orderParameters()
    */
-  interSystemCoupling(systemIdx, osc) {
+  interSystemCoupling(systemIdx, osc, fields = this.orderParameters()) {
     let coupling = 0;
     
     for (let b = 0; b < this.systems.length; b++) {
       if (b === systemIdx || this.G[systemIdx][b] === 0) continue;
       
-      const other = this.systems[b];
-      const r_b = other.orderParameter();
-      const psi_b = other.meanPhase();
+      const { r: r_b, psi: psi_b } = fields[b];
       
       // Mean-field coupling from system b
       coupling += this.G[systemIdx][b] * r_b * Math.sin(psi_b - osc.phase);
@@ -609,21 +855,16 @@ class MultiSystemCoupling {
    */
   tick(dt) {
     // Store inter-system coupling terms for each oscillator
+    const fields = this.orderParameters();
     const interCouplings = this.systems.map((sys, sIdx) => 
-      sys.oscillators.map(osc => this.interSystemCoupling(sIdx, osc) * dt)
+      sys.oscillators.map(osc => this.interSystemCoupling(sIdx, osc, fields) * dt)
     );
     
-    // Tick each system with combined coupling
+    // Tick each system with combined coupling, oscillators in order
     for (let s = 0; s < this.systems.length; s++) {
       const sys = this.systems[s];
-      
-      // Custom tick that includes inter-system coupling
-      for (let i = 0; i < sys.oscillators.length; i++) {
-        const osc = sys.oscillators[i];
-        const intra = sys.kuramotoCoupling(osc) * dt;
-        const inter = interCouplings[s][i];
-        
-        osc.tick(dt, intra + inter);
+      sys.sequentialStep(dt, interCouplings[s]);
+      for (const osc of sys.oscillators) {
         osc.decay(0.02, dt);
       }
     }
@@ -711,13 +952,16 @@ class MultiSystemCoupling {
 /**
  * Create a hierarchical multi-system coupling
  * Lower systems feed into higher ones (bottom-up)
+ * @param {object} [options={}] - Additional options
+ * @param {*} [options.rng] - Seed or generator shared by all levels
  */
-function createHierarchicalCoupling(frequencies, levels = 3, oscPerLevel = 16) {
+function createHierarchicalCoupling(frequencies, levels = 3, oscPerLevel = 16, options = {}) {
   const systems = [];
+  const rng = createRng(options.rng);
   
   for (let level = 0; level < levels; level++) {
     const levelFreqs = frequencies.slice(0, oscPerLevel).map(f => f * (1 + level * 0.1));
-    systems.push(new KuramotoModel(levelFreqs, 0.3 + level * 0.1));
+    systems.push(new KuramotoModel(levelFreqs, { coupling: 0.3 + level * 0.1, rng }));
   }
   
   // Asymmetric coupling: lower -> higher is stronger
@@ -738,14 +982,17 @@ function createHierarchicalCoupling(frequencies, levels = 3, oscPerLevel = 16) {
 /**
  * Create a peer-to-peer multi-system coupling
  * All systems have equal symmetric coupling
+ * @param {object} [options={}] - Additional options
+ * @param {*} [options.rng] - Seed or generator for peer frequency jitter
  */
-function createPeerCoupling(frequencies, numPeers = 3, strength = 0.15) {
+function createPeerCoupling(frequencies, numPeers = 3, strength = 0.15, options = {}) {
   const systems = [];
+  const rng = createRng(options.rng);
   
   for (let i = 0; i < numPeers; i++) {
     // Each peer has slightly different frequencies (individuality)
-    const peerFreqs = frequencies.map(f => f * (1 + (Math.random() - 0.5) * 0.1));
-    systems.push(new KuramotoModel(peerFreqs, 0.3));
+    const peerFreqs = frequencies.map(f => f * (1 + (rng.next() - 0.5) * 0.1));
+    systems.push(new KuramotoModel(peerFreqs, { coupling: 0.3, rng }));
   }
   
   const G = Array(numPeers).fill(null).map(() => Array(numPeers).fill(strength));
@@ -6,7 +6,7 @@
  * 
  * Updated to use modular architecture.
  */
-const { createEngine, SemanticBackend } = require('../modular');
+import { createEngine, SemanticBackend } from '../index.js';
 
 // Semantic configuration matching the test vocabulary
 const semanticConfig = {
@@ -385,6 +385,51 @@ function runBenchmark(options = {}) {
   };
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// Throughput Benchmark
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Compare a loop over run() with the vectorized runBatch()
+ *
+ * Both evaluate every prompt from a freshly reset field, so the outputs
+ * must match; only the wall-clock time should differ.
+ */
+function runThroughputBenchmark(count = 500) {
+  const prompts = Array.from({ length: count }, (_, i) => TEST_BATTERY[i % TEST_BATTERY.length].question);
+  
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log('                    ALEPH THROUGHPUT BENCHMARK                     ');
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log(`Prompts: ${count}\n`);
+  
+  engine.reset();
+  let start = performance.now();
+  const looped = prompts.map(q => {
+    engine.reset();
+    return engine.run(q);
+  });
+  const loopTime = performance.now() - start;
+  
+  engine.reset();
+  start = performance.now();
+  const batched = engine.runBatch(prompts, { independent: true });
+  const batchTime = performance.now() - start;
+  
+  const identical = looped.every((r, i) =>
+    r.output === batched[i].output &&
+    r.resultPrimes.join() === batched[i].resultPrimes.join()
+  );
+  
+  console.log(`   Loop over run():  ${loopTime.toFixed(1)} ms (${(count / loopTime * 1000).toFixed(0)} prompts/s)`);
+  console.log(`   runBatch():       ${batchTime.toFixed(1)} ms (${(count / batchTime * 1000).toFixed(0)} prompts/s)`);
+  console.log(`   Speedup:          ${(loopTime / batchTime).toFixed(2)}x`);
+  console.log(`   Outputs match:    ${identical ? 'yes' : 'NO'}`);
+  console.log('\n═══════════════════════════════════════════════════════════════════\n');
+  
+  return { loopTime, batchTime, speedup: loopTime / batchTime, identical };
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // CLI Interface
 // ═══════════════════════════════════════════════════════════════════
@@ -393,7 +438,8 @@ const args = process.argv.slice(2);
 const options = {
   verbose: !args.includes('--quiet'),
   filterCategory: args.find(a => a.startsWith('--category='))?.split('=')[1],
-  filterDifficulty: args.find(a => a.startsWith('--difficulty='))?.split('=')[1]
+  filterDifficulty: args.find(a => a.startsWith('--difficulty='))?.split('=')[1],
+  throughput: args.find(a => a.startsWith('--throughput'))
 };
 
 if (args.includes('--help')) {
@@ -406,6 +452,7 @@ Options:
   --quiet              Suppress individual test output
   --category=NAME      Filter by category (Ontology, Relationships, Abstract, Physics, Existence, Duality, Knowledge)
   --difficulty=LEVEL   Filter by difficulty (easy, medium, hard)
+  --throughput[=N]     Time N prompts (default 500) through run() vs runBatch()
   --help               Show this help
 
 Examples:
@@ -413,8 +460,14 @@ Examples:
   node benchmark.js --quiet             Run quietly, show only summary
   node benchmark.js --category=Physics  Test only physics questions
   node benchmark.js --difficulty=hard   Test only hard questions
+  node benchmark.js --throughput=1000   Compare batched vs looped evaluation
 `);
   process.exit(0);
 }
 
-runBenchmark(options);
\ No newline at end of file
+if (options.throughput) {
+  const count = parseInt(options.throughput.split('=')[1], 10) || 500;
+  runThroughputBenchmark(count);
+} else {
+  runBenchmark(options);
+}
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Run the hash quality suite from the command line
+ *
+ * Usage:
+ *   node scripts/hash-quality.js [backend|quantum|sha256 ...] [options]
+ *
+ *   backend          CryptographicBackend.hash (default)
+ *   quantum          QuantumHash.classicalHash, plus a CollisionDetector search
+ *   sha256           node:crypto SHA-256, as a reference that should pass
+ *
+ *   --samples=N      Random inputs for avalanche / bit independence (default 100)
+ *   --count=N        Counter inputs for chiSquare / collisions / runs (default 4096)
+ *   --input-bytes=N  Input length for byte hashes (default 8)
+ *   --alpha=X        Familywise significance per test (default 0.001)
+ *   --seed=N         Seed for random inputs (default 1)
+ *   --json           Print the reports as JSON
+ *
+ * Exits with status 1 when any hash fails.
+ */
+import crypto from 'crypto';
+import { CryptographicBackend, HashQualityTester, formatHashReport } from '../index.js';
+import { QuantumHash, CollisionDetector } from '../physics/quantum-hash.js';
+
+const args = process.argv.slice(2);
+const option = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const number = (name) => (option(name) === undefined ? undefined : Number(option(name)));
+const targets = args.filter(a => !a.startsWith('--'));
+
+const options = {
+  samples: number('samples'),
+  count: number('count'),
+  inputBytes: number('input-bytes'),
+  alpha: number('alpha'),
+  seed: number('seed') ?? 1
+};
+
+const TARGETS = {
+  backend() {
+    const backend = new CryptographicBackend({ dimension: 32 });
+    return new HashQualityTester(x => backend.hash(x), { ...options, name: 'CryptographicBackend.hash' });
+  },
+  quantum() {
+    const hash = new QuantumHash(32, { rng: options.seed });
+    const tester = new HashQualityTester(x => hash.classicalHash(x), {
+      ...options, name: 'QuantumHash', input: 'uint32'
+    });
+    const detector = new CollisionDetector(hash);
+    detector.searchCollisions(options.count ?? 4096);
+    for (let i = 0; i < 16; i++) {
+      detector.detectCollision(hash.classicalHash(hash.rng.nextInt(hash.N)), 1000);
+    }
+    return detector.reportTo(tester);
+  },
+  sha256() {
+    return new HashQualityTester(x => crypto.createHash('sha256').update(x).digest(), {
+      ...options, name: 'SHA-256'
+    });
+  }
+};
+
+const unknown = targets.filter(t => !TARGETS[t]);
+if (unknown.length > 0) {
+  console.error(`Unknown hash: ${unknown.join(', ')} (expected ${Object.keys(TARGETS).join(', ')})`);
+  process.exit(1);
+}
+
+const reports = (targets.length > 0 ? targets : ['backend']).map(t => TARGETS[t]().run());
+if (args.includes('--json')) {
+  console.log(JSON.stringify(reports, null, 2));
+} else {
+  console.log(reports.map(formatHashReport).join('\n\n'));
+}
+process.exitCode = reports.every(r => r.passed) ? 0 : 1;
@@ -0,0 +1,38 @@
+/**
+ * Run the Semantic Sieve from the command line
+ *
+ * The package's data.json is only read, as the seed for a new store; all
+ * minted primes go to the store file given on the command line.
+ *
+ * Usage:
+ *   node scripts/sieve.js <store-file> [--log] [--iterations=N] [--export=<file>]
+ *
+ *   --log            Use an append-only log instead of a JSON document
+ *   --iterations=N   Maximum sieve passes (default 25)
+ *   --export=<file>  Write the resulting vocabulary for SemanticBackend
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Sieve, JsonFileStore, AppendLogStore } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SEED_FILE = path.join(__dirname, '..', 'data.json');
+
+const args = process.argv.slice(2);
+const option = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const storePath = args.find(a => !a.startsWith('--'));
+
+if (!storePath) {
+  console.error('Usage: node scripts/sieve.js <store-file> [--log] [--iterations=N] [--export=<file>]');
+  process.exit(1);
+}
+
+const Store = args.includes('--log') ? AppendLogStore : JsonFileStore;
+const sieve = await new Sieve({ store: new Store(storePath, { seed: SEED_FILE }) }).open();
+await sieve.run(Number(option('iterations') ?? 25));
+
+const exportPath = option('export');
+if (exportPath) {
+  fs.writeFileSync(exportPath, JSON.stringify(sieve.export(), null, 2));
+}
@@ -0,0 +1,120 @@
+/**
+ * Tests for AEAD envelopes in the cryptographic backend
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { sealAead, openAead, CryptographicBackend } from '../index.js';
+import { deriveAeadKey } from '../backends/cryptographic/aead.js';
+import { EntropySensitiveEncryptor } from '../backends/cryptographic/index.js';
+
+const KEY = Buffer.alloc(32, 7);
+
+describe('sealAead / openAead', () => {
+  for (const algorithm of ['aes-256-gcm', 'chacha20-poly1305']) {
+    it(`should round-trip with ${algorithm}`, async () => {
+      const envelope = await sealAead('attack at dawn', KEY, { algorithm, aad: 'id:1' });
+      assert.strictEqual(envelope.type, 'aleph-aead');
+      assert.strictEqual(envelope.version, 1);
+      assert.strictEqual(envelope.algorithm, algorithm);
+      assert.strictEqual(Buffer.from(envelope.nonce, 'base64').length, 12);
+      assert.strictEqual(Buffer.from(envelope.tag, 'base64').length, 16);
+
+      const plaintext = await openAead(JSON.parse(JSON.stringify(envelope)), KEY, { aad: 'id:1' });
+      assert.strictEqual(plaintext.toString(), 'attack at dawn');
+      assert.strictEqual((await openAead(JSON.stringify(envelope), KEY, { aad: 'id:1' })).toString(), 'attack at dawn');
+    });
+  }
+
+  it('should use a fresh nonce and salt per message', async () => {
+    const a = await sealAead('same', KEY);
+    const b = await sealAead('same', KEY);
+    assert.notStrictEqual(a.nonce, b.nonce);
+    assert.notStrictEqual(a.kdf.salt, b.kdf.salt);
+    assert.notStrictEqual(a.ciphertext, b.ciphertext);
+  });
+
+  it('should reject wrong keys, wrong AAD and modified envelopes', async () => {
+    const envelope = await sealAead(Buffer.from([1, 2, 3, 4]), KEY, { aad: 'header' });
+    const rejects = (promise) => assert.rejects(promise, /AEAD authentication failed/);
+
+    await rejects(openAead(envelope, Buffer.alloc(32, 8), { aad: 'header' }));
+    await rejects(openAead(envelope, KEY));
+    await rejects(openAead(envelope, KEY, { aad: 'other' }));
+
+    const flipped = Buffer.from(envelope.ciphertext, 'base64');
+    flipped[0] ^= 1;
+    await rejects(openAead({ ...envelope, ciphertext: flipped.toString('base64') }, KEY, { aad: 'header' }));
+    await rejects(openAead({ ...envelope, kdf: { ...envelope.kdf, info: 'changed' } }, KEY, { aad: 'header' }));
+    await rejects(openAead({ ...envelope, algorithm: 'chacha20-poly1305' }, KEY, { aad: 'header' }));
+
+    await assert.rejects(openAead({ ...envelope, version: 2 }, KEY), /Unsupported AEAD envelope version 2 \(expected 1\)/);
+    await assert.rejects(openAead({ ...envelope, type: 'other' }, KEY), /Not an AEAD envelope/);
+    await assert.rejects(sealAead('x', KEY, { algorithm: 'aes-128-cbc' }), /Unknown AEAD algorithm/);
+    await assert.rejects(sealAead('x', KEY, { kdf: 'md5' }), /Unknown KDF/);
+  });
+
+  it('should pick the KDF from the key type and record its parameters', async () => {
+    const fromBytes = await sealAead('x', KEY);
+    assert.deepStrictEqual(Object.keys(fromBytes.kdf).sort(), ['info', 'name', 'primes', 'salt']);
+    assert.strictEqual(fromBytes.kdf.name, 'hkdf-sha256');
+
+    const fromPassphrase = await sealAead('x', 'correct horse', { iterations: 1000 });
+    assert.deepStrictEqual(fromPassphrase.kdf.name, 'pbkdf2-sha256');
+    assert.strictEqual(fromPassphrase.kdf.iterations, 1000);
+    assert.strictEqual((await openAead(fromPassphrase, 'correct horse')).toString(), 'x');
+    await assert.rejects(openAead(fromPassphrase, 'wrong horse'), /AEAD authentication failed/);
+
+    const numeric = await sealAead('x', 12345, { primes: 32 });
+    assert.strictEqual(numeric.kdf.primes, 32);
+    assert.strictEqual((await openAead(numeric, 12345)).toString(), 'x');
+  });
+
+  it('should open with standard primitives given the derived key', async () => {
+    const envelope = await sealAead('interop', KEY, { algorithm: 'chacha20-poly1305' });
+    const key = await deriveAeadKey(KEY, envelope.kdf);
+    assert.strictEqual(key.length, 32);
+
+    const { kdf } = envelope;
+    const header = JSON.stringify(['aleph-aead', 1, 'chacha20-poly1305', kdf.name, kdf.salt, kdf.info, null, kdf.primes]);
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', key, Buffer.from(envelope.nonce, 'base64'), { authTagLength: 16 });
+    decipher.setAAD(Buffer.from(header));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+    assert.strictEqual(plaintext.toString(), 'interop');
+
+    // The KDF salt makes the derivation deterministic
+    assert.deepStrictEqual(await deriveAeadKey(KEY, kdf), key);
+    assert.notDeepStrictEqual(await deriveAeadKey(Buffer.alloc(32, 9), kdf), key);
+  });
+});
+
+describe('AEAD integration', () => {
+  it('should encrypt through the backend with config defaults', async () => {
+    const backend = new CryptographicBackend({ dimension: 32, aead: { algorithm: 'chacha20-poly1305' } });
+    const envelope = await backend.encrypt('payload', KEY);
+    assert.strictEqual(envelope.algorithm, 'chacha20-poly1305');
+    assert.strictEqual((await backend.decrypt(envelope, KEY)).toString(), 'payload');
+  });
+
+  it('should add async AEAD methods to EntropySensitiveEncryptor', async () => {
+    const encryptor = new EntropySensitiveEncryptor({ aead: { algorithm: 'aes-256-gcm' } });
+    const envelope = await encryptor.encryptAead('message', 4242);
+    assert.strictEqual(envelope.algorithm, 'aes-256-gcm');
+    assert.strictEqual((await encryptor.decryptAead(envelope, 4242)).toString(), 'message');
+    await assert.rejects(encryptor.decryptAead(envelope, 4243), /AEAD authentication failed/);
+
+    // The phase cipher is unchanged and synchronous
+    assert.ok(Buffer.isBuffer(encryptor.encrypt('message', 4242)));
+  });
+
+  it('should seed the phase cipher from a Buffer key, not the data', () => {
+    const phase = new EntropySensitiveEncryptor();
+    const key = Buffer.from('shared key');
+    const a = phase.encrypt(Buffer.from([0, 0, 0, 0]), key);
+    const b = phase.encrypt(Buffer.from([0, 0, 0, 0]), Buffer.from('other key'));
+    assert.notDeepStrictEqual(a, b);
+    assert.deepStrictEqual(phase.encrypt(Buffer.from([0, 0, 0, 0]), key), a);
+  });
+});
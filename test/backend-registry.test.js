@@ -0,0 +1,137 @@
+/**
+ * Tests for the pluggable backend registry
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  Backend,
+  AlephEngine,
+  createEngine,
+  registerBackend,
+  unregisterBackend,
+  hasBackend,
+  listBackends,
+  createBackend,
+  validateBackend,
+  ValidationError
+} from '../index.js';
+import { Hypercomplex } from '../core/hypercomplex.js';
+
+const PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53];
+
+class ToyBackend extends Backend {
+  encode(input) {
+    return String(input).split('').map(ch => PRIMES[ch.charCodeAt(0) % PRIMES.length]);
+  }
+  decode(primes) {
+    return primes.join(',');
+  }
+  primesToState(primes) {
+    const state = Hypercomplex.zero(this.dimension);
+    for (const p of primes) state.c[PRIMES.indexOf(p) % this.dimension] += 1;
+    return state.normalize();
+  }
+  primesToFrequencies(primes) {
+    return primes.map(p => 1 + Math.log(p));
+  }
+  applyTransform(primes) {
+    return primes;
+  }
+}
+
+class HalfBackend extends Backend {
+  encode() {
+    return [];
+  }
+}
+
+describe('Backend registry', () => {
+  afterEach(() => {
+    unregisterBackend('toy');
+    unregisterBackend('half');
+  });
+
+  it('should list the built-in backends', () => {
+    const names = listBackends();
+    for (const name of ['semantic', 'cryptographic', 'scientific', 'bioinformatics']) {
+      assert.ok(names.includes(name), name);
+    }
+    assert.ok(hasBackend('crypto'));
+    assert.ok(hasBackend('QUANTUM'));
+  });
+
+  it('should create engines for built-ins and their aliases', () => {
+    for (const type of ['semantic', 'crypto', 'quantum', 'dna']) {
+      assert.ok(createEngine(type, { seed: 1 }) instanceof AlephEngine, type);
+    }
+  });
+
+  it('should register and create a custom backend class', () => {
+    registerBackend('toy', ToyBackend, {
+      defaultConfig: { dimension: 16, primes: PRIMES },
+      aliases: ['plaything']
+    });
+
+    assert.ok(listBackends().includes('toy'));
+    assert.ok(!listBackends().includes('plaything'));
+
+    const engine = createEngine('plaything', { seed: 4 });
+    assert.ok(engine.backend instanceof ToyBackend);
+    assert.strictEqual(engine.backend.config.dimension, 16);
+    assert.strictEqual(typeof engine.run('abc').output, 'string');
+
+    assert.ok(unregisterBackend('toy'));
+    assert.ok(!hasBackend('plaything'));
+  });
+
+  it('should accept factory functions', () => {
+    registerBackend('toy', (config) => new ToyBackend({ ...config, primes: PRIMES }));
+    assert.ok(createBackend('toy', { dimension: 16 }) instanceof ToyBackend);
+  });
+
+  it('should reject duplicate names', () => {
+    assert.throws(() => registerBackend('semantic', ToyBackend), /already registered/);
+  });
+
+  it('should report unimplemented methods of a backend class at registration', () => {
+    assert.throws(
+      () => registerBackend('half', HalfBackend),
+      (err) => {
+        assert.ok(err instanceof ValidationError);
+        assert.deepStrictEqual(err.fields, ['decode', 'primesToState', 'primesToFrequencies', 'applyTransform']);
+        return true;
+      }
+    );
+    assert.ok(!hasBackend('half'));
+  });
+
+  it('should report unimplemented methods of factory results before building the engine', () => {
+    registerBackend('half', () => new HalfBackend({ primes: PRIMES }));
+    assert.throws(() => createEngine('half'), /HalfBackend does not implement required Backend methods: decode/);
+  });
+
+  it('should run config validation before construction', () => {
+    let constructed = 0;
+    registerBackend('toy', (config) => {
+      constructed++;
+      return new ToyBackend(config);
+    }, {
+      defaultConfig: { primes: [] },
+      validate: (config) => config.primes.length > 0 || 'primes must not be empty'
+    });
+
+    assert.throws(() => createEngine('toy'), /Invalid config for backend "toy": primes must not be empty/);
+    assert.strictEqual(constructed, 0);
+    assert.ok(createEngine('toy', { primes: PRIMES }));
+  });
+
+  it('should reject unknown backend types', () => {
+    assert.throws(() => createEngine('nonexistent'), /Unknown backend type: nonexistent/);
+  });
+
+  it('validateBackend should pass complete backends through', () => {
+    const backend = new ToyBackend({ primes: PRIMES });
+    assert.strictEqual(validateBackend(backend), backend);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for restriction digests, primer design and in-silico PCR
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BioinformaticsBackend,
+  findRestrictionSites,
+  restrictionDigest,
+  meltingTemperature,
+  designPrimers,
+  simulatePCR
+} from '../index.js';
+import {
+  nearestNeighborThermo,
+  findHairpin,
+  findDimer,
+  evaluatePrimer
+} from '../backends/bioinformatics/pcr.js';
+
+// EcoRI at 3, PstI at 12, BsaI at 21, SmaI/XmaI at 35
+const PLASMID = 'AAAGAATTCAAACTGCAGAAAGGTCTCAAAAAAAACCCGGGTT';
+
+// Deterministic pseudo-random template
+function randomDNA(length, seed = 12345) {
+  let x = seed;
+  let dna = '';
+  for (let i = 0; i < length; i++) {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    dna += 'ACGT'[Math.floor(x / 2147483648 * 4)];
+  }
+  return dna;
+}
+
+describe('Restriction sites', () => {
+  it('should map cuts and overhangs', () => {
+    const sites = findRestrictionSites(PLASMID, ['EcoRI', 'PstI', 'SmaI', 'BsaI']);
+    assert.deepStrictEqual(
+      sites.map(s => [s.enzyme, s.position, s.cut, s.complementCut, s.overhang, s.overhangType]),
+      [
+        ['EcoRI', 3, 4, 8, 'AATT', "5'"],
+        ['PstI', 12, 17, 13, 'TGCA', "3'"],
+        ['BsaI', 21, 28, 32, 'AAAA', "5'"],
+        ['SmaI', 35, 38, 38, '', 'blunt']
+      ]
+    );
+
+    // Non-palindromic sites are found on the bottom strand too
+    const [bsa] = findRestrictionSites('TCAAAAAAAAAAAAAAGAGACCAAA', 'BsaI');
+    assert.deepStrictEqual([bsa.strand, bsa.cut, bsa.complementCut, bsa.overhang], [-1, 11, 15, 'AAAA']);
+
+    // IUPAC sites, prime input and custom enzymes
+    const backend = new BioinformaticsBackend();
+    assert.strictEqual(findRestrictionSites(backend.encode('AACTCGGGAA'), 'AvaI').length, 1);
+    assert.strictEqual(findRestrictionSites('AAGGCCAAA', [{ name: 'Custom', site: 'GGCC', cut: 2, complementCut: 2 }])[0].cut, 4);
+
+    assert.throws(() => findRestrictionSites(PLASMID, 'EcoR1'), /Unknown restriction enzyme: EcoR1/);
+  });
+
+  it('should find sites across the origin of circular sequences', () => {
+    const circle = 'ATTCAAAAAAAAAAAAGA';
+    assert.strictEqual(findRestrictionSites(circle, 'EcoRI').length, 0);
+    const [site] = findRestrictionSites(circle, 'EcoRI', { circular: true });
+    assert.deepStrictEqual([site.position, site.cut, site.complementCut, site.overhang], [16, 17, 3, 'AATT']);
+  });
+
+  it('should digest linear and circular DNA into fragments', () => {
+    const linear = restrictionDigest(PLASMID, ['EcoRI', 'PstI']);
+    assert.deepStrictEqual(linear.map(f => f.length), [4, 13, 26]);
+    assert.strictEqual(linear.map(f => f.sequence).join(''), PLASMID);
+    assert.strictEqual(linear[0].left, null);
+    assert.deepStrictEqual(linear[1].left, { enzyme: 'EcoRI', overhang: 'AATT', overhangType: "5'" });
+    assert.strictEqual(linear[1].right.enzyme, 'PstI');
+
+    const circular = restrictionDigest(PLASMID, ['EcoRI', 'PstI'], { circular: true });
+    assert.deepStrictEqual(circular.map(f => [f.start, f.end, f.length]), [[4, 17, 13], [17, 4, 30]]);
+    assert.strictEqual(circular[1].sequence, PLASMID.slice(17) + PLASMID.slice(0, 4));
+
+    assert.deepStrictEqual(restrictionDigest(PLASMID, 'NotI').map(f => f.length), [PLASMID.length]);
+  });
+});
+
+describe('Primer thermodynamics', () => {
+  it('should follow the SantaLucia nearest-neighbour model', () => {
+    // SantaLucia (1998) worked example
+    const thermo = nearestNeighborThermo('CGTTGA', { sodium: 1000, magnesium: 0 });
+    assert.ok(Math.abs(thermo.dH - -41.2) < 1e-9);
+    assert.ok(Math.abs(thermo.dS - -115.4) < 1e-9);
+
+    const tm = meltingTemperature('AGCGGATAACAATTTCACACAGGA');
+    assert.ok(tm > 59 && tm < 62, `M13 reverse Tm ${tm}`);
+    assert.ok(meltingTemperature('AGCGGATAACAATTTCACACAGGA', { magnesium: 0, dntp: 0 }) < tm);
+    assert.ok(meltingTemperature('GCGCGCGCGCGCGCGCGCGC') > meltingTemperature('ATATATATATATATATATAT'));
+  });
+
+  it('should find hairpins and dimers', () => {
+    const hairpin = findHairpin('GGGGAAAACCCC');
+    assert.deepStrictEqual([hairpin.stem, hairpin.loop], [4, 4]);
+    // Three GG stacks plus a tetraloop
+    assert.ok(Math.abs(hairpin.dG - (3 * (-8.0 + 310.15 * 19.9 / 1000) + 3.5)) < 1e-9);
+    assert.strictEqual(findHairpin('AAAAAAAAAAAA'), null);
+
+    const palindrome = findDimer('GAATTCGAATTC');
+    assert.strictEqual(palindrome.length, 12);
+    assert.strictEqual(palindrome.threePrimeDG, palindrome.dG);
+
+    // The 3' end of the first primer anneals to the 3' end of the second
+    const threePrime = findDimer('ACGTACGTAAAAAAAAA', 'TTTTTTTTTTGGGG');
+    assert.ok(threePrime.threePrimeDG < -5);
+    assert.strictEqual(findDimer('AAAAAAAA', 'CCCCCCCC').dG, 0);
+
+    const primer = evaluatePrimer('GGAGTTTCCAGCCTCCTTCC');
+    assert.deepStrictEqual(primer.problems, []);
+    assert.deepStrictEqual(evaluatePrimer('AAAAAAAAAATTTTTTTTTT').problems.sort(), ['gc', 'gcClamp', 'hairpin', 'polyX', 'selfDimer', 'threePrimeDimer', 'tm']);
+  });
+});
+
+describe('Primer design and PCR', () => {
+  const template = randomDNA(1500);
+
+  it('should design primer pairs flanking a target', () => {
+    const target = { start: 600, end: 800 };
+    const pairs = designPrimers(template, { target, productSize: [250, 600], count: 3 });
+    assert.strictEqual(pairs.length, 3);
+
+    for (const pair of pairs) {
+      const { forward, reverse } = pair;
+      assert.ok(forward.end <= target.start && reverse.start >= target.end);
+      assert.ok(pair.productSize >= 250 && pair.productSize <= 600);
+      assert.strictEqual(pair.product, template.slice(forward.start, reverse.end));
+      assert.strictEqual(forward.sequence, template.slice(forward.start, forward.end));
+      assert.strictEqual(reverse.strand, -1);
+      for (const primer of [forward, reverse]) {
+        assert.ok(primer.tm >= 57 && primer.tm <= 63);
+        assert.ok(primer.gc >= 0.4 && primer.gc <= 0.6);
+        assert.deepStrictEqual(primer.problems, []);
+      }
+      assert.ok(pair.tmDifference <= 3);
+    }
+    assert.ok(pairs[0].penalty <= pairs[2].penalty);
+  });
+
+  it('should predict amplicons, including tails, mismatches and circular templates', () => {
+    const [pair] = designPrimers(template, { target: { start: 600, end: 800 }, productSize: [250, 600] });
+    const forward = pair.forward.sequence;
+    const reverse = pair.reverse.sequence;
+
+    const [amplicon, ...others] = simulatePCR(template, forward, reverse);
+    assert.strictEqual(others.length, 0);
+    assert.strictEqual(amplicon.sequence, pair.product);
+    assert.deepStrictEqual([amplicon.start, amplicon.end, amplicon.length], [pair.forward.start, pair.reverse.end, pair.productSize]);
+
+    // A 5' EcoRI tail is carried into the product
+    const [tailed] = simulatePCR(template, 'GAATTC' + forward, reverse, { anneal: forward.length });
+    assert.strictEqual(tailed.sequence, 'GAATTC' + pair.product);
+    assert.ok(findRestrictionSites(tailed.sequence, 'EcoRI').some(site => site.position === 0));
+
+    // Mismatches are tolerated away from the 3' end only
+    const flip = (primer, i) => primer.slice(0, i) + (primer[i] === 'A' ? 'C' : 'A') + primer.slice(i + 1);
+    assert.strictEqual(simulatePCR(template, flip(forward, 2), reverse).length, 0);
+    assert.strictEqual(simulatePCR(template, flip(forward, 2), reverse, { maxMismatches: 1 }).length, 1);
+    assert.strictEqual(simulatePCR(template, flip(forward, forward.length - 2), reverse, { maxMismatches: 1 }).length, 0);
+
+    // On a rotated circle the product spans the origin
+    const rotated = template.slice(700) + template.slice(0, 700);
+    const [circular] = simulatePCR(rotated, forward, reverse, { circular: true });
+    assert.strictEqual(circular.sequence, pair.product);
+    assert.ok(circular.end < circular.start);
+    assert.strictEqual(simulatePCR(rotated, forward, reverse).length, 0);
+  });
+});
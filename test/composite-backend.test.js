@@ -0,0 +1,121 @@
+/**
+ * Tests for CompositeBackend prime partitioning and routing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  CompositeBackend,
+  SemanticBackend,
+  BioinformaticsBackend,
+  AlephEngine,
+  createEngine
+} from '../index.js';
+
+const TEXT = 'love truth wisdom';
+const PROTEIN = 'MALWMRLLPLLALLALWGPDPAAA';
+
+function makeComposite(mode) {
+  return new CompositeBackend({
+    backends: {
+      text: new SemanticBackend({ dimension: 16 }),
+      protein: new BioinformaticsBackend({ dimension: 16 })
+    },
+    mode
+  });
+}
+
+describe('CompositeBackend', () => {
+  for (const mode of ['residue', 'range']) {
+    describe(`${mode} mode`, () => {
+      const backend = makeComposite(mode);
+
+      it('should give each channel disjoint primes', () => {
+        const text = new Set(backend.liftPrimes('text', [2, 3, 5, 7, 11, 13]));
+        const protein = backend.liftPrimes('protein', [2, 3, 5, 7, 11, 13]);
+        assert.ok(protein.every(p => !text.has(p)));
+      });
+
+      it('should lower lifted primes back to their channel', () => {
+        for (const [p, lifted] of [2, 3, 29, 97].map(p => [p, backend.liftPrimes('protein', [p])[0]])) {
+          assert.deepStrictEqual(backend.lowerPrime(lifted), { channel: 'protein', prime: p });
+        }
+      });
+
+      it('should round-trip mixed input per channel', () => {
+        const primes = backend.encode({ text: TEXT, protein: PROTEIN });
+        const children = {
+          text: backend.channelMap.get('text').backend,
+          protein: backend.channelMap.get('protein').backend
+        };
+        assert.deepStrictEqual(backend.decode(primes), {
+          text: children.text.decode(children.text.encode(TEXT)),
+          protein: children.protein.decode(children.protein.encode(PROTEIN))
+        });
+      });
+    });
+  }
+
+  it('should lay out child states in separate blocks', () => {
+    const backend = makeComposite('residue');
+    assert.strictEqual(backend.dimension, 32);
+
+    const textOnly = backend.primesToState(backend.encode({ text: TEXT }));
+    const proteinOnly = backend.primesToState(backend.encode({ protein: PROTEIN }));
+    assert.ok(textOnly.c.slice(16).every(x => x === 0));
+    assert.ok(proteinOnly.c.slice(0, 16).every(x => x === 0));
+    assert.ok(Math.abs(textOnly.norm() - 1) < 1e-9);
+  });
+
+  it('should route non-object input to the configured channel', () => {
+    const backend = new CompositeBackend({
+      backends: {
+        text: new SemanticBackend({ dimension: 16 }),
+        protein: new BioinformaticsBackend({ dimension: 16 })
+      },
+      route: (input) => /^[ACDEFGHIKLMNPQRSTVWY]+$/.test(input) ? 'protein' : 'text'
+    });
+    assert.deepStrictEqual(Object.keys(backend.decode(backend.encode(PROTEIN))), ['protein']);
+    assert.deepStrictEqual(Object.keys(backend.decode(backend.encode(TEXT))), ['text']);
+  });
+
+  it('should delegate channel-tagged transforms to the child', () => {
+    const backend = makeComposite('residue');
+    const primes = backend.encode({ text: TEXT, protein: PROTEIN });
+    const semantic = backend.channelMap.get('text').backend;
+    // Semantic transforms never rewrite core primes
+    const a = backend.splitPrimes(primes).text.find(p => !semantic.corePrimes.has(p));
+    const transform = { channel: 'text', q: [a], r: [2] };
+
+    const result = backend.applyTransform(primes, transform);
+    assert.ok(!backend.splitPrimes(result).text.includes(a));
+    assert.deepStrictEqual(backend.splitPrimes(result).protein, backend.splitPrimes(primes).protein);
+    assert.ok(backend.getTransforms().some(t => t.channel === 'protein'));
+  });
+
+  it('should reject unknown channels and bad configs', () => {
+    const backend = makeComposite('range');
+    assert.throws(() => backend.encode({ audio: 'x' }), /Unknown CompositeBackend channel: audio/);
+    assert.throws(() => new CompositeBackend({ backends: {} }), /at least one child backend/);
+    assert.throws(() => new CompositeBackend({ backends: { a: {} } }), /must be a Backend instance/);
+    const beyond = backend.table.nth(backend.channels[0].capacity);
+    assert.throws(() => backend.liftPrimes('text', [beyond]), /exceeds the capacity/);
+  });
+
+  it('should drive an engine with mixed input', () => {
+    const engine = new AlephEngine(makeComposite('residue'), { seed: 3 });
+    const result = engine.run({ text: 'insulin hormone', protein: PROTEIN });
+    assert.strictEqual(typeof result.output, 'object');
+    assert.ok(Object.keys(result.output).every(k => ['text', 'protein'].includes(k)));
+  });
+
+  it('should be available through createEngine', () => {
+    const engine = createEngine('composite', {
+      seed: 1,
+      backends: { a: new SemanticBackend({ dimension: 16 }), b: new SemanticBackend({ dimension: 16 }) }
+    });
+    assert.ok(engine.backend instanceof CompositeBackend);
+    assert.deepStrictEqual(engine.backend.getChannels(), ['a', 'b']);
+    assert.throws(() => createEngine('composite'), /Invalid config for backend "composite"/);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for the mean-field and CSR sparse coupling kernels
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SparseAdjacency, meanFieldCoupling, meanFieldSweep, sparseCoupling } from '../physics/coupling.js';
+import { KuramotoModel } from '../physics/kuramoto.js';
+import {
+  NetworkKuramoto,
+  AdaptiveKuramoto,
+  SakaguchiKuramoto,
+  SmallWorldKuramoto
+} from '../physics/sync-models.js';
+import { SeededRandom } from '../core/rng.js';
+
+function randomPhases(n, seed) {
+  const rng = new SeededRandom(seed);
+  return Float64Array.from({ length: n }, () => rng.next() * 2 * Math.PI);
+}
+
+function assertClose(actual, expected, tol = 1e-12) {
+  assert.strictEqual(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) < tol, `index ${i}: ${actual[i]} vs ${expected[i]}`);
+  }
+}
+
+describe('meanFieldCoupling', () => {
+  it('should match the pairwise sum, with and without phase lag', () => {
+    const phases = randomPhases(50, 1);
+    for (const alpha of [0, 0.7]) {
+      const pairwise = Array.from(phases, (theta, i) => {
+        let sum = 0;
+        phases.forEach((other, j) => { if (j !== i) sum += Math.sin(other - theta - alpha); });
+        return 1.5 * sum / phases.length;
+      });
+      assertClose(meanFieldCoupling(phases, 1.5, { alpha }), pairwise);
+    }
+  });
+
+  it('should back KuramotoModel and SakaguchiKuramoto couplingTerms', () => {
+    const freqs = Array.from({ length: 20 }, (_, i) => 1 + i * 0.05);
+    const models = [new KuramotoModel(freqs, 0.8), new SakaguchiKuramoto(freqs, 0.8, 0.4)];
+    for (const model of models) {
+      model.oscillators.forEach((osc, i) => { osc.phase = i * 0.37; });
+      const expected = model.oscillators.map(osc => model.kuramotoCoupling(osc));
+      assertClose(model.couplingTerms(model.getPhases()), expected);
+    }
+  });
+
+  it('should still honour subclasses that only override kuramotoCoupling', () => {
+    class Repulsive extends KuramotoModel {
+      kuramotoCoupling(osc) {
+        return -super.kuramotoCoupling(osc);
+      }
+    }
+    const model = new Repulsive([1, 1, 1], 1);
+    const phases = [0, 0.5, 1];
+    assertClose(model.couplingTerms(phases), Array.from(meanFieldCoupling(phases, -1)));
+  });
+});
+
+describe('meanFieldSweep', () => {
+  it('should keep the in-place Euler order of KuramotoModel and SakaguchiKuramoto', () => {
+    const freqs = Array.from({ length: 30 }, (_, i) => 1 + i * 0.05);
+    for (const [model, alpha] of [[new KuramotoModel(freqs, 2), 0], [new SakaguchiKuramoto(freqs, 2, 0.6), 0.6]]) {
+      const start = randomPhases(30, 3);
+      model.oscillators.forEach((osc, i) => { osc.phase = start[i]; });
+
+      // Oscillator by oscillator with the pairwise sum, as OscillatorBank.tick() does
+      const expected = Array.from(start);
+      expected.forEach((theta, i) => {
+        let sum = 0;
+        expected.forEach((other, j) => { if (j !== i) sum += Math.sin(other - theta - alpha); });
+        expected[i] = (theta + 2 * Math.PI * freqs[i] * 0.1 + 2 * sum / 30 * 0.1) % (2 * Math.PI);
+      });
+
+      model.tick(0.1);
+      assertClose(model.getPhases(), expected);
+    }
+
+    const phases = randomPhases(4, 5);
+    const increments = meanFieldSweep(Float64Array.from(phases), [0, 0, 0, 0], 0, 1, { extra: [0.1, 0.2, 0.3, 0.4] });
+    assertClose(increments, [0.1, 0.2, 0.3, 0.4]);
+  });
+});
+
+describe('SparseAdjacency', () => {
+  it('should build CSR rows from edges and dense matrices', () => {
+    const adj = SparseAdjacency.fromEdges(4, [[0, 2, 0.5], [0, 1], [3, 0, 2], [0, 2, 0.7]], { symmetric: true });
+    assert.deepStrictEqual(Array.from(adj.rowPtr), [0, 3, 4, 5, 6]);
+    assert.deepStrictEqual(Array.from(adj.row(0).indices), [1, 2, 3]);
+    // The repeated edge keeps its last weight
+    assert.strictEqual(adj.get(2, 0), 0.7);
+    assert.strictEqual(adj.get(1, 2), 0);
+    assert.deepStrictEqual(SparseAdjacency.fromDense(adj.toDense()), adj);
+    assert.deepStrictEqual(Array.from(adj.rowSums()), [3.7, 1, 0.7, 2]);
+  });
+
+  it('should only change weights inside its sparsity pattern', () => {
+    const adj = SparseAdjacency.complete(3, 0.2);
+    assert.strictEqual(adj.nnz, 6);
+    adj.set(1, 2, 0.9);
+    assert.strictEqual(adj.get(1, 2), 0.9);
+    assert.throws(() => adj.set(1, 1, 1), /not stored/);
+    assert.throws(() => SparseAdjacency.fromEdges(2, [[0, 2]]), /outside a 2-node graph/);
+  });
+
+  it('should apply per-node gains in sparseCoupling', () => {
+    const adj = SparseAdjacency.fromEdges(3, [[0, 1, 2], [1, 1, 5]]);
+    const out = sparseCoupling(adj, [0, 1, 2], Float64Array.of(0.5, 3, 1));
+    assertClose(out, [Math.sin(1), 0, 0]);
+  });
+});
+
+describe('NetworkKuramoto on CSR adjacency', () => {
+  const dense = [
+    [0, 1, 0.5, 0],
+    [1, 0, 0, 0],
+    [0.5, 0, 0, 2],
+    [0, 0, 2, 0]
+  ];
+
+  it('should convert dense matrices and match the per-oscillator coupling', () => {
+    const model = new NetworkKuramoto([1, 2, 3, 4], dense, 0.6);
+    assert.ok(model.adjacency instanceof SparseAdjacency);
+    assert.deepStrictEqual(model.adjacency.toDense(), dense);
+    assert.deepStrictEqual(Array.from(model.degree), [1.5, 1, 2.5, 2]);
+
+    model.oscillators.forEach((osc, i) => { osc.phase = i * 0.9; });
+    assertClose(model.couplingTerms(model.getPhases()), model.oscillators.map(osc => model.kuramotoCoupling(osc)));
+  });
+
+  it('should build from an entanglement graph without a dense matrix', () => {
+    const model = new NetworkKuramoto([1, 2, 3, 4], null, 0.6);
+    const graph = new Map([
+      [2, new Map([[3, { strength: 0.8 }], [7, { strength: 0.4 }], [11, { strength: 9 }]])],
+      [3, new Map([[2, { strength: 0.8 }]])],
+      [7, new Map([[2, { strength: 0.4 }]])]
+    ]);
+    model.setFromEntanglementGraph(graph, [2, 3, 5, 7]);
+
+    assert.strictEqual(model.adjacency.nnz, 4);
+    assert.strictEqual(model.adjacency.get(0, 3), 0.4);
+    assert.strictEqual(model.adjacency.get(2, 0), 0);
+    assert.deepStrictEqual(Array.from(model.degree), [1.2000000000000002, 0.8, 0, 0.4]);
+    assert.deepStrictEqual(model.findClusters(10), [[0, 1, 3], [2]]);
+  });
+
+  it('should adapt only the stored edges', () => {
+    const ring = SparseAdjacency.fromEdges(6, [0, 1, 2, 3, 4, 5].map(i => [i, (i + 1) % 6]), { symmetric: true });
+    const model = new AdaptiveKuramoto(new Array(6).fill(1), 0.3, 0.5, { adjacency: ring });
+    assert.ok(Math.abs(model.totalCoupling() - 6 * 0.3) < 1e-12);
+
+    model.oscillators.forEach((osc, i) => { osc.phase = i * 0.1; });
+    model.adaptCoupling(1);
+    assert.strictEqual(model.adjacency.nnz, 12);
+    assert.strictEqual(model.adjacency.get(0, 1), model.adjacency.get(1, 0));
+    assert.ok(model.adjacency.get(0, 1) > 0.3);
+    assert.strictEqual(ring.get(0, 1), 1);
+
+    const snapshot = model.getCouplingSnapshot();
+    assert.strictEqual(snapshot[0][1], model.adjacency.get(0, 1));
+    assert.strictEqual(snapshot[0][3], 0);
+    assert.deepStrictEqual(model.getCouplingSnapshot({ format: 'sparse' }).toDense(), snapshot);
+    assert.throws(() => model.getCouplingSnapshot({ format: 'csr' }), /Unknown adjacency format/);
+  });
+
+  it('should build Watts-Strogatz graphs sparsely and reproducibly', () => {
+    const lattice = SmallWorldKuramoto.wattsStrogatz(10, 4, 0, 1, { format: 'sparse' });
+    assert.deepStrictEqual(Array.from(lattice.rowSums()), new Array(10).fill(4));
+    // Dense by default, as before CSR
+    assert.deepStrictEqual(SmallWorldKuramoto.wattsStrogatz(10, 4, 0, 1), lattice.toDense());
+
+    const a = SmallWorldKuramoto.wattsStrogatz(200, 6, 0.3, 11, { format: 'sparse' });
+    const b = SmallWorldKuramoto.wattsStrogatz(200, 6, 0.3, 11, { format: 'sparse' });
+    assert.deepStrictEqual(a, b);
+    assert.strictEqual(a.nnz, 200 * 6);
+    for (const [i, j] of a.edges()) {
+      assert.strictEqual(a.get(j, i), 1);
+    }
+  });
+});
+
+describe('Large networks', () => {
+  it('should step 100k oscillators all-to-all and on a small-world graph', () => {
+    const N = 100000;
+    const freqs = Array.from({ length: N }, (_, i) => 1 + (i % 10) * 0.01);
+
+    const allToAll = new KuramotoModel(freqs, { coupling: 2, integrator: 'rk4' });
+    allToAll.oscillators.forEach((osc, i) => { osc.phase = (i % 100) * 0.01; });
+    allToAll.tick(0.01);
+    assert.ok(allToAll.orderParameter() >= 0);
+
+    const smallWorld = new SmallWorldKuramoto(freqs, 4, 0.05, 1, { rng: 3 });
+    assert.strictEqual(smallWorld.adjacency.nnz, N * 4);
+    smallWorld.tick(0.01);
+    assert.ok(Number.isFinite(smallWorld.getPhases()[N - 1]));
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for AlephEngine.runAsync / runStream and EvolutionStream sources
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createEngine } from '../index.js';
+import { EvolutionStream } from '../core/events.js';
+
+describe('AlephEngine.runAsync', () => {
+  it('should produce the same result as run()', async () => {
+    const sync = createEngine('semantic', { seed: 5 });
+    const async_ = createEngine('semantic', { seed: 5 });
+    for (const q of ['light and darkness', 'what is love']) {
+      assert.deepStrictEqual(await async_.runAsync(q), sync.run(q));
+    }
+    assert.deepStrictEqual(async_.frames, sync.frames);
+  });
+
+  it('should report sampled frames as they happen', async () => {
+    const engine = createEngine('semantic', { seed: 5 });
+    const seen = [];
+    await engine.runAsync('light and darkness', { onFrame: f => seen.push(f) });
+
+    assert.ok(seen.length > 0);
+    for (const frame of seen) {
+      assert.strictEqual(typeof frame.order, 'number');
+      assert.strictEqual(typeof frame.differential, 'number');
+      assert.strictEqual(typeof frame.entropy, 'number');
+    }
+    // Retained frames are a subset of the reported ones
+    assert.ok(engine.frames.every(f => seen.includes(f)));
+  });
+
+  it('should yield to the event loop while evolving', async () => {
+    const engine = createEngine('semantic', { seed: 5 });
+    let turns = 0;
+    const timer = setInterval(() => turns++, 0);
+    await engine.runAsync('hello world', { yieldEvery: 5 });
+    clearInterval(timer);
+    assert.ok(turns > 0);
+  });
+
+  it('should reject with AbortError when aborted', async () => {
+    const engine = createEngine('semantic', { seed: 5 });
+    const controller = new AbortController();
+    let steps = 0;
+    const stream = engine.runStream('hello world', { signal: controller.signal });
+    const pending = engine.runAsync('hello world', { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    for await (const _ of stream) steps++;
+    assert.strictEqual(steps, 0);
+    assert.strictEqual(engine.history.length, 0);
+  });
+});
+
+describe('AlephEngine.runStream', () => {
+  it('should stream per-tick progress and expose the result', async () => {
+    const engine = createEngine('semantic', { seed: 2 });
+    const reference = createEngine('semantic', { seed: 2 }).run('truth and wisdom');
+
+    const stream = engine.runStream('truth and wisdom');
+    const items = await stream.collect();
+
+    assert.strictEqual(items.length, reference.evolutionSteps);
+    assert.deepStrictEqual(items.map(s => s.step), items.map((_, i) => i));
+    assert.deepStrictEqual(stream.result, reference);
+  });
+});
+
+describe('EvolutionStream.fromIterator', () => {
+  it('should pass items through and capture the return value', async () => {
+    function* source() {
+      yield { n: 1 };
+      yield { n: 2 };
+      return 'done';
+    }
+    const stream = EvolutionStream.fromIterator(source());
+    assert.deepStrictEqual(await stream.collect(), [{ n: 1 }, { n: 2 }]);
+    assert.strictEqual(stream.result, 'done');
+  });
+
+  it('should stop when its signal aborts', async () => {
+    const controller = new AbortController();
+    function* endless() {
+      for (let i = 0; ; i++) yield { i };
+    }
+    const stream = EvolutionStream.fromIterator(endless(), { signal: controller.signal });
+    const items = [];
+    for await (const item of stream) {
+      items.push(item);
+      if (item.i === 3) controller.abort();
+    }
+    assert.strictEqual(items.length, 4);
+  });
+
+  it('should close its source when aborted', async () => {
+    const controller = new AbortController();
+    let closed = false;
+    function* endless() {
+      try {
+        for (let i = 0; ; i++) yield { i };
+      } finally {
+        closed = true;
+      }
+    }
+    const stream = EvolutionStream.fromIterator(endless(), { signal: controller.signal });
+    for await (const item of stream) {
+      if (item.i === 2) controller.abort();
+    }
+    assert.strictEqual(closed, true);
+  });
+});
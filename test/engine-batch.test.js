@@ -0,0 +1,111 @@
+/**
+ * Tests for vectorized AlephEngine.runBatch
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createEngine, createIntegrator, AlephEngine, SakaguchiKuramoto } from '../index.js';
+
+const PROMPTS = [
+  'what is love',
+  'truth and wisdom',
+  'hello world',
+  'the nature of chaos and order',
+  'light',
+  'mind soul spirit'
+];
+
+/**
+ * Reference: run() each prompt on an engine restored from the same snapshot
+ */
+function runFromSnapshot(engine, prompts) {
+  const snapshot = engine.toJSON();
+  let rngState = snapshot.rngState;
+  return prompts.map(q => {
+    // Carry the rng stream across prompts, as runBatch does
+    const restored = AlephEngine.fromJSON({ ...snapshot, rngState }, engine.backend);
+    const result = restored.run(q);
+    rngState = restored.getRngState();
+    return { result, engine: restored };
+  });
+}
+
+describe('AlephEngine.run early stop', () => {
+  /**
+   * Engine whose classified stability is pinned after every tick
+   */
+  function pinnedEngine(stability) {
+    const engine = createEngine('semantic', { seed: 5 });
+    engine.options.coherenceThreshold = 0.05;
+    const tick = engine.tick.bind(engine);
+    engine.tick = (dt) => {
+      tick(dt);
+      engine.stability = stability;
+    };
+    return engine;
+  }
+
+  it('should stop on a strong coherent response unless the field is chaotic', () => {
+    const stable = pinnedEngine('stable').run('what is love');
+    assert.ok(stable.evolutionSteps < 20, `stopped after ${stable.evolutionSteps}`);
+
+    const engine = pinnedEngine('chaotic');
+    assert.strictEqual(engine.run('what is love').evolutionSteps, engine.options.maxEvolutionSteps);
+  });
+});
+
+describe('AlephEngine.runBatch (independent)', () => {
+  it('should match run() from the same starting field', () => {
+    const reference = createEngine('semantic', { seed: 5 });
+    const batched = createEngine('semantic', { seed: 5 });
+    for (const engine of [reference, batched]) {
+      engine.run('warm up the field');
+    }
+
+    const runs = runFromSnapshot(reference, PROMPTS);
+    const actual = batched.runBatch(PROMPTS, { independent: true, batchSize: 4 });
+    assert.deepStrictEqual(actual, runs.map(r => r.result));
+
+    // The engine ends up as the last prompt's run() left it
+    const last = runs[runs.length - 1].engine;
+    const { history, ...state } = batched.toJSON();
+    const { history: lastHistory, ...expectedState } = last.toJSON();
+    assert.deepStrictEqual(state, expectedState);
+    assert.deepStrictEqual(batched.getPhysicsState(), last.getPhysicsState());
+    assert.deepStrictEqual(
+      batched.getHistory(PROMPTS.length).map(h => h.output),
+      runs.map(r => r.engine.getHistory(1)[0].output)
+    );
+  });
+
+  it('should not depend on batchSize', () => {
+    const a = createEngine('semantic', { seed: 9 });
+    const b = createEngine('semantic', { seed: 9 });
+    assert.deepStrictEqual(
+      a.runBatch(PROMPTS, { independent: true, batchSize: 1 }),
+      b.runBatch(PROMPTS, { independent: true })
+    );
+  });
+
+  it('should refuse fields it cannot mirror', () => {
+    const rk4 = createEngine('semantic', { seed: 1 });
+    rk4.oscillators.integrator = createIntegrator('rk4');
+    assert.throws(() => rk4.runBatch(PROMPTS, { independent: true }), /only mirror the "euler" integrator, got "rk4"/);
+
+    const lagged = createEngine('semantic', { seed: 1 });
+    const freqs = lagged.oscillators.oscillators.map(o => o.freq);
+    lagged.oscillators = new SakaguchiKuramoto(freqs, 0.3, 0.5);
+    assert.throws(() => lagged.runBatch(PROMPTS, { independent: true }), /only mirror KuramotoModel, got SakaguchiKuramoto/);
+  });
+
+  it('should return an empty array for no inputs', () => {
+    const engine = createEngine('semantic', { seed: 1 });
+    assert.deepStrictEqual(engine.runBatch([], { independent: true }), []);
+  });
+
+  it('should keep sequential behaviour by default', () => {
+    const a = createEngine('semantic', { seed: 3 });
+    const b = createEngine('semantic', { seed: 3 });
+    assert.deepStrictEqual(a.runBatch(PROMPTS), PROMPTS.map(q => b.run(q)));
+  });
+});
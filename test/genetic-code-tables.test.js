@@ -0,0 +1,105 @@
+/**
+ * Tests for NCBI translation tables
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BioinformaticsBackend, parseGenBank } from '../index.js';
+import {
+  GENETIC_CODE_TABLES,
+  STANDARD_GENETIC_CODE,
+  VERTEBRATE_MITOCHONDRIAL_CODE,
+  getGeneticCode,
+  translateCodon,
+  isStartCodon,
+  isStopCodon,
+  getCodonsForAminoAcid,
+  getCodonDegeneracy
+} from '../backends/bioinformatics/genetic-code.js';
+import { TranslationOperator } from '../backends/bioinformatics/translation.js';
+
+describe('GENETIC_CODE_TABLES', () => {
+  it('should cover every NCBI transl_table id with 64 codons', () => {
+    assert.deepStrictEqual(Object.keys(GENETIC_CODE_TABLES).map(Number),
+      [1, 2, 3, 4, 5, 6, 9, 10, 11, 12, 13, 14, 15, 16, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33]);
+    for (const table of Object.values(GENETIC_CODE_TABLES)) {
+      assert.strictEqual(Object.keys(table.code).length, 64, table.name);
+      assert.ok(table.starts.includes('AUG'), table.name);
+    }
+    assert.deepStrictEqual(getGeneticCode(1).code, { ...STANDARD_GENETIC_CODE });
+    assert.deepStrictEqual(getGeneticCode('2').code, { ...VERTEBRATE_MITOCHONDRIAL_CODE });
+    assert.throws(() => getGeneticCode(7), /Unknown genetic code table: 7/);
+  });
+
+  it('should let the codon helpers take a table id', () => {
+    assert.strictEqual(translateCodon('TGA'), '*');
+    assert.strictEqual(translateCodon('TGA', 2), 'W');
+    assert.strictEqual(translateCodon('UAA', 6), 'Q');
+    assert.strictEqual(translateCodon('CUG', 12), 'S');
+    assert.strictEqual(isStopCodon('AGA', 2), true);
+    assert.strictEqual(isStopCodon('UUA', 23), true);
+    assert.strictEqual(isStartCodon('GTG', 11), true);
+    assert.strictEqual(isStartCodon('GTG', 6), false);
+    assert.strictEqual(isStartCodon('AUG'), true);
+    assert.strictEqual(isStartCodon('GTG', '11'), true);
+    assert.strictEqual(isStartCodon('GUG', 'bacterial'), true);
+    assert.throws(() => isStartCodon('AUG', '7'), /Unknown genetic code table: 7/);
+
+    assert.deepStrictEqual(getCodonsForAminoAcid('W', 2), ['UGA', 'UGG']);
+    assert.deepStrictEqual(getCodonsForAminoAcid('w', '2'), getCodonsForAminoAcid('W', VERTEBRATE_MITOCHONDRIAL_CODE));
+    assert.strictEqual(getCodonDegeneracy('W'), 1);
+    assert.strictEqual(getCodonDegeneracy('W', 2), 2);
+  });
+});
+
+describe('TranslationOperator with alternative codes', () => {
+  // GUG start, AAA, UGA, CUG, AGA
+  const rna = 'CCGUGAAAUGACUGAGAUAG';
+
+  it('should initiate at alternative start codons with methionine', () => {
+    const backend = new BioinformaticsBackend({ geneticCode: 11 });
+    assert.strictEqual(backend.translationTable, 11);
+    const result = backend.translate(backend.encode(rna));
+    assert.strictEqual(result.startPosition, 2);
+    assert.strictEqual(backend.decode(result.protein), 'MK');
+
+    // Forced translation from an arbitrary frame does not initiate
+    const forced = backend.translation.apply(backend.encode('GUGAAA'), { start: 0, initiator: false });
+    assert.strictEqual(backend.decode(forced.protein), 'VK');
+
+    // The default operator keeps AUG as its only start codon
+    const standard = new BioinformaticsBackend();
+    assert.strictEqual(standard.translate(standard.encode(rna)).startPosition, 7);
+    assert.strictEqual(standard.translationTable, null);
+  });
+
+  it('should reassign stops and sense codons in translate, express and ORF search', () => {
+    const backend = new BioinformaticsBackend({ geneticCode: 2 });
+    const primes = backend.encode(rna);
+    assert.strictEqual(backend.decode(backend.translate(primes).protein), 'MKWL');
+    assert.strictEqual(backend.decode(backend.translation.findLongestORF(primes).protein), 'MKWL');
+    assert.ok(backend.translation.translateAllFrames(primes).every(frame => frame.success));
+
+    const expressed = backend.express(backend.encode('GTGAAATGACTGAGATAG'), { startPos: 0 });
+    assert.strictEqual(expressed.sequence, 'MKWL');
+
+    const operator = new TranslationOperator(STANDARD_GENETIC_CODE, { startCodons: ['AUG', 'GUG'] });
+    assert.strictEqual(operator.findStartCodon(primes), 2);
+  });
+
+  it('should honour /transl_table on GenBank CDS features', () => {
+    const [record] = parseGenBank(`LOCUS       MITO1                     18 bp    DNA     linear   SYN 19-OCT-2026
+FEATURES             Location/Qualifiers
+     CDS             1..18
+                     /transl_table=2
+                     /translation="MKWL"
+ORIGIN
+        1 atgaaatgac tgagatag
+//
+`);
+    const backend = new BioinformaticsBackend();
+    const cds = record.features[0];
+    const result = backend.translation.translateCDS(backend.encode(record.sequence), cds);
+    assert.strictEqual(backend.decode(result.protein), cds.qualifiers.translation);
+  });
+});
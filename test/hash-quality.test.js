@@ -0,0 +1,124 @@
+/**
+ * Tests for the hash quality suite
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import {
+  HashQualityTester,
+  analyzeHash,
+  formatHashReport,
+  HASH_QUALITY_TESTS,
+  CryptographicBackend
+} from '../index.js';
+import { QuantumHash, CollisionDetector } from '../physics/quantum-hash.js';
+
+const sha256 = (x) => crypto.createHash('sha256').update(x).digest();
+
+// FNV-1a: fast, but with weak diffusion in the high bits
+function fnv1a(bytes) {
+  let h = 0x811c9dc5;
+  for (const b of bytes) {
+    h = Math.imul(h ^ b, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+describe('HashQualityTester', () => {
+  it('should pass a cryptographic hash', () => {
+    const report = analyzeHash(sha256, { name: 'sha256', seed: 3 });
+    assert.strictEqual(report.passed, true, formatHashReport(report));
+    assert.deepStrictEqual(Object.keys(report.tests), HASH_QUALITY_TESTS);
+    assert.strictEqual(report.outputBits, 256);
+
+    const { avalanche, collisions } = report.tests;
+    assert.ok(Math.abs(avalanche.meanFlipProbability - 0.5) < 0.01);
+    assert.strictEqual(collisions.full.observed, 0);
+    assert.strictEqual(collisions.inputs, 4096);
+  });
+
+  it('should fail hashes with poor diffusion', () => {
+    const identity = analyzeHash(bytes => Uint8Array.from(bytes), { seed: 1, samples: 50, count: 1024 });
+    assert.strictEqual(identity.passed, false);
+    assert.strictEqual(identity.tests.avalanche.passed, false);
+    assert.strictEqual(identity.tests.bitIndependence.passed, false);
+    assert.strictEqual(identity.tests.chiSquare.passed, false);
+
+    const fnv = analyzeHash(fnv1a, { seed: 1, samples: 50 });
+    assert.strictEqual(fnv.outputBits, 32);
+    assert.strictEqual(fnv.tests.avalanche.passed, false);
+
+    const truncated = analyzeHash(x => sha256(x).subarray(0, 1), { seed: 1, count: 1024, tests: ['collisions'] });
+    assert.strictEqual(truncated.tests.collisions.full.bits, 8);
+    assert.ok(truncated.tests.collisions.full.observed > 1000);
+    assert.strictEqual(truncated.passed, true, 'an 8-bit hash collides at the rate the birthday bound predicts');
+  });
+
+  it('should report CryptographicBackend.hash as unfit for dedup keys', () => {
+    const backend = new CryptographicBackend({ dimension: 32 });
+    const tester = new HashQualityTester(x => backend.hash(x), { seed: 1, samples: 10, count: 512 });
+    const report = tester.run(['chiSquare', 'collisions', 'runs']);
+    assert.strictEqual(report.passed, false);
+    assert.strictEqual(report.tests.chiSquare.passed, false);
+    assert.ok(report.tests.collisions.truncated.observed > report.tests.collisions.truncated.expected);
+  });
+
+  it('should accept number, bigint and hex digests', () => {
+    const tester = new HashQualityTester(x => x, { input: 'uint32', outputBits: 16 });
+    assert.deepStrictEqual([...tester.digest(0x12345)], [0x23, 0x45]);
+    assert.deepStrictEqual([...new HashQualityTester(x => x, { outputBits: 40 }).digest(0x0102030405n)], [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual([...new HashQualityTester(x => x).digest('00ff')], [0, 255]);
+    assert.throws(() => new HashQualityTester(x => x).digest({}), /expected bytes/);
+    assert.throws(() => new HashQualityTester(x => x).run(['entropy']), /Unknown hash test: entropy/);
+    assert.throws(() => new HashQualityTester(null), /needs a hash function/);
+  });
+
+  it('should be reproducible for a seed', () => {
+    const a = analyzeHash(fnv1a, { seed: 9, samples: 20, count: 256 });
+    const b = analyzeHash(fnv1a, { seed: 9, samples: 20, count: 256 });
+    assert.deepStrictEqual(a, b);
+  });
+});
+
+describe('QuantumHash and CollisionDetector', () => {
+  it('should flag correlated output bits in QuantumHash', () => {
+    const hash = new QuantumHash(32, { rng: 1 });
+    const report = analyzeHash(x => hash.classicalHash(x), { input: 'uint32', seed: 1 });
+    assert.strictEqual(report.tests.bitIndependence.passed, false);
+    assert.ok(report.tests.bitIndependence.maxCorrelation > 0.9);
+  });
+
+  it('should feed detector findings into the suite', () => {
+    const hash = new QuantumHash(32, { rng: 5 });
+    const detector = new CollisionDetector(hash);
+    const { collisions } = detector.searchCollisions(2000);
+    detector.detectCollision(hash.classicalHash(12345), 100);
+    assert.strictEqual(detector.findings.length, 2);
+    assert.deepStrictEqual(detector.findings[0], { type: 'birthday', bits: 32, samples: 2000, collisions: collisions.length });
+    assert.strictEqual(detector.findings[1].type, 'preimage');
+
+    const tester = new HashQualityTester(x => hash.classicalHash(x), { input: 'uint32', seed: 5 });
+    const result = detector.reportTo(tester).collisionFindings();
+    assert.strictEqual(result.searches, 2);
+    assert.ok(result.expected < 0.01);
+    assert.strictEqual(result.passed, result.observed === 0 || result.pValue >= tester.alpha);
+    assert.ok('collisionFindings' in tester.run(['collisionFindings']).tests);
+  });
+
+  it('should fail when searches find far more collisions than an ideal hash', () => {
+    const hash = new QuantumHash(20, { rng: 2 });
+    hash.classicalHash = (x) => x & 0xff;
+    const detector = new CollisionDetector(hash);
+    const { collisions } = detector.searchCollisions(500);
+    assert.ok(collisions.length > 0);
+    assert.ok(collisions.every(({ x, y, hash: h }) => (x & 0xff) === h && (y & 0xff) === h && x !== y));
+
+    const report = analyzeHash(x => hash.classicalHash(x), {
+      input: 'uint32', inputBits: 20, seed: 2, tests: ['collisionFindings'], findings: detector.findings
+    });
+    assert.strictEqual(report.passed, false);
+    assert.ok(report.tests.collisionFindings.pValue < 1e-100);
+    assert.throws(() => detector.searchCollisions(2 ** 21), /distinct inputs from a 20-bit domain/);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for the HNSW nearest-neighbour index
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  HNSWIndex,
+  SparsePrimeState,
+  PrimeState,
+  PRGraphMemory,
+  Quaternion,
+  resonanceScore,
+  SeededRandom,
+  HolographicMemory,
+  firstNPrimes
+} from '../index.js';
+import { DataSummoner } from '../core/beacon.js';
+
+const POOL = firstNPrimes(48);
+
+function makeStates(count, seed = 7) {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: count }, () => {
+    const state = new SparsePrimeState(48, 6);
+    for (let k = 0; k < 6; k++) {
+      const q = new Quaternion(rng.next(), rng.next(), rng.next(), rng.next()).normalize();
+      state.set(POOL[Math.floor(rng.next() * POOL.length)], rng.gaussian(0, 1), q);
+    }
+    return state;
+  });
+}
+
+function recall(index, queries, k = 10) {
+  let hits = 0;
+  for (const query of queries) {
+    const exact = index.search(query, k, { exact: true });
+    const threshold = exact[exact.length - 1].score - 1e-12;
+    hits += index.search(query, k).filter(r => r.score >= threshold).length;
+  }
+  return hits / (queries.length * k);
+}
+
+describe('HNSWIndex', () => {
+  it('should match resonanceScore and PrimeState coherence', () => {
+    const [a, b] = makeStates(2, 3);
+    assert.ok(Math.abs(new HNSWIndex({ metric: 'resonance' }).similarity(a, b) - resonanceScore(a, b)) < 1e-12);
+
+    const p = PrimeState.composite(30).normalize();
+    const q = PrimeState.composite(42).normalize();
+    assert.ok(Math.abs(new HNSWIndex().similarity(p, q) ** 2 - p.coherence(q)) < 1e-12);
+  });
+
+  for (const metric of ['cosine', 'resonance']) {
+    it(`should approximate exact ${metric} search`, () => {
+      const index = new HNSWIndex({ metric, seed: 1, efSearch: 64 });
+      makeStates(400).forEach((state, i) => index.insert(i, state, { i }));
+
+      assert.strictEqual(index.size, 400);
+      assert.ok(recall(index, makeStates(20, 99)) >= 0.9);
+    });
+  }
+
+  it('should find an inserted state as its own nearest neighbour', () => {
+    const states = makeStates(200);
+    const index = new HNSWIndex({ seed: 2 });
+    states.forEach((state, i) => index.insert(`s${i}`, state, { i }));
+
+    const [best] = index.search(states[42], 1);
+    assert.strictEqual(best.id, 's42');
+    assert.ok(Math.abs(best.score - 1) < 1e-9);
+    assert.deepStrictEqual(best.metadata, { i: 42 });
+  });
+
+  it('should support incremental deletes and replacement', () => {
+    const states = makeStates(300);
+    const index = new HNSWIndex({ seed: 3 });
+    states.forEach((state, i) => index.insert(i, state));
+
+    const entry = index.entryPoint;
+    assert.ok(index.delete(entry));
+    assert.ok(!index.delete(entry));
+    for (let i = 0; i < 150; i++) index.delete(i);
+
+    assert.ok(index.nodes.has(index.entryPoint));
+    assert.ok(index.search(states[200], 20).every(r => r.id >= 150 && r.id !== entry));
+    assert.ok(recall(index, makeStates(20, 99)) >= 0.9);
+
+    index.insert(200, states[0], 'replaced');
+    assert.strictEqual(index.search(states[0], 1)[0].id, 200);
+    assert.strictEqual(index.getMetadata(200), 'replaced');
+
+    for (const id of [...index.nodes.keys()]) index.delete(id);
+    assert.strictEqual(index.size, 0);
+    assert.deepStrictEqual(index.search(states[0], 5), []);
+  });
+
+  it('should round-trip through JSON and files', async () => {
+    const states = makeStates(100);
+    const index = new HNSWIndex({ metric: 'resonance', seed: 4 });
+    states.forEach((state, i) => index.insert(i, state, { i }));
+
+    const restored = HNSWIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    assert.deepStrictEqual(restored.search(states[10], 5), index.search(states[10], 5));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyaleph-hnsw-'));
+    try {
+      const file = path.join(dir, 'index.json');
+      await index.save(file);
+      const loaded = await HNSWIndex.load(file);
+      assert.deepStrictEqual(loaded.search(states[10], 5), index.search(states[10], 5));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    assert.throws(() => HNSWIndex.fromJSON({ type: 'HNSWIndex', version: 2 }), /Unsupported index schema version 2/);
+    assert.throws(() => new HNSWIndex({ metric: 'euclidean' }), /Unknown metric: euclidean/);
+  });
+
+  it('should back PRGraphMemory recall', () => {
+    const states = makeStates(150);
+    const scanned = new PRGraphMemory(48);
+    const indexed = new PRGraphMemory(48, 0.8, { index: { seed: 5 } });
+    states.forEach((state, i) => {
+      scanned.put(`key${i}`, state);
+      indexed.put(`key${i}`, state);
+    });
+
+    const [fromScan] = scanned.get(states[17], 1);
+    const [fromIndex] = indexed.get(states[17], 1);
+    assert.strictEqual(fromIndex.key, fromScan.key);
+    assert.strictEqual(fromIndex.score, fromScan.score);
+
+    // Entries outside the candidates decay as they do without an index
+    const entropies = memory => [...memory.entries.values()].map(e => e.entropy);
+    assert.deepStrictEqual(entropies(indexed), entropies(scanned));
+
+    indexed.delete(fromIndex.hash);
+    assert.ok(!indexed.index.has(fromIndex.hash));
+  });
+
+  it('should decay PRGraphMemory entropy lazily', () => {
+    const [state] = makeStates(1);
+    const memory = new PRGraphMemory(48, 0.8, { index: { seed: 6 } });
+    const entry = memory.entries.get(memory.put('only', state));
+    const initial = state.entropy();
+
+    memory.get(state);
+    memory.get(state);
+    assert.ok(Math.abs(entry.entropy - initial * 0.81) < 1e-12);
+    entry.entropy = 0.4;
+    memory.get(state);
+    assert.ok(Math.abs(entry.entropy - 0.36) < 1e-12);
+  });
+
+  it('should narrow HolographicMemory recall to the index candidates', () => {
+    const states = Array.from({ length: 12 }, (_, i) => PrimeState.composite(6 + i * 5).normalize());
+    const scanned = new HolographicMemory(16, 16);
+    const indexed = new HolographicMemory(16, 16, { index: { seed: 7 }, candidates: 12 });
+    states.forEach((state, i) => {
+      scanned.store(state, { i });
+      indexed.store(state, { i });
+    });
+
+    const cue = states[4];
+    // Ties keep candidate order, so compare as sets
+    const meta = results => results.map(r => [r.metadata.i, r.score]).sort((x, y) => x[0] - y[0]);
+    assert.deepStrictEqual(meta(indexed.findSimilar(cue, 0.1)), meta(scanned.findSimilar(cue, 0.1)));
+    assert.strictEqual(indexed.recall(cue).metadata.i, scanned.recall(cue).metadata.i);
+
+    const narrow = new HolographicMemory(16, 16, { index: { seed: 7 }, candidates: 3 });
+    states.forEach((state, i) => narrow.store(state, { i }));
+    assert.ok(narrow.findSimilar(cue, 0).length <= 3);
+
+    indexed.maxMemories = 5;
+    indexed.prune();
+    assert.strictEqual(indexed.index.size, 5);
+    assert.strictEqual(HolographicMemory.fromJSON(indexed.toJSON(), { index: true }).index.size, 5);
+    indexed.clear();
+    assert.strictEqual(indexed.index.size, 0);
+  });
+
+  it('should narrow DataSummoner.findSimilar to the index candidates', () => {
+    const scanned = new DataSummoner();
+    const indexed = new DataSummoner({ index: { seed: 8 } });
+    const words = ['alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta'];
+    for (const word of words) {
+      scanned.store(word);
+      indexed.store(word);
+    }
+
+    const query = indexed.fragmentStore.values().next().value.toPrimeState();
+    const resonances = results => results.map(r => r.resonance);
+    assert.deepStrictEqual(resonances(indexed.findSimilar(query, 0.01)), resonances(scanned.findSimilar(query, 0.01)));
+    assert.strictEqual(indexed.index.size, words.length);
+  });
+});
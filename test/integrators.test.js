@@ -0,0 +1,168 @@
+/**
+ * Tests for the shared ODE/SDE integrators and the Kuramoto `integrator` option
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Integrator, createIntegrator, INTEGRATORS } from '../physics/integrators.js';
+import { KuramotoModel } from '../physics/kuramoto.js';
+import { NetworkKuramoto, SakaguchiKuramoto } from '../physics/sync-models.js';
+import { StochasticKuramoto } from '../physics/stochastic-kuramoto.js';
+import { ALKKuramotoModel } from '../physics/alk-kuramoto.js';
+import { ArithmeticLinkKernel } from '../core/arithmetic-link-kernel.js';
+import { SeededRandom } from '../core/rng.js';
+
+/**
+ * Two identical all-to-all oscillators: the phase difference obeys
+ * dΔ/dt = -λ sin Δ, so tan(Δ/2) = tan(Δ₀/2)·e^(-λt) and r = |cos(Δ/2)|
+ */
+function exactOrderParameter(delta0, lambda, t) {
+  return Math.cos(Math.atan(Math.tan(delta0 / 2) * Math.exp(-lambda * t)));
+}
+
+function orderParameter(phases) {
+  let sx = 0, sy = 0;
+  for (const phase of phases) {
+    sx += Math.cos(phase);
+    sy += Math.sin(phase);
+  }
+  return Math.hypot(sx, sy) / phases.length;
+}
+
+function run(model, dt, T) {
+  for (let i = 0; i < Math.round(T / dt); i++) model.tick(dt);
+  return orderParameter(model.getPhases());
+}
+
+const DELTA0 = 2.5;
+const K = 2;
+const T = 2;
+
+function pair(Model, ...args) {
+  const model = new Model([1, 1], ...args);
+  model.oscillators[1].phase = DELTA0;
+  return model;
+}
+
+describe('Integrator', () => {
+  it('should resolve names, option objects and instances', () => {
+    assert.deepStrictEqual(INTEGRATORS, ['euler', 'rk4', 'rk45', 'euler-maruyama', 'milstein', 'heun']);
+    const rk45 = createIntegrator({ name: 'rk45', rtol: 1e-8 });
+    assert.strictEqual(rk45.rtol, 1e-8);
+    assert.strictEqual(createIntegrator(rk45), rk45);
+    assert.strictEqual(createIntegrator().name, 'euler');
+    assert.throws(() => createIntegrator('rk2'), /Unknown integrator: rk2/);
+  });
+
+  it('should keep RK45 within tolerance with sub-steps', () => {
+    // dy/dt = -y over one large step
+    const integrator = new Integrator('rk45', { rtol: 1e-9, atol: 1e-12 });
+    const [y] = integrator.step({ drift: (t, y) => y.map(v => -v) }, [1], 2);
+    assert.ok(Math.abs(y - Math.exp(-2)) < 1e-8);
+    assert.ok(integrator.stats.steps > 1);
+  });
+
+  it('should give Milstein a smaller strong error than Euler-Maruyama for multiplicative noise', () => {
+    // Geometric Brownian motion, one independent path per component
+    const paths = 200, mu = 0.5, sigma = 0.8, dt = 0.02, steps = 50;
+    const system = {
+      drift: (t, y) => y.map(v => mu * v),
+      diffusion: (t, y) => y.map(v => sigma * v),
+      diffusionDerivative: (t, y) => y.map(() => sigma)
+    };
+
+    const strongError = (name) => {
+      const integrator = new Integrator(name);
+      const rng = new SeededRandom(5);
+      let y = new Float64Array(paths).fill(1);
+      const W = new Float64Array(paths);
+      for (let n = 0; n < steps; n++) {
+        y = integrator.step({ ...system, rng }, y, dt);
+        integrator.stats.dW.forEach((dW, i) => { W[i] += dW; });
+      }
+      const t = dt * steps;
+      return y.reduce((sum, v, i) => sum + Math.abs(v - Math.exp((mu - sigma ** 2 / 2) * t + sigma * W[i])), 0) / paths;
+    };
+
+    assert.ok(strongError('milstein') < strongError('euler-maruyama') / 3);
+  });
+});
+
+describe('Kuramoto integrator option', () => {
+  const exact = exactOrderParameter(DELTA0, K, T);
+
+  it('should converge to the analytical all-to-all order parameter at each scheme\'s order', () => {
+    const error = (integrator, dt) => Math.abs(run(pair(KuramotoModel, { coupling: K, integrator }), dt, T) - exact);
+
+    assert.ok(error('euler', 0.05) > 1e-3);
+    assert.ok(error('rk4', 0.1) < 1e-6);
+    // Fourth order: halving dt cuts the error about 16-fold
+    assert.ok(error('rk4', 0.1) / error('rk4', 0.05) > 12);
+    assert.ok(error('heun', 0.1) / error('heun', 0.05) > 3);
+    assert.ok(error('rk45', 0.5) < 1e-6);
+  });
+
+  it('should stay stable where Euler diverges for stiff coupling', () => {
+    const stiff = 40;
+    const exactStiff = exactOrderParameter(DELTA0, stiff, 1);
+    assert.ok(Math.abs(run(pair(KuramotoModel, { coupling: stiff }), 0.1, 1) - exactStiff) > 0.1);
+    const adaptive = pair(KuramotoModel, { coupling: stiff, integrator: 'rk45' });
+    assert.ok(Math.abs(run(adaptive, 0.1, 1) - exactStiff) < 1e-6);
+  });
+
+  it('should apply to NetworkKuramoto, SakaguchiKuramoto and ALKKuramotoModel', () => {
+    // Degree normalisation doubles the rate for two nodes
+    const network = pair(NetworkKuramoto, null, K, { integrator: 'rk4' });
+    assert.ok(Math.abs(run(network, 0.05, T) - exactOrderParameter(DELTA0, 2 * K, T)) < 1e-6);
+
+    // The phase lag scales the rate by cos α
+    const alpha = 0.5;
+    const sakaguchi = pair(SakaguchiKuramoto, K, alpha, { integrator: 'rk45' });
+    assert.ok(Math.abs(run(sakaguchi, 0.1, T) - exactOrderParameter(DELTA0, K * Math.cos(alpha), T)) < 1e-6);
+
+    const alk = new ArithmeticLinkKernel([5, 13, 17]);
+    const a = new ALKKuramotoModel([1, 1.5, 2], alk, { rng: 4, integrator: 'rk4' });
+    const b = new ALKKuramotoModel([1, 1.5, 2], alk, { rng: 4 });
+    a.evolve(20);
+    b.evolve(20, true);
+    assert.deepStrictEqual(Array.from(a.theta), Array.from(b.theta));
+    assert.strictEqual(a.clone().integrator.name, 'rk4');
+  });
+
+  it('should serialize the integrator', () => {
+    const model = new KuramotoModel([1, 2], { coupling: 0.5, integrator: { name: 'rk45', rtol: 1e-8 } });
+    const restored = KuramotoModel.fromJSON(JSON.parse(JSON.stringify(model)));
+    assert.strictEqual(restored.integrator.name, 'rk45');
+    assert.strictEqual(restored.integrator.rtol, 1e-8);
+  });
+});
+
+describe('StochasticKuramoto integrators', () => {
+  it('should reduce to the deterministic solution without noise', () => {
+    const exact = exactOrderParameter(DELTA0, K, T);
+    const error = (integrator) => Math.abs(
+      run(pair(StochasticKuramoto, { coupling: K, noiseIntensity: 0, integrator, rng: 1 }), 0.1, T) - exact
+    );
+    assert.ok(error('heun') < error('euler-maruyama') / 10);
+    assert.ok(error('milstein') < 1e-2);
+  });
+
+  it('should diffuse phases at the rate set by the noise intensity', () => {
+    // Uncoupled oscillators: E[cos θ(t)] = exp(-σ²t/2)
+    const sigma = 0.5, dt = 0.02, steps = 50;
+    for (const integrator of ['milstein', 'heun']) {
+      const model = new StochasticKuramoto(new Array(200).fill(0), {
+        coupling: 1e-12, noiseIntensity: sigma, integrator, rng: 9
+      });
+      model.oscillators.forEach(osc => { osc.phase = 0; });
+      model.evolve(steps, dt);
+      const meanCos = model.getPhases().reduce((sum, phase) => sum + Math.cos(phase), 0) / 200;
+      assert.ok(Math.abs(meanCos - Math.exp(-(sigma ** 2) * dt * steps / 2)) < 0.06, `${integrator}: ${meanCos}`);
+      assert.strictEqual(model.noiseStats.sampleCount, 200 * steps);
+    }
+  });
+
+  it('should reject deterministic schemes', () => {
+    assert.throws(() => new StochasticKuramoto([1, 2], { integrator: 'rk4' }), /needs a stochastic integrator/);
+  });
+});
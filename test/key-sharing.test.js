@@ -0,0 +1,86 @@
+/**
+ * Tests for threshold key sharing in HolographicKeyDistributor
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { HolographicKeyDistributor } from '../index.js';
+
+const clone = (x) => JSON.parse(JSON.stringify(x));
+
+describe('HolographicKeyDistributor threshold sharing', () => {
+  const distributor = new HolographicKeyDistributor();
+  const { shares, commitments, threshold } = distributor.createShares(12345, 5, 3);
+  const key = distributor.keyGen.generateKey(12345).keyBuffer;
+
+  it('should reconstruct the key from any k shares', () => {
+    assert.strictEqual(threshold, 3);
+    assert.strictEqual(commitments.length, 3);
+    assert.deepStrictEqual(shares.map(s => s.x), [1, 2, 3, 4, 5]);
+
+    for (const subset of [[0, 1, 2], [4, 2, 0], [1, 3, 4], [0, 1, 2, 3, 4]]) {
+      const recovered = distributor.combineShares(subset.map(i => shares[i]), { commitments, format: 'buffer' });
+      assert.ok(Buffer.isBuffer(recovered));
+      assert.ok(recovered.equals(key), `subset ${subset}`);
+    }
+  });
+
+  it('should return key bytes in the shape decodeKey() uses by default', () => {
+    const recovered = distributor.combineShares(shares.slice(0, 3));
+    assert.ok(Array.isArray(recovered));
+    assert.deepStrictEqual(recovered, [...key]);
+    assert.throws(() => distributor.combineShares(shares, { format: 'hex' }), /Unknown key format/);
+  });
+
+  it('should refuse to reconstruct below the threshold', () => {
+    assert.throws(() => distributor.combineShares(shares.slice(0, 2)), /Need at least 3 shares to reconstruct, got 2/);
+    assert.throws(() => distributor.combineShares([shares[0], shares[0], shares[1]]), /Duplicate share 0/);
+    assert.throws(() => distributor.combineShares([]), /No shares/);
+  });
+
+  it('should carry shares in serializable holographic patterns', () => {
+    const [share] = shares;
+    assert.strictEqual(share.pattern.length, 16);
+    assert.ok(share.pattern.every(row => row.length === 16));
+    assert.ok(share.pattern.flat().every(cell => Math.abs(cell.intensity) <= 1 && cell.phase >= 0 && cell.phase < 2 * Math.PI));
+    assert.deepStrictEqual(distributor.combineShares(clone(shares.slice(2))), [...key]);
+
+    const bytes = Uint8Array.from({ length: 200 }, (_, i) => (i * 37) % 256);
+    assert.deepStrictEqual(distributor.decodeSharePattern(distributor.encodeSharePattern(bytes), 200), bytes);
+  });
+
+  it('should verify shares against Pedersen commitments', () => {
+    assert.ok(shares.every(share => distributor.verifyShare(share, commitments)));
+
+    const tampered = clone(shares[1]);
+    tampered.pattern[7][3].phase = (tampered.pattern[7][3].phase + 0.5) % (2 * Math.PI);
+    assert.strictEqual(distributor.verifyShare(tampered, commitments), false);
+    assert.throws(() => distributor.combineShares([shares[0], tampered, shares[2]], { commitments }), /Share 1 failed verification/);
+
+    // A share from another split fails against the trusted commitments
+    const other = distributor.createShares(12345, 5, 3).shares;
+    assert.strictEqual(distributor.verifyShare(other[0], commitments), false);
+    assert.throws(() => distributor.combineShares([other[0], shares[1], shares[2]]), /different commitments/);
+  });
+
+  it('should not let the commitments confirm a guessed key', () => {
+    // Feldman's C_0 = g^key is the same for every split of a key, so one
+    // share would confirm a brute-forced numeric seed. Pedersen's is blinded.
+    const again = distributor.createShares(12345, 5, 3);
+    assert.notStrictEqual(again.commitments[0], commitments[0]);
+    assert.ok(again.shares.every(share => share.blinding.length === 16));
+
+    const unblinded = { ...shares[0], blinding: undefined };
+    assert.strictEqual(distributor.verifyShare(unblinded, commitments), false);
+  });
+
+  it('should split raw key bytes and validate parameters', () => {
+    const secret = Buffer.from('0123456789abcdef0123456789abcdef');
+    const split = distributor.createShares(secret, 3, 2);
+    assert.ok(distributor.combineShares([split.shares[2], split.shares[0]], { format: 'buffer' }).equals(secret));
+
+    assert.throws(() => distributor.createShares(secret, 2, 3), /Threshold must be an integer between 1 and numShares/);
+    assert.throws(() => new HolographicKeyDistributor({ gridSize: 8 }).createShares(secret), /gridSize of 16 or more/);
+    assert.throws(() => distributor.createShares(Buffer.alloc(0)), /Key must be between 1 and 255 bytes/);
+  });
+});
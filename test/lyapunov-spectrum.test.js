@@ -0,0 +1,130 @@
+/**
+ * Tests for the tangent-space (QR) Lyapunov spectrum and Kaplan-Yorke dimension
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  LyapunovTracker,
+  lyapunovSpectrum,
+  kaplanYorkeDimension,
+  classifySpectrum,
+  numericalJacobianProduct
+} from '../physics/lyapunov.js';
+import { KuramotoModel } from '../physics/kuramoto.js';
+import { SakaguchiKuramoto, SmallWorldKuramoto } from '../physics/sync-models.js';
+import { StochasticKuramoto } from '../physics/stochastic-kuramoto.js';
+import { ALKKuramotoModel } from '../physics/alk-kuramoto.js';
+import { PrimeonZLadderU } from '../physics/primeon_z_ladder_u.js';
+import { ArithmeticLinkKernel } from '../core/arithmetic-link-kernel.js';
+import { SeededRandom } from '../core/rng.js';
+import { createEngine } from '../index.js';
+
+function randomVector(n, seed) {
+  const rng = new SeededRandom(seed);
+  return Float64Array.from({ length: n }, () => rng.next() * 2 * Math.PI);
+}
+
+describe('jacobianProduct', () => {
+  it('should match central differences of derivatives()', () => {
+    const freqs = Array.from({ length: 12 }, (_, i) => 1 + i * 0.1);
+    const models = [
+      new KuramotoModel(freqs, 0.8),
+      new SakaguchiKuramoto(freqs, 0.8, 0.5),
+      new SmallWorldKuramoto(freqs, 4, 0.3, 0.8, { rng: 2 }),
+      new StochasticKuramoto(freqs, { coupling: 0.8, noiseIntensity: 0.3 })
+    ];
+    const phases = randomVector(12, 1);
+    const v = randomVector(12, 2);
+    for (const model of models) {
+      const expected = numericalJacobianProduct(y => model.derivatives(y), phases, v);
+      const actual = model.jacobianProduct(phases, v);
+      for (let i = 0; i < 12; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) < 1e-6, `${model.constructor.name}[${i}]`);
+      }
+    }
+  });
+});
+
+describe('lyapunovSpectrum', () => {
+  it('should give -√(K² - Δω²) for two phase-locked oscillators', () => {
+    // φ' = Δω - K sin φ locks at cos φ* = √(1 - (Δω/K)²)
+    // RK4 follows the flow; the default in-place Euler sweep moves the locked state by O(dt)
+    const model = new KuramotoModel([0, 0.6 / (2 * Math.PI)], { coupling: 1, integrator: 'rk4' });
+    const { exponents, neutral, kaplanYorke } = lyapunovSpectrum(model, { dt: 0.05, steps: 2000, transient: 400, rng: 1 });
+    assert.strictEqual(exponents.length, 1);
+    assert.ok(Math.abs(exponents[0] + 0.8) < 1e-3, `λ = ${exponents[0]}`);
+    assert.strictEqual(neutral, 1);
+    // A stable limit cycle
+    assert.strictEqual(kaplanYorke, 1);
+  });
+
+  it('should contract every direction at rate K around full synchrony', () => {
+    const model = new KuramotoModel(new Array(5).fill(1), { coupling: 1.5, integrator: 'rk4' });
+    model.oscillators.forEach((osc, i) => { osc.phase = 0.1 * i; });
+    const result = lyapunovSpectrum(model, { dt: 0.05, steps: 500, rng: 2 });
+    assert.strictEqual(result.exponents.length, 4);
+    assert.ok(result.exponents.every(l => Math.abs(l + 1.5) < 1e-3));
+    assert.ok(Math.abs(result.sum + 6) < 1e-2);
+    assert.strictEqual(classifySpectrum(result), 'collapsed');
+
+    const withNeutral = lyapunovSpectrum(model, { dt: 0.05, steps: 200, removeNeutral: false, rng: 2 });
+    assert.ok(Math.abs(withNeutral.maximal) < 1e-6);
+    assert.strictEqual(withNeutral.exponents.length, 5);
+  });
+
+  it('should match the modal decay rates of PrimeonZLadderU', () => {
+    // Relative to the dominant Laplacian mode (μ = -4), mode k decays at
+    // ½ ln((1 + s²μₖ²)/(1 + 16s²))/dt with s = dt·J, each over a complex plane
+    const dt = 0.1;
+    const s = dt * 2;
+    const rate = mu => 0.5 * Math.log((1 + s * s * mu * mu) / (1 + 16 * s * s)) / dt;
+    const expected = [-3, -3, -1, -1, 0].flatMap(mu => [rate(mu), rate(mu)]);
+
+    const ladder = new PrimeonZLadderU({ N: 6, J: 2 });
+    ladder.exciteRung(0);
+    const { exponents } = lyapunovSpectrum(ladder, { dt, steps: 2000, transient: 300, rng: 3 });
+    assert.strictEqual(exponents.length, 10);
+    exponents.forEach((l, i) => assert.ok(Math.abs(l - expected[i]) < 1e-3, `${l} vs ${expected[i]}`));
+
+    assert.throws(() => lyapunovSpectrum(new PrimeonZLadderU({ N: 4 })), /Excite the ladder/);
+  });
+
+  it('should fall back to numerical Jacobians for ALKKuramotoModel', () => {
+    const model = new ALKKuramotoModel([1, 1.2, 0.8], new ArithmeticLinkKernel([5, 13, 17]), { rng: 4 });
+    const { exponents } = lyapunovSpectrum(model, { dt: 0.05, steps: 200, transient: 0, rng: 1 });
+    assert.strictEqual(exponents.length, 2);
+    assert.ok(exponents.every(Number.isFinite));
+    assert.strictEqual(model.steps, 200);
+  });
+
+  it('should reject unsupported models and options', () => {
+    assert.throws(() => lyapunovSpectrum({}), /Unsupported model/);
+    const model = new KuramotoModel([1, 2, 3], 1);
+    assert.throws(() => new LyapunovTracker(model, { count: 3 }), /between 1 and 2/);
+    assert.throws(() => new LyapunovTracker(model, { orthonormalizeEvery: 0 }), /positive integer/);
+  });
+});
+
+describe('kaplanYorkeDimension', () => {
+  it('should interpolate between the last non-negative partial sum', () => {
+    assert.strictEqual(kaplanYorkeDimension([-1, -2]), 0);
+    assert.strictEqual(kaplanYorkeDimension([0.5, 0, -1]), 2.5);
+    assert.strictEqual(kaplanYorkeDimension([-2, 1, 0]), 2.5);
+    assert.strictEqual(kaplanYorkeDimension([0.1, 0.2]), 2);
+  });
+});
+
+describe('AlephEngine spectrum stability estimator', () => {
+  it('should track the leading exponent and refuse independent batches', () => {
+    const engine = createEngine('semantic', { seed: 3, engineOptions: { stabilityEstimator: 'spectrum' } });
+    engine.run('truth and wisdom');
+    assert.ok(engine.lyapunovTracker instanceof LyapunovTracker);
+    assert.ok(engine.lyapunovTracker.time > 0);
+    assert.ok(Number.isFinite(engine.lyapunov));
+    assert.ok(['stable', 'unstable', 'chaotic', 'collapsed'].includes(engine.stability));
+    assert.throws(() => engine.runBatch(['a', 'b'], { independent: true }), /"history" stability estimator/);
+
+    assert.throws(() => createEngine('semantic', { engineOptions: { stabilityEstimator: 'guess' } }), /Unknown stability estimator/);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for progressive multiple sequence alignment
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BioinformaticsBackend, progressiveAlign, MultipleAlignment } from '../index.js';
+import { parseFASTA } from '../backends/bioinformatics/encoding.js';
+
+const FASTA = `>P1 human
+MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ
+>P2 mouse
+MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ
+>P3 rat
+MKTAYIAKQRISFVKSHFSRQLEERLGLIEV
+>P4 fly
+MKSAYIAKQRQLSFVKSHFSRQDEERLGLIEVQAA
+>P5 yeast
+MRTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ`;
+
+describe('progressiveAlign', () => {
+  const msa = progressiveAlign(parseFASTA(FASTA));
+
+  it('should align every sequence to a common length in input order', () => {
+    assert.strictEqual(msa.size, 5);
+    assert.strictEqual(msa.length, 35);
+    assert.deepStrictEqual(msa.rows.map(r => r.id), ['P1 human', 'P2 mouse', 'P3 rat', 'P4 fly', 'P5 yeast']);
+    // Removing gaps gives back the input
+    const input = parseFASTA(FASTA);
+    msa.rows.forEach((row, i) => assert.strictEqual(row.sequence.replace(/-/g, ''), input[i].sequence));
+    // The deletion in P3 lands on the missing Q, not in a run of mismatches
+    assert.strictEqual(msa.rows[2].sequence, 'MKTAYIAKQR-ISFVKSHFSRQLEERLGLIEV---');
+  });
+
+  it('should build a guide tree from pairwise distances', () => {
+    assert.strictEqual(msa.distances[0][1], 0);
+    assert.ok(msa.distances[0][3] > msa.distances[0][4]);
+    assert.ok(msa.guideTree.endsWith(';'));
+    assert.match(msa.guideTree, /\(P1:0\.00000,P2:0\.00000\)/);
+  });
+
+  it('should compute consensus, entropy and a position-weight matrix', () => {
+    assert.strictEqual(msa.consensus(), 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ');
+    assert.strictEqual(msa.consensus({ includeGaps: true }), 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ--');
+    assert.strictEqual(msa.consensus({ threshold: 0.9 }).slice(0, 3), 'MXX');
+
+    const entropy = msa.entropy();
+    assert.strictEqual(entropy.length, 35);
+    assert.strictEqual(entropy[0], 0);
+    // K, K, K, K, R
+    assert.ok(Math.abs(entropy[1] - (-(0.8 * Math.log2(0.8)) - 0.2 * Math.log2(0.2))) < 1e-12);
+    assert.ok(msa.entropy({ gaps: true })[10] > entropy[10]);
+
+    const pwm = msa.positionWeightMatrix({ pseudocount: 0 });
+    assert.strictEqual(pwm.alphabet.length, 20);
+    const m = pwm.alphabet.indexOf('M');
+    assert.strictEqual(pwm.counts[0][m], 5);
+    assert.strictEqual(pwm.frequencies[0][m], 1);
+    assert.strictEqual(pwm.logOdds[0][m], Math.log2(20));
+    for (const column of msa.positionWeightMatrix().frequencies) {
+      assert.ok(Math.abs(column.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+    }
+  });
+
+  it('should emit Clustal and aligned FASTA', () => {
+    const clustal = msa.toClustal();
+    const lines = clustal.split('\n');
+    assert.strictEqual(lines[0], 'CLUSTAL W multiple sequence alignment');
+    assert.strictEqual(lines[3], 'P1    MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ--');
+    assert.strictEqual(lines[8], '      *::******* :********** *********   ');
+
+    const wrapped = msa.toClustal({ lineWidth: 20 }).split('\n');
+    assert.strictEqual(wrapped.filter(l => l.startsWith('P4')).length, 2);
+
+    const roundTrip = MultipleAlignment.fromFASTA(msa.toFASTA({ lineWidth: 10 }));
+    assert.deepStrictEqual(roundTrip.rows, msa.rows);
+    assert.strictEqual(roundTrip.alphabet, 'protein');
+  });
+
+  it('should align nucleotide strings and prime arrays', () => {
+    const dna = progressiveAlign(['ACGTACGTACGT', 'ACGTACTACGT', 'ACGTTACGTACGT']);
+    assert.strictEqual(dna.alphabet, 'nucleotide');
+    assert.deepStrictEqual(dna.rows.map(r => r.id), ['seq1', 'seq2', 'seq3']);
+    assert.ok(dna.rows.every(r => r.sequence.length === dna.length));
+    assert.deepStrictEqual(dna.positionWeightMatrix().alphabet, ['A', 'C', 'G', 'T']);
+
+    const backend = new BioinformaticsBackend();
+    const fromPrimes = backend.alignMultiple(['ACGTACGT', 'ACGACGT'].map(s => backend.encode(s)));
+    assert.deepStrictEqual(fromPrimes.rows.map(r => r.sequence), ['ACGTACGT', 'ACG-ACGT']);
+    assert.strictEqual(backend.alignMultiple(FASTA, { mode: 'local' }).toClustal(), msa.toClustal());
+  });
+
+  it('should validate its inputs', () => {
+    assert.throws(() => progressiveAlign([]), /Need at least one sequence/);
+    assert.throws(() => progressiveAlign([{ name: 'x' }]), /Cannot align entry 0/);
+    assert.throws(() => new MultipleAlignment([{ id: 'a', sequence: 'AC' }, { id: 'b', sequence: 'A' }]), /equal length/);
+    assert.strictEqual(progressiveAlign(['MKT']).rows[0].sequence, 'MKT');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for OpenQASM import and export
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseQASM,
+  toQASM,
+  QuantumCircuit,
+  ScientificBackend
+} from '../index.js';
+
+const TELEPORT = `OPENQASM 2.0;
+include "qelib1.inc";
+// Bell pair on q[1], q[2]
+gate bell a, b { h a; cx a, b; }
+gate rot(theta) a { rz(theta / 2) a; U(theta, 0, pi) a; }
+qreg q[3];
+qreg anc[1];
+creg c0[1];
+creg c1[1];
+u3(pi/2, 0, pi) q[0];
+bell q[1], q[2];
+rot(-3*pi/4) anc[0];
+cx q[0], q[1];
+h q[0];
+measure q[0] -> c0[0];
+measure q[1] -> c1[0];
+if (c1 == 1) x q[2];
+if (c0 == 1) z q[2];
+barrier q, anc;
+`;
+
+function errorOf(source) {
+  try {
+    parseQASM(source);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`expected a parse error for: ${source}`);
+}
+
+describe('parseQASM', () => {
+  it('should flatten registers and expand gate definitions', () => {
+    const circuit = parseQASM(TELEPORT);
+    assert.ok(circuit instanceof QuantumCircuit);
+    assert.strictEqual(circuit.numQubits, 4);
+    assert.strictEqual(circuit.numClbits, 2);
+    assert.deepStrictEqual(circuit.qregs, [{ name: 'q', size: 3 }, { name: 'anc', size: 1 }]);
+    assert.deepStrictEqual(circuit.cregs, [{ name: 'c0', size: 1 }, { name: 'c1', size: 1 }]);
+
+    const [u, h, cx, rz, u2] = circuit.ops;
+    assert.deepStrictEqual(u, { gate: 'u', qubits: [0], params: [Math.PI / 2, 0, Math.PI] });
+    assert.deepStrictEqual([h.gate, cx.gate, cx.qubits], ['h', 'cx', [1, 2]]);
+    assert.strictEqual(rz.gate, 'rz');
+    assert.deepStrictEqual(rz.qubits, [3]);
+    assert.ok(Math.abs(rz.params[0] + 3 * Math.PI / 8) < 1e-12);
+    assert.deepStrictEqual(u2.params, [-3 * Math.PI / 4, 0, Math.PI]);
+
+    const conditioned = circuit.ops.filter(op => op.condition);
+    assert.deepStrictEqual(conditioned.map(op => [op.gate, op.condition]), [
+      ['x', { clbits: [1], value: 1 }],
+      ['z', { clbits: [0], value: 1 }]
+    ]);
+    assert.deepStrictEqual(circuit.ops[circuit.ops.length - 1], { gate: 'barrier', qubits: [0, 1, 2, 3] });
+  });
+
+  it('should broadcast register arguments', () => {
+    const circuit = parseQASM('OPENQASM 2.0; qreg a[2]; qreg b[2]; creg c[2]; h a; cx a, b; measure b -> c;');
+    assert.deepStrictEqual(circuit.ops.map(op => [op.gate, op.qubits]), [
+      ['h', [0]], ['h', [1]], ['cx', [0, 2]], ['cx', [1, 3]], ['measure', [2]], ['measure', [3]]
+    ]);
+    assert.throws(() => parseQASM('qreg a[2]; qreg b[3]; cx a, b;'), /different sizes/);
+  });
+
+  it('should read OpenQASM 3 syntax', () => {
+    const circuit = parseQASM(`OPENQASM 3.0;
+      include "stdgates.inc";
+      qubit[2] q;
+      bit[2] c;
+      h q[0];
+      cx q[0], q[1];
+      cu(pi, 0, pi, pi / 2) q[0], q[1];
+      c = measure q;
+      if (c[0] == 1) { x q[1]; z q[0]; }
+    `);
+    assert.deepStrictEqual(circuit.ops.slice(2, 4), [
+      { gate: 'p', qubits: [0], params: [Math.PI / 2] },
+      { gate: 'cu', qubits: [0, 1], params: [Math.PI, 0, Math.PI] }
+    ]);
+    assert.deepStrictEqual(circuit.ops.slice(4, 6).map(op => op.clbits), [[0], [1]]);
+    assert.deepStrictEqual(circuit.ops.slice(6).map(op => [op.gate, op.condition]), [
+      ['x', { clbits: [0], value: 1 }],
+      ['z', { clbits: [0], value: 1 }]
+    ]);
+  });
+
+  it('should run classically conditioned operations', () => {
+    // Measure |1⟩, then flip q[1] only if c == 1
+    const circuit = parseQASM('OPENQASM 2.0; qreg q[2]; creg c[2]; x q[0]; measure q[0] -> c[0]; if (c == 1) x q[1]; measure q[1] -> c[1];');
+    assert.deepStrictEqual(circuit.sample(20, { rng: 3 }), { 11: 20 });
+    assert.deepStrictEqual(
+      parseQASM('OPENQASM 2.0; qreg q[2]; creg c[2]; measure q[0] -> c[0]; if (c == 1) x q[1]; measure q[1] -> c[1];').sample(20),
+      { '00': 20 }
+    );
+  });
+
+  it('should report positions and codes for bad input', () => {
+    const loop = errorOf('OPENQASM 3.0;\nqubit[2] q;\nfor int i in [0:1] { h q[i]; }');
+    assert.strictEqual(loop.name, 'ValidationError');
+    assert.strictEqual(loop.code, 'QASM_UNSUPPORTED');
+    assert.deepStrictEqual(loop.metadata, { line: 3, column: 1 });
+    assert.match(loop.message, /^QASM 3:1: /);
+
+    const modifier = errorOf('OPENQASM 3.0;\nqubit[2] q;\n  ctrl @ x q[0], q[1];');
+    assert.strictEqual(modifier.code, 'QASM_UNSUPPORTED');
+    assert.deepStrictEqual(modifier.metadata, { line: 3, column: 3 });
+
+    const unknown = errorOf('qreg q[2];\nrxx(0.1) q[0], q[1];');
+    assert.strictEqual(unknown.code, 'QASM_UNSUPPORTED');
+    assert.deepStrictEqual(unknown.metadata, { line: 2, column: 1 });
+
+    const range = errorOf('qreg q[2];\nh q[3];');
+    assert.strictEqual(range.code, 'QASM_SYNTAX');
+    assert.deepStrictEqual(range.metadata, { line: 2, column: 5 });
+
+    assert.match(errorOf('qreg q[2];\ncx q[0];').message, /^QASM 2:/);
+    assert.match(errorOf('qreg q[2];\nh q[0]').message, /Expected ',' or ';'/);
+    assert.match(errorOf('include "foo.inc";').message, /only qelib1\.inc and stdgates\.inc/);
+    assert.match(errorOf('qreg q[1]; rz(theta) q[0];').message, /Unknown identifier 'theta'/);
+  });
+});
+
+describe('toQASM', () => {
+  it('should round-trip through both versions', () => {
+    const circuit = parseQASM(TELEPORT);
+    const v2 = toQASM(circuit);
+    assert.match(v2, /^OPENQASM 2\.0;\ninclude "qelib1\.inc";/);
+    assert.match(v2, /qreg anc\[1\];/);
+    assert.match(v2, /if \(c1 == 1\) x q\[2\];/);
+
+    const v3 = toQASM(circuit, { version: 3 });
+    assert.match(v3, /^OPENQASM 3\.0;\ninclude "stdgates\.inc";/);
+    assert.match(v3, /qubit\[3\] q;/);
+
+    assert.deepStrictEqual(parseQASM(v2).ops, circuit.ops);
+    assert.deepStrictEqual(parseQASM(v3).ops, circuit.ops);
+  });
+
+  it('should rename or expand gates outside the target library', () => {
+    const circuit = new QuantumCircuit(3).p(Math.PI / 4, 0).sxdg(1).ccz(0, 1, 2).cu(0.5, 0, 1, 0, 1);
+    const v2 = toQASM(circuit);
+    assert.match(v2, /u1\(pi\/4\) q\[0\];/);
+    assert.match(v2, /cu3\(0\.5, 0, 1\) q\[0\], q\[1\];/);
+    assert.doesNotMatch(v2, /ccz/);
+    const v3 = toQASM(circuit, { version: 3 });
+    assert.doesNotMatch(v3, /sxdg|ccz/);
+
+    const original = circuit.run().state;
+    for (const text of [v2, v3]) {
+      const reparsed = parseQASM(text).run().state;
+      for (let i = 0; i < original.size; i++) {
+        assert.ok(Math.abs(original.re[i] - reparsed.re[i]) < 1e-12);
+        assert.ok(Math.abs(original.im[i] - reparsed.im[i]) < 1e-12);
+      }
+    }
+  });
+
+  it('should only write single-bit conditions in version 3', () => {
+    const circuit = new QuantumCircuit(2, 2).measure(0, 0).x(1).cIf([0], 1);
+    assert.throws(() => toQASM(circuit), /OpenQASM 2/);
+    assert.match(toQASM(circuit, { version: 3 }), /if \(c\[0\] == 1\) x q\[1\];/);
+    assert.throws(() => circuit.cIf([5], 1), /Invalid classical bit: 5/);
+  });
+});
+
+describe('ScientificBackend QASM integration', () => {
+  it('should import, export and apply circuits symbolically', () => {
+    const backend = new ScientificBackend({ dimension: 16, rng: 2 });
+    const circuit = backend.fromQASM('OPENQASM 2.0; include "qelib1.inc"; qreg q[2]; creg c[2]; h q[0]; cx q[0], q[1]; rz(pi/2) q[1]; cp(0.3) q[0], q[1]; measure q -> c;');
+    assert.match(backend.toQASM(circuit, { version: 3 }), /c\[0\] = measure q\[0\];/);
+
+    const counts = circuit.sample(400, { rng: 2 });
+    assert.deepStrictEqual(Object.keys(counts).sort(), ['00', '11']);
+
+    const { primes, rotations, skipped } = backend.applyCircuit(circuit);
+    const start = backend.tensorProduct(backend.qubitToPrimes('|0⟩'), backend.qubitToPrimes('|0⟩'));
+    assert.deepStrictEqual(primes, backend.applyGate(backend.applyGate(start, 'H'), 'CNOT'));
+    assert.strictEqual(rotations.length, 1);
+    assert.strictEqual(rotations[0].op.gate, 'rz');
+    assert.deepStrictEqual(skipped.map(op => op.gate), ['cp']);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for seedable random generation and its use across stochastic models
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SeededRandom, createRng, defaultRng } from '../core/rng.js';
+import { StochasticKuramoto, ColoredNoiseKuramoto, ThermalKuramoto } from '../physics/stochastic-kuramoto.js';
+import { SmallWorldKuramoto } from '../physics/sync-models.js';
+import { bornMeasurement } from '../physics/collapse.js';
+import { PRSCLayer } from '../observer/prsc.js';
+import { FoldingTransform } from '../backends/bioinformatics/folding.js';
+import { createEngine } from '../index.js';
+
+describe('SeededRandom', () => {
+  it('should produce identical sequences for identical seeds', () => {
+    const a = new SeededRandom(123);
+    const b = new SeededRandom(123);
+    for (let i = 0; i < 100; i++) {
+      assert.strictEqual(a.next(), b.next());
+    }
+  });
+
+  it('should produce values in [0, 1)', () => {
+    const rng = new SeededRandom('tinyaleph');
+    for (let i = 0; i < 1000; i++) {
+      const v = rng.next();
+      assert.ok(v >= 0 && v < 1);
+    }
+  });
+
+  it('should restore a snapshot to the same position', () => {
+    const rng = new SeededRandom(9);
+    rng.next();
+    const snap = rng.getState();
+    const expected = [rng.next(), rng.gaussian(), rng.nextInt(100)];
+    rng.setState(snap);
+    assert.deepStrictEqual([rng.next(), rng.gaussian(), rng.nextInt(100)], expected);
+  });
+
+  it('should reject foreign snapshots', () => {
+    assert.throws(() => new SeededRandom(1).setState({ algorithm: 'xorshift', state: 1 }));
+    assert.throws(() => new SeededRandom(1).setState(null));
+  });
+});
+
+describe('createRng', () => {
+  it('should return the Math.random adapter when no seed is given', () => {
+    assert.strictEqual(createRng(), defaultRng);
+    assert.strictEqual(defaultRng.getState(), null);
+  });
+
+  it('should wrap plain functions and next() objects', () => {
+    const fn = createRng(() => 0.5);
+    assert.strictEqual(fn.next(), 0.5);
+    assert.strictEqual(typeof fn.gaussian(), 'number');
+
+    let calls = 0;
+    const obj = createRng({ next: () => { calls++; return 0.25; } });
+    obj.nextInt(8);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('should pass SeededRandom instances through unchanged', () => {
+    const rng = new SeededRandom(3);
+    assert.strictEqual(createRng(rng), rng);
+  });
+});
+
+describe('Seeded stochastic models', () => {
+  const freqs = [1, 1.2, 1.5, 1.7, 2.1];
+
+  for (const Model of [StochasticKuramoto, ColoredNoiseKuramoto, ThermalKuramoto]) {
+    it(`${Model.name} should be bit-identical for identical seeds`, () => {
+      const a = new Model(freqs, { rng: 42, noiseIntensity: 0.3 });
+      const b = new Model(freqs, { rng: 42, noiseIntensity: 0.3 });
+      a.evolve(50);
+      b.evolve(50);
+      assert.deepStrictEqual(a.getPhases(), b.getPhases());
+      assert.ok(a.getPhases().every(Number.isFinite));
+    });
+  }
+
+  it('should resume identically after restoring RNG state', () => {
+    const model = new StochasticKuramoto(freqs, { rng: 7, noiseIntensity: 0.3 });
+    model.evolve(10);
+    const phases = model.getPhases();
+    const rngState = model.getRngState();
+
+    model.evolve(10);
+    const expected = model.getPhases();
+
+    model.oscillators.forEach((osc, i) => { osc.phase = phases[i]; });
+    model.setRngState(rngState);
+    model.evolve(10);
+    assert.deepStrictEqual(model.getPhases(), expected);
+  });
+
+  it('SmallWorldKuramoto should rewire identically for identical seeds', () => {
+    const N = 20;
+    const f = Array.from({ length: N }, (_, i) => 1 + i * 0.01);
+    const a = new SmallWorldKuramoto(f, 4, 0.5, 0.3, { rng: 11 });
+    const b = new SmallWorldKuramoto(f, 4, 0.5, 0.3, { rng: 11 });
+    assert.deepStrictEqual(a.adjacency, b.adjacency);
+  });
+
+  it('bornMeasurement should be reproducible with a seed', () => {
+    const amps = [0.5, 0.5, 0.5, 0.5];
+    const first = [1, 2, 3].map(seed => bornMeasurement(amps, seed).index);
+    const second = [1, 2, 3].map(seed => bornMeasurement(amps, seed).index);
+    assert.deepStrictEqual(first, second);
+  });
+
+  it('PRSCLayer should initialize and evolve identically for identical seeds', () => {
+    const opts = { rng: 5, thermal: true, noiseIntensity: 0.2 };
+    const a = new PRSCLayer(16, opts);
+    const b = new PRSCLayer(16, opts);
+    for (let i = 0; i < 20; i++) {
+      a.tick();
+      b.tick();
+    }
+    assert.deepStrictEqual(a.getState(), b.getState());
+  });
+
+  it('FoldingTransform should fold identically for identical seeds', () => {
+    const primes = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29];
+    const a = new FoldingTransform({ rng: 99, maxSteps: 50 }).fold(primes);
+    const b = new FoldingTransform({ rng: 99, maxSteps: 50 }).fold(primes);
+    assert.deepStrictEqual(a, b);
+  });
+});
+
+describe('Seeded engine runs', () => {
+  it('should produce identical results, frames and entropy for identical seeds', () => {
+    const runOnce = () => {
+      const engine = createEngine('semantic', { seed: 2024 });
+      const results = ['what is wisdom', 'truth and love'].map(q => engine.run(q));
+      return { results, frames: engine.frames, history: engine.history.map(h => h.output) };
+    };
+    assert.deepStrictEqual(runOnce(), runOnce());
+  });
+
+  it('should expose and restore engine RNG state', () => {
+    const engine = createEngine('semantic', { seed: 1 });
+    const state = engine.getRngState();
+    const first = engine.rng.next();
+    engine.setRngState(state);
+    assert.strictEqual(engine.rng.next(), first);
+  });
+});
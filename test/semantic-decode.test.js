@@ -0,0 +1,106 @@
+/**
+ * Tests for SemanticBackend beam-search / n-best decoding
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SemanticBackend } from '../index.js';
+
+function makeBackend() {
+  return new SemanticBackend({
+    dimension: 16,
+    vocabulary: {
+      hello: [2, 3],
+      world: [5, 7],
+      greet: [2],
+      planet: [5, 7, 11],
+      dog: [13, 17],
+      bites: [19, 23],
+      man: [29, 31],
+      canine: [13, 17]
+    },
+    ontology: { 37: 'time/duration' }
+  });
+}
+
+describe('SemanticBackend.decodeNBest', () => {
+  it('should return ranked candidates with scores', () => {
+    const backend = makeBackend();
+    const candidates = backend.decodeNBest([2, 3, 5, 7], { topK: 3 });
+
+    assert.ok(candidates.length > 1);
+    assert.strictEqual(candidates[0].text, 'hello world');
+    assert.strictEqual(candidates[0].coverage, 1);
+    assert.strictEqual(candidates[0].noise, 0);
+    assert.strictEqual(typeof candidates[0].entropy, 'number');
+    for (let i = 1; i < candidates.length; i++) {
+      assert.ok(candidates[i - 1].score >= candidates[i].score);
+    }
+    assert.strictEqual(new Set(candidates.map(c => c.text)).size, candidates.length);
+  });
+
+  it('should explain why each word was chosen', () => {
+    const backend = makeBackend();
+    const [best] = backend.decodeNBest([5, 7, 37]);
+
+    const world = best.steps.find(s => s.word === 'world');
+    assert.deepStrictEqual(world.covers, [5, 7]);
+    assert.deepStrictEqual(world.noise, []);
+    assert.ok(world.exactMatch);
+    assert.match(world.reason, /covers 2 new prime\(s\) \[5, 7\], exact match/);
+
+    const fallback = best.steps.find(s => s.word === 'time');
+    assert.match(fallback.reason, /ontology fallback for uncovered prime 37/);
+  });
+
+  it('should report noise primes', () => {
+    const backend = makeBackend();
+    const candidates = backend.decodeNBest([5, 7, 11, 2], { topK: 5 });
+    const noisy = candidates.find(c => c.words.includes('hello'));
+    assert.ok(noisy);
+    assert.strictEqual(noisy.noise, 1);
+    assert.deepStrictEqual(noisy.steps.find(s => s.word === 'hello').noise, [3]);
+  });
+
+  it('should respect maxWords', () => {
+    const backend = makeBackend();
+    const candidates = backend.decodeNBest([2, 3, 5, 7, 13, 17, 19, 23], { maxWords: 2 });
+    assert.ok(candidates.every(c => c.words.length <= 2));
+    assert.ok(candidates[0].coverage < 1);
+    assert.ok(backend.decode([2, 3, 5, 7, 13, 17, 19, 23], { maxWords: 2 }).split(' ').length <= 2);
+  });
+
+  it('should follow the greedy path with a beam of one', () => {
+    const backend = makeBackend();
+    for (const primes of [[2, 3, 5, 7], [13, 17, 29, 31], [5, 7, 11, 19, 23]]) {
+      const [best] = backend.decodeNBest(primes, { beamWidth: 1, topK: 1 });
+      assert.strictEqual(best.text, backend.decode(primes));
+
+      const [wide] = backend.decodeNBest(primes, { beamWidth: 4, topK: 1 });
+      assert.strictEqual(wide.text, backend.decode(primes, { beamWidth: 4 }));
+    }
+  });
+
+  it('should enforce word order for ordered tokens', () => {
+    const backend = makeBackend();
+    const tokens = backend.encodeOrdered('man bites dog');
+    const candidates = backend.decodeNBest(tokens, { topK: 5 });
+
+    assert.strictEqual(candidates[0].text, 'man bites dog');
+    const position = { man: 0, bites: 1, dog: 2, canine: 2 };
+    for (const { words } of candidates) {
+      const order = words.map(w => position[w]);
+      assert.deepStrictEqual(order, [...order].sort((a, b) => a - b), words.join(' '));
+    }
+    assert.ok(candidates[0].orderCoherence > 0.99);
+
+    const unordered = backend.decodeNBest(tokens, { ordered: false, topK: 1 })[0];
+    assert.strictEqual(unordered.orderCoherence, null);
+  });
+
+  it('should handle empty input', () => {
+    const [candidate] = makeBackend().decodeNBest([]);
+    assert.strictEqual(candidate.text, '');
+    assert.strictEqual(candidate.coverage, 1);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for pairwise sequence alignment
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BioinformaticsBackend, alignSequences } from '../index.js';
+import { BLOSUM62, PAM250, parseCigar } from '../backends/bioinformatics/alignment.js';
+import { ResonanceCalculator } from '../core/resonance.js';
+
+// Residues of each sequence consumed by a CIGAR string
+function cigarLengths(cigar) {
+  let ref = 0;
+  let query = 0;
+  for (const [len, op] of parseCigar(cigar)) {
+    if ('MD=X'.includes(op)) ref += len;
+    if ('MIS=X'.includes(op)) query += len;
+  }
+  return { ref, query };
+}
+
+describe('alignSequences', () => {
+  it('should absorb a single indel in a global alignment', () => {
+    const result = alignSequences('ACGTACGTACGT', 'ACGTACTACGT');
+    assert.strictEqual(result.alphabet, 'nucleotide');
+    assert.strictEqual(result.cigar, '6M1D5M');
+    assert.strictEqual(result.aligned1, 'ACGTACGTACGT');
+    assert.strictEqual(result.aligned2, 'ACGTAC-TACGT');
+    assert.strictEqual(result.midline, '|||||| |||||');
+    // 11 matches * 2 - (5 + 2)
+    assert.strictEqual(result.score, 15);
+    assert.deepStrictEqual([result.matches, result.mismatches, result.gaps, result.gapOpens], [11, 0, 1, 1]);
+    assert.deepStrictEqual(cigarLengths(result.cigar), { ref: 12, query: 11 });
+  });
+
+  it('should charge affine gaps and prefer one long gap over several short ones', () => {
+    const result = alignSequences('AAAGGGTTT', 'AAATTT', { gapOpen: 10, gapExtend: 1 });
+    assert.strictEqual(result.cigar, '3M3D3M');
+    assert.strictEqual(result.score, 6 * 2 - (10 + 3));
+
+    const linear = alignSequences('AAAGGGTTT', 'AAATTT', { gapOpen: 0, gapExtend: 4 });
+    assert.strictEqual(linear.score, 6 * 2 - 12);
+  });
+
+  it('should find the best local alignment with soft clips', () => {
+    const result = alignSequences('TTTTTTACGTACGTTTTTT', 'GGACGTACGGG', { mode: 'local' });
+    assert.strictEqual(result.aligned1, 'ACGTACG');
+    assert.strictEqual(result.aligned2, 'ACGTACG');
+    assert.strictEqual(result.cigar, '2S7M2S');
+    assert.deepStrictEqual([result.start1, result.end1, result.start2, result.end2], [6, 13, 2, 9]);
+    assert.deepStrictEqual(cigarLengths(result.cigar), { ref: 7, query: 11 });
+
+    const none = alignSequences('AAAA', 'TTTT', { mode: 'local' });
+    assert.strictEqual(none.score, 0);
+    assert.strictEqual(none.length, 0);
+  });
+
+  it('should not penalise end gaps in semi-global mode', () => {
+    const result = alignSequences('TTTTACGTACGGG', 'ACGTAC', { mode: 'semi-global' });
+    assert.strictEqual(result.score, 12);
+    assert.strictEqual(result.cigar, '4D6M3D');
+    assert.strictEqual(result.aligned2, '----ACGTAC---');
+
+    const global = alignSequences('TTTTACGTACGGG', 'ACGTAC');
+    assert.ok(global.score < result.score);
+  });
+
+  it('should score proteins with BLOSUM62 or PAM250', () => {
+    for (const matrix of [BLOSUM62, PAM250]) {
+      assert.strictEqual(Object.keys(matrix).length, 24);
+      for (const x of Object.keys(matrix)) {
+        for (const y of Object.keys(matrix)) {
+          assert.strictEqual(matrix[x][y], matrix[y][x], `${x}/${y}`);
+        }
+      }
+    }
+    assert.strictEqual(BLOSUM62.W.W, 11);
+    assert.strictEqual(PAM250.W.W, 17);
+
+    const result = alignSequences('MKTAYIAKQRQISFVKSHFSRQ', 'MKTAYIAKQRRQISFVKSHFSRQ');
+    assert.strictEqual(result.alphabet, 'protein');
+    assert.strictEqual(result.cigar, '9M1I13M');
+    assert.strictEqual(result.score, 109 - (11 + 1));
+
+    const pam = alignSequences('HEAGAWGHEE', 'HEAGAWGHEE', { substitution: 'PAM250' });
+    assert.strictEqual(pam.score, [...'HEAGAWGHEE'].reduce((sum, c) => sum + PAM250[c][c], 0));
+    assert.strictEqual(alignSequences('LI', 'IL', { gapOpen: 100 }).midline, '::');
+  });
+
+  it('should accept prime arrays, custom scoring and extended CIGARs', () => {
+    const backend = new BioinformaticsBackend();
+    const fromPrimes = alignSequences(backend.encode('ACGTTA'), backend.encode('ACGATA'));
+    assert.strictEqual(fromPrimes.aligned1, 'ACGTTA');
+    assert.strictEqual(fromPrimes.cigar, '6M');
+
+    const extended = alignSequences('ACGTTA', 'ACGATA', { extendedCigar: true });
+    assert.strictEqual(extended.cigar, '3=1X2=');
+
+    const custom = alignSequences('ACGT', 'ACGT', { substitution: (x, y) => (x === y ? 10 : -10) });
+    assert.strictEqual(custom.score, 40);
+    assert.strictEqual(alignSequences('ACGU', 'ACGT').score, 8);
+  });
+
+  it('should use prime resonance as the substitution function', () => {
+    const calculator = new ResonanceCalculator();
+    const result = alignSequences('AVLG', 'AILG', { substitution: 'resonance', resonanceCalculator: calculator });
+    // V (31) and I (41) resonate at 31/41
+    const expected = 4 * 3 + 4 * (2 * calculator.calculateResonance(31, 41) - 1);
+    assert.ok(Math.abs(result.score - expected) < 1e-12);
+    assert.strictEqual(result.midline, '|:||');
+
+    // Purine/purine (A=7, G=11) scores above purine/pyrimidine (A=7, T=2)
+    const transition = alignSequences('A', 'G', { substitution: 'resonance' }).score;
+    const transversion = alignSequences('A', 'T', { substitution: 'resonance' }).score;
+    assert.ok(transition > transversion);
+  });
+
+  it('should validate its inputs', () => {
+    assert.throws(() => alignSequences('ACGT', 'ACGT', { mode: 'fuzzy' }), /Unknown alignment mode: fuzzy/);
+    assert.throws(() => alignSequences('ACGT', 'ACGT', { substitution: 'BLOSUM45' }), /Unknown substitution matrix: BLOSUM45/);
+    assert.throws(() => alignSequences('ACGT', 'ACGT', { gapOpen: -1 }), /Gap penalties must be non-negative/);
+    assert.throws(() => alignSequences([7, 2], [29, 31]), /nucleotide sequence against a protein/);
+    assert.throws(() => alignSequences([4], [7]), /Unknown nucleotide prime: 4/);
+    assert.throws(() => parseCigar('3M2'), /Invalid CIGAR string/);
+  });
+});
+
+describe('BioinformaticsBackend.alignSequences', () => {
+  it('should align with gaps and keep the resonance similarity', () => {
+    const backend = new BioinformaticsBackend({ alignment: { mode: 'local' } });
+    const seq1 = backend.encode('MKVLAAGIW');
+    const seq2 = backend.encode('MKILAGIW');
+    const result = backend.alignSequences(seq1, seq2);
+    assert.strictEqual(result.mode, 'local');
+    assert.strictEqual(result.cigar, '4M1D4M');
+    assert.strictEqual(result.similarity, backend.similarity(seq1, seq2));
+
+    assert.strictEqual(backend.alignSequences('MKVLAAGIW', 'MKILAGIW', { mode: 'global' }).mode, 'global');
+    assert.strictEqual(backend.alignSequences('', 'ACG').similarity, 0);
+  });
+
+  it('should gap-align through align() given strings, options or config', () => {
+    const backend = new BioinformaticsBackend();
+    const seq1 = backend.encode('MKVLAAGIW');
+    const seq2 = backend.encode('MKILAGIW');
+    const gapped = backend.alignSequences(seq1, seq2);
+
+    assert.deepStrictEqual(backend.align(seq1, seq2, {}), gapped);
+    assert.deepStrictEqual(backend.align('MKVLAAGIW', 'MKILAGIW'), backend.alignSequences('MKVLAAGIW', 'MKILAGIW'));
+    assert.strictEqual(backend.align(seq1, seq2, { mode: 'local' }).cigar, '4M1D4M');
+    assert.strictEqual(new BioinformaticsBackend({ alignment: {} }).align(seq1, seq2).cigar, gapped.cigar);
+    for (const field of ['score', 'length', 'similarity']) assert.ok(field in gapped);
+  });
+
+  it('should keep the gapless frequency-overlap score for bare prime arrays', () => {
+    const backend = new BioinformaticsBackend();
+    const seq1 = backend.encode('MKVLAAGIW');
+    const seq2 = backend.encode('MKILAGIW');
+    const result = backend.align(seq1, seq2);
+    assert.deepStrictEqual(Object.keys(result), ['score', 'length', 'similarity']);
+    assert.strictEqual(result.length, 8);
+    assert.ok(result.score > 0 && result.score <= 1);
+    assert.strictEqual(backend.align(seq1, seq1).score, 1);
+  });
+
+  it('should classify long prime arrays without spreading them', () => {
+    const primes = new Array(200000).fill(7);
+    primes[1] = 2;
+    assert.strictEqual(alignSequences(primes, primes.slice(0, 4)).alphabet, 'nucleotide');
+  });
+});
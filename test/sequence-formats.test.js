@@ -0,0 +1,252 @@
+/**
+ * Tests for FASTQ, GenBank and GFF3 parsing and writing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BioinformaticsBackend,
+  parseFASTQ,
+  formatFASTQ,
+  parseGenBank,
+  formatGenBank,
+  parseGFF3,
+  formatGFF3,
+  extractFeature,
+  readSequenceRecords
+} from '../index.js';
+import { FASTQParser, GenBankParser, parseLocation, formatLocation } from '../backends/bioinformatics/formats.js';
+import { ValidationError } from '../core/errors.js';
+
+// Exon 1 (ATGAAACCC), intron (GTAAGT), exon 2 (TTTGGGTAA) on the plus strand
+const GENBANK = `LOCUS       TEST01                    28 bp    DNA     linear   SYN 19-OCT-2026
+DEFINITION  Synthetic gene with a single
+            intron.
+ACCESSION   TEST01
+VERSION     TEST01.1
+KEYWORDS    .
+SOURCE      synthetic construct
+  ORGANISM  synthetic construct
+            other sequences; artificial sequences.
+FEATURES             Location/Qualifiers
+     source          1..28
+                     /organism="synthetic construct"
+                     /mol_type="genomic DNA"
+     CDS             join(3..11,18..26)
+                     /codon_start=1
+                     /note="spans the only
+                     intron"
+                     /translation="MKPFG"
+     misc_feature    complement(<1..>5)
+                     /pseudo
+ORIGIN
+        1 ggatgaaacc cgtaagtttt gggtaacc
+//
+`;
+
+// The same gene on the minus strand
+const GENBANK_MINUS = `LOCUS       TEST02                    28 bp    DNA     linear   SYN 19-OCT-2026
+DEFINITION  Reverse strand gene.
+ACCESSION   TEST02
+FEATURES             Location/Qualifiers
+     CDS             complement(join(3..11,18..26))
+                     /translation="MKPFG"
+ORIGIN
+        1 ccttacccaa aacttacggg tttcatgg
+//
+`;
+
+const GFF3 = `##gff-version 3
+##sequence-region ctg1 1 28
+ctg1\tdemo\tgene\t3\t26\t.\t+\t.\tID=g1;Name=Gene%3B1
+ctg1\tdemo\texon\t3\t11\t.\t+\t.\tID=e1;Parent=g1
+ctg1\tdemo\texon\t18\t26\t.\t+\t.\tID=e2;Parent=g1
+ctg1\tdemo\tCDS\t3\t11\t.\t+\t0\tID=cds1;Parent=g1,g2
+ctg1\tdemo\tCDS\t18\t26\t0.5\t+\t0\tID=cds1;Parent=g1
+##FASTA
+>ctg1
+GGATGAAACCCGTAAGTTTTGGGTAACC
+`;
+
+describe('FASTQ', () => {
+  it('should parse quality scores and wrapped records', () => {
+    const records = parseFASTQ('@r1 lane 1\nACGT\n+\nII#!\n@r2\nAC\nGT\n+r2\nII\nII\n');
+    assert.deepStrictEqual(records[0], {
+      id: 'r1', description: 'lane 1', sequence: 'ACGT', quality: 'II#!', scores: [40, 40, 2, 0]
+    });
+    assert.strictEqual(records[1].sequence, 'ACGT');
+    assert.strictEqual(records[1].quality, 'IIII');
+
+    // '@' may start a quality line
+    const [tricky] = parseFASTQ('@r3\nAC\n+\n@I\n');
+    assert.deepStrictEqual(tricky.scores, [31, 40]);
+    assert.deepStrictEqual(parseFASTQ('@r4\nAC\n+\n@I\n', { offset: 64 })[0].scores, [0, 9]);
+
+    const text = formatFASTQ(records);
+    assert.strictEqual(text, '@r1 lane 1\nACGT\n+\nII#!\n@r2\nACGT\n+\nIIII\n');
+    assert.strictEqual(formatFASTQ([{ id: 'x', sequence: 'AC', scores: [30, 10] }]), '@x\nAC\n+\n?+\n');
+  });
+
+  it('should stream chunks split mid-line and mid-character', async () => {
+    const text = '@r1 é\nACGT\n+\nIIII\n@r2\nGG\n+\nII';
+    const bytes = new TextEncoder().encode(text);
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 3) chunks.push(bytes.slice(i, i + 3));
+
+    const records = [];
+    for await (const record of readSequenceRecords(chunks, new FASTQParser())) {
+      records.push(record);
+    }
+    assert.deepStrictEqual(records.map(r => [r.id, r.description, r.sequence]), [['r1', 'é', 'ACGT'], ['r2', '', 'GG']]);
+
+    const parser = new FASTQParser();
+    assert.deepStrictEqual(parser.write('@r1\nAC'), []);
+    assert.strictEqual(parser.write('\n+\nII\n@r2\n').length, 1);
+    assert.throws(() => parser.end(), /truncated record r2/);
+  });
+
+  it('should report malformed records with line numbers', () => {
+    assert.throws(() => parseFASTQ('ACGT\n'), (error) =>
+      error instanceof ValidationError && error.code === 'FASTQ_SYNTAX' && error.metadata.line === 1);
+    assert.throws(() => parseFASTQ('@r1\nACGT\n+\nIIIII\n'), /FASTQ line 4: quality length 5 does not match sequence length 4/);
+  });
+});
+
+describe('Feature locations', () => {
+  it('should parse and format INSDC locations', () => {
+    const location = parseLocation('complement(join(3300..3400,3500..>4037))');
+    assert.strictEqual(location.strand, -1);
+    assert.strictEqual(location.operator, 'join');
+    assert.deepStrictEqual(location.ranges.map(r => [r.start, r.end, r.partialEnd]), [[3299, 3400, false], [3499, 4037, true]]);
+
+    for (const text of ['467', '<1..>5', '12^13', 'order(1..10,20..30)', 'join(complement(20..30),complement(1..10))']) {
+      const parsed = parseLocation(text);
+      assert.deepStrictEqual(parseLocation(formatLocation(parsed)), parsed, text);
+    }
+    assert.deepStrictEqual(parseLocation('12^13').ranges[0], { start: 12, end: 12, partialStart: false, partialEnd: false });
+
+    assert.throws(() => parseLocation('J00194.1:100..202'), /remote locations are not supported/);
+    assert.throws(() => parseLocation('join(1..10,complement(20..30))'), /mixed-strand/);
+    assert.throws(() => parseLocation('join(1..10'), /missing '\)'/);
+  });
+});
+
+describe('GenBank', () => {
+  it('should parse header fields, features and qualifiers', () => {
+    const [record] = parseGenBank(GENBANK);
+    assert.deepStrictEqual(record.locus, {
+      name: 'TEST01', length: 28, unit: 'bp', moleculeType: 'DNA',
+      topology: 'linear', division: 'SYN', date: '19-OCT-2026'
+    });
+    assert.strictEqual(record.definition, 'Synthetic gene with a single intron.');
+    assert.strictEqual(record.accession, 'TEST01');
+    assert.strictEqual(record.version, 'TEST01.1');
+    assert.strictEqual(record.organism, 'synthetic construct');
+    assert.deepStrictEqual(record.taxonomy, ['other sequences', 'artificial sequences']);
+    assert.strictEqual(record.sequence, 'GGATGAAACCCGTAAGTTTTGGGTAACC');
+
+    const [, cds, misc] = record.features;
+    assert.strictEqual(cds.type, 'CDS');
+    assert.strictEqual(cds.location, 'join(3..11,18..26)');
+    assert.deepStrictEqual(cds.ranges.map(r => [r.start, r.end]), [[2, 11], [17, 26]]);
+    assert.deepStrictEqual(cds.qualifiers, { codon_start: '1', note: 'spans the only intron', translation: 'MKPFG' });
+    assert.strictEqual(misc.strand, -1);
+    assert.strictEqual(misc.qualifiers.pseudo, true);
+  });
+
+  it('should round-trip through formatGenBank', () => {
+    const records = parseGenBank(GENBANK + GENBANK_MINUS);
+    assert.strictEqual(records.length, 2);
+    assert.deepStrictEqual(parseGenBank(formatGenBank(records)), records);
+
+    // Records built from scratch get a minimal header
+    const built = parseGenBank(formatGenBank({
+      locus: { name: 'NEW1' },
+      definition: 'Built record.',
+      sequence: 'ACGTACGTAC'.repeat(7),
+      features: [{ type: 'gene', strand: 1, ranges: [{ start: 0, end: 70 }], qualifiers: { gene: 'abc', note: 'x'.repeat(120) } }]
+    }))[0];
+    assert.strictEqual(built.locus.length, 70);
+    assert.strictEqual(built.features[0].location, '1..70');
+    assert.strictEqual(built.features[0].qualifiers.note.replace(/ /g, ''), 'x'.repeat(120));
+  });
+
+  it('should stream records and reject truncated input', () => {
+    const parser = new GenBankParser();
+    const text = GENBANK + GENBANK_MINUS;
+    const records = [];
+    for (let i = 0; i < text.length; i += 17) {
+      records.push(...parser.write(text.slice(i, i + 17)));
+    }
+    records.push(...parser.end());
+    assert.deepStrictEqual(records, parseGenBank(text));
+
+    assert.throws(() => parseGenBank(GENBANK.replace('//\n', '')), /missing its '\/\/' terminator/);
+    assert.throws(() => parseGenBank(GENBANK.replace('join(3..11', 'join(3..11x')), (error) => error.code === 'GENBANK_SYNTAX');
+  });
+});
+
+describe('GFF3', () => {
+  it('should parse features, attributes, directives and embedded FASTA', () => {
+    const doc = parseGFF3(GFF3);
+    assert.strictEqual(doc.version, '3');
+    assert.deepStrictEqual(doc.sequenceRegions, [{ seqid: 'ctg1', start: 0, end: 28 }]);
+    assert.strictEqual(doc.features.length, 5);
+    assert.deepStrictEqual(doc.features[0], {
+      seqid: 'ctg1', source: 'demo', type: 'gene', start: 2, end: 26,
+      score: null, strand: '+', phase: null, attributes: { ID: 'g1', Name: 'Gene;1' }
+    });
+    assert.deepStrictEqual(doc.features[3].attributes.Parent, ['g1', 'g2']);
+    assert.strictEqual(doc.features[4].score, 0.5);
+    assert.deepStrictEqual(doc.sequences, [{ id: 'ctg1', header: 'ctg1', sequence: 'GGATGAAACCCGTAAGTTTTGGGTAACC' }]);
+
+    assert.strictEqual(formatGFF3(doc), GFF3);
+  });
+
+  it('should validate columns', () => {
+    assert.throws(() => parseGFF3('ctg1\tdemo\tgene\t3\t26\n'), /GFF3 line 1: expected 9 tab-separated columns/);
+    assert.throws(() => parseGFF3('ctg1\t.\tgene\t30\t26\t.\t+\t.\t.\n'), /invalid coordinates/);
+    assert.throws(() => parseGFF3('ctg1\t.\tCDS\t3\t26\t.\t+\t.\t.\n'), /CDS features need a phase/);
+  });
+});
+
+describe('Annotation-aware Central Dogma', () => {
+  const backend = new BioinformaticsBackend();
+
+  it('should translate annotated CDS regions to the recorded translation', () => {
+    for (const text of [GENBANK, GENBANK_MINUS]) {
+      const [record] = parseGenBank(text);
+      const cds = record.features.find(f => f.type === 'CDS');
+      const genome = backend.encode(record.sequence);
+
+      assert.strictEqual(extractFeature(record.sequence, cds), 'ATGAAACCCTTTGGGTAA');
+      const result = backend.translation.translateCDS(genome, cds);
+      assert.strictEqual(backend.decode(result.protein), cds.qualifiers.translation);
+      assert.strictEqual(result.stopPosition, 15);
+    }
+
+    const doc = parseGFF3(GFF3);
+    const genome = backend.encode(doc.sequences[0].sequence);
+    const cds = doc.features.filter(f => f.type === 'CDS');
+    assert.strictEqual(backend.decode(backend.translation.translateCDS(genome, cds).protein), 'MKPFG');
+
+    // A phase of 1 skips the first base of the first segment
+    const shifted = [{ ...cds[0], start: 1, phase: 1 }, cds[1]];
+    assert.strictEqual(backend.decode(backend.translation.translateCDS(genome, shifted).protein), 'MKPFG');
+  });
+
+  it('should splice with annotated exons', () => {
+    const mature = backend.transcription.apply(backend.encode('ATGAAACCCTTTGGGTAA'));
+
+    // Transcript covering the gene only, starting at genome coordinate 2
+    const preMRNA = backend.transcription.apply(backend.encode('ATGAAACCCGTAAGTTTTGGGTAA'));
+    const exons = parseGFF3(GFF3).features.filter(f => f.type === 'exon');
+    assert.deepStrictEqual(backend.transcription.splice(preMRNA, exons, { offset: 2 }), mature);
+
+    const [minus] = parseGenBank(GENBANK_MINUS);
+    assert.deepStrictEqual(backend.transcription.splice(preMRNA, minus.features[0], { offset: 2 }), mature);
+
+    // Plain intron ranges keep their old meaning
+    assert.deepStrictEqual(backend.transcription.splice(preMRNA, [{ start: 9, end: 15 }]), mature);
+  });
+});
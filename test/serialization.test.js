@@ -0,0 +1,134 @@
+/**
+ * Tests for engine and oscillator save/restore
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Oscillator, OscillatorBank } from '../physics/oscillator.js';
+import { KuramotoModel } from '../physics/kuramoto.js';
+import {
+  NetworkKuramoto,
+  AdaptiveKuramoto,
+  SakaguchiKuramoto,
+  SmallWorldKuramoto
+} from '../physics/sync-models.js';
+import { StochasticKuramoto, ColoredNoiseKuramoto, ThermalKuramoto } from '../physics/stochastic-kuramoto.js';
+import { SparseAdjacency } from '../physics/coupling.js';
+import { AlephEngine } from '../engine/aleph.js';
+import { createEngine, SemanticBackend } from '../index.js';
+import { CryptographicBackend } from '../backends/cryptographic/index.js';
+
+const roundTrip = (obj) => JSON.parse(JSON.stringify(obj));
+
+describe('Oscillator serialization', () => {
+  it('should round-trip phase, amplitude and history', () => {
+    const osc = new Oscillator(3, 0.5, 0.2);
+    osc.excite(0.4);
+    osc.tick(0.01);
+    const copy = Oscillator.fromJSON(roundTrip(osc));
+    assert.deepStrictEqual(copy.toJSON(), osc.toJSON());
+  });
+});
+
+describe('KuramotoModel serialization', () => {
+  it('should include a schema version and coupling', () => {
+    const json = new KuramotoModel([1, 2, 3], 0.7).toJSON();
+    assert.strictEqual(json.version, 1);
+    assert.strictEqual(json.type, 'KuramotoModel');
+    assert.strictEqual(json.coupling, 0.7);
+  });
+
+  it('should resume identically after restore', () => {
+    const model = new KuramotoModel([1, 1.3, 1.7, 2.2], { coupling: 0.5, rng: 3 });
+    model.exciteByIndices([0, 2], 0.8);
+    for (let i = 0; i < 20; i++) model.tick(0.01);
+
+    const restored = KuramotoModel.fromJSON(roundTrip(model));
+    for (let i = 0; i < 20; i++) {
+      model.tick(0.01);
+      restored.tick(0.01);
+    }
+    assert.deepStrictEqual(restored.getPhases(), model.getPhases());
+    assert.deepStrictEqual(restored.getAmplitudes(), model.getAmplitudes());
+    assert.deepStrictEqual(restored.getRngState(), model.getRngState());
+  });
+
+  it('should restore subclasses with their own state', () => {
+    const freqs = [1, 1.3, 1.7, 2.2, 2.5, 2.9];
+    const ring = SparseAdjacency.fromEdges(6, freqs.map((_, i) => [i, (i + 1) % 6, 0.5 + i * 0.1]), { symmetric: true });
+    const models = [
+      new NetworkKuramoto(freqs, ring, 0.8, { rng: 1 }),
+      new AdaptiveKuramoto(freqs, 0.4, 0.05, { rng: 2, adjacency: ring }),
+      new SakaguchiKuramoto(freqs, 0.6, 0.9, { rng: 3 }),
+      new SmallWorldKuramoto(freqs, 2, 0.5, 0.7, { rng: 4 }),
+      new StochasticKuramoto(freqs, { coupling: 0.5, noiseIntensity: 0.3, rng: 5 }),
+      new ColoredNoiseKuramoto(freqs, { coupling: 0.5, noiseIntensity: 0.2, correlationTime: 0.4, rng: 6 }),
+      new ThermalKuramoto(freqs, { coupling: 0.5, temperature: 2.5, rng: 7 })
+    ];
+
+    for (const model of models) {
+      model.exciteByIndices([0, 3], 0.8);
+      for (let i = 0; i < 20; i++) model.tick(0.01);
+
+      const restored = model.constructor.fromJSON(roundTrip(model));
+      assert.strictEqual(restored.constructor, model.constructor);
+      assert.deepStrictEqual(restored.toJSON(), model.toJSON());
+      for (let i = 0; i < 20; i++) {
+        model.tick(0.01);
+        restored.tick(0.01);
+      }
+      assert.deepStrictEqual(restored.getPhases(), model.getPhases(), model.constructor.name);
+    }
+  });
+
+  it('should reject mismatched sizes and unknown versions', () => {
+    const json = new KuramotoModel([1, 2, 3]).toJSON();
+    assert.throws(() => new KuramotoModel([1, 2]).loadState(json), /Cannot restore 3 oscillators/);
+    assert.throws(() => OscillatorBank.fromJSON({ ...json, version: 99 }), /schema version/);
+  });
+});
+
+describe('AlephEngine serialization', () => {
+  it('should continue a seeded run identically after restore', () => {
+    const engine = createEngine('semantic', { seed: 17 });
+    engine.run('love and wisdom');
+
+    const snapshot = roundTrip(engine);
+    const restored = AlephEngine.fromJSON(snapshot, engine.backend);
+
+    // JSON maps -0 to 0, so compare components numerically
+    const saved = engine.state.toArray();
+    assert.ok(restored.state.toArray().every((v, i) => v === saved[i]));
+    assert.deepStrictEqual(restored.history, engine.history);
+    assert.deepStrictEqual(restored.frames, engine.frames);
+
+    const expected = engine.run('truth');
+    const actual = restored.run('truth');
+    assert.deepStrictEqual(actual, expected);
+    assert.deepStrictEqual(restored.getPhysicsState(), engine.getPhysicsState());
+  });
+
+  it('should not serialize the live rng object', () => {
+    const json = createEngine('semantic', { seed: 1 }).toJSON();
+    assert.strictEqual('rng' in json.options, false);
+    assert.strictEqual(json.rngState.algorithm, 'mulberry32');
+  });
+
+  it('should reject an incompatible backend', () => {
+    const engine = createEngine('semantic', { seed: 2 });
+    const json = roundTrip(engine);
+
+    assert.throws(
+      () => AlephEngine.fromJSON(json, new CryptographicBackend({ dimension: 16 })),
+      /Incompatible backend/
+    );
+    assert.throws(
+      () => AlephEngine.fromJSON(json, new SemanticBackend({ dimension: 32 })),
+      /Incompatible backend/
+    );
+    assert.throws(
+      () => AlephEngine.fromJSON({ ...json, version: 2 }, engine.backend),
+      /Unsupported engine schema version/
+    );
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for the state-vector quantum simulator
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  StateVector,
+  QuantumCircuit,
+  ScientificBackend,
+  PrimeState,
+  Complex,
+  createEngine
+} from '../index.js';
+
+const close = (a, b, eps = 1e-12) => Math.abs(a - b) < eps;
+
+function assertSameState(a, b) {
+  for (let i = 0; i < a.size; i++) {
+    assert.ok(close(a.re[i], b.re[i]) && close(a.im[i], b.im[i]), `amplitude ${i} differs`);
+  }
+}
+
+describe('StateVector', () => {
+  it('should prepare Bell and GHZ states', () => {
+    const bell = new StateVector(2).h(0).cx(0, 1);
+    assert.deepStrictEqual([...bell.probabilities()].map(p => +p.toFixed(12)), [0.5, 0, 0, 0.5]);
+
+    const ghz = new StateVector(12).h(0);
+    for (let q = 0; q < 11; q++) ghz.cx(q, q + 1);
+    assert.ok(close(ghz.probabilities()[0], 0.5));
+    assert.ok(close(ghz.probabilities()[4095], 0.5));
+  });
+
+  it('should satisfy gate identities', () => {
+    const start = () => StateVector.fromAmplitudes([[0.6, 0.1], [0.2, -0.3], [0.5, 0.2], [-0.1, 0.4]]);
+
+    // HZH = X
+    assertSameState(start().h(1).z(1).h(1), start().x(1));
+    // SX·SX = X, S·S = Z, T·T = S
+    assertSameState(start().sx(0).sx(0), start().x(0));
+    assertSameState(start().s(0).s(0), start().z(0));
+    assertSameState(start().t(1).t(1), start().s(1));
+    // Inverses
+    assertSameState(start().t(0).tdg(0).sxdg(1).sx(1), start());
+    // U(θ, -π/2, π/2) = RX(θ); U(0, 0, λ) = P(λ)
+    assertSameState(start().u(0.7, -Math.PI / 2, Math.PI / 2, 0), start().rx(0.7, 0));
+    assertSameState(start().u(0, 0, 1.1, 1), start().p(1.1, 1));
+    // CZ is symmetric; three CNOTs make a SWAP
+    assertSameState(start().cz(0, 1), start().cz(1, 0));
+    assertSameState(start().cx(0, 1).cx(1, 0).cx(0, 1), start().swap(0, 1));
+    // RZ(θ) = e^{-iθ/2} P(θ): equal probabilities, relative phase e^{iθ}
+    const rz = start().rz(0.9, 0);
+    const p = start().p(0.9, 0);
+    assert.deepStrictEqual([...rz.probabilities()].map(x => x.toFixed(12)), [...p.probabilities()].map(x => x.toFixed(12)));
+  });
+
+  it('should apply controlled and multi-controlled gates', () => {
+    const toffoli = new StateVector(3);
+    toffoli.x(0).ccx(0, 1, 2);
+    assert.strictEqual(toffoli.probabilities()[1], 1);
+    toffoli.x(1).ccx(0, 1, 2);
+    assert.strictEqual(toffoli.bitString(toffoli.measureAll()), '111');
+
+    const fredkin = new StateVector(3).x(0).x(1).cswap(0, 1, 2);
+    assert.strictEqual(fredkin.bitString(fredkin.measureAll()), '101');
+
+    const crx = new StateVector(2).x(0).crx(Math.PI, 0, 1);
+    assert.ok(close(crx.probabilities()[3], 1));
+    assert.ok(close(new StateVector(2).crx(Math.PI, 0, 1).probabilities()[0], 1));
+
+    const custom = new StateVector(2).x(1).applyMatrix([[0, 1], [1, 0]], 0, [1]);
+    assert.strictEqual(custom.probabilities()[3], 1);
+  });
+
+  it('should measure with collapse and reproducible sampling', () => {
+    const state = new StateVector(2, { rng: 42 }).h(0).cx(0, 1);
+    const first = state.measure(0);
+    assert.strictEqual(state.measure(1), first);
+    assert.ok(close(state.probabilities()[first ? 3 : 0], 1));
+
+    const counts = new StateVector(2, { rng: 7 }).h(0).cx(0, 1).sample(2000);
+    assert.deepStrictEqual(Object.keys(counts).sort(), ['00', '11']);
+    assert.ok(Math.abs(counts['00'] - 1000) < 120);
+    assert.deepStrictEqual(new StateVector(3, { rng: 1 }).h(0).h(2).sample(50), new StateVector(3, { rng: 1 }).h(0).h(2).sample(50));
+
+    const reset = new StateVector(1, { rng: 3 }).h(0).reset(0);
+    assert.ok(close(reset.probabilities()[0], 1));
+  });
+
+  it('should reject bad gates and registers', () => {
+    assert.throws(() => new StateVector(0), /numQubits must be an integer between 1 and 24/);
+    assert.throws(() => new StateVector(2).apply('warp', [0]), /Unknown gate: warp/);
+    assert.throws(() => new StateVector(2).cx(0, 0), /must be distinct/);
+    assert.throws(() => new StateVector(2).x(2), /Qubit 2 out of range/);
+    assert.throws(() => new StateVector(2).apply('rx', [0]), /expects 1 parameter/);
+    assert.strictEqual(new StateVector(2).apply('CNOT', [0, 1]).probabilities()[0], 1);
+  });
+
+  it('should bridge to and from PrimeState', () => {
+    const state = new StateVector(3).h(0).cx(0, 1).s(1).rx(0.4, 2);
+    const primeState = state.toPrimeState();
+
+    assert.ok(primeState instanceof PrimeState);
+    // |000⟩ ↔ 2, |011⟩ ↔ 7 (the fourth prime)
+    assert.ok(close(primeState.get(2).re, state.re[0]));
+    assert.ok(close(primeState.get(7).im, state.im[3]));
+    assert.ok(close(primeState.norm(), 1));
+
+    assertSameState(StateVector.fromPrimeState(primeState, 3), state);
+
+    const manual = new PrimeState([2, 5]);
+    manual.set(2, new Complex(1, 0)).set(5, new Complex(0, 1));
+    const fromManual = StateVector.fromPrimeState(manual);
+    assert.strictEqual(fromManual.numQubits, 2);
+    assert.ok(close(fromManual.im[2], Math.SQRT1_2));
+
+    assert.throws(() => StateVector.fromPrimeState(PrimeState.basis(11), 2), /outside a 2-qubit register/);
+  });
+});
+
+describe('QuantumCircuit', () => {
+  it('should record operations and sample classical bits', () => {
+    const circuit = new QuantumCircuit(3).h(0).cx(0, 1).barrier().measure(0, 0).measure(1, 2);
+    assert.deepStrictEqual(circuit.countOps(), { h: 1, cx: 1, barrier: 1, measure: 2 });
+    assert.strictEqual(circuit.numClbits, 3);
+
+    const counts = circuit.sample(500, { rng: 9 });
+    assert.deepStrictEqual(Object.keys(counts).sort(), ['000', '101']);
+  });
+
+  it('should rerun each shot when measurements feed later gates', () => {
+    const circuit = new QuantumCircuit(2).h(0).measure(0, 0).cx(0, 1).measure(1, 1);
+    const counts = circuit.sample(200, { rng: 4 });
+    assert.deepStrictEqual(Object.keys(counts).sort(), ['00', '11']);
+    assert.strictEqual(counts['00'] + counts['11'], 200);
+
+    const { clbits, state } = new QuantumCircuit(1).x(0).measure(0).reset(0).run();
+    assert.deepStrictEqual(clbits, [1]);
+    assert.strictEqual(state.probabilities()[0], 1);
+  });
+
+  it('should validate gates as they are appended', () => {
+    assert.throws(() => new QuantumCircuit(2).append('cx', [0]), /takes 2 qubit\(s\)/);
+    assert.throws(() => new QuantumCircuit(2).h(5), /Qubit 5 out of range/);
+  });
+});
+
+describe('ScientificBackend state-vector integration', () => {
+  it('should apply real gates and measure full registers', () => {
+    const backend = new ScientificBackend({ dimension: 16, rng: 5 });
+    const state = backend.createStateVector(2);
+    backend.applyGate(state, 'H', [0]);
+    backend.applyGate(state, 'CNOT', [0, 1]);
+
+    assert.deepStrictEqual(backend.encode(state).sort((a, b) => a - b), [2, 7]);
+    const result = backend.measure(state);
+    assert.ok(['|00⟩', '|11⟩'].includes(result.state));
+    assert.ok(close(result.probability, 0.5));
+
+    // Prime-substitution gates are unchanged
+    assert.deepStrictEqual(backend.applyGate([2], 'X'), [3]);
+  });
+
+  it('should run circuits with the backend rng and feed an engine', () => {
+    const backend = new ScientificBackend({ dimension: 16, rng: 11 });
+    const circuit = backend.createCircuit(2).h(0).cx(0, 1).measureAll();
+    const { clbits } = backend.runCircuit(circuit);
+    assert.strictEqual(clbits[0], clbits[1]);
+
+    const engine = createEngine('scientific', { dimension: 16 });
+    const output = engine.run(new StateVector(2).h(0).cx(0, 1));
+    assert.deepStrictEqual(output.inputPrimes.sort((a, b) => a - b), [2, 7]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for the BPE subword tokenizer and its SemanticBackend integration
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SemanticBackend, SubwordTokenizer, PrimeRegistry, isPrime } from '../index.js';
+
+const CORPUS = [
+  'the runner was running while the runners run',
+  'jumping jumper jumped jumps',
+  'walking walker walked walks talking talker talked'
+];
+
+function makeBackend() {
+  return new SemanticBackend({
+    dimension: 16,
+    vocabulary: { love: [2, 3, 5], truth: [7, 11, 13] },
+    ontology: { 101: 'beyond' }
+  });
+}
+
+describe('SubwordTokenizer', () => {
+  it('should learn shared stems and suffixes', () => {
+    const tokenizer = SubwordTokenizer.train(CORPUS, { numMerges: 60 });
+    const [running, runner] = ['running', 'runner'].map(w => tokenizer.split(w));
+
+    assert.strictEqual(running[0], runner[0]);
+    assert.deepStrictEqual(tokenizer.split('jumping').at(-1), running.at(-1));
+    assert.strictEqual(tokenizer.wordToPrimes('running')[0], tokenizer.wordToPrimes('runner')[0]);
+  });
+
+  it('should give every unit a distinct prime', () => {
+    const tokenizer = SubwordTokenizer.train(CORPUS, { numMerges: 60 });
+    const primes = [...tokenizer.units.values()];
+    assert.strictEqual(new Set(primes).size, primes.length);
+    assert.ok(primes.every(isPrime));
+  });
+
+  it('should be deterministic', () => {
+    assert.deepStrictEqual(
+      SubwordTokenizer.train(CORPUS, { numMerges: 40 }).toJSON(),
+      SubwordTokenizer.train(CORPUS, { numMerges: 40 }).toJSON()
+    );
+  });
+
+  it('should fall back to characters without minting primes', () => {
+    const tokenizer = SubwordTokenizer.train(CORPUS, { numMerges: 20 });
+    const before = tokenizer.toJSON();
+    assert.deepStrictEqual(tokenizer.split('zq'), ['z', 'q</w>']);
+    assert.deepStrictEqual(tokenizer.wordToPrimes('zq'), [tokenizer.units.get('z'), tokenizer.units.get('q</w>')]);
+    assert.strictEqual(tokenizer.decode(tokenizer.encode('zq 42_x')), 'zq 42_x');
+    assert.deepStrictEqual(tokenizer.toJSON(), before);
+
+    assert.throws(() => tokenizer.wordToPrimes('é'), /No prime for subword unit "é<\/w>"/);
+    assert.throws(() => new SubwordTokenizer().encode('run'), /train the tokenizer first/);
+  });
+
+  it('should not let callers change cached splits', () => {
+    const tokenizer = SubwordTokenizer.train(CORPUS, { numMerges: 60 });
+    const units = tokenizer.split('running');
+    units.push('oops');
+    assert.deepStrictEqual(tokenizer.split('running'), units.slice(0, -1));
+  });
+
+  it('should decode unit primes back to words', () => {
+    const tokenizer = SubwordTokenizer.train(CORPUS, { numMerges: 60 });
+    assert.strictEqual(tokenizer.decode(tokenizer.encode('Running, walker!')), 'running walker');
+  });
+
+  it('should save and reload the vocabulary file', async () => {
+    const tokenizer = SubwordTokenizer.train(CORPUS, { numMerges: 60 });
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tinyaleph-')), 'vocab.json');
+    try {
+      await tokenizer.save(file);
+      const restored = await SubwordTokenizer.load(file);
+      assert.deepStrictEqual(restored.toJSON(), tokenizer.toJSON());
+      assert.deepStrictEqual(restored.wordToPrimes('talking'), tokenizer.wordToPrimes('talking'));
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+
+  it('should reject vocabularies of another schema version', () => {
+    const json = { ...SubwordTokenizer.train(CORPUS).toJSON(), version: 99 };
+    assert.throws(() => SubwordTokenizer.fromJSON(json), /Unsupported tokenizer schema version 99/);
+    assert.throws(() => SubwordTokenizer.fromJSON({}), /Invalid tokenizer vocabulary/);
+  });
+});
+
+describe('SemanticBackend with a subword tokenizer', () => {
+  it('should keep vocabulary words and split unknown ones', () => {
+    const backend = makeBackend();
+    backend.trainTokenizer(CORPUS, { numMerges: 60 });
+    const [love, runner] = backend.tokenize('love runner');
+
+    assert.deepStrictEqual(love.primes, [2, 3, 5]);
+    assert.strictEqual(love.subwords, undefined);
+    assert.deepStrictEqual(runner.subwords, backend.tokenizer.split('runner'));
+    assert.deepStrictEqual(runner.primes, backend.tokenizer.wordToPrimes('runner'));
+    assert.deepStrictEqual(backend.encode('runner'), runner.primes);
+    assert.deepStrictEqual(backend.encodeOrdered('the runner')[0].primes, runner.primes);
+  });
+
+  it('should not reuse primes of the basis, vocabulary or ontology', () => {
+    const backend = makeBackend();
+    const tokenizer = backend.trainTokenizer(CORPUS, { numMerges: 60 });
+    const used = new Set(backend.usedPrimes());
+    assert.ok([...tokenizer.units.values()].every(p => !used.has(p)));
+    assert.ok(Math.min(...tokenizer.units.values()) > 541);
+  });
+
+  it('should accept saved vocabulary data in its config', () => {
+    const trained = makeBackend();
+    trained.trainTokenizer(CORPUS, { numMerges: 60 });
+    const restored = new SemanticBackend({
+      ...makeBackend().config,
+      tokenizer: JSON.parse(JSON.stringify(trained.tokenizer))
+    });
+    assert.deepStrictEqual(restored.encode('walker talked'), trained.encode('walker talked'));
+  });
+
+  it('should decode unknown words from their unit primes', () => {
+    const backend = makeBackend();
+    backend.trainTokenizer(CORPUS, { numMerges: 60 });
+    assert.strictEqual(backend.decode(backend.encode('love runner')), 'love runner');
+
+    const [best] = backend.decodeNBest(backend.encode('walker'));
+    assert.deepStrictEqual(best.steps[0].primes, backend.tokenizer.wordToPrimes('walker'));
+    assert.deepStrictEqual(best.uncovered, []);
+  });
+
+  it('should keep the character-hash fallback without a tokenizer', () => {
+    const backend = makeBackend();
+    const primes = backend.config.primes;
+    assert.deepStrictEqual(backend.encode('ab'), ['a', 'b'].map(c => primes[c.charCodeAt(0) % primes.length]));
+    backend.trainTokenizer(CORPUS);
+    backend.setTokenizer(null);
+    assert.strictEqual(backend.tokenizer, null);
+  });
+});
+
+describe('PrimeRegistry', () => {
+  it('should mint unused primes above the reserved ones', () => {
+    const registry = new PrimeRegistry([2, 3, 7]);
+    assert.strictEqual(registry.next(), 11);
+    registry.reserve([13, 29]);
+    assert.strictEqual(registry.next(), 31);
+    assert.ok(registry.has(13));
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for parameter sweeps, critical coupling estimates and hysteresis detection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parameterSweep,
+  estimateCriticalPoint,
+  detectHysteresis,
+  setModelParameter
+} from '../physics/sweep.js';
+import { KuramotoModel } from '../physics/kuramoto.js';
+import { SakaguchiKuramoto } from '../physics/sync-models.js';
+import { ThermalKuramoto } from '../physics/stochastic-kuramoto.js';
+import { ALKKuramotoModel, ALKNetworkKuramoto } from '../physics/alk-kuramoto.js';
+import { createKuramotoLadder } from '../physics/kuramoto-coupled-ladder.js';
+import { ArithmeticLinkKernel } from '../core/arithmetic-link-kernel.js';
+
+/**
+ * Standard normal quantile by bisection on the CDF
+ */
+function normalQuantile(p) {
+  const erf = (x) => {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t * Math.exp(-x * x);
+    return x >= 0 ? y : -y;
+  };
+  let lo = -10, hi = 10;
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (0.5 * (1 + erf(mid / Math.SQRT2)) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function point(value, mean, stdError = 0.01) {
+  return { value, orderParameter: { mean, stdError } };
+}
+
+describe('parameterSweep', () => {
+  it('should locate Kc = 2/(π g(0)) for Gaussian natural frequencies', () => {
+    // ω = 2πf ~ N(0, 1), so Kc = √(8/π) ≈ 1.596
+    const N = 200;
+    const freqs = Array.from({ length: N }, (_, i) => normalQuantile((i + 0.5) / N) / (2 * Math.PI));
+    const result = parameterSweep(() => new KuramotoModel(freqs, 0), {
+      parameters: { name: 'coupling', values: { from: 0.5, to: 3, steps: 11 } },
+      dt: 0.05,
+      warmup: 300,
+      window: 200,
+      rng: 1
+    });
+
+    assert.strictEqual(result.parameter, 'coupling');
+    assert.strictEqual(result.forward.length, 11);
+    assert.ok(result.forward[0].orderParameter.mean < 0.2);
+    assert.ok(result.forward[10].orderParameter.mean > 0.9);
+    assert.ok(result.forward[10].entropy.mean < result.forward[0].entropy.mean);
+    // Incoherent at the bottom of the grid, contracting once locked
+    assert.ok(Math.abs(result.forward[0].lyapunov.mean) < 0.1, `λ = ${result.forward[0].lyapunov.mean}`);
+    assert.ok(result.forward[10].lyapunov.mean < -0.3, `λ = ${result.forward[10].lyapunov.mean}`);
+
+    const { value, lower, upper } = result.criticalPoint;
+    assert.ok(Math.abs(value - Math.sqrt(8 / Math.PI)) < 0.25, `Kc = ${value}`);
+    assert.ok(lower <= value && value <= upper);
+    // The transition is continuous: no hysteresis loop
+    assert.strictEqual(result.hysteresis.detected, false);
+    assert.ok(Math.abs(result.hysteresis.width) < 0.1);
+  });
+
+  it('should be reproducible for a seed and sweep a second parameter per row', () => {
+    const freqs = Array.from({ length: 40 }, (_, i) => (i / 39 - 0.5) * 0.5);
+    const run = () => parameterSweep(() => new SakaguchiKuramoto(freqs, 0, 0), {
+      parameters: [
+        { name: 'coupling', values: [0.5, 1.5, 2.5, 3.5] },
+        { name: 'phaseLag', values: [0, 0.8] }
+      ],
+      dt: 0.05,
+      warmup: 50,
+      window: 50,
+      direction: 'forward',
+      rng: 7
+    });
+
+    const result = run();
+    assert.deepStrictEqual(result.parameters, ['coupling', 'phaseLag']);
+    assert.strictEqual(result.rows.length, 2);
+    assert.strictEqual(result.rows[1].value, 0.8);
+    assert.strictEqual(result.rows[1].backward, null);
+    assert.deepStrictEqual(result.criticalLine.map(c => c.phaseLag), [0, 0.8]);
+    assert.deepStrictEqual(run(), result);
+  });
+
+  it('should drive ThermalKuramoto, ALKKuramotoModel and KuramotoCoupledLadder', () => {
+    const thermal = parameterSweep(new ThermalKuramoto(new Array(30).fill(1), { coupling: 1, rng: 3 }), {
+      parameters: { name: 'temperature', values: [0.5, 2, 8] },
+      warmup: 20,
+      window: 20,
+      direction: 'forward',
+      rng: 3
+    });
+    assert.strictEqual(thermal.forward.length, 3);
+
+    const alk = new ArithmeticLinkKernel([5, 13, 17]);
+    const alkSweep = parameterSweep(() => new ALKKuramotoModel([1, 1.2, 0.8], alk, { rng: 4 }), {
+      parameters: { name: 'coupling', values: [0.01, 1] },
+      dt: 0.05,
+      warmup: 20,
+      window: 20,
+      trials: 3,
+      rng: 4
+    });
+    assert.ok(alkSweep.backward.every(p => p.orderParameter.stdError > 0));
+
+    const ladder = parameterSweep(() => createKuramotoLadder([2, 3, 5], { N: 6, rng: 5 }), {
+      parameters: { name: 'K', values: [0, 5] },
+      warmup: 10,
+      window: 10,
+      rng: 5
+    });
+    assert.ok(ladder.forward.every(p => p.orderParameter.mean >= 0 && p.orderParameter.mean <= 1));
+    assert.ok(ladder.forward.every(p => p.lyapunov === null));
+    assert.ok(alkSweep.forward.every(p => Number.isFinite(p.lyapunov.mean)));
+  });
+
+  it('should reject invalid configurations', () => {
+    const model = new KuramotoModel([1, 2], 0.5);
+    const parameters = { name: 'coupling', values: [0, 1] };
+    assert.throws(() => parameterSweep(model, { parameters, trials: 2 }), /need a model factory/);
+    assert.throws(() => parameterSweep(model, { parameters: { name: 'coupling', values: [1] } }), /at least two values/);
+    assert.throws(() => parameterSweep(model, { parameters: { name: 'bogus', values: [0, 1] } }), /Cannot set parameter "bogus"/);
+    assert.throws(() => parameterSweep({}, { parameters }), /Unsupported model/);
+  });
+});
+
+describe('setModelParameter', () => {
+  it('should map coupling onto the ALK coupling scale and rebuild J', () => {
+    const model = new ALKKuramotoModel([1, 2, 3], new ArithmeticLinkKernel([5, 13, 17]), { rng: 1 });
+    const before = model.J[0][1];
+    setModelParameter(model, 'coupling', model.couplingScale * 2);
+    assert.strictEqual(model.J[0][1], before * 2);
+  });
+
+  it('should rebuild the triadic entries and the network effective J', () => {
+    const alk = new ArithmeticLinkKernel([5, 13, 17]);
+    const model = new ALKKuramotoModel([1, 2, 3], alk, { rng: 1 });
+    const triad = model.K3Entries.map(e => e.value);
+    setModelParameter(model, 'triadicScale', model.triadicScale * 3);
+    assert.deepStrictEqual(model.K3Entries.map(e => e.value / 3), triad);
+
+    const network = new ALKNetworkKuramoto([1, 2, 3], alk, { rng: 1 });
+    const before = network.effectiveJ[0][1];
+    setModelParameter(network, 'coupling', network.couplingScale * 2);
+    assert.strictEqual(network.effectiveJ[0][1], before * 2);
+  });
+});
+
+describe('estimateCriticalPoint', () => {
+  const values = [0, 0.5, 1, 1.5, 2, 2.5, 3];
+  const curve = values.map(v => point(v, 0.5 + 0.5 * Math.tanh(4 * (v - 1.3))));
+
+  it('should interpolate the threshold crossing and bracket it', () => {
+    const estimate = estimateCriticalPoint(curve, { method: 'threshold', threshold: 0.5, rng: 2 });
+    assert.ok(Math.abs(estimate.value - 1.3) < 0.05);
+    assert.ok(estimate.lower < estimate.value && estimate.value < estimate.upper);
+    assert.strictEqual(estimate.confidence, 0.95);
+  });
+
+  it('should not claim more precision than the grid spacing', () => {
+    const coarse = [0, 1, 2, 3, 4].map(v => point(v, 0.5 + 0.5 * Math.tanh(4 * (v - 1.3)), 0.001));
+    const estimate = estimateCriticalPoint(coarse, { rng: 2 });
+    assert.strictEqual(estimate.resolution, 1);
+    assert.ok(estimate.upper - estimate.lower >= 2);
+    assert.ok(estimate.lower <= estimate.value - 1 && estimate.value + 1 <= estimate.upper);
+  });
+
+  it('should find the steepest rise', () => {
+    assert.ok(Math.abs(estimateCriticalPoint(curve, { rng: 2 }).value - 1.3) < 0.1);
+    assert.strictEqual(estimateCriticalPoint(curve, { method: 'threshold', threshold: 2 }).value, null);
+    assert.throws(() => estimateCriticalPoint(curve, { method: 'fit' }), /Unknown critical point method/);
+  });
+});
+
+describe('detectHysteresis', () => {
+  it('should measure the loop between forward and backward branches', () => {
+    const values = [1, 1.5, 2, 2.5, 3];
+    const forward = values.map(v => point(v, v >= 2.5 ? 0.9 : 0.05));
+    const backward = values.map(v => point(v, v >= 1.5 ? 0.9 : 0.05));
+    const loop = detectHysteresis(forward, backward);
+    assert.strictEqual(loop.detected, true);
+    assert.deepStrictEqual(loop.points, [1.5, 2]);
+    assert.ok(Math.abs(loop.maxGap - 0.85) < 1e-12);
+    assert.ok(Math.abs(loop.area - 0.85) < 1e-12);
+
+    assert.strictEqual(detectHysteresis(forward, forward).detected, false);
+    assert.throws(() => detectHysteresis(forward, backward.slice(1)), /same grid/);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for cluster synchronization, chimera and metastability analysis
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  phaseLockingMatrix,
+  coherenceMatrix,
+  detectCommunities,
+  findSyncClusters,
+  groupOrderParameters,
+  chimeraIndex,
+  metastabilityIndex,
+  SyncAnalyzer
+} from '../physics/sync-analysis.js';
+import { KuramotoModel } from '../physics/kuramoto.js';
+import { NetworkKuramoto, MultiSystemCoupling } from '../physics/sync-models.js';
+import { SparseAdjacency } from '../physics/coupling.js';
+import { SeededRandom } from '../core/rng.js';
+import { AlephMonitor } from '../core/events.js';
+import { createEngine } from '../index.js';
+
+function scatter(model, seed) {
+  const rng = new SeededRandom(seed);
+  model.oscillators.forEach(osc => { osc.phase = rng.next() * 2 * Math.PI; });
+}
+
+/**
+ * Ten oscillators locked together next to ten drifting at distinct rates
+ */
+function chimeraSamples(T) {
+  return Array.from({ length: T }, (_, t) => [
+    ...Array.from({ length: 10 }, (_, i) => 0.5 * t + 0.01 * i),
+    ...Array.from({ length: 10 }, (_, k) => (0.3 + 0.23 * k) * t + k)
+  ]);
+}
+
+describe('phaseLockingMatrix', () => {
+  it('should separate locked from drifting pairs', () => {
+    const samples = Array.from({ length: 200 }, (_, t) => [t * 0.1, t * 0.1 + 1, t * 0.35]);
+    const plv = phaseLockingMatrix(samples);
+    assert.ok(Math.abs(plv[0][1] - 1) < 1e-12);
+    assert.ok(plv[0][2] < 0.1);
+    assert.strictEqual(plv[2][0], plv[0][2]);
+    assert.strictEqual(plv[1][1], 1);
+  });
+
+  it('should give the pairs behind pairwiseCoherence()', () => {
+    const model = new KuramotoModel([1, 2, 3, 4], 0.5);
+    scatter(model, 1);
+    const matrix = coherenceMatrix(model.getPhases());
+    const pairs = [];
+    for (let i = 0; i < 4; i++) {
+      for (let j = i + 1; j < 4; j++) pairs.push(matrix[i][j]);
+    }
+    const mean = pairs.reduce((a, b) => a + b, 0) / pairs.length;
+    assert.ok(Math.abs(mean - model.pairwiseCoherence()) < 1e-12);
+  });
+});
+
+describe('detectCommunities', () => {
+  it('should split two dense blocks joined by a weak bridge', () => {
+    const W = Array.from({ length: 8 }, (_, i) =>
+      Array.from({ length: 8 }, (_, j) => (i === j ? 0 : (i < 4) === (j < 4) ? 1 : 0))
+    );
+    W[3][4] = W[4][3] = 0.1;
+    assert.deepStrictEqual(Array.from(detectCommunities(W)), [0, 0, 0, 0, 1, 1, 1, 1]);
+
+    const empty = Array.from({ length: 3 }, () => new Float64Array(3));
+    assert.deepStrictEqual(Array.from(detectCommunities(empty)), [0, 1, 2]);
+  });
+
+  it('should leave weakly locked oscillators unclustered', () => {
+    const matrix = [
+      [1, 0.95, 0.2],
+      [0.95, 1, 0.3],
+      [0.2, 0.3, 1]
+    ];
+    const { clusters, unclustered, membership } = findSyncClusters(matrix);
+    assert.deepStrictEqual(clusters, [[0, 1]]);
+    assert.deepStrictEqual(unclustered, [2]);
+    assert.deepStrictEqual(Array.from(membership), [0, 0, -1]);
+  });
+});
+
+describe('chimera and metastability indices', () => {
+  it('should follow Shanahan\'s definitions', () => {
+    const series = [[1, 0], [1, 0.5]];
+    // Variance across groups: 0.25 and 0.0625; over time: 0 and 0.0625
+    assert.strictEqual(chimeraIndex(series), (0.25 + 0.0625) / 2);
+    assert.strictEqual(metastabilityIndex(series), 0.0625 / 2);
+    assert.strictEqual(chimeraIndex([]), 0);
+  });
+
+  it('should compute group order parameters', () => {
+    const [locked, opposed] = groupOrderParameters([0, 0, 0, Math.PI], [[0, 1], [2, 3]]);
+    assert.strictEqual(locked.r, 1);
+    assert.ok(opposed.r < 1e-12);
+  });
+});
+
+describe('SyncAnalyzer', () => {
+  it('should find the clusters of two weakly bridged cliques', () => {
+    const edges = [];
+    for (let i = 0; i < 8; i++) {
+      for (let j = i + 1; j < 8; j++) edges.push([i, j], [i + 8, j + 8]);
+    }
+    edges.push([0, 8, 0.05]);
+    const freqs = Array.from({ length: 16 }, (_, i) => (i < 8 ? 1 : 1.5) + 0.01 * (i % 8));
+    const model = new NetworkKuramoto(freqs, SparseAdjacency.fromEdges(16, edges, { symmetric: true }), 2);
+    scatter(model, 2);
+    for (let n = 0; n < 500; n++) model.tick(0.01);
+
+    const analyzer = new SyncAnalyzer({ window: 200 });
+    for (let n = 0; n < 300; n++) {
+      model.tick(0.01);
+      analyzer.record(model);
+    }
+    const result = analyzer.analyze();
+    assert.strictEqual(result.samples, 200);
+    assert.deepStrictEqual(result.clusters, [[0, 1, 2, 3, 4, 5, 6, 7], [8, 9, 10, 11, 12, 13, 14, 15]]);
+    assert.deepStrictEqual(result.unclustered, []);
+    assert.ok(result.localOrder.every(r => r > 0.95));
+    assert.strictEqual(result.chimera, false);
+    assert.ok(result.chimeraIndex < 1e-6);
+  });
+
+  it('should flag a locked system next to an incoherent one in MultiSystemCoupling', () => {
+    const freqs = Array.from({ length: 20 }, (_, i) => 1 + (i - 10) * 0.05);
+    const systems = [new KuramotoModel(freqs, { coupling: 5 }), new KuramotoModel(freqs, { coupling: 0 })];
+    systems.forEach((sys, s) => scatter(sys, 3 + s));
+    const multi = new MultiSystemCoupling(systems, [[0, 0], [0, 0]]);
+    for (let n = 0; n < 500; n++) multi.tick(0.01);
+
+    const analyzer = new SyncAnalyzer({ window: 300 });
+    for (let n = 0; n < 300; n++) {
+      multi.tick(0.01);
+      analyzer.record(multi);
+    }
+    const result = analyzer.analyze();
+    assert.strictEqual(result.populations.length, 2);
+    assert.deepStrictEqual(result.coherent, [0]);
+    assert.deepStrictEqual(result.incoherent, [1]);
+    assert.strictEqual(result.chimera, true);
+    assert.ok(result.chimeraIndex > 0.1);
+  });
+
+  it('should find a chimera in a single population from its clusters', () => {
+    const analyzer = new SyncAnalyzer({ window: 300 });
+    for (const phases of chimeraSamples(300)) analyzer.record(phases);
+    const result = analyzer.analyze();
+    assert.deepStrictEqual(result.clusters, [[0, 1, 2, 3, 4, 5, 6, 7, 8, 9]]);
+    assert.strictEqual(result.unclustered.length, 10);
+    assert.strictEqual(result.chimera, true);
+    assert.ok(result.metastability > 0);
+  });
+
+  it('should reject mismatched samples and short windows', () => {
+    const analyzer = new SyncAnalyzer();
+    analyzer.record([0, 1]);
+    assert.throws(() => analyzer.analyze(), /at least two samples/);
+    assert.throws(() => analyzer.record([0, 1, 2]), /expected 2/);
+    assert.throws(() => analyzer.record({}), /Unsupported source/);
+    assert.throws(() => new SyncAnalyzer({ window: 1 }), /at least 2/);
+  });
+});
+
+describe('AlephMonitor sync events', () => {
+  it('should analyse the engine field on tick', () => {
+    const engine = createEngine('semantic', { seed: 4 });
+    const monitor = new AlephMonitor(engine, { sync: { window: 10, every: 5 } });
+    const analyses = [];
+    const partitions = [];
+    monitor.on('sync:analysis', a => analyses.push(a));
+    monitor.on('sync:clusters', c => partitions.push(c));
+
+    for (let n = 0; n < 20; n++) monitor.tick(0.016);
+    assert.deepStrictEqual(analyses.map(a => a.t), [5, 10, 15, 20]);
+    assert.strictEqual(analyses[3].samples, 10);
+    assert.ok(partitions.length >= 1);
+    assert.deepStrictEqual(partitions[0].previous, []);
+  });
+
+  it('should wait for two samples before the first analysis', () => {
+    const engine = createEngine('semantic', { seed: 4 });
+    const monitor = new AlephMonitor(engine, { sync: { every: 1 } });
+    const analyses = [];
+    monitor.on('sync:analysis', a => analyses.push(a));
+
+    monitor.tick(0.016);
+    assert.strictEqual(analyses.length, 0);
+    monitor.tick(0.016);
+    monitor.tick(0.016);
+    assert.deepStrictEqual(analyses.map(a => [a.t, a.samples]), [[2, 2], [3, 3]]);
+  });
+
+  it('should emit chimera edges', () => {
+    const monitor = new AlephMonitor(null);
+    const events = [];
+    monitor.on('chimera', e => events.push(['chimera', e.chimeraIndex]));
+    monitor.on('chimera:end', e => events.push(['end', e.chimeraIndex]));
+
+    const analysis = (chimera, chimeraIndex) => ({ clusters: [], unclustered: [], chimera, chimeraIndex });
+    monitor.emitSyncAnalysis(analysis(false, 0));
+    monitor.emitSyncAnalysis(analysis(true, 0.2));
+    monitor.emitSyncAnalysis(analysis(true, 0.3));
+    monitor.emitSyncAnalysis(analysis(false, 0.01));
+    assert.deepStrictEqual(events, [['chimera', 0.2], ['end', 0.01]]);
+  });
+});
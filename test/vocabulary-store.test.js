@@ -0,0 +1,174 @@
+/**
+ * Tests for the Sieve's pluggable vocabulary stores
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  Sieve,
+  MemoryStore,
+  JsonFileStore,
+  AppendLogStore,
+  createVocabularyStore,
+  exportVocabulary,
+  importVocabulary,
+  SemanticBackend
+} from '../index.js';
+
+const SEED = {
+  primes: [2, 3, 5, 7],
+  ontology: { 2: 'existence', 3: 'unity' },
+  vocabulary: { lake: [2, 5], ocean: [2, 5], pond: [2, 5], fire: [3, 7] }
+};
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+
+describe('Vocabulary stores', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyaleph-vocab-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A memory store only persists within its own instance
+  const memory = new Map();
+  for (const [name, make] of [
+    ['MemoryStore', () => memory.get(dir) ?? memory.set(dir, new MemoryStore(SEED)).get(dir)],
+    ['JsonFileStore', () => new JsonFileStore(path.join(dir, 'vocab.json'), { seed: SEED })],
+    ['AppendLogStore', () => new AppendLogStore(path.join(dir, 'vocab.log'), { seed: SEED })]
+  ]) {
+    describe(name, () => {
+      it('should start from the seed and persist transactions', async () => {
+        const store = make();
+        assert.deepStrictEqual(await store.load(), SEED);
+
+        const { result } = await store.transact((data, emit) => {
+          emit({ op: 'mint', prime: 11, concept: 'Large' });
+          emit({ op: 'word', word: 'ocean', primes: [2, 5, 11] });
+          return 'done';
+        });
+        assert.strictEqual(result, 'done');
+
+        const data = await make().load();
+        assert.strictEqual(data.ontology[11], 'Large');
+        assert.deepStrictEqual(data.primes, [2, 3, 5, 7, 11]);
+        assert.deepStrictEqual(data.vocabulary.ocean, [2, 5, 11]);
+      });
+
+      it('should import and export the versioned format', async () => {
+        const store = make();
+        const exported = exportVocabulary({ ...SEED, vocabulary: { sea: [13] } });
+        await store.import(exported);
+        assert.deepStrictEqual(await store.export(), exported);
+      });
+    });
+  }
+
+  it('should not leave temp or lock files behind', async () => {
+    const store = new JsonFileStore(path.join(dir, 'vocab.json'), { seed: SEED });
+    await Promise.all([1, 2, 3].map(i => store.transact((data, emit) => {
+      emit({ op: 'word', word: `w${i}`, primes: [i] });
+    })));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['vocab.json']);
+    assert.deepStrictEqual(Object.keys((await store.load()).vocabulary).filter(w => w.startsWith('w')).sort(), ['w1', 'w2', 'w3']);
+  });
+
+  it('should replay the log and compact it into one snapshot', async () => {
+    const file = path.join(dir, 'vocab.log');
+    const store = new AppendLogStore(file, { seed: SEED });
+    for (const prime of [11, 13, 17]) {
+      await store.transact((data, emit) => emit({ op: 'mint', prime, concept: `c${prime}` }));
+    }
+    const before = await store.load();
+    assert.strictEqual(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 3);
+
+    await store.compact();
+    assert.strictEqual(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 1);
+    assert.deepStrictEqual(await store.load(), before);
+  });
+
+  it('should ignore a torn final log line', async () => {
+    const file = path.join(dir, 'vocab.log');
+    const store = new AppendLogStore(file, { seed: SEED });
+    await store.transact((data, emit) => emit({ op: 'mint', prime: 11, concept: 'Large' }));
+    fs.appendFileSync(file, '{"op":"mint","pri');
+    assert.strictEqual((await store.load()).ontology[11], 'Large');
+  });
+
+  it('should time out when another writer holds the lock', async () => {
+    const file = path.join(dir, 'vocab.json');
+    fs.writeFileSync(`${file}.lock`, '1');
+    const store = new JsonFileStore(file, { seed: SEED, lockTimeout: 50 });
+    await assert.rejects(store.load(), /Timed out waiting for vocabulary lock/);
+  });
+
+  it('should reject unknown types and schema versions', () => {
+    assert.throws(() => createVocabularyStore({ type: 'redis' }), /Unknown vocabulary store type: redis/);
+    assert.throws(() => importVocabulary({ type: 'AlephVocabulary', version: 99 }), /Unsupported vocabulary schema version 99/);
+    assert.ok(createVocabularyStore() instanceof MemoryStore);
+  });
+});
+
+describe('Sieve', () => {
+  it('should mint each concept once under concurrent callers', async () => {
+    const sieve = await new Sieve({ store: new MemoryStore(SEED), logger: quiet }).open();
+    const primes = await Promise.all(['Large', 'large', 'Open', 'LARGE'].map(c => sieve.getOrMintPrime(c)));
+
+    assert.strictEqual(primes[0], primes[1]);
+    assert.strictEqual(primes[0], primes[3]);
+    assert.notStrictEqual(primes[0], primes[2]);
+    assert.ok(primes.every(p => !SEED.primes.includes(p)));
+    assert.strictEqual(sieve.stats.primesMinted, 2);
+  });
+
+  it('should not mint the same prime from two processes sharing a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyaleph-vocab-'));
+    try {
+      const file = path.join(dir, 'vocab.json');
+      // Separate store instances share nothing but the file and its lock
+      const a = await new Sieve({ store: new JsonFileStore(file, { seed: SEED }), logger: quiet }).open();
+      const b = await new Sieve({ store: new JsonFileStore(file, { seed: SEED }), logger: quiet }).open();
+      const minted = await Promise.all([
+        a.getOrMintPrime('Enclosed'), b.getOrMintPrime('Open'),
+        a.getOrMintPrime('Large'), b.getOrMintPrime('Small')
+      ]);
+      assert.strictEqual(new Set(minted).size, 4);
+      assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf-8')).ontology).length, 6);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should resolve a collision into its store without touching data.json', async () => {
+    const dataJson = fs.readFileSync(new URL('../data.json', import.meta.url), 'utf-8');
+    const store = new MemoryStore(SEED);
+    const llm = { chat: async () => ({ content: { concept: 'Salty' } }) };
+    const sieve = await new Sieve({ store, llm, logger: quiet, pauseMs: 0 }).open();
+
+    await sieve.resolveCluster('2,5', ['ocean', 'lake']);
+    const salty = sieve.conceptToPrime.get('salty');
+    assert.ok(salty);
+    assert.deepStrictEqual((await store.load()).vocabulary.ocean, [2, 5, salty]);
+    assert.strictEqual(fs.readFileSync(new URL('../data.json', import.meta.url), 'utf-8'), dataJson);
+  });
+
+  it('should export a vocabulary SemanticBackend can load', async () => {
+    const sieve = await new Sieve({ store: new MemoryStore(SEED), logger: quiet }).open();
+    const prime = await sieve.getOrMintPrime('Large');
+    await sieve.addConceptToWord('ocean', prime);
+
+    const loaded = new SemanticBackend({ dimension: 16 }).loadVocabulary(sieve.export());
+    assert.deepStrictEqual(loaded.getWordPrimes('ocean'), [2, 5, prime]);
+    assert.strictEqual(loaded.getOntologyMeaning(prime), 'Large');
+
+    const spread = new SemanticBackend({ dimension: 16, ...importVocabulary(sieve.export()) });
+    assert.deepStrictEqual(spread.getWordPrimes('ocean'), [2, 5, prime]);
+  });
+});
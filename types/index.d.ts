@@ -116,6 +116,196 @@ declare module '@aleph-ai/tinyaleph' {
 
   export const DEFAULT_PRIMES: number[];
 
+  // ============================================
+  // Semantic Sieve & Vocabulary Stores
+  // ============================================
+
+  export interface VocabularyData {
+    primes: number[];
+    ontology: Record<string, string>;
+    vocabulary: Record<string, number[]>;
+    [key: string]: any;
+  }
+
+  export interface ExportedVocabulary extends VocabularyData {
+    version: number;
+    type: 'AlephVocabulary';
+  }
+
+  export type VocabularyRecord =
+    | { op: 'mint'; prime: number; concept: string }
+    | { op: 'word'; word: string; primes: number[] }
+    | { op: 'snapshot'; data: VocabularyData };
+
+  export abstract class VocabularyStore {
+    load(): Promise<VocabularyData>;
+    save(data: VocabularyData): Promise<VocabularyData>;
+    transact<T>(fn: (data: VocabularyData, emit: (record: VocabularyRecord) => void) => T | Promise<T>):
+      Promise<{ data: VocabularyData; records: VocabularyRecord[]; result: T }>;
+    export(): Promise<ExportedVocabulary>;
+    import(json: ExportedVocabulary | VocabularyData): Promise<VocabularyData>;
+  }
+
+  export class MemoryStore extends VocabularyStore {
+    constructor(data?: Partial<VocabularyData>);
+  }
+
+  export interface FileStoreOptions {
+    /** Initial data, or a JSON file to read it from, while the store file does not exist */
+    seed?: Partial<VocabularyData> | string;
+    lock?: boolean;
+    lockTimeout?: number;
+    staleLockMs?: number;
+  }
+
+  export class JsonFileStore extends VocabularyStore {
+    constructor(path: string, options?: FileStoreOptions);
+    path: string;
+  }
+
+  export class AppendLogStore extends VocabularyStore {
+    constructor(path: string, options?: FileStoreOptions);
+    path: string;
+    compact(): Promise<VocabularyData>;
+  }
+
+  export function createVocabularyStore(
+    spec?: VocabularyStore | 'memory' | ({ type: 'memory' | 'json' | 'log'; path?: string; data?: Partial<VocabularyData> } & FileStoreOptions)
+  ): VocabularyStore;
+  export function exportVocabulary(data: VocabularyData): ExportedVocabulary;
+  export function importVocabulary(json: ExportedVocabulary | Partial<VocabularyData>): VocabularyData;
+
+  export interface SieveOptions {
+    store?: Parameters<typeof createVocabularyStore>[0];
+    llm?: { chat(messages: Array<{ role: string; content: string }>, options?: object): Promise<{ content: any }> };
+    logger?: any;
+    pauseMs?: number;
+  }
+
+  export class Sieve {
+    constructor(options?: SieveOptions);
+    store: VocabularyStore;
+    data: VocabularyData;
+    vocabulary: Map<string, number[]>;
+    stats: { collisionsResolved: number; conceptsCreated: number; primesMinted: number };
+    open(): Promise<this>;
+    run(maxIterations?: number): Promise<Sieve['stats']>;
+    analyzeCollisions(): Array<[string, string[]]>;
+    resolveCluster(signature: string, words: string[]): Promise<void>;
+    getOrMintPrime(concept: string): Promise<number>;
+    addConceptToWord(word: string, prime: number): Promise<boolean>;
+    export(): ExportedVocabulary;
+    import(json: ExportedVocabulary | Partial<VocabularyData>): Promise<this>;
+  }
+
+  /** Allocates primes no existing symbol uses */
+  export class PrimeRegistry {
+    constructor(existingPrimes?: number[]);
+    used: Set<number>;
+    max: number;
+    next(): number;
+    reserve(primes: number[]): void;
+    has(prime: number): boolean;
+  }
+
+  export const HNSW_SCHEMA_VERSION: number;
+
+  export interface HNSWIndexOptions {
+    metric?: 'cosine' | 'resonance';
+    M?: number;
+    efConstruction?: number;
+    efSearch?: number;
+    weights?: { alpha?: number; beta?: number; gamma?: number };
+    rng?: any;
+    seed?: number | string;
+  }
+
+  export interface HNSWSearchResult {
+    id: string | number;
+    score: number;
+    metadata: any;
+  }
+
+  /** Approximate nearest-neighbour index over PrimeState / SparsePrimeState */
+  export class HNSWIndex {
+    constructor(options?: HNSWIndexOptions);
+    metric: 'cosine' | 'resonance';
+    readonly size: number;
+    has(id: string | number): boolean;
+    getMetadata(id: string | number): any;
+    similarity(a: object, b: object): number;
+    insert(id: string | number, state: object, metadata?: any): this;
+    delete(id: string | number): boolean;
+    search(query: object, k?: number, options?: { ef?: number; exact?: boolean }): HNSWSearchResult[];
+    toJSON(): object;
+    save(path: string): Promise<void>;
+    static fromJSON(json: object, options?: HNSWIndexOptions): HNSWIndex;
+    static load(path: string, options?: HNSWIndexOptions): Promise<HNSWIndex>;
+  }
+
+  // ============================================
+  // Hash Quality
+  // ============================================
+
+  export type HashQualityTestName = 'avalanche' | 'bitIndependence' | 'chiSquare' | 'collisions' | 'runs' | 'collisionFindings';
+  export const HASH_QUALITY_TESTS: HashQualityTestName[];
+
+  export interface HashQualityOptions {
+    name?: string;
+    /** 'bytes' passes Uint8Array inputs, 'uint32' passes integers */
+    input?: 'bytes' | 'uint32';
+    inputBytes?: number;
+    inputBits?: number;
+    outputBits?: number;
+    samples?: number;
+    count?: number;
+    collisionBits?: number;
+    bicOutputBits?: number;
+    /** Familywise significance per test (default 0.001) */
+    alpha?: number;
+    rng?: any;
+    seed?: number;
+  }
+
+  export type HashFinding =
+    | { type: 'preimage'; bits: number; trials: number; found: boolean; preimage?: number }
+    | { type: 'birthday'; bits: number; samples: number; collisions: number };
+
+  export interface HashTestResult {
+    passed: boolean;
+    z?: number;
+    threshold: number;
+    [key: string]: any;
+  }
+
+  export interface HashQualityReport {
+    name: string;
+    passed: boolean;
+    outputBits: number;
+    alpha: number;
+    tests: Partial<Record<HashQualityTestName, HashTestResult>>;
+  }
+
+  export class HashQualityTester {
+    constructor(hashFn: (input: any) => Uint8Array | number | bigint | string, options?: HashQualityOptions);
+    findings: HashFinding[];
+    digest(input: any): Uint8Array;
+    avalanche(): HashTestResult;
+    bitIndependence(): HashTestResult;
+    chiSquare(): HashTestResult;
+    collisions(): HashTestResult;
+    runs(): HashTestResult;
+    collisionFindings(): HashTestResult;
+    addFindings(findings: HashFinding[]): this;
+    run(tests?: HashQualityTestName[]): HashQualityReport;
+  }
+
+  export function analyzeHash(
+    hashFn: (input: any) => Uint8Array | number | bigint | string,
+    options?: HashQualityOptions & { tests?: HashQualityTestName[]; findings?: HashFinding[] }
+  ): HashQualityReport;
+  export function formatHashReport(report: HashQualityReport): string;
+
   // ============================================
   // Fano Plane
   // ============================================
@@ -163,6 +353,27 @@ declare module '@aleph-ai/tinyaleph' {
     getPhases(): number[];
     getAmplitudes(): number[];
     orderParameter(): number;
+    
+    toJSON(): OscillatorBankSnapshot;
+    loadState(json: OscillatorBankSnapshot): this;
+    static validateJSON(json: OscillatorBankSnapshot): void;
+    static fromJSON(json: OscillatorBankSnapshot, options?: { rng?: RandomSource | number | string }): OscillatorBank;
+  }
+
+  export interface OscillatorBankSnapshot {
+    version: number;
+    type: string;
+    primeList: number[];
+    oscillators: Array<{
+      freq: number;
+      phase: number;
+      amplitude: number;
+      baseAmplitude: number;
+      phaseHistory: number[];
+    }>;
+    rngState: RandomState | null;
+    coupling?: number;
+    integrator?: { name: IntegratorName } & IntegratorOptions;
   }
 
   // ============================================
@@ -173,10 +384,22 @@ declare module '@aleph-ai/tinyaleph' {
    * KuramotoModel extends OscillatorBank with Kuramoto synchronization dynamics
    */
   export class KuramotoModel extends OscillatorBank {
-    constructor(frequencies: number[], couplingStrength?: number);
+    constructor(
+      frequencies: number[],
+      couplingOrOptions?: number | { coupling?: number; rng?: RandomSource | number | string; integrator?: IntegratorSpec }
+    );
     K: number;
+    integrator: Integrator;
     
     tick(dt: number): void;
+    /** In-place Euler step, oscillators in order (the default 'euler' tick) */
+    sequentialStep(dt: number, extra?: ArrayLike<number>): void;
+    /** Coupling term of every oscillator for a phase vector (mean field, O(N)) */
+    couplingTerms(phases: ArrayLike<number>): Float64Array;
+    /** dθ/dt for a phase vector */
+    derivatives(phases: ArrayLike<number>): Float64Array;
+    /** Jacobian of derivatives() applied to a tangent vector, J(θ)·v */
+    jacobianProduct(phases: ArrayLike<number>, vector: ArrayLike<number>): Float64Array;
     orderParameter(): number;
     meanPhase(): number;
     kuramotoCoupling(osc: Oscillator): number;
@@ -184,6 +407,297 @@ declare module '@aleph-ai/tinyaleph' {
     getWeightedAmplitudes(): number[];
     synchronization(): number;
     pairwiseCoherence(): number;
+    
+    /** Builds the class it is called on; subclasses restore their own state in loadState() */
+    static fromJSON<T extends typeof KuramotoModel>(
+      this: T,
+      json: OscillatorBankSnapshot,
+      options?: { rng?: RandomSource | number | string }
+    ): InstanceType<T>;
+  }
+
+  // ============================================
+  // Physics: Integrators
+  // ============================================
+
+  export type IntegratorName = 'euler' | 'rk4' | 'rk45' | 'euler-maruyama' | 'milstein' | 'heun';
+
+  export interface IntegratorOptions {
+    rtol?: number;
+    atol?: number;
+    maxSteps?: number;
+    minStep?: number;
+  }
+
+  export type IntegratorSpec = IntegratorName | ({ name: IntegratorName } & IntegratorOptions) | Integrator;
+
+  export interface IntegrableSystem {
+    drift(t: number, y: Float64Array): Float64Array;
+    /** Diagonal noise coefficients (stochastic schemes) */
+    diffusion?(t: number, y: Float64Array): Float64Array;
+    /** ∂bᵢ/∂yᵢ, used by Milstein */
+    diffusionDerivative?(t: number, y: Float64Array): Float64Array;
+    rng?: RandomSource;
+  }
+
+  export const INTEGRATORS: IntegratorName[];
+
+  export class Integrator {
+    constructor(name?: IntegratorName, options?: IntegratorOptions);
+    name: IntegratorName;
+    order: number;
+    stochastic: boolean;
+    adaptive: boolean;
+    /** Last step: rk45 sub-step counts and error, or the Wiener increments */
+    stats: { steps?: number; rejected?: number; error?: number; dW?: Float64Array };
+    step(system: IntegrableSystem, y: ArrayLike<number>, dt: number, t?: number): Float64Array;
+    reset(): this;
+    clone(): Integrator;
+    toJSON(): { name: IntegratorName } & Required<IntegratorOptions>;
+  }
+
+  export function createIntegrator(spec?: IntegratorSpec): Integrator;
+
+  // ============================================
+  // Physics: Coupling Kernels
+  // ============================================
+
+  /** Weighted graph in compressed sparse row form */
+  export class SparseAdjacency {
+    constructor(size: number, rowPtr: Int32Array, colIdx: Int32Array, values: Float64Array);
+    size: number;
+    rowPtr: Int32Array;
+    colIdx: Int32Array;
+    values: Float64Array;
+    readonly nnz: number;
+
+    static fromDense(matrix: number[][]): SparseAdjacency;
+    static fromEdges(
+      size: number,
+      edges: Iterable<[number, number] | [number, number, number]>,
+      options?: { symmetric?: boolean }
+    ): SparseAdjacency;
+    static complete(size: number, weight?: number): SparseAdjacency;
+
+    indexOf(i: number, j: number): number;
+    get(i: number, j: number): number;
+    /** Changes a stored edge; throws for edges outside the sparsity pattern */
+    set(i: number, j: number, weight: number): this;
+    row(i: number): { indices: Int32Array; weights: Float64Array };
+    rowSums(): Float64Array;
+    edges(): IterableIterator<[number, number, number]>;
+    clone(): SparseAdjacency;
+    toDense(): number[][];
+    toJSON(): { size: number; rowPtr: number[]; colIdx: number[]; values: number[] };
+    static fromJSON(json: { size: number; rowPtr: number[]; colIdx: number[]; values: number[] }): SparseAdjacency;
+  }
+
+  export function meanFieldCoupling(
+    phases: ArrayLike<number>,
+    K: number,
+    options?: { alpha?: number; out?: Float64Array }
+  ): Float64Array;
+
+  /** In-place Euler sweep; returns each oscillator's increment beyond 2πf·dt */
+  export function meanFieldSweep(
+    phases: Float64Array,
+    frequencies: ArrayLike<number>,
+    K: number,
+    dt: number,
+    options?: { alpha?: number; extra?: ArrayLike<number>; out?: Float64Array }
+  ): Float64Array;
+
+  export function sparseCoupling(
+    adjacency: SparseAdjacency,
+    phases: ArrayLike<number>,
+    gain: number | ArrayLike<number>,
+    options?: { out?: Float64Array }
+  ): Float64Array;
+
+  export function meanFieldJacobian(
+    phases: ArrayLike<number>,
+    K: number,
+    vector: ArrayLike<number>,
+    options?: { alpha?: number; out?: Float64Array }
+  ): Float64Array;
+
+  export function sparseJacobian(
+    adjacency: SparseAdjacency,
+    phases: ArrayLike<number>,
+    gain: number | ArrayLike<number>,
+    vector: ArrayLike<number>,
+    options?: { out?: Float64Array }
+  ): Float64Array;
+
+  // ============================================
+  // Physics: Parameter Sweeps
+  // ============================================
+
+  export interface SweepParameter {
+    name: string;
+    values: number[] | { from: number; to: number; steps: number };
+    /** Custom setter (default: setModelParameter) */
+    set?(model: any, value: number): void;
+  }
+
+  export interface SweepStatistic {
+    mean: number;
+    stdError: number;
+  }
+
+  export interface SweepPoint {
+    value: number;
+    orderParameter: SweepStatistic;
+    entropy: SweepStatistic;
+    /** Largest Lyapunov exponent over the model Jacobian; null for KuramotoCoupledLadder */
+    lyapunov: SweepStatistic | null;
+  }
+
+  export interface CriticalPointOptions {
+    method?: 'slope' | 'threshold';
+    threshold?: number;
+    confidence?: number;
+    resamples?: number;
+    rng?: RandomSource | number | string;
+  }
+
+  export interface CriticalPoint {
+    value: number | null;
+    lower: number | null;
+    upper: number | null;
+    /** Grid spacing around the estimate; [lower, upper] is widened by it on each side */
+    resolution: number | null;
+    confidence: number;
+    method: 'slope' | 'threshold';
+  }
+
+  export interface HysteresisOptions {
+    z?: number;
+    minGap?: number;
+  }
+
+  export interface HysteresisResult {
+    detected: boolean;
+    /** ∫|r_backward − r_forward| over the grid */
+    area: number;
+    maxGap: number;
+    at: number | null;
+    /** Grid values with a significant gap */
+    points: number[];
+    /** Forward minus backward critical point (parameterSweep only) */
+    width?: number | null;
+  }
+
+  export interface SweepAdapter {
+    advance(model: any, dt: number): void;
+    phases(model: any): ArrayLike<number>;
+    weights(model: any): ArrayLike<number> | null;
+    setPhases(model: any, phases: number[]): void;
+  }
+
+  export interface ParameterSweepOptions {
+    parameters: SweepParameter | [SweepParameter] | [SweepParameter, SweepParameter];
+    dt?: number;
+    warmup?: number;
+    window?: number;
+    batches?: number;
+    trials?: number;
+    direction?: 'forward' | 'backward' | 'both';
+    initialPhases?: 'random' | 'keep';
+    entropyBins?: number;
+    critical?: CriticalPointOptions;
+    hysteresis?: HysteresisOptions;
+    adapter?: SweepAdapter;
+    rng?: RandomSource | number | string;
+  }
+
+  export interface SweepResult {
+    parameter: string;
+    values: number[];
+    forward: SweepPoint[] | null;
+    backward: SweepPoint[] | null;
+    criticalPoint: CriticalPoint;
+    criticalPointBackward: CriticalPoint | null;
+    hysteresis: HysteresisResult | null;
+  }
+
+  export interface SweepResult2D {
+    parameters: [string, string];
+    values: [number[], number[]];
+    rows: Array<SweepResult & { value: number }>;
+    criticalLine: Array<CriticalPoint & Record<string, number | null | string>>;
+  }
+
+  export function parameterSweep(model: any, options: ParameterSweepOptions): SweepResult | SweepResult2D;
+  export function estimateCriticalPoint(points: SweepPoint[], options?: CriticalPointOptions): CriticalPoint;
+  export function detectHysteresis(
+    forward: SweepPoint[],
+    backward: SweepPoint[],
+    options?: HysteresisOptions
+  ): HysteresisResult;
+  export function setModelParameter(model: any, name: string, value: number): void;
+
+  // ============================================
+  // Physics: Sync Structure Analysis
+  // ============================================
+
+  export function phaseLockingMatrix(samples: ArrayLike<number>[]): Float64Array[];
+  export function coherenceMatrix(phases: ArrayLike<number>): Float64Array[];
+  export function detectCommunities(weights: ArrayLike<number>[], options?: { resolution?: number }): Int32Array;
+
+  export interface SyncClusters {
+    /** Largest first */
+    clusters: number[][];
+    unclustered: number[];
+    /** Cluster of each oscillator, -1 when unclustered */
+    membership: Int32Array;
+  }
+
+  export function findSyncClusters(
+    matrix: ArrayLike<number>[],
+    options?: { lockThreshold?: number; minSize?: number; resolution?: number }
+  ): SyncClusters;
+  export function groupOrderParameters(phases: ArrayLike<number>, groups: number[][]): Array<{ r: number; psi: number }>;
+  export function neighborhoodOrderParameters(phases: ArrayLike<number>, adjacency: SparseAdjacency): Float64Array;
+  /** Variance across groups of r, averaged over time; series[t][group] */
+  export function chimeraIndex(series: number[][]): number;
+  /** Variance over time of r, averaged over groups; series[t][group] */
+  export function metastabilityIndex(series: number[][]): number;
+
+  export interface SyncAnalyzerOptions {
+    window?: number;
+    groups?: number[][];
+    lockThreshold?: number;
+    minClusterSize?: number;
+    resolution?: number;
+    coherentThreshold?: number;
+    incoherentThreshold?: number;
+  }
+
+  export interface SyncAnalysis extends SyncClusters {
+    samples: number;
+    locking: Float64Array[];
+    populations: Array<{ members: number[]; r: number; psi: number }>;
+    /** Window-averaged neighbourhood order parameter (network models only) */
+    localOrder: Float64Array | null;
+    orderParameter: number;
+    chimeraIndex: number;
+    metastability: number;
+    globalMetastability: number;
+    chimera: boolean;
+    /** Indices into populations */
+    coherent: number[];
+    incoherent: number[];
+  }
+
+  export class SyncAnalyzer {
+    constructor(options?: SyncAnalyzerOptions);
+    window: number;
+    samples: Float64Array[];
+    /** Kuramoto-family model, MultiSystemCoupling, ALKKuramotoModel or a phase vector */
+    record(source: any): this;
+    analyze(): SyncAnalysis;
+    reset(): this;
   }
 
   // ============================================
@@ -209,6 +723,62 @@ declare module '@aleph-ai/tinyaleph' {
   export function delayEmbedding(timeSeries: number[], dim: number, delay: number): number[][];
   export function stabilityMargin(lambda: number): number;
 
+  export type StabilityClass = 'stable' | 'unstable' | 'chaotic' | 'collapsed';
+
+  export interface LyapunovTrackerOptions {
+    /** Exponents to track (default: all) */
+    count?: number;
+    /** Project out neutral directions such as a common phase shift (default true) */
+    removeNeutral?: boolean;
+    orthonormalizeEvery?: number;
+    /** Re-orthonormalisations averaged over (default Infinity) */
+    window?: number;
+    rng?: RandomSource | number | string;
+  }
+
+  /** Running exponents by tangent-space QR; call update(dt) before each model step */
+  export class LyapunovTracker {
+    constructor(model: any, options?: LyapunovTrackerOptions);
+    count: number;
+    /** Neutral directions removed */
+    neutral: number;
+    steps: number;
+    time: number;
+    readonly exponents: number[];
+    readonly maximal: number;
+    update(dt: number): this;
+    reset(): void;
+    restart(): void;
+  }
+
+  export interface LyapunovSpectrumOptions extends LyapunovTrackerOptions {
+    dt?: number;
+    steps?: number;
+    transient?: number;
+  }
+
+  export interface LyapunovSpectrum {
+    /** Descending */
+    exponents: number[];
+    maximal: number;
+    sum: number;
+    /** Includes one exact zero per removed neutral direction */
+    kaplanYorke: number;
+    neutral: number;
+    time: number;
+  }
+
+  /** Benettin QR spectrum of a Kuramoto-family model, ALKKuramotoModel or PrimeonZLadderU (advances it) */
+  export function lyapunovSpectrum(model: any, options?: LyapunovSpectrumOptions): LyapunovSpectrum;
+  export function kaplanYorkeDimension(exponents: number[]): number;
+  export function classifySpectrum(spectrum: number[] | { exponents: number[] }): StabilityClass;
+  export function numericalJacobianProduct(
+    f: (x: Float64Array) => ArrayLike<number>,
+    x: ArrayLike<number>,
+    v: ArrayLike<number>,
+    epsilon?: number
+  ): Float64Array;
+
   // ============================================
   // Physics: Collapse
   // ============================================
@@ -245,6 +815,8 @@ declare module '@aleph-ai/tinyaleph' {
     known: boolean;
     isStop: boolean;
     position: number;
+    /** Subword units, for unknown words when a tokenizer is set */
+    subwords?: string[];
   }
 
   export interface Transform {
@@ -332,14 +904,108 @@ declare module '@aleph-ai/tinyaleph' {
     combinedScore: number;
   }
 
+  export interface SubwordTokenizerJSON {
+    version: number;
+    type: 'SubwordTokenizer';
+    endOfWord: string;
+    merges: Array<[string, string]>;
+    units: Record<string, number>;
+  }
+
+  export interface SubwordTokenizerConfig {
+    merges?: Array<[string, string]>;
+    units?: Record<string, number>;
+    endOfWord?: string;
+    /** Primes new units must not use */
+    reservedPrimes?: number[];
+  }
+
+  export interface SubwordTrainOptions {
+    /** Maximum merges to learn (default 1000) */
+    numMerges?: number;
+    /** Stop when the best pair occurs fewer times (default 2) */
+    minFrequency?: number;
+  }
+
+  /** Byte-pair encoding tokenizer with one registry-minted prime per unit */
+  export class SubwordTokenizer {
+    constructor(config?: SubwordTokenizerConfig);
+    static train(corpus: string | string[], options?: SubwordTokenizerConfig & SubwordTrainOptions): SubwordTokenizer;
+    static words(text: string): string[];
+    static fromJSON(json: SubwordTokenizerJSON, options?: SubwordTokenizerConfig): SubwordTokenizer;
+    static load(path: string, options?: SubwordTokenizerConfig): Promise<SubwordTokenizer>;
+
+    endOfWord: string;
+    merges: Array<[string, string]>;
+    units: Map<string, number>;
+    registry: PrimeRegistry;
+
+    train(corpus: string | string[], options?: SubwordTrainOptions): this;
+    split(word: string): string[];
+    unitPrime(unit: string): number;
+    wordToPrimes(word: string): number[];
+    encode(text: string): number[];
+    decode(primes: number[]): string;
+    decodeWords(primes: number[]): Array<{ word: string; primes: number[] }>;
+    getVocabularySize(): number;
+    toJSON(): SubwordTokenizerJSON;
+    save(path: string): Promise<void>;
+  }
+
+  export interface DecodeNBestOptions {
+    /** Partial coverings kept per step (default 5) */
+    beamWidth?: number;
+    /** Candidates to return (default 3) */
+    topK?: number;
+    /** Maximum words per candidate (default 5) */
+    maxWords?: number;
+    /** Score cost per word (default 0.5) */
+    lengthPenalty?: number;
+    /** Enforce word order (default: true for token input) */
+    ordered?: boolean;
+    /** Weight of the ordered-state coherence bonus (default 1) */
+    orderWeight?: number;
+  }
+
+  export interface DecodeStep {
+    word: string;
+    primes: number[];
+    /** Input primes this word newly covered */
+    covers: number[];
+    /** Word primes not in the input */
+    noise: number[];
+    exactMatch: boolean;
+    score: number;
+    reason: string;
+  }
+
+  export interface DecodeCandidate {
+    text: string;
+    words: string[];
+    score: number;
+    coverage: number;
+    noise: number;
+    entropy: number;
+    orderCoherence: number | null;
+    uncovered: number[];
+    steps: DecodeStep[];
+  }
+
   export class SemanticBackend extends Backend {
-    constructor(config: BackendConfig);
+    constructor(config: BackendConfig & { tokenizer?: SubwordTokenizer | SubwordTokenizerJSON });
+    
+    tokenizer: SubwordTokenizer | null;
+    setTokenizer(tokenizer: SubwordTokenizer | SubwordTokenizerJSON | null): SubwordTokenizer | null;
+    trainTokenizer(corpus: string | string[], options?: SubwordTrainOptions): SubwordTokenizer;
+    usedPrimes(): number[];
+    loadVocabulary(json: ExportedVocabulary | Partial<VocabularyData>): this;
     
     tokenize(text: string, filterStopWords?: boolean): Token[];
     encode(text: string): number[];
     encodeAll(text: string): number[];
     encodeOrdered(text: string): Token[];
-    decode(primes: number[]): string;
+    decode(primes: number[], options?: { maxWords?: number; beamWidth?: number }): string;
+    decodeNBest(input: number[] | Token[] | number[][], options?: DecodeNBestOptions): DecodeCandidate[];
     
     primesToState(primes: number[]): HypercomplexState;
     orderedPrimesToState(tokens: Token[]): HypercomplexState;
@@ -424,8 +1090,99 @@ declare module '@aleph-ai/tinyaleph' {
     deriveKey(password: string, salt: string, length?: number, iterations?: number): HypercomplexState;
     
     process(input: string): ProcessResult;
+
+    /** AES-256-GCM / ChaCha20-Poly1305; options default to config.aead */
+    encrypt(data: Buffer | string, key: AeadSecret, options?: AeadOptions): Promise<AeadEnvelope>;
+    decrypt(envelope: AeadEnvelope | string, key: AeadSecret, options?: { aad?: Buffer | Uint8Array | string }): Promise<Buffer>;
+  }
+
+  export class PrimeStateKeyGenerator {
+    constructor(options?: { primes?: number[]; keyLength?: number; rng?: any });
+    primes: number[];
+    keyLength: number;
+    generateKey(n: number): { phases: Array<{ prime: number; phase: number; amplitude: number }>; keyBuffer: Buffer; keyHex: string; entropy: number; [key: string]: any };
+    generateKeyPair(seed?: number): { publicKey: object; privateKey: object };
   }
 
+  export class EntropySensitiveEncryptor {
+    constructor(options?: { primes?: number[]; keyLength?: number; rng?: any; aead?: AeadOptions });
+    encrypt(data: Buffer | string, key: number | Buffer): Buffer;
+    decrypt(encrypted: Buffer, key: number | Buffer): Buffer;
+    encryptAead(data: Buffer | Uint8Array | string, key: AeadSecret, options?: AeadOptions): Promise<AeadEnvelope>;
+    decryptAead(envelope: AeadEnvelope | string, key: AeadSecret, options?: { aad?: Buffer | Uint8Array | string }): Promise<Buffer | Uint8Array>;
+  }
+
+  export interface HolographicCell {
+    intensity: number;
+    phase: number;
+  }
+
+  export interface HolographicShare {
+    index: number;
+    /** Shamir x-coordinate (index + 1) */
+    x: number;
+    threshold: number;
+    keyLength: number;
+    pattern: HolographicCell[][];
+    /** Pattern carrying the blinding polynomial's value r(x) */
+    blinding: HolographicCell[][];
+    gridSize: number;
+    /** Pedersen commitments g^{a_j} h^{b_j} (hex) */
+    commitments: string[];
+  }
+
+  export class HolographicKeyDistributor {
+    constructor(options?: { gridSize?: number; primes?: number[]; keyLength?: number; rng?: any });
+    gridSize: number;
+    encodeKey(keyValue: number): { pattern: HolographicCell[][]; keyData: any; gridSize: number };
+    decodeKey(encoding: { pattern: HolographicCell[][]; gridSize: number }): number[];
+    createShares(key: number | Buffer | Uint8Array, numShares?: number, threshold?: number): {
+      shares: HolographicShare[];
+      threshold: number;
+      commitments: string[];
+    };
+    verifyShare(share: HolographicShare, commitments?: string[]): boolean;
+    combineShares(shares: HolographicShare[], options?: { commitments?: string[]; format?: 'array' }): number[];
+    combineShares(shares: HolographicShare[], options: { commitments?: string[]; format: 'buffer' }): Buffer;
+    encodeSharePattern(bytes: Uint8Array): HolographicCell[][];
+    decodeSharePattern(pattern: HolographicCell[][], length: number): Uint8Array;
+  }
+
+  export type AeadSecret = Buffer | Uint8Array | string | number;
+
+  export interface AeadOptions {
+    algorithm?: 'aes-256-gcm' | 'chacha20-poly1305';
+    /** Default: pbkdf2-sha256 for string passphrases, hkdf-sha256 otherwise */
+    kdf?: 'hkdf-sha256' | 'pbkdf2-sha256';
+    iterations?: number;
+    info?: string;
+    salt?: Buffer | Uint8Array;
+    /** Prime-state KDF front-end size (first N primes, default 64) */
+    primes?: number;
+    /** Authenticated but not stored */
+    aad?: Buffer | Uint8Array | string;
+  }
+
+  export interface AeadEnvelope {
+    type: 'aleph-aead';
+    version: 1;
+    algorithm: 'aes-256-gcm' | 'chacha20-poly1305';
+    kdf: {
+      name: 'hkdf-sha256' | 'pbkdf2-sha256';
+      salt: string;
+      info?: string;
+      iterations?: number;
+      primes: number;
+    };
+    /** base64 */
+    nonce: string;
+    ciphertext: string;
+    tag: string;
+  }
+
+  export function sealAead(plaintext: Buffer | Uint8Array | string, secret: AeadSecret, options?: AeadOptions): Promise<AeadEnvelope>;
+  export function openAead(envelope: AeadEnvelope | string, secret: AeadSecret, options?: { aad?: Buffer | Uint8Array | string }): Promise<Buffer>;
+
   // ============================================
   // Scientific Backend
   // ============================================
@@ -448,6 +1205,460 @@ declare module '@aleph-ai/tinyaleph' {
     measure(state: HypercomplexState, basis: HypercomplexState[]): { outcome: number; probability: number; finalState: HypercomplexState };
     
     process(input: any): ProcessResult;
+
+    rng: any;
+    createStateVector(numQubits: number): StateVector;
+    createCircuit(numQubits: number, numClbits?: number): QuantumCircuit;
+    runCircuit(circuit: QuantumCircuit, options?: CircuitRunOptions): CircuitRunResult;
+    fromQASM(source: string): QuantumCircuit;
+    toQASM(circuit: QuantumCircuit, options?: QASMOptions): string;
+    applyCircuit(circuit: QuantumCircuit, inputPrimes?: number[]): {
+      primes: number[];
+      rotations: Array<{ op: CircuitOperation; state: HypercomplexState }>;
+      skipped: CircuitOperation[];
+    };
+    applyGate(state: StateVector, gateName: string, qubits?: number[], params?: number[]): StateVector;
+    applyGate(primes: number[], gateName: string): number[];
+  }
+
+  /** n-qubit complex state vector; qubit k is bit k of the basis index */
+  export class StateVector {
+    constructor(numQubits: number, options?: { rng?: any });
+    numQubits: number;
+    size: number;
+    re: Float64Array;
+    im: Float64Array;
+    static fromAmplitudes(amplitudes: Array<number | [number, number] | { re: number; im: number }>, options?: { rng?: any }): StateVector;
+    static fromPrimeState(state: object, numQubits?: number, options?: { rng?: any }): StateVector;
+    toPrimeState(epsilon?: number): any;
+    toPrimes(epsilon?: number): number[];
+    clone(): StateVector;
+    amplitude(index: number): { re: number; im: number };
+    probabilities(): Float64Array;
+    probability(qubit: number): number;
+    norm(): number;
+    normalize(): this;
+    bitString(index: number): string;
+    apply(name: string, qubits: number[], params?: number[]): this;
+    applyMatrix(matrix: Array<Array<number | { re: number; im: number }>>, target: number, controls?: number[]): this;
+    measure(qubit: number): 0 | 1;
+    measureAll(): number;
+    reset(qubit: number): this;
+    sample(shots?: number): Record<string, number>;
+    [gate: string]: any;
+  }
+
+  export interface CircuitOperation {
+    gate: string;
+    qubits: number[];
+    params?: number[];
+    clbits?: number[];
+    /** Run only when these classical bits (little-endian) equal value */
+    condition?: { clbits: number[]; value: number };
+  }
+
+  export interface CircuitRunOptions {
+    rng?: any;
+    initialState?: StateVector;
+  }
+
+  export interface CircuitRunResult {
+    state: StateVector;
+    clbits: number[];
+  }
+
+  export class QuantumCircuit {
+    constructor(numQubits: number, numClbits?: number);
+    numQubits: number;
+    numClbits: number;
+    ops: CircuitOperation[];
+    /** Register layout, set by parseQASM() and used by toQASM() */
+    qregs?: Array<{ name: string; size: number }>;
+    cregs?: Array<{ name: string; size: number }>;
+    append(gate: string, qubits: number[], params?: number[]): this;
+    measure(qubit: number, clbit?: number): this;
+    measureAll(): this;
+    reset(qubit: number): this;
+    barrier(...qubits: number[]): this;
+    cIf(clbits: number[], value: number): this;
+    run(options?: CircuitRunOptions): CircuitRunResult;
+    sample(shots?: number, options?: CircuitRunOptions): Record<string, number>;
+    countOps(): Record<string, number>;
+    [gate: string]: any;
+  }
+
+  export interface QASMOptions {
+    /** OpenQASM version to emit (default 2) */
+    version?: 2 | 3;
+  }
+
+  /** Parse OpenQASM 2/3; errors are ValidationErrors with line/column metadata */
+  export function parseQASM(source: string): QuantumCircuit;
+  export function toQASM(circuit: QuantumCircuit, options?: QASMOptions): string;
+
+  // ============================================
+  // Sequence Alignment
+  // ============================================
+
+  export type SubstitutionMatrix = Record<string, Record<string, number>>;
+
+  export interface AlignmentOptions {
+    /** 'global' (Needleman-Wunsch, default), 'local' (Smith-Waterman) or 'semi-global' */
+    mode?: 'global' | 'local' | 'semi-global';
+    /** 'DNA' (nucleotide default), 'BLOSUM62' (protein default), 'PAM250', 'resonance', a table or a scoring function */
+    substitution?: 'DNA' | 'BLOSUM62' | 'PAM250' | 'resonance' | SubstitutionMatrix | ((a: string, b: string) => number);
+    /** DNA match score (default 2) */
+    match?: number;
+    /** DNA mismatch score (default -3) */
+    mismatch?: number;
+    /** A gap of length L costs gapOpen + L * gapExtend (defaults 5/2 nucleotide, 11/1 protein) */
+    gapOpen?: number;
+    gapExtend?: number;
+    /** Score of identical residues under 'resonance' (default 4) */
+    resonanceScale?: number;
+    resonanceCalculator?: { calculateResonance(p1: number, p2: number): number };
+    /** Use '='/'X' CIGAR operations instead of 'M' */
+    extendedCigar?: boolean;
+  }
+
+  export interface AlignmentResult {
+    mode: 'global' | 'local' | 'semi-global';
+    alphabet: 'nucleotide' | 'protein';
+    score: number;
+    /** seq1 is the reference: D consumes seq1, I consumes seq2, S clips seq2 (local only) */
+    cigar: string;
+    aligned1: string;
+    aligned2: string;
+    /** '|' identical, ':' positive score, '.' other pairs, ' ' gaps */
+    midline: string;
+    start1: number;
+    end1: number;
+    start2: number;
+    end2: number;
+    length: number;
+    matches: number;
+    mismatches: number;
+    gaps: number;
+    gapOpens: number;
+    identity: number;
+  }
+
+  export function alignSequences(seq1: string | number[], seq2: string | number[], options?: AlignmentOptions): AlignmentResult;
+
+  export interface PositionWeightMatrix {
+    alphabet: string[];
+    /** Indexed [column][residue] */
+    counts: number[][];
+    frequencies: number[][];
+    /** log2(frequency / background) */
+    logOdds: number[][];
+  }
+
+  export class MultipleAlignment {
+    constructor(
+      rows: Array<{ id: string; sequence: string }>,
+      options?: { alphabet?: 'nucleotide' | 'protein'; guideTree?: string; distances?: number[][] }
+    );
+
+    rows: Array<{ id: string; sequence: string }>;
+    alphabet: 'nucleotide' | 'protein';
+    /** Newick guide tree (progressiveAlign only) */
+    guideTree: string | null;
+    /** Pairwise 1 - identity distances (progressiveAlign only) */
+    distances: number[][] | null;
+    readonly size: number;
+    readonly length: number;
+
+    column(k: number): string[];
+    columnCounts(): Array<Map<string, number>>;
+    consensus(options?: { threshold?: number; includeGaps?: boolean }): string;
+    entropy(options?: { gaps?: boolean }): number[];
+    positionWeightMatrix(options?: { pseudocount?: number; background?: Record<string, number> }): PositionWeightMatrix;
+    conservation(): string;
+    toClustal(options?: { lineWidth?: number }): string;
+    toFASTA(options?: { lineWidth?: number }): string;
+    static fromFASTA(text: string, options?: { alphabet?: 'nucleotide' | 'protein' }): MultipleAlignment;
+  }
+
+  export function progressiveAlign(
+    sequences: string | Array<string | number[] | { header?: string; id?: string; sequence: string | number[] }>,
+    options?: Omit<AlignmentOptions, 'mode' | 'extendedCigar'>
+  ): MultipleAlignment;
+
+  // ============================================
+  // Sequence File Formats
+  // ============================================
+
+  /** 0-based, end-exclusive range */
+  export interface LocationRange {
+    start: number;
+    end: number;
+    partialStart: boolean;
+    partialEnd: boolean;
+  }
+
+  export interface FeatureLocation {
+    strand: 1 | -1;
+    operator: 'join' | 'order' | null;
+    ranges: LocationRange[];
+  }
+
+  export interface FASTQRecord {
+    id: string;
+    description: string;
+    sequence: string;
+    quality: string;
+    /** Phred scores */
+    scores: number[];
+  }
+
+  export interface GenBankFeature extends FeatureLocation {
+    type: string;
+    /** Location as written in the file */
+    location: string;
+    qualifiers: Record<string, string | string[] | true>;
+  }
+
+  export interface GenBankRecord {
+    locus: {
+      name: string;
+      length: number | null;
+      unit: 'bp' | 'aa' | null;
+      moleculeType: string | null;
+      topology: 'linear' | 'circular' | null;
+      division: string | null;
+      date: string | null;
+    };
+    definition: string;
+    accession: string;
+    version: string | null;
+    keywords: string;
+    organism: string | null;
+    taxonomy: string[];
+    /** Keyword blocks with original line breaks */
+    header: Array<{ key: string; value: string; sub: Array<{ key: string; value: string }> }>;
+    features: GenBankFeature[];
+    /** Uppercase */
+    sequence: string;
+  }
+
+  export interface GFF3Feature {
+    seqid: string;
+    source: string;
+    type: string;
+    /** 0-based, end-exclusive */
+    start: number;
+    end: number;
+    score: number | null;
+    strand: '+' | '-' | '.' | '?';
+    phase: 0 | 1 | 2 | null;
+    attributes: Record<string, string | string[]>;
+  }
+
+  export interface GFF3Document {
+    version: string | null;
+    directives: Array<{ name: string; value: string }>;
+    sequenceRegions: Array<{ seqid: string; start: number; end: number }>;
+    features: GFF3Feature[];
+    sequences: Array<{ id: string; header: string; sequence: string }>;
+  }
+
+  export type Annotation = GenBankFeature | GFF3Feature | GFF3Feature[];
+
+  export function parseFASTQ(text: string, options?: { offset?: number }): FASTQRecord[];
+  export function formatFASTQ(
+    records: Array<Partial<FASTQRecord> & { id: string; sequence: string }>,
+    options?: { offset?: number }
+  ): string;
+  export function parseGenBank(text: string): GenBankRecord[];
+  export function formatGenBank(records: Partial<GenBankRecord> | Array<Partial<GenBankRecord>>): string;
+  export function parseGFF3(text: string): GFF3Document;
+  export function formatGFF3(document: Partial<GFF3Document> | GFF3Feature[]): string;
+  export function extractFeature<T extends string | number[]>(
+    sequence: T,
+    feature: Annotation,
+    options?: { offset?: number }
+  ): T;
+  /** Drive a FASTQParser, GenBankParser or GFF3Parser over stream chunks */
+  export function readSequenceRecords<R = any>(
+    source: AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array> | string,
+    parser: { write(chunk: string | Uint8Array): R[]; end(): R[] }
+  ): AsyncGenerator<R>;
+
+  // ============================================
+  // Cloning: Restriction Digests, Primers and PCR
+  // ============================================
+
+  /** REBASE convention: cuts are offsets from the first base of the site */
+  export interface RestrictionEnzyme {
+    /** IUPAC recognition site */
+    site: string;
+    cut: number;
+    complementCut: number;
+  }
+
+  export interface RestrictionSite {
+    enzyme: string;
+    site: string;
+    /** 0-based start of the match on the top strand */
+    position: number;
+    strand: 1 | -1;
+    /** Top-strand cut, between cut - 1 and cut */
+    cut: number;
+    complementCut: number;
+    overhang: string;
+    overhangType: "5'" | "3'" | 'blunt';
+  }
+
+  export interface FragmentEnd {
+    enzyme: string;
+    overhang: string;
+    overhangType: "5'" | "3'" | 'blunt';
+  }
+
+  export interface DigestFragment {
+    start: number;
+    /** Less than start for the fragment spanning the origin of a circular digest */
+    end: number;
+    length: number;
+    sequence: string;
+    left: FragmentEnd | null;
+    right: FragmentEnd | null;
+  }
+
+  export type EnzymeSpec = string | ({ name: string } & Partial<RestrictionEnzyme> & { site: string });
+
+  export interface SaltConditions {
+    /** nM */
+    oligoConcentration?: number;
+    /** mM */
+    sodium?: number;
+    magnesium?: number;
+    dntp?: number;
+  }
+
+  export interface PrimerOptions extends SaltConditions {
+    target?: { start: number; end: number };
+    length?: [number, number];
+    optimalLength?: number;
+    tm?: [number, number];
+    optimalTm?: number;
+    gc?: [number, number];
+    gcClamp?: [number, number];
+    maxPolyX?: number;
+    minHairpinDG?: number;
+    minSelfDimerDG?: number;
+    minThreePrimeDimerDG?: number;
+    maxTmDifference?: number;
+    productSize?: [number, number];
+    count?: number;
+    candidates?: number;
+  }
+
+  export interface DimerResult {
+    dG: number;
+    length: number;
+    startA: number;
+    startB: number;
+    threePrimeDG: number;
+  }
+
+  export interface Primer {
+    /** 5'→3' */
+    sequence: string;
+    /** Binding region on the template */
+    start: number;
+    end: number;
+    strand: 1 | -1;
+    length: number;
+    tm: number;
+    gc: number;
+    gcClamp: number;
+    hairpin: { dG: number; stem: number; loop: number; start: number; end: number } | null;
+    selfDimer: DimerResult;
+    problems: string[];
+    penalty: number;
+  }
+
+  export interface PrimerPair {
+    forward: Primer;
+    reverse: Primer;
+    productSize: number;
+    product: string;
+    tmDifference: number;
+    crossDimer: DimerResult;
+    penalty: number;
+  }
+
+  export interface PrimerBinding {
+    primer: 'forward' | 'reverse';
+    position: number;
+    mismatches: number;
+  }
+
+  export interface Amplicon {
+    start: number;
+    /** Less than start for a product spanning the origin of a circular template */
+    end: number;
+    length: number;
+    sequence: string;
+    forward: PrimerBinding;
+    reverse: PrimerBinding;
+  }
+
+  export const RESTRICTION_ENZYMES: Record<string, RestrictionEnzyme>;
+  export function findRestrictionSites(
+    sequence: string | number[],
+    enzymes?: EnzymeSpec | EnzymeSpec[],
+    options?: { circular?: boolean }
+  ): RestrictionSite[];
+  export function restrictionDigest(
+    sequence: string | number[],
+    enzymes: EnzymeSpec | EnzymeSpec[],
+    options?: { circular?: boolean }
+  ): DigestFragment[];
+  export function meltingTemperature(sequence: string | number[], options?: SaltConditions): number;
+  export function designPrimers(template: string | number[], options?: PrimerOptions): PrimerPair[];
+  export function simulatePCR(
+    template: string | number[],
+    forward: string,
+    reverse?: string,
+    options?: {
+      maxMismatches?: number;
+      threePrimeMatch?: number;
+      anneal?: number;
+      maxProductSize?: number;
+      circular?: boolean;
+    }
+  ): Amplicon[];
+
+  // ============================================
+  // Composite Backend
+  // ============================================
+
+  export interface CompositeBackendConfig extends Partial<BackendConfig> {
+    /** Child backends by channel name, or [{ name, backend }] */
+    backends: Record<string, Backend> | Array<{ name: string; backend: Backend }>;
+    /** 'residue' (CRT-style channels, default) or 'range' (disjoint index blocks) */
+    mode?: 'residue' | 'range';
+    /** Range mode: primes per channel */
+    capacity?: number | Record<string, number>;
+    /** Channel for non-object inputs */
+    route?: string | ((input: any) => string | Record<string, any>);
+  }
+
+  export class CompositeBackend extends Backend {
+    constructor(config: CompositeBackendConfig);
+
+    mode: 'residue' | 'range';
+
+    encode(input: Record<string, any> | any): number[];
+    decode(primes: number[]): Record<string, any>;
+
+    liftPrimes(channel: string, primes: number[]): number[];
+    lowerPrime(prime: number): { channel: string; prime: number } | null;
+    splitPrimes(primes: number[]): Record<string, number[]>;
+    getChannels(): string[];
   }
 
   // ============================================
@@ -455,12 +1666,21 @@ declare module '@aleph-ai/tinyaleph' {
   // ============================================
 
   export interface EngineOptions {
+    /** Seed or generator for stochastic steps (collapse, measurement) */
+    rng?: RandomSource | number | string;
+    seed?: number | string;
     oscillatorCount?: number;
     coupling?: number;
     entropyThreshold?: number;
     maxIterations?: number;
     collapseStrength?: number;
     dt?: number;
+    /** Amplitude added to the oscillators of input primes (default 0.5) */
+    exciteAmount?: number;
+    /** Lyapunov estimate behind stability and adaptive coupling (default 'history') */
+    stabilityEstimator?: 'history' | 'spectrum';
+    /** Steps averaged by the 'spectrum' estimator (default 100) */
+    spectrumWindow?: number;
   }
 
   export interface EngineResult extends ProcessResult {
@@ -476,6 +1696,41 @@ declare module '@aleph-ai/tinyaleph' {
     };
   }
 
+  export interface EngineFrame {
+    step: number;
+    order: number;
+    differential: number;
+    amplitudes: number[];
+    entropy: number;
+    stability: string;
+  }
+
+  export interface EngineProgress {
+    step: number;
+    order: number;
+    differential: number;
+    entropy: number;
+    stability: string;
+    frame: EngineFrame | null;
+  }
+
+  export interface EngineSnapshot {
+    version: number;
+    type: 'AlephEngine';
+    backend: { name: string; dimension: number; primes: number[] };
+    options: EngineOptions;
+    oscillators: OscillatorBankSnapshot;
+    state: number[];
+    entropy: number;
+    coherence: number;
+    lyapunov: number;
+    collapseIntegral: number;
+    stability: string;
+    history: object[];
+    frames: object[];
+    rngState: RandomState | null;
+  }
+
   export class AlephEngine {
     constructor(backend: Backend, options?: EngineOptions);
     backend: Backend;
@@ -483,8 +1738,20 @@ declare module '@aleph-ai/tinyaleph' {
     field: HypercomplexState;
     config: EngineOptions;
     
+    rng: RandomSource;
+    
     run(input: any): EngineResult;
-    runBatch(inputs: any[]): EngineResult[];
+    getRngState(): RandomState | null;
+    setRngState(state: RandomState | null): this;
+    toJSON(): EngineSnapshot;
+    static fromJSON(json: EngineSnapshot, backend: Backend, options?: EngineOptions): AlephEngine;
+    runAsync(input: any, options?: {
+      signal?: AbortSignal;
+      onFrame?: (frame: EngineFrame) => void;
+      yieldEvery?: number;
+    }): Promise<EngineResult>;
+    runStream(input: any, options?: { signal?: AbortSignal; yieldEvery?: number }): AsyncIterable<EngineProgress> & { result?: EngineResult };
+    runBatch(inputs: any[], options?: { independent?: boolean; batchSize?: number }): EngineResult[];
     step(state: HypercomplexState): { state: HypercomplexState; entropy: number; transform: Transform | null };
     
     initializeField(primes: number[]): void;
@@ -520,7 +1787,64 @@ declare module '@aleph-ai/tinyaleph' {
   // Factory Functions
   // ============================================
 
-  export function createEngine(backendType: 'semantic' | 'cryptographic' | 'crypto' | 'scientific' | 'science' | 'quantum', config?: BackendConfig & { engineOptions?: EngineOptions }): AlephEngine;
+  export function createEngine(backendType: string, config?: BackendConfig & { engineOptions?: EngineOptions; rng?: RandomSource | number | string; seed?: number | string }): AlephEngine;
+
+  // ============================================
+  // Backend Registry
+  // ============================================
+
+  export type BackendFactory =
+    | (new (config: BackendConfig) => Backend)
+    | ((config: BackendConfig) => Backend);
+
+  export interface RegisterBackendOptions {
+    defaultConfig?: BackendConfig;
+    validate?: (config: BackendConfig) => boolean | string | string[] | void;
+    aliases?: string[];
+  }
+
+  export const REQUIRED_BACKEND_METHODS: readonly string[];
+  export function registerBackend(name: string, factory: BackendFactory, options?: RegisterBackendOptions): BackendFactory;
+  export function unregisterBackend(name: string): boolean;
+  export function hasBackend(name: string): boolean;
+  export function listBackends(): string[];
+  export function createBackend(name: string, config?: BackendConfig): Backend;
+  export function validateBackend<T extends Backend>(backend: T): T;
+
+  // ============================================
+  // Seedable RNG
+  // ============================================
+
+  export interface RandomSource {
+    next(): number;
+    uniform(min?: number, max?: number): number;
+    nextInt(n: number): number;
+    gaussian(mean?: number, stddev?: number): number;
+    getState(): RandomState | null;
+    setState(state: RandomState): this;
+  }
+
+  export interface RandomState {
+    algorithm: string;
+    seed: number;
+    state: number;
+  }
+
+  export class SeededRandom implements RandomSource {
+    constructor(seed?: number | string);
+    seed: number;
+    state: number;
+    next(): number;
+    uniform(min?: number, max?: number): number;
+    nextInt(n: number): number;
+    gaussian(mean?: number, stddev?: number): number;
+    getState(): RandomState;
+    setState(state: RandomState): this;
+    clone(): SeededRandom;
+    fork(label?: number | string): SeededRandom;
+  }
+
+  export function createRng(rngOrSeed?: RandomSource | number | string | (() => number) | { next(): number }): RandomSource;
 
   // ============================================
   // Convenience Functions
@@ -591,6 +1915,11 @@ declare module '@aleph-ai/tinyaleph' {
     localLyapunov: typeof localLyapunov;
     delayEmbedding: typeof delayEmbedding;
     stabilityMargin: typeof stabilityMargin;
+    LyapunovTracker: typeof LyapunovTracker;
+    lyapunovSpectrum: typeof lyapunovSpectrum;
+    kaplanYorkeDimension: typeof kaplanYorkeDimension;
+    classifySpectrum: typeof classifySpectrum;
+    numericalJacobianProduct: typeof numericalJacobianProduct;
     collapseProbability: typeof collapseProbability;
     shouldCollapse: typeof shouldCollapse;
     measureState: typeof measureState;